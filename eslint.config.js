@@ -36,4 +36,10 @@ export default [
       'react/prop-types': 'off',
     },
   },
+  {
+    files: ['**/__tests__/**/*.js'],
+    languageOptions: {
+      globals: { ...globals.browser, ...globals.node },
+    },
+  },
 ];
@@ -0,0 +1,52 @@
+// =====================================================
+// ACHIEVEMENTS API - Unlocked badges
+// =====================================================
+
+import { supabase } from '../config/supabase';
+import { achievementService } from '../services/achievement.service';
+import { getAchievement } from '../lib/achievements';
+
+// Stored unlock joined with its definition; unknown ids (badges this
+// client doesn't know yet) are dropped
+const toUnlock = (row) => {
+  const achievement = getAchievement(row.achievement_id);
+  if (!achievement) return null;
+  return {
+    ...achievement,
+    gameId: row.game_id,
+    unlockedAt: row.unlocked_at
+  };
+};
+
+/**
+ * Achievements API - Provides endpoints for badges
+ */
+export const achievementsApi = {
+  /**
+   * Get a player's unlocked achievements, newest first
+   * @param {string} userId - User UUID
+   * @returns {Promise<Array>} Achievements with gameId and unlockedAt
+   */
+  async getUnlocked(userId) {
+    const { data, error } = await supabase
+      .from('user_achievements')
+      .select('*')
+      .eq('user_id', userId)
+      .order('unlocked_at', { ascending: false });
+
+    if (error) throw error;
+    return data.map(toUnlock).filter(Boolean);
+  },
+
+  /**
+   * Record achievements the caller just unlocked
+   * @param {Array<string>} achievementIds - Achievement ids from ACHIEVEMENTS
+   * @param {string} gameId - The finished game they were earned in: a match, or a solo puzzle's remote copy
+   * @returns {Promise<Array>} Only the achievements that weren't stored yet
+   */
+  async unlock(achievementIds, gameId) {
+    return achievementService.unlock(achievementIds, gameId);
+  }
+};
+
+export default achievementsApi;
@@ -0,0 +1,210 @@
+// =====================================================
+// FRIENDS API - Friends list, requests, blocks and game invites
+// =====================================================
+
+import { supabase, isSupabaseConfigured } from '../config/supabase';
+import { presenceApi } from './presence';
+
+const PROFILE_FIELDS = 'id, username, display_name, avatar_url';
+
+const FRIENDSHIP_SELECT = `
+  id,
+  status,
+  requester_id,
+  addressee_id,
+  created_at,
+  requester:profiles!friendships_requester_id_fkey(${PROFILE_FIELDS}),
+  addressee:profiles!friendships_addressee_id_fkey(${PROFILE_FIELDS})
+`;
+
+/**
+ * Friends API - Provides endpoints for the social graph
+ */
+export const friendsApi = {
+  /**
+   * Get a user's friendships, split by state and seen from their side
+   * @param {string} userId - The user UUID
+   * @returns {Promise<Object>} { friends, incoming, outgoing, blocked }; each
+   *   entry is { friendshipId, status, profile, since, presence }
+   */
+  async getFriendships(userId) {
+    const { data, error } = await supabase
+      .from('friendships')
+      .select(FRIENDSHIP_SELECT)
+      .or(`requester_id.eq.${userId},addressee_id.eq.${userId}`)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    const entries = (data || []).map(row => {
+      const outgoing = row.requester_id === userId;
+      return {
+        friendshipId: row.id,
+        status: row.status,
+        outgoing,
+        profile: outgoing ? row.addressee : row.requester,
+        since: row.created_at
+      };
+    });
+
+    const friends = entries.filter(e => e.status === 'accepted');
+    const presence = await presenceApi.getUsersPresence(friends.map(f => f.profile.id)).catch(err => {
+      console.warn('Failed to load friend presence:', err);
+      return {};
+    });
+
+    return {
+      friends: friends
+        .map(f => ({ ...f, presence: presence[f.profile.id] || null }))
+        .sort((a, b) => Number(!!b.presence?.online) - Number(!!a.presence?.online)),
+      incoming: entries.filter(e => e.status === 'pending' && !e.outgoing),
+      outgoing: entries.filter(e => e.status === 'pending' && e.outgoing),
+      blocked: entries.filter(e => e.status === 'blocked')
+    };
+  },
+
+  /**
+   * Send a friend request. If they already asked you, this accepts it.
+   * @param {string} userId - The player to befriend
+   * @returns {Promise<Object>} The friendship row
+   */
+  async sendRequest(userId) {
+    const { data, error } = await supabase.rpc('send_friend_request', {
+      p_user_id: userId
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Accept or decline a friend request sent to the current user
+   * @param {string} friendshipId - The friendship UUID
+   * @param {boolean} accept - True to accept, false to decline
+   * @returns {Promise<Object>} The friendship row ('declined' rows are deleted)
+   */
+  async respondToRequest(friendshipId, accept) {
+    const { data, error } = await supabase.rpc('respond_to_friend_request', {
+      p_friendship_id: friendshipId,
+      p_accept: accept
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Unfriend, withdraw a request or unblock
+   * @param {string} userId - The other player
+   * @returns {Promise<void>}
+   */
+  async removeFriend(userId) {
+    const { error } = await supabase.rpc('remove_friend', {
+      p_user_id: userId
+    });
+
+    if (error) throw error;
+  },
+
+  /**
+   * Block a player. Ends any friendship and closes pending invites.
+   * @param {string} userId - The player to block
+   * @returns {Promise<void>}
+   */
+  async blockUser(userId) {
+    const { error } = await supabase.rpc('block_user', {
+      p_user_id: userId
+    });
+
+    if (error) throw error;
+  }
+};
+
+/**
+ * Invites API - Direct challenges to a friend
+ */
+export const invitesApi = {
+  /**
+   * Challenge a friend to a waiting game hosted by the current user
+   * @param {string} gameId - The game UUID
+   * @param {string} toUserId - The friend's UUID
+   * @returns {Promise<Object>} The invite row
+   */
+  async sendInvite(gameId, toUserId) {
+    const { data, error } = await supabase.rpc('send_game_invite', {
+      p_game_id: gameId,
+      p_to_user_id: toUserId
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Get open challenges sent to a user
+   * @param {string} userId - The user UUID
+   * @returns {Promise<Array>} Pending, unexpired invites, newest first
+   */
+  async getPendingInvites(userId) {
+    const { data, error } = await supabase
+      .from('game_invites')
+      .select('*')
+      .eq('to_user_id', userId)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Accept or decline a challenge
+   * @param {string} inviteId - The invite UUID
+   * @param {boolean} accept - True to accept, false to decline
+   * @returns {Promise<Object>} The invite, with `game_code` when accepted.
+   *   Status is 'expired' if the game already started or the invite ran out.
+   */
+  async respondToInvite(inviteId, accept) {
+    const { data, error } = await supabase.rpc('respond_to_game_invite', {
+      p_invite_id: inviteId,
+      p_accept: accept
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Subscribe to challenges sent to a user
+   * @param {string} userId - The user UUID
+   * @param {Function} callback - Called with each new or re-sent invite row
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToInvites(userId, callback) {
+    if (!isSupabaseConfigured) return () => {};
+
+    const channel = supabase
+      .channel(`invites:${userId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'game_invites',
+          filter: `to_user_id=eq.${userId}`
+        },
+        (payload) => {
+          if (payload.new?.status === 'pending') callback(payload.new);
+        }
+      )
+      .subscribe();
+
+    return () => supabase.removeChannel(channel);
+  }
+};
+
+export default {
+  friendsApi,
+  invitesApi
+};
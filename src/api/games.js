@@ -7,6 +7,24 @@ import { gameService } from '../services/game.service';
 import { realtimeService } from '../services/realtime.service';
 import { storageService } from '../services/storage.service';
 
+/**
+ * PostgREST filter for the games a user plays in. Seats A and B are on
+ * the games row; seats C and D of 3-4 player games only in game_players.
+ * @param {string} userId - The user UUID
+ * @returns {Promise<string>} Filter for `.or()`
+ */
+async function playerGamesFilter(userId) {
+  const filter = `player_a_id.eq.${userId},player_b_id.eq.${userId}`;
+  const { data, error } = await supabase
+    .from('game_players')
+    .select('game_id')
+    .eq('user_id', userId)
+    .in('seat', ['playerC', 'playerD']);
+
+  if (error || !data?.length) return filter;
+  return `${filter},id.in.(${data.map(row => row.game_id).join(',')})`;
+}
+
 /**
  * Games API - Provides endpoints for game management
  */
@@ -32,6 +50,15 @@ export const gamesApi = {
     return gameService.joinGame(gameCode, userId, playerName);
   },
 
+  /**
+   * Get the seats of a game in turn order
+   * @param {string} gameId - The game UUID
+   * @returns {Promise<Array>} game_players rows, playerA first
+   */
+  async getGamePlayers(gameId) {
+    return gameService.getGamePlayers(gameId);
+  },
+
   /**
    * Get game by ID
    * @param {string} gameId - The game UUID
@@ -53,10 +80,11 @@ export const gamesApi = {
   /**
    * Get list of active (waiting) games
    * @param {number} limit - Maximum number of games to return
-   * @returns {Promise<Array>} List of waiting games
+   * @param {Array<string>} statuses - Game statuses to include; ['active'] lists live games to spectate
+   * @returns {Promise<Array>} List of matching multiplayer games
    */
-  async getActiveGames(limit = 10) {
-    return gameService.getActiveGames(limit);
+  async getActiveGames(limit = 10, statuses = ['waiting']) {
+    return gameService.getActiveGames(limit, statuses);
   },
 
   /**
@@ -70,11 +98,22 @@ export const gamesApi = {
   },
 
   /**
-   * Complete a game and record results
+   * Move the host role to another player (host migration)
+   * @param {string} gameId - The game UUID
+   * @param {string} fromUserId - The current host, who must still hold the role
+   * @param {string} toUserId - The player taking over
+   * @returns {Promise<Object|null>} Updated game data, or null if the host already changed
+   */
+  async transferHost(gameId, fromUserId, toUserId) {
+    return gameService.transferHost(gameId, fromUserId, toUserId);
+  },
+
+  /**
+   * Complete a game, record results and update both players' ratings
    * @param {string} gameId - The game UUID
-   * @param {string} winner - Winner identifier ('playerA', 'playerB', or 'tie')
-   * @param {Object} finalScores - Final scores for both players
-   * @returns {Promise<Object>} Completed game data
+   * @param {string} winner - Winner identifier ('playerA', 'playerB', or 'tie'); only used when the complete_game RPC is not deployed
+   * @param {Object} finalScores - Final scores for both players; only used when the complete_game RPC is not deployed
+   * @returns {Promise<Object>} Completed game data, with `ratings` when the game was rated
    */
   async completeGame(gameId, winner, finalScores) {
     return gameService.completeGame(gameId, winner, finalScores);
@@ -98,8 +137,8 @@ export const gamesApi = {
   async getUserGameHistory(userId, limit = 20) {
     const { data, error } = await supabase
       .from('games')
-      .select('*, images(*)')
-      .or(`player_a_id.eq.${userId},player_b_id.eq.${userId}`)
+      .select('*, images(*), game_players(seat, user_id, player_name, score, accuracy)')
+      .or(await playerGamesFilter(userId))
       .eq('status', 'completed')
       .order('completed_at', { ascending: false })
       .limit(limit);
@@ -116,8 +155,8 @@ export const gamesApi = {
   async getUserActiveGames(userId) {
     const { data, error } = await supabase
       .from('games')
-      .select('*, images(*)')
-      .or(`player_a_id.eq.${userId},player_b_id.eq.${userId}`)
+      .select('*, images(*), game_players(seat, user_id, player_name, score)')
+      .or(await playerGamesFilter(userId))
       .in('status', ['waiting', 'active', 'paused'])
       .order('created_at', { ascending: false });
 
@@ -135,10 +174,12 @@ export const gameStateApi = {
    * @param {string} gameId - The game UUID
    * @param {Array} pieces - Array of puzzle piece objects
    * @param {number} gridSize - Total number of grid positions
+   * @param {string} gameplayMode - Gameplay mode ID
+   * @param {Object} initialState - Optional exported GameLogic state (racks, pool, scores)
    * @returns {Promise<Object>} Initial game state
    */
-  async initializeGameState(gameId, pieces, gridSize, gameplayMode = 'CLASSIC') {
-    return realtimeService.initializeGameState(gameId, pieces, gridSize, gameplayMode);
+  async initializeGameState(gameId, pieces, gridSize, gameplayMode = 'CLASSIC', initialState = null) {
+    return realtimeService.initializeGameState(gameId, pieces, gridSize, gameplayMode, initialState);
   },
 
   /**
@@ -150,6 +191,15 @@ export const gameStateApi = {
     return realtimeService.getGameState(gameId);
   },
 
+  /**
+   * Get the sanitized state a spectator may see (no racks, pool or hidden scores)
+   * @param {string} gameId - The game UUID
+   * @returns {Promise<Object|null>} Spectator state
+   */
+  async getSpectatorState(gameId) {
+    return realtimeService.getSpectatorState(gameId);
+  },
+
   /**
    * Update game state
    * @param {string} gameId - The game UUID
@@ -160,6 +210,48 @@ export const gameStateApi = {
     return realtimeService.updateGameState(gameId, updates);
   },
 
+  /**
+   * Place a piece through the server-authoritative submit_move RPC
+   * @param {string} gameId - The game UUID
+   * @param {number} pieceId - Piece being placed
+   * @param {number} gridIndex - Target grid position
+   * @param {number|null} rotation - Clockwise degrees the piece was placed at, for rotation games
+   * @returns {Promise<Object>} { result, state }
+   */
+  async submitMove(gameId, pieceId, gridIndex, rotation = null) {
+    return realtimeService.submitMove(gameId, pieceId, gridIndex, rotation);
+  },
+
+  /**
+   * Resolve the pending placement with a check or pass
+   * @param {string} gameId - The game UUID
+   * @param {string} decision - 'check' or 'pass'
+   * @returns {Promise<Object>} { result, state }
+   */
+  async respondToCheck(gameId, decision) {
+    return realtimeService.respondToCheck(gameId, decision);
+  },
+
+  /**
+   * Add, toggle or clear a Nexus mark on a placed piece
+   * @param {string} gameId - The game UUID
+   * @param {number} gridIndex - Grid position of the piece
+   * @param {string|null} markType - 'suspect', 'confident' or null to clear
+   * @returns {Promise<Object>} { result, state }
+   */
+  async markPiece(gameId, gridIndex, markType) {
+    return realtimeService.markPiece(gameId, gridIndex, markType);
+  },
+
+  /**
+   * Score every placed piece and mark at the end of a Nexus game
+   * @param {string} gameId - The game UUID
+   * @returns {Promise<Object>} { result, state }
+   */
+  async resolveNexusGame(gameId) {
+    return realtimeService.resolveNexusGame(gameId);
+  },
+
   /**
    * Subscribe to game state changes
    * @param {string} gameId - The game UUID
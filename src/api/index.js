@@ -14,6 +14,15 @@ export { leaderboardApi } from './leaderboard';
 // Presence API - Player presence and realtime features
 export { presenceApi } from './presence';
 
+// Friends API - Friends list and direct challenges
+export { friendsApi, invitesApi } from './friends';
+
+// Tournaments API - Organised events and brackets
+export { tournamentsApi } from './tournaments';
+
+// Achievements API - Unlocked badges
+export { achievementsApi } from './achievements';
+
 // Default export with all APIs grouped
 export default {
   // Game-related
@@ -30,5 +39,15 @@ export default {
   leaderboard: () => import('./leaderboard').then(m => m.leaderboardApi),
   
   // Presence/Realtime
-  presence: () => import('./presence').then(m => m.presenceApi)
+  presence: () => import('./presence').then(m => m.presenceApi),
+
+  // Social
+  friends: () => import('./friends').then(m => m.friendsApi),
+  invites: () => import('./friends').then(m => m.invitesApi),
+
+  // Events
+  tournaments: () => import('./tournaments').then(m => m.tournamentsApi),
+
+  // Badges
+  achievements: () => import('./achievements').then(m => m.achievementsApi)
 };
@@ -3,25 +3,218 @@
 // =====================================================
 
 import { supabase } from '../config/supabase';
+import { DAILY_CONFIG, getDailyKey, computeDailyStreak, buildStreakCalendar } from '../lib/daily';
 
 // Configuration constants
 const LEADERBOARD_CONFIG = {
   DEFAULT_LIMIT: 50,
   MIN_GAMES_FOR_WIN_RATE: 5,
-  MIN_GAMES_FOR_ACCURACY: 5
+  MIN_GAMES_FOR_ACCURACY: 5,
+  // player_ratings.mode covering every rated game; per-mode rows use the
+  // gameplay mode id ('CLASSIC', 'NEXUS', ...)
+  OVERALL_RATING_MODE: 'OVERALL',
+  // 2v2 matches are rated on their own; matches TEAM_CONFIG.RATING_MODE
+  TEAM_RATING_MODE: 'TEAMS'
 };
 
+const RATING_SELECT = `
+  *,
+  profiles!inner(id, username, display_name, avatar_url)
+`;
+
+const toRatingEntry = (entry, rank) => ({
+  rank,
+  userId: entry.user_id,
+  username: entry.profiles.username,
+  displayName: entry.profiles.display_name,
+  avatarUrl: entry.profiles.avatar_url,
+  mode: entry.mode,
+  rating: entry.rating,
+  peakRating: entry.peak_rating,
+  provisional: entry.provisional,
+  gamesPlayed: entry.games_played,
+  gamesWon: entry.games_won,
+  winRate: entry.games_played > 0
+    ? Math.round((entry.games_won / entry.games_played) * 100)
+    : 0
+});
+
+const toDailyResult = (entry) => ({
+  day: entry.day,
+  gridSize: entry.grid_size,
+  solved: entry.solved,
+  timeSeconds: entry.time_seconds,
+  accuracy: Number(entry.accuracy),
+  hintsUsed: entry.hints_used,
+  score: entry.score
+});
+
 /**
  * Leaderboard API - Provides endpoints for leaderboard data
  */
 export const leaderboardApi = {
   /**
-   * Get global leaderboard by total score
+   * Get global leaderboard by skill rating
+   * Provisional players (fewer than 10 rated games in the mode) are left
+   * out unless includeProvisional is set.
+   * @param {number} limit - Maximum entries to return
+   * @param {number} offset - Offset for pagination
+   * @param {Object} options - Optional filters
+   * @param {string} options.mode - Gameplay mode ('CLASSIC', 'NEXUS', ...) or 'OVERALL'
+   * @param {boolean} options.includeProvisional - Include provisional ratings
+   * @returns {Promise<Array>} Leaderboard entries with user data
+   */
+  async getGlobalLeaderboard(limit = 50, offset = 0, { mode = LEADERBOARD_CONFIG.OVERALL_RATING_MODE, includeProvisional = false } = {}) {
+    let query = supabase
+      .from('player_ratings')
+      .select(RATING_SELECT)
+      .eq('mode', mode.toUpperCase());
+
+    if (!includeProvisional) {
+      query = query.eq('provisional', false);
+    }
+
+    const { data, error } = await query
+      .order('rating', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return data.map((entry, index) => toRatingEntry(entry, offset + index + 1));
+  },
+
+  /**
+   * Get the 2v2 leaderboard: players ranked by their team-match rating
+   * Each player is rated individually against the other team's average.
+   * @param {number} limit - Maximum entries to return
+   * @param {number} offset - Offset for pagination
+   * @param {Object} options - Optional filters
+   * @param {boolean} options.includeProvisional - Include provisional ratings
+   * @returns {Promise<Array>} Leaderboard entries with user data
+   */
+  async getTeamLeaderboard(limit = 50, offset = 0, { includeProvisional = false } = {}) {
+    return this.getGlobalLeaderboard(limit, offset, {
+      mode: LEADERBOARD_CONFIG.TEAM_RATING_MODE,
+      includeProvisional
+    });
+  },
+
+  /**
+   * Get the co-op leaderboard: fastest solved puzzles, best accuracy first
+   * on equal times. Unsolved (timed out) co-op games are left out.
+   * @param {number} limit - Maximum entries to return
+   * @param {number} offset - Offset for pagination
+   * @param {Object} options - Optional filters
+   * @param {number} options.gridSize - Only puzzles of this grid size
+   * @returns {Promise<Array>} Leaderboard entries with both players' names
+   */
+  async getCoopLeaderboard(limit = 50, offset = 0, { gridSize = null } = {}) {
+    let query = supabase
+      .from('coop_results')
+      .select('*')
+      .eq('solved', true);
+
+    if (gridSize) {
+      query = query.eq('grid_size', gridSize);
+    }
+
+    const { data, error } = await query
+      .order('completion_seconds', { ascending: true })
+      .order('accuracy', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return data.map((entry, index) => ({
+      rank: offset + index + 1,
+      gameId: entry.game_id,
+      gridSize: entry.grid_size,
+      players: [
+        { userId: entry.player_a_id, name: entry.player_a_name },
+        { userId: entry.player_b_id, name: entry.player_b_name }
+      ],
+      completionSeconds: entry.completion_seconds,
+      accuracy: Number(entry.accuracy),
+      score: entry.score,
+      completedAt: entry.created_at
+    }));
+  },
+
+  /**
+   * Get one daily puzzle's leaderboard: solved puzzles first, then by
+   * score, with the faster time ahead on equal scores. Only results for
+   * that puzzle's grid size and seed are ranked.
+   * @param {Object} puzzle - The day's puzzle from dailyService.getPuzzle ({ day, gridSize, seed })
+   * @param {number} limit - Maximum entries to return
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} Leaderboard entries with user data
+   */
+  async getDailyLeaderboard({ day, gridSize, seed }, limit = 50, offset = 0) {
+    const { data, error } = await supabase
+      .from('daily_results')
+      .select(`
+        *,
+        profiles!inner(id, username, display_name, avatar_url)
+      `)
+      .eq('day', day)
+      .eq('grid_size', gridSize)
+      .eq('seed', seed)
+      .order('solved', { ascending: false })
+      .order('score', { ascending: false })
+      .order('time_seconds', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return data.map((entry, index) => ({
+      rank: offset + index + 1,
+      ...toDailyResult(entry),
+      userId: entry.user_id,
+      username: entry.profiles.username,
+      displayName: entry.profiles.display_name,
+      avatarUrl: entry.profiles.avatar_url
+    }));
+  },
+
+  /**
+   * Get a player's recent daily puzzle results and solve streak
+   * @param {string} userId - User UUID
+   * @param {number} days - How many days back, today included
+   * @returns {Promise<Object>} { calendar, streak, bestStreak }; calendar has
+   *   one { day, result } cell per day, oldest first
+   */
+  async getDailyStreak(userId, days = DAILY_CONFIG.CALENDAR_DAYS) {
+    const today = getDailyKey();
+
+    // Every solved day counts towards the best streak, so fetch them all
+    const { data, error } = await supabase
+      .from('daily_results')
+      .select('*')
+      .eq('user_id', userId)
+      .order('day', { ascending: false });
+
+    if (error) throw error;
+
+    const results = data.map(toDailyResult);
+    const { current, best } = computeDailyStreak(
+      results.filter(result => result.solved).map(result => result.day),
+      today
+    );
+
+    return {
+      calendar: buildStreakCalendar(results, today, days),
+      streak: current,
+      bestStreak: best
+    };
+  },
+
+  /**
+   * Get leaderboard by cumulative total score (the pre-rating ranking)
    * @param {number} limit - Maximum entries to return
    * @param {number} offset - Offset for pagination
    * @returns {Promise<Array>} Leaderboard entries with user data
    */
-  async getGlobalLeaderboard(limit = 50, offset = 0) {
+  async getTotalScoreLeaderboard(limit = 50, offset = 0) {
     const { data, error } = await supabase
       .from('user_stats')
       .select(`
@@ -192,73 +385,64 @@ export const leaderboardApi = {
   },
 
   /**
-   * Get user's position on the global leaderboard
-   * Note: For large user bases, consider using a PostgreSQL function with
-   * window functions (ROW_NUMBER() OVER (ORDER BY total_score DESC)) for
-   * better performance. Example:
-   * SELECT *, ROW_NUMBER() OVER (ORDER BY total_score DESC) as rank
-   * FROM user_stats WHERE user_id = $1
+   * Get user's position on the rating leaderboard
+   * Rank is counted against established (non-provisional) players, so a
+   * provisional player sees where they would slot in.
    * @param {string} userId - User UUID
+   * @param {string} mode - Gameplay mode or 'OVERALL'
    * @returns {Promise<Object>} User's rank and surrounding entries
    */
-  async getUserLeaderboardPosition(userId) {
-    // First, get the user's stats and count of players with higher scores
-    const { data: userStats, error: userError } = await supabase
-      .from('user_stats')
-      .select(`
-        *,
-        profiles!inner(id, username, display_name, avatar_url)
-      `)
+  async getUserLeaderboardPosition(userId, mode = LEADERBOARD_CONFIG.OVERALL_RATING_MODE) {
+    const ratingMode = mode.toUpperCase();
+
+    const { data: userRating, error: userError } = await supabase
+      .from('player_ratings')
+      .select(RATING_SELECT)
       .eq('user_id', userId)
-      .single();
+      .eq('mode', ratingMode)
+      .maybeSingle();
 
-    if (userError && userError.code !== 'PGRST116') throw userError;
+    if (userError) throw userError;
 
-    // Get total count
+    // Total count of ranked players
     const { count: totalPlayers, error: countError } = await supabase
-      .from('user_stats')
-      .select('*', { count: 'exact', head: true });
+      .from('player_ratings')
+      .select('*', { count: 'exact', head: true })
+      .eq('mode', ratingMode)
+      .eq('provisional', false);
 
     if (countError) throw countError;
 
-    if (!userStats) {
+    if (!userRating) {
       return {
-        rank: totalPlayers + 1,
+        rank: null,
         totalPlayers: totalPlayers || 0,
         userStats: null,
         nearbyPlayers: []
       };
     }
 
-    // Count players with higher scores to determine rank
-    const { count: higherScores, error: rankError } = await supabase
-      .from('user_stats')
-      .select('*', { count: 'exact', head: true })
-      .gt('total_score', userStats.total_score);
+    const { data: userRank, error: rankError } = await supabase.rpc('get_rating_rank', {
+      p_user_id: userId,
+      p_mode: ratingMode,
+      p_include_provisional: false
+    });
 
     if (rankError) throw rankError;
 
-    const userRank = (higherScores || 0) + 1;
-
     // Get nearby players (2 above and 2 below)
     const { data: nearbyData, error: nearbyError } = await supabase
-      .from('user_stats')
-      .select(`
-        *,
-        profiles!inner(id, username, display_name, avatar_url)
-      `)
-      .order('total_score', { ascending: false })
+      .from('player_ratings')
+      .select(RATING_SELECT)
+      .eq('mode', ratingMode)
+      .eq('provisional', false)
+      .order('rating', { ascending: false })
       .range(Math.max(0, userRank - 3), userRank + 1);
 
     if (nearbyError) throw nearbyError;
 
     const nearbyPlayers = nearbyData.map((entry, idx) => ({
-      rank: Math.max(0, userRank - 2) + idx + 1,
-      userId: entry.user_id,
-      username: entry.profiles.username,
-      displayName: entry.profiles.display_name,
-      avatarUrl: entry.profiles.avatar_url,
-      totalScore: entry.total_score,
+      ...toRatingEntry(entry, Math.max(0, userRank - 3) + idx + 1),
       isCurrentUser: entry.user_id === userId
     }));
 
@@ -266,17 +450,79 @@ export const leaderboardApi = {
       rank: userRank,
       totalPlayers: totalPlayers || 0,
       userStats: {
-        totalScore: userStats.total_score,
-        gamesPlayed: userStats.games_played,
-        gamesWon: userStats.games_won,
-        winRate: userStats.games_played > 0 
-          ? Math.round((userStats.games_won / userStats.games_played) * 100) 
+        rating: userRating.rating,
+        peakRating: userRating.peak_rating,
+        provisional: userRating.provisional,
+        gamesPlayed: userRating.games_played,
+        gamesWon: userRating.games_won,
+        winRate: userRating.games_played > 0 
+          ? Math.round((userRating.games_won / userRating.games_played) * 100) 
           : 0
       },
       nearbyPlayers
     };
   },
 
+  /**
+   * Get a player's ratings in every mode they have played
+   * @param {string} userId - User UUID
+   * @returns {Promise<Array>} One entry per mode, OVERALL included
+   */
+  async getUserRatings(userId) {
+    const { data, error } = await supabase
+      .from('player_ratings')
+      .select('*')
+      .eq('user_id', userId)
+      .order('games_played', { ascending: false });
+
+    if (error) throw error;
+
+    return data.map(entry => ({
+      mode: entry.mode,
+      rating: entry.rating,
+      peakRating: entry.peak_rating,
+      provisional: entry.provisional,
+      gamesPlayed: entry.games_played,
+      gamesWon: entry.games_won,
+      gamesLost: entry.games_lost,
+      gamesTied: entry.games_tied
+    }));
+  },
+
+  /**
+   * Get a player's rating changes, newest first
+   * @param {string} userId - User UUID
+   * @param {string} mode - Gameplay mode or 'OVERALL'
+   * @param {number} limit - Maximum entries to return
+   * @returns {Promise<Array>} Rating history entries
+   */
+  async getRatingHistory(userId, mode = LEADERBOARD_CONFIG.OVERALL_RATING_MODE, limit = 20) {
+    const { data, error } = await supabase
+      .from('rating_history')
+      .select(`
+        *,
+        opponent:profiles!rating_history_opponent_id_fkey(username, display_name)
+      `)
+      .eq('user_id', userId)
+      .eq('mode', mode.toUpperCase())
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return data.map(entry => ({
+      gameId: entry.game_id,
+      mode: entry.mode,
+      result: entry.result,
+      ratingBefore: entry.rating_before,
+      ratingAfter: entry.rating_after,
+      change: entry.rating_after - entry.rating_before,
+      opponentRating: entry.opponent_rating,
+      opponentName: entry.opponent?.display_name || entry.opponent?.username || null,
+      createdAt: entry.created_at
+    }));
+  },
+
   /**
    * Get recent game results (for activity feed)
    * @param {number} limit - Maximum entries to return
@@ -72,7 +72,7 @@ export const presenceApi = {
         game_id: gameId,
         is_online: isOnline,
         last_seen: new Date().toISOString()
-      })
+      }, { onConflict: 'user_id' })
       .select()
       .single();
 
@@ -99,6 +99,29 @@ export const presenceApi = {
     return data;
   },
 
+  /**
+   * Get online status for a set of players
+   * @param {Array<string>} userIds - User UUIDs
+   * @returns {Promise<Object>} Map of userId -> { online, inGame, lastSeen }
+   */
+  async getUsersPresence(userIds) {
+    if (!userIds.length) return {};
+
+    const { data, error } = await supabase
+      .from('player_presence')
+      .select('user_id, game_id, is_online, last_seen')
+      .in('user_id', userIds);
+
+    if (error) throw error;
+
+    // Same cutoff as getOnlineCount: a stale heartbeat means offline
+    const timeoutThreshold = Date.now() - PRESENCE_CONFIG.ONLINE_TIMEOUT_MS;
+    return Object.fromEntries((data || []).map(row => {
+      const online = row.is_online && new Date(row.last_seen).getTime() >= timeoutThreshold;
+      return [row.user_id, { online, inGame: online && !!row.game_id, lastSeen: row.last_seen }];
+    }));
+  },
+
   /**
    * Get total online player count
    * @returns {Promise<number>} Count of online players
@@ -0,0 +1,247 @@
+// =====================================================
+// TOURNAMENTS API - Registration, brackets and match hand-off
+// =====================================================
+
+import { supabase } from '../config/supabase';
+
+const toTournament = (row) => ({
+  id: row.id,
+  name: row.name,
+  hostId: row.host_id,
+  format: row.format,
+  mode: row.gameplay_mode,
+  gridSize: row.grid_size,
+  timeLimit: row.time_limit,
+  swissRounds: row.swiss_rounds,
+  status: row.status,
+  currentRound: row.current_round,
+  winnerId: row.winner_id,
+  createdAt: row.created_at,
+  startedAt: row.started_at,
+  completedAt: row.completed_at
+});
+
+const toParticipant = (row) => ({
+  userId: row.user_id,
+  displayName: row.display_name,
+  seed: row.seed,
+  points: Number(row.points),
+  eliminated: row.eliminated
+});
+
+const toMatch = (row) => ({
+  id: row.id,
+  round: row.round,
+  slot: row.slot,
+  playerA: row.player_a_id,
+  playerB: row.player_b_id,
+  gameId: row.game_id,
+  gameCode: row.game_code,
+  status: row.status,
+  result: row.result,
+  winner: row.winner_id
+});
+
+/**
+ * Tournaments API - Provides endpoints for organised events
+ */
+export const tournamentsApi = {
+  /**
+   * Create a tournament; the caller organises it. Registration opens
+   * straight away.
+   * @param {string} hostId - The organiser's user UUID
+   * @param {Object} settings - Tournament settings
+   * @param {string} settings.name - Display name
+   * @param {string} settings.format - 'single_elimination' or 'swiss'
+   * @param {string} settings.mode - Gameplay mode every match is played in
+   * @param {number} settings.gridSize - Grid size of every match
+   * @param {number} settings.timeLimit - Match time limit in seconds
+   * @param {number} settings.swissRounds - Swiss only; defaults to log2(players)
+   * @returns {Promise<Object>} The new tournament
+   */
+  async createTournament(hostId, { name, format, mode = 'CLASSIC', gridSize = 10, timeLimit, swissRounds = null }) {
+    const { data, error } = await supabase
+      .from('tournaments')
+      .insert({
+        name,
+        host_id: hostId,
+        format,
+        gameplay_mode: mode,
+        grid_size: gridSize,
+        time_limit: timeLimit || (gridSize + 2) * 60,
+        swiss_rounds: swissRounds
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return toTournament(data);
+  },
+
+  /**
+   * List tournaments, newest first
+   * @param {Array<string>} statuses - Tournament statuses to include
+   * @param {number} limit - Maximum entries to return
+   * @returns {Promise<Array>} Tournaments with their participant counts
+   */
+  async getTournaments(statuses = ['registration', 'active'], limit = 20) {
+    const { data, error } = await supabase
+      .from('tournaments')
+      .select('*, tournament_participants(count)')
+      .in('status', statuses)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return data.map(row => ({
+      ...toTournament(row),
+      participantCount: row.tournament_participants?.[0]?.count || 0
+    }));
+  },
+
+  /**
+   * Get a tournament with its participants and every match so far
+   * @param {string} tournamentId - The tournament UUID
+   * @returns {Promise<Object>} { tournament, participants, matches }
+   */
+  async getTournament(tournamentId) {
+    const [tournament, participants, matches] = await Promise.all([
+      supabase.from('tournaments').select('*').eq('id', tournamentId).single(),
+      supabase.from('tournament_participants').select('*').eq('tournament_id', tournamentId).order('seed', { ascending: true, nullsFirst: false }).order('joined_at', { ascending: true }),
+      supabase.from('tournament_matches').select('*').eq('tournament_id', tournamentId).order('round', { ascending: true }).order('slot', { ascending: true })
+    ]);
+
+    if (tournament.error) throw tournament.error;
+    if (participants.error) throw participants.error;
+    if (matches.error) throw matches.error;
+
+    return {
+      tournament: toTournament(tournament.data),
+      participants: participants.data.map(toParticipant),
+      matches: matches.data.map(toMatch)
+    };
+  },
+
+  /**
+   * Sign up for a tournament while registration is open
+   * @param {string} tournamentId - The tournament UUID
+   * @param {string} displayName - Name shown in the bracket
+   * @returns {Promise<Object>} The participant entry
+   */
+  async register(tournamentId, displayName) {
+    const { data, error } = await supabase.rpc('join_tournament', {
+      p_tournament_id: tournamentId,
+      p_display_name: displayName
+    });
+
+    if (error) throw error;
+    return toParticipant(data);
+  },
+
+  /**
+   * Withdraw before the tournament starts
+   * @param {string} tournamentId - The tournament UUID
+   * @returns {Promise<void>}
+   */
+  async withdraw(tournamentId) {
+    const { error } = await supabase.rpc('leave_tournament', {
+      p_tournament_id: tournamentId
+    });
+
+    if (error) throw error;
+  },
+
+  /**
+   * Close registration and seed the field by rating (organiser only)
+   * @param {string} tournamentId - The tournament UUID
+   * @returns {Promise<Array>} Participants in seed order
+   */
+  async start(tournamentId) {
+    const { data, error } = await supabase.rpc('start_tournament', {
+      p_tournament_id: tournamentId
+    });
+
+    if (error) throw error;
+    return data.map(toParticipant);
+  },
+
+  /**
+   * Store the next round's pairings (organiser only). Byes are scored on
+   * the spot.
+   * @param {string} tournamentId - The tournament UUID
+   * @param {number} round - Round number, one past the current round
+   * @param {Array} pairings - [{ slot, playerA, playerB }], playerB null for a bye
+   * @returns {Promise<Array>} The round's matches
+   */
+  async createRound(tournamentId, round, pairings) {
+    const { data, error } = await supabase.rpc('create_tournament_round', {
+      p_tournament_id: tournamentId,
+      p_round: round,
+      p_pairings: pairings
+    });
+
+    if (error) throw error;
+    return data.map(toMatch);
+  },
+
+  /**
+   * Hand the game player A created over to the match, so player B can join
+   * @param {string} matchId - The match UUID
+   * @param {string} gameId - The waiting game's UUID
+   * @returns {Promise<Object>} The updated match, with the game code
+   */
+  async setMatchGame(matchId, gameId) {
+    const { data, error } = await supabase.rpc('set_tournament_match_game', {
+      p_match_id: matchId,
+      p_game_id: gameId
+    });
+
+    if (error) throw error;
+    return toMatch(data);
+  },
+
+  /**
+   * Settle a match by hand, e.g. for a no-show (organiser only)
+   * @param {string} matchId - The match UUID
+   * @param {string|null} winnerId - Either player, or null for a tie
+   * @returns {Promise<Object>} The completed match
+   */
+  async setMatchResult(matchId, winnerId) {
+    const { data, error } = await supabase.rpc('set_tournament_match_result', {
+      p_match_id: matchId,
+      p_winner_id: winnerId
+    });
+
+    if (error) throw error;
+    return toMatch(data);
+  },
+
+  /**
+   * Subscribe to changes to a tournament, its participants or its matches
+   * @param {string} tournamentId - The tournament UUID
+   * @param {Function} callback - Called with no arguments on every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToTournament(tournamentId, callback) {
+    const channel = supabase.channel(`tournament:${tournamentId}`);
+
+    channel.on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'tournaments', filter: `id=eq.${tournamentId}` },
+      () => callback()
+    );
+    ['tournament_participants', 'tournament_matches'].forEach(table => {
+      channel.on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table, filter: `tournament_id=eq.${tournamentId}` },
+        () => callback()
+      );
+    });
+
+    channel.subscribe();
+    return () => supabase.removeChannel(channel);
+  }
+};
+
+export default tournamentsApi;
@@ -0,0 +1,34 @@
+import { X } from 'lucide-react';
+
+// Stack of "Achievement unlocked" toasts in the corner; the app removes
+// each one after a few seconds
+const AchievementToasts = ({ toasts, onDismiss }) => {
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 max-w-xs w-full pointer-events-none">
+      {toasts.map(toast => (
+        <div
+          key={toast.key}
+          className="pointer-events-auto flex items-center gap-3 bg-gradient-to-r from-yellow-500/90 to-amber-600/90 backdrop-blur-md rounded-xl p-3 shadow-2xl border border-yellow-300/50"
+        >
+          <div className="text-3xl flex-shrink-0">{toast.achievement.icon}</div>
+          <div className="flex-1 min-w-0">
+            <div className="text-yellow-100 text-xs font-semibold uppercase tracking-wide">Achievement unlocked</div>
+            <div className="text-white font-bold truncate">{toast.achievement.name}</div>
+            <div className="text-yellow-50 text-xs">{toast.achievement.description}</div>
+          </div>
+          <button
+            onClick={() => onDismiss(toast.key)}
+            className="text-yellow-100 hover:text-white flex-shrink-0"
+            aria-label="Dismiss"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AchievementToasts;
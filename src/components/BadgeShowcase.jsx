@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react';
+import { Award } from 'lucide-react';
+import { achievementsApi } from '../api/achievements';
+import { ACHIEVEMENTS } from '../lib/achievements';
+
+// Every badge, lit up where the player has earned it
+const BadgeShowcase = ({ userId, title = 'Badges' }) => {
+  const [unlocked, setUnlocked] = useState(null);
+
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+
+    achievementsApi.getUnlocked(userId)
+      .then(entries => {
+        if (!cancelled) setUnlocked(new Map(entries.map(entry => [entry.id, entry])));
+      })
+      .catch(err => console.error('Failed to load achievements:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (!unlocked) return null;
+
+  return (
+    <div className="mb-6 sm:mb-8 bg-white/10 backdrop-blur-md rounded-2xl p-4 sm:p-6 border border-white/20">
+      <h3 className="flex items-center gap-2 text-lg sm:text-xl font-bold text-white mb-3">
+        <Award className="w-5 h-5 text-yellow-400" />
+        {title}
+        <span className="text-purple-300 text-sm font-normal">
+          {unlocked.size}/{ACHIEVEMENTS.length}
+        </span>
+      </h3>
+      <div className="grid grid-cols-5 sm:grid-cols-10 gap-2">
+        {ACHIEVEMENTS.map(achievement => {
+          const entry = unlocked.get(achievement.id);
+          return (
+            <div
+              key={achievement.id}
+              title={entry
+                ? `${achievement.name}: ${achievement.description} (${new Date(entry.unlockedAt).toLocaleDateString()})`
+                : `${achievement.name}: ${achievement.description} (locked)`}
+              className={`aspect-square rounded-xl flex items-center justify-center text-2xl ${entry ? 'bg-yellow-400/20 border border-yellow-400/40' : 'bg-white/5 grayscale opacity-40'}`}
+            >
+              {achievement.icon}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default BadgeShowcase;
@@ -0,0 +1,168 @@
+import { useState, useEffect, useRef } from 'react';
+import { MessageCircle, Send, Volume2, VolumeX } from 'lucide-react';
+import { realtimeService } from '../services/realtime.service';
+import { QUICK_EMOTES, CHAT_CONFIG, getEmote, toChatMessage } from '../lib/chat';
+
+export const ChatMessageBody = ({ message }) => {
+  if (message.kind === 'emote') {
+    const emote = getEmote(message.body);
+    return (
+      <span className="font-semibold">
+        {emote ? `${emote.emoji} ${emote.label}` : message.body}
+      </span>
+    );
+  }
+  return <span className="break-words">{message.body}</span>;
+};
+
+// Chat and quick emotes between the players, under the game sidebar.
+// playerNames labels stored messages by seat in 3-4 player games.
+const ChatPanel = ({ multiplayerRef, gameId, myPlayer, opponentName, playerNames = {} }) => {
+  const [messages, setMessages] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [muted, setMuted] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [sending, setSending] = useState(false);
+  const listRef = useRef(null);
+
+  const addMessage = (message) => {
+    if (!message) return;
+    setMessages(prev => (prev.some(m => m.id === message.id) ? prev : [...prev, message]));
+  };
+
+  // Earlier messages (after a rejoin), then live ones from the channel
+  useEffect(() => {
+    if (!gameId) return;
+    let cancelled = false;
+
+    realtimeService.getGameMessages(gameId)
+      .then(rows => {
+        if (cancelled) return;
+        const history = (rows || []).map(toChatMessage);
+        setMessages(prev => [...history, ...prev.filter(m => !history.some(h => h.id === m.id))]);
+      })
+      .catch(err => console.warn('Failed to load chat history:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [gameId]);
+
+  useEffect(() => {
+    const session = multiplayerRef.current;
+    if (!session) return;
+
+    session.onChatMessage = addMessage;
+    return () => {
+      session.onChatMessage = null;
+    };
+  }, [multiplayerRef]);
+
+  const visible = muted ? messages.filter(m => m.player === myPlayer) : messages;
+
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [visible.length]);
+
+  const send = async (kind, body) => {
+    const session = multiplayerRef.current;
+    if (!session || sending) return;
+
+    setSending(true);
+    setNotice('');
+    try {
+      const message = kind === 'emote' ? await session.sendEmote(body) : await session.sendChat(body);
+      addMessage(message);
+      if (kind === 'chat') setDraft('');
+    } catch (err) {
+      console.error('Failed to send chat message:', err);
+      setNotice(err.message || 'Message not sent');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (draft.trim()) send('chat', draft);
+  };
+
+  return (
+    <div className="bg-white/5 backdrop-blur-md rounded-xl p-3 sm:p-4 border border-white/10">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="flex items-center gap-1.5 text-white font-semibold text-sm sm:text-base">
+          <MessageCircle className="w-4 h-4 text-purple-300" />
+          Chat
+        </h3>
+        <button
+          onClick={() => setMuted(m => !m)}
+          className={`flex items-center gap-1 px-2 py-1 rounded-lg text-xs transition-colors ${muted ? 'bg-red-500/20 text-red-300' : 'bg-white/10 text-purple-200 hover:bg-white/20'}`}
+          title={muted ? 'Unmute opponent' : 'Mute opponent'}
+        >
+          {muted ? <VolumeX className="w-3.5 h-3.5" /> : <Volume2 className="w-3.5 h-3.5" />}
+          {muted ? 'Muted' : 'Mute'}
+        </button>
+      </div>
+
+      <div ref={listRef} className="h-40 overflow-y-auto space-y-1.5 mb-2 pr-1">
+        {visible.length === 0 ? (
+          <p className="text-purple-400 text-xs text-center pt-14">
+            {muted ? `${opponentName || 'Opponent'} is muted` : 'Say hi to your opponent'}
+          </p>
+        ) : (
+          visible.map(message => {
+            const mine = message.player === myPlayer;
+            return (
+              <div key={message.id} className={`flex ${mine ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-[85%] rounded-lg px-2.5 py-1.5 text-xs sm:text-sm ${mine ? 'bg-purple-600/50 text-white' : 'bg-white/10 text-purple-100'}`}>
+                  {!mine && (
+                    <p className="text-[10px] text-purple-300">{message.userName || playerNames[message.player] || opponentName || 'Opponent'}</p>
+                  )}
+                  <ChatMessageBody message={message} />
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-1 mb-2">
+        {QUICK_EMOTES.map(emote => (
+          <button
+            key={emote.id}
+            onClick={() => send('emote', emote.id)}
+            disabled={sending}
+            className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white text-xs disabled:opacity-40 transition-colors"
+          >
+            {emote.emoji} {emote.label}
+          </button>
+        ))}
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={CHAT_CONFIG.MAX_LENGTH}
+          placeholder="Message"
+          className="flex-1 min-w-0 bg-white/5 border border-white/20 focus:border-cyan-400 rounded-lg px-3 py-1.5 text-white text-sm focus:outline-none"
+        />
+        <button
+          type="submit"
+          disabled={sending || !draft.trim()}
+          className="p-2 rounded-lg bg-purple-600 hover:bg-purple-500 text-white disabled:opacity-40"
+          title="Send"
+        >
+          <Send className="w-4 h-4" />
+        </button>
+      </form>
+
+      {notice && <p className="text-red-300 text-xs mt-1.5">{notice}</p>}
+    </div>
+  );
+};
+
+export default ChatPanel;
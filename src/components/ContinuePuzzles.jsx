@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { Clock, Trophy, Trash2, Play, Cloud, RefreshCw } from 'lucide-react';
+import { savedGameService } from '../services/savedGame.service';
+
+const formatElapsed = (seconds = 0) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.max(0, seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+const ContinuePuzzles = ({ user, onResume }) => {
+  const [saves, setSaves] = useState([]);
+  const [resumingKey, setResumingKey] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSaves = async () => {
+      const local = await savedGameService.listSinglePlayerSaves().catch(err => {
+        console.error('Failed to load local saves:', err);
+        return [];
+      });
+
+      // Puzzles started on another device only exist remotely
+      let remoteOnly = [];
+      if (savedGameService.isSignedIn(user)) {
+        const remote = await savedGameService.listRemoteSaves(user.id).catch(err => {
+          console.error('Failed to load remote saves:', err);
+          return [];
+        });
+        const localIds = new Set(local.map(save => save.remoteGameId).filter(Boolean));
+        remoteOnly = remote.filter(save => !localIds.has(save.remoteGameId));
+      }
+
+      if (!cancelled) {
+        setSaves([...local, ...remoteOnly].sort((a, b) => b.updatedAt - a.updatedAt));
+      }
+    };
+
+    loadSaves();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const handleDelete = async (save) => {
+    if (save.id) {
+      await savedGameService.deleteSinglePlayerSave(save.id);
+    }
+    if (save.remoteGameId) {
+      savedGameService.finishRemote(save.remoteGameId, 'abandoned')
+        .catch(err => console.error('Failed to abandon remote save:', err));
+    }
+    setSaves(prev => prev.filter(s => s !== save));
+  };
+
+  const handleResume = async (save) => {
+    const key = save.id || save.remoteGameId;
+    setResumingKey(key);
+    try {
+      await onResume(save);
+    } finally {
+      setResumingKey(null);
+    }
+  };
+
+  if (saves.length === 0) return null;
+
+  return (
+    <div className="mb-6 sm:mb-8">
+      <h3 className="text-lg sm:text-xl font-bold text-white mb-3">Continue Puzzle</h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+        {saves.map((save) => {
+          const key = save.id || save.remoteGameId;
+          const isResuming = resumingKey === key;
+          return (
+            <div
+              key={key}
+              className="flex items-center gap-3 bg-white/5 backdrop-blur-md rounded-xl p-3 border border-white/10"
+            >
+              <div className="w-16 h-16 rounded-lg overflow-hidden bg-slate-800 flex-shrink-0">
+                {save.thumbnail && (
+                  <img src={save.thumbnail} alt="" className="w-full h-full object-cover" />
+                )}
+              </div>
+
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-1.5 text-white text-sm font-semibold">
+                  <span>{save.pieceCount ? `${save.pieceCount} pieces` : 'Puzzle'}</span>
+                  {!save.id && <Cloud className="w-3.5 h-3.5 text-cyan-300" />}
+                </div>
+                <div className="w-full h-1.5 bg-slate-700 rounded-full mt-1.5 mb-1.5">
+                  <div
+                    className="h-full bg-gradient-to-r from-green-500 to-emerald-400 rounded-full"
+                    style={{ width: `${save.progress || 0}%` }}
+                  />
+                </div>
+                <div className="flex items-center gap-3 text-xs text-purple-200">
+                  <span>{save.progress || 0}%</span>
+                  <span className="flex items-center gap-1">
+                    <Clock className="w-3 h-3" />
+                    {formatElapsed(save.elapsed)}
+                  </span>
+                  <span className="flex items-center gap-1">
+                    <Trophy className="w-3 h-3" />
+                    {save.score || 0}
+                  </span>
+                </div>
+              </div>
+
+              <div className="flex flex-col gap-1.5">
+                <button
+                  onClick={() => handleResume(save)}
+                  disabled={!!resumingKey}
+                  className="p-2 bg-green-600 hover:bg-green-500 disabled:opacity-50 rounded-lg text-white transition-colors"
+                  title="Continue puzzle"
+                >
+                  {isResuming
+                    ? <RefreshCw className="w-4 h-4 animate-spin" />
+                    : <Play className="w-4 h-4" />}
+                </button>
+                <button
+                  onClick={() => handleDelete(save)}
+                  disabled={!!resumingKey}
+                  className="p-2 bg-white/10 hover:bg-red-500/40 disabled:opacity-50 rounded-lg text-purple-200 transition-colors"
+                  title="Discard puzzle"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ContinuePuzzles;
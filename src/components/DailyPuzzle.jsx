@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react';
+import { CalendarDays, Flame, Play, Trophy } from 'lucide-react';
+import { leaderboardApi } from '../api/leaderboard';
+import { dailyService } from '../services/daily.service';
+import { getDailyKey } from '../lib/daily';
+import ImageLibrary from './ImageLibrary';
+
+const DAILY_LEADERBOARD_LIMIT = 10;
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const calendarCellClass = (cell, today) => {
+  const base = cell.day === today ? 'ring-1 ring-cyan-300 ' : '';
+  if (!cell.result) return base + 'bg-white/5';
+  return base + (cell.result.solved ? 'bg-green-500/70' : 'bg-amber-500/50');
+};
+
+// Home-screen card for today's shared puzzle: play it, then see how
+// everyone did and keep the daily streak going
+const DailyPuzzle = ({ user, onPlay }) => {
+  const [puzzle, setPuzzle] = useState(null);
+  const [streak, setStreak] = useState(null);
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const today = getDailyKey();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    dailyService.getPuzzle(ImageLibrary.BUILT_IN_IMAGES, today)
+      .then(data => {
+        if (!cancelled) setPuzzle(data);
+      })
+      .catch(err => console.error('Failed to load the daily puzzle:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [today]);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    let cancelled = false;
+
+    leaderboardApi.getDailyStreak(user.id)
+      .then(data => {
+        if (!cancelled) setStreak(data);
+      })
+      .catch(err => console.error('Failed to load daily streak:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  useEffect(() => {
+    if (!showLeaderboard || !puzzle) return;
+    let cancelled = false;
+
+    leaderboardApi.getDailyLeaderboard(puzzle, DAILY_LEADERBOARD_LIMIT)
+      .then(entries => {
+        if (!cancelled) setLeaderboard(entries);
+      })
+      .catch(err => console.error('Failed to load daily leaderboard:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showLeaderboard, puzzle]);
+
+  if (!puzzle) return null;
+
+  const todayResult = streak?.calendar.find(cell => cell.day === today)?.result || null;
+
+  const handlePlay = async () => {
+    setStarting(true);
+    try {
+      await onPlay(puzzle);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 sm:mb-8 bg-gradient-to-br from-indigo-600/40 to-cyan-600/30 backdrop-blur-md rounded-2xl p-4 sm:p-6 border border-cyan-400/30">
+      <div className="flex items-center gap-4">
+        <img
+          src={puzzle.imageUrl}
+          alt={puzzle.imageName}
+          className="w-16 h-16 sm:w-20 sm:h-20 rounded-xl object-cover flex-shrink-0"
+        />
+        <div className="flex-1 min-w-0">
+          <h3 className="flex items-center gap-2 text-lg sm:text-xl font-bold text-white">
+            <CalendarDays className="w-5 h-5 text-cyan-300" />
+            Daily Puzzle
+          </h3>
+          <p className="text-cyan-100 text-xs sm:text-sm truncate">
+            {puzzle.imageName} · {puzzle.gridSize}×{puzzle.gridSize} · same pieces for everyone today
+          </p>
+          {streak && (
+            <p className="flex items-center gap-1 text-orange-300 text-xs sm:text-sm mt-1">
+              <Flame className="w-4 h-4" />
+              {streak.streak} day streak · best {streak.bestStreak}
+            </p>
+          )}
+        </div>
+
+        {todayResult ? (
+          <div className="text-right flex-shrink-0">
+            <div className="text-white font-bold">{todayResult.score}</div>
+            <div className="text-cyan-200 text-xs">
+              {todayResult.solved ? formatTime(todayResult.timeSeconds) : 'Unsolved'} · {todayResult.accuracy}%
+            </div>
+          </div>
+        ) : (
+          <button
+            onClick={handlePlay}
+            disabled={starting}
+            className="flex items-center gap-1.5 px-4 py-2.5 bg-cyan-500 hover:bg-cyan-400 rounded-lg text-white text-sm font-semibold disabled:opacity-50 transition-colors flex-shrink-0"
+          >
+            <Play className="w-4 h-4" />
+            {starting ? 'Loading...' : 'Play'}
+          </button>
+        )}
+      </div>
+
+      {streak && (
+        <div className="grid gap-1 mt-4" style={{ gridTemplateColumns: 'repeat(14, minmax(0, 1fr))' }}>
+          {streak.calendar.map(cell => (
+            <div
+              key={cell.day}
+              className={`aspect-square rounded ${calendarCellClass(cell, today)}`}
+              title={cell.result
+                ? `${cell.day}: ${cell.result.solved ? 'solved' : 'unsolved'}, ${cell.result.score} pts`
+                : `${cell.day}: not played`}
+            />
+          ))}
+        </div>
+      )}
+
+      <button
+        onClick={() => setShowLeaderboard(show => !show)}
+        className="flex items-center gap-1.5 mt-3 text-cyan-200 hover:text-white text-xs sm:text-sm transition-colors"
+      >
+        <Trophy className="w-4 h-4" />
+        {showLeaderboard ? 'Hide' : 'Show'} today&apos;s leaderboard
+      </button>
+
+      {showLeaderboard && (
+        leaderboard.length === 0 ? (
+          <p className="text-cyan-200 text-xs mt-2">No results yet today — be the first!</p>
+        ) : (
+          <ol className="mt-2 space-y-1">
+            {leaderboard.map(entry => (
+              <li
+                key={entry.userId}
+                className={`flex items-center gap-2 text-xs sm:text-sm rounded-lg px-2 py-1 ${entry.userId === user?.id ? 'bg-white/15' : ''}`}
+              >
+                <span className="w-6 text-cyan-300 font-semibold">{entry.rank}</span>
+                <span className="flex-1 text-white truncate">{entry.displayName || entry.username}</span>
+                <span className="text-cyan-100">{entry.solved ? formatTime(entry.timeSeconds) : '—'}</span>
+                <span className="w-12 text-right text-white font-semibold">{entry.score}</span>
+              </li>
+            ))}
+          </ol>
+        )
+      )}
+    </div>
+  );
+};
+
+export default DailyPuzzle;
@@ -0,0 +1,229 @@
+import { useState, useEffect, useCallback } from 'react';
+import { UserPlus, Swords, Check, X, Ban, Search, UserMinus } from 'lucide-react';
+import { friendsApi } from '../api/friends';
+import { profilesApi } from '../api/users';
+
+// Presence goes stale after a few minutes, so refresh while the panel is open
+const REFRESH_INTERVAL = 60000;
+const SEARCH_DELAY = 300;
+
+const EMPTY = { friends: [], incoming: [], outgoing: [], blocked: [] };
+
+const displayName = (profile) => profile?.display_name || profile?.username || 'Player';
+
+const PresenceDot = ({ presence }) => {
+  const color = presence?.inGame ? 'bg-amber-400' : presence?.online ? 'bg-green-400' : 'bg-gray-500';
+  const label = presence?.inGame ? 'In a game' : presence?.online ? 'Online' : 'Offline';
+  return <span className={`w-2.5 h-2.5 rounded-full flex-shrink-0 ${color}`} title={label} />;
+};
+
+const FriendsPanel = ({ user, onChallenge }) => {
+  const [lists, setLists] = useState(EMPTY);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const loadFriends = useCallback(async () => {
+    if (!user?.id) return;
+    const data = await friendsApi.getFriendships(user.id).catch(err => {
+      console.error('Failed to load friends:', err);
+      return null;
+    });
+    if (data) setLists(data);
+  }, [user]);
+
+  useEffect(() => {
+    loadFriends();
+    const interval = setInterval(loadFriends, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [loadFriends]);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < 2) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      const found = await profilesApi.searchUsers(trimmed).catch(err => {
+        console.error('User search failed:', err);
+        return [];
+      });
+      if (!cancelled) setResults(found || []);
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [query]);
+
+  // Run a friends action and reload; errors show inline
+  const run = async (id, action, successMessage = '') => {
+    setBusyId(id);
+    setMessage('');
+    try {
+      await action();
+      setMessage(successMessage);
+      await loadFriends();
+    } catch (err) {
+      console.error('Friends action failed:', err);
+      setMessage(err.message || 'Something went wrong');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const knownIds = new Set(
+    [...lists.friends, ...lists.incoming, ...lists.outgoing, ...lists.blocked].map(e => e.profile?.id)
+  );
+  const searchResults = results.filter(p => p.id !== user?.id && !knownIds.has(p.id));
+
+  const rowClass = 'flex items-center gap-2 bg-white/5 rounded-lg px-3 py-2';
+  const iconButton = 'p-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-purple-200 disabled:opacity-40 transition-colors';
+
+  return (
+    <div className="mb-6 sm:mb-8">
+      <h3 className="text-lg sm:text-xl font-bold text-white mb-3">Friends</h3>
+      <div className="bg-white/5 backdrop-blur-md rounded-xl p-3 sm:p-4 border border-white/10 space-y-3">
+        <div className="relative">
+          <Search className="w-4 h-4 text-purple-300 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Find players by username"
+            className="w-full bg-white/5 border border-white/20 focus:border-cyan-400 rounded-lg pl-9 pr-3 py-2 text-white text-sm focus:outline-none"
+          />
+        </div>
+
+        {searchResults.length > 0 && (
+          <div className="space-y-1.5">
+            {searchResults.map(profile => (
+              <div key={profile.id} className={rowClass}>
+                <span className="flex-1 min-w-0 text-white text-sm truncate">{displayName(profile)}</span>
+                <button
+                  onClick={() => run(profile.id, () => friendsApi.sendRequest(profile.id), `Request sent to ${displayName(profile)}`)}
+                  disabled={!!busyId}
+                  className="flex items-center gap-1 px-2.5 py-1.5 rounded-lg bg-purple-600 hover:bg-purple-500 text-white text-xs font-semibold disabled:opacity-40"
+                >
+                  <UserPlus className="w-3.5 h-3.5" />
+                  Add
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {message && <p className="text-purple-200 text-xs">{message}</p>}
+
+        {lists.incoming.length > 0 && (
+          <div className="space-y-1.5">
+            <p className="text-purple-300 text-xs uppercase tracking-wide">Requests</p>
+            {lists.incoming.map(entry => (
+              <div key={entry.friendshipId} className={rowClass}>
+                <span className="flex-1 min-w-0 text-white text-sm truncate">{displayName(entry.profile)}</span>
+                <button
+                  onClick={() => run(entry.friendshipId, () => friendsApi.respondToRequest(entry.friendshipId, true))}
+                  disabled={!!busyId}
+                  className={iconButton}
+                  title="Accept"
+                >
+                  <Check className="w-4 h-4 text-green-400" />
+                </button>
+                <button
+                  onClick={() => run(entry.friendshipId, () => friendsApi.respondToRequest(entry.friendshipId, false))}
+                  disabled={!!busyId}
+                  className={iconButton}
+                  title="Decline"
+                >
+                  <X className="w-4 h-4 text-red-400" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {lists.friends.length > 0 ? (
+          <div className="space-y-1.5">
+            {lists.friends.map(entry => (
+              <div key={entry.friendshipId} className={rowClass}>
+                <PresenceDot presence={entry.presence} />
+                <span className="flex-1 min-w-0 text-white text-sm truncate">{displayName(entry.profile)}</span>
+                <button
+                  onClick={() => onChallenge(entry.profile)}
+                  disabled={!!busyId || entry.presence?.inGame}
+                  className="flex items-center gap-1 px-2.5 py-1.5 rounded-lg bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-500 hover:to-pink-500 text-white text-xs font-semibold disabled:opacity-40"
+                >
+                  <Swords className="w-3.5 h-3.5" />
+                  Challenge
+                </button>
+                <button
+                  onClick={() => run(entry.friendshipId, () => friendsApi.removeFriend(entry.profile.id))}
+                  disabled={!!busyId}
+                  className={iconButton}
+                  title="Remove friend"
+                >
+                  <UserMinus className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => run(entry.friendshipId, () => friendsApi.blockUser(entry.profile.id))}
+                  disabled={!!busyId}
+                  className={iconButton}
+                  title="Block"
+                >
+                  <Ban className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-purple-300 text-sm">
+            No friends yet. Search for a player to send a request.
+          </p>
+        )}
+
+        {lists.outgoing.length > 0 && (
+          <div className="space-y-1.5">
+            <p className="text-purple-300 text-xs uppercase tracking-wide">Sent</p>
+            {lists.outgoing.map(entry => (
+              <div key={entry.friendshipId} className={rowClass}>
+                <span className="flex-1 min-w-0 text-purple-200 text-sm truncate">{displayName(entry.profile)}</span>
+                <button
+                  onClick={() => run(entry.friendshipId, () => friendsApi.removeFriend(entry.profile.id))}
+                  disabled={!!busyId}
+                  className="text-xs text-purple-400 hover:text-purple-300"
+                >
+                  Cancel
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {lists.blocked.length > 0 && (
+          <div className="space-y-1.5">
+            <p className="text-purple-300 text-xs uppercase tracking-wide">Blocked</p>
+            {lists.blocked.map(entry => (
+              <div key={entry.friendshipId} className={rowClass}>
+                <span className="flex-1 min-w-0 text-purple-300 text-sm truncate">{displayName(entry.profile)}</span>
+                <button
+                  onClick={() => run(entry.friendshipId, () => friendsApi.removeFriend(entry.profile.id))}
+                  disabled={!!busyId}
+                  className="text-xs text-purple-400 hover:text-purple-300"
+                >
+                  Unblock
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FriendsPanel;
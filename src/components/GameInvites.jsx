@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react';
+import { Swords, RefreshCw } from 'lucide-react';
+import { invitesApi } from '../api/friends';
+
+// Challenges from friends, pushed over realtime. Accepting joins the game
+// straight away; no code to type.
+const GameInvites = ({ user, onAccept }) => {
+  const [invites, setInvites] = useState([]);
+  const [respondingId, setRespondingId] = useState(null);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    let cancelled = false;
+
+    invitesApi.getPendingInvites(user.id)
+      .then(pending => {
+        if (!cancelled) setInvites(pending || []);
+      })
+      .catch(err => console.error('Failed to load game invites:', err));
+
+    // A re-sent invite replaces the old copy
+    const unsubscribe = invitesApi.subscribeToInvites(user.id, (invite) => {
+      setInvites(prev => [invite, ...prev.filter(i => i.id !== invite.id)]);
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [user]);
+
+  const respond = async (invite, accept) => {
+    setRespondingId(invite.id);
+    try {
+      if (accept) {
+        await onAccept(invite);
+      } else {
+        await invitesApi.respondToInvite(invite.id, false);
+      }
+    } catch (err) {
+      console.error('Failed to respond to invite:', err);
+    } finally {
+      setInvites(prev => prev.filter(i => i.id !== invite.id));
+      setRespondingId(null);
+    }
+  };
+
+  if (invites.length === 0) return null;
+
+  return (
+    <div className="max-w-4xl mx-auto mb-4 sm:mb-6 space-y-2">
+      {invites.map(invite => (
+        <div
+          key={invite.id}
+          className="flex items-center gap-3 bg-gradient-to-r from-purple-600/40 to-pink-600/40 border border-pink-400/30 rounded-xl p-3"
+        >
+          <Swords className="w-5 h-5 text-pink-300 flex-shrink-0" />
+          <p className="flex-1 min-w-0 text-white text-sm">
+            <span className="font-semibold">{invite.from_name || 'A friend'}</span> challenged you to a game
+          </p>
+          <button
+            onClick={() => respond(invite, true)}
+            disabled={!!respondingId}
+            className="flex items-center gap-1.5 px-3 py-1.5 bg-green-600 hover:bg-green-500 disabled:opacity-50 rounded-lg text-white text-sm font-semibold"
+          >
+            {respondingId === invite.id && <RefreshCw className="w-4 h-4 animate-spin" />}
+            Accept
+          </button>
+          <button
+            onClick={() => respond(invite, false)}
+            disabled={!!respondingId}
+            className="px-3 py-1.5 bg-white/10 hover:bg-white/20 disabled:opacity-50 rounded-lg text-white text-sm"
+          >
+            Decline
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default GameInvites;
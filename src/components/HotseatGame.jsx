@@ -0,0 +1,423 @@
+import { useState, useEffect, useMemo, lazy, Suspense } from 'react';
+import { ArrowLeft, Trophy, Target, Smartphone, Users } from 'lucide-react';
+import { HotseatSession } from '../lib/hotseat';
+import { ACCESSIBILITY_DEFAULTS, ROTATION_CONFIG, getNextSeat } from '../lib/gameConfig';
+import { getModeConfig, getModeScoring } from '../lib/gameModes';
+import { COOP_RESULT, getCoopStats } from '../lib/modes';
+import HintsPanel from './HintsPanel';
+import GameSettingsPanel from './GameSettingsPanel';
+
+const PhaserGame = lazy(() => import('./PhaserGame'));
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Pass-and-play: both players on this device, one GameLogic, no network
+const HotseatGame = ({
+  imageUrl,
+  pieces = [],
+  seed,
+  mode = 'CLASSIC',
+  rotation = false,
+  names = {},
+  settings = ACCESSIBILITY_DEFAULTS,
+  onExit
+}) => {
+  const [session] = useState(() => new HotseatSession({ pieces, mode, seed, rotation, names }));
+  const [gameState, setGameState] = useState(() => session.getState());
+  const [selectedPiece, setSelectedPiece] = useState(null);
+  const [lastAction, setLastAction] = useState(null);
+  const [activeHint, setActiveHint] = useState(null);
+  const [gameSettings, setGameSettings] = useState(settings);
+
+  useEffect(() => {
+    session.onChange = setGameState;
+    return () => {
+      session.onChange = null;
+    };
+  }, [session]);
+
+  // One clock for both players; the session holds it during a handover
+  useEffect(() => {
+    if (gameState.isOver) return;
+    const interval = setInterval(() => session.tick(), 1000);
+    return () => clearInterval(interval);
+  }, [session, gameState.isOver]);
+
+  // Nothing of the last player's rack carries over to the next one
+  useEffect(() => {
+    if (gameState.handoverPending) {
+      setSelectedPiece(null);
+      setActiveHint(null);
+    }
+  }, [gameState.handoverPending]);
+
+  const seatNames = gameState.names;
+  const activeSeat = gameState.activeSeat;
+  const activeName = seatNames[activeSeat];
+  const otherSeat = getNextSeat(gameState.players, activeSeat);
+  const pendingCheck = gameState.pendingCheck;
+
+  const modeFeatures = getModeConfig(gameState.mode).features;
+  const isNexusMode = gameState.mode === 'NEXUS';
+  const isSimultaneous = !!modeFeatures.simultaneous;
+  const isCoop = !!modeFeatures.cooperative;
+  const hasChecks = modeFeatures.checksPerTurn > 0;
+  const checksLeft = gameState.checksRemaining?.[activeSeat] ?? modeFeatures.checksPerTurn;
+  const checkerReward = getModeScoring(gameState.mode).checkerSuccess || 5;
+  const canPlay = !gameState.handoverPending && !gameState.isOver;
+
+  // The rack stays off the screen until its owner has the device
+  const myRack = useMemo(() => {
+    if (gameState.handoverPending || gameState.isOver) return [];
+    return gameState.racks?.[activeSeat] || [];
+  }, [gameState.handoverPending, gameState.isOver, gameState.racks, activeSeat]);
+
+  const displayScores = gameState.revealedScores || gameState.scores || {};
+  const grid = gameState.grid || [];
+  const gridSize = Math.round(Math.sqrt(grid.length)) || 10;
+
+  const handlePlacement = (pieceId, gridIndex) => {
+    if (!canPlay || pendingCheck) return;
+    if (grid[gridIndex] != null) {
+      setLastAction({ message: 'This position is already occupied. Please choose an empty spot.' });
+      return;
+    }
+
+    const placer = activeName;
+    const result = session.placePiece(pieceId, gridIndex);
+    setSelectedPiece(null);
+    if (!result.success) {
+      setLastAction({ message: result.message });
+      return;
+    }
+
+    if (isNexusMode) {
+      setLastAction({ message: `${placer} placed a piece ◆` });
+    } else if (result.awaitingCheck) {
+      setLastAction({ message: `${placer} placed a piece. ${seatNames[otherSeat]} checks or passes.` });
+    } else if (result.scored) {
+      setLastAction({
+        result: result.correct ? 'correct_placement' : 'wrong_placement',
+        message: result.correct
+          ? `${placer} placed a correct piece!`
+          : result.returned ? `Wrong spot — the piece went back to ${isCoop ? 'the shared' : `${placer}'s`} rack.` : 'Wrong spot.'
+      });
+    }
+  };
+
+  const handleCheckDecision = (decision) => {
+    const checker = activeName;
+    const placer = seatNames[pendingCheck?.player];
+    const result = session.respondToCheck(decision);
+    if (!result.success) {
+      setLastAction({ message: result.message });
+      return;
+    }
+
+    const messages = {
+      successful_check: `${checker} caught a wrong piece (+${result.checkerGained})! It went back to ${placer}.`,
+      failed_check: `The piece was right: ${placer} +${result.placerGained}, ${checker} ${result.checkerLost}.`,
+      opponent_passed_correct: `${checker} passed — the piece was right.`,
+      opponent_passed_incorrect: `${checker} passed on a wrong piece. Both lose ${Math.abs(result.bothPenalized)} and it went back to ${placer}.`
+    };
+    setLastAction({ result: result.result, message: messages[result.result] || result.message });
+  };
+
+  const handleMarkPiece = (gridIndex, markType) => {
+    if (!isNexusMode) return;
+    const result = session.markPiece(gridIndex, markType);
+    setLastAction({
+      message: !result.success
+        ? result.message
+        : result.action === 'added' ? `${activeName} marked a piece as ${markType} 🔍` : `${activeName} removed a mark`
+    });
+  };
+
+  const handleEndTurn = () => {
+    const result = session.endTurn();
+    setLastAction({ message: result.success ? `${activeName} ended their turn` : result.message });
+  };
+
+  const handleResolveEndGame = () => {
+    const result = session.resolveEndGame();
+    if (!result.success) setLastAction({ message: result.message });
+  };
+
+  const handleUseHint = (hintType) => {
+    const result = session.useHint(hintType);
+    if (!result.success) {
+      setLastAction({ message: result.message });
+      return;
+    }
+    setActiveHint(result.hint);
+    setTimeout(() => setActiveHint(null), 5000);
+  };
+
+  const handlePieceRotate = (pieceId, steps) => {
+    if (!canPlay) return;
+    session.rotatePiece(pieceId, steps);
+  };
+
+  // =====================================================
+  // GAME OVER
+  // =====================================================
+
+  if (gameState.isOver) {
+    const winner = gameState.hotseatWinner;
+    const coopStats = isCoop ? getCoopStats(session.gameLogic) : null;
+    const title = winner === COOP_RESULT
+      ? (coopStats.solved ? 'Solved Together!' : 'Time\'s Up!')
+      : winner === 'tie' ? 'It\'s a Tie!' : `${seatNames[winner]} Wins!`;
+
+    return (
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-gradient-to-br from-purple-900/50 to-pink-900/50 backdrop-blur-md rounded-2xl p-5 sm:p-8 border border-purple-500/30">
+          <div className="text-center">
+            <div className="text-4xl sm:text-6xl mb-3 sm:mb-4">{winner === 'tie' ? '🤝' : '🎉'}</div>
+            <h2 className="text-2xl sm:text-4xl font-bold text-white mb-4 sm:mb-6">{title}</h2>
+
+            {coopStats ? (
+              <div className="grid grid-cols-2 gap-3 sm:gap-6 mb-6 sm:mb-8">
+                <div className="bg-slate-800/50 rounded-xl p-3 sm:p-6">
+                  <Trophy className="w-6 h-6 sm:w-8 sm:h-8 text-yellow-400 mx-auto mb-1 sm:mb-2" />
+                  <div className="text-xl sm:text-3xl font-bold text-white mb-1">{coopStats.score}</div>
+                  <div className="text-slate-400 text-xs sm:text-base">Joint Score</div>
+                </div>
+                <div className="bg-slate-800/50 rounded-xl p-3 sm:p-6">
+                  <Target className="w-6 h-6 sm:w-8 sm:h-8 text-green-400 mx-auto mb-1 sm:mb-2" />
+                  <div className="text-xl sm:text-3xl font-bold text-white mb-1">{coopStats.accuracy}%</div>
+                  <div className="text-slate-400 text-xs sm:text-base">Accuracy</div>
+                </div>
+              </div>
+            ) : (
+              <div className="grid grid-cols-2 gap-3 sm:gap-6 mb-6 sm:mb-8">
+                {gameState.players.map(seat => (
+                  <div
+                    key={seat}
+                    className={`bg-slate-800/50 rounded-xl p-3 sm:p-6 ${winner === seat ? 'ring-2 ring-yellow-400' : ''}`}
+                  >
+                    <div className="text-purple-200 text-sm sm:text-base truncate mb-1">{seatNames[seat]}</div>
+                    <div className="text-xl sm:text-3xl font-bold text-white mb-1">{gameState.scores[seat].score}</div>
+                    <div className="text-slate-400 text-xs sm:text-sm">{gameState.scores[seat].accuracy}% accuracy</div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <button
+              onClick={onExit}
+              className="px-6 sm:px-8 py-3 bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-500 hover:to-pink-500 text-white font-semibold rounded-xl transition-all active:scale-95 touch-target"
+            >
+              Back to Menu
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-3 sm:mb-6">
+        <button
+          onClick={onExit}
+          className="flex items-center gap-2 text-purple-300 hover:text-purple-200 transition-colors"
+        >
+          <ArrowLeft className="w-5 h-5" />
+          <span>Exit</span>
+        </button>
+        <h2 className="text-lg sm:text-2xl font-bold text-white">Pass &amp; Play · {getModeConfig(gameState.mode).name}</h2>
+        <div className="w-12 sm:w-20"></div>
+      </div>
+
+      {/* Players and clock */}
+      <div className="bg-white/5 backdrop-blur-md rounded-xl p-2.5 sm:p-4 mb-3 sm:mb-6">
+        <div className="flex items-center justify-between">
+          {gameState.players.map((seat, i) => (
+            <div
+              key={seat}
+              className={`flex-1 min-w-0 rounded-lg p-1.5 sm:p-2 ${i === 1 ? 'order-3 text-right' : ''} ${seat === activeSeat ? 'ring-2 ring-yellow-400' : 'opacity-70'}`}
+            >
+              <p className="text-white font-bold text-xs sm:text-base truncate">{seatNames[seat]}</p>
+              <p className="text-purple-300 text-xs sm:text-base">Score: {displayScores[seat]?.score || 0}</p>
+              {hasChecks && (
+                <p className="text-purple-400 text-[10px] sm:text-xs">
+                  Checks: {gameState.checksRemaining?.[seat] ?? modeFeatures.checksPerTurn}/{modeFeatures.checksPerTurn}
+                </p>
+              )}
+            </div>
+          ))}
+          <div className="order-2 text-center px-2 sm:px-4 flex-shrink-0">
+            <p className="text-lg sm:text-2xl font-mono font-bold text-white">{formatTime(gameState.timerRemaining)}</p>
+            <p className="text-yellow-400 font-bold text-xs sm:text-base truncate">
+              {pendingCheck ? `${activeName} checks` : `${activeName}'s turn`}
+            </p>
+            {isCoop && (
+              <p className="text-cyan-300 text-[10px] sm:text-xs">
+                Together: {gameState.players.reduce((sum, seat) => sum + (displayScores[seat]?.score || 0), 0)}
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Last Action Feedback */}
+      {lastAction && (
+        <div className={`mb-4 p-3 rounded-xl text-center ${lastAction.result === 'correct_placement' || lastAction.result === 'successful_check'
+          ? 'bg-green-500/20 text-green-300'
+          : lastAction.result === 'failed_check' || lastAction.result === 'wrong_placement'
+            ? 'bg-red-500/20 text-red-300'
+            : 'bg-purple-500/20 text-purple-300'
+          }`}>
+          {lastAction.message}
+        </div>
+      )}
+
+      {/* Check/Pass Decision */}
+      {pendingCheck && canPlay && (
+        <div className="mb-3 sm:mb-6 bg-yellow-500/20 rounded-xl p-4 sm:p-6 border border-yellow-500/30">
+          <h3 className="text-base sm:text-xl font-bold text-white mb-3 sm:mb-4 text-center">
+            {seatNames[pendingCheck.player]} placed a piece! What do you want to do, {activeName}?
+          </h3>
+          <div className="flex flex-col sm:flex-row gap-2 sm:gap-4 justify-center">
+            <button
+              onClick={() => handleCheckDecision('check')}
+              disabled={checksLeft <= 0}
+              className={`px-6 sm:px-8 py-3 font-bold rounded-xl transition-all touch-target ${checksLeft > 0
+                ? 'bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-400 hover:to-emerald-500 text-white active:scale-95'
+                : 'bg-white/10 text-white/40 cursor-not-allowed'
+                }`}
+            >
+              {checksLeft > 0 ? `✓ Check (+${checkerReward} if wrong)` : 'No checks left this round'}
+            </button>
+            <button
+              onClick={() => handleCheckDecision('pass')}
+              className="px-6 sm:px-8 py-3 bg-gradient-to-r from-orange-500 to-red-600 hover:from-orange-400 hover:to-red-500 text-white font-bold rounded-xl transition-all active:scale-95 touch-target"
+            >
+              ✗ Pass (Skip)
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-col lg:grid lg:grid-cols-3 gap-3 sm:gap-6">
+        {/* Board + the active player's rack */}
+        <div className="lg:col-span-2">
+          <Suspense fallback={
+            <div className="w-full bg-slate-900/50 rounded-xl flex items-center justify-center" style={{ minHeight: '400px' }}>
+              <div className="text-purple-300 text-lg">Loading game...</div>
+            </div>
+          }>
+            <PhaserGame
+              gameState={gameState}
+              gridSize={gridSize}
+              ghostImage={imageUrl}
+              settings={gameSettings}
+              myRack={myRack}
+              myPlayer={activeSeat}
+              isNexusMode={isNexusMode}
+              rotationEnabled={rotation}
+              selectedPiece={selectedPiece}
+              activeHint={activeHint}
+              onPieceSelected={(piece) => canPlay && !pendingCheck && setSelectedPiece(piece)}
+              onPieceRotated={handlePieceRotate}
+              onPiecePlaced={handlePlacement}
+              onPieceMarked={handleMarkPiece}
+            />
+          </Suspense>
+          {rotation && (
+            <p className="text-purple-400 text-[10px] sm:text-xs mt-2 text-center">
+              {ROTATION_CONFIG.CONTROLS_HINT}
+            </p>
+          )}
+        </div>
+
+        {/* Sidebar */}
+        <div className="space-y-4">
+          <div className="bg-white/5 backdrop-blur-md rounded-xl p-3 sm:p-4 border border-white/10">
+            <h3 className="text-white font-semibold mb-2 sm:mb-4 text-sm sm:text-base">Game Stats</h3>
+            <div className="grid grid-cols-2 lg:grid-cols-1 gap-1 sm:gap-2 text-xs sm:text-sm">
+              <div className="flex justify-between">
+                <span className="text-purple-300">Placed</span>
+                <span className="text-white">{grid.filter(p => p !== null).length}/{grid.length}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-purple-300">Remaining</span>
+                <span className="text-white">{gameState.piecePoolCount || 0}</span>
+              </div>
+            </div>
+
+            {/* Simultaneous modes: hand over without placing */}
+            {isSimultaneous && (
+              <button
+                onClick={handleEndTurn}
+                disabled={!canPlay}
+                className="w-full mt-3 px-4 py-2.5 bg-white/10 hover:bg-white/15 text-white font-semibold rounded-xl transition-all text-sm disabled:opacity-50"
+              >
+                End Turn
+              </button>
+            )}
+            {isNexusMode && (
+              <button
+                onClick={handleResolveEndGame}
+                disabled={!canPlay}
+                className="w-full mt-2 px-4 py-2.5 bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-500 hover:to-pink-500 text-white font-bold rounded-xl transition-all text-sm disabled:opacity-50"
+              >
+                🔮 Reveal & Score
+              </button>
+            )}
+          </div>
+
+          <HintsPanel
+            onUseHint={handleUseHint}
+            hintsUsed={gameState.scores?.[activeSeat]?.hintsUsed || 0}
+            disabled={!canPlay || !!pendingCheck}
+          />
+
+          <GameSettingsPanel
+            settings={gameSettings}
+            onSettingsChange={setGameSettings}
+          />
+        </div>
+      </div>
+
+      {/* Handover: the racks stay hidden until the next player is holding the device */}
+      {gameState.handoverPending && (
+        <div className="fixed inset-0 z-50 bg-slate-950/95 backdrop-blur-md flex items-center justify-center p-4">
+          <div className="max-w-md w-full text-center">
+            <Smartphone className="w-12 h-12 sm:w-16 sm:h-16 text-cyan-300 mx-auto mb-4" />
+            <h2 className="text-2xl sm:text-3xl font-bold text-white mb-2">Hand the device to {activeName}</h2>
+            <p className="text-purple-200 text-sm sm:text-base mb-4">
+              {pendingCheck
+                ? `${seatNames[pendingCheck.player]} placed a piece. Check it or pass.`
+                : `${seatNames[otherSeat]}, look away while ${activeName} plays.`}
+            </p>
+            {lastAction && (
+              <p className="text-purple-300 text-xs sm:text-sm bg-white/5 rounded-lg p-3 mb-4">{lastAction.message}</p>
+            )}
+            <button
+              onClick={() => session.takeOver()}
+              className="w-full py-4 rounded-xl font-bold text-lg bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-400 hover:to-emerald-500 text-white transition-all active:scale-95 touch-target flex items-center justify-center gap-2"
+            >
+              <Users className="w-5 h-5" />
+              I&apos;m {activeName}, show my rack
+            </button>
+            <button
+              onClick={onExit}
+              className="mt-4 text-purple-400 hover:text-purple-300 text-sm"
+            >
+              Exit game
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HotseatGame;
@@ -1,17 +1,43 @@
 import { useState, useEffect, useCallback, useRef, useMemo, lazy, Suspense } from 'react';
-import { Users, Gamepad2, Trophy, LogOut, Play, UserPlus, RefreshCw, AlertCircle, Wifi, WifiOff, Eye, Upload, Image as ImageIcon } from 'lucide-react';
-import { supabase } from '../config/supabase';
+import { Users, Gamepad2, Trophy, LogOut, Play, UserPlus, RefreshCw, AlertCircle, Wifi, WifiOff, Eye, Upload, Zap, Image as ImageIcon } from 'lucide-react';
+import { supabase, isSupabaseConfigured } from '../config/supabase';
 import { authService } from '../services/auth.service';
 import { gameService } from '../services/game.service';
-import { MultiplayerGameHost, MultiplayerGameGuest } from '../lib/multiplayer';
+import { savedGameService } from '../services/savedGame.service';
+import { achievementService } from '../services/achievement.service';
+import { presenceApi } from '../api/presence';
+import { invitesApi } from '../api/friends';
+import { tournamentsApi } from '../api/tournaments';
+import { MultiplayerGameHost, MultiplayerGameGuest, MultiplayerGameSpectator } from '../lib/multiplayer';
+import { getDefaultTransport, isLocalMultiplayer } from '../lib/transports';
 import ModeSelectScreen from './ModeSelectScreen';
 import GameSettingsPanel from './GameSettingsPanel';
 import MoveHistoryPanel from './MoveHistoryPanel';
 import HintsPanel from './HintsPanel';
 import SinglePlayerGame from './SinglePlayerGame';
+import HotseatGame from './HotseatGame';
 import ImageLibrary from './ImageLibrary';
-import { ACCESSIBILITY_DEFAULTS } from '../lib/gameConfig';
-import { isModeMultiplayer } from '../lib/gameModes';
+import ContinuePuzzles from './ContinuePuzzles';
+import DailyPuzzle from './DailyPuzzle';
+import RejoinGames from './RejoinGames';
+import LiveGames from './LiveGames';
+import SpectatorScreen from './SpectatorScreen';
+import RecentMatches from './RecentMatches';
+import ReplayViewer from './ReplayViewer';
+import FriendsPanel from './FriendsPanel';
+import GameInvites from './GameInvites';
+import ChatPanel from './ChatPanel';
+import TeamPanel from './TeamPanel';
+import Tournaments from './Tournaments';
+import TournamentBracket from './TournamentBracket';
+import AchievementToasts from './AchievementToasts';
+import BadgeShowcase from './BadgeShowcase';
+import ProfileScreen from './ProfileScreen';
+import QuickMatchScreen from './QuickMatchScreen';
+import { ACCESSIBILITY_DEFAULTS, ROTATION_CONFIG, PLAYER_CONFIG, TEAM_CONFIG, getSeats, getNextSeat, getSeatLabel, getSeatTeam, getTeamLabel } from '../lib/gameConfig';
+import { isModeMultiplayer, getModeConfig, getModeScoring } from '../lib/gameModes';
+import { COOP_RESULT } from '../lib/modes';
+import { randomSeed } from '../lib/prng';
 
 const PhaserGame = lazy(() => import('./PhaserGame'));
 
@@ -115,6 +141,7 @@ class ConnectionManager {
 // Heartbeat configuration
 const HEARTBEAT_CONFIG = {
   INTERVAL: 60000, // 60 seconds - reduced frequency for less database load
+  PRESENCE_INTERVAL: 120000 // player_presence refresh, well inside the 5 minute online window
 };
 
 /**
@@ -147,11 +174,21 @@ const ROUTES = {
   CREATE_GAME: 'create',
   WAITING_ROOM: 'waiting',
   JOIN_GAME: 'join',
+  QUICK_MATCH: 'quick_match',
   GAMEPLAY: 'gameplay',
   GAME_OVER: 'gameover',
-  SINGLE_PLAYER_GAME: 'single_player_game'
+  SPECTATE: 'spectate',
+  REPLAY: 'replay',
+  SINGLE_PLAYER_GAME: 'single_player_game',
+  HOTSEAT_GAME: 'hotseat_game',
+  TOURNAMENTS: 'tournaments',
+  TOURNAMENT: 'tournament',
+  PROFILE: 'profile'
 };
 
+// How long an "Achievement unlocked" toast stays up
+const ACHIEVEMENT_TOAST_MS = 6000;
+
 // =====================================================
 // MAIN APP COMPONENT
 // =====================================================
@@ -165,7 +202,12 @@ const JigsawVerseApp = () => {
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedMode, setSelectedMode] = useState('CLASSIC');
+  // Pass & Play on this device instead of an online match
+  const [hotseat, setHotseat] = useState(false);
   const [gameSettings, setGameSettings] = useState(ACCESSIBILITY_DEFAULTS);
+  // Friend being challenged through the create-game flow
+  const [challengeTarget, setChallengeTarget] = useState(null);
+  const [achievementToasts, setAchievementToasts] = useState([]);
 
   // Refs for multiplayer instances and connection manager
   const multiplayerRef = useRef(null);
@@ -174,6 +216,13 @@ const JigsawVerseApp = () => {
   useEffect(() => {
     const initAuth = async () => {
       try {
+        // Local multiplayer: each tab plays as its own guest
+        if (isLocalMultiplayer()) {
+          const transport = await getDefaultTransport();
+          setUser(await transport.authenticate());
+          return;
+        }
+
         const { data: { session } } = await supabase.auth.getSession();
 
         if (session?.user) {
@@ -201,6 +250,7 @@ const JigsawVerseApp = () => {
     };
 
     initAuth();
+    if (isLocalMultiplayer()) return;
 
     // Listen for auth state changes
     const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, session) => {
@@ -231,6 +281,25 @@ const JigsawVerseApp = () => {
     };
   }, []);
 
+  // Keep player_presence fresh so friends see us online (and in a game)
+  const presenceGameId = [ROUTES.WAITING_ROOM, ROUTES.GAMEPLAY].includes(currentRoute) ? gameData?.gameId || null : null;
+  useEffect(() => {
+    if (!user?.id || !isSupabaseConfigured) return;
+
+    const update = () => presenceApi.updatePresence(user.id, presenceGameId).catch(err => {
+      console.warn('Presence update failed:', err);
+    });
+    update();
+    const interval = setInterval(update, HEARTBEAT_CONFIG.PRESENCE_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [user, presenceGameId]);
+
+  // A challenge only lives as long as the create-game flow it started
+  useEffect(() => {
+    if (currentRoute === ROUTES.HOME) setChallengeTarget(null);
+  }, [currentRoute]);
+
   // Navigation handlers
   const navigate = useCallback((route, data = null) => {
     setCurrentRoute(route);
@@ -238,8 +307,327 @@ const JigsawVerseApp = () => {
     setError(null);
   }, []);
 
+  const dismissAchievement = useCallback((key) => {
+    setAchievementToasts(prev => prev.filter(toast => toast.key !== key));
+  }, []);
+
+  // Toast each newly stored badge for a few seconds
+  const showAchievements = useCallback((achievements) => {
+    achievements.forEach(achievement => {
+      const key = `${achievement.id}-${Date.now()}`;
+      setAchievementToasts(prev => [...prev, { key, achievement }]);
+      setTimeout(() => dismissAchievement(key), ACHIEVEMENT_TOAST_MS);
+    });
+  }, [dismissAchievement]);
+
+  // Rebuild a saved single-player puzzle from its image + seed and jump back in
+  const handleResumePuzzle = useCallback(async (entry) => {
+    try {
+      let save = entry;
+
+      if (!save.id) {
+        // Started on another device: pull the image and state down first
+        const { state, gridSize } = await savedGameService.getRemoteState(entry.remoteGameId);
+        const imageBlob = await fetch(entry.imageUrl).then(res => res.blob());
+        const created = await savedGameService.createSinglePlayerSave({
+          imageFile: imageBlob,
+          gridSize,
+          pieceCount: entry.pieceCount,
+          seed: entry.seed,
+          rotation: entry.rotation,
+          timeLimit: entry.timeLimit
+        });
+        save = await savedGameService.saveSinglePlayer(created.id, {
+          remoteGameId: entry.remoteGameId,
+          state,
+          timeRemaining: entry.timeRemaining,
+          score: entry.score
+        });
+      }
+
+      const { ImageProcessor } = await import('../lib/gameLogic');
+      const processor = new ImageProcessor(save.imageBlob, save.gridSize, save.seed);
+      await processor.loadImage();
+      const result = await processor.sliceImage();
+
+      setGameData(null);
+      navigate(ROUTES.SINGLE_PLAYER_GAME, {
+        pieces: result.pieces,
+        gridDimensions: result.gridDimensions,
+        seed: result.seed,
+        rotation: save.rotation,
+        imagePreview: URL.createObjectURL(save.imageBlob),
+        isSinglePlayer: true,
+        mode: 'SINGLE_PLAYER',
+        save
+      });
+    } catch (err) {
+      console.error('Failed to resume puzzle:', err);
+      setError('Could not resume that puzzle');
+    }
+  }, [navigate]);
+
+  // Today's shared puzzle: the seed gives everyone the same cut and deal.
+  // Not saved for resuming, since the first finish is the one that counts.
+  const handlePlayDaily = useCallback(async (puzzle) => {
+    try {
+      const imageBlob = await fetch(puzzle.imageUrl).then(res => res.blob());
+      const { ImageProcessor } = await import('../lib/gameLogic');
+      const processor = new ImageProcessor(imageBlob, puzzle.gridSize, puzzle.seed);
+      await processor.loadImage();
+      const result = await processor.sliceImage();
+
+      setGameData(null);
+      navigate(ROUTES.SINGLE_PLAYER_GAME, {
+        pieces: result.pieces,
+        gridDimensions: result.gridDimensions,
+        seed: result.seed,
+        rotation: puzzle.rotation,
+        imagePreview: puzzle.imageUrl,
+        isSinglePlayer: true,
+        mode: 'SINGLE_PLAYER',
+        daily: puzzle
+      });
+    } catch (err) {
+      console.error('Failed to start the daily puzzle:', err);
+      setError('Could not load the daily puzzle');
+    }
+  }, [navigate]);
+
+  // Reconnect to a multiplayer match left by a reload, crash or dropped tab
+  const handleRejoinGame = useCallback(async (game) => {
+    const connectionManager = connectionManagerRef.current;
+    const rejoiningAsHost = game.player_a_id === user?.id;
+
+    try {
+      if (multiplayerRef.current) {
+        await multiplayerRef.current.disconnect();
+      }
+
+      const session = rejoiningAsHost ? new MultiplayerGameHost() : new MultiplayerGameGuest();
+      multiplayerRef.current = session;
+
+      const result = await session.rejoinGame(game.id);
+
+      connectionManager.setReconnectCallback(async () => {
+        session.realtimeChannel = await session.setupBroadcastChannel(result.gameId);
+        await session.requestStateSnapshot();
+      });
+      connectionManager.updateStatus(CONNECTION_STATUS.CONNECTED);
+      connectionManager.startHeartbeat(
+        createHeartbeatCheck(multiplayerRef),
+        HEARTBEAT_CONFIG.INTERVAL
+      );
+
+      setIsHost(rejoiningAsHost);
+      setGameData(null);
+      navigate(result.game.status === 'waiting' ? ROUTES.WAITING_ROOM : ROUTES.GAMEPLAY, {
+        gameId: result.gameId,
+        gameCode: result.game.game_code,
+        game: result.game,
+        gameState: result.gameState,
+        isSinglePlayer: false
+      });
+    } catch (err) {
+      console.error('Failed to rejoin game:', err);
+      setError('Could not rejoin that game: ' + (err.message || 'Unknown error'));
+      connectionManager.updateStatus(CONNECTION_STATUS.ERROR);
+      multiplayerRef.current = null;
+    }
+  }, [navigate, user]);
+
+  // Quick Match found a game: take over its session and start playing
+  const handleQuickMatchReady = useCallback(({ session, result, role }) => {
+    const connectionManager = connectionManagerRef.current;
+    multiplayerRef.current = session;
+
+    // Setup connection manager for reconnection
+    connectionManager.setReconnectCallback(async () => {
+      if (result.gameId) {
+        session.realtimeChannel = await session.setupBroadcastChannel(result.gameId);
+        await session.requestStateSnapshot();
+      }
+    });
+    connectionManager.updateStatus(CONNECTION_STATUS.CONNECTED);
+
+    // Start lightweight heartbeat for connection monitoring
+    connectionManager.startHeartbeat(
+      createHeartbeatCheck(multiplayerRef),
+      HEARTBEAT_CONFIG.INTERVAL
+    );
+
+    const data = {
+      gameId: result.gameId,
+      gameCode: result.gameCode || result.game?.game_code,
+      game: result.game,
+      gameState: result.gameState,
+      isSinglePlayer: false
+    };
+    setIsHost(role === 'host');
+    setGameData(data);
+    navigate(ROUTES.GAMEPLAY, data);
+  }, [navigate]);
+
+  // Watch a live match read-only, picked from "Live Games" or by code
+  const handleWatchGame = useCallback(async ({ gameId, gameCode }) => {
+    try {
+      if (multiplayerRef.current) {
+        await multiplayerRef.current.disconnect();
+      }
+
+      const spectator = new MultiplayerGameSpectator();
+      multiplayerRef.current = spectator;
+
+      const result = gameId
+        ? await spectator.watchGameById(gameId)
+        : await spectator.watchGame(gameCode);
+
+      setGameData(null);
+      navigate(ROUTES.SPECTATE, {
+        gameId: result.gameId,
+        game: result.game,
+        gameState: result.gameState
+      });
+    } catch (err) {
+      console.error('Failed to watch game:', err);
+      setError('Could not watch that game: ' + (err.message || 'Unknown error'));
+      multiplayerRef.current = null;
+    }
+  }, [navigate]);
+
+  // Accept a friend's challenge and join their game without the code
+  const handleAcceptInvite = useCallback(async (invite) => {
+    const connectionManager = connectionManagerRef.current;
+
+    try {
+      const response = await invitesApi.respondToInvite(invite.id, true);
+      if (response.status !== 'accepted' || !response.game_code) {
+        setError('That challenge is no longer open');
+        return;
+      }
+
+      if (multiplayerRef.current) {
+        await multiplayerRef.current.disconnect();
+      }
+
+      const gameGuest = new MultiplayerGameGuest();
+      multiplayerRef.current = gameGuest;
+
+      const result = await gameGuest.joinGame(response.game_code);
+
+      connectionManager.setReconnectCallback(async () => {
+        gameGuest.realtimeChannel = await gameGuest.setupBroadcastChannel(result.gameId);
+        await gameGuest.requestStateSnapshot();
+      });
+      connectionManager.updateStatus(CONNECTION_STATUS.CONNECTED);
+      connectionManager.startHeartbeat(
+        createHeartbeatCheck(multiplayerRef),
+        HEARTBEAT_CONFIG.INTERVAL
+      );
+
+      setIsHost(false);
+      setGameData(null);
+      // 3-4 player games wait in the lobby until every seat is taken
+      navigate(result.waitingForPlayers ? ROUTES.WAITING_ROOM : ROUTES.GAMEPLAY, {
+        gameId: result.gameId,
+        gameCode: result.game?.game_code,
+        game: result.game,
+        gameState: result.gameState
+      });
+    } catch (err) {
+      console.error('Failed to accept challenge:', err);
+      setError('Could not join that game: ' + (err.message || 'Unknown error'));
+      connectionManager.updateStatus(CONNECTION_STATUS.ERROR);
+      multiplayerRef.current = null;
+    }
+  }, [navigate]);
+
+  // Play a tournament match. Player A opens the game on a library image
+  // and hands it to the match; player B joins it by its code. A game
+  // already under way is picked back up instead.
+  const handlePlayTournamentMatch = useCallback(async (tournament, match) => {
+    const connectionManager = connectionManagerRef.current;
+    const hosting = match.playerA === user?.id;
+
+    try {
+      if (match.gameId) {
+        const game = await gameService.getGame(match.gameId).catch(() => null);
+        const seated = game && [game.player_a_id, game.player_b_id].includes(user?.id);
+        if (seated && ['waiting', 'active', 'paused'].includes(game.status)) {
+          await handleRejoinGame(game);
+          return;
+        }
+      }
+
+      if (!hosting && !match.gameCode) {
+        setError('Your opponent has not opened the game yet');
+        return;
+      }
+
+      if (multiplayerRef.current) {
+        await multiplayerRef.current.disconnect();
+      }
+
+      let session;
+      let result;
+      if (hosting) {
+        const images = ImageLibrary.BUILT_IN_IMAGES;
+        const image = images[Math.floor(Math.random() * images.length)];
+        const blob = await fetch(image.url).then(res => res.blob());
+        const imageFile = new File([blob], `${image.id}.jpg`, { type: blob.type || 'image/jpeg' });
+
+        session = new MultiplayerGameHost();
+        multiplayerRef.current = session;
+        result = await session.createGame(imageFile, {
+          gridSize: tournament.gridSize,
+          timeLimit: tournament.timeLimit,
+          mode: tournament.mode
+        });
+        await tournamentsApi.setMatchGame(match.id, result.gameId);
+      } else {
+        session = new MultiplayerGameGuest();
+        multiplayerRef.current = session;
+        result = await session.joinGame(match.gameCode);
+      }
+
+      connectionManager.setReconnectCallback(async () => {
+        session.realtimeChannel = await session.setupBroadcastChannel(result.gameId);
+        await session.requestStateSnapshot();
+      });
+      connectionManager.updateStatus(CONNECTION_STATUS.CONNECTED);
+      connectionManager.startHeartbeat(
+        createHeartbeatCheck(multiplayerRef),
+        HEARTBEAT_CONFIG.INTERVAL
+      );
+
+      setIsHost(hosting);
+      setGameData(null);
+      navigate(hosting ? ROUTES.WAITING_ROOM : ROUTES.GAMEPLAY, {
+        gameId: result.gameId,
+        gameCode: result.gameCode || result.game?.game_code,
+        game: result.game,
+        pieces: result.pieces,
+        gridDimensions: result.gridDimensions,
+        gameState: result.gameState,
+        isSinglePlayer: false
+      });
+    } catch (err) {
+      console.error('Failed to start tournament match:', err);
+      setError('Could not start your match: ' + (err.message || 'Unknown error'));
+      connectionManager.updateStatus(CONNECTION_STATUS.ERROR);
+      if (multiplayerRef.current) {
+        await multiplayerRef.current.disconnect();
+        multiplayerRef.current = null;
+      }
+    }
+  }, [navigate, user, handleRejoinGame]);
+
   const handleLogout = async () => {
     try {
+      if (user?.id) {
+        await presenceApi.markOffline(user.id).catch(err => console.warn('Failed to mark offline:', err));
+      }
+
       // Disconnect from any active game
       if (multiplayerRef.current) {
         await multiplayerRef.current.disconnect();
@@ -271,6 +659,8 @@ const JigsawVerseApp = () => {
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
+      <AchievementToasts toasts={achievementToasts} onDismiss={dismissAchievement} />
+
       {/* Header */}
       <header className="bg-black/20 backdrop-blur-md border-b border-white/10 sticky top-0 z-50">
         <div className="max-w-7xl mx-auto px-3 sm:px-4 py-2.5 sm:py-4 flex items-center justify-between">
@@ -300,9 +690,13 @@ const JigsawVerseApp = () => {
                   )}
                 </div>
               )}
-              <span className="text-purple-200 text-sm sm:text-base truncate max-w-[100px] sm:max-w-none">
+              <button
+                onClick={() => navigate(ROUTES.PROFILE)}
+                className="text-purple-200 hover:text-white text-sm sm:text-base truncate max-w-[100px] sm:max-w-none transition-colors"
+                title="Your profile"
+              >
                 {user.user_metadata?.username || 'Player'}
-              </span>
+              </button>
               <button
                 onClick={handleLogout}
                 className="text-purple-400 hover:text-purple-300 transition-colors p-1"
@@ -333,9 +727,24 @@ const JigsawVerseApp = () => {
       )}
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-3 sm:px-4 py-4 sm:py-8 safe-bottom">
+        {user && ![ROUTES.GAMEPLAY, ROUTES.SINGLE_PLAYER_GAME, ROUTES.HOTSEAT_GAME].includes(currentRoute) && (
+          <GameInvites user={user} onAccept={handleAcceptInvite} />
+        )}
+
         {currentRoute === ROUTES.HOME && (
           <HomeScreen
+            user={user}
             onNavigate={navigate}
+            onResumePuzzle={handleResumePuzzle}
+            onPlayDaily={handlePlayDaily}
+            onRejoinGame={handleRejoinGame}
+            onWatchGame={handleWatchGame}
+            onReplayGame={(game) => navigate(ROUTES.REPLAY, { gameId: game.id })}
+            onChallengeFriend={(friend) => {
+              setChallengeTarget(friend);
+              setIsHost(true);
+              navigate(ROUTES.MODE_SELECT);
+            }}
             setIsHost={setIsHost}
             setSelectedMode={setSelectedMode}
           />
@@ -343,12 +752,14 @@ const JigsawVerseApp = () => {
 
         {currentRoute === ROUTES.MODE_SELECT && (
           <ModeSelectScreen
-            onModeSelect={(mode) => {
+            onModeSelect={(mode, { hotseat: passAndPlay = false } = {}) => {
               setSelectedMode(mode);
+              setHotseat(passAndPlay);
               navigate(ROUTES.CREATE_GAME);
             }}
             onBack={() => navigate(ROUTES.HOME)}
-            multiplayerOnly={false}
+            multiplayerOnly={!!challengeTarget}
+            allowHotseat={!challengeTarget}
           />
         )}
 
@@ -358,13 +769,33 @@ const JigsawVerseApp = () => {
             multiplayerRef={multiplayerRef}
             connectionManager={connectionManagerRef.current}
             selectedMode={selectedMode}
-            onGameCreated={(data) => {
+            hotseat={hotseat}
+            challengeName={challengeTarget?.display_name || challengeTarget?.username}
+            onGameCreated={async (data) => {
               setGameData(data);
               // Route based on mode
               if (data.isSinglePlayer) {
                 navigate(ROUTES.SINGLE_PLAYER_GAME, data);
-              } else {
-                navigate(ROUTES.WAITING_ROOM, data);
+                return;
+              }
+              if (data.isHotseat) {
+                navigate(ROUTES.HOTSEAT_GAME, data);
+                return;
+              }
+
+              let invitedName = null;
+              if (challengeTarget) {
+                try {
+                  await invitesApi.sendInvite(data.gameId, challengeTarget.id);
+                  invitedName = challengeTarget.display_name || challengeTarget.username;
+                } catch (err) {
+                  console.error('Failed to send challenge:', err);
+                }
+              }
+              navigate(ROUTES.WAITING_ROOM, { ...data, invitedName });
+              // After navigate, which clears the error banner
+              if (challengeTarget && !invitedName) {
+                setError('Could not send the challenge; share the code instead');
               }
             }}
             onBack={() => navigate(ROUTES.HOME)}
@@ -375,9 +806,12 @@ const JigsawVerseApp = () => {
         {currentRoute === ROUTES.WAITING_ROOM && (
           <WaitingRoom
             gameCode={gameData?.gameCode}
+            invitedName={gameData?.invitedName}
             multiplayerRef={multiplayerRef}
             onCancel={async () => {
               if (multiplayerRef.current) {
+                // A guest gives their seat back before the game starts
+                await multiplayerRef.current.leaveSeat?.();
                 await multiplayerRef.current.disconnect();
                 multiplayerRef.current = null;
               }
@@ -394,8 +828,18 @@ const JigsawVerseApp = () => {
             connectionManager={connectionManagerRef.current}
             onGameJoined={(data) => {
               setGameData(data);
-              navigate(ROUTES.GAMEPLAY, data);
+              navigate(data.waitingForPlayers ? ROUTES.WAITING_ROOM : ROUTES.GAMEPLAY, data);
             }}
+            onWatch={handleWatchGame}
+            onBack={() => navigate(ROUTES.HOME)}
+            setError={setError}
+          />
+        )}
+
+        {currentRoute === ROUTES.QUICK_MATCH && (
+          <QuickMatchScreen
+            user={user}
+            onMatchReady={handleQuickMatchReady}
             onBack={() => navigate(ROUTES.HOME)}
             setError={setError}
           />
@@ -408,18 +852,18 @@ const JigsawVerseApp = () => {
             gameData={gameData}
             gameSettings={gameSettings}
             onSettingsChange={setGameSettings}
+            onAchievements={showAchievements}
             onGameEnd={async (winner) => {
               // Save final scores when game ends
               if (multiplayerRef.current?.gameLogic && multiplayerRef.current?.gameId) {
                 const finalState = multiplayerRef.current.gameLogic.getGameState();
                 try {
-                  const updatedGame = await gameService.updateGame(multiplayerRef.current.gameId, {
-                    status: 'completed',
-                    player_a_score: finalState.scores.playerA.score,
-                    player_b_score: finalState.scores.playerB.score,
-                    player_a_accuracy: finalState.scores.playerA.accuracy,
-                    player_b_accuracy: finalState.scores.playerB.accuracy
-                  });
+                  // Rated on the server; both players may get here
+                  const updatedGame = await multiplayerRef.current.transport.games.completeGame(
+                    multiplayerRef.current.gameId,
+                    finalState.winner,
+                    { playerA: finalState.scores.playerA.score, playerB: finalState.scores.playerB.score }
+                  );
                   // Update gameData with final scores
                   navigate(ROUTES.GAME_OVER, {
                     winner,
@@ -455,6 +899,28 @@ const JigsawVerseApp = () => {
             imageUrl={gameData.imagePreview}
             gridSize={gameData.gridDimensions?.cols || 10}
             pieces={gameData.pieces}
+            seed={gameData.seed}
+            rotation={gameData.rotation}
+            save={gameData.save}
+            daily={gameData.daily}
+            user={user}
+            settings={gameSettings}
+            onAchievements={showAchievements}
+            onExit={() => {
+              setGameData(null);
+              navigate(ROUTES.HOME);
+            }}
+          />
+        )}
+
+        {currentRoute === ROUTES.HOTSEAT_GAME && gameData && (
+          <HotseatGame
+            imageUrl={gameData.imagePreview}
+            pieces={gameData.pieces}
+            seed={gameData.seed}
+            mode={gameData.mode}
+            rotation={gameData.rotation}
+            names={gameData.names}
             settings={gameSettings}
             onExit={() => {
               setGameData(null);
@@ -463,10 +929,63 @@ const JigsawVerseApp = () => {
           />
         )}
 
+        {currentRoute === ROUTES.SPECTATE && (
+          <SpectatorScreen
+            spectatorRef={multiplayerRef}
+            gameData={gameData}
+            onExit={async () => {
+              if (multiplayerRef.current) {
+                await multiplayerRef.current.disconnect();
+                multiplayerRef.current = null;
+              }
+              navigate(ROUTES.HOME);
+            }}
+          />
+        )}
+
+        {currentRoute === ROUTES.REPLAY && gameData?.gameId && (
+          <ReplayViewer
+            gameId={gameData.gameId}
+            onExit={() => {
+              setGameData(null);
+              navigate(ROUTES.HOME);
+            }}
+          />
+        )}
+
+        {currentRoute === ROUTES.TOURNAMENTS && (
+          <Tournaments
+            user={user}
+            onOpen={(tournament) => navigate(ROUTES.TOURNAMENT, { tournamentId: tournament.id })}
+            onBack={() => navigate(ROUTES.HOME)}
+          />
+        )}
+
+        {currentRoute === ROUTES.TOURNAMENT && gameData?.tournamentId && (
+          <TournamentBracket
+            user={user}
+            tournamentId={gameData.tournamentId}
+            onPlayMatch={handlePlayTournamentMatch}
+            onBack={() => {
+              setGameData(null);
+              navigate(ROUTES.TOURNAMENTS);
+            }}
+          />
+        )}
+
+        {currentRoute === ROUTES.PROFILE && (
+          <ProfileScreen
+            user={user}
+            onReplay={(game) => navigate(ROUTES.REPLAY, { gameId: game.id })}
+            onBack={() => navigate(ROUTES.HOME)}
+          />
+        )}
+
         {currentRoute === ROUTES.GAME_OVER && (
           <GameOverScreen
             winner={gameData?.winner}
             gameData={gameData}
+            onReplay={(gameId) => navigate(ROUTES.REPLAY, { gameId })}
             onPlayAgain={() => {
               setGameData(null);
               navigate(ROUTES.HOME);
@@ -482,7 +1001,7 @@ const JigsawVerseApp = () => {
 // HOME SCREEN
 // =====================================================
 
-const HomeScreen = ({ onNavigate, setIsHost, setSelectedMode }) => {
+const HomeScreen = ({ user, onNavigate, onResumePuzzle, onPlayDaily, onRejoinGame, onWatchGame, onReplayGame, onChallengeFriend, setIsHost, setSelectedMode }) => {
   return (
     <div className="max-w-4xl mx-auto">
       {/* Hero Section */}
@@ -495,6 +1014,59 @@ const HomeScreen = ({ onNavigate, setIsHost, setSelectedMode }) => {
         </p>
       </div>
 
+      {/* Today's shared puzzle, leaderboard and streak */}
+      <DailyPuzzle user={user} onPlay={onPlayDaily} />
+
+      {/* Multiplayer matches still in progress */}
+      <RejoinGames user={user} onRejoin={onRejoinGame} />
+
+      {/* Other players' matches open to spectators */}
+      <LiveGames user={user} onWatch={(game) => onWatchGame({ gameId: game.id })} />
+
+      {/* Finished matches to replay */}
+      <RecentMatches user={user} onReplay={onReplayGame} />
+
+      {/* Friends, requests and direct challenges */}
+      <FriendsPanel user={user} onChallenge={onChallengeFriend} />
+
+      {/* Saved single-player puzzles */}
+      <ContinuePuzzles user={user} onResume={onResumePuzzle} />
+
+      {/* Badges earned so far */}
+      <BadgeShowcase userId={user?.id} title="Your Badges" />
+
+      {/* Quick Match */}
+      <button
+        onClick={() => onNavigate(ROUTES.QUICK_MATCH)}
+        className="group w-full mb-4 sm:mb-6 flex items-center gap-4 bg-gradient-to-r from-amber-500 to-orange-600 hover:from-amber-400 hover:to-orange-500 rounded-2xl p-4 sm:p-6 text-left transition-all transform hover:scale-[1.01] shadow-2xl active:scale-[0.98]"
+      >
+        <div className="w-12 h-12 sm:w-14 sm:h-14 bg-white/20 rounded-xl flex items-center justify-center flex-shrink-0 group-hover:bg-white/30 transition-colors">
+          <Zap className="w-6 h-6 sm:w-7 sm:h-7 text-white" />
+        </div>
+        <div className="flex-1">
+          <h3 className="text-xl sm:text-2xl font-bold text-white">Quick Match</h3>
+          <p className="text-amber-100 text-sm sm:text-base">
+            Jump into a game against a player of similar skill, no code needed
+          </p>
+        </div>
+      </button>
+
+      {/* Tournaments */}
+      <button
+        onClick={() => onNavigate(ROUTES.TOURNAMENTS)}
+        className="group w-full mb-4 sm:mb-6 flex items-center gap-4 bg-white/10 hover:bg-white/15 backdrop-blur-md border border-yellow-400/30 rounded-2xl p-4 sm:p-6 text-left transition-all transform hover:scale-[1.01] active:scale-[0.98]"
+      >
+        <div className="w-12 h-12 sm:w-14 sm:h-14 bg-yellow-400/20 rounded-xl flex items-center justify-center flex-shrink-0 group-hover:bg-yellow-400/30 transition-colors">
+          <Trophy className="w-6 h-6 sm:w-7 sm:h-7 text-yellow-300" />
+        </div>
+        <div className="flex-1">
+          <h3 className="text-xl sm:text-2xl font-bold text-white">Tournaments</h3>
+          <p className="text-purple-200 text-sm sm:text-base">
+            Enter a knockout or Swiss event, or organise your own
+          </p>
+        </div>
+      </button>
+
       {/* Action Cards */}
       <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 sm:gap-6 mb-6 sm:mb-8">
         {/* Create Game Card */}
@@ -601,10 +1173,21 @@ const HomeScreen = ({ onNavigate, setIsHost, setSelectedMode }) => {
 // CREATE GAME SCREEN
 // =====================================================
 
-const CreateGameScreen = ({ user, multiplayerRef, connectionManager, selectedMode, onGameCreated, onBack, setError }) => {
+// 2, 3 or 4 players
+const PLAYER_COUNTS = Array.from(
+  { length: PLAYER_CONFIG.MAX_PLAYERS - PLAYER_CONFIG.MIN_PLAYERS + 1 },
+  (_, i) => PLAYER_CONFIG.MIN_PLAYERS + i
+);
+
+const CreateGameScreen = ({ user, multiplayerRef, connectionManager, selectedMode, hotseat = false, challengeName, onGameCreated, onBack, setError }) => {
   const [imageFile, setImageFile] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
   const [gridSize, setGridSize] = useState(10);
+  const [rotation, setRotation] = useState(false);
+  const [maxPlayers, setMaxPlayers] = useState(PLAYER_CONFIG.MIN_PLAYERS);
+  const [teams, setTeams] = useState(false);
+  // Pass & Play: what to call the two players on the handover screen
+  const [playerNames, setPlayerNames] = useState({ playerA: '', playerB: '' });
   const [creating, setCreating] = useState(false);
   const [progress, setProgress] = useState('');
   const [imageSource, setImageSource] = useState('upload'); // 'upload' | 'library'
@@ -639,7 +1222,8 @@ const CreateGameScreen = ({ user, multiplayerRef, connectionManager, selectedMod
   };
 
   const handleCreate = async () => {
-    if (!imageFile || !user) return;
+    // Pass & Play needs no account, so it works offline too
+    if (!imageFile || (!user && !hotseat)) return;
 
     setCreating(true);
     setProgress('Initializing...');
@@ -653,18 +1237,55 @@ const CreateGameScreen = ({ user, multiplayerRef, connectionManager, selectedMod
         setProgress('Processing image...');
 
         const { ImageProcessor } = await import('../lib/gameLogic');
-        const processor = new ImageProcessor(imageFile, gridSize);
+        const processor = new ImageProcessor(imageFile, gridSize, randomSeed());
         await processor.loadImage();
         const result = await processor.sliceImage();
 
+        // Saved so a refresh can pick the puzzle back up
+        const save = await savedGameService.createSinglePlayerSave({
+          imageFile,
+          gridSize,
+          pieceCount: result.gridDimensions.totalPieces,
+          seed: result.seed,
+          rotation,
+          timeLimit: result.gridDimensions.cols * 60
+        }).catch(err => {
+          console.warn('Single-player saves unavailable:', err);
+          return null;
+        });
+
         setProgress('Ready!');
 
         onGameCreated({
           pieces: result.pieces,
           gridDimensions: result.gridDimensions,
+          seed: result.seed,
+          rotation,
           imagePreview,
           isSinglePlayer: true,
-          mode: selectedMode
+          mode: selectedMode,
+          save
+        });
+      } else if (hotseat) {
+        // Pass & Play: both players on this device, so no game on the server
+        setProgress('Processing image...');
+
+        const { ImageProcessor } = await import('../lib/gameLogic');
+        const processor = new ImageProcessor(imageFile, gridSize, randomSeed());
+        await processor.loadImage();
+        const result = await processor.sliceImage();
+
+        setProgress('Ready!');
+
+        onGameCreated({
+          pieces: result.pieces,
+          gridDimensions: result.gridDimensions,
+          seed: result.seed,
+          rotation,
+          imagePreview,
+          isHotseat: true,
+          mode: selectedMode,
+          names: playerNames
         });
       } else {
         // Multiplayer: use existing flow
@@ -677,13 +1298,17 @@ const CreateGameScreen = ({ user, multiplayerRef, connectionManager, selectedMod
         const result = await gameHost.createGame(imageFile, {
           gridSize,
           timeLimit: (gridSize + 2) * 60, // (gridSize + 2) minutes for multiplayer
-          mode: selectedMode || 'CLASSIC'
+          mode: selectedMode || 'CLASSIC',
+          rotation,
+          maxPlayers,
+          teams: teams && maxPlayers === TEAM_CONFIG.PLAYERS
         });
 
         // Setup connection manager for reconnection
         connectionManager.setReconnectCallback(async () => {
           if (result.gameId) {
             gameHost.realtimeChannel = await gameHost.setupBroadcastChannel(result.gameId);
+            await gameHost.requestStateSnapshot();
           }
         });
         connectionManager.updateStatus(CONNECTION_STATUS.CONNECTED);
@@ -735,7 +1360,13 @@ const CreateGameScreen = ({ user, multiplayerRef, connectionManager, selectedMod
         Back
       </button>
 
-      <h2 className="text-3xl font-bold text-white mb-6">Create New Game</h2>
+      <h2 className={`text-3xl font-bold text-white ${challengeName || hotseat ? 'mb-1' : 'mb-6'}`}>Create New Game</h2>
+      {challengeName && (
+        <p className="text-purple-200 mb-6">{challengeName} will get your challenge once the game is created</p>
+      )}
+      {hotseat && (
+        <p className="text-purple-200 mb-6">Pass &amp; Play: both players take turns on this device</p>
+      )}
 
       <div className="bg-white/5 backdrop-blur-md rounded-xl p-4 sm:p-6 mb-4 sm:mb-6 border border-white/10">
         <label className="block text-white font-semibold mb-3">
@@ -835,6 +1466,81 @@ const CreateGameScreen = ({ user, multiplayerRef, connectionManager, selectedMod
           <span>Medium</span>
           <span>Hard</span>
         </div>
+
+        <label className="flex items-center justify-between mt-5 cursor-pointer">
+          <span>
+            <span className="block text-purple-200 text-sm">Piece Rotation</span>
+            <span className="block text-purple-400 text-xs">Pieces arrive turned and must be rotated upright</span>
+          </span>
+          <input
+            type="checkbox"
+            checked={rotation}
+            onChange={(e) => setRotation(e.target.checked)}
+            disabled={creating}
+            className="w-5 h-5 accent-purple-500"
+          />
+        </label>
+
+        {hotseat && (
+          <div className="mt-5">
+            <span className="block text-purple-200 text-sm mb-2">Players on this device</span>
+            <div className="flex gap-2">
+              {getSeats(2).map(seat => (
+                <input
+                  key={seat}
+                  type="text"
+                  value={playerNames[seat]}
+                  onChange={(e) => setPlayerNames(prev => ({ ...prev, [seat]: e.target.value }))}
+                  placeholder={getSeatLabel(seat)}
+                  maxLength={20}
+                  disabled={creating}
+                  className="flex-1 min-w-0 bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm placeholder-purple-400 focus:outline-none focus:border-cyan-400"
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {isModeMultiplayer(selectedMode) && !hotseat && !getModeConfig(selectedMode).features.cooperative && (
+          <div className="mt-5">
+            <span className="block text-purple-200 text-sm mb-2">Players</span>
+            <div className="flex gap-2">
+              {PLAYER_COUNTS.map(n => (
+                <button
+                  key={n}
+                  onClick={() => setMaxPlayers(n)}
+                  disabled={creating}
+                  className={`flex-1 py-2 rounded-lg text-sm font-medium transition-colors ${maxPlayers === n
+                    ? 'bg-purple-500/30 text-white border border-purple-400'
+                    : 'bg-white/5 text-purple-300 border border-white/10 hover:bg-white/10'
+                    }`}
+                >
+                  {n}
+                </button>
+              ))}
+            </div>
+            {maxPlayers > 2 && (
+              <p className="text-purple-400 text-xs mt-1.5">
+                Turns go round the table; the next player checks each placement
+              </p>
+            )}
+            {maxPlayers === TEAM_CONFIG.PLAYERS && (
+              <label className="flex items-center justify-between mt-3 cursor-pointer">
+                <span>
+                  <span className="block text-purple-200 text-sm">2v2 Teams</span>
+                  <span className="block text-purple-400 text-xs">Partners share a score, see each other&apos;s racks and can pass pieces</span>
+                </span>
+                <input
+                  type="checkbox"
+                  checked={teams}
+                  onChange={(e) => setTeams(e.target.checked)}
+                  disabled={creating}
+                  className="w-5 h-5 accent-purple-500"
+                />
+              </label>
+            )}
+          </div>
+        )}
       </div>
 
       <button
@@ -850,7 +1556,7 @@ const CreateGameScreen = ({ user, multiplayerRef, connectionManager, selectedMod
             <RefreshCw className="w-5 h-5 animate-spin" />
             {progress || 'Creating Game...'}
           </span>
-        ) : 'Create Game'}
+        ) : hotseat ? 'Start Game' : 'Create Game'}
       </button>
     </div>
   );
@@ -860,10 +1566,15 @@ const CreateGameScreen = ({ user, multiplayerRef, connectionManager, selectedMod
 // WAITING ROOM
 // =====================================================
 
-const WaitingRoom = ({ gameCode, multiplayerRef, onCancel, onGameStart }) => {
+const WaitingRoom = ({ gameCode, invitedName, multiplayerRef, onCancel, onGameStart }) => {
   const [copied, setCopied] = useState(false);
   const [opponentName, setOpponentName] = useState(null);
   const [players, setPlayers] = useState([]);
+  const [spectatorCount, setSpectatorCount] = useState(0);
+  // Filled seats of a 3-4 player lobby
+  const [seats, setSeats] = useState(() => multiplayerRef.current?.seats || []);
+  const maxPlayers = multiplayerRef.current?.maxPlayers || PLAYER_CONFIG.MIN_PLAYERS;
+  const isTeamGame = !!multiplayerRef.current?.gameLogic?.teams;
 
   // Setup callbacks for opponent joining
   useEffect(() => {
@@ -884,6 +1595,8 @@ const WaitingRoom = ({ gameCode, multiplayerRef, onCancel, onGameStart }) => {
     gameHost.onPresenceUpdate = (playerList) => {
       setPlayers(playerList);
     };
+    gameHost.onSpectatorCountChange = setSpectatorCount;
+    gameHost.onSeatsChange = (rows) => setSeats([...rows]);
 
     // Listen for game updates
     gameHost.onGameUpdate = (game) => {
@@ -898,6 +1611,8 @@ const WaitingRoom = ({ gameCode, multiplayerRef, onCancel, onGameStart }) => {
     return () => {
       gameHost.onOpponentJoin = null;
       gameHost.onPresenceUpdate = null;
+      gameHost.onSpectatorCountChange = null;
+      gameHost.onSeatsChange = null;
       gameHost.onGameUpdate = null;
     };
   }, [multiplayerRef, onGameStart]);
@@ -944,8 +1659,12 @@ const WaitingRoom = ({ gameCode, multiplayerRef, onCancel, onGameStart }) => {
               <Users className="w-8 h-8 text-cyan-400 animate-pulse" />
             </div>
 
-            <h2 className="text-2xl font-bold text-white mb-2">Waiting for Opponent...</h2>
-            <p className="text-purple-200 mb-6">Share this code to start playing</p>
+            <h2 className="text-2xl font-bold text-white mb-2">
+              {maxPlayers > 2 ? `Waiting for Players (${seats.length}/${maxPlayers})` : 'Waiting for Opponent...'}
+            </h2>
+            <p className="text-purple-200 mb-6">
+              {invitedName ? `Challenge sent to ${invitedName}. They can also join with this code` : 'Share this code to start playing'}
+            </p>
 
             <div className="bg-gradient-to-r from-purple-600 to-pink-600 rounded-xl p-4 sm:p-6 mb-4 sm:mb-6">
               <p className="text-white/80 text-xs sm:text-sm mb-1 sm:mb-2">Game Code</p>
@@ -954,12 +1673,36 @@ const WaitingRoom = ({ gameCode, multiplayerRef, onCancel, onGameStart }) => {
               </p>
             </div>
 
+            {maxPlayers > 2 && (
+              <ul className="mb-4 space-y-1 text-sm">
+                {getSeats(maxPlayers).map(seat => {
+                  const taken = seats.find(row => row.seat === seat);
+                  return (
+                    <li key={seat} className="flex justify-between bg-white/5 rounded-lg px-3 py-1.5">
+                      <span className="text-purple-300">
+                        {getSeatLabel(seat)}{isTeamGame && ` · ${getTeamLabel(getSeatTeam(seat))}`}
+                      </span>
+                      <span className={taken ? 'text-white' : 'text-purple-400 italic'}>
+                        {taken ? taken.player_name || 'Player' : 'Open'}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
             {/* Connected players indicator */}
             {players.length > 0 && (
               <div className="mb-4 text-purple-200 text-sm">
                 <p>Connected: {players.map(p => p.user_name).join(', ')}</p>
               </div>
             )}
+            {spectatorCount > 0 && (
+              <p className="mb-4 flex items-center justify-center gap-1.5 text-purple-300 text-sm">
+                <Eye className="w-4 h-4" />
+                {spectatorCount} watching
+              </p>
+            )}
 
             <button
               onClick={handleCopy}
@@ -982,7 +1725,7 @@ const WaitingRoom = ({ gameCode, multiplayerRef, onCancel, onGameStart }) => {
 // JOIN GAME SCREEN
 // =====================================================
 
-const JoinGameScreen = ({ user, multiplayerRef, connectionManager, onGameJoined, onBack, setError }) => {
+const JoinGameScreen = ({ user, multiplayerRef, connectionManager, onGameJoined, onWatch, onBack, setError }) => {
   const [gameCode, setGameCode] = useState('');
   const [joining, setJoining] = useState(false);
   const [progress, setProgress] = useState('');
@@ -1007,6 +1750,7 @@ const JoinGameScreen = ({ user, multiplayerRef, connectionManager, onGameJoined,
       connectionManager.setReconnectCallback(async () => {
         if (result.gameId) {
           gameGuest.realtimeChannel = await gameGuest.setupBroadcastChannel(result.gameId);
+          await gameGuest.requestStateSnapshot();
         }
       });
       connectionManager.updateStatus(CONNECTION_STATUS.CONNECTED);
@@ -1021,8 +1765,10 @@ const JoinGameScreen = ({ user, multiplayerRef, connectionManager, onGameJoined,
 
       onGameJoined({
         gameId: result.gameId,
+        gameCode: result.game?.game_code,
         game: result.game,
-        gameState: result.gameState
+        gameState: result.gameState,
+        waitingForPlayers: !!result.waitingForPlayers
       });
     } catch (err) {
       console.error('Error joining game:', err);
@@ -1083,6 +1829,15 @@ const JoinGameScreen = ({ user, multiplayerRef, connectionManager, onGameJoined,
             </span>
           ) : 'Join Game'}
         </button>
+
+        <button
+          onClick={() => onWatch({ gameCode })}
+          disabled={gameCode.length !== 6 || joining}
+          className="w-full mt-3 py-3 rounded-xl font-medium flex items-center justify-center gap-2 bg-white/10 hover:bg-white/20 disabled:opacity-40 disabled:cursor-not-allowed text-white transition-colors"
+        >
+          <Eye className="w-5 h-5" />
+          Watch instead
+        </button>
       </div>
     </div>
   );
@@ -1093,21 +1848,68 @@ const JoinGameScreen = ({ user, multiplayerRef, connectionManager, onGameJoined,
 // =====================================================
 
 
-const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSettingsChange, onGameEnd, onExit, setError }) => {
+const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSettingsChange, onAchievements, onGameEnd, onExit, setError }) => {
   const [gameState, setGameState] = useState(null);
   const [selectedPiece, setSelectedPiece] = useState(null);
   const [awaitingDecision, setAwaitingDecision] = useState(null);
   const [lastAction, setLastAction] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showPreview, setShowPreview] = useState(false);
+  // Host role can move to the guest if the host drops (host migration)
+  const [hosting, setHosting] = useState(() => multiplayerRef.current?.isAuthority ?? isHost);
+  const [spectatorCount, setSpectatorCount] = useState(() => multiplayerRef.current?.spectatorCount || 0);
 
-  // Track previous pending check state and scores to detect when opponent responds
+  // Track the previous pending check to detect when the opponent responds
   const prevPendingCheckRef = useRef(null);
-  const prevScoresRef = useRef(null);
 
-  // Get player identifier
-  const myPlayer = isHost ? 'playerA' : 'playerB';
-  const opponentPlayer = isHost ? 'playerB' : 'playerA';
+  // Get player identifier (3-4 player games also seat playerC/playerD)
+  const myPlayer = multiplayerRef.current?.playerKey || (isHost ? 'playerA' : 'playerB');
+  const seats = gameState?.players || getSeats(2);
+  const isMultiSeat = seats.length > 2;
+  // The next seat plays after me and checks my placements
+  const opponentPlayer = getNextSeat(seats, myPlayer);
+  const seatNames = Object.fromEntries((multiplayerRef.current?.seats || []).map(s => [s.seat, s.player_name]));
+  const seatName = (seat) => seatNames[seat] || getSeatLabel(seat);
+  // 2v2: my team, my partner and the pair we play against
+  const myTeam = gameState?.teams ? getSeatTeam(myPlayer) : null;
+  const partner = myTeam ? TEAM_CONFIG.TEAMS[myTeam].find(seat => seat !== myPlayer) : null;
+  const rivalTeam = myTeam ? Object.keys(TEAM_CONFIG.TEAMS).find(team => team !== myTeam) : null;
+  const [partnerOnline, setPartnerOnline] = useState(false);
+
+  // Achievements for my seat. Held back until the result is in, since a
+  // row badge would give away that a piece is right before it's checked.
+  const achievementTrackerRef = useRef(null);
+  useEffect(() => {
+    const multiplayer = multiplayerRef.current;
+    if (!multiplayer?.gameLogic) return;
+
+    const tracker = achievementService.track(multiplayer.gameLogic, {
+      userId: multiplayer.userId,
+      player: myPlayer,
+      gameId: multiplayer.gameId,
+      deferred: true,
+      onUnlocked: onAchievements
+    });
+    achievementTrackerRef.current = tracker;
+
+    return () => {
+      tracker.detach();
+      achievementTrackerRef.current = null;
+    };
+  }, [multiplayerRef, myPlayer, onAchievements]);
+
+  // The server only grants badges for a finished game, so the unlocks
+  // wait for `completion` (onGameEnd, which records the result)
+  const reportAchievements = useCallback((winner, completion) => {
+    const tracker = achievementTrackerRef.current;
+    const gameLogic = multiplayerRef.current?.gameLogic;
+    if (!tracker || !gameLogic) return;
+
+    achievementTrackerRef.current = null;
+    gameLogic.reportGameEnd(winner);
+    tracker.detach();
+    Promise.resolve(completion).finally(() => tracker.flush());
+  }, [multiplayerRef]);
 
   // Initialize game state from multiplayer instance
   useEffect(() => {
@@ -1153,7 +1955,7 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
         hasPendingCheck: !!newState.pendingCheck,
         pendingCheck: newState.pendingCheck,
         myPlayer,
-        shouldShowCheckUI: newState.pendingCheck && newState.pendingCheck.player !== myPlayer
+        shouldShowCheckUI: !!newState.pendingCheck && getNextSeat(newState.players || getSeats(2), newState.pendingCheck.player) === myPlayer
       });
 
       // Detect when pendingCheck is resolved (was set, now null)
@@ -1161,37 +1963,19 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
       const currentPendingCheck = newState.pendingCheck;
 
       if (prevPendingCheck && !currentPendingCheck && prevPendingCheck.player === myPlayer) {
-        // I was the placer, and the pending check has been resolved
-        // Update lastAction to show the result
-        const prevScores = prevScoresRef.current || {};
-        const currentScores = newState.scores || {};
-        const myScore = currentScores[myPlayer]?.score || 0;
-        const opponentScore = currentScores[opponentPlayer]?.score || 0;
-        const prevMyScore = prevScores[myPlayer]?.score || 0;
-        const prevOpponentScore = prevScores[opponentPlayer]?.score || 0;
-        const myDelta = myScore - prevMyScore;
-        const opponentDelta = opponentScore - prevOpponentScore;
-
-        let message = '';
-        let resultType = '';
-
-        if (myDelta > 0) {
-          // I gained points - opponent checked and was wrong (failed_check)
-          message = `Opponent checked - you gained ${myDelta} points! Piece was correct.`;
-          resultType = 'failed_check';
-        } else if (opponentDelta > 0 && myDelta === 0) {
-          // Opponent gained points - they checked and caught wrong piece (successful_check)
-          message = 'Opponent checked - piece was wrong and removed!';
-          resultType = 'successful_check';
-        } else if (myDelta === 0 && opponentDelta === 0) {
-          // No score changes - opponent passed
-          message = 'Opponent passed - piece stays on board.';
-          resultType = 'opponent_passed';
-        } else if (myDelta < 0) {
-          // Both penalized - opponent passed on wrong piece
-          message = `Opponent passed on wrong piece - both penalized ${Math.abs(myDelta)} points.`;
-          resultType = 'opponent_passed_incorrect';
-        }
+        // I was the placer, and the pending check has been resolved.
+        // Scores stay hidden mid-match, so the outcome comes from the
+        // check the history logged last.
+        const decision = [...(newState.moveHistory || [])].reverse().find(entry => entry.type === 'check');
+        const resultType = decision?.outcome || '';
+        const message = {
+          failed_check: 'Opponent checked - your piece was correct and scored!',
+          successful_check: 'Opponent checked - piece was wrong and removed!',
+          opponent_passed_correct: 'Opponent passed - piece stays on board.',
+          opponent_passed_incorrect: 'Opponent passed on wrong piece - both penalized.',
+          concealed_check: 'Opponent checked. Correctness stays hidden until the next 20% milestone.',
+          concealed_pass: 'Opponent passed. Correctness stays hidden until the next 20% milestone.'
+        }[resultType];
 
         if (message) {
           console.log('📨 Updating placer message:', message);
@@ -1205,7 +1989,6 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
 
       // Update refs for next comparison
       prevPendingCheckRef.current = currentPendingCheck;
-      prevScoresRef.current = newState.scores;
 
       setGameState(newState);
       setLoading(false);
@@ -1213,25 +1996,27 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
       // Check for game completion
       if (newState.isComplete) {
         const winner = newState.winner;
-        if (winner === myPlayer) {
-          onGameEnd('you');
-        } else if (winner === opponentPlayer) {
-          onGameEnd('opponent');
-        } else {
-          onGameEnd('tie');
+        let result = 'tie';
+        if (winner === COOP_RESULT) {
+          result = 'coop';
+        } else if (winner === myPlayer || (newState.teams && winner === getSeatTeam(myPlayer))) {
+          result = 'you';
+        } else if (winner && winner !== 'tie') {
+          result = 'opponent';
         }
+        reportAchievements(winner, onGameEnd(result));
       }
 
       // Check for pending decisions
       if (newState.pendingCheck) {
-        // If there's a pending check, the player who did NOT place should check/pass
-        // pendingCheck.player is the placer, so if it's NOT me, I need to check
-        if (newState.pendingCheck.player !== myPlayer) {
+        // If there's a pending check, the next player after the placer should check/pass
+        // pendingCheck.player is the placer; with two players that's simply the other one
+        if (getNextSeat(newState.players || getSeats(2), newState.pendingCheck.player) === myPlayer) {
           console.log('✅ Showing check/pass UI for opponent decision');
           setAwaitingDecision('opponent_check');
         } else {
-          // I'm the placer, waiting for opponent to check
-          console.log('⏳ I am the placer, waiting for opponent');
+          // I'm the placer (or someone else checks), waiting for the checker
+          console.log('⏳ Waiting for the checker');
           setAwaitingDecision(null);
         }
       } else {
@@ -1242,7 +2027,32 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
     return () => {
       multiplayer.onStateUpdate = null;
     };
-  }, [multiplayerRef, gameData, myPlayer, opponentPlayer, onGameEnd, setError]);
+  }, [multiplayerRef, gameData, myPlayer, opponentPlayer, onGameEnd, reportAchievements, setError]);
+
+  // Host migration notices and spectator count
+  useEffect(() => {
+    const multiplayer = multiplayerRef.current;
+    if (!multiplayer) return;
+
+    multiplayer.onHostChange = (_hostId, isNowHost) => {
+      setHosting(isNowHost);
+      setLastAction({
+        type: 'host_change',
+        message: isNowHost
+          ? 'Opponent disconnected - you are now hosting the match.'
+          : 'Your opponent is now hosting the match.'
+      });
+    };
+
+    multiplayer.onSpectatorCountChange = setSpectatorCount;
+    multiplayer.onPartnerPresenceChange = setPartnerOnline;
+
+    return () => {
+      multiplayer.onHostChange = null;
+      multiplayer.onSpectatorCountChange = null;
+      multiplayer.onPartnerPresenceChange = null;
+    };
+  }, [multiplayerRef]);
 
   // Timer countdown effect
   useEffect(() => {
@@ -1259,7 +2069,7 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
 
       if (gameLogic.timerRemaining <= 0) {
         clearInterval(interval);
-        onGameEnd('timeout');
+        reportAchievements(null, onGameEnd('timeout'));
         return;
       }
 
@@ -1271,7 +2081,7 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
     }, 1000);
 
     return () => clearInterval(interval);
-  }, [multiplayerRef, onGameEnd]); // Only depend on refs that don't change
+  }, [multiplayerRef, onGameEnd, reportAchievements]); // Only depend on refs that don't change
 
   // Format time display
   const formatTime = (seconds) => {
@@ -1282,15 +2092,36 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
 
 
   const isNexusMode = gameState?.mode === 'NEXUS';
-  const isMyTurn = isNexusMode || (gameState?.currentTurn === myPlayer && !awaitingDecision);
+  const modeFeatures = getModeConfig(gameState?.mode).features;
+  // NEXUS and SAVANT: both players place at once, no turns
+  const isSimultaneous = !!modeFeatures.simultaneous;
+  // COOP: one shared rack, no opponent
+  const isCoop = !!modeFeatures.cooperative;
+  const isMyTurn = isSimultaneous || (gameState?.currentTurn === myPlayer && !awaitingDecision);
+
+  // Round counters for SUPER/SAGE (multi-turn) and the check modes
+  const turnsPerRound = modeFeatures.turnsPerRound;
+  const turnsLeft = gameState?.turnsRemaining?.[gameState?.currentTurn];
+  const showTurnCounter = !isSimultaneous && turnsPerRound > 1 && Number.isFinite(turnsLeft);
+  const hasChecks = modeFeatures.checksPerTurn > 0;
+  const myChecksLeft = gameState?.checksRemaining?.[myPlayer] ?? modeFeatures.checksPerTurn;
+  const checkerReward = getModeScoring(gameState?.mode).checkerSuccess || 5;
 
   // Handle piece selection
   const handlePieceSelect = (piece) => {
-    // In Nexus: always allow selection (no turn-gating)
-    if (!isNexusMode && (!isMyTurn || awaitingDecision)) return;
+    // Simultaneous modes: always allow selection (no turn-gating)
+    if (!isSimultaneous && (!isMyTurn || awaitingDecision)) return;
     setSelectedPiece(piece);
   };
 
+  // Rotation only changes the local rack, so it is allowed off-turn too
+  const handlePieceRotate = (pieceId, steps) => {
+    if (!multiplayerRef.current || !gameState?.rotationEnabled) return;
+    const result = multiplayerRef.current.rotatePiece(pieceId, steps);
+    if (!result.success) {
+      setError(result.message);
+    }
+  };
 
 
 
@@ -1325,6 +2156,15 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
           correct: result.correct,
           message: 'Piece placed. Waiting for opponent to check or pass...'
         });
+      } else if (result.scored) {
+        // SAVANT: verified on the spot
+        setLastAction({
+          type: 'placed',
+          result: result.correct ? 'correct_placement' : 'wrong_placement',
+          message: result.correct
+            ? 'Correct piece!'
+            : result.returned ? `Wrong spot — piece returned to ${isCoop ? 'the shared' : 'your'} rack.` : 'Wrong spot.'
+        });
       }
     } catch (err) {
       console.error('Move error:', err);
@@ -1334,6 +2174,25 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
     }
   };
 
+  // 2v2: hand the selected piece to my partner (doesn't use the turn)
+  const handlePassPiece = async (pieceId) => {
+    if (!multiplayerRef.current || !partner) return;
+    try {
+      const result = await multiplayerRef.current.passPiece(pieceId);
+      if (result.success) {
+        setSelectedPiece(null);
+        setLastAction({
+          type: 'pass',
+          message: `Passed piece #${pieceId} to ${seatName(partner)}`
+        });
+      } else {
+        setError(result.message);
+      }
+    } catch (err) {
+      setError('Failed to pass piece: ' + err.message);
+    }
+  };
+
   // Handle marking pieces (Nexus mode only)
   const handleMarkPiece = async (gridIndex, markType) => {
     if (!multiplayerRef.current || !isNexusMode) return;
@@ -1376,41 +2235,31 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
     if (!multiplayerRef.current) return;
 
     try {
-      // Capture previous scores for delta calculation
-      const prevScores = gameState ? {
-        myScore: gameState.scores?.[myPlayer]?.score || 0,
-        opponentScore: gameState.scores?.[opponentPlayer]?.score || 0
-      } : null;
-
       const result = await multiplayerRef.current.respondToCheck(decision);
+      if (result?.success === false) {
+        setError(result.message);
+        return;
+      }
 
-      // Calculate score deltas from the current game logic state (already updated)
+      // The result carries the points; the scores themselves stay hidden
       let friendlyMessage = result.message;
-      if (prevScores && multiplayerRef.current.gameLogic) {
-        const currentScores = multiplayerRef.current.gameLogic.scores;
-        const myNewScore = currentScores[myPlayer]?.score || 0;
-        const opponentNewScore = currentScores[opponentPlayer]?.score || 0;
-        const myDelta = myNewScore - prevScores.myScore;
-        const opponentDelta = opponentNewScore - prevScores.opponentScore;
-
-        // Create friendly messages based on the result
-        if (result.result === 'successful_check') {
-          // Checker caught incorrect piece
-          friendlyMessage = `You gained ${myDelta} points for catching an incorrect piece!`;
-        } else if (result.result === 'failed_check') {
-          // Placer's piece was correct
-          friendlyMessage = `Opponent gained ${opponentDelta} points for a correct piece.`;
-        } else if (result.result === 'concealed_check') {
-          friendlyMessage = 'You checked. Correctness stays hidden until the next 20% milestone.';
-        } else if (result.result === 'concealed_pass') {
-          friendlyMessage = 'You passed. Correctness stays hidden until the next 20% milestone.';
-        } else if (result.result === 'opponent_passed_correct') {
-          // Opponent passed, piece was correct
-          friendlyMessage = 'Opponent passed — piece was correct. Turn moves to opponent.';
-        } else if (result.result === 'opponent_passed_incorrect') {
-          // Opponent passed, piece was incorrect, both penalized
-          friendlyMessage = `Both players penalized (${myDelta}). Piece removed and returned to placer.`;
-        }
+      // Create friendly messages based on the result
+      if (result.result === 'successful_check') {
+        // Checker caught incorrect piece
+        friendlyMessage = `You gained ${result.checkerGained} points for catching an incorrect piece!`;
+      } else if (result.result === 'failed_check') {
+        // Placer's piece was correct
+        friendlyMessage = `Opponent gained ${result.placerGained} points for a correct piece.`;
+      } else if (result.result === 'concealed_check') {
+        friendlyMessage = 'You checked. Correctness stays hidden until the next 20% milestone.';
+      } else if (result.result === 'concealed_pass') {
+        friendlyMessage = 'You passed. Correctness stays hidden until the next 20% milestone.';
+      } else if (result.result === 'opponent_passed_correct') {
+        // Opponent passed, piece was correct
+        friendlyMessage = 'Opponent passed — piece was correct. Turn moves to opponent.';
+      } else if (result.result === 'opponent_passed_incorrect') {
+        // Opponent passed, piece was incorrect, both penalized
+        friendlyMessage = `Both players penalized (${result.bothPenalized}). Piece removed and returned to placer.`;
       }
 
       setLastAction({
@@ -1431,11 +2280,12 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
   const opponentScore = displayScores?.[opponentPlayer]?.score || 0;
   const myStreak = displayScores?.[myPlayer]?.streak || 0;
   const myAccuracy = displayScores?.[myPlayer]?.accuracy || 100;
+  const teamScore = (team) => TEAM_CONFIG.TEAMS[team].reduce((total, seat) => total + (displayScores?.[seat]?.score || 0), 0);
 
   // Memoize rack selection to prevent unnecessary re-renders
   const myRack = useMemo(() => {
-    return isHost ? (gameState?.playerARack || []) : (gameState?.playerBRack || []);
-  }, [isHost, gameState?.playerARack, gameState?.playerBRack]);
+    return gameState?.racks?.[myPlayer] || [];
+  }, [myPlayer, gameState?.racks]);
 
 
 
@@ -1470,33 +2320,75 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
       <div className="bg-white/5 backdrop-blur-md rounded-xl p-2.5 sm:p-4 mb-3 sm:mb-6">
         <div className="flex items-center justify-between">
           {/* You */}
-          <div className={`flex-1 min-w-0 rounded-lg p-1.5 sm:p-2 ${isNexusMode
+          <div className={`flex-1 min-w-0 rounded-lg p-1.5 sm:p-2 ${isSimultaneous
               ? 'ring-2 ring-purple-400'
               : isMyTurn ? 'ring-2 ring-yellow-400' : 'opacity-70'
             }`}>
-            <p className="text-white font-bold text-xs sm:text-base truncate">You {isHost ? '(Host)' : '(Guest)'}</p>
+            <p className="text-white font-bold text-xs sm:text-base truncate">You {hosting ? '(Host)' : '(Guest)'}</p>
             <p className="text-purple-300 text-xs sm:text-base">Score: {myScore}</p>
             <p className="text-purple-400 text-[10px] sm:text-sm hidden sm:block">Streak: {myStreak} | Accuracy: {myAccuracy}%</p>
+            {myTeam && (
+              <p className="text-cyan-300 text-xs sm:text-sm truncate">
+                {getTeamLabel(myTeam)} (with {seatName(partner)}): {teamScore(myTeam)}
+              </p>
+            )}
           </div>
 
           <div className="text-center px-2 sm:px-4 flex-shrink-0">
             <p className="text-lg sm:text-2xl font-mono font-bold text-white">{formatTime(timer)}</p>
-            {isNexusMode ? (
-              <p className="text-purple-400 font-bold text-xs sm:text-base">◆ Both Playing</p>
+            {isSimultaneous ? (
+              <p className="text-purple-400 font-bold text-xs sm:text-base">◆ {isMultiSeat ? 'All' : 'Both'} Playing</p>
             ) : isMyTurn ? (
               <p className="text-yellow-400 font-bold animate-pulse text-xs sm:text-base">Your Turn</p>
             ) : (
-              <p className="text-cyan-400 text-xs sm:text-base">Opponent&apos;s Turn</p>
+              <p className="text-cyan-400 text-xs sm:text-base truncate">
+                {isMultiSeat ? `${seatName(gameState?.currentTurn)}'s Turn` : 'Opponent\'s Turn'}
+              </p>
+            )}
+            {showTurnCounter && (
+              <p className="text-purple-300 text-[10px] sm:text-xs">
+                Turn {turnsPerRound - turnsLeft + 1}/{turnsPerRound}
+              </p>
+            )}
+            {hasChecks && (
+              <p className="text-purple-300 text-[10px] sm:text-xs">
+                Your checks: {myChecksLeft}/{modeFeatures.checksPerTurn}
+              </p>
+            )}
+            {spectatorCount > 0 && (
+              <p className="flex items-center justify-center gap-1 text-purple-300 text-[10px] sm:text-xs">
+                <Eye className="w-3 h-3" />
+                {spectatorCount} watching
+              </p>
             )}
           </div>
 
           {/* Opponent */}
-          <div className={`flex-1 min-w-0 text-right rounded-lg p-1.5 sm:p-2 ${isNexusMode
+          <div className={`flex-1 min-w-0 text-right rounded-lg p-1.5 sm:p-2 ${isSimultaneous
               ? 'ring-2 ring-purple-400'
               : !isMyTurn && !awaitingDecision ? 'ring-2 ring-cyan-400' : 'opacity-70'
             }`}>
-            <p className="text-white font-bold text-xs sm:text-base">Opponent</p>
-            <p className="text-purple-300 text-xs sm:text-base">Score: {opponentScore}</p>
+            {rivalTeam && (
+              <p className="text-white font-bold text-xs sm:text-base">{getTeamLabel(rivalTeam)}: {teamScore(rivalTeam)}</p>
+            )}
+            {isMultiSeat ? (
+              seats.filter(seat => seat !== myPlayer).map(seat => (
+                <p
+                  key={seat}
+                  className={`text-xs sm:text-sm truncate ${!isSimultaneous && gameState?.currentTurn === seat ? 'text-cyan-300 font-bold' : 'text-purple-300'}`}
+                >
+                  {seatName(seat)}{seat === partner && ' (partner)'}: {displayScores?.[seat]?.score || 0}
+                </p>
+              ))
+            ) : (
+              <>
+                <p className="text-white font-bold text-xs sm:text-base">{isCoop ? 'Partner' : 'Opponent'}</p>
+                <p className="text-purple-300 text-xs sm:text-base">Score: {opponentScore}</p>
+                {isCoop && (
+                  <p className="text-cyan-300 text-[10px] sm:text-sm">Together: {myScore + opponentScore}</p>
+                )}
+              </>
+            )}
           </div>
         </div>
         {/* Mobile-only compact stats row */}
@@ -1522,14 +2414,18 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
       {awaitingDecision && !isNexusMode && (
         <div className="mb-3 sm:mb-6 bg-yellow-500/20 rounded-xl p-4 sm:p-6 border border-yellow-500/30">
           <h3 className="text-base sm:text-xl font-bold text-white mb-3 sm:mb-4 text-center">
-            Opponent placed a piece! What do you want to do?
+            {isMultiSeat ? seatName(gameState?.pendingCheck?.player) : 'Opponent'} placed a piece! What do you want to do?
           </h3>
           <div className="flex flex-col sm:flex-row gap-2 sm:gap-4 justify-center">
             <button
               onClick={() => handleCheckDecision('check')}
-              className="px-6 sm:px-8 py-3 bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-400 hover:to-emerald-500 text-white font-bold rounded-xl transition-all active:scale-95 touch-target"
+              disabled={myChecksLeft <= 0}
+              className={`px-6 sm:px-8 py-3 font-bold rounded-xl transition-all touch-target ${myChecksLeft > 0
+                ? 'bg-gradient-to-r from-green-500 to-emerald-600 hover:from-green-400 hover:to-emerald-500 text-white active:scale-95'
+                : 'bg-white/10 text-white/40 cursor-not-allowed'
+                }`}
             >
-              ✓ Check (+5 if wrong)
+              {myChecksLeft > 0 ? `✓ Check (+${checkerReward} if wrong)` : 'No checks left this round'}
             </button>
             <button
               onClick={() => handleCheckDecision('pass')}
@@ -1557,12 +2453,19 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
               myRack={myRack}
               myPlayer={myPlayer}
               isNexusMode={isNexusMode}
+              rotationEnabled={!!gameState?.rotationEnabled}
               selectedPiece={selectedPiece}
               onPieceSelected={(piece) => handlePieceSelect(piece)}
+              onPieceRotated={handlePieceRotate}
               onPiecePlaced={(pieceId, gridIndex) => handlePlacement(gridIndex)}
               onPieceMarked={(gridIndex, markType) => handleMarkPiece(gridIndex, markType)}
             />
           </Suspense>
+          {gameState?.rotationEnabled && (
+            <p className="text-purple-400 text-[10px] sm:text-xs mt-2 text-center">
+              {ROTATION_CONFIG.CONTROLS_HINT}
+            </p>
+          )}
         </div>
 
         {/* Sidebar: Stats + Actions */}
@@ -1602,6 +2505,28 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
             )}
           </div>
 
+          {/* 2v2: partner's rack and passing */}
+          {partner && (
+            <TeamPanel
+              partnerName={seatName(partner)}
+              partnerRack={multiplayerRef.current?.gameLogic?.peekPartnerRack(myPlayer) || []}
+              partnerOnline={partnerOnline}
+              selectedPiece={selectedPiece}
+              canPass={isMyTurn}
+              onPass={handlePassPiece}
+            />
+          )}
+
+          {/* Chat + quick emotes */}
+          {multiplayerRef.current?.gameId && (
+            <ChatPanel
+              multiplayerRef={multiplayerRef}
+              gameId={multiplayerRef.current.gameId}
+              myPlayer={myPlayer}
+              playerNames={seatNames}
+            />
+          )}
+
           {/* Puzzle Thumbnail — hidden on mobile to save space */}
           {(gameData?.imagePreview || multiplayerRef?.current?.imageUrl) && (
             <div className="hidden sm:block bg-white/5 backdrop-blur-md rounded-xl p-4 border border-white/10">
@@ -1712,51 +2637,118 @@ const GameplayScreen = ({ isHost, multiplayerRef, gameData, gameSettings, onSett
 // GAME OVER SCREEN
 // =====================================================
 
-const GameOverScreen = ({ winner, gameData, onPlayAgain }) => {
+// Rating after a rated match, e.g. "1216 (+16)"
+const RatingChange = ({ change }) => {
+  if (!change) return null;
+  const sign = change.change > 0 ? '+' : '';
+  return (
+    <p className="text-xs text-purple-300 mt-1">
+      Rating {change.after}{' '}
+      <span className={change.change >= 0 ? 'text-green-400' : 'text-red-400'}>
+        ({sign}{change.change})
+      </span>
+      {change.provisional && <span className="ml-1 opacity-75">provisional</span>}
+    </p>
+  );
+};
+
+const GameOverScreen = ({ winner, gameData, onPlayAgain, onReplay }) => {
   const isWinner = winner === 'you';
   const isTie = winner === 'tie';
   const isTimeout = winner === 'timeout';
+  // Co-op: the joint result from complete_game (coop_results row)
+  const isCoop = winner === 'coop';
+  const coop = gameData?.game?.coop;
+  // 3-4 player games list every seat, best score first
+  const rankedSeats = (gameData?.game?.seats?.length || 0) > 2
+    ? [...gameData.game.seats].sort((a, b) => (b.score || 0) - (a.score || 0))
+    : null;
+  // 2v2: { teamA: { score, seats }, teamB: ... } from complete_game
+  const teamResults = gameData?.game?.teams ? Object.entries(gameData.game.teams) : null;
 
   return (
     <div className="max-w-2xl mx-auto text-center">
       <div className="bg-white/5 backdrop-blur-md rounded-xl p-6 sm:p-8 border border-white/10">
         <div className={`w-16 h-16 sm:w-24 sm:h-24 rounded-full flex items-center justify-center mx-auto mb-4 sm:mb-6 ${isWinner ? 'bg-yellow-500/20' : isTie ? 'bg-purple-500/20' : 'bg-gray-500/20'
           }`}>
-          <Trophy className={`w-8 h-8 sm:w-12 sm:h-12 ${isWinner ? 'text-yellow-400' : isTie ? 'text-purple-400' : 'text-gray-400'
+          <Trophy className={`w-8 h-8 sm:w-12 sm:h-12 ${isWinner || isCoop ? 'text-yellow-400' : isTie ? 'text-purple-400' : 'text-gray-400'
             }`} />
         </div>
 
         <h2 className="text-2xl sm:text-4xl font-bold text-white mb-3 sm:mb-4">
-          {isTimeout ? '⏰ Time Up!' : isWinner ? '🎉 You Win!' : isTie ? '🤝 It\'s a Tie!' : 'Game Over'}
+          {isTimeout ? '⏰ Time Up!' : isCoop ? '🧩 Solved Together!' : isWinner ? '🎉 You Win!' : isTie ? '🤝 It\'s a Tie!' : 'Game Over'}
         </h2>
 
         <p className="text-purple-200 mb-6 sm:mb-8 text-sm sm:text-base">
           {isTimeout
             ? 'The game has ended due to time limit.'
+            : isCoop
+              ? coop
+                ? `You finished in ${Math.floor(coop.completion_seconds / 60)}:${String(coop.completion_seconds % 60).padStart(2, '0')} with ${Math.round(coop.accuracy)}% accuracy.`
+                : 'Nice teamwork!'
             : isWinner
               ? 'Congratulations on your victory!'
               : isTie
-                ? 'Great game! You both played equally well.'
+                ? rankedSeats ? 'Great game! The top spot is shared.' : 'Great game! You both played equally well.'
                 : 'Better luck next time!'}
         </p>
 
-        {gameData?.game && (
+        {rankedSeats ? (
+          <div className="bg-white/5 rounded-xl p-4 mb-6">
+            <h3 className="text-white font-semibold mb-3 text-sm sm:text-base">Final Scores</h3>
+            {teamResults && (
+              <div className="flex justify-around mb-3">
+                {teamResults.map(([team, result]) => (
+                  <div key={team}>
+                    <p className="text-cyan-300 text-xs sm:text-sm">{getTeamLabel(team)}</p>
+                    <p className="text-xl sm:text-2xl font-bold text-white">{result.score || 0}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+            <ol className="space-y-1.5 text-left">
+              {rankedSeats.map((seat, i) => (
+                <li key={seat.seat} className="flex justify-between text-sm sm:text-base">
+                  <span className="text-purple-300">
+                    {i + 1}. {seat.player_name || getSeatLabel(seat.seat)}
+                    {teamResults && <span className="text-purple-400 text-xs"> · {getTeamLabel(getSeatTeam(seat.seat))}</span>}
+                  </span>
+                  <div className="text-right">
+                    <span className="font-bold text-white">{seat.score || 0}</span>
+                    <RatingChange change={gameData.game.ratings?.[seat.seat]} />
+                  </div>
+                </li>
+              ))}
+            </ol>
+          </div>
+        ) : gameData?.game && (
           <div className="bg-white/5 rounded-xl p-4 mb-6">
             <h3 className="text-white font-semibold mb-3 text-sm sm:text-base">Final Scores</h3>
             <div className="flex justify-around">
               <div>
                 <p className="text-purple-300 text-xs sm:text-sm">{gameData.game.player_a_name || 'Player A'}</p>
                 <p className="text-xl sm:text-2xl font-bold text-white">{gameData.game.player_a_score || 0}</p>
+                <RatingChange change={gameData.game.ratings?.playerA} />
               </div>
-              <div className="text-purple-400 self-center text-sm sm:text-base">VS</div>
+              <div className="text-purple-400 self-center text-sm sm:text-base">{isCoop ? '&' : 'VS'}</div>
               <div>
                 <p className="text-purple-300 text-xs sm:text-sm">{gameData.game.player_b_name || 'Player B'}</p>
                 <p className="text-xl sm:text-2xl font-bold text-white">{gameData.game.player_b_score || 0}</p>
+                <RatingChange change={gameData.game.ratings?.playerB} />
               </div>
             </div>
           </div>
         )}
 
+        {gameData?.game?.status === 'completed' && (
+          <button
+            onClick={() => onReplay(gameData.game.id)}
+            className="w-full mb-3 bg-white/10 hover:bg-white/20 text-white py-3 rounded-xl font-semibold text-sm sm:text-base transition-colors touch-target"
+          >
+            Watch Replay
+          </button>
+        )}
+
         <button
           onClick={onPlayAgain}
           className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-400 hover:to-pink-400 text-white py-3 sm:py-4 rounded-xl font-bold text-base sm:text-lg transition-all active:scale-95 touch-target"
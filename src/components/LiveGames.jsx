@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react';
+import { Eye, RefreshCw } from 'lucide-react';
+import { gameService } from '../services/game.service';
+
+const LIVE_GAMES_LIMIT = 6;
+
+const LiveGames = ({ user, onWatch }) => {
+  const [games, setGames] = useState([]);
+  const [watchingId, setWatchingId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadGames = async () => {
+      const live = await gameService.getActiveGames(LIVE_GAMES_LIMIT, ['active']).catch(err => {
+        console.error('Failed to load live games:', err);
+        return [];
+      });
+
+      // Your own matches are under "Rejoin Game"
+      const watchable = (live || []).filter(game =>
+        game.player_a_id !== user?.id && game.player_b_id !== user?.id
+      );
+
+      if (!cancelled) {
+        setGames(watchable);
+      }
+    };
+
+    loadGames();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const handleWatch = async (game) => {
+    setWatchingId(game.id);
+    try {
+      await onWatch(game);
+    } finally {
+      setWatchingId(null);
+    }
+  };
+
+  if (games.length === 0) return null;
+
+  return (
+    <div className="mb-6 sm:mb-8">
+      <h3 className="text-lg sm:text-xl font-bold text-white mb-3">Live Games</h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+        {games.map((game) => (
+          <div
+            key={game.id}
+            className="flex items-center gap-3 bg-white/5 backdrop-blur-md rounded-xl p-3 border border-white/10"
+          >
+            <div className="flex-1 min-w-0">
+              <div className="text-white text-sm font-semibold truncate">
+                {game.player_a_name || 'Player A'} vs {game.player_b_name || 'Player B'}
+              </div>
+              <div className="text-xs text-purple-200 mt-1">
+                {game.grid_size} pieces
+              </div>
+            </div>
+
+            <button
+              onClick={() => handleWatch(game)}
+              disabled={!!watchingId}
+              className="flex items-center gap-1.5 px-3 py-2 bg-purple-600 hover:bg-purple-500 disabled:opacity-50 rounded-lg text-white text-sm font-semibold transition-colors"
+            >
+              {watchingId === game.id
+                ? <RefreshCw className="w-4 h-4 animate-spin" />
+                : <Eye className="w-4 h-4" />}
+              Watch
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LiveGames;
@@ -1,9 +1,13 @@
-import { ArrowLeft, Lock } from 'lucide-react';
+import { useState } from 'react';
+import { ArrowLeft, Lock, Globe, Smartphone } from 'lucide-react';
 import { GAME_MODES } from '../lib/gameModes';
 
-const ModeSelectScreen = ({ onModeSelect, onBack, multiplayerOnly = true }) => {
+const ModeSelectScreen = ({ onModeSelect, onBack, multiplayerOnly = true, allowHotseat = false }) => {
+  // Pass & Play: both players on this device, so two-player modes only
+  const [hotseat, setHotseat] = useState(false);
+
   const allModes = Object.values(GAME_MODES).filter(mode => {
-    if (multiplayerOnly && !mode.multiplayer) return false;
+    if ((multiplayerOnly || hotseat) && !mode.multiplayer) return false;
     return true;
   });
 
@@ -22,6 +26,39 @@ const ModeSelectScreen = ({ onModeSelect, onBack, multiplayerOnly = true }) => {
         <div className="w-12 sm:w-20"></div> {/* Spacer for centering */}
       </div>
 
+      {/* Where the game is played */}
+      {allowHotseat && (
+        <div className="max-w-md mx-auto mb-4 sm:mb-6">
+          <div className="flex rounded-lg overflow-hidden border border-white/10">
+            <button
+              onClick={() => setHotseat(false)}
+              className={`flex-1 flex items-center justify-center gap-1.5 py-2 text-xs sm:text-sm font-medium transition-colors ${!hotseat
+                ? 'bg-purple-500/30 text-white'
+                : 'bg-white/5 text-purple-300 hover:bg-white/10'
+                }`}
+            >
+              <Globe className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+              Online
+            </button>
+            <button
+              onClick={() => setHotseat(true)}
+              className={`flex-1 flex items-center justify-center gap-1.5 py-2 text-xs sm:text-sm font-medium transition-colors ${hotseat
+                ? 'bg-cyan-500/30 text-white'
+                : 'bg-white/5 text-purple-300 hover:bg-white/10'
+                }`}
+            >
+              <Smartphone className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+              Pass &amp; Play
+            </button>
+          </div>
+          {hotseat && (
+            <p className="text-purple-300 text-xs sm:text-sm mt-2 text-center">
+              Two players take turns on this device. No connection needed.
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Mode Cards Grid */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-6">
         {allModes.map((mode) => {
@@ -31,7 +68,7 @@ const ModeSelectScreen = ({ onModeSelect, onBack, multiplayerOnly = true }) => {
           return (
             <button
               key={mode.id}
-              onClick={() => isAvailable && onModeSelect(mode.id)}
+              onClick={() => isAvailable && onModeSelect(mode.id, { hotseat })}
               disabled={!isAvailable}
               className={`
                 relative group rounded-2xl p-4 sm:p-6 text-left transition-all transform
@@ -70,7 +107,7 @@ const ModeSelectScreen = ({ onModeSelect, onBack, multiplayerOnly = true }) => {
                     {mode.features.checksPerTurn === 0 ? 'No Checks' : `${mode.features.checksPerTurn} Check${mode.features.checksPerTurn !== 1 ? 's' : ''}`}
                   </span>
                   <span className={`px-1.5 sm:px-2 py-0.5 sm:py-1 rounded text-[10px] sm:text-xs font-medium ${isAvailable ? 'bg-white/20 text-white' : 'bg-gray-600 text-gray-300'}`}>
-                    {mode.multiplayer ? 'Multiplayer' : 'Solo'}
+                    {!mode.multiplayer ? 'Solo' : hotseat ? 'Pass & Play' : 'Multiplayer'}
                   </span>
                 </div>
               </div>
@@ -1,5 +1,6 @@
 import { History, CheckCircle, XCircle, Info, ChevronDown, ChevronUp } from 'lucide-react';
 import { useState } from 'react';
+import { describeHistoryEntry, getEntryType, getPlayerLabel } from '../lib/replay';
 
 const MoveHistoryPanel = ({ moveHistory = [], gridSize = 10, isVisible = true }) => {
   const [isExpanded, setIsExpanded] = useState(true);
@@ -30,14 +31,6 @@ const MoveHistoryPanel = ({ moveHistory = [], gridSize = 10, isVisible = true })
     });
   };
 
-  const getGridPosition = (gridIndex, size = gridSize) => {
-    const col = gridIndex % size;
-    const row = Math.floor(gridIndex / size);
-    const colLetter = String.fromCharCode(65 + col); // A-Z
-    const rowNumber = row + 1;
-    return `${colLetter}${rowNumber}`;
-  };
-
   return (
     <div className="bg-slate-800/80 backdrop-blur-md rounded-xl border border-slate-700 overflow-hidden">
       {/* Header */}
@@ -79,16 +72,16 @@ const MoveHistoryPanel = ({ moveHistory = [], gridSize = 10, isVisible = true })
                 <div className="flex-1 min-w-0">
                   <div className="flex items-center justify-between mb-1">
                     <span className="font-medium text-white">
-                      {entry.player === 'playerA' ? 'Player A' : 'Player B'}
+                      {getPlayerLabel(entry.player)}
                     </span>
                     <span className="text-xs opacity-75">
                       {formatTimestamp(entry.timestamp)}
                     </span>
                   </div>
                   <p className="text-sm opacity-90">
-                    Placed piece #{entry.pieceId} at {getGridPosition(entry.gridIndex)}
-                    {entry.correct === true && <span className="ml-1">✓ Correct</span>}
-                    {entry.correct === false && <span className="ml-1">✗ Incorrect</span>}
+                    {describeHistoryEntry(entry, gridSize)}
+                    {getEntryType(entry) === 'place' && entry.correct === true && <span className="ml-1">✓ Correct</span>}
+                    {getEntryType(entry) === 'place' && entry.correct === false && <span className="ml-1">✗ Incorrect</span>}
                   </p>
                 </div>
               </div>
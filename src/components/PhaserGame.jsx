@@ -21,10 +21,12 @@ const PhaserGame = ({
     myRack = [],
     myPlayer = 'playerA',
     isNexusMode = false,
+    rotationEnabled = false,
     onPiecePlaced,
     onPieceMarked,
     selectedPiece,
     onPieceSelected,
+    onPieceRotated,
     activeHint = null,
 }) => {
     const containerRef = useRef(null);
@@ -42,6 +44,7 @@ const PhaserGame = ({
     const onPiecePlacedRef = useRef(onPiecePlaced);
     const onPieceMarkedRef = useRef(onPieceMarked);
     const onPieceSelectedRef = useRef(onPieceSelected);
+    const onPieceRotatedRef = useRef(onPieceRotated);
 
     // Keep refs in sync with props
     useEffect(() => { gameStateRef.current = gameState; }, [gameState]);
@@ -53,6 +56,7 @@ const PhaserGame = ({
     useEffect(() => { onPiecePlacedRef.current = onPiecePlaced; }, [onPiecePlaced]);
     useEffect(() => { onPieceMarkedRef.current = onPieceMarked; }, [onPieceMarked]);
     useEffect(() => { onPieceSelectedRef.current = onPieceSelected; }, [onPieceSelected]);
+    useEffect(() => { onPieceRotatedRef.current = onPieceRotated; }, [onPieceRotated]);
 
     // ========== Initialize Phaser — runs once ==========
     useEffect(() => {
@@ -93,7 +97,8 @@ const PhaserGame = ({
             ghostImage,
             settings,
             isNexusMode,
-            myPlayer
+            myPlayer,
+            rotationEnabled
         });
 
         // Once Phaser boots and the scene's create() has run,
@@ -123,6 +128,8 @@ const PhaserGame = ({
             scene.events.on('rackEvent', (event) => {
                 if (event.type === 'pieceSelected') {
                     onPieceSelectedRef.current?.(event.piece);
+                } else if (event.type === 'pieceRotated') {
+                    onPieceRotatedRef.current?.(event.pieceId, event.steps);
                 }
             });
 
@@ -188,6 +195,11 @@ const PhaserGame = ({
         sceneRef.current?.setSelectedPiece(selectedPiece);
     }, [selectedPiece]);
 
+    useEffect(() => {
+        if (!sceneReadyRef.current) return;
+        sceneRef.current?.setMyPlayer(myPlayer);
+    }, [myPlayer]);
+
     useEffect(() => {
         if (!sceneReadyRef.current) return;
         sceneRef.current?.updateSettings(settings, ghostImage);
@@ -0,0 +1,331 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { User, Camera, Film, TrendingUp, Swords, Heart, BarChart3 } from 'lucide-react';
+import { profilesApi, userStatsApi } from '../api/users';
+import { gamesApi } from '../api/games';
+import { leaderboardApi } from '../api/leaderboard';
+import { storageService } from '../services/storage.service';
+import { getModeConfig } from '../lib/gameModes';
+import { PROFILE_CONFIG, getGameSeats, getGameResult, buildTrends, getFavouritePuzzles, getHeadToHead } from '../lib/profile';
+import BadgeShowcase from './BadgeShowcase';
+
+const RESULT_STYLES = {
+  win: { label: 'Won', className: 'text-green-300' },
+  loss: { label: 'Lost', className: 'text-red-300' },
+  tie: { label: 'Tie', className: 'text-yellow-300' },
+  coop: { label: 'Co-op', className: 'text-blue-300' }
+};
+
+const formatPlaytime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+const StatTile = ({ label, value }) => (
+  <div className="bg-white/5 rounded-xl p-3 text-center border border-white/10">
+    <div className="text-white text-xl sm:text-2xl font-bold">{value}</div>
+    <div className="text-purple-300 text-xs mt-1">{label}</div>
+  </div>
+);
+
+const Panel = ({ icon: Icon, title, children }) => (
+  <div className="mb-6 bg-white/10 backdrop-blur-md rounded-2xl p-4 sm:p-6 border border-white/20">
+    <h3 className="flex items-center gap-2 text-lg sm:text-xl font-bold text-white mb-3">
+      <Icon className="w-5 h-5 text-purple-300" />
+      {title}
+    </h3>
+    {children}
+  </div>
+);
+
+// Line chart of one value across games, oldest on the left
+const TrendChart = ({ points, valueKey, label, suffix = '', color }) => {
+  const values = points.map(point => point[valueKey]).filter(value => value != null);
+  if (values.length < 2) {
+    return <p className="text-purple-300 text-sm">Play a few more games to see your {label.toLowerCase()} trend.</p>;
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const line = values
+    .map((value, i) => `${(i / (values.length - 1)) * 100},${38 - ((value - min) / range) * 36}`)
+    .join(' ');
+  const average = Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+
+  return (
+    <div>
+      <div className="flex items-baseline justify-between text-sm mb-1">
+        <span className="text-purple-200">{label}</span>
+        <span className="text-white font-semibold">
+          {values[values.length - 1]}{suffix}
+          <span className="text-purple-300 font-normal text-xs"> · avg {average}{suffix}</span>
+        </span>
+      </div>
+      <svg viewBox="0 0 100 40" preserveAspectRatio="none" className="w-full h-20 bg-white/5 rounded-lg">
+        <polyline points={line} fill="none" stroke={color} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+      </svg>
+    </div>
+  );
+};
+
+// The signed-in player's profile: avatar, overall and per-mode records,
+// trends, favourite puzzles, recent games, rivals and badges
+const ProfileScreen = ({ user, onBack, onReplay }) => {
+  const [profile, setProfile] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [rank, setRank] = useState(null);
+  const [ratings, setRatings] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    let cancelled = false;
+
+    const loadProfile = async () => {
+      const logError = (what) => (err) => {
+        console.error(`Failed to load ${what}:`, err);
+        return null;
+      };
+
+      const [profileData, statsData, rankData, ratingsData, historyData] = await Promise.all([
+        profilesApi.getProfile(user.id).catch(logError('profile')),
+        userStatsApi.getStats(user.id).catch(logError('stats')),
+        userStatsApi.getUserRank(user.id).catch(logError('rank')),
+        leaderboardApi.getUserRatings(user.id).catch(logError('ratings')),
+        gamesApi.getUserGameHistory(user.id, PROFILE_CONFIG.HISTORY_LIMIT).catch(logError('game history'))
+      ]);
+
+      if (cancelled) return;
+      setProfile(profileData);
+      setStats(statsData);
+      setRank(rankData);
+      setRatings(ratingsData || []);
+      setHistory(historyData || []);
+      setLoading(false);
+    };
+
+    loadProfile();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const trends = useMemo(() => buildTrends(history, user?.id), [history, user]);
+  const favourites = useMemo(() => getFavouritePuzzles(history, user?.id), [history, user]);
+  const rivals = useMemo(() => getHeadToHead(history, user?.id), [history, user]);
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    setError(null);
+    try {
+      const url = await storageService.uploadAvatar(user.id, file);
+      // The storage path never changes, so bust cached copies of the old one
+      const updated = await profilesApi.updateProfile(user.id, { avatar_url: `${url}?v=${Date.now()}` });
+      setProfile(updated);
+      console.log('📸 Avatar updated');
+    } catch (err) {
+      console.error('Failed to upload avatar:', err);
+      setError(err.message || 'Could not upload avatar');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const winRate = stats?.games_played ? Math.round((stats.games_won / stats.games_played) * 100) : 0;
+  const displayName = profile?.display_name || profile?.username || user?.user_metadata?.username || 'Player';
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <button
+        onClick={onBack}
+        className="text-purple-400 hover:text-purple-300 mb-6 flex items-center gap-2"
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Back
+      </button>
+
+      <div className="flex items-center gap-4 sm:gap-6 mb-6">
+        <div className="relative flex-shrink-0">
+          <div className="w-20 h-20 sm:w-24 sm:h-24 rounded-full overflow-hidden bg-white/10 border-2 border-purple-400/50 flex items-center justify-center">
+            {profile?.avatar_url ? (
+              <img src={profile.avatar_url} alt={displayName} className="w-full h-full object-cover" />
+            ) : (
+              <User className="w-10 h-10 text-purple-300" />
+            )}
+          </div>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploading}
+            className="absolute -bottom-1 -right-1 p-2 bg-purple-600 hover:bg-purple-500 rounded-full text-white disabled:opacity-50 transition-colors"
+            aria-label="Change avatar"
+          >
+            <Camera className="w-4 h-4" />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            onChange={handleAvatarChange}
+            className="hidden"
+          />
+        </div>
+        <div className="min-w-0">
+          <h2 className="text-2xl sm:text-3xl font-bold text-white truncate">{displayName}</h2>
+          <p className="text-purple-200 text-sm">
+            {rank ? `Rank #${rank}` : 'Unranked'}
+            {profile?.created_at && ` · Joined ${new Date(profile.created_at).toLocaleDateString()}`}
+          </p>
+          {uploading && <p className="text-purple-300 text-xs mt-1">Uploading avatar...</p>}
+        </div>
+      </div>
+
+      {error && (
+        <p className="mb-4 text-red-300 text-sm">{error}</p>
+      )}
+
+      {loading ? (
+        <p className="text-purple-200">Loading profile...</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-6">
+            <StatTile label="Games played" value={stats?.games_played || 0} />
+            <StatTile label="Win rate" value={`${winRate}%`} />
+            <StatTile label="W / L / T" value={`${stats?.games_won || 0} / ${stats?.games_lost || 0} / ${stats?.games_tied || 0}`} />
+            <StatTile label="Total score" value={stats?.total_score || 0} />
+            <StatTile label="Best streak" value={stats?.best_streak || 0} />
+            <StatTile label="Best accuracy" value={`${Math.round(stats?.best_accuracy || 0)}%`} />
+            <StatTile label="Time played" value={formatPlaytime(stats?.total_playtime_seconds || 0)} />
+            <StatTile label="Rank" value={rank ? `#${rank}` : '—'} />
+          </div>
+
+          <Panel icon={BarChart3} title="Record by Mode">
+            {ratings.length === 0 ? (
+              <p className="text-purple-300 text-sm">No rated games yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-purple-300 text-left">
+                      <th className="py-1 font-normal">Mode</th>
+                      <th className="py-1 font-normal text-right">Rating</th>
+                      <th className="py-1 font-normal text-right">Played</th>
+                      <th className="py-1 font-normal text-right">W</th>
+                      <th className="py-1 font-normal text-right">L</th>
+                      <th className="py-1 font-normal text-right">T</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {ratings.map(entry => (
+                      <tr key={entry.mode} className="text-white border-t border-white/10">
+                        <td className="py-1.5">{getModeConfig(entry.mode).name}</td>
+                        <td className="py-1.5 text-right">
+                          {entry.rating}
+                          {entry.provisional && <span className="text-purple-300">?</span>}
+                        </td>
+                        <td className="py-1.5 text-right">{entry.gamesPlayed}</td>
+                        <td className="py-1.5 text-right text-green-300">{entry.gamesWon}</td>
+                        <td className="py-1.5 text-right text-red-300">{entry.gamesLost}</td>
+                        <td className="py-1.5 text-right text-yellow-300">{entry.gamesTied}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </Panel>
+
+          <Panel icon={TrendingUp} title="Trends">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <TrendChart points={trends} valueKey="accuracy" label="Accuracy" suffix="%" color="#4ade80" />
+              <TrendChart points={trends} valueKey="score" label="Score" color="#c084fc" />
+            </div>
+          </Panel>
+
+          {favourites.length > 0 && (
+            <Panel icon={Heart} title="Favourite Puzzles">
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                {favourites.map(puzzle => (
+                  <div key={puzzle.imageId} className="bg-white/5 rounded-xl overflow-hidden border border-white/10">
+                    <img src={puzzle.url} alt={puzzle.name} className="w-full aspect-square object-cover" />
+                    <div className="p-2 text-xs text-purple-200">
+                      Played {puzzle.played}× · won {puzzle.won}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </Panel>
+          )}
+
+          <Panel icon={Film} title="Recent Games">
+            {history.length === 0 ? (
+              <p className="text-purple-300 text-sm">No finished games yet.</p>
+            ) : (
+              <div className="space-y-2">
+                {history.slice(0, PROFILE_CONFIG.RECENT_GAMES).map(game => {
+                  const result = RESULT_STYLES[getGameResult(game, user.id)];
+                  const seats = getGameSeats(game);
+                  return (
+                    <div key={game.id} className="flex items-center gap-3 bg-white/5 rounded-xl p-3 border border-white/10">
+                      <div className="flex-1 min-w-0">
+                        <div className="text-white text-sm font-semibold truncate">
+                          {seats.map(s => s.player_name).join(' vs ')}
+                        </div>
+                        <div className="text-xs text-purple-200 mt-1">
+                          <span className={result.className}>{result.label}</span>
+                          {' · '}{seats.map(s => s.score || 0).join(' – ')}
+                          {game.completed_at && ` · ${new Date(game.completed_at).toLocaleDateString()}`}
+                        </div>
+                      </div>
+                      {game.mode === 'multiplayer' && (
+                        <button
+                          onClick={() => onReplay(game)}
+                          className="flex items-center gap-1.5 px-3 py-2 bg-purple-600 hover:bg-purple-500 rounded-lg text-white text-sm font-semibold transition-colors"
+                        >
+                          <Film className="w-4 h-4" />
+                          Replay
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </Panel>
+
+          {rivals.length > 0 && (
+            <Panel icon={Swords} title="Head to Head">
+              <div className="space-y-2">
+                {rivals.map(rival => (
+                  <div key={rival.userId} className="flex items-center justify-between bg-white/5 rounded-xl p-3 border border-white/10">
+                    <span className="text-white text-sm font-semibold truncate">{rival.name}</span>
+                    <span className="text-sm text-purple-200 flex-shrink-0">
+                      {rival.played} games ·{' '}
+                      <span className="text-green-300">{rival.won}W</span>{' '}
+                      <span className="text-red-300">{rival.lost}L</span>{' '}
+                      <span className="text-yellow-300">{rival.tied}T</span>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </Panel>
+          )}
+
+          <BadgeShowcase userId={user.id} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProfileScreen;
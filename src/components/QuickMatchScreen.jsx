@@ -0,0 +1,179 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { RefreshCw, Zap } from 'lucide-react';
+import { QuickMatch, MATCH_STATUS } from '../lib/matchmaking';
+import { getAvailableModes, getModeConfig } from '../lib/gameModes';
+import ImageLibrary from './ImageLibrary';
+
+// Square grids only (see ImageProcessor.calculateGridDimensions), the same
+// sizes as tournaments and the daily puzzle
+const GRID_SIZES = [5, 8, 10, 12];
+
+const QUICK_MATCH_STATUS_TEXT = {
+  [MATCH_STATUS.SEARCHING]: 'Looking for an opponent...',
+  [MATCH_STATUS.MATCHED]: 'Opponent found!',
+  [MATCH_STATUS.CREATING]: 'Setting up the puzzle...',
+  [MATCH_STATUS.WAITING_FOR_OPPONENT]: 'Waiting for your opponent to connect...',
+  [MATCH_STATUS.JOINING]: 'Joining the game...',
+  [MATCH_STATUS.READY]: 'Starting game...'
+};
+
+// Queue for a rated match in the chosen mode and grid size. onMatchReady
+// gets the match ({ session, result, role }) once both players are in.
+const QuickMatchScreen = ({ user, onMatchReady, onBack, setError }) => {
+  const [mode, setMode] = useState('CLASSIC');
+  const [gridSize, setGridSize] = useState(8);
+  const [status, setStatus] = useState(MATCH_STATUS.IDLE);
+  const [opponentName, setOpponentName] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const quickMatchRef = useRef(null);
+
+  const modes = useMemo(() => getAvailableModes(true), []);
+  const searching = ![MATCH_STATUS.IDLE, MATCH_STATUS.TIMED_OUT, MATCH_STATUS.CANCELLED].includes(status);
+
+  // Leaving the screen mid-search takes us out of the queue
+  useEffect(() => {
+    return () => {
+      if (quickMatchRef.current) {
+        quickMatchRef.current.onStatusChange = null;
+        quickMatchRef.current.cancel();
+        quickMatchRef.current = null;
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!searching) return;
+
+    const startedAt = Date.now();
+    setElapsed(0);
+    const interval = setInterval(() => setElapsed(Math.floor((Date.now() - startedAt) / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, [searching]);
+
+  const handleFindMatch = async () => {
+    if (!user || quickMatchRef.current) return;
+
+    const quickMatch = new QuickMatch({ images: ImageLibrary.BUILT_IN_IMAGES });
+    quickMatch.onStatusChange = (nextStatus, entry) => {
+      setStatus(nextStatus);
+      setOpponentName(entry?.opponent_name || null);
+    };
+    quickMatchRef.current = quickMatch;
+    setStatus(MATCH_STATUS.SEARCHING);
+    setOpponentName(null);
+
+    try {
+      const match = await quickMatch.start({
+        mode,
+        gridSize,
+        playerName: user.user_metadata?.username || 'Player'
+      });
+      if (!match) return;
+
+      quickMatchRef.current = null;
+      onMatchReady(match);
+    } catch (err) {
+      console.error('Error finding match:', err);
+      setError('Quick match failed: ' + (err.message || 'Unknown error'));
+      setStatus(MATCH_STATUS.IDLE);
+    } finally {
+      quickMatchRef.current = null;
+    }
+  };
+
+  const handleCancel = async () => {
+    const quickMatch = quickMatchRef.current;
+    if (!quickMatch) return;
+    await quickMatch.cancel();
+  };
+
+  return (
+    <div className="max-w-md mx-auto">
+      <button
+        onClick={onBack}
+        className="text-purple-400 hover:text-purple-300 mb-6 flex items-center gap-2"
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Back
+      </button>
+
+      <div className="text-center mb-8">
+        <h2 className="text-3xl font-bold text-white mb-2">Quick Match</h2>
+        <p className="text-purple-200">Get paired with a player of similar rating</p>
+      </div>
+
+      {searching ? (
+        <div className="bg-white/5 backdrop-blur-md rounded-xl p-8 border border-white/10 text-center">
+          <div className="w-16 h-16 bg-amber-500/20 rounded-full flex items-center justify-center mx-auto mb-4">
+            <Zap className="w-8 h-8 text-amber-400 animate-pulse" />
+          </div>
+          <h3 className="text-xl font-bold text-white mb-1">
+            {QUICK_MATCH_STATUS_TEXT[status] || 'Looking for an opponent...'}
+          </h3>
+          {opponentName && status !== MATCH_STATUS.SEARCHING && (
+            <p className="text-purple-200 mb-1">vs {opponentName}</p>
+          )}
+          <p className="text-purple-300 text-sm mb-6">
+            {getModeConfig(mode).name} · {gridSize}×{gridSize} · {Math.floor(elapsed / 60)}:{String(elapsed % 60).padStart(2, '0')}
+          </p>
+          <RefreshCw className="w-8 h-8 text-purple-400 animate-spin mx-auto mb-6" />
+          <button onClick={handleCancel} className="text-purple-400 hover:text-purple-300">
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <div className="bg-white/5 backdrop-blur-md rounded-xl p-6 border border-white/10">
+          {status === MATCH_STATUS.TIMED_OUT && (
+            <p className="mb-4 p-3 rounded-lg bg-yellow-500/10 text-yellow-200 text-sm text-center">
+              No opponent found. Try again or pick another mode or grid size.
+            </p>
+          )}
+
+          <label className="block text-purple-200 text-sm mb-2">Mode</label>
+          <div className="grid grid-cols-2 gap-2 mb-5">
+            {modes.map(m => (
+              <button
+                key={m.id}
+                onClick={() => setMode(m.id)}
+                className={`px-3 py-2 rounded-lg text-sm font-medium text-left transition-colors ${mode === m.id
+                  ? 'bg-purple-500/30 text-white ring-1 ring-purple-400'
+                  : 'bg-white/5 text-purple-200 hover:bg-white/10'
+                  }`}
+              >
+                {m.icon} {m.name}
+              </button>
+            ))}
+          </div>
+
+          <label className="block text-purple-200 text-sm mb-2">Grid Size</label>
+          <div className="grid grid-cols-4 gap-2 mb-6">
+            {GRID_SIZES.map(size => (
+              <button
+                key={size}
+                onClick={() => setGridSize(size)}
+                className={`py-2 rounded-lg text-sm font-medium transition-colors ${gridSize === size
+                  ? 'bg-purple-500/30 text-white ring-1 ring-purple-400'
+                  : 'bg-white/5 text-purple-200 hover:bg-white/10'
+                  }`}
+              >
+                {size}×{size}
+              </button>
+            ))}
+          </div>
+
+          <button
+            onClick={handleFindMatch}
+            disabled={!user}
+            className="w-full py-4 rounded-xl font-bold text-lg transition-all bg-gradient-to-r from-amber-500 to-orange-600 hover:from-amber-400 hover:to-orange-500 text-white disabled:opacity-40"
+          >
+            Find Match
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuickMatchScreen;
@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react';
+import { Film } from 'lucide-react';
+import { gamesApi } from '../api/games';
+import { getGameSeats, getGameResult } from '../lib/profile';
+
+const RECENT_MATCHES_LIMIT = 6;
+
+const RESULT_LABELS = { win: 'Won', loss: 'Lost', tie: 'Tie', coop: 'Co-op' };
+
+const RecentMatches = ({ user, onReplay }) => {
+  const [games, setGames] = useState([]);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    let cancelled = false;
+
+    const loadGames = async () => {
+      const history = await gamesApi.getUserGameHistory(user.id, RECENT_MATCHES_LIMIT).catch(err => {
+        console.error('Failed to load match history:', err);
+        return [];
+      });
+
+      if (!cancelled) {
+        setGames((history || []).filter(game => game.mode === 'multiplayer'));
+      }
+    };
+
+    loadGames();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  if (games.length === 0) return null;
+
+  return (
+    <div className="mb-6 sm:mb-8">
+      <h3 className="text-lg sm:text-xl font-bold text-white mb-3">Recent Matches</h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+        {games.map((game) => (
+          <div
+            key={game.id}
+            className="flex items-center gap-3 bg-white/5 backdrop-blur-md rounded-xl p-3 border border-white/10"
+          >
+            <div className="flex-1 min-w-0">
+              <div className="text-white text-sm font-semibold truncate">
+                {getGameSeats(game).map(s => s.player_name).join(' vs ')}
+              </div>
+              <div className="text-xs text-purple-200 mt-1">
+                {RESULT_LABELS[getGameResult(game, user.id)]} · {getGameSeats(game).map(s => s.score || 0).join(' – ')}
+              </div>
+            </div>
+
+            <button
+              onClick={() => onReplay(game)}
+              className="flex items-center gap-1.5 px-3 py-2 bg-purple-600 hover:bg-purple-500 rounded-lg text-white text-sm font-semibold transition-colors"
+            >
+              <Film className="w-4 h-4" />
+              Replay
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RecentMatches;
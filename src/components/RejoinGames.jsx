@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { Swords, RefreshCw, Clock } from 'lucide-react';
+import { gamesApi } from '../api/games';
+
+// A match whose clock ran out while nobody was connected can't be played on
+const hasTimeLeft = (game) => {
+  if (!game.started_at || !game.time_limit) return true;
+  const elapsed = (Date.now() - new Date(game.started_at).getTime()) / 1000;
+  return elapsed < game.time_limit;
+};
+
+const formatRemaining = (game) => {
+  if (!game.started_at || !game.time_limit) return null;
+  const elapsed = Math.floor((Date.now() - new Date(game.started_at).getTime()) / 1000);
+  const remaining = Math.max(0, game.time_limit - elapsed);
+  return `${Math.floor(remaining / 60)}:${(remaining % 60).toString().padStart(2, '0')}`;
+};
+
+const RejoinGames = ({ user, onRejoin }) => {
+  const [games, setGames] = useState([]);
+  const [rejoiningId, setRejoiningId] = useState(null);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    let cancelled = false;
+
+    const loadGames = async () => {
+      const active = await gamesApi.getUserActiveGames(user.id).catch(err => {
+        console.error('Failed to load active games:', err);
+        return [];
+      });
+
+      // Only the host can pick a two-player lobby back up; a guest was never
+      // in it. Guests already seated in a 3-4 player lobby can go back too.
+      const rejoinable = (active || []).filter(game =>
+        game.mode === 'multiplayer' &&
+        (game.status !== 'waiting' || game.player_a_id === user.id || game.max_players > 2) &&
+        hasTimeLeft(game)
+      );
+
+      if (!cancelled) {
+        setGames(rejoinable);
+      }
+    };
+
+    loadGames();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const handleRejoin = async (game) => {
+    setRejoiningId(game.id);
+    try {
+      await onRejoin(game);
+    } finally {
+      setRejoiningId(null);
+    }
+  };
+
+  if (games.length === 0) return null;
+
+  return (
+    <div className="mb-6 sm:mb-8">
+      <h3 className="text-lg sm:text-xl font-bold text-white mb-3">Rejoin Game</h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+        {games.map((game) => {
+          const opponents = (game.game_players?.length
+            ? game.game_players.filter(s => s.user_id !== user.id).map(s => s.player_name)
+            : [game.player_a_id === user.id ? game.player_b_name : game.player_a_name]
+          ).filter(Boolean);
+          const remaining = formatRemaining(game);
+          return (
+            <div
+              key={game.id}
+              className="flex items-center gap-3 bg-white/5 backdrop-blur-md rounded-xl p-3 border border-white/10"
+            >
+              <div className="w-12 h-12 rounded-lg bg-purple-600/40 flex items-center justify-center flex-shrink-0">
+                <Swords className="w-6 h-6 text-white" />
+              </div>
+
+              <div className="flex-1 min-w-0">
+                <div className="text-white text-sm font-semibold truncate">
+                  {game.status === 'waiting'
+                    ? (game.max_players > 2 ? `Waiting for players (${game.game_players?.length || 1}/${game.max_players})` : 'Waiting for opponent')
+                    : `vs ${opponents.join(', ') || 'Opponent'}`}
+                </div>
+                <div className="flex items-center gap-3 text-xs text-purple-200 mt-1">
+                  <span className="font-mono">{game.game_code}</span>
+                  {game.status !== 'waiting' && (
+                    <span>
+                      {game.game_players?.length > 2
+                        ? [...game.game_players].sort((x, y) => x.seat.localeCompare(y.seat)).map(s => s.score || 0).join(' – ')
+                        : `${game.player_a_score || 0} – ${game.player_b_score || 0}`}
+                    </span>
+                  )}
+                  {remaining && (
+                    <span className="flex items-center gap-1">
+                      <Clock className="w-3 h-3" />
+                      {remaining}
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              <button
+                onClick={() => handleRejoin(game)}
+                disabled={!!rejoiningId}
+                className="px-3 py-2 bg-green-600 hover:bg-green-500 disabled:opacity-50 rounded-lg text-white text-sm font-semibold transition-colors"
+              >
+                {rejoiningId === game.id
+                  ? <RefreshCw className="w-4 h-4 animate-spin" />
+                  : 'Rejoin'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default RejoinGames;
@@ -0,0 +1,298 @@
+import { useState, useEffect, useMemo, lazy, Suspense } from 'react';
+import { Play, Pause, SkipBack, SkipForward, ChevronLeft, ChevronRight, RefreshCw, Film, MessageCircle } from 'lucide-react';
+import { ACCESSIBILITY_DEFAULTS, listSeatNames } from '../lib/gameConfig';
+import { loadReplay, describeHistoryEntry, getEntryType, getPlayerLabel, getMessagesAtStep } from '../lib/replay';
+import { ChatMessageBody } from './ChatPanel';
+
+const PhaserGame = lazy(() => import('./PhaserGame'));
+
+// Auto-play delay per step at 1x
+const BASE_STEP_MS = 1200;
+const SPEEDS = [0.5, 1, 2, 4];
+
+const formatDelta = (points) => {
+  if (!points) return null;
+  return points > 0 ? `+${points}` : `${points}`;
+};
+
+const ENTRY_STYLES = {
+  place: 'text-blue-300',
+  check: 'text-yellow-300',
+  mark: 'text-pink-300',
+  resolve: 'text-green-300',
+  pass: 'text-cyan-300'
+};
+
+// Step-by-step playback of a finished match from its persisted history
+const ReplayViewer = ({ gameId, onExit }) => {
+  const [replay, setReplay] = useState(null);
+  const [error, setError] = useState('');
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadReplay(gameId)
+      .then((data) => {
+        if (!cancelled) setReplay(data);
+      })
+      .catch((err) => {
+        console.error('Failed to load replay:', err);
+        if (!cancelled) setError(err.message || 'Failed to load replay');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [gameId]);
+
+  const frames = replay?.frames || [];
+  const lastStep = Math.max(0, frames.length - 1);
+  const frame = frames[step];
+
+  // Auto-play: advance one step per tick until the end
+  useEffect(() => {
+    if (!playing) return;
+    if (step >= lastStep) {
+      setPlaying(false);
+      return;
+    }
+
+    const timeout = setTimeout(() => setStep(s => Math.min(s + 1, lastStep)), BASE_STEP_MS / speed);
+    return () => clearTimeout(timeout);
+  }, [playing, step, speed, lastStep]);
+
+  const piecesById = useMemo(() => {
+    const map = new Map();
+    (replay?.pieces || []).forEach(piece => map.set(piece.id, piece));
+    return map;
+  }, [replay]);
+
+  // BoardScene wants full pieces (for textures), frames only keep ids
+  const boardState = useMemo(() => {
+    if (!frame) return null;
+    return {
+      grid: frame.grid.map(id => (id === null ? null : piecesById.get(id) || null)),
+      pieceRotations: frame.pieceRotations,
+      piecePlacedBy: frame.piecePlacedBy,
+      pieceMarks: frame.pieceMarks
+    };
+  }, [frame, piecesById]);
+
+  const goTo = (next) => {
+    setPlaying(false);
+    setStep(Math.max(0, Math.min(next, lastStep)));
+  };
+
+  const togglePlay = () => {
+    if (!playing && step >= lastStep) setStep(0);
+    setPlaying(p => !p);
+  };
+
+  if (error) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <div className="bg-white/5 backdrop-blur-md rounded-xl p-8 text-center">
+          <p className="text-red-300 mb-4">{error}</p>
+          <button
+            onClick={onExit}
+            className="px-4 py-2.5 bg-white/10 hover:bg-white/20 text-white font-medium rounded-xl transition-colors text-sm"
+          >
+            Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!replay || !boardState) {
+    return (
+      <div className="max-w-6xl mx-auto">
+        <div className="bg-white/5 backdrop-blur-md rounded-xl p-8 text-center">
+          <RefreshCw className="w-12 h-12 text-purple-400 animate-spin mx-auto mb-4" />
+          <p className="text-purple-200">Loading replay...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { game } = replay;
+  const gridSize = Math.sqrt(frame.grid.length) || 10;
+  const players = listSeatNames(game, replay.seats);
+  const entry = frame.entry;
+  const chat = getMessagesAtStep(replay.messages, frames, step);
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="bg-white/5 backdrop-blur-md rounded-xl p-2.5 sm:p-4 mb-3 sm:mb-6">
+        <div className="flex items-center justify-between gap-2">
+          {players.map(({ key, name }, index) => (
+            <div
+              key={key}
+              className={`flex-1 min-w-0 rounded-lg p-1.5 sm:p-2 ${index >= players.length / 2 ? 'text-right order-3' : ''} ${entry?.player === key ? 'ring-2 ring-yellow-400' : 'opacity-70'}`}
+            >
+              <p className="text-white font-bold text-xs sm:text-base truncate">{name}</p>
+              <p className="text-purple-300 text-xs sm:text-base">
+                Score: {frame.scores[key] || 0}
+                {formatDelta(frame.delta?.[key]) && (
+                  <span className={`ml-1.5 font-semibold ${frame.delta[key] > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    {formatDelta(frame.delta[key])}
+                  </span>
+                )}
+              </p>
+            </div>
+          ))}
+
+          <div className="text-center px-2 sm:px-4 flex-shrink-0 order-2">
+            <p className="flex items-center justify-center gap-1.5 text-white font-bold text-sm sm:text-lg">
+              <Film className="w-4 h-4 text-purple-300" />
+              Replay
+            </p>
+            <p className="text-purple-300 text-xs sm:text-sm">Step {step}/{lastStep}</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex flex-col lg:grid lg:grid-cols-3 gap-3 sm:gap-6">
+        <div className="lg:col-span-2 space-y-3">
+          <Suspense fallback={
+            <div className="w-full bg-slate-900/50 rounded-xl flex items-center justify-center" style={{ minHeight: '400px' }}>
+              <div className="text-purple-300 text-lg">Loading board...</div>
+            </div>
+          }>
+            <PhaserGame
+              gameState={boardState}
+              gridSize={gridSize}
+              ghostImage={replay.imageUrl}
+              settings={ACCESSIBILITY_DEFAULTS}
+              myRack={[]}
+              isNexusMode={replay.mode === 'NEXUS'}
+              rotationEnabled={replay.rotationEnabled}
+              onPiecePlaced={() => {}}
+              onPieceMarked={() => {}}
+              onPieceSelected={() => {}}
+              onPieceRotated={() => {}}
+            />
+          </Suspense>
+
+          {/* Transport controls and timeline */}
+          <div className="bg-white/5 backdrop-blur-md rounded-xl p-3 sm:p-4 border border-white/10">
+            <input
+              type="range"
+              min={0}
+              max={lastStep}
+              value={step}
+              onChange={(e) => goTo(Number(e.target.value))}
+              className="w-full accent-purple-500 mb-3"
+              aria-label="Replay timeline"
+            />
+            <div className="flex items-center justify-between gap-2">
+              <div className="flex items-center gap-1">
+                <button onClick={() => goTo(0)} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" title="Start">
+                  <SkipBack className="w-4 h-4" />
+                </button>
+                <button onClick={() => goTo(step - 1)} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" title="Step back">
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                <button onClick={togglePlay} className="p-2 rounded-lg bg-purple-600 hover:bg-purple-500 text-white" title={playing ? 'Pause' : 'Play'}>
+                  {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                </button>
+                <button onClick={() => goTo(step + 1)} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" title="Step forward">
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+                <button onClick={() => goTo(lastStep)} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" title="End">
+                  <SkipForward className="w-4 h-4" />
+                </button>
+              </div>
+
+              <div className="flex items-center gap-1">
+                {SPEEDS.map(value => (
+                  <button
+                    key={value}
+                    onClick={() => setSpeed(value)}
+                    className={`px-2 py-1 rounded-lg text-xs font-semibold transition-colors ${speed === value ? 'bg-purple-600 text-white' : 'bg-white/10 text-purple-200 hover:bg-white/20'}`}
+                  >
+                    {value}x
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="space-y-4">
+          <div className="bg-white/5 backdrop-blur-md rounded-xl p-3 sm:p-4 border border-white/10 text-sm">
+            <h3 className="text-white font-semibold mb-2">This step</h3>
+            {entry ? (
+              <>
+                <p className="text-purple-300 text-xs mb-1">{getPlayerLabel(entry.player)}</p>
+                <p className={ENTRY_STYLES[getEntryType(entry)]}>
+                  {describeHistoryEntry(entry, gridSize)}
+                  {getEntryType(entry) === 'place' && entry.correct === true && <span className="ml-1 text-green-400">✓</span>}
+                  {getEntryType(entry) === 'place' && entry.correct === false && <span className="ml-1 text-red-400">✗</span>}
+                </p>
+                {frame.removed && (
+                  <p className="text-red-300 text-xs mt-1">Piece went back to the placer&apos;s rack</p>
+                )}
+                {!frame.delta && (
+                  <p className="text-purple-400 text-xs mt-1">No score snapshot recorded for this step</p>
+                )}
+              </>
+            ) : (
+              <p className="text-purple-300">Start of the match</p>
+            )}
+          </div>
+
+          {/* Step list doubles as a clickable timeline */}
+          <div className="bg-white/5 backdrop-blur-md rounded-xl border border-white/10 max-h-80 overflow-y-auto p-2 space-y-1">
+            {frames.slice(1).map((f, index) => (
+              <button
+                key={`${f.entry.timestamp}-${index}`}
+                onClick={() => goTo(index + 1)}
+                className={`w-full text-left px-2 py-1.5 rounded-lg text-xs transition-colors ${step === index + 1 ? 'bg-purple-600/40' : 'hover:bg-white/10'}`}
+              >
+                <span className="text-purple-400 mr-2">{index + 1}.</span>
+                <span className={ENTRY_STYLES[getEntryType(f.entry)]}>{describeHistoryEntry(f.entry, gridSize)}</span>
+              </button>
+            ))}
+          </div>
+
+          {/* Chat up to this step */}
+          {replay.messages.length > 0 && (
+            <div className="bg-white/5 backdrop-blur-md rounded-xl p-3 sm:p-4 border border-white/10 text-xs">
+              <h3 className="flex items-center gap-1.5 text-white font-semibold text-sm mb-2">
+                <MessageCircle className="w-4 h-4 text-purple-300" />
+                Chat
+              </h3>
+              {chat.length === 0 ? (
+                <p className="text-purple-400">Nothing said yet</p>
+              ) : (
+                <div className="max-h-40 overflow-y-auto space-y-1">
+                  {chat.map(message => (
+                    <p key={message.id} className="text-purple-100">
+                      <span className="text-purple-400 mr-1.5">
+                        {players.find(p => p.key === message.player)?.name || getPlayerLabel(message.player)}:
+                      </span>
+                      <ChatMessageBody message={message} />
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <button
+            onClick={onExit}
+            className="w-full px-4 py-2.5 bg-white/10 hover:bg-white/20 text-white font-medium rounded-xl transition-colors text-sm"
+          >
+            Close Replay
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
@@ -1,8 +1,10 @@
 import { useState, useEffect, useCallback, useRef, lazy, Suspense } from 'react';
 import { Trophy, Clock, Target, Zap, ArrowLeft } from 'lucide-react';
 import { GameLogic } from '../lib/gameLogic';
-import { MODE_SCORING } from '../lib/gameModes';
-import { ACCESSIBILITY_DEFAULTS } from '../lib/gameConfig';
+import { ACCESSIBILITY_DEFAULTS, ROTATION_CONFIG } from '../lib/gameConfig';
+import { savedGameService } from '../services/savedGame.service';
+import { dailyService } from '../services/daily.service';
+import { achievementService } from '../services/achievement.service';
 import HintsPanel from './HintsPanel';
 import GameSettingsPanel from './GameSettingsPanel';
 
@@ -12,47 +14,216 @@ const SinglePlayerGame = ({
   imageUrl,
   gridSize = 10,
   pieces = [],
+  seed,
+  rotation = false,
+  save = null,
+  daily = null,
+  user = null,
   settings = ACCESSIBILITY_DEFAULTS,
+  onAchievements,
   onExit
 }) => {
   const [gameLogic] = useState(() => {
     const totalPieces = gridSize * gridSize;
-    const logic = new GameLogic(totalPieces, pieces, 'SINGLE_PLAYER');
+    const logic = new GameLogic(totalPieces, pieces, 'SINGLE_PLAYER', seed, { rotation });
 
-    // Shuffle pieces manually using Fisher-Yates algorithm
-    const shuffled = [...pieces];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    if (save?.state) {
+      // Resuming: same seed gave us the same pieces, so ids line up
+      logic.importGameState(save.state, pieces);
+      Object.assign(logic.pieceRotations, save.pieceRotations || {});
+      return logic;
     }
 
     // Put all shuffled pieces in player rack for single player
-    logic.piecePool = shuffled;
+    logic.piecePool = logic.shufflePieces();
     logic.playerARack = [];
     logic.fillRack('playerA');
     logic.gameState = 'active';
     return logic;
   });
 
+  const revealed = gameLogic.revealedScores.playerA;
   const [gameState, setGameState] = useState(gameLogic.getGameState());
-  const [timeRemaining, setTimeRemaining] = useState(gridSize * 60); // gridSize minutes (5×5 = 5min)
-  const [score, setScore] = useState(0);
-  const [streak, setStreak] = useState(0);
-  const [bestStreak, setBestStreak] = useState(0);
-  const [, setCorrectPlacements] = useState(0);
-  const [totalPlacements, setTotalPlacements] = useState(0);
-  const [accuracy, setAccuracy] = useState(100);
+  const [timeRemaining, setTimeRemaining] = useState(save?.timeRemaining ?? gridSize * 60); // gridSize minutes (5×5 = 5min)
+  const [score, setScore] = useState(save?.score ?? 0);
+  const [streak, setStreak] = useState(revealed.streak);
+  const [bestStreak, setBestStreak] = useState(save?.bestStreak ?? 0);
+  const [, setCorrectPlacements] = useState(gameLogic.scores.playerA.correctPlacements);
+  const [totalPlacements, setTotalPlacements] = useState(gameLogic.scores.playerA.totalPlacements);
+  const [accuracy, setAccuracy] = useState(revealed.accuracy);
   const [, setTotalAttempts] = useState(0);
   const [gameStatus, setGameStatus] = useState('playing');
   const [lastResult, setLastResult] = useState(null);
   const [selectedPiece, setSelectedPiece] = useState(null);
   const [gameSettings, setGameSettings] = useState(settings);
   const [activeHint, setActiveHint] = useState(null);
+  const [dailyStatus, setDailyStatus] = useState(null);
 
-  const scoring = MODE_SCORING.SINGLE_PLAYER;
   const timerRef = useRef(null);
   const feedbackTimeoutRef = useRef(null);
   const lastScoreRef = useRef(null);
+  const timeRemainingRef = useRef(timeRemaining);
+  const remoteGameIdRef = useRef(save?.remoteGameId ?? null);
+  const lastRemoteSaveRef = useRef(0);
+
+  useEffect(() => {
+    timeRemainingRef.current = timeRemaining;
+  }, [timeRemaining]);
+
+  // =====================================================
+  // SAVE / RESUME
+  // =====================================================
+
+  const buildSnapshot = useCallback(() => {
+    gameLogic.timerRemaining = timeRemainingRef.current;
+    return {
+      ...gameLogic.exportForDatabase(),
+      gameplay_mode: 'SINGLE_PLAYER',
+      revealed_scores: gameLogic.revealedScores,
+      next_check_reveal_progress: gameLogic.nextCheckRevealProgress
+    };
+  }, [gameLogic]);
+
+  // Local save on every change; the remote copy at most every 10 seconds
+  const persistProgress = useCallback(async ({ forceRemote = false } = {}) => {
+    if (!save) return;
+    const state = buildSnapshot();
+
+    try {
+      await savedGameService.saveSinglePlayer(save.id, {
+        state,
+        pieceRotations: { ...gameLogic.pieceRotations },
+        timeRemaining: timeRemainingRef.current,
+        score,
+        bestStreak
+      });
+    } catch (err) {
+      console.error('Failed to save puzzle locally:', err);
+    }
+
+    const remoteGameId = remoteGameIdRef.current;
+    const now = Date.now();
+    if (remoteGameId && (forceRemote || now - lastRemoteSaveRef.current > 10000)) {
+      lastRemoteSaveRef.current = now;
+      savedGameService.saveRemote(remoteGameId, state, timeRemainingRef.current)
+        .catch(err => console.error('Failed to sync puzzle:', err));
+    }
+  }, [save, buildSnapshot, gameLogic, score, bestStreak]);
+
+  const persistRef = useRef(persistProgress);
+  useEffect(() => {
+    persistRef.current = persistProgress;
+  }, [persistProgress]);
+
+  // Signed-in players get a games/game_state copy to resume on other devices
+  // (the ref guard keeps StrictMode's double effect from creating two rows)
+  const remoteCreateStartedRef = useRef(false);
+  useEffect(() => {
+    if (!save || remoteGameIdRef.current || remoteCreateStartedRef.current) return;
+    if (!savedGameService.isSignedIn(user)) return;
+
+    remoteCreateStartedRef.current = true;
+    savedGameService.createRemoteSave(user.id, save, pieces, buildSnapshot())
+      .then(async (gameId) => {
+        remoteGameIdRef.current = gameId;
+        await savedGameService.saveSinglePlayer(save.id, { remoteGameId: gameId });
+        console.log('Single-player puzzle synced as game', gameId);
+      })
+      .catch(err => console.error('Failed to create remote save:', err));
+  }, [save, user, pieces, buildSnapshot]);
+
+  // Save after every move
+  useEffect(() => {
+    if (gameStatus === 'playing') persistRef.current();
+  }, [gameState, gameStatus]);
+
+  // ...and every 15 seconds for the clock, and whenever the tab is hidden
+  useEffect(() => {
+    if (!save || gameStatus !== 'playing') return;
+
+    const interval = setInterval(() => persistRef.current(), 15000);
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') persistRef.current({ forceRemote: true });
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [save, gameStatus]);
+
+  // A finished puzzle has nothing left to resume
+  const remoteFinishRef = useRef(null);
+  useEffect(() => {
+    if (!save || gameStatus === 'playing') return;
+
+    savedGameService.deleteSinglePlayerSave(save.id)
+      .catch(err => console.error('Failed to remove finished save:', err));
+    if (remoteGameIdRef.current) {
+      remoteFinishRef.current = savedGameService.saveRemote(remoteGameIdRef.current, buildSnapshot(), timeRemainingRef.current)
+        .then(() => savedGameService.finishRemote(remoteGameIdRef.current))
+        .catch(err => console.error('Failed to finish remote save:', err));
+    }
+  }, [save, gameStatus, buildSnapshot]);
+
+  // Achievements: the server checks them against the finished remote
+  // copy, so they're held back until it has been written
+  const achievementTrackerRef = useRef(null);
+  useEffect(() => {
+    if (!user?.id) return;
+    const tracker = achievementService.track(gameLogic, {
+      userId: user.id,
+      gameId: () => remoteGameIdRef.current,
+      deferred: true,
+      onUnlocked: onAchievements
+    });
+    achievementTrackerRef.current = tracker;
+
+    return () => {
+      tracker.detach();
+      achievementTrackerRef.current = null;
+    };
+  }, [gameLogic, user, onAchievements]);
+
+  // A finished puzzle counts as a win
+  useEffect(() => {
+    const tracker = achievementTrackerRef.current;
+    if (gameStatus === 'playing' || !tracker) return;
+    achievementTrackerRef.current = null;
+    gameLogic.reportGameEnd(gameStatus === 'completed' ? 'playerA' : null);
+    tracker.detach();
+    Promise.resolve(remoteFinishRef.current).finally(() => tracker.flush());
+  }, [gameStatus, gameLogic]);
+
+  // Daily puzzle: submit the result once, solved or timed out
+  const dailySubmittedRef = useRef(false);
+  useEffect(() => {
+    if (!daily || gameStatus === 'playing' || dailySubmittedRef.current) return;
+    dailySubmittedRef.current = true;
+
+    setDailyStatus('submitting');
+    dailyService.submitResult(daily.day, {
+      gridSize,
+      solved: gameStatus === 'completed',
+      timeSeconds: gridSize * 60 - timeRemaining,
+      accuracy,
+      hintsUsed: gameLogic.scores.playerA.hintsUsed,
+      score
+    })
+      .then(() => setDailyStatus('submitted'))
+      .catch(err => {
+        console.error('Failed to submit daily result:', err);
+        setDailyStatus('failed');
+      });
+  }, [daily, gameStatus, gridSize, timeRemaining, accuracy, gameLogic, score]);
+
+  const handleExit = async () => {
+    if (gameStatus === 'playing') {
+      await persistProgress({ forceRemote: true });
+    }
+    onExit();
+  };
 
   // Timer countdown
   useEffect(() => {
@@ -100,76 +271,28 @@ const SinglePlayerGame = ({
   const handlePiecePlacement = useCallback((pieceId, gridIndex) => {
     if (gameStatus !== 'playing') return;
 
-    const validation = gameLogic.isValidPlacement(pieceId, gridIndex);
-    if (!validation.valid) return;
+    // Scoring and milestone sweeps come from the SINGLE_PLAYER mode plugin
+    const result = gameLogic.placePiece('playerA', pieceId, gridIndex);
+    if (!result.success) return;
 
     setTotalAttempts(prev => prev + 1);
 
-    // Place piece on grid regardless of correctness
-    gameLogic.grid[gridIndex] = validation.piece;
-
-    // Remove from rack
-    const pieceIndex = gameLogic.playerARack.findIndex(p => p && p.id === pieceId);
-    if (pieceIndex !== -1) {
-      gameLogic.playerARack[pieceIndex] = null;
-    }
-
-    // Refill rack if empty
-    const rackIsEmpty = gameLogic.playerARack.filter(p => p !== null).length === 0;
-    if (rackIsEmpty && gameLogic.piecePool.length > 0) {
-      gameLogic.fillRack('playerA');
-    }
-
-    // --- Adjacency-based scoring ---
-    if (validation.correct) {
-      const scoreResult = gameLogic.calculatePlacementScore(validation.piece, gridIndex);
-      const newStreak = gameLogic.scores.playerA.streak + 1;
-      gameLogic.scores.playerA.score += scoreResult.total;
-      gameLogic.scores.playerA.streak = newStreak;
-      gameLogic.scores.playerA.correctPlacements++;
-
-      // Store last score breakdown for Phaser popup
-      lastScoreRef.current = { gridIndex, ...scoreResult };
-    } else {
-      gameLogic.scores.playerA.streak = 0;
-      gameLogic.scores.playerA.score += scoring.wrongPiece;
-      lastScoreRef.current = { gridIndex, total: scoring.wrongPiece, breakdown: null };
-    }
-    gameLogic.scores.playerA.totalPlacements++;
-    gameLogic.scores.playerA.accuracy = Math.round(
-      (gameLogic.scores.playerA.correctPlacements / gameLogic.scores.playerA.totalPlacements) * 100
-    );
-
-    // Check if milestone reached
-    const filledCells = gameLogic.grid.filter(cell => cell !== null && cell !== undefined).length;
-    const progress = gameLogic.totalPieces > 0 ? filledCells / gameLogic.totalPieces : 0;
-    const isMilestone = progress >= gameLogic.nextCheckRevealProgress;
+    // Store last score breakdown for Phaser popup
+    lastScoreRef.current = result.score;
 
-    setTotalPlacements(gameLogic.scores.playerA.totalPlacements);
-
-    if (isMilestone) {
-      setScore(gameLogic.scores.playerA.score);
-      setStreak(gameLogic.scores.playerA.streak);
-      setBestStreak(prev => Math.max(prev, gameLogic.scores.playerA.streak));
-      setCorrectPlacements(gameLogic.scores.playerA.correctPlacements);
-      setAccuracy(gameLogic.scores.playerA.accuracy);
-
-      let removedCount = 0;
-      for (let i = 0; i < gameLogic.grid.length; i++) {
-        const piece = gameLogic.grid[i];
-        if (piece && piece.correctPosition !== i) {
-          gameLogic.grid[i] = null;
-          gameLogic.returnPieceToRack('playerA', piece);
-          removedCount++;
-        }
-      }
+    const stats = gameLogic.scores.playerA;
+    setTotalPlacements(stats.totalPlacements);
 
-      const bucket = Math.floor(progress / 0.2);
-      gameLogic.nextCheckRevealProgress = Math.min((bucket + 1) * 0.2, 1);
+    if (result.milestone) {
+      setScore(stats.score);
+      setStreak(stats.streak);
+      setBestStreak(prev => Math.max(prev, stats.streak));
+      setCorrectPlacements(stats.correctPlacements);
+      setAccuracy(stats.accuracy);
 
       setLastResult({
         correct: true,
-        message: `Milestone! ${removedCount > 0 ? `${removedCount} wrong piece(s) returned.` : 'All correct!'}`
+        message: `Milestone! ${result.removedCount > 0 ? `${result.removedCount} wrong piece(s) returned.` : 'All correct!'}`
       });
       if (feedbackTimeoutRef.current) clearTimeout(feedbackTimeoutRef.current);
       feedbackTimeoutRef.current = setTimeout(() => setLastResult(null), 4000);
@@ -185,7 +308,15 @@ const SinglePlayerGame = ({
 
     setGameState(gameLogic.getGameState());
     setSelectedPiece(null);
-  }, [gameLogic, gameStatus, scoring]);
+  }, [gameLogic, gameStatus]);
+
+  const handlePieceRotate = useCallback((pieceId, steps) => {
+    if (gameStatus !== 'playing') return;
+    const result = gameLogic.rotatePiece('playerA', pieceId, steps);
+    if (result.success) {
+      setGameState(gameLogic.getGameState());
+    }
+  }, [gameLogic, gameStatus]);
 
   const handleUseHint = (hintType) => {
     const result = gameLogic.useHint('playerA', hintType);
@@ -242,6 +373,14 @@ const SinglePlayerGame = ({
               </div>
             </div>
 
+            {daily && dailyStatus && (
+              <p className={`mb-4 text-sm ${dailyStatus === 'failed' ? 'text-red-300' : 'text-cyan-200'}`}>
+                {dailyStatus === 'submitting' && 'Submitting to today\'s leaderboard...'}
+                {dailyStatus === 'submitted' && `Submitted to the ${daily.day} daily leaderboard`}
+                {dailyStatus === 'failed' && 'Could not submit your daily result'}
+              </p>
+            )}
+
             <button
               onClick={onExit}
               className="px-6 sm:px-8 py-3 bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-500 hover:to-pink-500 text-white font-semibold rounded-xl transition-all active:scale-95 touch-target"
@@ -259,14 +398,14 @@ const SinglePlayerGame = ({
       {/* Header */}
       <div className="flex items-center justify-between mb-6">
         <button
-          onClick={onExit}
+          onClick={handleExit}
           className="flex items-center gap-2 text-purple-300 hover:text-purple-200 transition-colors"
         >
           <ArrowLeft className="w-5 h-5" />
-          <span>Exit</span>
+          <span>{save ? 'Save & Exit' : 'Exit'}</span>
         </button>
 
-        <h2 className="text-2xl font-bold text-white">Single Player Mode</h2>
+        <h2 className="text-2xl font-bold text-white">{daily ? `Daily Puzzle · ${daily.day}` : 'Single Player Mode'}</h2>
 
         <div className="w-20"></div>
       </div>
@@ -354,6 +493,7 @@ const SinglePlayerGame = ({
               <div className="text-yellow-300 font-semibold mb-1 sm:mb-2 text-sm">Active Hint:</div>
               <div className="text-white text-xs sm:text-sm">
                 {activeHint.type === 'position' && `Piece ${activeHint.pieceId} goes to position ${activeHint.correctPosition}`}
+                {activeHint.rotateBy > 0 && ` (rotate ${activeHint.rotateBy}° clockwise)`}
                 {activeHint.type === 'edge' && 'Edge pieces highlighted'}
                 {activeHint.type === 'corner' && 'Corner pieces highlighted'}
                 {activeHint.type === 'region' && `Piece ${activeHint.pieceId} is in region shown`}
@@ -376,14 +516,21 @@ const SinglePlayerGame = ({
               settings={gameSettings}
               myRack={gameState.playerARack}
               myPlayer="playerA"
+              rotationEnabled={rotation}
               selectedPiece={selectedPiece}
               activeHint={activeHint}
               onPieceSelected={(piece) => setSelectedPiece(piece)}
+              onPieceRotated={handlePieceRotate}
               onPiecePlaced={(pieceId, gridIndex) => {
                 handlePiecePlacement(pieceId, gridIndex);
               }}
             />
           </Suspense>
+          {rotation && (
+            <p className="text-purple-400 text-[10px] sm:text-xs mt-2 text-center">
+              {ROTATION_CONFIG.CONTROLS_HINT}
+            </p>
+          )}
         </div>
 
         {/* Mobile-only Settings & Hints */}
@@ -0,0 +1,164 @@
+import { useState, useEffect, lazy, Suspense } from 'react';
+import { Eye, RefreshCw } from 'lucide-react';
+import { ACCESSIBILITY_DEFAULTS, listSeatNames } from '../lib/gameConfig';
+import { gameService } from '../services/game.service';
+
+const PhaserGame = lazy(() => import('./PhaserGame'));
+
+const formatTime = (seconds = 0) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.max(0, seconds % 60);
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Read-only view of a live match: the board, whose turn it is and the
+// revealed scores. Racks and hidden scores never reach this screen.
+const SpectatorScreen = ({ spectatorRef, gameData, onExit }) => {
+  const [gameState, setGameState] = useState(() => spectatorRef.current?.getGameState() || gameData?.gameState || null);
+  const [spectatorCount, setSpectatorCount] = useState(spectatorRef.current?.spectatorCount || 0);
+  const [gameOver, setGameOver] = useState(false);
+  const [seats, setSeats] = useState([]);
+
+  const game = gameData?.game;
+
+  // Names for seats C and D of a 3-4 player game
+  useEffect(() => {
+    if (!game?.id || (game.max_players || 2) <= 2) return;
+
+    gameService.getGamePlayers(game.id)
+      .then(setSeats)
+      .catch(err => console.warn('Failed to load seats:', err));
+  }, [game?.id, game?.max_players]);
+
+  useEffect(() => {
+    const spectator = spectatorRef.current;
+    if (!spectator) return;
+
+    spectator.onStateUpdate = (newState) => {
+      setGameState(newState);
+      if (newState.isComplete) setGameOver(true);
+    };
+    spectator.onSpectatorCountChange = setSpectatorCount;
+    spectator.onGameUpdate = (meta) => {
+      if (meta.status === 'completed' || meta.status === 'abandoned') setGameOver(true);
+    };
+
+    return () => {
+      spectator.onStateUpdate = null;
+      spectator.onSpectatorCountChange = null;
+      spectator.onGameUpdate = null;
+    };
+  }, [spectatorRef]);
+
+  // Local countdown between broadcasts, same as the players' clocks
+  useEffect(() => {
+    if (gameOver) return;
+
+    const interval = setInterval(() => {
+      const gameLogic = spectatorRef.current?.gameLogic;
+      if (!gameLogic || gameLogic.timerRemaining <= 0) return;
+      gameLogic.timerRemaining -= 1;
+      setGameState(prev => prev && ({ ...prev, timerRemaining: gameLogic.timerRemaining }));
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [spectatorRef, gameOver]);
+
+  if (!gameState) {
+    return (
+      <div className="max-w-6xl mx-auto">
+        <div className="bg-white/5 backdrop-blur-md rounded-xl p-8 text-center">
+          <RefreshCw className="w-12 h-12 text-purple-400 animate-spin mx-auto mb-4" />
+          <p className="text-purple-200">Loading game...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const grid = gameState.grid || [];
+  const gridSize = Math.sqrt(grid.length) || 10;
+  const scores = gameState.revealedScores || {};
+  const placed = grid.filter(Boolean).length;
+  const players = listSeatNames(game, seats);
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="bg-white/5 backdrop-blur-md rounded-xl p-2.5 sm:p-4 mb-3 sm:mb-6">
+        <div className="flex items-center justify-between gap-2">
+          {players.map(({ key, name }, index) => (
+            <div
+              key={key}
+              className={`flex-1 min-w-0 rounded-lg p-1.5 sm:p-2 ${index >= players.length / 2 ? 'text-right order-3' : ''} ${gameState.currentTurn === key && !gameOver ? 'ring-2 ring-yellow-400' : 'opacity-70'}`}
+            >
+              <p className="text-white font-bold text-xs sm:text-base truncate">{name}</p>
+              <p className="text-purple-300 text-xs sm:text-base">Score: {scores[key]?.score || 0}</p>
+            </div>
+          ))}
+
+          <div className="text-center px-2 sm:px-4 flex-shrink-0 order-2">
+            <p className="text-lg sm:text-2xl font-mono font-bold text-white">{formatTime(gameState.timerRemaining)}</p>
+            <p className="flex items-center justify-center gap-1 text-purple-300 text-xs sm:text-sm">
+              <Eye className="w-3.5 h-3.5" />
+              {spectatorCount} watching
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {gameOver && (
+        <div className="mb-4 p-3 rounded-xl text-center bg-purple-500/20 text-purple-100">
+          Game over
+        </div>
+      )}
+
+      <div className="flex flex-col lg:grid lg:grid-cols-3 gap-3 sm:gap-6">
+        <div className="lg:col-span-2">
+          <Suspense fallback={
+            <div className="w-full bg-slate-900/50 rounded-xl flex items-center justify-center" style={{ minHeight: '400px' }}>
+              <div className="text-purple-300 text-lg">Loading game...</div>
+            </div>
+          }>
+            <PhaserGame
+              gameState={gameState}
+              gridSize={gridSize}
+              ghostImage={spectatorRef.current?.imageUrl}
+              settings={ACCESSIBILITY_DEFAULTS}
+              myRack={[]}
+              rotationEnabled={!!gameState.rotationEnabled}
+              onPiecePlaced={() => {}}
+              onPieceMarked={() => {}}
+              onPieceSelected={() => {}}
+              onPieceRotated={() => {}}
+            />
+          </Suspense>
+        </div>
+
+        <div className="space-y-4">
+          <div className="bg-white/5 backdrop-blur-md rounded-xl p-3 sm:p-4 border border-white/10 text-sm">
+            <h3 className="text-white font-semibold mb-2 sm:mb-4">Spectating</h3>
+            <div className="flex justify-between">
+              <span className="text-purple-300">Pieces placed</span>
+              <span className="text-white">{placed}/{grid.length}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-purple-300">Pieces left in pool</span>
+              <span className="text-white">{gameState.piecePoolCount}</span>
+            </div>
+            <p className="text-purple-400 text-xs mt-3">
+              Scores update as they are revealed to the players.
+            </p>
+          </div>
+
+          <button
+            onClick={onExit}
+            className="w-full px-4 py-2.5 bg-white/10 hover:bg-white/20 text-white font-medium rounded-xl transition-colors text-sm"
+          >
+            Stop Watching
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpectatorScreen;
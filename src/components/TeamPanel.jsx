@@ -0,0 +1,47 @@
+import { Users, Send } from 'lucide-react';
+
+// 2v2 sidebar: the partner's rack (peekPartnerRack) and passing the
+// selected piece across. Passing is only offered when the caller may act.
+const TeamPanel = ({ partnerName, partnerRack = [], partnerOnline, selectedPiece, canPass, onPass }) => {
+  const pieces = partnerRack.filter(Boolean);
+
+  return (
+    <div className="bg-white/5 backdrop-blur-md rounded-xl p-3 sm:p-4 border border-white/10">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="flex items-center gap-1.5 text-white font-semibold text-sm sm:text-base">
+          <Users className="w-4 h-4 text-cyan-300" />
+          {partnerName || 'Partner'}
+        </h3>
+        <span className={`flex items-center gap-1 text-xs ${partnerOnline ? 'text-green-300' : 'text-purple-400'}`}>
+          <span className={`w-2 h-2 rounded-full ${partnerOnline ? 'bg-green-400' : 'bg-purple-500'}`} />
+          {partnerOnline ? 'Online' : 'Offline'}
+        </span>
+      </div>
+
+      {pieces.length === 0 ? (
+        <p className="text-purple-400 text-xs text-center py-3">Your partner&apos;s rack is empty</p>
+      ) : (
+        <div className="grid grid-cols-5 gap-1 mb-2">
+          {pieces.map(piece => (
+            <div key={piece.id} className="aspect-square bg-slate-900/50 rounded overflow-hidden" title={`Piece #${piece.id}`}>
+              {piece.imageData && (
+                <img src={piece.imageData} alt={`Piece ${piece.id}`} className="w-full h-full object-contain" />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button
+        onClick={() => onPass(selectedPiece.id)}
+        disabled={!canPass || !selectedPiece}
+        className="w-full flex items-center justify-center gap-1.5 px-3 py-2 rounded-lg bg-cyan-600/60 hover:bg-cyan-500/60 text-white text-xs sm:text-sm disabled:opacity-40 transition-colors"
+      >
+        <Send className="w-3.5 h-3.5" />
+        {selectedPiece ? `Pass piece #${selectedPiece.id}` : 'Select a piece to pass'}
+      </button>
+    </div>
+  );
+};
+
+export default TeamPanel;
@@ -0,0 +1,303 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Trophy, Play, Crown, Users } from 'lucide-react';
+import { tournamentsApi } from '../api/tournaments';
+import {
+  TOURNAMENT_FORMATS,
+  TOURNAMENT_CONFIG,
+  getRoundCount,
+  getStandings,
+  pairNextRound,
+  getOpenMatch
+} from '../lib/tournament';
+import { getModeConfig } from '../lib/gameModes';
+
+// Live bracket for one tournament. The organiser's copy also starts it,
+// pairs each round as soon as the last one is settled, and can settle a
+// match by hand when a player doesn't show.
+const TournamentBracket = ({ user, tournamentId, onPlayMatch, onBack }) => {
+  const [data, setData] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const pairingRef = useRef(false);
+
+  const loadTournament = useCallback(async () => {
+    try {
+      setData(await tournamentsApi.getTournament(tournamentId));
+    } catch (err) {
+      console.error('Failed to load tournament:', err);
+      setError('Could not load the tournament');
+    }
+  }, [tournamentId]);
+
+  useEffect(() => {
+    loadTournament();
+    return tournamentsApi.subscribeToTournament(tournamentId, loadTournament);
+  }, [tournamentId, loadTournament]);
+
+  const isOrganiser = data?.tournament.hostId === user?.id;
+
+  // Pair the next round once every match of the current one has a result
+  useEffect(() => {
+    if (!data || !isOrganiser || pairingRef.current) return;
+    const next = pairNextRound(data.tournament, data.participants, data.matches);
+    if (!next) return;
+
+    pairingRef.current = true;
+    console.log(`Pairing round ${next.round} of tournament ${tournamentId}`);
+    tournamentsApi.createRound(tournamentId, next.round, next.pairings)
+      .catch(err => {
+        console.error('Failed to pair the next round:', err);
+        setError('Could not pair the next round: ' + (err.message || 'Unknown error'));
+      })
+      .finally(() => {
+        pairingRef.current = false;
+        loadTournament();
+      });
+  }, [data, isOrganiser, tournamentId, loadTournament]);
+
+  if (!data) {
+    return (
+      <div className="max-w-4xl mx-auto text-purple-200">
+        {error || 'Loading tournament...'}
+      </div>
+    );
+  }
+
+  const { tournament, participants, matches } = data;
+  const names = new Map(participants.map(p => [p.userId, p.displayName]));
+  const isRegistered = names.has(user?.id);
+  const openMatch = getOpenMatch(tournament, matches, user?.id);
+  const totalRounds = tournament.status === 'registration'
+    ? null
+    : getRoundCount(tournament.format, participants.length, tournament.swissRounds);
+  const rounds = [...new Set(matches.map(match => match.round))];
+
+  const runAction = async (action, failure) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await loadTournament();
+    } catch (err) {
+      console.error(failure, err);
+      setError(`${failure}: ${err.message || 'Unknown error'}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = () => runAction(
+    () => tournamentsApi.start(tournamentId),
+    'Could not start the tournament'
+  );
+
+  const handleRegistration = () => runAction(
+    () => isRegistered
+      ? tournamentsApi.withdraw(tournamentId)
+      : tournamentsApi.register(tournamentId, user.user_metadata?.username || 'Player'),
+    isRegistered ? 'Could not withdraw' : 'Could not register'
+  );
+
+  const handleSettle = (match, winnerId) => runAction(
+    () => tournamentsApi.setMatchResult(match.id, winnerId),
+    'Could not settle the match'
+  );
+
+  const handlePlay = () => runAction(
+    () => onPlayMatch(tournament, openMatch),
+    'Could not open your match'
+  );
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      <button
+        onClick={onBack}
+        className="text-purple-400 hover:text-purple-300 mb-6 flex items-center gap-2"
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Tournaments
+      </button>
+
+      {/* Header */}
+      <div className="mb-6 bg-white/10 backdrop-blur-md rounded-2xl p-4 sm:p-6 border border-white/20">
+        <h2 className="flex items-center gap-2 text-2xl sm:text-3xl font-bold text-white">
+          <Trophy className="w-7 h-7 text-yellow-400" />
+          {tournament.name}
+        </h2>
+        <p className="text-purple-200 text-sm mt-1">
+          {TOURNAMENT_CONFIG.FORMAT_LABELS[tournament.format]} · {getModeConfig(tournament.mode).name} · {tournament.gridSize}×{tournament.gridSize} · {Math.round(tournament.timeLimit / 60)} min matches
+        </p>
+        <p className="flex items-center gap-1 text-purple-300 text-sm mt-1">
+          <Users className="w-4 h-4" />
+          {participants.length} players
+          {tournament.status === 'active' && ` · round ${tournament.currentRound} of ${totalRounds}`}
+        </p>
+
+        {tournament.status === 'completed' && tournament.winnerId && (
+          <p className="flex items-center gap-2 mt-3 text-yellow-300 text-lg font-semibold">
+            <Crown className="w-5 h-5" />
+            {names.get(tournament.winnerId) || 'Unknown'} wins!
+          </p>
+        )}
+
+        <div className="flex flex-wrap gap-2 mt-4">
+          {tournament.status === 'registration' && (
+            <button
+              onClick={handleRegistration}
+              disabled={busy}
+              className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-white text-sm disabled:opacity-50 transition-colors"
+            >
+              {isRegistered ? 'Withdraw' : 'Register'}
+            </button>
+          )}
+          {tournament.status === 'registration' && isOrganiser && (
+            <button
+              onClick={handleStart}
+              disabled={busy || participants.length < TOURNAMENT_CONFIG.MIN_PARTICIPANTS}
+              className="px-4 py-2 bg-green-600 hover:bg-green-500 rounded-lg text-white text-sm font-semibold disabled:opacity-50 transition-colors"
+            >
+              Start tournament
+            </button>
+          )}
+          {openMatch && openMatch.playerB && (
+            <button
+              onClick={handlePlay}
+              disabled={busy || (openMatch.playerB === user?.id && !openMatch.gameCode)}
+              className="flex items-center gap-1.5 px-4 py-2 bg-purple-600 hover:bg-purple-500 rounded-lg text-white text-sm font-semibold disabled:opacity-50 transition-colors"
+            >
+              <Play className="w-4 h-4" />
+              Play my match vs {names.get(openMatch.playerA === user?.id ? openMatch.playerB : openMatch.playerA)}
+            </button>
+          )}
+        </div>
+        {openMatch && openMatch.playerB === user?.id && !openMatch.gameCode && (
+          <p className="text-purple-300 text-xs mt-2">
+            Waiting for {names.get(openMatch.playerA)} to open the game...
+          </p>
+        )}
+
+        {error && <p className="text-red-300 text-sm mt-3">{error}</p>}
+      </div>
+
+      {/* Registered players, until the first round is paired */}
+      {rounds.length === 0 && (
+        <div className="flex flex-wrap gap-2 mb-6">
+          {participants.map(p => (
+            <span key={p.userId} className="px-3 py-1 bg-white/10 rounded-full text-white text-sm">
+              {p.seed ? `${p.seed}. ` : ''}{p.displayName}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Rounds */}
+      {rounds.length > 0 && (
+        <div className="flex gap-4 overflow-x-auto pb-4 mb-6">
+          {rounds.map(round => (
+            <div key={round} className="flex-shrink-0 w-56 sm:w-64">
+              <h3 className="text-white font-semibold mb-2">
+                {tournament.format === TOURNAMENT_FORMATS.SINGLE_ELIMINATION && round === totalRounds ? 'Final' : `Round ${round}`}
+              </h3>
+              <div className="space-y-2">
+                {matches.filter(match => match.round === round).map(match => (
+                  <MatchCard
+                    key={match.id}
+                    match={match}
+                    names={names}
+                    userId={user?.id}
+                    canSettle={isOrganiser && tournament.status === 'active' && !busy}
+                    onSettle={handleSettle}
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Swiss standings */}
+      {tournament.format === TOURNAMENT_FORMATS.SWISS && rounds.length > 0 && (
+        <div className="bg-white/10 backdrop-blur-md rounded-2xl p-4 border border-white/20">
+          <h3 className="text-white font-semibold mb-2">Standings</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-purple-300 text-left">
+                <th className="py-1 w-8">#</th>
+                <th className="py-1">Player</th>
+                <th className="py-1 text-right">W-L-T</th>
+                <th className="py-1 text-right">Buchholz</th>
+                <th className="py-1 text-right">Points</th>
+              </tr>
+            </thead>
+            <tbody>
+              {getStandings(participants, matches).map(row => (
+                <tr key={row.userId} className={row.userId === user?.id ? 'bg-white/10' : ''}>
+                  <td className="py-1 text-purple-300">{row.rank}</td>
+                  <td className="py-1 text-white truncate">{row.displayName}</td>
+                  <td className="py-1 text-right text-purple-100">{row.wins}-{row.losses}-{row.ties}</td>
+                  <td className="py-1 text-right text-purple-100">{row.buchholz}</td>
+                  <td className="py-1 text-right text-white font-semibold">{row.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// =====================================================
+// MATCH CARD
+// =====================================================
+
+const MatchCard = ({ match, names, userId, canSettle, onSettle }) => {
+  const playerClass = (playerId) => {
+    if (match.winner === playerId) return 'text-green-300 font-semibold';
+    if (match.status === 'completed' && match.winner) return 'text-purple-300 line-through';
+    return playerId === userId ? 'text-white font-semibold' : 'text-white';
+  };
+
+  return (
+    <div className="bg-white/10 rounded-lg p-3 border border-white/10">
+      <div className={`text-sm truncate ${playerClass(match.playerA)}`}>
+        {names.get(match.playerA) || 'Unknown'}
+      </div>
+      <div className={`text-sm truncate ${match.playerB ? playerClass(match.playerB) : 'text-purple-300 italic'}`}>
+        {match.playerB ? (names.get(match.playerB) || 'Unknown') : 'Bye'}
+      </div>
+      <div className="text-purple-300 text-xs mt-1">
+        {match.status === 'completed'
+          ? (match.result === 'tie' ? 'Tie' : 'Finished')
+          : match.status === 'active' ? `Playing · ${match.gameCode}` : 'Not started'}
+      </div>
+
+      {canSettle && match.playerB && match.status !== 'completed' && (
+        <div className="flex gap-1 mt-2">
+          <button
+            onClick={() => onSettle(match, match.playerA)}
+            className="flex-1 px-2 py-1 bg-white/10 hover:bg-white/20 rounded text-white text-xs transition-colors"
+          >
+            Top wins
+          </button>
+          <button
+            onClick={() => onSettle(match, null)}
+            className="flex-1 px-2 py-1 bg-white/10 hover:bg-white/20 rounded text-white text-xs transition-colors"
+          >
+            Tie
+          </button>
+          <button
+            onClick={() => onSettle(match, match.playerB)}
+            className="flex-1 px-2 py-1 bg-white/10 hover:bg-white/20 rounded text-white text-xs transition-colors"
+          >
+            Bottom wins
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TournamentBracket;
@@ -0,0 +1,281 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Trophy, Plus, Users, ChevronRight } from 'lucide-react';
+import { tournamentsApi } from '../api/tournaments';
+import { TOURNAMENT_FORMATS, TOURNAMENT_CONFIG } from '../lib/tournament';
+import { getAvailableModes, getModeConfig } from '../lib/gameModes';
+
+const GRID_SIZES = [5, 8, 10, 12];
+
+const STATUS_LABELS = {
+  registration: 'Registration open',
+  active: 'In progress',
+  completed: 'Finished'
+};
+
+// Tournament lobby: open and running tournaments, sign-up, and a form to
+// organise a new one
+const Tournaments = ({ user, onOpen, onBack }) => {
+  const [tournaments, setTournaments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCreate, setShowCreate] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadTournaments = useCallback(async () => {
+    try {
+      setTournaments(await tournamentsApi.getTournaments());
+    } catch (err) {
+      console.error('Failed to load tournaments:', err);
+      setError('Could not load tournaments');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTournaments();
+  }, [loadTournaments]);
+
+  const handleRegister = async (tournament) => {
+    setBusyId(tournament.id);
+    setError(null);
+    try {
+      await tournamentsApi.register(tournament.id, user.user_metadata?.username || 'Player');
+      onOpen(tournament);
+    } catch (err) {
+      console.error('Failed to register:', err);
+      setError(err.message || 'Could not register');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCreated = (tournament) => {
+    setShowCreate(false);
+    onOpen(tournament);
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <button
+        onClick={onBack}
+        className="text-purple-400 hover:text-purple-300 mb-6 flex items-center gap-2"
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Back
+      </button>
+
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="flex items-center gap-2 text-2xl sm:text-3xl font-bold text-white">
+          <Trophy className="w-7 h-7 text-yellow-400" />
+          Tournaments
+        </h2>
+        <button
+          onClick={() => setShowCreate(show => !show)}
+          className="flex items-center gap-1.5 px-4 py-2 bg-purple-600 hover:bg-purple-500 rounded-lg text-white text-sm font-semibold transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          Organise
+        </button>
+      </div>
+
+      {error && (
+        <p className="mb-4 text-red-300 text-sm">{error}</p>
+      )}
+
+      {showCreate && (
+        <CreateTournamentForm user={user} onCreated={handleCreated} onCancel={() => setShowCreate(false)} />
+      )}
+
+      {loading ? (
+        <p className="text-purple-200">Loading tournaments...</p>
+      ) : tournaments.length === 0 ? (
+        <p className="text-purple-200">No tournaments right now — organise the first one!</p>
+      ) : (
+        <div className="space-y-3">
+          {tournaments.map(tournament => (
+            <div
+              key={tournament.id}
+              className="flex items-center gap-4 bg-white/10 backdrop-blur-md rounded-xl p-4 border border-white/20"
+            >
+              <div className="flex-1 min-w-0">
+                <h3 className="text-white font-semibold truncate">{tournament.name}</h3>
+                <p className="text-purple-200 text-xs sm:text-sm">
+                  {TOURNAMENT_CONFIG.FORMAT_LABELS[tournament.format]} · {getModeConfig(tournament.mode).name} · {tournament.gridSize}×{tournament.gridSize}
+                </p>
+                <p className="flex items-center gap-1 text-purple-300 text-xs mt-1">
+                  <Users className="w-3.5 h-3.5" />
+                  {tournament.participantCount} players · {STATUS_LABELS[tournament.status]}
+                  {tournament.status === 'active' && ` · round ${tournament.currentRound}`}
+                </p>
+              </div>
+
+              {tournament.status === 'registration' && (
+                <button
+                  onClick={() => handleRegister(tournament)}
+                  disabled={busyId === tournament.id}
+                  className="px-3 py-2 bg-green-600 hover:bg-green-500 rounded-lg text-white text-sm font-semibold disabled:opacity-50 transition-colors"
+                >
+                  {busyId === tournament.id ? 'Joining...' : 'Register'}
+                </button>
+              )}
+              <button
+                onClick={() => onOpen(tournament)}
+                className="flex items-center gap-1 px-3 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-white text-sm transition-colors"
+              >
+                Bracket
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// =====================================================
+// CREATE TOURNAMENT FORM
+// =====================================================
+
+const CreateTournamentForm = ({ user, onCreated, onCancel }) => {
+  // Matches are head-to-head, so co-op modes are left out
+  const modes = useMemo(
+    () => getAvailableModes(true).filter(mode => !mode.features?.cooperative),
+    []
+  );
+  const [name, setName] = useState('');
+  const [format, setFormat] = useState(TOURNAMENT_FORMATS.SINGLE_ELIMINATION);
+  const [mode, setMode] = useState(modes[0]?.id || 'CLASSIC');
+  const [gridSize, setGridSize] = useState(8);
+  const [swissRounds, setSwissRounds] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setCreating(true);
+    setError(null);
+    try {
+      const tournament = await tournamentsApi.createTournament(user.id, {
+        name: name.trim(),
+        format,
+        mode,
+        gridSize,
+        timeLimit: (gridSize + 2) * 60,
+        swissRounds: format === TOURNAMENT_FORMATS.SWISS && swissRounds ? Number(swissRounds) : null
+      });
+      // The organiser plays too; they can withdraw before the start
+      await tournamentsApi.register(tournament.id, user.user_metadata?.username || 'Player');
+      onCreated(tournament);
+    } catch (err) {
+      console.error('Failed to create tournament:', err);
+      setError(err.message || 'Could not create the tournament');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mb-6 bg-white/10 backdrop-blur-md rounded-2xl p-4 sm:p-6 border border-white/20 space-y-4"
+    >
+      <div>
+        <label className="block text-purple-200 text-sm mb-1">Name</label>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={80}
+          placeholder="Friday Night Puzzles"
+          className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-purple-300 focus:outline-none focus:border-purple-400"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-purple-200 text-sm mb-1">Format</label>
+          <select
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="w-full px-3 py-2 bg-slate-800 border border-white/20 rounded-lg text-white"
+          >
+            {Object.values(TOURNAMENT_FORMATS).map(value => (
+              <option key={value} value={value}>{TOURNAMENT_CONFIG.FORMAT_LABELS[value]}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-purple-200 text-sm mb-1">Mode</label>
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="w-full px-3 py-2 bg-slate-800 border border-white/20 rounded-lg text-white"
+          >
+            {modes.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-purple-200 text-sm mb-1">Grid size</label>
+          <select
+            value={gridSize}
+            onChange={(e) => setGridSize(Number(e.target.value))}
+            className="w-full px-3 py-2 bg-slate-800 border border-white/20 rounded-lg text-white"
+          >
+            {GRID_SIZES.map(size => (
+              <option key={size} value={size}>{size}×{size} ({size * size} pieces)</option>
+            ))}
+          </select>
+        </div>
+
+        {format === TOURNAMENT_FORMATS.SWISS && (
+          <div>
+            <label className="block text-purple-200 text-sm mb-1">Rounds</label>
+            <input
+              type="number"
+              min={1}
+              max={10}
+              value={swissRounds}
+              onChange={(e) => setSwissRounds(e.target.value)}
+              placeholder="Auto"
+              className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-purple-300"
+            />
+          </div>
+        )}
+      </div>
+
+      <p className="text-purple-300 text-xs">
+        Each match has {gridSize + 2} minutes. Up to {TOURNAMENT_CONFIG.MAX_PARTICIPANTS} players can register.
+      </p>
+
+      {error && <p className="text-red-300 text-sm">{error}</p>}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-white/10 hover:bg-white/20 rounded-lg text-white text-sm transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={creating || !name.trim()}
+          className="px-4 py-2 bg-purple-600 hover:bg-purple-500 rounded-lg text-white text-sm font-semibold disabled:opacity-50 transition-colors"
+        >
+          {creating ? 'Creating...' : 'Create'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default Tournaments;
@@ -4,3 +4,21 @@ export { default as ModeSelectScreen } from './ModeSelectScreen';
 export { default as GameSettingsPanel } from './GameSettingsPanel';
 export { default as MoveHistoryPanel } from './MoveHistoryPanel';
 export { default as HintsPanel } from './HintsPanel';
+export { default as ContinuePuzzles } from './ContinuePuzzles';
+export { default as RejoinGames } from './RejoinGames';
+export { default as LiveGames } from './LiveGames';
+export { default as SpectatorScreen } from './SpectatorScreen';
+export { default as RecentMatches } from './RecentMatches';
+export { default as ReplayViewer } from './ReplayViewer';
+export { default as FriendsPanel } from './FriendsPanel';
+export { default as GameInvites } from './GameInvites';
+export { default as ChatPanel } from './ChatPanel';
+export { default as TeamPanel } from './TeamPanel';
+export { default as DailyPuzzle } from './DailyPuzzle';
+export { default as Tournaments } from './Tournaments';
+export { default as TournamentBracket } from './TournamentBracket';
+export { default as AchievementToasts } from './AchievementToasts';
+export { default as BadgeShowcase } from './BadgeShowcase';
+export { default as ProfileScreen } from './ProfileScreen';
+export { default as HotseatGame } from './HotseatGame';
+export { default as QuickMatchScreen } from './QuickMatchScreen';
@@ -6,15 +6,35 @@ import { createClient } from '@supabase/supabase-js';
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL?.trim();
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY?.trim();
-
-if (!supabaseUrl || !supabaseAnonKey) {
-  throw new Error(
-    'Missing VITE_SUPABASE_URL or VITE_SUPABASE_ANON_KEY environment variables. ' +
-    'Copy .env.example to .env.local and fill in your Supabase credentials.'
-  );
+// Local multiplayer (lib/transports) plays between tabs without Supabase
+const localMultiplayer = import.meta.env.VITE_MULTIPLAYER_TRANSPORT === 'local';
+
+// False when only local multiplayer is set up; `supabase` is then a stub
+export const isSupabaseConfigured = Boolean(supabaseUrl && supabaseAnonKey);
+
+if (!isSupabaseConfigured) {
+  if (!localMultiplayer) {
+    throw new Error(
+      'Missing VITE_SUPABASE_URL or VITE_SUPABASE_ANON_KEY environment variables. ' +
+      'Copy .env.example to .env.local and fill in your Supabase credentials.'
+    );
+  }
+  console.warn('Supabase is not configured; only local multiplayer will work');
 }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+// Stands in for the client when Supabase isn't configured, so a feature
+// that needs the server fails with a clear message instead of a request
+// to nowhere
+const unconfiguredClient = new Proxy({}, {
+  get(_target, property) {
+    throw new Error(
+      `Supabase is not configured, so supabase.${String(property)} is unavailable. ` +
+      'Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY to use accounts, saves and online play.'
+    );
+  }
+});
+
+export const supabase = isSupabaseConfigured ? createClient(supabaseUrl, supabaseAnonKey, {
   auth: {
     autoRefreshToken: true,
     persistSession: true,
@@ -35,7 +55,7 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
       'x-application-name': 'jigsawverse'
     }
   }
-});
+}) : unconfiguredClient;
 
 
 
@@ -56,17 +76,19 @@ export const setupRealtimeAuth = async () => {
 };
 
 // Listen for auth changes and update realtime token
-supabase.auth.onAuthStateChange(async (event, session) => {
-  if (session?.access_token) {
-    supabase.realtime.setAuth(session.access_token);
-  } else if (event === 'SIGNED_OUT') {
-    supabase.realtime.setAuth(null);
-  }
-});
+if (isSupabaseConfigured) {
+  supabase.auth.onAuthStateChange(async (event, session) => {
+    if (session?.access_token) {
+      supabase.realtime.setAuth(session.access_token);
+    } else if (event === 'SIGNED_OUT') {
+      supabase.realtime.setAuth(null);
+    }
+  });
+}
 
 // Set realtime auth from existing session on load
 (async () => {
-  if (typeof window !== 'undefined') {
+  if (isSupabaseConfigured && typeof window !== 'undefined') {
     const { data } = await supabase.auth.getSession();
     if (data.session?.access_token && !supabase.realtime.accessToken) {
       supabase.realtime.setAuth(data.session.access_token);
@@ -76,6 +98,7 @@ supabase.auth.onAuthStateChange(async (event, session) => {
 
 // Helper to check if user is authenticated
 export const isAuthenticated = async () => {
+  if (!isSupabaseConfigured) return false;
   const { data: { session } } = await supabase.auth.getSession();
   return !!session;
 };
@@ -125,6 +148,7 @@ export const createPresenceChannel = () => {
 
 // Helper to check connection
 export const checkConnection = async () => {
+  if (!isSupabaseConfigured) return false;
   try {
     const { error } = await supabase.auth.getSession();
     return !error;
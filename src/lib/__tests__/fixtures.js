@@ -0,0 +1,179 @@
+// =====================================================
+// TEST FIXTURES - Headless puzzles for GameLogic tests
+// =====================================================
+
+import { GameLogic } from '../gameLogic.js';
+import { createRng, deriveSeed } from '../prng.js';
+import { generateEdgeProfiles, getPieceEdges } from '../pieceShapes.js';
+
+export const TEST_SEED = 20261019;
+
+/**
+ * The pieces ImageProcessor.sliceImage cuts for a gridSize x gridSize
+ * puzzle, with a placeholder instead of the image data.
+ */
+export function makePieces(gridSize = 5, seed = TEST_SEED) {
+  const profiles = generateEdgeProfiles(gridSize, gridSize, createRng(deriveSeed(seed, 'shapes')));
+  const pieces = [];
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      const index = row * gridSize + col;
+      const { edges, edgeShapes } = getPieceEdges(row, col, profiles);
+      pieces.push({
+        id: index,
+        correctPosition: index,
+        row,
+        col,
+        imageData: `piece-${index}`,
+        isEdge: row === 0 || row === gridSize - 1 || col === 0 || col === gridSize - 1,
+        edges,
+        edgeShapes
+      });
+    }
+  }
+  return pieces;
+}
+
+/**
+ * A dealt game, as buildSeededPuzzle (or SinglePlayerGame) sets it up.
+ * options are the GameLogic ones ({ players, teams, rotation }).
+ */
+export function createGame(mode = 'CLASSIC', { gridSize = 5, seed = TEST_SEED, ...options } = {}) {
+  const pieces = makePieces(gridSize, seed);
+  const game = new GameLogic(pieces.length, pieces, mode, seed, options);
+  if (mode === 'SINGLE_PLAYER') {
+    // SinglePlayerGame deals to playerA only
+    game.piecePool = game.shufflePieces();
+    game.playerARack = [];
+    game.fillRack('playerA');
+    game.gameState = 'active';
+  } else {
+    game.initialize();
+  }
+  return game;
+}
+
+/**
+ * buildSeededPuzzle without an image, for multiplayer sessions under
+ * test (their `buildPuzzle` option). Same arguments, same result.
+ */
+export async function buildTestPuzzle(imageSource, gridSize, seed, mode = 'CLASSIC', options = {}) {
+  const pieces = makePieces(gridSize, seed);
+  const gameLogic = new GameLogic(pieces.length, pieces, mode, seed, options);
+  gameLogic.initialize();
+  return { pieces, gridDimensions: { cols: gridSize, rows: gridSize, totalPieces: pieces.length }, gameLogic };
+}
+
+/**
+ * A second GameLogic for the same puzzle that hasn't been dealt, ready
+ * for importGameState — what a rejoining client builds.
+ */
+export function createBlankGame(game, options = {}) {
+  return new GameLogic(game.totalPieces, makePieces(game.gridSize, game.seed), game.mode, game.seed, options);
+}
+
+export const rackPieces = (game, player) => game.getRack(player).filter(Boolean);
+
+export const isEmptyCell = (game, gridIndex) => game.grid[gridIndex] == null;
+
+// A rack piece whose own cell is still free, placed where it belongs
+export function findCorrectMove(game, player) {
+  const piece = rackPieces(game, player).find(p => isEmptyCell(game, p.correctPosition));
+  return piece ? { pieceId: piece.id, gridIndex: piece.correctPosition } : null;
+}
+
+// A rack piece and a free cell it doesn't belong in
+export function findWrongMove(game, player) {
+  for (const piece of rackPieces(game, player)) {
+    const gridIndex = game.grid.findIndex((cell, i) => cell == null && i !== piece.correctPosition);
+    if (gridIndex !== -1) return { pieceId: piece.id, gridIndex };
+  }
+  return null;
+}
+
+// A piece onto its own cell while one fits, otherwise the first rack
+// piece onto the first free cell
+export function chooseMove(game, player) {
+  const correct = findCorrectMove(game, player);
+  if (correct) return correct;
+  const piece = rackPieces(game, player)[0];
+  return piece ? { pieceId: piece.id, gridIndex: game.grid.findIndex(cell => cell == null) } : null;
+}
+
+/**
+ * The next step of a scripted whole game. With a check pending, the
+ * checker answers it (a check every third step while they have one
+ * left): { player, decision }. Otherwise `player` places chooseMove:
+ * { player, pieceId, gridIndex }, or null when they have nothing left.
+ */
+export function nextStep(game, step, player = game.currentTurn) {
+  if (game.pendingCheck) {
+    const checker = game.getNextPlayer(game.pendingCheck.player);
+    const decision = step % 3 === 0 && game.getChecksLeft(checker) > 0 ? 'check' : 'pass';
+    return { player: checker, decision };
+  }
+  const move = chooseMove(game, player);
+  return move && { player, ...move };
+}
+
+export function placeCorrect(game, player) {
+  const move = findCorrectMove(game, player);
+  return { ...move, result: game.placePiece(player, move.pieceId, move.gridIndex) };
+}
+
+export function placeWrong(game, player) {
+  const move = findWrongMove(game, player);
+  return { ...move, result: game.placePiece(player, move.pieceId, move.gridIndex) };
+}
+
+export const rackHas = (game, player, pieceId) => game.getRack(player).some(p => p && p.id === pieceId);
+
+/**
+ * How many times each piece id sits on the board, in a rack or in the
+ * pool. Every id should come out exactly once.
+ */
+export function countPieces(game) {
+  const counts = new Map(game.pieces.map(piece => [piece.id, 0]));
+  const tally = (piece) => {
+    if (piece) counts.set(piece.id, (counts.get(piece.id) || 0) + 1);
+  };
+
+  game.grid.forEach(tally);
+  // Co-op keeps one rack for everybody, so count each rack once
+  [...new Set(game.players.map(player => game.getRackOwner(player)))]
+    .forEach(owner => (game.racks[owner] || []).forEach(tally));
+  game.piecePool.forEach(tally);
+  return counts;
+}
+
+/**
+ * The state a game_state broadcast carries (toCompactState in
+ * multiplayer.js), round-tripped through JSON like the real thing.
+ */
+export function toBroadcast(game) {
+  return JSON.parse(JSON.stringify({
+    players: game.players,
+    teams: game.teams,
+    grid: game.grid.map(piece => game.toGridCell(piece)),
+    ...Object.fromEntries(game.players.map(player => [`${player}Rack`, (game.racks[player] || []).map(p => p ? p.id : null)])),
+    piecePool: game.piecePool.map(p => p.id),
+    currentTurn: game.currentTurn,
+    scores: game.scores,
+    revealedScores: game.revealedScores,
+    pendingCheck: game.pendingCheck,
+    gameState: game.gameState,
+    timerRemaining: game.timerRemaining,
+    moveHistory: game.moveHistory,
+    mode: game.mode,
+    turnsRemaining: game.turnsRemaining,
+    checksRemaining: game.checksRemaining,
+    nextCheckRevealProgress: game.nextCheckRevealProgress,
+    piecePlacedBy: game.piecePlacedBy,
+    pieceMarks: game.pieceMarks,
+    nexusResolved: game.nexusResolved,
+    rotationEnabled: game.rotationEnabled
+  }));
+}
+
+// Piece ids instead of piece objects, for comparing two games' boards and racks
+export const toIds = (cells) => cells.map(piece => (piece ? piece.id : null));
@@ -0,0 +1,281 @@
+// =====================================================
+// GAMELOGIC FUZZ - Random legal play against the rules' invariants
+// =====================================================
+//
+// Each run deals a seeded game and plays random moves, checks and marks,
+// with illegal actions mixed in, checking the invariants after every
+// step. A failure names the mode and seed, so it replays exactly:
+// set FUZZ_SEED to that seed to rerun only it.
+
+import { describe, it, expect } from 'vitest';
+import { createRng, deriveSeed } from '../prng.js';
+import { createGame, createBlankGame, rackPieces, countPieces, toBroadcast, toIds } from './fixtures.js';
+
+const RUNS_PER_MODE = 20;
+const MAX_STEPS = 400;
+
+const SCENARIOS = [
+  { mode: 'CLASSIC' },
+  { mode: 'SUPER' },
+  { mode: 'SAGE' },
+  { mode: 'NEXUS' },
+  { mode: 'SAVANT' },
+  { mode: 'COOP' },
+  { mode: 'SINGLE_PLAYER' },
+  { mode: 'CLASSIC', options: { gridSize: 8, players: 4 } },
+  { mode: 'SUPER', options: { gridSize: 8, players: 4, teams: true } },
+  { mode: 'NEXUS', options: { players: 3 } },
+  { mode: 'SAVANT', options: { gridSize: 8, players: 4, teams: true } },
+  { mode: 'CLASSIC', options: { rotation: true } }
+];
+
+const pick = (rng, items) => items[Math.floor(rng() * items.length)];
+
+const emptyCells = (game) => game.grid.reduce((cells, cell, i) => (cell == null ? [...cells, i] : cells), []);
+
+// Everything a rejected action must leave alone
+const fingerprint = (game) => JSON.stringify({
+  grid: toIds(game.grid),
+  racks: game.players.map(player => toIds(game.getRack(player))),
+  pool: toIds(game.piecePool),
+  scores: game.scores,
+  currentTurn: game.currentTurn,
+  pendingCheck: game.pendingCheck,
+  marks: game.pieceMarks,
+  history: game.moveHistory.length,
+  locked: game.isPlacementInProgress
+});
+
+// Every broken rule, as readable strings; empty when the state is sound
+function findViolations(game, settled) {
+  const violations = [];
+
+  for (const [id, count] of countPieces(game)) {
+    if (count !== 1) violations.push(`piece ${id} is in ${count} places`);
+  }
+
+  game.grid.forEach((piece, i) => {
+    if (piece && !piece.imageData) violations.push(`cell ${i} holds a piece without image data`);
+  });
+
+  for (const player of game.players) {
+    const { score, accuracy, correctPlacements, totalPlacements, hintsUsed } = game.scores[player];
+    if (!Number.isInteger(score)) violations.push(`${player} has a fractional score ${score}`);
+    if (accuracy < 0 || accuracy > 100) violations.push(`${player} accuracy is ${accuracy}`);
+    if (correctPlacements > totalPlacements) violations.push(`${player} has more correct than total placements`);
+    if (hintsUsed > 5) violations.push(`${player} used ${hintsUsed} hints`);
+  }
+
+  if (!game.players.includes(game.currentTurn)) {
+    violations.push(`turn belongs to ${game.currentTurn}, who isn't seated`);
+  }
+
+  // A pending check keeps the placer's turn and lock until it's answered
+  const pending = game.pendingCheck;
+  if (pending) {
+    if (!game.isPlacementInProgress) violations.push('a check is pending without the placement lock');
+    if (game.currentTurn !== pending.player) violations.push(`${game.currentTurn} has the turn while ${pending.player}'s piece awaits a check`);
+    if (game.grid[pending.gridIndex]?.id !== pending.pieceId) violations.push(`the piece awaiting a check isn't on cell ${pending.gridIndex}`);
+  } else if (game.isPlacementInProgress) {
+    violations.push('placement lock held with nothing pending');
+  }
+
+  // A correct piece that has been accepted never leaves its cell
+  for (const [gridIndex, pieceId] of settled) {
+    if (game.grid[gridIndex]?.id !== pieceId) violations.push(`accepted piece ${pieceId} left cell ${gridIndex}`);
+  }
+
+  return violations;
+}
+
+const checkInvariants = (game, settled) => expect(findViolations(game, settled)).toEqual([]);
+
+// Correct pieces nobody can take back any more
+function settle(game, settled) {
+  game.grid.forEach((piece, i) => {
+    const pending = game.pendingCheck?.gridIndex === i;
+    if (piece && !pending && game.isPieceCorrectAt(piece, i)) settled.set(i, piece.id);
+  });
+}
+
+// Try an action that must fail, and make sure it changes nothing
+function expectRejected(game, [description, action]) {
+  const before = fingerprint(game);
+  const result = action();
+  expect(result.success, `${description} was allowed`).toBe(false);
+  expect(fingerprint(game), `${description} changed the game`).toBe(before);
+}
+
+function tryIllegalAction(game, rng) {
+  const filled = game.grid.findIndex(cell => cell != null);
+  const free = emptyCells(game);
+  const seats = game.players;
+  const actions = [];
+
+  if (!game.isSimultaneous()) {
+    const idle = seats.filter(seat => seat !== game.currentTurn);
+    const seat = pick(rng, idle);
+    const piece = rackPieces(game, seat)[0];
+    if (piece && free.length) {
+      actions.push([`${seat} placing out of turn`, () => game.placePiece(seat, piece.id, free[0])]);
+    }
+  }
+
+  if (game.pendingCheck) {
+    const placer = game.pendingCheck.player;
+    const piece = rackPieces(game, placer)[0];
+    if (piece && free.length) {
+      actions.push([`${placer} placing again before the check`, () => game.placePiece(placer, piece.id, free[0])]);
+    }
+    actions.push([`${placer} checking their own piece`, () => game.handleOpponentCheck(placer, 'check')]);
+    seats
+      .filter(seat => seat !== placer && seat !== game.getNextPlayer(placer))
+      .forEach(seat => actions.push([`${seat} answering out of turn`, () => game.handleOpponentCheck(seat, 'pass')]));
+  } else {
+    actions.push(['a check with nothing pending', () => game.handleOpponentCheck(pick(rng, seats), 'check')]);
+
+    const mover = game.isSimultaneous() ? pick(rng, seats) : game.currentTurn;
+    const piece = rackPieces(game, mover)[0];
+    if (piece && filled !== -1) {
+      actions.push([`${mover} placing on an occupied cell`, () => game.placePiece(mover, piece.id, filled)]);
+    }
+    if (piece) {
+      actions.push([`${mover} placing off the board`, () => game.placePiece(mover, piece.id, game.totalPieces)]);
+    }
+    // Somebody else's piece, or one still in the pool
+    const foreign = [
+      ...game.piecePool,
+      ...seats.filter(seat => game.getRackOwner(seat) !== game.getRackOwner(mover)).flatMap(seat => rackPieces(game, seat)),
+      ...game.grid.filter(Boolean)
+    ];
+    if (foreign.length && free.length) {
+      const stray = pick(rng, foreign);
+      actions.push([`${mover} placing piece ${stray.id} from outside their rack`, () => game.placePiece(mover, stray.id, pick(rng, free))]);
+    }
+  }
+
+  if (actions.length) expectRejected(game, pick(rng, actions));
+}
+
+// One legal step
+function playStep(game, rng, placements) {
+  if (game.pendingCheck) {
+    const checker = game.getNextPlayer(game.pendingCheck.player);
+    let decision = rng() < 0.5 ? 'check' : 'pass';
+    if (decision === 'check' && game.getChecksLeft(checker) <= 0) {
+      expect(game.handleOpponentCheck(checker, 'check').success).toBe(false);
+      decision = 'pass';
+    }
+    expect(game.handleOpponentCheck(checker, decision).success).toBe(true);
+    return;
+  }
+
+  const seats = game.isSimultaneous()
+    ? game.players.filter(seat => rackPieces(game, seat).length > 0)
+    : [game.currentTurn];
+  const mover = pick(rng, seats.length ? seats : game.players);
+  const rack = rackPieces(game, mover);
+  const free = emptyCells(game);
+  // The turn passes on from an empty rack, so whoever is due has a piece
+  // to place until the game is over
+  expect(rack.length, `${mover} is due but has nothing to place`).toBeGreaterThan(0);
+  expect(free.length).toBeGreaterThan(0);
+
+  const roll = rng();
+  if (roll < 0.05 && game.scores[mover].hintsUsed < 5) {
+    expect(game.useHint(mover, pick(rng, ['position', 'edge', 'corner', 'region'])).success).toBe(true);
+    return;
+  }
+  if (roll < 0.15 && game.markPiece !== undefined && game.modePlugin.onMark) {
+    const placed = game.grid.map((cell, i) => i).filter(i => game.grid[i]);
+    if (placed.length) {
+      const gridIndex = pick(rng, placed);
+      const own = game.piecePlacedBy[gridIndex] === mover;
+      game.markPiece(mover, gridIndex, own ? 'confident' : 'suspect');
+      return;
+    }
+  }
+
+  const piece = pick(rng, rack);
+  if (game.rotationEnabled && rng() < 0.5) {
+    expect(game.rotatePiece(mover, piece.id, 1 + Math.floor(rng() * 3)).success).toBe(true);
+  }
+  // Mostly right, so games get somewhere
+  const gridIndex = rng() < 0.6 && game.grid[piece.correctPosition] == null
+    ? piece.correctPosition
+    : pick(rng, free);
+
+  // Once the others have run dry the mover may place any number of times
+  const alone = game.players.every(seat => seat === mover || !game.hasPiecesToPlace(seat));
+  const result = game.placePiece(mover, piece.id, gridIndex);
+  expect(result.success, result.message).toBe(true);
+  placements.push({ seat: mover, alone });
+}
+
+// No seat places more often in a row than its round allows, unless nobody
+// else has anything left to place
+function checkRounds(game, placements) {
+  if (game.isSimultaneous() || game.mode === 'SINGLE_PLAYER') return;
+  const limit = game.modeConfig.features.turnsPerRound;
+  let run = 0;
+  placements.forEach(({ seat, alone }, i) => {
+    run = seat === placements[i - 1]?.seat ? run + 1 : 1;
+    if (alone) return;
+    expect(run, `${seat} placed ${run} times in a row`).toBeLessThanOrEqual(limit);
+  });
+}
+
+function runGame({ mode, options = {} }, seed) {
+  const game = createGame(mode, { ...options, seed });
+  const rng = createRng(deriveSeed(seed, 'fuzz'));
+  const settled = new Map();
+  const placements = [];
+
+  checkInvariants(game, settled);
+  for (let step = 0; step < MAX_STEPS && !game.isGameComplete(); step++) {
+    if (rng() < 0.2) tryIllegalAction(game, rng);
+    playStep(game, rng, placements);
+    if (game.mode !== 'NEXUS') settle(game, settled);
+    checkInvariants(game, settled);
+
+    // Now and then a client rejoins from the broadcast; it must see the same game
+    if (rng() < 0.05) {
+      const copy = createBlankGame(game, options);
+      copy.importGameState(toBroadcast(game), copy.pieces);
+      expect(fingerprint(copy), 'rejoined client disagrees').toBe(fingerprint(game));
+    }
+  }
+
+  checkRounds(game, placements);
+
+  if (game.modePlugin.resolveEndGame) {
+    expect(game.resolveEndGame().success).toBe(true);
+    checkInvariants(game, settled);
+    expect(game.resolveEndGame().success).toBe(false);
+  }
+
+  if (game.isGameComplete()) {
+    expect(game.getWinner()).not.toBeNull();
+  }
+}
+
+const seeds = process.env.FUZZ_SEED
+  ? [Number(process.env.FUZZ_SEED)]
+  : Array.from({ length: RUNS_PER_MODE }, (_, i) => 1000 + i);
+
+describe('GameLogic invariants under random play', () => {
+  SCENARIOS.forEach((scenario) => {
+    const label = [scenario.mode, ...Object.entries(scenario.options || {}).map(([key, value]) => `${key}=${value}`)].join(' ');
+
+    it(label, () => {
+      seeds.forEach((seed) => {
+        try {
+          runGame(scenario, seed);
+        } catch (err) {
+          err.message = `[${label}, seed ${seed}] ${err.message}`;
+          throw err;
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,699 @@
+// =====================================================
+// GAMELOGIC RULES - The cases in GAMEPLAY_RULES_TEST.md, scripted
+// =====================================================
+
+import { describe, it, expect, vi } from 'vitest';
+import { MODE_SCORING } from '../gameModes.js';
+import { HINT_CONFIG } from '../gameConfig.js';
+import { countFlatEdges } from '../pieceShapes.js';
+import {
+  createGame,
+  createBlankGame,
+  findCorrectMove,
+  placeCorrect,
+  placeWrong,
+  rackHas,
+  rackPieces,
+  countPieces,
+  toBroadcast,
+  toIds
+} from './fixtures.js';
+
+const CLASSIC = MODE_SCORING.CLASSIC;
+
+const scoreOf = (game, player) => game.scores[player].score;
+
+// =====================================================
+// CHECK / PASS (Test Cases 1-4, 12)
+// =====================================================
+
+describe('CHECK and PASS outcomes', () => {
+  it('holds a placement for the opponent to check', () => {
+    const game = createGame();
+    const { pieceId, gridIndex, result } = placeCorrect(game, 'playerA');
+
+    expect(result).toMatchObject({ success: true, correct: true, awaitingCheck: true, scored: false });
+    expect(game.pendingCheck).toMatchObject({ player: 'playerA', pieceId, gridIndex, correct: true });
+    expect(game.isPlacementInProgress).toBe(true);
+    expect(game.currentTurn).toBe('playerA');
+    expect(scoreOf(game, 'playerA')).toBe(0);
+  });
+
+  it('CHECK on an incorrect piece: checker scores, piece goes back to the placer', () => {
+    const game = createGame();
+    const { pieceId, gridIndex } = placeWrong(game, 'playerA');
+
+    const result = game.handleOpponentCheck('playerB', 'check');
+
+    expect(result).toMatchObject({ success: true, result: 'successful_check', correctPlacement: false });
+    expect(scoreOf(game, 'playerB')).toBe(CLASSIC.checkerSuccess);
+    expect(scoreOf(game, 'playerA')).toBe(0);
+    expect(game.grid[gridIndex]).toBeNull();
+    expect(rackHas(game, 'playerA', pieceId)).toBe(true);
+    expect(rackHas(game, 'playerB', pieceId)).toBe(false);
+    expect(game.currentTurn).toBe('playerB');
+    expect(game.pendingCheck).toBeNull();
+    expect(game.isPlacementInProgress).toBe(false);
+  });
+
+  it('CHECK on a correct piece: placer scores, checker pays, piece stays', () => {
+    const game = createGame();
+    const { pieceId, gridIndex } = placeCorrect(game, 'playerA');
+
+    const result = game.handleOpponentCheck('playerB', 'check');
+
+    expect(result).toMatchObject({ success: true, result: 'failed_check', correctPlacement: true });
+    expect(scoreOf(game, 'playerA')).toBe(CLASSIC.checkCorrect);
+    expect(scoreOf(game, 'playerB')).toBe(CLASSIC.checkerFail);
+    expect(game.grid[gridIndex].id).toBe(pieceId);
+    expect(game.scores.playerA).toMatchObject({ correctPlacements: 1, totalPlacements: 1, streak: 1, accuracy: 100 });
+    expect(game.currentTurn).toBe('playerB');
+  });
+
+  it('PASS on a correct piece: piece stays and the placer earns the pass bonus', () => {
+    const game = createGame();
+    const { pieceId, gridIndex } = placeCorrect(game, 'playerA');
+
+    const result = game.handleOpponentCheck('playerB', 'pass');
+
+    expect(result).toMatchObject({ success: true, result: 'opponent_passed_correct', correctPlacement: true });
+    expect(scoreOf(game, 'playerA')).toBe(CLASSIC.passCorrect);
+    expect(scoreOf(game, 'playerB')).toBe(0);
+    expect(game.grid[gridIndex].id).toBe(pieceId);
+    expect(game.currentTurn).toBe('playerB');
+    expect(game.pendingCheck).toBeNull();
+  });
+
+  it('PASS on an incorrect piece: both penalised, piece goes back to the placer', () => {
+    const game = createGame();
+    const { pieceId, gridIndex } = placeWrong(game, 'playerA');
+
+    const result = game.handleOpponentCheck('playerB', 'pass');
+
+    expect(result).toMatchObject({ success: true, result: 'opponent_passed_incorrect', bothPenalized: CLASSIC.passWrong });
+    expect(scoreOf(game, 'playerA')).toBe(CLASSIC.passWrong);
+    expect(scoreOf(game, 'playerB')).toBe(CLASSIC.passWrong);
+    expect(game.grid[gridIndex]).toBeNull();
+    expect(rackHas(game, 'playerA', pieceId)).toBe(true);
+    expect(game.currentTurn).toBe('playerB');
+    // Penalties aren't placements, so accuracy is untouched
+    expect(game.scores.playerA).toMatchObject({ totalPlacements: 0, accuracy: 100 });
+  });
+
+  it('uses each mode’s own point values', () => {
+    const game = createGame('SUPER');
+    placeWrong(game, 'playerA');
+    game.handleOpponentCheck('playerB', 'check');
+
+    expect(scoreOf(game, 'playerB')).toBe(MODE_SCORING.SUPER.checkerSuccess);
+  });
+
+  it('adds the streak bonus from the third correct placement in a row', () => {
+    const game = createGame();
+    const bonus = 2 * CLASSIC.streakMultiplier;
+
+    for (let round = 0; round < 3; round++) {
+      placeCorrect(game, 'playerA');
+      game.handleOpponentCheck('playerB', 'pass');
+      placeCorrect(game, 'playerB');
+      game.handleOpponentCheck('playerA', 'pass');
+    }
+
+    expect(game.scores.playerA.streak).toBe(3);
+    expect(scoreOf(game, 'playerA')).toBe(3 * CLASSIC.passCorrect + bonus);
+  });
+
+  it('reveals correctness at each 20% of the board', () => {
+    const game = createGame();
+    // 25 cells: the first reveal comes with the fifth piece down
+    for (let i = 0; i < 4; i++) {
+      const player = game.currentTurn;
+      placeCorrect(game, player);
+      expect(game.pendingCheck.revealCorrectness).toBe(false);
+      game.handleOpponentCheck(game.getNextPlayer(player), 'pass');
+    }
+
+    placeCorrect(game, game.currentTurn);
+    expect(game.pendingCheck.revealCorrectness).toBe(true);
+    expect(game.nextCheckRevealProgress).toBeCloseTo(0.4);
+
+    const result = game.handleOpponentCheck(game.getNextPlayer(game.currentTurn), 'pass');
+    expect(result.scoresRevealed).toBe(true);
+    expect(game.revealedScores.playerA.score).toBe(scoreOf(game, 'playerA'));
+  });
+});
+
+// =====================================================
+// TURN VALIDATION (Test Case 5)
+// =====================================================
+
+describe('Turn validation', () => {
+  it('rejects a placement out of turn', () => {
+    const game = createGame();
+    const move = findCorrectMove(game, 'playerB');
+
+    expect(game.placePiece('playerB', move.pieceId, move.gridIndex)).toEqual({ success: false, message: 'Not your turn' });
+    expect(game.grid[move.gridIndex]).toBeNull();
+  });
+
+  it('rejects a second placement while the first is unresolved', () => {
+    const game = createGame();
+    placeCorrect(game, 'playerA');
+    const move = findCorrectMove(game, 'playerA');
+
+    expect(game.placePiece('playerA', move.pieceId, move.gridIndex)).toEqual({ success: false, message: 'Placement in progress, please wait' });
+  });
+
+  it('never gives a player two turns in a row', () => {
+    const game = createGame();
+    placeCorrect(game, 'playerA');
+    game.handleOpponentCheck('playerB', 'pass');
+    const move = findCorrectMove(game, 'playerA');
+
+    expect(game.placePiece('playerA', move.pieceId, move.gridIndex).message).toBe('Not your turn');
+  });
+
+  it('rejects bad cells and releases the lock', () => {
+    const game = createGame();
+    const { gridIndex } = placeCorrect(game, 'playerA');
+    game.handleOpponentCheck('playerB', 'pass');
+    const piece = rackPieces(game, 'playerB')[0];
+
+    expect(game.placePiece('playerB', piece.id, gridIndex).message).toBe('Position occupied');
+    expect(game.placePiece('playerB', piece.id, -1).message).toBe('Invalid grid position');
+    expect(game.placePiece('playerB', piece.id, game.totalPieces).message).toBe('Invalid grid position');
+    expect(game.isPlacementInProgress).toBe(false);
+  });
+
+  it("rejects pieces from someone else's rack or the pool", () => {
+    const game = createGame();
+    const before = countPieces(game);
+    const opponentPiece = rackPieces(game, 'playerB')[0];
+    const poolPiece = game.piecePool[0];
+
+    expect(game.placePiece('playerA', opponentPiece.id, opponentPiece.correctPosition).message).toBe('Piece is not in your rack');
+    expect(game.placePiece('playerA', poolPiece.id, poolPiece.correctPosition).message).toBe('Piece is not in your rack');
+    expect(game.isPlacementInProgress).toBe(false);
+    expect(countPieces(game)).toEqual(before);
+  });
+
+  it('only lets the next player check', () => {
+    const game = createGame();
+    expect(game.handleOpponentCheck('playerB', 'check').message).toBe('No pending move to check');
+
+    placeCorrect(game, 'playerA');
+    expect(game.handleOpponentCheck('playerA', 'check').message).toBe('You cannot check your own placement');
+
+    const fourPlayer = createGame('CLASSIC', { players: 4 });
+    placeCorrect(fourPlayer, 'playerA');
+    expect(fourPlayer.handleOpponentCheck('playerC', 'check').message).toBe('Only the next player in turn can check this placement');
+    expect(fourPlayer.handleOpponentCheck('playerB', 'pass').success).toBe(true);
+    expect(fourPlayer.currentTurn).toBe('playerB');
+  });
+});
+
+// =====================================================
+// RACKS (Test Case 6)
+// =====================================================
+
+describe('Rack behaviour', () => {
+  it('deals full racks and keeps the rest in the pool', () => {
+    const game = createGame();
+
+    expect(rackPieces(game, 'playerA')).toHaveLength(10);
+    expect(rackPieces(game, 'playerB')).toHaveLength(10);
+    expect(game.piecePool).toHaveLength(5);
+  });
+
+  it('deals the same racks from the same seed', () => {
+    expect(toIds(createGame().getRack('playerA'))).toEqual(toIds(createGame().getRack('playerA')));
+  });
+
+  it('returns a rejected piece to the first hole in the placer’s rack', () => {
+    const game = createGame();
+    const rack = game.getRack('playerA');
+    const slot = rack.findIndex(p => p && p.correctPosition !== 0);
+    const piece = rack[slot];
+
+    game.placePiece('playerA', piece.id, piece.correctPosition === 1 ? 2 : 1);
+    expect(rack[slot]).toBeNull();
+    game.handleOpponentCheck('playerB', 'check');
+
+    expect(game.getRack('playerA')[slot].id).toBe(piece.id);
+  });
+
+  it('refills an emptied rack from the pool', () => {
+    const game = createGame();
+    const [last, ...rest] = rackPieces(game, 'playerA');
+    rest.forEach(piece => game.piecePool.push(piece));
+    game.racks.playerA = [null, undefined, last, null];
+
+    game.placePiece('playerA', last.id, last.correctPosition);
+
+    expect(rackPieces(game, 'playerA')).toHaveLength(10);
+    expect(game.getRack('playerA').every(Boolean)).toBe(true);
+  });
+
+  it('fillRack skips null and undefined holes', () => {
+    const game = createGame();
+    const [first, second] = rackPieces(game, 'playerA');
+    game.racks.playerA = [null, first, undefined, second];
+
+    game.fillRack('playerA');
+
+    expect(toIds(game.getRack('playerA')).slice(0, 2)).toEqual([first.id, second.id]);
+    expect(game.getRack('playerA')).toHaveLength(7);
+    expect(game.piecePool).toHaveLength(0);
+  });
+});
+
+// =====================================================
+// GAME END (Test Cases 7-8)
+// =====================================================
+
+describe('Game completion', () => {
+  it('finishes when every cell is filled and the top score wins', () => {
+    const game = createGame('CLASSIC', { gridSize: 4 });
+    // Deal the 16 pieces evenly so neither player runs dry first
+    const all = [...rackPieces(game, 'playerA'), ...rackPieces(game, 'playerB')];
+    game.racks.playerA = all.slice(0, 8);
+    game.racks.playerB = all.slice(8);
+
+    for (let step = 0; step < 100 && !game.isGameComplete(); step++) {
+      const player = game.currentTurn;
+      if (!findCorrectMove(game, player)) break;
+      placeCorrect(game, player);
+      game.handleOpponentCheck(game.getNextPlayer(player), 'check');
+    }
+
+    expect(game.isGameComplete()).toBe(true);
+    expect(game.grid.every((piece, i) => piece.correctPosition === i)).toBe(true);
+    const [a, b] = [scoreOf(game, 'playerA'), scoreOf(game, 'playerB')];
+    expect(game.getWinner()).toBe(a === b ? 'tie' : a > b ? 'playerA' : 'playerB');
+  });
+
+  it('passes the turn on when the player to move has no pieces left', () => {
+    const game = createGame('CLASSIC', { gridSize: 4 });
+    // Player B runs dry with the pool already empty
+    const all = [...rackPieces(game, 'playerA'), ...rackPieces(game, 'playerB'), ...game.piecePool];
+    game.racks.playerA = all.slice(0, 12);
+    game.racks.playerB = all.slice(12);
+    game.piecePool = [];
+
+    const movers = [];
+    for (let step = 0; step < 100 && !game.isGameComplete(); step++) {
+      const player = game.currentTurn;
+      expect(findCorrectMove(game, player)).toBeTruthy();
+      movers.push(player);
+      placeCorrect(game, player);
+      game.handleOpponentCheck(game.getNextPlayer(player), 'pass');
+    }
+
+    expect(game.isGameComplete()).toBe(true);
+    expect(game.grid.every(Boolean)).toBe(true);
+    expect(movers.slice(8)).toEqual(new Array(8).fill('playerA'));
+  });
+
+  it('ends a Super round early once the placer has nothing left to place', () => {
+    const game = createGame('SUPER');
+    game.racks.playerA = rackPieces(game, 'playerA').slice(0, 1);
+    game.piecePool = [];
+
+    placeCorrect(game, 'playerA');
+    game.handleOpponentCheck('playerB', 'pass');
+
+    expect(game.currentTurn).toBe('playerB');
+    expect(game.turnsRemaining.playerA).toBe(2);
+  });
+
+  it('goes by the server’s counts for the racks a player may not see', () => {
+    const game = createGame('CLASSIC', { gridSize: 4 });
+    const view = { ...toBroadcast(game), playerARack: [], piecePoolCount: 0, rackCounts: { playerA: 0, playerB: 2 } };
+    delete view.playerBRack;
+    delete view.piecePool;
+
+    game.importGameState(view, game.pieces);
+    expect(game.getRack('playerB')).toEqual([]);
+    expect(game.hasPiecesToPlace('playerB')).toBe(true);
+    expect(game.isGameComplete()).toBe(false);
+
+    game.importGameState({ ...view, rackCounts: { playerA: 0, playerB: 0 } }, game.pieces);
+    expect(game.isGameComplete()).toBe(true);
+
+    // A full snapshot has nothing hidden
+    game.importGameState(toBroadcast(createGame('CLASSIC', { gridSize: 4 })), game.pieces);
+    expect(game.hiddenCounts).toBeNull();
+    expect(game.isGameComplete()).toBe(false);
+  });
+
+  it('has no winner while the game is running', () => {
+    const game = createGame();
+    expect(game.isGameComplete()).toBe(false);
+    expect(game.getWinner()).toBeNull();
+  });
+
+  it('sums partners’ scores in 2v2', () => {
+    const game = createGame('SAVANT', { gridSize: 4, players: 4, teams: true });
+    game.players.forEach(player => {
+      while (findCorrectMove(game, player)) placeCorrect(game, player);
+    });
+
+    const totals = game.getTeamScores();
+    expect(totals.teamA).toBe(scoreOf(game, 'playerA') + scoreOf(game, 'playerC'));
+    expect(game.getWinner()).toBe(totals.teamA === totals.teamB ? 'tie' : totals.teamA > totals.teamB ? 'teamA' : 'teamB');
+  });
+});
+
+// =====================================================
+// ROUNDS (Test Cases 9, 10, 12)
+// =====================================================
+
+describe('CLASSIC, SUPER and SAGE rounds', () => {
+  it('CLASSIC: one placement per turn, one check per round, Classic points', () => {
+    const game = createGame('CLASSIC');
+
+    expect(game.getChecksLeft('playerB')).toBe(1);
+    placeWrong(game, 'playerA');
+    expect(game.handleOpponentCheck('playerB', 'check').success).toBe(true);
+    expect(scoreOf(game, 'playerB')).toBe(CLASSIC.checkerSuccess);
+    expect(game.currentTurn).toBe('playerB');
+    expect(game.placePiece('playerA', rackPieces(game, 'playerA')[0].id, 0).message).toBe('Not your turn');
+
+    placeCorrect(game, 'playerB');
+    expect(game.getChecksLeft('playerA')).toBe(1);
+    game.handleOpponentCheck('playerA', 'check');
+    expect(scoreOf(game, 'playerB')).toBe(CLASSIC.checkerSuccess + CLASSIC.checkCorrect);
+    expect(scoreOf(game, 'playerA')).toBe(CLASSIC.checkerFail);
+    expect(game.currentTurn).toBe('playerA');
+    expect(game.getChecksLeft('playerB')).toBe(1);
+  });
+
+  it('SUPER: two placements per round, one check', () => {
+    const game = createGame('SUPER');
+
+    placeCorrect(game, 'playerA');
+    game.handleOpponentCheck('playerB', 'check');
+    expect(game.currentTurn).toBe('playerA');
+    expect(game.turnsRemaining.playerA).toBe(1);
+
+    placeCorrect(game, 'playerA');
+    expect(game.getChecksLeft('playerB')).toBe(0);
+    expect(game.handleOpponentCheck('playerB', 'check').message).toBe('No checks left this round — you can only pass');
+    expect(game.handleOpponentCheck('playerB', 'pass').success).toBe(true);
+
+    expect(game.currentTurn).toBe('playerB');
+    expect(game.turnsRemaining.playerA).toBe(2);
+  });
+
+  it('SAGE: five placements per round, two checks, both reset afterwards', () => {
+    const game = createGame('SAGE');
+
+    for (let turn = 1; turn <= 5; turn++) {
+      placeCorrect(game, 'playerA');
+      const decision = turn <= 3 ? 'check' : 'pass';
+      const result = game.handleOpponentCheck('playerB', decision);
+      if (turn === 3) {
+        expect(result.message).toBe('No checks left this round — you can only pass');
+        game.handleOpponentCheck('playerB', 'pass');
+      }
+      expect(game.currentTurn).toBe(turn < 5 ? 'playerA' : 'playerB');
+    }
+
+    expect(game.checksRemaining).toEqual({ playerA: 2, playerB: 2 });
+    expect(game.turnsRemaining.playerA).toBe(5);
+  });
+});
+
+// =====================================================
+// SIMULTANEOUS MODES (Test Case 11, Nexus)
+// =====================================================
+
+describe('SAVANT free-for-all', () => {
+  it('scores correct pieces at once and bounces wrong ones without a penalty', () => {
+    const game = createGame('SAVANT');
+
+    expect(placeCorrect(game, 'playerB').result).toMatchObject({ success: true, scored: true, awaitingCheck: false });
+    expect(placeCorrect(game, 'playerA').result.success).toBe(true);
+    expect(scoreOf(game, 'playerA')).toBe(MODE_SCORING.SAVANT.correctPiece);
+
+    const { pieceId, gridIndex, result } = placeWrong(game, 'playerA');
+    expect(result.returned).toBe(true);
+    expect(game.grid[gridIndex]).toBeNull();
+    expect(rackHas(game, 'playerA', pieceId)).toBe(true);
+    expect(scoreOf(game, 'playerA')).toBe(MODE_SCORING.SAVANT.correctPiece);
+    expect(game.pendingCheck).toBeNull();
+    expect(game.handleOpponentCheck('playerB', 'check').success).toBe(false);
+  });
+
+  it('ends when the board is complete and the most points win', () => {
+    const game = createGame('SAVANT', { gridSize: 4 });
+    const order = ['playerA', 'playerA', 'playerB'];
+
+    for (let step = 0; step < 100 && !game.isGameComplete(); step++) {
+      const player = order[step % order.length];
+      const other = player === 'playerA' ? 'playerB' : 'playerA';
+      const mover = findCorrectMove(game, player) ? player : other;
+      expect(placeCorrect(game, mover).result.success).toBe(true);
+    }
+
+    const a = scoreOf(game, 'playerA');
+    const b = scoreOf(game, 'playerB');
+    expect(game.isGameComplete()).toBe(true);
+    expect(game.grid.every(Boolean)).toBe(true);
+    expect(a).toBeGreaterThan(b);
+    expect(game.getWinner()).toBe('playerA');
+  });
+
+  it('co-op draws every seat from one shared rack', () => {
+    const game = createGame('COOP');
+    const move = findCorrectMove(game, 'playerB');
+
+    expect(game.getRack('playerB')).toBe(game.getRack('playerA'));
+    game.placePiece('playerB', move.pieceId, move.gridIndex);
+    expect(rackHas(game, 'playerA', move.pieceId)).toBe(false);
+  });
+});
+
+describe('NEXUS marks and end-game resolution', () => {
+  const setUpBoard = () => {
+    const game = createGame('NEXUS');
+    const aRight = placeCorrect(game, 'playerA');
+    const aWrong = placeWrong(game, 'playerA');
+    const bRight = placeCorrect(game, 'playerB');
+    return { game, aRight, aWrong, bRight };
+  };
+
+  it('lets everyone place at once without scoring', () => {
+    const { game, aRight, bRight } = setUpBoard();
+
+    expect(aRight.result).toMatchObject({ success: true, nexus: true, awaitingCheck: false });
+    expect(game.piecePlacedBy[aRight.gridIndex]).toBe('playerA');
+    expect(game.piecePlacedBy[bRight.gridIndex]).toBe('playerB');
+    expect(scoreOf(game, 'playerA')).toBe(0);
+    expect(game.isPlacementInProgress).toBe(false);
+  });
+
+  it('only allows suspecting opponents and vouching for yourself', () => {
+    const { game, aRight, bRight } = setUpBoard();
+    const empty = game.grid.findIndex(cell => cell == null);
+
+    expect(game.markPiece('playerA', aRight.gridIndex, 'suspect').message).toBe("You can't suspect your own piece");
+    expect(game.markPiece('playerA', bRight.gridIndex, 'confident').message).toBe('You can only mark confidence on your own pieces');
+    expect(game.markPiece('playerA', aRight.gridIndex, 'doubt').message).toBe('Invalid mark type');
+    expect(game.markPiece('playerA', empty, 'suspect').message).toBe('No piece at this position');
+
+    expect(game.markPiece('playerA', bRight.gridIndex, 'suspect')).toMatchObject({ success: true, action: 'added' });
+    expect(game.markPiece('playerA', bRight.gridIndex, 'suspect')).toMatchObject({ success: true, action: 'removed' });
+    expect(game.pieceMarks[bRight.gridIndex]).toBeUndefined();
+  });
+
+  it('keeps partners from suspecting each other', () => {
+    const game = createGame('NEXUS', { players: 4, teams: true });
+    const { gridIndex } = placeCorrect(game, 'playerC');
+
+    expect(game.markPiece('playerA', gridIndex, 'suspect').message).toBe("You can't suspect your partner's piece");
+    expect(game.markPiece('playerB', gridIndex, 'suspect').success).toBe(true);
+  });
+
+  it('scores every placement and mark once', () => {
+    const { game, aRight, aWrong, bRight } = setUpBoard();
+    const nexus = MODE_SCORING.NEXUS;
+    game.markPiece('playerA', aRight.gridIndex, 'confident');
+    game.markPiece('playerB', aWrong.gridIndex, 'suspect');
+    game.markPiece('playerA', bRight.gridIndex, 'suspect');
+
+    const result = game.resolveEndGame();
+
+    expect(result.success).toBe(true);
+    expect(scoreOf(game, 'playerA')).toBe(nexus.correctPiece + nexus.confidentCorrect + nexus.wrongPiece + nexus.suspectCorrect);
+    expect(scoreOf(game, 'playerB')).toBe(nexus.suspectWrong + nexus.correctPiece);
+    expect(game.scores.playerA).toMatchObject({ correctPlacements: 1, totalPlacements: 2, accuracy: 50 });
+    expect(game.revealedScores.playerB.score).toBe(scoreOf(game, 'playerB'));
+    expect(game.gameState).toBe('finished');
+    expect(game.resolveEndGame().message).toBe('Game already resolved');
+    expect(game.moveHistory.filter(entry => entry.type === 'resolve')).toHaveLength(1);
+  });
+
+  it('is unavailable outside Nexus', () => {
+    const game = createGame();
+    const { gridIndex } = placeCorrect(game, 'playerA');
+
+    expect(game.markPiece('playerB', gridIndex, 'suspect').message).toBe('Marking is only available in Nexus mode');
+    expect(game.resolveEndGame().message).toBe('Not in Nexus mode');
+  });
+});
+
+// =====================================================
+// HINTS
+// =====================================================
+
+describe('useHint', () => {
+  it('charges the hint cost and points at a rack piece', () => {
+    const game = createGame();
+    const result = game.useHint('playerA', 'position');
+
+    expect(result).toMatchObject({ success: true, cost: HINT_CONFIG.COSTS.position, hintsUsed: 1 });
+    expect(rackHas(game, 'playerA', result.hint.pieceId)).toBe(true);
+    expect(result.hint.correctPosition).toBe(game.pieces[result.hint.pieceId].correctPosition);
+    expect(scoreOf(game, 'playerA')).toBe(HINT_CONFIG.COSTS.position);
+    expect(game.scores.playerA.totalPlacements).toBe(0);
+  });
+
+  it('gives the same hint from the same seed', () => {
+    expect(createGame().useHint('playerA', 'region').hint).toEqual(createGame().useHint('playerA', 'region').hint);
+  });
+
+  it('lists edge and corner pieces from the rack only', () => {
+    const game = createGame();
+    const rack = rackPieces(game, 'playerA');
+
+    const edge = game.useHint('playerA', 'edge').hint;
+    expect(edge.edgePieceIds.sort()).toEqual(rack.filter(p => countFlatEdges(p.edges) === 1).map(p => p.id).sort());
+
+    const corner = game.useHint('playerA', 'corner').hint;
+    expect(corner.cornerPieceIds.sort()).toEqual(rack.filter(p => countFlatEdges(p.edges) >= 2).map(p => p.id).sort());
+  });
+
+  it('boxes the piece’s cell in a region hint', () => {
+    const game = createGame();
+    const { hint } = game.useHint('playerA', 'region');
+    const target = game.pieces[hint.pieceId].correctPosition;
+    const [row, col] = [Math.floor(target / game.gridSize), target % game.gridSize];
+
+    expect(row).toBeGreaterThanOrEqual(hint.region.rowStart);
+    expect(row).toBeLessThanOrEqual(hint.region.rowEnd);
+    expect(col).toBeGreaterThanOrEqual(hint.region.colStart);
+    expect(col).toBeLessThanOrEqual(hint.region.colEnd);
+  });
+
+  it('refuses unknown types, empty racks and hints past the limit without charging', () => {
+    const game = createGame();
+    expect(game.useHint('playerA', 'answer').message).toBe('Unknown hint type');
+    expect(game.scores.playerA).toMatchObject({ score: 0, hintsUsed: 0 });
+
+    for (let i = 0; i < HINT_CONFIG.MAX_HINTS_PER_GAME; i++) {
+      expect(game.useHint('playerA', 'edge').success).toBe(true);
+    }
+    const spent = scoreOf(game, 'playerA');
+    expect(game.useHint('playerA', 'edge').message).toBe('Maximum hints used for this game');
+    expect(scoreOf(game, 'playerA')).toBe(spent);
+
+    game.racks.playerB = [];
+    expect(game.useHint('playerB', 'position').message).toBe('No pieces available for hint');
+  });
+
+  it('tells a rotated piece how far to turn', () => {
+    const game = createGame('CLASSIC', { rotation: true });
+    const { hint } = game.useHint('playerA', 'position');
+
+    expect((game.getPieceRotation(hint.pieceId) + hint.rotateBy) % 360).toBe(0);
+  });
+});
+
+// =====================================================
+// IMPORTING STATE
+// =====================================================
+
+describe('importGameState', () => {
+  const expectSameGame = (copy, game) => {
+    expect(copy.players).toEqual(game.players);
+    expect(toIds(copy.grid)).toEqual(toIds(game.grid));
+    game.players.forEach(player => {
+      expect(toIds(copy.getRack(player))).toEqual(toIds(game.getRack(player)));
+    });
+    expect(toIds(copy.piecePool)).toEqual(toIds(game.piecePool));
+    expect(copy.scores).toEqual(game.scores);
+    expect(copy.currentTurn).toBe(game.currentTurn);
+    expect(copy.pendingCheck).toEqual(game.pendingCheck);
+    expect(copy.mode).toBe(game.mode);
+  };
+
+  it('restores a broadcast mid-check, and the check plays out the same', () => {
+    const game = createGame('SUPER');
+    placeCorrect(game, 'playerA');
+    game.handleOpponentCheck('playerB', 'check');
+    placeWrong(game, 'playerA');
+
+    const copy = createBlankGame(game);
+    copy.importGameState(toBroadcast(game), copy.pieces);
+    expectSameGame(copy, game);
+    expect(copy.getChecksLeft('playerB')).toBe(0);
+    expect(copy.isPlacementInProgress).toBe(true);
+
+    expect(copy.handleOpponentCheck('playerB', 'pass')).toEqual(game.handleOpponentCheck('playerB', 'pass'));
+    expectSameGame(copy, game);
+  });
+
+  it('restores a saved game_state row with extra seats and teams', () => {
+    const game = createGame('SAVANT', { gridSize: 8, players: 4, teams: true });
+    game.players.forEach(player => placeCorrect(game, player));
+
+    const copy = createBlankGame(game);
+    copy.importGameState({ ...JSON.parse(JSON.stringify(game.exportForDatabase())), gameplay_mode: 'SAVANT' }, copy.pieces);
+
+    expectSameGame(copy, game);
+    expect(copy.teams).toEqual(game.teams);
+    expect(copy.getRack('playerD').every(piece => !piece || piece.imageData)).toBe(true);
+  });
+
+  it('restores Nexus marks, so resolving gives the same scores', () => {
+    const game = createGame('NEXUS');
+    const mine = placeCorrect(game, 'playerA');
+    const theirs = placeWrong(game, 'playerB');
+    game.markPiece('playerA', mine.gridIndex, 'confident');
+    game.markPiece('playerA', theirs.gridIndex, 'suspect');
+
+    const copy = createBlankGame(game);
+    copy.importGameState(toBroadcast(game), copy.pieces);
+
+    expect(copy.pieceMarks).toEqual(game.pieceMarks);
+    expect(copy.piecePlacedBy).toEqual(game.piecePlacedBy);
+    expect(copy.resolveEndGame().finalScores).toEqual(game.resolveEndGame().finalScores);
+  });
+
+  it('keeps the rotation each piece went down with', () => {
+    const game = createGame('NEXUS', { rotation: true });
+    const piece = rackPieces(game, 'playerA')[0];
+    game.rotatePiece('playerA', piece.id, 1);
+    const rotation = game.getPieceRotation(piece.id);
+    game.placePiece('playerA', piece.id, piece.correctPosition === 0 ? 1 : 0);
+
+    const copy = createBlankGame(game);
+    copy.importGameState(toBroadcast(game), copy.pieces);
+
+    expect(copy.rotationEnabled).toBe(true);
+    expect(copy.getPieceRotation(piece.id)).toBe(rotation);
+  });
+
+  it('ignores a missing payload', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const game = createGame();
+    const before = toIds(game.grid);
+
+    game.importGameState(undefined, game.pieces);
+
+    expect(error).toHaveBeenCalledWith('importGameState: data is undefined');
+    expect(toIds(game.grid)).toEqual(before);
+    error.mockRestore();
+  });
+});
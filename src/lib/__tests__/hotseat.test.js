@@ -0,0 +1,145 @@
+// =====================================================
+// HOTSEAT - Who holds the device, and whole games on one
+// =====================================================
+
+import { describe, it, expect } from 'vitest';
+import { HotseatSession } from '../hotseat.js';
+import { GAME_MODES } from '../gameModes.js';
+import { chooseMove, makePieces, nextStep, TEST_SEED } from './fixtures.js';
+
+const startGame = (mode = 'CLASSIC', options = {}) => {
+  const game = new HotseatSession({ pieces: makePieces(5), mode, seed: TEST_SEED, ...options });
+  game.takeOver();
+  return game;
+};
+
+const movePiece = (game) => chooseMove(game.gameLogic, game.activeSeat);
+
+// Whatever the player holding the device has to do next
+function playStep(game, step) {
+  if (game.handoverPending) {
+    game.takeOver();
+    return;
+  }
+  const action = nextStep(game.gameLogic, step, game.activeSeat);
+  const result = action.decision
+    ? game.respondToCheck(action.decision)
+    : game.placePiece(action.pieceId, action.gridIndex);
+  expect(result.success).toBe(true);
+}
+
+const TWO_PLAYER_MODES = Object.values(GAME_MODES).filter(mode => mode.multiplayer).map(mode => mode.id);
+
+describe('hotseat', () => {
+  it('waits for the first player to take the device', () => {
+    const game = new HotseatSession({ pieces: makePieces(5), mode: 'CLASSIC', seed: TEST_SEED, names: { playerB: ' Grace ' } });
+
+    expect(game.activeSeat).toBe('playerA');
+    expect(game.handoverPending).toBe(true);
+    expect(game.names).toEqual({ playerA: 'Player A', playerB: 'Grace' });
+
+    const move = movePiece(game);
+    expect(game.placePiece(move.pieceId, move.gridIndex).success).toBe(false);
+
+    game.takeOver();
+    expect(game.placePiece(move.pieceId, move.gridIndex).success).toBe(true);
+  });
+
+  it('hands the device to the checker, who then plays on', () => {
+    const game = startGame('CLASSIC');
+    const move = movePiece(game);
+    game.placePiece(move.pieceId, move.gridIndex);
+
+    expect(game.activeSeat).toBe('playerB');
+    expect(game.handoverPending).toBe(true);
+
+    game.takeOver();
+    expect(game.respondToCheck('pass').success).toBe(true);
+    // The checker's own turn follows, so the device stays put
+    expect(game.activeSeat).toBe('playerB');
+    expect(game.handoverPending).toBe(false);
+  });
+
+  it('hands the device back for the second placement of a Super round', () => {
+    const game = startGame('SUPER');
+    const move = movePiece(game);
+    game.placePiece(move.pieceId, move.gridIndex);
+    game.takeOver();
+    game.respondToCheck('pass');
+
+    expect(game.activeSeat).toBe('playerA');
+    expect(game.handoverPending).toBe(true);
+  });
+
+  it('takes turns in Nexus, with marks that keep the device', () => {
+    const game = startGame('NEXUS');
+    const first = movePiece(game);
+    game.placePiece(first.pieceId, first.gridIndex);
+
+    expect(game.activeSeat).toBe('playerB');
+    expect(game.handoverPending).toBe(true);
+    game.takeOver();
+
+    expect(game.markPiece(first.gridIndex, 'suspect').success).toBe(true);
+    expect(game.activeSeat).toBe('playerB');
+    expect(game.gameLogic.pieceMarks[first.gridIndex]).toEqual({ marker: 'playerB', type: 'suspect' });
+
+    // Done marking: hand over without placing
+    expect(game.endTurn().success).toBe(true);
+    expect(game.activeSeat).toBe('playerA');
+    expect(game.handoverPending).toBe(true);
+  });
+
+  it('scores a finished Nexus board without a reveal', () => {
+    const game = startGame('NEXUS');
+    let steps = 0;
+    while (!game.isOver() && steps < 500) {
+      playStep(game, steps++);
+    }
+
+    expect(game.gameLogic.nexusResolved).toBe(true);
+    expect(game.gameLogic.scores.playerA.totalPlacements + game.gameLogic.scores.playerB.totalPlacements).toBe(25);
+    expect(game.getWinner()).toBeTruthy();
+  });
+
+  it('passes a shared co-op rack without a handover', () => {
+    const game = startGame('COOP');
+    const move = movePiece(game);
+    game.placePiece(move.pieceId, move.gridIndex);
+
+    expect(game.activeSeat).toBe('playerB');
+    expect(game.handoverPending).toBe(false);
+  });
+
+  it('stops the clock while the device changes hands', () => {
+    const game = new HotseatSession({ pieces: makePieces(5), mode: 'CLASSIC', seed: TEST_SEED, timeLimit: 3 });
+
+    game.tick();
+    expect(game.gameLogic.timerRemaining).toBe(3);
+
+    game.takeOver();
+    game.tick(2);
+    expect(game.gameLogic.timerRemaining).toBe(1);
+    game.tick();
+
+    expect(game.isOver()).toBe(true);
+    expect(game.getWinner()).toBe('tie');
+    expect(game.placePiece(0, 0).success).toBe(false);
+  });
+
+  it.each(TWO_PLAYER_MODES)('plays a %s game through to the end', (mode) => {
+    const game = startGame(mode);
+    const changes = [];
+    game.onChange = state => changes.push(state);
+
+    let steps = 0;
+    while (!game.isOver() && steps < 1000) {
+      playStep(game, steps++);
+    }
+
+    expect(game.isOver()).toBe(true);
+    expect(game.gameLogic.piecePool).toHaveLength(0);
+    expect(changes.at(-1).isOver).toBe(true);
+    expect(changes.at(-1).hotseatWinner).toBe(game.getWinner());
+  });
+});
@@ -0,0 +1,317 @@
+// =====================================================
+// MULTIPLAYER OVER THE LOCAL TRANSPORT - Whole matches in one process
+// =====================================================
+//
+// Host, guest and spectators each get their own local transport on a
+// shared memory bus and store, so every message really goes over the
+// bus and every row through the store. bus.settle() waits for the
+// traffic to die down.
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MultiplayerGameHost, MultiplayerGameGuest, MultiplayerGameSpectator } from '../multiplayer.js';
+import { createLocalTransport, createLocalUser, createMemoryBus, createMemoryStore } from '../transports/index.js';
+import { buildTestPuzzle, chooseMove, nextStep, toIds } from './fixtures.js';
+
+let bus;
+let store;
+
+beforeEach(() => {
+  bus = createMemoryBus();
+  store = createMemoryStore();
+});
+
+const transportFor = (name) => createLocalTransport({ bus, store, user: createLocalUser(name) });
+
+const open = (Session, transport, options = {}) =>
+  new Session({ transport, buildPuzzle: buildTestPuzzle, ...options });
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function startMatch(mode = 'CLASSIC', guestOptions = {}) {
+  const host = open(MultiplayerGameHost, transportFor('Ada'));
+  const guest = open(MultiplayerGameGuest, transportFor('Grace'), guestOptions);
+  const opponents = [];
+  host.onOpponentJoin = name => opponents.push(name);
+
+  const created = await host.createGame('puzzle.png', { gridSize: 5, mode });
+  await guest.joinGame(created.gameCode);
+  await bus.settle();
+  return { host, guest, created, opponents };
+}
+
+// Everything both sides of a match must agree on
+const view = (session) => {
+  const gl = session.gameLogic;
+  return JSON.parse(JSON.stringify({
+    grid: toIds(gl.grid),
+    racks: gl.players.map(player => toIds(gl.getRack(player))),
+    pool: toIds(gl.piecePool),
+    scores: gl.scores,
+    currentTurn: gl.currentTurn,
+    pendingCheck: gl.pendingCheck,
+    marks: gl.pieceMarks
+  }));
+};
+
+const movePiece = (session) => chooseMove(session.gameLogic, session.playerKey);
+
+// One turn-based action from whoever is due. False once nobody can act.
+async function playStep(sessions, step) {
+  const action = nextStep(sessions[0].gameLogic, step);
+  if (!action) return false;
+
+  const session = sessions.find(s => s.playerKey === action.player);
+  if (action.decision) {
+    expect((await session.respondToCheck(action.decision)).success).toBe(true);
+  } else {
+    await session.makeMove(action.pieceId, action.gridIndex);
+  }
+
+  await bus.settle();
+  return true;
+}
+
+describe('multiplayer over the local transport', () => {
+  it('keeps host and guest in step through a Classic match', async () => {
+    const { host, guest, created, opponents } = await startMatch();
+
+    expect(opponents).toContain('Grace');
+    expect(guest.playerKey).toBe('playerB');
+    expect((await guest.transport.games.getGame(created.gameId)).status).toBe('active');
+
+    let steps = 0;
+    while (steps < 200 && !host.gameLogic.isGameComplete() && await playStep([host, guest], steps)) {
+      expect(view(guest)).toEqual(view(host));
+      steps++;
+    }
+    expect(host.gameLogic.moveHistory.length).toBeGreaterThan(10);
+
+    // The background writes left the stored row where the players are
+    const row = await host.transport.gameState.getGameState(created.gameId);
+    expect(row.grid.map(cell => cell?.id ?? null)).toEqual(toIds(host.gameLogic.grid));
+  });
+
+  it('plays the same match whichever seat the moves come from in Nexus', async () => {
+    const { host, guest } = await startMatch('NEXUS');
+
+    for (const session of [host, guest, host, guest]) {
+      const move = movePiece(session);
+      await session.makeMove(move.pieceId, move.gridIndex);
+      await bus.settle();
+    }
+    // The guest suspects one of the host's pieces
+    const [hostCell] = Object.entries(host.gameLogic.piecePlacedBy).find(([, seat]) => seat === 'playerA');
+    expect((await guest.markPiece(Number(hostCell), 'suspect')).success).toBe(true);
+    await bus.settle();
+
+    expect(view(guest)).toEqual(view(host));
+    expect(host.gameLogic.grid.filter(Boolean)).toHaveLength(4);
+  });
+
+  it('drops a snapshot that arrives after a newer one', async () => {
+    const { host, guest } = await startMatch('NEXUS');
+
+    bus.hold();
+    for (let i = 0; i < 2; i++) {
+      const move = movePiece(host);
+      await host.makeMove(move.pieceId, move.gridIndex);
+    }
+    await bus.release(messages => [...messages].reverse());
+
+    expect(guest.gameLogic.grid.filter(Boolean)).toHaveLength(2);
+    expect(guest.gameLogic.stateVersion).toBe(host.gameLogic.stateVersion);
+    expect(view(guest)).toEqual(view(host));
+  });
+
+  it('catches up on a lost snapshot by asking for one', async () => {
+    const { host, guest } = await startMatch();
+
+    bus.hold();
+    const move = movePiece(host);
+    await host.makeMove(move.pieceId, move.gridIndex);
+    await bus.release(() => []);
+    expect(guest.gameLogic.pendingCheck).toBeNull();
+
+    await guest.requestStateSnapshot();
+    await bus.settle();
+    expect(guest.gameLogic.pendingCheck).toMatchObject({ player: 'playerA', pieceId: move.pieceId });
+    expect(view(guest)).toEqual(view(host));
+  });
+
+  it('lets a guest who dropped out rejoin from the saved state', async () => {
+    const { host, guest, created } = await startMatch();
+    const left = [];
+    host.onPlayerLeave = presences => left.push(...presences.map(p => p.user_name));
+
+    const guestTransport = guest.transport;
+    await guest.disconnect();
+    await bus.settle();
+    expect(left).toEqual(['Grace']);
+
+    // The host carries on alone
+    const move = movePiece(host);
+    await host.makeMove(move.pieceId, move.gridIndex);
+    await bus.settle();
+
+    // Entering the code again is a rejoin
+    const back = open(MultiplayerGameGuest, guestTransport);
+    const result = await back.joinGame(created.gameCode);
+    await bus.settle();
+
+    expect(result.gameId).toBe(created.gameId);
+    expect(back.playerKey).toBe('playerB');
+    expect(back.gameLogic.pendingCheck?.pieceId).toBe(move.pieceId);
+    expect(view(back)).toEqual(view(host));
+
+    expect((await back.respondToCheck('pass')).success).toBe(true);
+    await bus.settle();
+    expect(view(host)).toEqual(view(back));
+  });
+
+  it('hands the host role to the guest when the host leaves', async () => {
+    const { host, guest, created } = await startMatch('CLASSIC', { hostTimeout: 10 });
+    const hostChanges = [];
+    guest.onHostChange = (hostId, isAuthority) => hostChanges.push(isAuthority);
+
+    const move = movePiece(host);
+    await host.makeMove(move.pieceId, move.gridIndex);
+    await bus.settle();
+
+    const hostTransport = host.transport;
+    await host.disconnect();
+    await bus.settle();
+    await wait(30);
+    await bus.settle();
+
+    expect(guest.isAuthority).toBe(true);
+    expect(hostChanges).toEqual([true]);
+    expect((await guest.transport.games.getGame(created.gameId)).host_id).toBe(guest.userId);
+
+    // The old host comes back as an ordinary player and gets the board
+    const back = open(MultiplayerGameHost, hostTransport);
+    await back.rejoinGame(created.gameId);
+    await bus.settle();
+
+    expect(back.isAuthority).toBe(false);
+    expect(back.hostId).toBe(guest.userId);
+    expect(view(back)).toEqual(view(guest));
+  });
+
+  it('relays chat and stores it', async () => {
+    const { host, guest, created } = await startMatch();
+    const received = [];
+    host.onChatMessage = message => received.push(message);
+
+    const sent = await guest.sendChat('good luck');
+    await bus.settle();
+
+    expect(received).toEqual([expect.objectContaining({ body: 'good luck', player: 'playerB', userName: 'Grace' })]);
+    expect(sent.id).toBe(received[0].id);
+    expect(await host.transport.gameState.getGameMessages(created.gameId)).toHaveLength(1);
+  });
+
+  it('drops chat posted under another seat', async () => {
+    const { host, guest } = await startMatch();
+    const received = [];
+    host.onChatMessage = message => received.push(message);
+
+    await guest.realtimeChannel.send({
+      type: 'broadcast',
+      event: 'chat_message',
+      payload: { id: 'forged', player: 'playerA', kind: 'chat', body: 'I resign', senderId: guest.userId }
+    });
+    await bus.settle();
+
+    expect(received).toEqual([]);
+  });
+
+  it('shows a spectator the board but not the racks', async () => {
+    const { host, created } = await startMatch();
+    const spectator = open(MultiplayerGameSpectator, transportFor('Lin'));
+    await spectator.watchGameById(created.gameId);
+    await bus.settle();
+    expect(host.spectatorCount).toBe(1);
+
+    const move = movePiece(host);
+    await host.makeMove(move.pieceId, move.gridIndex);
+    await bus.settle();
+
+    const seen = spectator.getGameState();
+    expect(seen.grid.map(cell => cell?.id ?? null)).toEqual(toIds(host.gameLogic.grid));
+    expect(seen.pendingCheck).not.toHaveProperty('correct');
+    expect(seen).not.toHaveProperty('playerARack');
+    expect(seen).not.toHaveProperty('scores');
+  });
+
+  it('ignores board and host changes forged by a spectator', async () => {
+    const { host, guest, created } = await startMatch();
+    const watcher = open(MultiplayerGameSpectator, transportFor('Lin'));
+    await watcher.watchGameById(created.gameId);
+    await bus.settle();
+    const before = view(guest);
+
+    // The local transport has no channel policies, so the forger gets onto both channels
+    const forger = transportFor('Mallory');
+    const forged = { grid: [], piecePool: [], currentTurn: 'playerB', version: 999 };
+    for (const topic of [`game:${created.gameId}`, `watch:${created.gameId}`]) {
+      const channel = forger.channel(topic, { config: { presence: { key: forger.user.id } } });
+      channel.subscribe();
+      await bus.settle();
+      await channel.track({ user_id: forger.user.id, role: 'spectator' });
+      await channel.send({ type: 'broadcast', event: 'game_state', payload: { ...forged, senderId: forger.user.id } });
+      await channel.send({ type: 'broadcast', event: 'host_changed', payload: { hostId: forger.user.id, senderId: forger.user.id } });
+    }
+    // Posing as the host doesn't get a host change through either
+    const channel = forger.channel(`game:${created.gameId}`, { config: { presence: { key: host.userId } } });
+    channel.subscribe();
+    await bus.settle();
+    await channel.track({ user_id: host.userId, role: 'host' });
+    await channel.send({ type: 'broadcast', event: 'host_changed', payload: { hostId: forger.user.id, senderId: host.userId } });
+    await bus.settle();
+
+    expect(view(guest)).toEqual(before);
+    expect(guest.gameLogic.stateVersion).toBe(host.gameLogic.stateVersion);
+    expect(guest.hostId).toBe(host.userId);
+    expect(host.isAuthority).toBe(true);
+    expect(watcher.gameLogic.stateVersion).toBe(host.gameLogic.stateVersion);
+
+    // The real players still get through
+    const move = movePiece(host);
+    await host.makeMove(move.pieceId, move.gridIndex);
+    await bus.settle();
+    expect(view(guest)).toEqual(view(host));
+    expect(watcher.getGameState().grid.filter(Boolean)).toHaveLength(1);
+  });
+
+  it('never sends a spectator the racks or hidden state', async () => {
+    const { host, guest, created } = await startMatch();
+    const transport = transportFor('Lin');
+    const received = [];
+    const openChannel = transport.channel;
+    transport.channel = (name, options) => {
+      const channel = openChannel(name, options);
+      const receive = channel.receive.bind(channel);
+      channel.receive = (message) => {
+        received.push({ topic: name, ...message });
+        receive(message);
+      };
+      return channel;
+    };
+
+    const spectator = open(MultiplayerGameSpectator, transport);
+    await spectator.watchGameById(created.gameId);
+    await bus.settle();
+    for (let step = 0; step < 6; step++) {
+      await playStep([host, guest], step);
+    }
+
+    const broadcasts = received.filter(message => message.kind === 'broadcast');
+    expect(broadcasts.map(message => message.event)).toContain('game_state');
+    expect(new Set(received.map(message => message.topic))).toEqual(new Set([`watch:${created.gameId}`]));
+
+    const wire = JSON.stringify(broadcasts);
+    ['Rack"', '"piecePool"', '"scores"', '"correct"', '"correctPosition"'].forEach((key) => {
+      expect(wire).not.toContain(key);
+    });
+  });
+});
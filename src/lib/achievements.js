@@ -0,0 +1,175 @@
+// =====================================================
+// ACHIEVEMENTS - Declarative badges unlocked by game events
+// =====================================================
+//
+// Each achievement names the GAME_EVENTS type it listens for, plus
+// conditions on the event's fields: `when` must match exactly, `atLeast`
+// is a minimum. The tracker attaches to a GameLogic, checks every event
+// about its seat and reports each achievement the first time it's met.
+// Unlocks are stored in user_achievements (see achievementsApi), which
+// checks the ones from a match against the finished game.
+
+import { GAME_EVENTS } from './gameConfig.js';
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first_win',
+    name: 'First Victory',
+    description: 'Win a multiplayer game',
+    icon: '🏅',
+    event: GAME_EVENTS.GAME_END,
+    when: { won: true }
+  },
+  {
+    id: 'row_complete',
+    name: 'In a Row',
+    description: 'Finish a row of the puzzle',
+    icon: '➡️',
+    event: GAME_EVENTS.REGION_COMPLETE,
+    when: { region: 'row' }
+  },
+  {
+    id: 'column_complete',
+    name: 'Pillar',
+    description: 'Finish a column of the puzzle',
+    icon: '⬇️',
+    event: GAME_EVENTS.REGION_COMPLETE,
+    when: { region: 'column' }
+  },
+  {
+    id: 'border_complete',
+    name: 'Frame Builder',
+    description: 'Finish the whole border',
+    icon: '🖼️',
+    event: GAME_EVENTS.REGION_COMPLETE,
+    when: { region: 'border' }
+  },
+  {
+    id: 'streak_5',
+    name: 'On a Roll',
+    description: '5 correct placements in a row',
+    icon: '🔥',
+    event: GAME_EVENTS.STREAK,
+    atLeast: { streak: 5 }
+  },
+  {
+    id: 'streak_10',
+    name: 'Hot Hands',
+    description: '10 correct placements in a row',
+    icon: '⚡',
+    event: GAME_EVENTS.STREAK,
+    atLeast: { streak: 10 }
+  },
+  {
+    id: 'streak_25',
+    name: 'Unstoppable',
+    description: '25 correct placements in a row',
+    icon: '🚀',
+    event: GAME_EVENTS.STREAK,
+    atLeast: { streak: 25 }
+  },
+  {
+    id: 'perfect_accuracy',
+    name: 'Perfectionist',
+    description: 'Finish a game with 100% accuracy over at least 10 placements',
+    icon: '🎯',
+    event: GAME_EVENTS.GAME_END,
+    when: { accuracy: 100 },
+    atLeast: { placements: 10 }
+  },
+  {
+    id: 'no_hint_win',
+    name: 'Unassisted',
+    description: 'Win a multiplayer game without using a hint',
+    icon: '🧩',
+    event: GAME_EVENTS.GAME_END,
+    when: { won: true, hintsUsed: 0 }
+  },
+  {
+    id: 'first_detective_hit',
+    name: 'Detective',
+    description: 'Catch an incorrect piece with a suspect mark in Nexus',
+    icon: '🔍',
+    event: GAME_EVENTS.DETECTIVE_HIT
+  }
+];
+
+const ACHIEVEMENTS_BY_ID = Object.fromEntries(ACHIEVEMENTS.map(achievement => [achievement.id, achievement]));
+
+export const getAchievement = (id) => ACHIEVEMENTS_BY_ID[id] || null;
+
+/**
+ * True if `event` meets the achievement's conditions.
+ */
+export function matchesAchievement(achievement, event) {
+  if (event.type !== achievement.event) return false;
+  const exact = Object.entries(achievement.when || {}).every(([key, value]) => event[key] === value);
+  const minimum = Object.entries(achievement.atLeast || {}).every(([key, value]) => (event[key] ?? -Infinity) >= value);
+  return exact && minimum;
+}
+
+/**
+ * Achievements `event` unlocks that aren't in `unlockedIds` yet.
+ */
+export function evaluateAchievements(event, unlockedIds = new Set()) {
+  return ACHIEVEMENTS.filter(achievement =>
+    !unlockedIds.has(achievement.id) && matchesAchievement(achievement, event)
+  );
+}
+
+/**
+ * Watches one seat of a GameLogic. With `deferred`, events are held until
+ * flush() so a multiplayer game gives nothing away before the end (a row
+ * badge would tell you a piece is right before it's been checked).
+ */
+export class AchievementTracker {
+  constructor({ player = 'playerA', unlocked = [], deferred = false, onUnlock = null } = {}) {
+    this.player = player;
+    this.unlocked = new Set(unlocked);
+    this.deferred = deferred;
+    this.onUnlock = onUnlock;
+    this.pending = [];
+    this.detachListener = null;
+  }
+
+  attach(gameLogic) {
+    this.detach();
+    this.detachListener = gameLogic.onEvent(event => this.handleEvent(event));
+    return this;
+  }
+
+  detach() {
+    if (this.detachListener) {
+      this.detachListener();
+      this.detachListener = null;
+    }
+  }
+
+  // Unlocks already stored (loaded after the tracker was created)
+  markUnlocked(ids) {
+    ids.forEach(id => this.unlocked.add(id));
+  }
+
+  handleEvent(event) {
+    if (event.player !== this.player) return;
+    if (this.deferred) {
+      this.pending.push(event);
+    } else {
+      this.evaluate(event);
+    }
+  }
+
+  flush() {
+    const events = this.pending;
+    this.pending = [];
+    events.forEach(event => this.evaluate(event));
+  }
+
+  evaluate(event) {
+    evaluateAchievements(event, this.unlocked).forEach(achievement => {
+      this.unlocked.add(achievement.id);
+      console.log('🏆 Achievement unlocked:', achievement.id);
+      if (this.onUnlock) this.onUnlock(achievement, event);
+    });
+  }
+}
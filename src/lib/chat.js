@@ -0,0 +1,96 @@
+// =====================================================
+// GAME CHAT - Emotes, profanity filter and rate limiting
+// =====================================================
+//
+// Messages go over the game channel as 'chat_message' broadcasts and are
+// stored through send_game_message (see the game_messages migration). The
+// server checks length, emote ids and rate; filtering happens here, on
+// both the sending and the receiving side.
+
+export const CHAT_CONFIG = {
+  MAX_LENGTH: 200,
+  // Matches the server limit in send_game_message
+  RATE_LIMIT: 5,
+  RATE_WINDOW_MS: 10000
+};
+
+// Ids must match _chat_emotes() in the game_messages migration
+export const QUICK_EMOTES = [
+  { id: 'nice', label: 'Nice!', emoji: '👏' },
+  { id: 'hmm', label: 'Hmm…', emoji: '🤔' },
+  { id: 'gg', label: 'GG', emoji: '🤝' },
+  { id: 'oops', label: 'Oops', emoji: '😅' },
+  { id: 'wow', label: 'Wow', emoji: '😮' },
+  { id: 'thanks', label: 'Thanks', emoji: '🙏' }
+];
+
+const EMOTES_BY_ID = Object.fromEntries(QUICK_EMOTES.map(emote => [emote.id, emote]));
+
+export const getEmote = (id) => EMOTES_BY_ID[id] || null;
+
+const BLOCKED_WORDS = [
+  'fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dick', 'cock',
+  'pussy', 'slut', 'whore', 'fag', 'retard', 'nigger', 'nigga', 'twat', 'wanker'
+];
+
+// Common letter swaps and spacing tricks ("sh1t", "f.u.c.k")
+const LOOKALIKES = { a: '[a@4]', e: '[e3]', i: '[i1!|]', o: '[o0]', s: '[s$5]', t: '[t7]' };
+const wordPattern = (word) => word
+  .split('')
+  .map(ch => LOOKALIKES[ch] || ch)
+  .join('[\\s._-]*');
+
+const PROFANITY = new RegExp(`\\b(?:${BLOCKED_WORDS.map(wordPattern).join('|')})(?:s|es|ed|er|ers|ing|y|ty)?\\b`, 'gi');
+
+/**
+ * Star out blocked words, keeping the first letter so the tone still reads.
+ */
+export function filterProfanity(text = '') {
+  return text.replace(PROFANITY, match => match[0] + '*'.repeat(match.length - 1));
+}
+
+/**
+ * Trim, cap and filter a chat message. Returns '' for nothing to send.
+ */
+export function cleanMessage(text = '') {
+  return filterProfanity(String(text).trim().slice(0, CHAT_CONFIG.MAX_LENGTH));
+}
+
+/**
+ * Sliding-window limiter, so a client stops before the server refuses.
+ */
+export class RateLimiter {
+  constructor(limit = CHAT_CONFIG.RATE_LIMIT, windowMs = CHAT_CONFIG.RATE_WINDOW_MS) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.sent = [];
+  }
+
+  tryConsume(now = Date.now()) {
+    this.sent = this.sent.filter(time => now - time < this.windowMs);
+    if (this.sent.length >= this.limit) return false;
+    this.sent.push(now);
+    return true;
+  }
+
+  // Milliseconds until the next message is allowed
+  retryAfter(now = Date.now()) {
+    if (this.sent.length < this.limit) return 0;
+    return Math.max(0, this.windowMs - (now - this.sent[0]));
+  }
+}
+
+/**
+ * Normalise a game_messages row or chat_message payload for display.
+ */
+export function toChatMessage(row) {
+  const kind = row.kind === 'emote' ? 'emote' : 'chat';
+  return {
+    id: row.id,
+    player: row.player,
+    userName: row.userName || row.user_name || null,
+    kind,
+    body: kind === 'emote' ? row.body : filterProfanity(row.body || ''),
+    createdAt: row.createdAt || row.created_at
+  };
+}
@@ -0,0 +1,100 @@
+// =====================================================
+// DAILY PUZZLE - One shared puzzle per UTC day
+// =====================================================
+//
+// Everyone gets the same image, grid size and seed for a given day, so the
+// pieces are cut and dealt in the same order. pickDailyPuzzle derives the
+// puzzle from the date alone; a daily_puzzles row overrides it for curated
+// days (see dailyService.getPuzzle). Results go to daily_results.
+
+import { createRng, deriveSeed } from './prng.js';
+
+export const DAILY_CONFIG = {
+  // Square grids only (see ImageProcessor.calculateGridDimensions), so the
+  // image's aspect ratio can't change the piece count between players.
+  // _daily_grid_size (20261019000022_daily_puzzle_check.sql) derives the
+  // same size on the server; change both together.
+  GRID_SIZES: [5, 8, 10, 12],
+  // Days shown in the streak calendar
+  CALENDAR_DAYS: 28
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 'YYYY-MM-DD' for the UTC day containing `date`.
+ */
+export function getDailyKey(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * The day key `delta` days after (or before, if negative) `day`.
+ */
+export function shiftDay(day, delta) {
+  return getDailyKey(Date.parse(`${day}T00:00:00Z`) + delta * DAY_MS);
+}
+
+/**
+ * The puzzle for `day`, picked from the library images ({ name, url }).
+ * Only the date feeds the choice, so every client lands on the same one.
+ */
+export function pickDailyPuzzle(day, images) {
+  if (!images || images.length === 0) {
+    throw new Error('No library images for the daily puzzle');
+  }
+
+  const seed = deriveSeed(0, `daily:${day}`);
+  const rng = createRng(seed);
+  const image = images[Math.floor(rng() * images.length)];
+  const gridSize = DAILY_CONFIG.GRID_SIZES[Math.floor(rng() * DAILY_CONFIG.GRID_SIZES.length)];
+
+  return {
+    day,
+    imageName: image.name,
+    imageUrl: image.url,
+    gridSize,
+    seed,
+    rotation: false,
+    curated: false
+  };
+}
+
+/**
+ * Current and best run of consecutive solved days. The current streak is
+ * still alive if today hasn't been solved yet but yesterday was.
+ */
+export function computeDailyStreak(solvedDays, today = getDailyKey()) {
+  const days = [...new Set(solvedDays)].sort();
+  const solved = new Set(days);
+
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of days) {
+    run = previous && shiftDay(previous, 1) === day ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = day;
+  }
+
+  let current = 0;
+  let day = solved.has(today) ? today : shiftDay(today, -1);
+  while (solved.has(day)) {
+    current++;
+    day = shiftDay(day, -1);
+  }
+
+  return { current, best };
+}
+
+/**
+ * The last `count` days, oldest first, each with the player's result for
+ * that day (or null) — the cells of the streak calendar.
+ */
+export function buildStreakCalendar(results, today = getDailyKey(), count = DAILY_CONFIG.CALENDAR_DAYS) {
+  const byDay = new Map(results.map(result => [result.day, result]));
+  return Array.from({ length: count }, (_, i) => {
+    const day = shiftDay(today, i - count + 1);
+    return { day, result: byDay.get(day) || null };
+  });
+}
@@ -22,3 +22,83 @@ export const ACCESSIBILITY_DEFAULTS = {
   highlightEdges: true,
   showMoveHistory: false
 };
+
+export const ROTATION_CONFIG = {
+  STEP: 90,
+  ANGLES: [0, 90, 180, 270],
+  // Correct placements of rotatable pieces are worth more
+  SCORE_MULTIPLIER: 1.25,
+  // Two-finger twist needed before a piece turns one step
+  GESTURE_THRESHOLD_DEGREES: 45,
+  CONTROLS_HINT: 'Rotate the selected piece: R (Shift+R back), right-click, or twist with two fingers'
+};
+
+export const PLAYER_CONFIG = {
+  // Turn order; a match uses the first maxPlayers seats
+  SEATS: ['playerA', 'playerB', 'playerC', 'playerD'],
+  MIN_PLAYERS: 2,
+  MAX_PLAYERS: 4,
+  LABELS: {
+    playerA: 'Player A',
+    playerB: 'Player B',
+    playerC: 'Player C',
+    playerD: 'Player D'
+  }
+};
+
+// Seats for a match of `count` players, in turn order
+export const getSeats = (count = PLAYER_CONFIG.MIN_PLAYERS) => {
+  const players = Math.min(Math.max(Number(count) || PLAYER_CONFIG.MIN_PLAYERS, PLAYER_CONFIG.MIN_PLAYERS), PLAYER_CONFIG.MAX_PLAYERS);
+  return PLAYER_CONFIG.SEATS.slice(0, players);
+};
+
+// The seat after `seat` in the rotation, wrapping round to the first
+export const getNextSeat = (seats, seat) => seats[(seats.indexOf(seat) + 1) % seats.length];
+
+export const getSeatLabel = (seat) => PLAYER_CONFIG.LABELS[seat] || seat;
+
+export const TEAM_CONFIG = {
+  // Partners sit opposite each other, so turns (and checks) alternate between teams
+  TEAMS: {
+    teamA: ['playerA', 'playerC'],
+    teamB: ['playerB', 'playerD']
+  },
+  PLAYERS: 4,
+  LABELS: {
+    teamA: 'Team A',
+    teamB: 'Team B'
+  },
+  // player_ratings.mode that 2v2 matches are rated in
+  RATING_MODE: 'TEAMS'
+};
+
+// Team a seat plays for in a 2v2 match
+export const getSeatTeam = (seat) =>
+  Object.keys(TEAM_CONFIG.TEAMS).find(team => TEAM_CONFIG.TEAMS[team].includes(seat)) || null;
+
+export const getTeamLabel = (team) => TEAM_CONFIG.LABELS[team] || team;
+
+// { key, name } per seat for score headers. The games columns name A and B;
+// game_players rows name every seat of a 3-4 player game.
+export const listSeatNames = (game, rows = []) => {
+  if (rows.length > 2) {
+    return rows.map(row => ({ key: row.seat, name: row.player_name || getSeatLabel(row.seat) }));
+  }
+  return [
+    { key: 'playerA', name: game?.player_a_name || getSeatLabel('playerA') },
+    { key: 'playerB', name: game?.player_b_name || getSeatLabel('playerB') }
+  ];
+};
+
+// Events GameLogic raises for listeners such as the achievements tracker.
+// Every event carries `player`, the seat it's about.
+export const GAME_EVENTS = {
+  // { streak } — the seat's run of correct placements grew
+  STREAK: 'streak',
+  // { region: 'row'|'column'|'border', gridIndex } — a piece finished a region
+  REGION_COMPLETE: 'region_complete',
+  // { gridIndex } — a Nexus suspect mark caught an incorrect piece
+  DETECTIVE_HIT: 'detective_hit',
+  // { won, accuracy, hintsUsed, placements, mode } — once the result is in
+  GAME_END: 'game_end'
+};
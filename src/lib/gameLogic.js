@@ -3,12 +3,18 @@
 // =====================================================
 
 import { getModeConfig as importedGetModeConfig, getModeScoring as importedGetModeScoring, ADJACENCY_SCORING } from './gameModes.js';
-import { HINT_CONFIG } from './gameConfig.js';
+import { HINT_CONFIG, ROTATION_CONFIG, TEAM_CONFIG, GAME_EVENTS, getSeats, getNextSeat } from './gameConfig.js';
+import { getModePlugin } from './modes/index.js';
+import { createRng, deriveSeed, randomSeed, shuffle } from './prng.js';
+import { PIECE_PADDING_RATIO, generateEdgeProfiles, getPieceEdges, tracePieceOutline, countFlatEdges } from './pieceShapes.js';
 
 export class ImageProcessor {
-  constructor(imageSource, gridSize = 10) {
+  constructor(imageSource, gridSize = 10, seed = randomSeed()) {
     this.imageSource = imageSource;
     this.gridSize = gridSize;
+    this.seed = seed;
+    this.shapeRng = createRng(deriveSeed(seed, 'shapes'));
+    this.rackRng = createRng(deriveSeed(seed, 'rack'));
     this.image = null;
     this.pieces = [];
     this.canvas = document.createElement('canvas');
@@ -67,27 +73,47 @@ export class ImageProcessor {
     const { cols, rows, totalPieces } = this.calculateGridDimensions();
     const pieceWidth = this.image.width / cols;
     const pieceHeight = this.image.height / rows;
+    // Transparent margin around each piece for knobs that stick out of its cell
+    const pad = Math.ceil(Math.min(pieceWidth, pieceHeight) * PIECE_PADDING_RATIO);
+    const profiles = generateEdgeProfiles(rows, cols, this.shapeRng);
 
     this.pieces = [];
 
     for (let row = 0; row < rows; row++) {
       for (let col = 0; col < cols; col++) {
         const index = row * cols + col;
+        const { edges, edgeShapes } = getPieceEdges(row, col, profiles);
 
-        this.canvas.width = pieceWidth;
-        this.canvas.height = pieceHeight;
+        // Resizing also clears the canvas
+        this.canvas.width = Math.ceil(pieceWidth + pad * 2);
+        this.canvas.height = Math.ceil(pieceHeight + pad * 2);
 
+        // Mask the image with the piece outline
+        this.ctx.save();
+        this.ctx.translate(pad, pad);
+        tracePieceOutline(this.ctx, pieceWidth, pieceHeight, edges, edgeShapes);
+        this.ctx.clip();
         this.ctx.drawImage(
           this.image,
-          col * pieceWidth,
-          row * pieceHeight,
-          pieceWidth,
-          pieceHeight,
-          0,
-          0,
-          pieceWidth,
-          pieceHeight
+          col * pieceWidth - pad,
+          row * pieceHeight - pad,
+          pieceWidth + pad * 2,
+          pieceHeight + pad * 2,
+          -pad,
+          -pad,
+          pieceWidth + pad * 2,
+          pieceHeight + pad * 2
         );
+        this.ctx.restore();
+
+        // Thin outline so neighbouring pieces read as separate
+        this.ctx.save();
+        this.ctx.translate(pad, pad);
+        tracePieceOutline(this.ctx, pieceWidth, pieceHeight, edges, edgeShapes);
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+        this.ctx.stroke();
+        this.ctx.restore();
 
         const dataUrl = this.canvas.toDataURL('image/png');
 
@@ -98,7 +124,10 @@ export class ImageProcessor {
           col,
           imageData: dataUrl,
           isEdge: this.isEdgePiece(row, col, rows, cols),
-          edges: this.getEdgeTypes(row, col, rows, cols)
+          edges,
+          edgeShapes,
+          // Padding per side as a fraction of the piece body
+          padding: { x: pad / pieceWidth, y: pad / pieceHeight }
         });
       }
     }
@@ -106,7 +135,8 @@ export class ImageProcessor {
     return {
       pieces: this.pieces,
       gridDimensions: { cols, rows, totalPieces },
-      pieceSize: { width: pieceWidth, height: pieceHeight }
+      pieceSize: { width: pieceWidth, height: pieceHeight, padding: pad },
+      seed: this.seed
     };
   }
 
@@ -114,22 +144,8 @@ export class ImageProcessor {
     return row === 0 || row === rows - 1 || col === 0 || col === cols - 1;
   }
 
-  getEdgeTypes(row, col, rows, cols) {
-    return {
-      top: row === 0,
-      bottom: row === rows - 1,
-      left: col === 0,
-      right: col === cols - 1
-    };
-  }
-
   shufflePieces() {
-    const shuffled = [...this.pieces];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+    return shuffle(this.pieces, this.rackRng);
   }
 
   getPiecesForRack(count = 10) {
@@ -152,12 +168,7 @@ export class ImageProcessor {
     }
 
     // Final shuffle of the selected pieces
-    for (let i = rackPieces.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [rackPieces[i], rackPieces[j]] = [rackPieces[j], rackPieces[i]];
-    }
-
-    return rackPieces;
+    return shuffle(rackPieces, this.rackRng);
   }
 }
 
@@ -165,75 +176,361 @@ export class ImageProcessor {
 // GAME LOGIC - Core puzzle game mechanics
 // =====================================================
 
+// Pieces in a full rack
+const RACK_SIZE = 10;
+
 export class GameLogic {
-  constructor(totalPieces = 100, pieces = [], mode = 'CLASSIC') {
+  constructor(totalPieces = 100, pieces = [], mode = 'CLASSIC', seed = randomSeed(), options = {}) {
     this.totalPieces = totalPieces;
     this.gridSize = Math.round(Math.sqrt(totalPieces));
     this.pieces = pieces;
     this.grid = Array(this.totalPieces).fill(null);
     this.piecePool = [...pieces];
-    this.playerARack = [];
-    this.playerBRack = [];
+    // Seats in turn order: playerA, playerB, then playerC/playerD for 3-4 player matches
+    this.players = getSeats(options.players);
+    this.racks = this.forEachPlayer(() => []);
+    // A player's server view only counts the pool and the racks they may
+    // not see: { pool, racks: { [seat]: count } }, null when it has them all
+    this.hiddenCounts = null;
+    // 2v2 partners ({ teamA: [seats], teamB: [seats] }); null when everyone plays for themselves
+    this.teams = options.teams && this.players.length === TEAM_CONFIG.PLAYERS ? TEAM_CONFIG.TEAMS : null;
     this.currentTurn = 'playerA';
-    this.scores = {
-      playerA: { score: 0, accuracy: 100, streak: 0, correctPlacements: 0, totalPlacements: 0, hintsUsed: 0 },
-      playerB: { score: 0, accuracy: 100, streak: 0, correctPlacements: 0, totalPlacements: 0, hintsUsed: 0 }
-    };
+    this.scores = this.forEachPlayer(() => ({ score: 0, accuracy: 100, streak: 0, correctPlacements: 0, totalPlacements: 0, hintsUsed: 0 }));
     // Scores visible in the UI — only updated at 20% board-fill milestones
-    this.revealedScores = {
-      playerA: { score: 0, accuracy: 100, streak: 0 },
-      playerB: { score: 0, accuracy: 100, streak: 0 }
-    };
+    this.revealedScores = this.forEachPlayer(() => ({ score: 0, accuracy: 100, streak: 0 }));
     this.gameState = 'setup';
     this.moveHistory = [];
     this.pendingCheck = null;
     this.nextCheckRevealProgress = 0.2;
     this.timerRemaining = 600; // Default 10 minutes
     this.isPlacementInProgress = false; // Add placement lock
+    this.stateVersion = 0; // Canonical game_state version from the server RPCs
+
+    // Same seed as the ImageProcessor that cut the pieces, so the deal replays exactly
+    this.seed = seed;
+    this.dealRng = createRng(deriveSeed(seed, 'deal'));
+    this.hintRng = createRng(deriveSeed(seed, 'hints'));
+
+    // Rotation difficulty: pieces are dealt at 0/90/180/270 degrees and only
+    // count as correct once turned upright. pieceId -> clockwise degrees.
+    this.rotationEnabled = !!options.rotation;
+    this.pieceRotations = this.rotationEnabled ? this.dealRotations() : {};
 
     // Game mode support
     this.mode = mode || 'CLASSIC';
     this.modeConfig = importedGetModeConfig(mode);
     this.modeScoring = importedGetModeScoring(mode);
-    this.turnsRemaining = {
-      playerA: this.modeConfig.features.turnsPerRound,
-      playerB: this.modeConfig.features.turnsPerRound
-    };
-    this.checksRemaining = {
-      playerA: this.modeConfig.features.checksPerTurn,
-      playerB: this.modeConfig.features.checksPerTurn
-    };
+    this.modePlugin = getModePlugin(this.mode);
+    this.turnsRemaining = this.forEachPlayer(() => this.modeConfig.features.turnsPerRound);
+    this.checksRemaining = this.forEachPlayer(() => this.modeConfig.features.checksPerTurn);
 
     // Nexus mode state
-    this.piecePlacedBy = {};  // gridIndex -> 'playerA'|'playerB'
+    this.piecePlacedBy = {};  // gridIndex -> seat
     this.pieceMarks = {};     // gridIndex -> { marker, type: 'suspect'|'confident' }
     this.nexusResolved = false;
+
+    // Listeners for GAME_EVENTS (see onEvent)
+    this.eventListeners = new Set();
   }
 
   initialize() {
     // Shuffle the piece pool to randomize distribution
     this.piecePool = this.shufflePieces();
-    this.fillRack('playerA');
-    this.fillRack('playerB');
+    this.players.forEach(player => this.fillRack(player));
     this.gameState = 'active';
   }
 
+  // =====================================================
+  // SEATS
+  // =====================================================
+
+  // { [seat]: fn(seat) } for every seat in the match
+  forEachPlayer(fn) {
+    return Object.fromEntries(this.players.map(player => [player, fn(player)]));
+  }
+
+  // Co-op deals one rack the whole table draws from; it's kept under the first seat
+  getRackOwner(player) {
+    return this.modeConfig?.features?.sharedRack ? this.players[0] : player;
+  }
+
+  getRack(player) {
+    return this.racks[this.getRackOwner(player)] || [];
+  }
+
+  // Pieces left in a rack, including one only the server can see
+  countRackPieces(player) {
+    const owner = this.getRackOwner(player);
+    return this.hiddenCounts?.racks[owner] ?? this.getRack(owner).filter(p => p != null).length;
+  }
+
+  countPoolPieces() {
+    return this.hiddenCounts?.pool ?? this.piecePool.length;
+  }
+
+  // Two-player code paths still address the first two racks directly
+  get playerARack() {
+    return this.racks.playerA;
+  }
+
+  set playerARack(rack) {
+    this.racks.playerA = rack;
+  }
+
+  get playerBRack() {
+    return this.racks.playerB;
+  }
+
+  set playerBRack(rack) {
+    this.racks.playerB = rack;
+  }
+
+  /**
+   * Whoever plays after `player`. They also check `player`'s placements.
+   */
+  getNextPlayer(player) {
+    return getNextSeat(this.players, player);
+  }
+
+  // =====================================================
+  // TEAMS (2v2)
+  // =====================================================
+
+  getTeam(player) {
+    if (!this.teams) return null;
+    return Object.keys(this.teams).find(team => this.teams[team].includes(player)) || null;
+  }
+
+  getPartner(player) {
+    const team = this.getTeam(player);
+    return team ? this.teams[team].find(seat => seat !== player) : null;
+  }
+
+  // A team's shared score is the sum of what its players scored
+  getTeamScores() {
+    if (!this.teams) return null;
+    return Object.fromEntries(Object.entries(this.teams).map(([team, seats]) => [
+      team,
+      seats.reduce((total, seat) => total + (this.scores[seat]?.score || 0), 0)
+    ]));
+  }
+
+  /**
+   * peekOpponentRack for team games: a player may look at their partner's
+   * rack and nobody else's. Null outside team games.
+   */
+  peekPartnerRack(player) {
+    const partner = this.getPartner(player);
+    return partner ? [...this.getRack(partner)] : null;
+  }
+
+  /**
+   * Hand a rack piece to your partner. Allowed on your own turn (any time
+   * in simultaneous modes) and doesn't use the turn up.
+   */
+  passPiece(player, pieceId) {
+    const partner = this.getPartner(player);
+    if (!partner) {
+      return { success: false, message: 'Pieces can only be passed in team games' };
+    }
+    if (!this.isSimultaneous() && this.currentTurn !== player) {
+      return { success: false, message: 'Not your turn' };
+    }
+
+    const rack = this.getRack(player);
+    const index = rack.findIndex(p => p && p.id === pieceId);
+    if (index === -1) {
+      return { success: false, message: 'Piece is not in your rack' };
+    }
+
+    const partnerRack = this.getRack(partner);
+    const slot = partnerRack.findIndex(p => p == null);
+    if (slot === -1 && partnerRack.length >= RACK_SIZE) {
+      return { success: false, message: "Your partner's rack is full" };
+    }
+
+    const piece = rack[index];
+    rack[index] = null;
+    if (slot === -1) {
+      partnerRack.push(piece);
+    } else {
+      partnerRack[slot] = piece;
+    }
+
+    this.recordHistory({ type: 'pass', player, to: partner, pieceId });
+
+    if (rack.every(p => p == null) && this.piecePool.length > 0) {
+      this.fillRack(player);
+    }
+
+    return { success: true, to: partner, pieceId };
+  }
+
   shufflePieces() {
-    const shuffled = [...this.pieces];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    return shuffle(this.pieces, this.dealRng);
+  }
+
+  // =====================================================
+  // EVENTS
+  // =====================================================
+
+  /**
+   * Listen for GAME_EVENTS ({ type, player, ... }). Returns a function
+   * that removes the listener.
+   */
+  onEvent(listener) {
+    this.eventListeners.add(listener);
+    return () => this.eventListeners.delete(listener);
+  }
+
+  emitEvent(type, data) {
+    const event = { type, ...data };
+    this.eventListeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error('Game event listener failed:', err);
+      }
+    });
+  }
+
+  // Events are worked out by comparing the board, streaks and Nexus
+  // resolve before and after a change, so a move played here and a server
+  // state imported after someone else's move raise the same events
+  captureProgress() {
+    if (this.eventListeners.size === 0) return null;
+    return {
+      correct: this.grid.map((piece, i) => this.isPieceCorrectAt(piece, i)),
+      streaks: this.forEachPlayer(player => this.scores[player]?.streak || 0),
+      nexusResolved: this.nexusResolved
+    };
+  }
+
+  emitProgressEvents(before) {
+    if (!before) return;
+
+    this.players.forEach(player => {
+      const streak = this.scores[player]?.streak || 0;
+      if (streak > (before.streaks[player] || 0)) {
+        this.emitEvent(GAME_EVENTS.STREAK, { player, streak });
+      }
+    });
+
+    this.grid.forEach((piece, gridIndex) => {
+      if (before.correct[gridIndex] || !this.isPieceCorrectAt(piece, gridIndex)) return;
+      const player = this.getPlacedBy(gridIndex);
+      const regions = this.checkRegionCompletion(gridIndex);
+      // The border only counts for the piece that sits on it
+      if (!this.isBorderIndex(gridIndex)) regions.border = false;
+      ['row', 'column', 'border'].forEach(region => {
+        if (regions[region]) {
+          this.emitEvent(GAME_EVENTS.REGION_COMPLETE, { player, region, gridIndex });
+        }
+      });
+    });
+
+    if (this.nexusResolved && !before.nexusResolved) {
+      Object.entries(this.pieceMarks).forEach(([gridIndex, mark]) => {
+        const index = Number(gridIndex);
+        if (mark.type === 'suspect' && !this.isPieceCorrectAt(this.grid[index], index)) {
+          this.emitEvent(GAME_EVENTS.DETECTIVE_HIT, { player: mark.marker, gridIndex: index });
+        }
+      });
     }
-    return shuffled;
+  }
+
+  /**
+   * Raise GAME_END for every seat once the result is known. `winner` is a
+   * seat, a team, 'coop', 'tie' or null when time ran out.
+   */
+  reportGameEnd(winner) {
+    this.players.forEach(player => {
+      const score = this.scores[player];
+      this.emitEvent(GAME_EVENTS.GAME_END, {
+        player,
+        won: !!winner && (winner === player || winner === 'coop' || winner === this.getTeam(player)),
+        accuracy: score.accuracy,
+        hintsUsed: score.hintsUsed || 0,
+        placements: score.totalPlacements,
+        mode: this.mode
+      });
+    });
+  }
+
+  // Seat whose piece sits at gridIndex: Nexus tracks it, other modes have
+  // the latest placement there in the history
+  getPlacedBy(gridIndex) {
+    if (this.piecePlacedBy[gridIndex]) return this.piecePlacedBy[gridIndex];
+    for (let i = this.moveHistory.length - 1; i >= 0; i--) {
+      const entry = this.moveHistory[i];
+      if ((entry.type || 'place') === 'place' && entry.gridIndex === gridIndex) return entry.player;
+    }
+    return null;
+  }
+
+  isBorderIndex(gridIndex) {
+    const row = Math.floor(gridIndex / this.gridSize);
+    const col = gridIndex % this.gridSize;
+    return row === 0 || col === 0 || row === this.gridSize - 1 || col === this.gridSize - 1;
+  }
+
+  // =====================================================
+  // ROTATION
+  // =====================================================
+
+  /**
+   * Starting orientation for every piece, drawn from its own seeded stream
+   * so all clients deal the same rotations without syncing them.
+   */
+  dealRotations() {
+    const rng = createRng(deriveSeed(this.seed, 'rotation'));
+    const rotations = {};
+    [...this.pieces]
+      .sort((a, b) => a.id - b.id)
+      .forEach((piece) => {
+        rotations[piece.id] = ROTATION_CONFIG.ANGLES[Math.floor(rng() * ROTATION_CONFIG.ANGLES.length)];
+      });
+    return rotations;
+  }
+
+  getPieceRotation(pieceId) {
+    return this.pieceRotations[pieceId] || 0;
+  }
+
+  /**
+   * Turn a piece in the player's rack by `steps` quarter turns
+   * (positive = clockwise). Placed pieces keep the rotation they went down with.
+   */
+  rotatePiece(player, pieceId, steps = 1) {
+    if (!this.rotationEnabled) {
+      return { success: false, message: 'Rotation is not enabled for this game' };
+    }
+
+    const rack = this.getRack(player);
+    if (!rack.some(p => p && p.id === pieceId)) {
+      return { success: false, message: 'Piece is not in your rack' };
+    }
+
+    const rotation = ((this.getPieceRotation(pieceId) + steps * ROTATION_CONFIG.STEP) % 360 + 360) % 360;
+    this.pieceRotations[pieceId] = rotation;
+    return { success: true, pieceId, rotation };
+  }
+
+  /**
+   * Whether `piece` sitting at gridIndex is correct — right cell and, with
+   * rotation enabled, upright.
+   */
+  isPieceCorrectAt(piece, gridIndex) {
+    if (!piece || piece.correctPosition !== gridIndex) return false;
+    return !this.rotationEnabled || this.getPieceRotation(piece.id) === 0;
   }
 
   fillRack(player) {
-    const rack = player === 'playerA' ? this.playerARack : this.playerBRack;
-    // ... rest of fillRack code
+    const rack = this.getRack(player);
 
     // Filter out null AND undefined, then count actual pieces
     const actualPieces = rack.filter(p => p !== null && p !== undefined);
-    const needed = 10 - actualPieces.length;
+    const needed = RACK_SIZE - actualPieces.length;
 
     // Create new rack with actual pieces first
     const newRack = [...actualPieces];
@@ -247,17 +544,13 @@ export class GameLogic {
     }
 
     // Update the rack
-    if (player === 'playerA') {
-      this.playerARack = newRack;
-    } else {
-      this.playerBRack = newRack;
-    }
+    this.racks[this.getRackOwner(player)] = newRack;
 
     console.log(`Refilled ${player} rack: now has ${newRack.length} pieces`);
   }
 
   returnPieceToRack(player, piece) {
-    const rack = player === 'playerA' ? this.playerARack : this.playerBRack;
+    const rack = this.getRack(player);
 
     // Ensure piece has complete data including imageData
     // If piece only has metadata (id, correctPosition), look it up from this.pieces
@@ -307,7 +600,7 @@ export class GameLogic {
       return { valid: false, reason: 'Piece not found' };
     }
 
-    const isCorrect = piece.correctPosition === gridIndex;
+    const isCorrect = this.isPieceCorrectAt(piece, gridIndex);
 
     return {
       valid: true,
@@ -316,11 +609,15 @@ export class GameLogic {
     };
   }
 
+  /**
+   * Place one of `player`'s rack pieces on the board. Rejected, with
+   * nothing changed, when it isn't their turn, a placement is still
+   * unresolved, the cell is taken or out of range, or the piece isn't in
+   * their own rack.
+   */
   placePiece(player, pieceId, gridIndex) {
-    const isNexus = this.mode === 'NEXUS';
-
-    // In non-NEXUS modes, check if it's this player's turn
-    if (!isNexus && this.currentTurn !== player) {
+    // Turn-based modes: check if it's this player's turn
+    if (!this.isSimultaneous() && this.currentTurn !== player) {
       return { success: false, message: "Not your turn" };
     }
 
@@ -345,15 +642,22 @@ export class GameLogic {
       return { success: false, message: validation.reason };
     }
 
+    // Same rule as the server: only pieces from your own rack, so a piece
+    // can't end up on the board and in a rack at once
+    const rack = this.getRack(player);
+    const pieceIndex = rack.findIndex(p => p && p.id === pieceId);
+    if (pieceIndex === -1) {
+      this.isPlacementInProgress = false; // Release lock on error
+      return { success: false, message: 'Piece is not in your rack' };
+    }
+
+    const before = this.captureProgress();
+
     // Place piece on grid
     this.grid[gridIndex] = validation.piece;
 
     // Remove from rack
-    const rack = player === 'playerA' ? this.playerARack : this.playerBRack;
-    const pieceIndex = rack.findIndex(p => p && p.id === pieceId);
-    if (pieceIndex !== -1) {
-      rack[pieceIndex] = null;
-    }
+    rack[pieceIndex] = null;
 
     // Record move
     const move = {
@@ -363,71 +667,38 @@ export class GameLogic {
       correct: validation.correct,
       timestamp: Date.now()
     };
+    if (this.rotationEnabled) {
+      move.rotation = this.getPieceRotation(pieceId);
+    }
     this.moveHistory.push(move);
 
-    const supportsCheckFlow = this.modeConfig?.features?.checksPerTurn > 0;
-    const shouldRevealCheck = supportsCheckFlow && this.shouldRevealCheckAtCurrentProgress();
-
-    if (isNexus) {
-      // NEXUS mode: no check/pass, no scoring now. Track who placed what.
-      this.piecePlacedBy[gridIndex] = player;
-      this.pendingCheck = null;
-
-      // Refill rack for this player
-      const activeRack = player === 'playerA' ? this.playerARack : this.playerBRack;
-      const remainingPieces = activeRack.filter(p => p !== null).length;
-      if (remainingPieces === 0 && this.piecePool.length > 0) {
-        this.fillRack(player);
-      }
-
-      this.isPlacementInProgress = false;
-      return {
-        success: true,
-        correct: validation.correct,
-        piece: validation.piece,
-        awaitingCheck: false,
-        scored: false,
-        nexus: true
-      };
-    } else if (supportsCheckFlow) {
-      // Modes with check/pass flow (CLASSIC, SUPER, SAGE)
-      this.pendingCheck = {
-        ...move,
-        revealCorrectness: shouldRevealCheck
-      };
-
-      if (shouldRevealCheck) {
-        this.nextCheckRevealProgress = Math.min(this.nextCheckRevealProgress + 0.2, 1);
-      }
-    } else {
-      // No-check modes (SAVANT, SINGLE_PLAYER) — score immediately
-      this.pendingCheck = null;
-      const correctPts = this.modeScoring.correctPiece || 10;
-      const wrongPts = this.modeScoring.wrongPiece || 0;
-
-      if (validation.correct) {
-        this.updateScore(player, correctPts, true);
-      } else {
-        this.updateScore(player, wrongPts, false);
-      }
-
-      // Decrement turns and switch if exhausted
-      this.consumeTurn(player);
-    }
+    // Scoring, checks and turn handling are up to the mode
+    const outcome = this.modePlugin.onPlace(this, {
+      player,
+      gridIndex,
+      move,
+      piece: validation.piece,
+      correct: validation.correct
+    });
+    move.scores = this.getScoreSnapshot();
 
     // Check if rack needs refilling (when all pieces used)
-    const activeRack = player === 'playerA' ? this.playerARack : this.playerBRack;
-    const remainingPieces = activeRack.filter(p => p !== null).length;
+    const activeRack = this.getRack(player);
+    const remainingPieces = activeRack.filter(p => p != null).length;
     if (remainingPieces === 0 && this.piecePool.length > 0) {
       this.fillRack(player);
     }
 
+    this.emitProgressEvents(before);
+
     return {
       success: true,
       correct: validation.correct,
       piece: validation.piece,
-      awaitingCheck: supportsCheckFlow,
-      scored: !supportsCheckFlow
+      awaitingCheck: false,
+      scored: false,
+      returned: false,
+      ...outcome
     };
   }
 
@@ -448,18 +719,11 @@ export class GameLogic {
    * Sync revealedScores to actual scores when a milestone is hit.
    */
   syncRevealedScores() {
-    this.revealedScores = {
-      playerA: {
-        score: this.scores.playerA.score,
-        accuracy: this.scores.playerA.accuracy,
-        streak: this.scores.playerA.streak
-      },
-      playerB: {
-        score: this.scores.playerB.score,
-        accuracy: this.scores.playerB.accuracy,
-        streak: this.scores.playerB.streak
-      }
-    };
+    this.revealedScores = this.forEachPlayer(player => ({
+      score: this.scores[player].score,
+      accuracy: this.scores[player].accuracy,
+      streak: this.scores[player].streak
+    }));
   }
 
   handleOpponentCheck(checker, checkDecision) {
@@ -468,253 +732,88 @@ export class GameLogic {
     }
 
     const move = this.pendingCheck;
-    const placer = move.player;
-    const isRevealed = move.revealCorrectness;
-
-    if (checkDecision === 'check') {
-      // CHECK outcome
-      if (!move.correct) {
-        // Piece is INCORRECT — checker catches it
-        const checkerPoints = this.modeScoring.checkerSuccess || 5;
-        this.updateScore(checker, checkerPoints, false);
-
-        // Remove piece from grid
-        const piece = this.grid[move.gridIndex];
-        this.grid[move.gridIndex] = null;
-
-        // Return piece to PLACER's rack
-        if (piece) {
-          this.returnPieceToRack(placer, piece);
-        }
-
-        this.pendingCheck = null;
-        this.consumeCheck(checker);
-        this.consumeTurn(placer);
-        this.isPlacementInProgress = false;
-
-        // Sync revealed scores at milestone
-        if (isRevealed) this.syncRevealedScores();
-
-        return {
-          success: true,
-          result: 'successful_check',
-          message: `Checker gained ${checkerPoints} points for catching an incorrect piece.`,
-          correctPlacement: false,
-          checkerGained: checkerPoints,
-          correctnessRevealed: isRevealed,
-          scoresRevealed: isRevealed
-        };
-      } else {
-        // Piece is CORRECT — placer rewarded, checker penalized
-        const placerPoints = this.modeScoring.checkCorrect || 10;
-        this.updateScore(placer, placerPoints, true);
-        const checkerPenalty = this.modeScoring.checkerFail || -2;
-        this.updateScore(checker, checkerPenalty, false);
-
-        this.pendingCheck = null;
-        this.consumeCheck(checker);
-        this.consumeTurn(placer);
-        this.isPlacementInProgress = false;
-
-        // Sync revealed scores at milestone
-        if (isRevealed) this.syncRevealedScores();
-
-        return {
-          success: true,
-          result: 'failed_check',
-          message: `Placer awarded ${placerPoints} points. Checker penalized ${checkerPenalty} points.`,
-          correctPlacement: true,
-          placerGained: placerPoints,
-          checkerLost: checkerPenalty,
-          correctnessRevealed: isRevealed,
-          scoresRevealed: isRevealed
-        };
-      }
-    } else {
-      // PASS outcome
-      if (move.correct) {
-        // Piece is CORRECT — placer gets bonus for surviving pass
-        const passBonus = this.modeScoring.passCorrect || 5;
-        if (passBonus > 0) {
-          this.updateScore(placer, passBonus, true);
-        }
-
-        this.pendingCheck = null;
-        this.consumeTurn(placer);
-        this.isPlacementInProgress = false;
-
-        // Sync revealed scores at milestone
-        if (isRevealed) this.syncRevealedScores();
-
-        return {
-          success: true,
-          result: 'opponent_passed_correct',
-          message: passBonus > 0
-            ? `Opponent passed — piece was correct! Placer earned ${passBonus} points.`
-            : 'Opponent passed — piece was correct. Turn moves to opponent.',
-          correctPlacement: true,
-          placerGained: passBonus,
-          correctnessRevealed: isRevealed,
-          scoresRevealed: isRevealed
-        };
-      } else {
-        // Piece is INCORRECT — both penalized
-        const piece = this.grid[move.gridIndex];
-        this.grid[move.gridIndex] = null;
-
-        if (piece) {
-          this.returnPieceToRack(placer, piece);
-        }
+    if (move.player === checker) {
+      return { success: false, message: 'You cannot check your own placement' };
+    }
+    if (checker !== this.getNextPlayer(move.player)) {
+      return { success: false, message: 'Only the next player in turn can check this placement' };
+    }
 
-        const penalty = this.modeScoring.passWrong || -3;
-        this.updateScore(placer, penalty, false);
-        this.updateScore(checker, penalty, false);
-
-        this.pendingCheck = null;
-        this.consumeTurn(placer);
-        this.isPlacementInProgress = false;
-
-        // Sync revealed scores at milestone
-        if (isRevealed) this.syncRevealedScores();
-
-        return {
-          success: true,
-          result: 'opponent_passed_incorrect',
-          message: `Both penalized (${penalty}). Piece removed and returned to placer.`,
-          correctPlacement: false,
-          bothPenalized: penalty,
-          correctnessRevealed: isRevealed,
-          scoresRevealed: isRevealed
-        };
-      }
+    const before = this.captureProgress();
+    const result = this.modePlugin.onCheck(this, checker, checkDecision);
+    if (result.success) {
+      this.recordHistory({
+        type: 'check',
+        player: checker,
+        decision: checkDecision,
+        outcome: result.result,
+        pieceId: move.pieceId,
+        gridIndex: move.gridIndex,
+        correct: move.correct,
+        removed: !result.correctPlacement
+      });
+      this.emitProgressEvents(before);
     }
+    return result;
   }
 
-  // =====================================================
-  // NEXUS MODE — Suspect/Confident Marking & End-Game
-  // =====================================================
-
   /**
-   * Mark a placed piece as 'suspect' (opponent's piece you think is wrong)
-   * or 'confident' (your own piece you're sure is right).
-   * Pass markType=null to explicitly remove an existing mark.
+   * Every player's score as it stands, stamped on each history entry so
+   * a replay can show what every step was worth.
    */
-  markPiece(player, gridIndex, markType) {
-    if (this.mode !== 'NEXUS') {
-      return { success: false, message: 'Marking is only available in Nexus mode' };
-    }
+  getScoreSnapshot() {
+    return this.forEachPlayer(player => this.scores[player].score);
+  }
 
-    const piece = this.grid[gridIndex];
-    if (!piece) {
-      return { success: false, message: 'No piece at this position' };
-    }
+  // Log a check, mark or resolve alongside the placements. Same entry
+  // shapes the server RPCs write (see the replay_history migration).
+  recordHistory(entry) {
+    this.moveHistory.push({
+      ...entry,
+      timestamp: Date.now(),
+      scores: this.getScoreSnapshot()
+    });
+  }
 
-    // Explicit removal (tap-toggle sends null to clear)
-    if (markType === null || markType === undefined) {
-      delete this.pieceMarks[gridIndex];
-      return { success: true, action: 'removed', gridIndex };
-    }
+  // =====================================================
+  // MODE PLUGIN — Simultaneous Play, Marking & End-Game
+  // =====================================================
 
-    const placedBy = this.piecePlacedBy[gridIndex];
+  isSimultaneous() {
+    return !!this.modeConfig?.features?.simultaneous;
+  }
 
-    if (markType === 'suspect') {
-      // Can only suspect opponent's pieces
-      if (placedBy === player) {
-        return { success: false, message: "You can't suspect your own piece" };
-      }
-    } else if (markType === 'confident') {
-      // Can only be confident about your own pieces
-      if (placedBy !== player) {
-        return { success: false, message: "You can only mark confidence on your own pieces" };
-      }
-    } else {
-      return { success: false, message: 'Invalid mark type' };
+  markPiece(player, gridIndex, markType) {
+    if (!this.modePlugin.onMark) {
+      return { success: false, message: 'Marking is only available in Nexus mode' };
     }
-
-    // Toggle: if same mark exists, remove it
-    const existing = this.pieceMarks[gridIndex];
-    if (existing && existing.marker === player && existing.type === markType) {
-      delete this.pieceMarks[gridIndex];
-      return { success: true, action: 'removed', gridIndex, markType };
+    const result = this.modePlugin.onMark(this, player, gridIndex, markType);
+    if (result.success) {
+      this.recordHistory({
+        type: 'mark',
+        player,
+        gridIndex,
+        markType: result.action === 'added' ? markType : null,
+        action: result.action
+      });
     }
-
-    this.pieceMarks[gridIndex] = { marker: player, type: markType };
-    return { success: true, action: 'added', gridIndex, markType };
+    return result;
   }
 
   /**
-   * Resolve the end-game for Nexus mode.
-   * Validates all pieces against their correct positions and calculates scores.
+   * Score everything the mode held back until the end (Nexus marks).
    */
-  resolveNexusEndGame() {
-    if (this.mode !== 'NEXUS') {
+  resolveEndGame() {
+    if (!this.modePlugin.resolveEndGame) {
       return { success: false, message: 'Not in Nexus mode' };
     }
-    if (this.nexusResolved) {
-      return { success: false, message: 'Game already resolved' };
-    }
-
-    this.nexusResolved = true;
-    const scoring = this.modeScoring;
-    const results = [];
-
-    // Score each placed piece
-    for (let i = 0; i < this.grid.length; i++) {
-      const piece = this.grid[i];
-      if (!piece) continue;
-
-      const placedBy = this.piecePlacedBy[i] || 'playerA';
-      const isCorrect = piece.correctPosition === i;
-      const mark = this.pieceMarks[i];
-
-      // Base placement score for the placer
-      const pts = isCorrect ? (scoring.correctPiece || 10) : (scoring.wrongPiece || -5);
-      this.scores[placedBy].score += pts;
-      if (isCorrect) {
-        this.scores[placedBy].correctPlacements++;
-      }
-      this.scores[placedBy].totalPlacements++;
-
-      const result = { gridIndex: i, pieceId: piece.id, placedBy, isCorrect, points: pts };
-
-      // Mark bonus/penalty
-      if (mark) {
-        let markPts = 0;
-        if (mark.type === 'suspect') {
-          markPts = isCorrect
-            ? (scoring.suspectCorrect || -3)   // false accusation
-            : (scoring.suspectWrong || 8);     // good detective work
-          this.scores[mark.marker].score += markPts;
-        } else if (mark.type === 'confident') {
-          markPts = isCorrect
-            ? (scoring.confidentCorrect || 5)  // correct confidence bonus
-            : (scoring.confidentWrong || -8);  // overconfidence penalty
-          this.scores[mark.marker].score += markPts;
-        }
-        result.mark = { ...mark, points: markPts };
-      }
-
-      results.push(result);
-    }
-
-    // Calculate accuracy
-    for (const player of ['playerA', 'playerB']) {
-      const s = this.scores[player];
-      s.accuracy = s.totalPlacements > 0
-        ? Math.round((s.correctPlacements / s.totalPlacements) * 100)
-        : 100;
+    const before = this.captureProgress();
+    const result = this.modePlugin.resolveEndGame(this);
+    if (result.success) {
+      this.recordHistory({ type: 'resolve' });
+      this.emitProgressEvents(before);
     }
-
-    // Sync revealed scores at end-game
-    this.syncRevealedScores();
-    this.gameState = 'finished';
-
-    return {
-      success: true,
-      results,
-      finalScores: { ...this.scores },
-      winner: this.getWinner()
-    };
+    return result;
   }
 
   updateScore(player, points, isCorrectPlacement) {
@@ -736,6 +835,12 @@ export class GameLogic {
       score.accuracy = score.totalPlacements > 0
         ? Math.round((score.correctPlacements / score.totalPlacements) * 100)
         : 100;
+
+      // 2v2: the streak is the team's, so partners build (and break) it together
+      const partner = this.getPartner(player);
+      if (partner) {
+        this.scores[partner].streak = score.streak;
+      }
     }
 
     // Apply mode-specific streak bonuses
@@ -767,8 +872,7 @@ export class GameLogic {
 
     let count = 0;
     for (const ni of neighbors) {
-      const piece = this.grid[ni];
-      if (piece && piece.correctPosition === ni) {
+      if (this.isPieceCorrectAt(this.grid[ni], ni)) {
         count++;
       }
     }
@@ -788,16 +892,14 @@ export class GameLogic {
     let rowComplete = true;
     for (let c = 0; c < gs; c++) {
       const idx = row * gs + c;
-      const p = this.grid[idx];
-      if (!p || p.correctPosition !== idx) { rowComplete = false; break; }
+      if (!this.isPieceCorrectAt(this.grid[idx], idx)) { rowComplete = false; break; }
     }
 
     // Check if entire column is correctly placed
     let colComplete = true;
     for (let r = 0; r < gs; r++) {
       const idx = r * gs + col;
-      const p = this.grid[idx];
-      if (!p || p.correctPosition !== idx) { colComplete = false; break; }
+      if (!this.isPieceCorrectAt(this.grid[idx], idx)) { colComplete = false; break; }
     }
 
     // Check if entire border is correctly placed
@@ -806,8 +908,7 @@ export class GameLogic {
       const r = Math.floor(i / gs);
       const c = i % gs;
       if (r === 0 || r === gs - 1 || c === 0 || c === gs - 1) {
-        const p = this.grid[i];
-        if (!p || p.correctPosition !== i) { borderComplete = false; break; }
+        if (!this.isPieceCorrectAt(this.grid[i], i)) { borderComplete = false; break; }
       }
     }
 
@@ -821,8 +922,7 @@ export class GameLogic {
     if (!piece) return 1.0;
     const diff = ADJACENCY_SCORING.difficulty;
     if (piece.edges) {
-      const edgeCount = [piece.edges.top, piece.edges.bottom, piece.edges.left, piece.edges.right]
-        .filter(Boolean).length;
+      const edgeCount = countFlatEdges(piece.edges);
       if (edgeCount >= 2) return diff.corner;
       if (edgeCount === 1) return diff.edge;
     } else if (piece.isEdge) {
@@ -840,7 +940,9 @@ export class GameLogic {
     const base = this.modeScoring.correctPiece || 10;
     const neighborCount = this.getAdjacentCorrectCount(gridIndex);
     const neighborBonus = adj.neighborBonus[neighborCount] || 0;
-    const difficultyMult = this.getPieceDifficultyMultiplier(piece);
+    // Rotatable pieces also had to be turned upright
+    const rotationMult = this.rotationEnabled ? ROTATION_CONFIG.SCORE_MULTIPLIER : 1.0;
+    const difficultyMult = this.getPieceDifficultyMultiplier(piece) * rotationMult;
 
     // Region completion
     const regions = this.checkRegionCompletion(gridIndex);
@@ -858,6 +960,7 @@ export class GameLogic {
       neighborCount,
       neighborBonus,
       difficultyMult,
+      rotationMult,
       regionBonus,
       regionBonuses,
       total,
@@ -871,26 +974,19 @@ export class GameLogic {
   }
 
   /**
-   * Consume one turn for the player. If they have turns remaining in
-   * a multi-turn mode, they keep playing. Otherwise, switch to the
-   * other player and reset both players' per-round counters.
+   * Consume one turn for the player. The mode decides whether they keep
+   * playing or the round passes to the opponent.
    */
   consumeTurn(player) {
-    const turnsPerRound = this.modeConfig?.features?.turnsPerRound ?? 1;
-
-    if (turnsPerRound !== Infinity && this.turnsRemaining[player] > 0) {
-      this.turnsRemaining[player]--;
-    }
-
-    // If the player has remaining turns, they keep playing (no switch)
-    if (turnsPerRound !== Infinity && this.turnsRemaining[player] > 0) {
-      this.isPlacementInProgress = false;
-      return;
-    }
+    this.modePlugin.onTurnEnd(this, player);
+  }
 
-    // Turns exhausted — switch to the other player and reset for next round
-    this.switchTurn();
-    this.resetTurnsForPlayer(player); // Reset the outgoing player for their next round
+  /**
+   * Checks the player may still spend on the opponent's current round.
+   */
+  getChecksLeft(player) {
+    const checksPerTurn = this.modeConfig?.features?.checksPerTurn ?? 1;
+    return this.checksRemaining?.[player] ?? checksPerTurn;
   }
 
   /**
@@ -904,8 +1000,19 @@ export class GameLogic {
     }
   }
 
+  // Anything left to place: a piece in the rack, or a pool to refill it from
+  hasPiecesToPlace(player) {
+    return this.countPoolPieces() > 0 || this.countRackPieces(player) > 0;
+  }
+
   switchTurn() {
-    this.currentTurn = this.currentTurn === 'playerA' ? 'playerB' : 'playerA';
+    // Pass over players with nothing left to place, so the game can't
+    // stall on an empty rack once the pool has run out
+    let next = this.getNextPlayer(this.currentTurn);
+    for (let i = 1; i < this.players.length && !this.hasPiecesToPlace(next); i++) {
+      next = this.getNextPlayer(next);
+    }
+    this.currentTurn = next;
 
     // Release placement lock
     this.isPlacementInProgress = false;
@@ -914,7 +1021,7 @@ export class GameLogic {
     const checksPerTurn = this.modeConfig?.features?.checksPerTurn ?? 1;
     this.checksRemaining[this.currentTurn] = checksPerTurn;
 
-    const rack = this.currentTurn === 'playerA' ? this.playerARack : this.playerBRack;
+    const rack = this.getRack(this.currentTurn);
     const hasNoPieces = !rack || rack.length === 0 || rack.every(p => p == null);
 
     if (hasNoPieces && this.piecePool.length > 0) {
@@ -923,24 +1030,12 @@ export class GameLogic {
   }
 
   isGameComplete() {
-    // Use loose equality (!=) to catch both null and undefined
-    const allPlaced = this.grid.every(cell => cell != null);
-    const noMorePieces = this.piecePool.length === 0 &&
-      this.playerARack.every(p => p == null) &&
-      this.playerBRack.every(p => p == null);
-
-    return allPlaced || noMorePieces;
+    return this.modePlugin.isComplete(this);
   }
 
   getWinner() {
     if (!this.isGameComplete()) return null;
-
-    const scoreA = this.scores.playerA.score;
-    const scoreB = this.scores.playerB.score;
-
-    if (scoreA > scoreB) return 'playerA';
-    if (scoreB > scoreA) return 'playerB';
-    return 'tie';
+    return this.modePlugin.getWinner(this);
   }
 
   resetTurnsForPlayer(player) {
@@ -962,8 +1057,8 @@ export class GameLogic {
     }
 
     // Get hint information based on type
-    const rack = player === 'playerA' ? this.playerARack : this.playerBRack;
-    const availablePieces = rack.filter(p => p !== null);
+    const rack = this.getRack(player);
+    const availablePieces = rack.filter(p => p != null);
 
     if (availablePieces.length === 0) {
       return { success: false, message: 'No pieces available for hint' };
@@ -983,20 +1078,19 @@ export class GameLogic {
 
     switch (hintType) {
       case 'position': {
-        const hintPiece = availablePieces[Math.floor(Math.random() * availablePieces.length)];
+        const hintPiece = availablePieces[Math.floor(this.hintRng() * availablePieces.length)];
         hintInfo = {
           type: 'position',
           pieceId: hintPiece.id,
-          correctPosition: hintPiece.correctPosition
+          correctPosition: hintPiece.correctPosition,
+          ...this.getRotationHint(hintPiece)
         };
         break;
       }
       case 'edge': {
         const edgePieces = availablePieces.filter((p) => {
-          const edges = p.edges || {};
-          const edgeCount = [edges.top, edges.right, edges.bottom, edges.left].filter(Boolean).length;
-          // Edge hints should exclude corner pieces (which have 2 edges).
-          return p.isEdge && edgeCount === 1;
+          // Edge hints should exclude corner pieces (which have 2 flat edges).
+          return p.isEdge && countFlatEdges(p.edges) === 1;
         });
         hintInfo = {
           type: 'edge',
@@ -1005,11 +1099,7 @@ export class GameLogic {
         break;
       }
       case 'corner': {
-        const cornerPieces = availablePieces.filter(p => {
-          const edges = p.edges || {};
-          return (edges.top && edges.left) || (edges.top && edges.right) ||
-            (edges.bottom && edges.left) || (edges.bottom && edges.right);
-        });
+        const cornerPieces = availablePieces.filter(p => countFlatEdges(p.edges) >= 2);
         hintInfo = {
           type: 'corner',
           cornerPieceIds: cornerPieces.map(p => p.id)
@@ -1017,12 +1107,13 @@ export class GameLogic {
         break;
       }
       case 'region': {
-        const hintPiece = availablePieces[Math.floor(Math.random() * availablePieces.length)];
+        const hintPiece = availablePieces[Math.floor(this.hintRng() * availablePieces.length)];
         const correctRow = Math.floor(hintPiece.correctPosition / this.gridSize);
         const correctCol = hintPiece.correctPosition % this.gridSize;
         hintInfo = {
           type: 'region',
           pieceId: hintPiece.id,
+          ...this.getRotationHint(hintPiece),
           region: {
             rowStart: Math.max(0, correctRow - 1),
             rowEnd: Math.min(this.gridSize - 1, correctRow + 1),
@@ -1044,9 +1135,18 @@ export class GameLogic {
     };
   }
 
+  /**
+   * Clockwise turn still needed to bring a piece upright, for hints.
+   * Empty when rotation is off so hint payloads stay unchanged.
+   */
+  getRotationHint(piece) {
+    if (!this.rotationEnabled) return {};
+    return { rotateBy: (360 - this.getPieceRotation(piece.id)) % 360 };
+  }
+
   getHint(player) {
-    const rack = player === 'playerA' ? this.playerARack : this.playerBRack;
-    const availablePieces = rack.filter(p => p !== null);
+    const rack = this.getRack(player);
+    const availablePieces = rack.filter(p => p != null);
 
     if (availablePieces.length === 0) return null;
 
@@ -1057,28 +1157,26 @@ export class GameLogic {
     };
   }
 
+  // The rack of the player who goes next
   peekOpponentRack(player) {
-    const opponentRack = player === 'playerA' ? this.playerBRack : this.playerARack;
-    return [...opponentRack];
+    return [...this.getRack(this.getNextPlayer(player))];
   }
 
   getGameState() {
     // Deep-copy scores to prevent external mutation
-    const scoresCopy = {
-      playerA: { ...this.scores.playerA },
-      playerB: { ...this.scores.playerB }
-    };
+    const scoresCopy = this.forEachPlayer(player => ({ ...this.scores[player] }));
     return {
+      players: [...this.players],
+      teams: this.teams,
+      teamScores: this.getTeamScores(),
       grid: [...this.grid],
       currentTurn: this.currentTurn,
       scores: scoresCopy,
-      revealedScores: {
-        playerA: { ...this.revealedScores.playerA },
-        playerB: { ...this.revealedScores.playerB }
-      },
+      revealedScores: this.forEachPlayer(player => ({ ...this.revealedScores[player] })),
+      racks: this.forEachPlayer(player => [...this.getRack(player)]),
       playerARack: [...this.playerARack],
       playerBRack: [...this.playerBRack],
-      piecePoolCount: this.piecePool.length,
+      piecePoolCount: this.countPoolPieces(),
       gameState: this.gameState,
       isComplete: this.isGameComplete(),
       winner: this.getWinner(),
@@ -1092,15 +1190,45 @@ export class GameLogic {
       // Nexus mode state
       piecePlacedBy: { ...this.piecePlacedBy },
       pieceMarks: { ...this.pieceMarks },
-      nexusResolved: this.nexusResolved
+      nexusResolved: this.nexusResolved,
+      rotationEnabled: this.rotationEnabled,
+      pieceRotations: { ...this.pieceRotations }
     };
   }
 
+  /**
+   * Grid cell as stored and broadcast: ids only, plus the rotation it was
+   * placed with when rotation is on.
+   */
+  toGridCell(piece) {
+    if (!piece) return null;
+    const cell = { id: piece.id, correctPosition: piece.correctPosition };
+    if (this.rotationEnabled) cell.rotation = this.getPieceRotation(piece.id);
+    return cell;
+  }
+
+  /**
+   * Racks of the seats past playerB, keyed by seat ({} in two-player games).
+   */
+  exportExtraRacks() {
+    return Object.fromEntries(this.players
+      .filter(player => player !== 'playerA' && player !== 'playerB')
+      .map(player => [player, (this.racks[player] || []).map(p => p ? p.id : null)]));
+  }
+
   exportForDatabase() {
+    // Only 3-4 player games write the seat columns, so two-player saves
+    // still work against databases without them
+    const seats = this.players.length > 2
+      ? { players: this.players, extra_racks: this.exportExtraRacks() }
+      : {};
+    if (this.teams) seats.teams = this.teams;
+
     return {
-      grid: this.grid.map(p => p ? { id: p.id, correctPosition: p.correctPosition } : null),
+      grid: this.grid.map(p => this.toGridCell(p)),
       player_a_rack: this.playerARack.map(p => p ? p.id : null),
       player_b_rack: this.playerBRack.map(p => p ? p.id : null),
+      ...seats,
       piece_pool: this.piecePool.map(p => p.id),
       current_turn: this.currentTurn,
       timer_remaining: this.timerRemaining,
@@ -1109,6 +1237,7 @@ export class GameLogic {
       scores: this.scores,
       turns_remaining: this.turnsRemaining,
       checks_remaining: this.checksRemaining,
+      rotation_enabled: this.rotationEnabled,
       // NOTE: gameplay_mode is only set during initializeGameState, not on updates
       // NOTE: 'pieces' exists but we don't update it after initialization
       // NOTE: 'awaiting_decision' is set separately in makeMove/respondToCheck
@@ -1138,6 +1267,8 @@ export class GameLogic {
       return;
     }
 
+    const before = this.captureProgress();
+
     // Use this.pieces for lookups (which now has imageData)
     const piecesArray = this.pieces;
 
@@ -1163,28 +1294,47 @@ export class GameLogic {
       return null;
     };
 
+    const importedRotation = data.rotation_enabled ?? data.rotationEnabled;
+    if (typeof importedRotation === 'boolean' && importedRotation !== this.rotationEnabled) {
+      this.rotationEnabled = importedRotation;
+      this.pieceRotations = importedRotation ? this.dealRotations() : {};
+    }
+
     // Import grid using helper
     const gridData = data.grid;
     if (Array.isArray(gridData)) {
+      // Placed pieces carry the rotation they went down with; rack rotations stay local
+      gridData.forEach((cell) => {
+        if (cell && typeof cell === 'object' && typeof cell.rotation === 'number') {
+          this.pieceRotations[cell.id] = cell.rotation;
+        }
+      });
       this.grid = gridData.map((cell) => getPieceFromIdOrObject(cell));
     } else {
       this.grid = Array(this.totalPieces).fill(null);
     }
 
-    this.nextCheckRevealProgress = typeof data.nextCheckRevealProgress === 'number'
-      ? data.nextCheckRevealProgress
+    const importedProgress = data.nextCheckRevealProgress ?? data.next_check_reveal_progress;
+    this.nextCheckRevealProgress = importedProgress != null && !Number.isNaN(Number(importedProgress))
+      ? Number(importedProgress)
       : this.calculateNextCheckRevealProgress();
 
-    // Import racks using helper
-    const playerARackData = data.player_a_rack || data.playerARack || [];
-    this.playerARack = Array.isArray(playerARackData)
-      ? playerARackData.map(item => getPieceFromIdOrObject(item))
-      : [];
+    // Seats in play; older rows and broadcasts have none and are two-player
+    if (Array.isArray(data.players) && data.players.length >= 2) {
+      this.players = [...data.players];
+    }
+    if (data.teams !== undefined) {
+      this.teams = data.teams || null;
+    }
 
-    const playerBRackData = data.player_b_rack || data.playerBRack || [];
-    this.playerBRack = Array.isArray(playerBRackData)
-      ? playerBRackData.map(item => getPieceFromIdOrObject(item))
-      : [];
+    // Import racks using helper. playerA/playerB have their own columns,
+    // later seats come from extra_racks (or playerCRack etc. when broadcast).
+    const extraRacks = data.extra_racks || data.extraRacks || {};
+    this.racks = this.forEachPlayer((player) => {
+      const column = `player_${player.slice(-1).toLowerCase()}_rack`;
+      const rackData = data[column] || data[`${player}Rack`] || extraRacks[player] || [];
+      return Array.isArray(rackData) ? rackData.map(item => getPieceFromIdOrObject(item)) : [];
+    });
 
     // Import piece pool using helper
     const piecePoolData = data.piece_pool || data.piecePool || [];
@@ -1192,6 +1342,16 @@ export class GameLogic {
       ? piecePoolData.map(item => getPieceFromIdOrObject(item)).filter(Boolean)
       : [];
 
+    // A server view (get_game_state, the move RPCs) lists only the racks
+    // this player may see and counts the rest and the pool
+    const rackCounts = data.rackCounts;
+    this.hiddenCounts = rackCounts ? {
+      pool: data.piecePoolCount ?? 0,
+      racks: Object.fromEntries(this.players
+        .filter(player => !Array.isArray(data[`${player}Rack`]) && rackCounts[player] !== undefined)
+        .map(player => [player, rackCounts[player]]))
+    } : null;
+
     console.log('Piece pool import:', {
       piecePoolDataLength: piecePoolData.length,
       reconstructedPoolLength: this.piecePool.length,
@@ -1204,21 +1364,17 @@ export class GameLogic {
     // Safely merge imported scores with defaults
     const defaultScore = { score: 0, accuracy: 100, streak: 0, correctPlacements: 0, totalPlacements: 0, hintsUsed: 0 };
     const imported = data.scores || {};
-    this.scores = {
-      playerA: { ...defaultScore, ...(imported.playerA || {}) },
-      playerB: { ...defaultScore, ...(imported.playerB || {}) }
-    };
+    this.scores = this.forEachPlayer(player => ({ ...defaultScore, ...(imported[player] || {}) }));
 
     // Import revealed scores (milestone-gated UI scores)
     const defaultRevealed = { score: 0, accuracy: 100, streak: 0 };
     const importedRevealed = data.revealedScores || data.revealed_scores || {};
-    this.revealedScores = {
-      playerA: { ...defaultRevealed, ...(importedRevealed.playerA || {}) },
-      playerB: { ...defaultRevealed, ...(importedRevealed.playerB || {}) }
-    };
+    this.revealedScores = this.forEachPlayer(player => ({ ...defaultRevealed, ...(importedRevealed[player] || {}) }));
 
     this.gameState = data.game_state || data.gameState || 'active';
     this.pendingCheck = data.pending_check || data.pendingCheck || null;
+    // An unanswered placement keeps the placer locked, as placePiece left it
+    this.isPlacementInProgress = !!this.pendingCheck;
     this.moveHistory = data.move_history || data.moveHistory || [];
 
     // Import mode data
@@ -1227,6 +1383,7 @@ export class GameLogic {
       this.mode = importedMode;
       this.modeConfig = importedGetModeConfig(importedMode);
       this.modeScoring = importedGetModeScoring(importedMode);
+      this.modePlugin = getModePlugin(importedMode);
     }
     if (data.turns_remaining || data.turnsRemaining) {
       this.turnsRemaining = data.turns_remaining || data.turnsRemaining;
@@ -1240,11 +1397,17 @@ export class GameLogic {
     this.pieceMarks = data.pieceMarks || data.piece_marks || {};
     this.nexusResolved = data.nexusResolved || data.nexus_resolved || false;
 
+    if (typeof data.version === 'number') {
+      this.stateVersion = data.version;
+    }
+
+    this.emitProgressEvents(before);
+
     console.log('importGameState complete:', {
       gridLength: this.grid.length,
       gridPlaced: this.grid.filter(p => p !== null).length,
-      playerARackLength: this.playerARack.filter(p => p !== null).length,
-      playerBRackLength: this.playerBRack.filter(p => p !== null).length,
+      players: this.players,
+      rackLengths: this.forEachPlayer(player => this.getRack(player).filter(p => p !== null).length),
       piecePoolLength: this.piecePool.length,
       currentTurn: this.currentTurn,
       pendingCheck: this.pendingCheck,
@@ -1253,7 +1416,28 @@ export class GameLogic {
   }
 }
 
+// =====================================================
+// SEEDED PUZZLE - Rebuild a game from {image, gridSize, seed}
+// =====================================================
+
+/**
+ * Cut and deal a puzzle deterministically. Host, guest, replays and tests
+ * all go through here so the same recipe yields the same pieces, shapes
+ * and opening racks.
+ */
+export async function buildSeededPuzzle(imageSource, gridSize, seed, mode = 'CLASSIC', options = {}) {
+  const processor = new ImageProcessor(imageSource, gridSize, seed);
+  await processor.loadImage();
+  const sliced = await processor.sliceImage();
+
+  const gameLogic = new GameLogic(sliced.gridDimensions.totalPieces, sliced.pieces, mode, seed, options);
+  gameLogic.initialize();
+
+  return { ...sliced, gameLogic };
+}
+
 export default {
   ImageProcessor,
-  GameLogic
+  GameLogic,
+  buildSeededPuzzle
 };
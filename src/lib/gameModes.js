@@ -11,8 +11,7 @@ export const GAME_MODES = {
       checksPerTurn: 1
     },
     multiplayer: true,
-    available: false,
-    comingSoon: true
+    available: true
   },
   SUPER: {
     id: 'SUPER',
@@ -26,8 +25,7 @@ export const GAME_MODES = {
       checksPerTurn: 1
     },
     multiplayer: true,
-    available: false,
-    comingSoon: true
+    available: true
   },
   SAGE: {
     id: 'SAGE',
@@ -41,8 +39,7 @@ export const GAME_MODES = {
       checksPerTurn: 2
     },
     multiplayer: true,
-    available: false,
-    comingSoon: true
+    available: true
   },
   NEXUS: {
     id: 'NEXUS',
@@ -53,7 +50,8 @@ export const GAME_MODES = {
       turns: 'simultaneous',
       check: 'endgame',
       turnsPerRound: Infinity,
-      checksPerTurn: 0
+      checksPerTurn: 0,
+      simultaneous: true
     },
     multiplayer: true,
     available: true
@@ -61,17 +59,19 @@ export const GAME_MODES = {
   SAVANT: {
     id: 'SAVANT',
     name: 'Savant Mode',
-    description: 'Infinite turns, most correct pieces wins',
+    description: 'Free-for-all — both place at once, most correct pieces wins',
     icon: '🌟',
     features: {
       turns: 'infinite',
       check: 'none',
       turnsPerRound: Infinity,
-      checksPerTurn: 0
+      checksPerTurn: 0,
+      simultaneous: true,
+      // Placements are verified instantly; wrong pieces bounce back to the rack
+      returnsWrongPieces: true
     },
     multiplayer: true,
-    available: false,
-    comingSoon: true
+    available: true
   },
   SINGLE_PLAYER: {
     id: 'SINGLE_PLAYER',
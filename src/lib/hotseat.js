@@ -0,0 +1,234 @@
+// =====================================================
+// HOTSEAT - Pass-and-play on one device
+// =====================================================
+//
+// Two players share one screen and one GameLogic; nothing goes over the
+// network. The session knows who holds the device (activeSeat) and
+// raises a handover whenever it has to change hands, so the screen can
+// hide the racks until the next player has taken over.
+//
+// Who holds the device:
+//   - a pending check: the player who checks it
+//   - turn-based modes: whoever's turn it is
+//   - simultaneous modes (Nexus, Savant, Co-op): the players take turns,
+//     one placement each
+
+import { GameLogic } from './gameLogic.js';
+import { getSeats, getSeatLabel } from './gameConfig.js';
+
+export const HOTSEAT_CONFIG = {
+  PLAYERS: 2,
+  // Same clock as an online match: (gridSize + 2) minutes
+  TIME_PER_ROW: 60,
+  EXTRA_TIME: 120
+};
+
+export const getHotseatTimeLimit = (gridSize) =>
+  gridSize * HOTSEAT_CONFIG.TIME_PER_ROW + HOTSEAT_CONFIG.EXTRA_TIME;
+
+export class HotseatSession {
+  /**
+   * @param {Object} options
+   * @param {Array} options.pieces - Pieces from ImageProcessor.sliceImage
+   * @param {string} options.mode - A two-player GAME_MODES id
+   * @param {number} options.seed - The seed the pieces were cut with
+   * @param {boolean} [options.rotation]
+   * @param {number} [options.timeLimit] - Seconds; defaults to getHotseatTimeLimit
+   * @param {Object} [options.names] - { playerA, playerB } display names
+   */
+  constructor({ pieces, mode = 'CLASSIC', seed, rotation = false, timeLimit, names = {} }) {
+    this.gameLogic = new GameLogic(pieces.length, pieces, mode, seed, {
+      players: HOTSEAT_CONFIG.PLAYERS,
+      rotation
+    });
+    this.gameLogic.initialize();
+    this.gameLogic.timerRemaining = timeLimit ?? getHotseatTimeLimit(this.gameLogic.gridSize);
+
+    this.names = Object.fromEntries(getSeats(HOTSEAT_CONFIG.PLAYERS).map(seat => [
+      seat,
+      names[seat]?.trim() || getSeatLabel(seat)
+    ]));
+    this.activeSeat = this.gameLogic.currentTurn;
+    // The first player still has to pick the device up
+    this.handoverPending = true;
+    this.timedOut = false;
+
+    this.onChange = null;
+  }
+
+  get features() {
+    return this.gameLogic.modeConfig.features;
+  }
+
+  // A shared rack has nothing to hide, so the device changes hands without a break
+  get hidesRacks() {
+    return !this.features.sharedRack;
+  }
+
+  isOver() {
+    return this.timedOut || this.gameLogic.nexusResolved || this.gameLogic.isGameComplete();
+  }
+
+  /**
+   * The winning seat, 'tie', or COOP_RESULT once the game is over. A
+   * timeout is scored as the board stands.
+   */
+  getWinner() {
+    if (!this.isOver()) return null;
+    return this.gameLogic.modePlugin.getWinner(this.gameLogic);
+  }
+
+  getState() {
+    return {
+      ...this.gameLogic.getGameState(),
+      activeSeat: this.activeSeat,
+      handoverPending: this.handoverPending,
+      names: { ...this.names },
+      isOver: this.isOver(),
+      hotseatWinner: this.getWinner()
+    };
+  }
+
+  emitChange() {
+    if (this.onChange) {
+      this.onChange(this.getState());
+    }
+  }
+
+  // The next player has the device; show them their rack
+  takeOver() {
+    this.handoverPending = false;
+    this.emitChange();
+  }
+
+  hasPieces(seat) {
+    return this.gameLogic.getRack(seat).some(p => p != null);
+  }
+
+  // Whoever the rules say acts next (simultaneous modes: whoever holds the device)
+  getSeatToAct() {
+    const gl = this.gameLogic;
+    if (gl.pendingCheck) return gl.getNextPlayer(gl.pendingCheck.player);
+    if (gl.isSimultaneous()) return this.activeSeat;
+    return gl.currentTurn;
+  }
+
+  /**
+   * Move the device on after an action by `holder`. In simultaneous modes
+   * a player with nothing left to place is skipped; turn-based modes pass
+   * the turn on from an empty rack themselves.
+   */
+  advance(holder = this.activeSeat) {
+    const gl = this.gameLogic;
+
+    if (gl.isSimultaneous() && !this.isOver() && !this.hasPieces(this.activeSeat)) {
+      this.activeSeat = gl.getNextPlayer(this.activeSeat);
+    }
+
+    // Nexus only scores at the reveal, so a finished board reveals itself
+    if (gl.isGameComplete() && gl.modePlugin.resolveEndGame && !gl.nexusResolved) {
+      gl.resolveEndGame();
+    }
+
+    this.activeSeat = this.getSeatToAct();
+    if (!this.isOver() && this.activeSeat !== holder) {
+      this.handoverPending = this.hidesRacks;
+    }
+    this.emitChange();
+  }
+
+  canAct() {
+    return !this.handoverPending && !this.isOver();
+  }
+
+  placePiece(pieceId, gridIndex) {
+    if (!this.canAct()) return { success: false, message: 'Hand the device over first' };
+
+    const gl = this.gameLogic;
+    const holder = this.activeSeat;
+    const result = gl.placePiece(holder, pieceId, gridIndex);
+    if (!result.success) return result;
+
+    // Simultaneous modes: one placement each, then the other player's go
+    if (gl.isSimultaneous()) {
+      this.activeSeat = gl.getNextPlayer(holder);
+    }
+    this.advance(holder);
+    return result;
+  }
+
+  respondToCheck(decision) {
+    if (!this.canAct()) return { success: false, message: 'Hand the device over first' };
+
+    const result = this.gameLogic.handleOpponentCheck(this.activeSeat, decision);
+    if (result.success) this.advance();
+    return result;
+  }
+
+  // Nexus: marks don't use up the turn
+  markPiece(gridIndex, markType) {
+    if (!this.canAct()) return { success: false, message: 'Hand the device over first' };
+
+    const result = this.gameLogic.markPiece(this.activeSeat, gridIndex, markType);
+    if (result.success) this.emitChange();
+    return result;
+  }
+
+  // Simultaneous modes: hand over without placing (e.g. after only marking)
+  endTurn() {
+    const gl = this.gameLogic;
+    if (!this.canAct() || !gl.isSimultaneous()) {
+      return { success: false, message: 'Only simultaneous modes can end a turn early' };
+    }
+    const holder = this.activeSeat;
+    const other = gl.getNextPlayer(holder);
+    if (!this.hasPieces(other)) {
+      return { success: false, message: `${this.names[other]} has no pieces left to place` };
+    }
+
+    this.activeSeat = other;
+    this.advance(holder);
+    return { success: true };
+  }
+
+  resolveEndGame() {
+    const result = this.gameLogic.resolveEndGame();
+    if (result.success) this.emitChange();
+    return result;
+  }
+
+  // Rotation only touches the active player's rack
+  rotatePiece(pieceId, steps) {
+    if (!this.canAct()) return { success: false, message: 'Hand the device over first' };
+
+    const result = this.gameLogic.rotatePiece(this.activeSeat, pieceId, steps);
+    if (result.success) this.emitChange();
+    return result;
+  }
+
+  useHint(hintType) {
+    if (!this.canAct()) return { success: false, message: 'Hand the device over first' };
+
+    const result = this.gameLogic.useHint(this.activeSeat, hintType);
+    if (result.success) this.emitChange();
+    return result;
+  }
+
+  /**
+   * Run the shared clock. It stands still while the device changes
+   * hands. Nexus scores the board when time runs out.
+   */
+  tick(seconds = 1) {
+    if (this.handoverPending || this.isOver()) return;
+
+    const gl = this.gameLogic;
+    gl.timerRemaining = Math.max(0, gl.timerRemaining - seconds);
+    if (gl.timerRemaining === 0) {
+      this.timedOut = true;
+      if (gl.modePlugin.resolveEndGame && !gl.nexusResolved) {
+        gl.resolveEndGame();
+      }
+    }
+    this.emitChange();
+  }
+}
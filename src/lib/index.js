@@ -1,4 +1,16 @@
-export { ImageProcessor, GameLogic } from './gameLogic';
-export { MultiplayerGameHost, MultiplayerGameGuest } from './multiplayer';
+export { ImageProcessor, GameLogic, buildSeededPuzzle } from './gameLogic';
+export { MultiplayerGameHost, MultiplayerGameGuest, MultiplayerGameSpectator } from './multiplayer';
+export { TRANSPORT_CONFIG, LOCAL_CONFIG, isLocalMultiplayer, getDefaultTransport, setDefaultTransport, createLocalTransport, createLocalUser, LocalChannel, createMemoryBus, createBroadcastChannelBus, createMemoryStore, createBrowserStore } from './transports';
 export { GAME_MODES, MODE_SCORING, getModeConfig, getModeScoring, getAvailableModes, isModeMultiplayer } from './gameModes';
-export { VISUAL_CONFIG, HINT_CONFIG, ACCESSIBILITY_DEFAULTS } from './gameConfig';
+export { registerMode, defineMode, getModePlugin, getRegisteredModes, COOP_RESULT, getCoopStats } from './modes';
+export { VISUAL_CONFIG, HINT_CONFIG, ACCESSIBILITY_DEFAULTS, ROTATION_CONFIG, PLAYER_CONFIG, getSeats, getNextSeat, getSeatLabel, listSeatNames, TEAM_CONFIG, getSeatTeam, getTeamLabel, GAME_EVENTS } from './gameConfig';
+export { buildReplayFrames, describeHistoryEntry, loadReplay, getMessagesAtStep } from './replay';
+export { createRng, randomSeed, deriveSeed, shuffle } from './prng';
+export { PIECE_PADDING_RATIO, generateEdgeProfiles, getPieceEdges, tracePieceOutline, countFlatEdges } from './pieceShapes';
+export { QuickMatch, MATCH_STATUS, MATCHMAKING_CONFIG } from './matchmaking';
+export { HotseatSession, HOTSEAT_CONFIG, getHotseatTimeLimit } from './hotseat';
+export { CHAT_CONFIG, QUICK_EMOTES, getEmote, filterProfanity, cleanMessage, RateLimiter, toChatMessage } from './chat';
+export { DAILY_CONFIG, getDailyKey, shiftDay, pickDailyPuzzle, computeDailyStreak, buildStreakCalendar } from './daily';
+export { TOURNAMENT_FORMATS, TOURNAMENT_CONFIG, getRoundCount, getBracketOrder, pairEliminationFirstRound, pairEliminationNextRound, pairSwissRound, getStandings, isRoundComplete, pairNextRound, getOpenMatch } from './tournament';
+export { ACHIEVEMENTS, getAchievement, matchesAchievement, evaluateAchievements, AchievementTracker } from './achievements';
+export { PROFILE_CONFIG, getGameSeats, getGameResult, getOpponents, buildTrends, getFavouritePuzzles, getHeadToHead } from './profile';
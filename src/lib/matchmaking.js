@@ -0,0 +1,271 @@
+// =====================================================
+// QUICK MATCH - Matchmaking queue flow
+// =====================================================
+//
+// Polls the matchmaking queue until find_match pairs us with a player of
+// similar rating. The player whose poll made the pair hosts: it builds the
+// game from a random library image and hands the game over through the
+// queue. The other player joins it like any guest. Either way the caller
+// gets back a connected MultiplayerGameHost/Guest, ready for gameplay.
+
+import { gameService, matchmakingService } from '../services';
+import { MultiplayerGameHost, MultiplayerGameGuest } from './multiplayer';
+
+export const MATCHMAKING_CONFIG = {
+  POLL_INTERVAL: 3000,
+  // How long the host waits for the guest to connect to the new game
+  JOIN_TIMEOUT: 45000
+};
+
+export const MATCH_STATUS = {
+  IDLE: 'idle',
+  SEARCHING: 'searching',
+  MATCHED: 'matched',
+  CREATING: 'creating',
+  WAITING_FOR_OPPONENT: 'waiting_for_opponent',
+  JOINING: 'joining',
+  READY: 'ready',
+  TIMED_OUT: 'timed_out',
+  CANCELLED: 'cancelled'
+};
+
+async function fetchImageFile(image) {
+  const response = await fetch(image.url);
+  if (!response.ok) {
+    throw new Error('Failed to load puzzle image');
+  }
+  const blob = await response.blob();
+  return new File([blob], `${image.name || 'quick-match'}.jpg`, { type: blob.type || 'image/jpeg' });
+}
+
+export class QuickMatch {
+  /**
+   * @param {Object} options
+   * @param {Array} options.images - Library images ({ name, url }) the host picks from
+   */
+  constructor(options = {}) {
+    this.images = options.images || [];
+    this.pollInterval = options.pollInterval ?? MATCHMAKING_CONFIG.POLL_INTERVAL;
+    this.joinTimeout = options.joinTimeout ?? MATCHMAKING_CONFIG.JOIN_TIMEOUT;
+    this.status = MATCH_STATUS.IDLE;
+    this.entry = null;
+    this.session = null;
+    this.cancelled = false;
+    this.pollTimer = null;
+    this.wake = null;
+  }
+
+  setStatus(status, entry = this.entry) {
+    this.status = status;
+    this.entry = entry;
+    if (this.onStatusChange) {
+      this.onStatusChange(status, entry);
+    }
+  }
+
+  /**
+   * Search until a game is up and both players are in it.
+   * Resolves { role, session, result, opponentName }, or null when the
+   * search was cancelled or ran out of time.
+   */
+  async start({ mode = 'CLASSIC', gridSize = 10, playerName } = {}) {
+    if (this.images.length === 0) {
+      throw new Error('No library images to build a match from');
+    }
+
+    this.preferences = { mode, gridSize, playerName };
+    this.cancelled = false;
+
+    try {
+      while (!this.cancelled) {
+        const entry = await this.waitForMatch();
+        if (!entry) return null;
+
+        const match = entry.role === 'host'
+          ? await this.hostMatch(entry)
+          : await this.joinMatch(entry);
+        if (match) return match;
+
+        // Pairing fell through: back into the queue
+        console.log('Quick match fell through, searching again');
+      }
+      return null;
+    } catch (error) {
+      console.error('Quick match failed:', error);
+      await this.leaveQueue();
+      if (this.session) {
+        await this.session.disconnect();
+        this.session = null;
+      }
+      throw error;
+    }
+  }
+
+  async cancel() {
+    this.cancelled = true;
+    this.stopWaiting();
+    await this.leaveQueue();
+    this.setStatus(MATCH_STATUS.CANCELLED);
+  }
+
+  // Poll find_match until we host a pairing or our host has a game for us
+  async waitForMatch() {
+    const { mode, gridSize, playerName } = this.preferences;
+
+    while (!this.cancelled) {
+      const entry = await matchmakingService.findMatch(mode, gridSize, playerName);
+      if (this.cancelled) {
+        // The poll may have landed after cancel() left the queue
+        await this.leaveQueue();
+        return null;
+      }
+
+      if (entry.status === 'expired') {
+        this.setStatus(MATCH_STATUS.TIMED_OUT, null);
+        return null;
+      }
+
+      if (entry.status === 'matched') {
+        this.setStatus(MATCH_STATUS.MATCHED, entry);
+        if (entry.role === 'host' || entry.game_code) return entry;
+      } else if (this.status !== MATCH_STATUS.SEARCHING) {
+        this.setStatus(MATCH_STATUS.SEARCHING, entry);
+      }
+
+      await this.wait(this.pollInterval);
+    }
+    return null;
+  }
+
+  async hostMatch(entry) {
+    const { mode, gridSize } = this.preferences;
+    this.setStatus(MATCH_STATUS.CREATING, entry);
+
+    const image = this.images[Math.floor(Math.random() * this.images.length)];
+    const imageFile = await fetchImageFile(image);
+
+    const host = new MultiplayerGameHost();
+    this.session = host;
+    const result = await host.createGame(imageFile, {
+      gridSize,
+      timeLimit: (gridSize + 2) * 60,
+      mode
+    });
+
+    if (this.cancelled) {
+      await this.abandonGame(result.gameId);
+      return null;
+    }
+
+    try {
+      await matchmakingService.setMatchGame(result.gameId);
+    } catch (error) {
+      // Usually the other player cancelled while we were creating
+      console.warn('Could not hand the game to the opponent:', error);
+      await this.abandonGame(result.gameId);
+      return null;
+    }
+
+    this.setStatus(MATCH_STATUS.WAITING_FOR_OPPONENT, entry);
+    const joined = await this.waitForOpponent(host);
+
+    // Our queue entry has done its job either way
+    await this.leaveQueue();
+
+    if (!joined) {
+      await this.abandonGame(result.gameId);
+      return null;
+    }
+
+    this.session = null;
+    this.setStatus(MATCH_STATUS.READY, entry);
+    return { role: 'host', session: host, result, opponentName: entry.opponent_name };
+  }
+
+  async joinMatch(entry) {
+    this.setStatus(MATCH_STATUS.JOINING, entry);
+
+    const guest = new MultiplayerGameGuest();
+    this.session = guest;
+
+    let result;
+    try {
+      result = await guest.joinGame(entry.game_code);
+    } catch (error) {
+      // Host gave up on the game before we got in
+      console.warn('Could not join quick match game:', error);
+      this.session = null;
+      await this.leaveQueue();
+      return null;
+    }
+
+    await this.leaveQueue();
+
+    if (this.cancelled) {
+      await guest.disconnect();
+      this.session = null;
+      return null;
+    }
+
+    this.session = null;
+    this.setStatus(MATCH_STATUS.READY, entry);
+    return { role: 'guest', session: guest, result, opponentName: entry.opponent_name };
+  }
+
+  // Resolves true once the guest is in, false on timeout or cancel
+  waitForOpponent(host) {
+    return new Promise((resolve) => {
+      const finish = (joined) => {
+        clearTimeout(timeout);
+        host.onOpponentJoin = null;
+        host.onGameUpdate = null;
+        this.wake = null;
+        resolve(joined);
+      };
+
+      const timeout = setTimeout(() => finish(false), this.joinTimeout);
+      this.wake = () => finish(false);
+
+      host.onOpponentJoin = () => finish(true);
+      host.onGameUpdate = (game) => {
+        if (game.status === 'active' && game.player_b_id) finish(true);
+      };
+    });
+  }
+
+  wait(ms) {
+    return new Promise((resolve) => {
+      this.pollTimer = setTimeout(() => {
+        this.wake = null;
+        resolve();
+      }, ms);
+      this.wake = resolve;
+    });
+  }
+
+  stopWaiting() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    if (this.wake) {
+      const wake = this.wake;
+      this.wake = null;
+      wake();
+    }
+  }
+
+  async abandonGame(gameId) {
+    if (this.session) {
+      await this.session.disconnect();
+      this.session = null;
+    }
+    await gameService.updateGame(gameId, { status: 'abandoned' }).catch(err => {
+      console.warn('Failed to abandon quick match game:', err);
+    });
+  }
+
+  async leaveQueue() {
+    await matchmakingService.leaveQueue().catch(err => {
+      console.warn('Failed to leave matchmaking queue:', err);
+    });
+  }
+}
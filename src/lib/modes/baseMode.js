@@ -0,0 +1,95 @@
+// =====================================================
+// BASE MODE - Default rules every mode plugin inherits
+// =====================================================
+//
+// A mode plugin is a plain object of hooks. Each hook receives the
+// GameLogic instance as `game` and only touches that game's state —
+// no network, storage or UI — so the same rules run in the browser,
+// in the local fallback and in tests.
+//
+//   onPlace(game, placement)        -> extra fields for the placePiece result
+//   onCheck(game, checker, decision) -> result of an opponent check/pass
+//   onTurnEnd(game, player)         -> spend a turn, switch rounds when done
+//   scorePlacement(game, piece, gridIndex, correct) -> { total, ... }
+//   isComplete(game)                -> true once the game is over
+//   getWinner(game)                 -> winning seat ('playerA'...), team ('teamA'...) | 'tie'
+//   onMark(game, player, gridIndex, markType)  (optional)
+//   resolveEndGame(game)                       (optional)
+
+/**
+ * Flat points from the mode's scoring table.
+ */
+export function scoreFlat(game, piece, gridIndex, correct) {
+  const scoring = game.modeScoring;
+  return { total: correct ? (scoring.correctPiece || 10) : (scoring.wrongPiece || 0) };
+}
+
+/**
+ * Spend one of the player's turns. Multi-turn modes keep the turn until
+ * the round is used up; then the other player starts a fresh round.
+ */
+export function consumeRoundTurn(game, player) {
+  const turnsPerRound = game.modeConfig?.features?.turnsPerRound ?? 1;
+
+  if (turnsPerRound !== Infinity && game.turnsRemaining[player] > 0) {
+    game.turnsRemaining[player]--;
+  }
+
+  // If the player has remaining turns and pieces to use them on, they keep playing (no switch)
+  if (turnsPerRound !== Infinity && game.turnsRemaining[player] > 0 && game.hasPiecesToPlace(player)) {
+    game.isPlacementInProgress = false;
+    return;
+  }
+
+  // Turns exhausted — hand over to the next player and reset for next round
+  game.switchTurn();
+  game.resetTurnsForPlayer(player); // Reset the outgoing player for their next round
+}
+
+const defaultHooks = {
+  onPlace(game, { player, gridIndex, piece, correct }) {
+    game.pendingCheck = null;
+    const score = this.scorePlacement(game, piece, gridIndex, correct);
+    game.updateScore(player, score.total, correct);
+    game.consumeTurn(player);
+    return { scored: true };
+  },
+
+  onCheck() {
+    return { success: false, message: 'This mode has no check/pass step' };
+  },
+
+  onTurnEnd(game, player) {
+    consumeRoundTurn(game, player);
+  },
+
+  scorePlacement: scoreFlat,
+
+  isComplete(game) {
+    // Use loose equality (!=) to catch both null and undefined
+    const allPlaced = game.grid.every(cell => cell != null);
+    const noMorePieces = game.players.every(player => !game.hasPiecesToPlace(player));
+
+    return allPlaced || noMorePieces;
+  },
+
+  // Highest score wins (team totals in 2v2); a shared top score is a tie
+  getWinner(game) {
+    const totals = game.getTeamScores() || game.forEachPlayer(player => game.scores[player].score);
+    const top = Math.max(...Object.values(totals));
+    const leaders = Object.keys(totals).filter(side => totals[side] === top);
+    return leaders.length === 1 ? leaders[0] : 'tie';
+  }
+};
+
+/**
+ * Build a mode plugin, filling any hook the spec leaves out with the
+ * default rules above. `id` must match a GAME_MODES key (or be supplied
+ * together with `config`/`scoring` when registering a new mode).
+ */
+export function defineMode(spec) {
+  if (!spec?.id) {
+    throw new Error('Mode plugin needs an id');
+  }
+  return { ...defaultHooks, ...spec };
+}
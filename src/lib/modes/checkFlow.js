@@ -0,0 +1,141 @@
+// =====================================================
+// CHECK-FLOW MODES - Classic, Super, Sage
+// =====================================================
+//
+// The placer's piece stays unscored until the opponent decides to CHECK
+// or PASS it. The modes only differ in turns and checks per round, which
+// come from their GAME_MODES features.
+
+import { defineMode } from './baseMode.js';
+
+// Pull a rejected piece off the board and hand it back to the placer
+function returnPlacedPiece(game, move) {
+  const piece = game.grid[move.gridIndex];
+  game.grid[move.gridIndex] = null;
+  if (piece) {
+    game.returnPieceToRack(move.player, piece);
+  }
+}
+
+// Every check/pass ends the placer's turn the same way
+function finishCheck(game, placer, isRevealed) {
+  game.pendingCheck = null;
+  game.consumeTurn(placer);
+  game.isPlacementInProgress = false;
+
+  // Sync revealed scores at milestone
+  if (isRevealed) game.syncRevealedScores();
+}
+
+const checkFlowHooks = {
+  onPlace(game, { move }) {
+    const shouldRevealCheck = game.shouldRevealCheckAtCurrentProgress();
+    game.pendingCheck = {
+      ...move,
+      revealCorrectness: shouldRevealCheck
+    };
+
+    if (shouldRevealCheck) {
+      game.nextCheckRevealProgress = Math.min(game.nextCheckRevealProgress + 0.2, 1);
+    }
+
+    // The lock stays on until the opponent responds
+    return { awaitingCheck: true, scored: false };
+  },
+
+  onCheck(game, checker, checkDecision) {
+    const move = game.pendingCheck;
+    const placer = move.player;
+    const isRevealed = move.revealCorrectness;
+    const scoring = game.modeScoring;
+
+    // SUPER/SAGE rounds have more placements than checks; once they are
+    // spent the checker can only pass until the next round
+    if (checkDecision === 'check' && game.getChecksLeft(checker) <= 0) {
+      return { success: false, message: 'No checks left this round — you can only pass' };
+    }
+
+    if (checkDecision === 'check') {
+      game.consumeCheck(checker);
+
+      if (!move.correct) {
+        // Piece is INCORRECT — checker catches it
+        const checkerPoints = scoring.checkerSuccess || 5;
+        game.updateScore(checker, checkerPoints, false);
+        returnPlacedPiece(game, move);
+        finishCheck(game, placer, isRevealed);
+
+        return {
+          success: true,
+          result: 'successful_check',
+          message: `Checker gained ${checkerPoints} points for catching an incorrect piece.`,
+          correctPlacement: false,
+          checkerGained: checkerPoints,
+          correctnessRevealed: isRevealed,
+          scoresRevealed: isRevealed
+        };
+      }
+
+      // Piece is CORRECT — placer rewarded, checker penalized
+      const placerPoints = scoring.checkCorrect || 10;
+      game.updateScore(placer, placerPoints, true);
+      const checkerPenalty = scoring.checkerFail || -2;
+      game.updateScore(checker, checkerPenalty, false);
+      finishCheck(game, placer, isRevealed);
+
+      return {
+        success: true,
+        result: 'failed_check',
+        message: `Placer awarded ${placerPoints} points. Checker penalized ${checkerPenalty} points.`,
+        correctPlacement: true,
+        placerGained: placerPoints,
+        checkerLost: checkerPenalty,
+        correctnessRevealed: isRevealed,
+        scoresRevealed: isRevealed
+      };
+    }
+
+    // PASS outcome
+    if (move.correct) {
+      // Piece is CORRECT — placer gets bonus for surviving pass
+      const passBonus = scoring.passCorrect || 5;
+      if (passBonus > 0) {
+        game.updateScore(placer, passBonus, true);
+      }
+      finishCheck(game, placer, isRevealed);
+
+      return {
+        success: true,
+        result: 'opponent_passed_correct',
+        message: passBonus > 0
+          ? `Opponent passed — piece was correct! Placer earned ${passBonus} points.`
+          : 'Opponent passed — piece was correct. Turn moves to opponent.',
+        correctPlacement: true,
+        placerGained: passBonus,
+        correctnessRevealed: isRevealed,
+        scoresRevealed: isRevealed
+      };
+    }
+
+    // Piece is INCORRECT — both penalized
+    returnPlacedPiece(game, move);
+    const penalty = scoring.passWrong || -3;
+    game.updateScore(placer, penalty, false);
+    game.updateScore(checker, penalty, false);
+    finishCheck(game, placer, isRevealed);
+
+    return {
+      success: true,
+      result: 'opponent_passed_incorrect',
+      message: `Both penalized (${penalty}). Piece removed and returned to placer.`,
+      correctPlacement: false,
+      bothPenalized: penalty,
+      correctnessRevealed: isRevealed,
+      scoresRevealed: isRevealed
+    };
+  }
+};
+
+export const classicMode = defineMode({ id: 'CLASSIC', ...checkFlowHooks });
+export const superMode = defineMode({ id: 'SUPER', ...checkFlowHooks });
+export const sageMode = defineMode({ id: 'SAGE', ...checkFlowHooks });
@@ -0,0 +1,65 @@
+// =====================================================
+// CO-OP MODE - Two players, one puzzle, one shared rack
+// =====================================================
+//
+// Placements go down at once and are verified on the spot, as in SAVANT;
+// wrong pieces bounce back to the shared rack (GameLogic.getRackOwner).
+// Nobody wins: the result is the table's joint time and accuracy.
+
+import { defineMode } from './baseMode.js';
+import { savantMode } from './savant.js';
+
+// games.winner for a finished co-op match
+export const COOP_RESULT = 'coop';
+
+/**
+ * Joint stats for the table. Accuracy counts every placement in the
+ * history, wrong ones included (updateScore skips zero-point misses).
+ */
+export function getCoopStats(game) {
+  const placements = game.moveHistory.filter(entry => !entry.type && entry.gridIndex != null);
+  const correct = placements.filter(entry => entry.correct).length;
+  const total = placements.length;
+  return {
+    score: game.players.reduce((sum, player) => sum + (game.scores[player]?.score || 0), 0),
+    correctPlacements: correct,
+    totalPlacements: total,
+    accuracy: total > 0 ? Math.round((correct / total) * 100) : 100,
+    solved: game.grid.every(cell => cell != null)
+  };
+}
+
+export const coopMode = defineMode({
+  id: 'COOP',
+  config: {
+    name: 'Co-op Mode',
+    description: 'Solve one puzzle together from a shared rack, against the clock',
+    icon: '🤝',
+    features: {
+      turns: 'simultaneous',
+      check: 'auto',
+      turnsPerRound: Infinity,
+      checksPerTurn: 0,
+      simultaneous: true,
+      returnsWrongPieces: true,
+      // One rack for the whole table, and a joint result instead of a winner
+      sharedRack: true,
+      cooperative: true
+    },
+    multiplayer: true,
+    available: true
+  },
+  scoring: {
+    correctPiece: 10,
+    wrongPiece: 0,
+    streakMultiplier: 1,
+    streakBonusThreshold: 3
+  },
+
+  onPlace: savantMode.onPlace,
+  onTurnEnd: savantMode.onTurnEnd,
+
+  getWinner() {
+    return COOP_RESULT;
+  }
+});
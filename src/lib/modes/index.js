@@ -0,0 +1,48 @@
+// =====================================================
+// MODE REGISTRY - Rules plugins for each GAME_MODES entry
+// =====================================================
+//
+// GameLogic owns the board, racks and locks; everything that differs
+// between modes lives in a plugin registered here. Adding a mode means
+// writing one module and registering it — with its `config` and
+// `scoring` when it isn't already in GAME_MODES.
+
+import { GAME_MODES, MODE_SCORING } from '../gameModes.js';
+import { classicMode, superMode, sageMode } from './checkFlow.js';
+import { nexusMode } from './nexus.js';
+import { savantMode } from './savant.js';
+import { singlePlayerMode } from './singlePlayer.js';
+import { coopMode } from './coop.js';
+
+export { defineMode, consumeRoundTurn, scoreFlat } from './baseMode.js';
+export { COOP_RESULT, getCoopStats } from './coop.js';
+
+const registry = {};
+
+/**
+ * Register a mode plugin (built with defineMode). A plugin may carry its
+ * own `config` and `scoring`, which are added to GAME_MODES / MODE_SCORING
+ * so the mode shows up in the mode picker.
+ */
+export function registerMode(plugin) {
+  const { id, config, scoring } = plugin;
+
+  if (config) {
+    GAME_MODES[id] = { id, ...config };
+  }
+  if (scoring) {
+    MODE_SCORING[id] = scoring;
+  }
+  if (!GAME_MODES[id]) {
+    throw new Error(`Mode ${id} has no GAME_MODES entry — pass a config when registering it`);
+  }
+
+  registry[id] = plugin;
+  return plugin;
+}
+
+export const getModePlugin = (modeId) => registry[modeId] || registry.CLASSIC;
+
+export const getRegisteredModes = () => Object.keys(registry);
+
+[classicMode, superMode, sageMode, nexusMode, savantMode, coopMode, singlePlayerMode].forEach(registerMode);
@@ -0,0 +1,145 @@
+// =====================================================
+// NEXUS MODE - Simultaneous play, marks, end-game reveal
+// =====================================================
+//
+// Everyone at the table places at once, however many seats there are.
+// Nobody learns whether a piece is right until the end. Players mark
+// opponents' pieces 'suspect' or their own 'confident', and
+// resolveEndGame scores every placement and mark at once.
+
+import { defineMode } from './baseMode.js';
+
+export const nexusMode = defineMode({
+  id: 'NEXUS',
+
+  onPlace(game, { player, gridIndex }) {
+    // No check/pass, no scoring now. Track who placed what.
+    game.piecePlacedBy[gridIndex] = player;
+    game.pendingCheck = null;
+    game.isPlacementInProgress = false;
+    return { awaitingCheck: false, scored: false, nexus: true };
+  },
+
+  // Simultaneous — there are no turns to spend
+  onTurnEnd(game) {
+    game.isPlacementInProgress = false;
+  },
+
+  /**
+   * Mark a placed piece as 'suspect' (opponent's piece you think is wrong)
+   * or 'confident' (your own piece you're sure is right).
+   * Pass markType=null to explicitly remove an existing mark.
+   */
+  onMark(game, player, gridIndex, markType) {
+    const piece = game.grid[gridIndex];
+    if (!piece) {
+      return { success: false, message: 'No piece at this position' };
+    }
+
+    // Explicit removal (tap-toggle sends null to clear)
+    if (markType === null || markType === undefined) {
+      delete game.pieceMarks[gridIndex];
+      return { success: true, action: 'removed', gridIndex };
+    }
+
+    const placedBy = game.piecePlacedBy[gridIndex];
+
+    if (markType === 'suspect') {
+      // Can only suspect opponent's pieces
+      if (placedBy === player) {
+        return { success: false, message: "You can't suspect your own piece" };
+      }
+      if (placedBy === game.getPartner(player)) {
+        return { success: false, message: "You can't suspect your partner's piece" };
+      }
+    } else if (markType === 'confident') {
+      // Can only be confident about your own pieces
+      if (placedBy !== player) {
+        return { success: false, message: "You can only mark confidence on your own pieces" };
+      }
+    } else {
+      return { success: false, message: 'Invalid mark type' };
+    }
+
+    // Toggle: if same mark exists, remove it
+    const existing = game.pieceMarks[gridIndex];
+    if (existing && existing.marker === player && existing.type === markType) {
+      delete game.pieceMarks[gridIndex];
+      return { success: true, action: 'removed', gridIndex, markType };
+    }
+
+    game.pieceMarks[gridIndex] = { marker: player, type: markType };
+    return { success: true, action: 'added', gridIndex, markType };
+  },
+
+  /**
+   * Validates all pieces against their correct positions and calculates scores.
+   */
+  resolveEndGame(game) {
+    if (game.nexusResolved) {
+      return { success: false, message: 'Game already resolved' };
+    }
+
+    game.nexusResolved = true;
+    const scoring = game.modeScoring;
+    const results = [];
+
+    // Score each placed piece
+    for (let i = 0; i < game.grid.length; i++) {
+      const piece = game.grid[i];
+      if (!piece) continue;
+
+      const placedBy = game.piecePlacedBy[i] || 'playerA';
+      const isCorrect = game.isPieceCorrectAt(piece, i);
+      const mark = game.pieceMarks[i];
+
+      // Base placement score for the placer
+      const pts = this.scorePlacement(game, piece, i, isCorrect).total;
+      game.scores[placedBy].score += pts;
+      if (isCorrect) {
+        game.scores[placedBy].correctPlacements++;
+      }
+      game.scores[placedBy].totalPlacements++;
+
+      const result = { gridIndex: i, pieceId: piece.id, placedBy, isCorrect, points: pts };
+
+      // Mark bonus/penalty
+      if (mark) {
+        let markPts = 0;
+        if (mark.type === 'suspect') {
+          markPts = isCorrect
+            ? (scoring.suspectCorrect || -3)   // false accusation
+            : (scoring.suspectWrong || 8);     // good detective work
+          game.scores[mark.marker].score += markPts;
+        } else if (mark.type === 'confident') {
+          markPts = isCorrect
+            ? (scoring.confidentCorrect || 5)  // correct confidence bonus
+            : (scoring.confidentWrong || -8);  // overconfidence penalty
+          game.scores[mark.marker].score += markPts;
+        }
+        result.mark = { ...mark, points: markPts };
+      }
+
+      results.push(result);
+    }
+
+    // Calculate accuracy
+    for (const player of game.players) {
+      const s = game.scores[player];
+      s.accuracy = s.totalPlacements > 0
+        ? Math.round((s.correctPlacements / s.totalPlacements) * 100)
+        : 100;
+    }
+
+    // Sync revealed scores at end-game
+    game.syncRevealedScores();
+    game.gameState = 'finished';
+
+    return {
+      success: true,
+      results,
+      finalScores: { ...game.scores },
+      winner: game.getWinner()
+    };
+  }
+});
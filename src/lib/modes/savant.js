@@ -0,0 +1,31 @@
+// =====================================================
+// SAVANT MODE - Free-for-all with instant verification
+// =====================================================
+
+import { defineMode } from './baseMode.js';
+
+export const savantMode = defineMode({
+  id: 'SAVANT',
+
+  onPlace(game, { player, gridIndex, piece, correct }) {
+    game.pendingCheck = null;
+    const score = this.scorePlacement(game, piece, gridIndex, correct);
+    game.updateScore(player, score.total, correct);
+
+    // A wrong piece would block its cell for good, so it bounces back
+    let returned = false;
+    if (!correct && game.modeConfig?.features?.returnsWrongPieces) {
+      game.grid[gridIndex] = null;
+      game.returnPieceToRack(player, piece);
+      returned = true;
+    }
+
+    game.consumeTurn(player);
+    return { scored: true, returned };
+  },
+
+  // Free-for-all: no turns to consume
+  onTurnEnd(game) {
+    game.isPlacementInProgress = false;
+  }
+});
@@ -0,0 +1,56 @@
+// =====================================================
+// SINGLE PLAYER MODE - Solo practice with milestone sweeps
+// =====================================================
+//
+// Correctness stays hidden while placing. Every 20% of the board filled
+// is a milestone: scores are revealed and wrong pieces go back to the rack.
+
+import { defineMode } from './baseMode.js';
+
+export const singlePlayerMode = defineMode({
+  id: 'SINGLE_PLAYER',
+
+  onPlace(game, { player, gridIndex, piece, correct }) {
+    game.pendingCheck = null;
+    const stats = game.scores[player];
+    const score = this.scorePlacement(game, piece, gridIndex, correct);
+
+    stats.score += score.total;
+    stats.streak = correct ? stats.streak + 1 : 0;
+    if (correct) stats.correctPlacements++;
+    stats.totalPlacements++;
+    stats.accuracy = Math.round((stats.correctPlacements / stats.totalPlacements) * 100);
+
+    const milestone = game.shouldRevealCheckAtCurrentProgress();
+    let removedCount = 0;
+    if (milestone) {
+      // Next milestone is measured before the sweep empties any cells
+      game.nextCheckRevealProgress = game.calculateNextCheckRevealProgress();
+      for (let i = 0; i < game.grid.length; i++) {
+        const placed = game.grid[i];
+        if (placed && !game.isPieceCorrectAt(placed, i)) {
+          game.grid[i] = null;
+          game.returnPieceToRack(player, placed);
+          removedCount++;
+        }
+      }
+      game.syncRevealedScores();
+    }
+
+    game.consumeTurn(player);
+    return { scored: true, score: { gridIndex, ...score }, milestone, removedCount };
+  },
+
+  // Solo — the turn never passes
+  onTurnEnd(game) {
+    game.isPlacementInProgress = false;
+  },
+
+  // Adjacency, piece-type and region bonuses for correct pieces
+  scorePlacement(game, piece, gridIndex, correct) {
+    if (correct) {
+      return game.calculatePlacementScore(piece, gridIndex);
+    }
+    return { total: game.modeScoring.wrongPiece, breakdown: null };
+  }
+});
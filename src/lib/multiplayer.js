@@ -2,9 +2,10 @@
 // MULTIPLAYER GAME FLOW - USING BROADCAST
 // =====================================================
 
-import { supabase } from '../config/supabase';
-import { gameService, realtimeService, storageService } from '../services';
-import { ImageProcessor, GameLogic } from './gameLogic';
+import { buildSeededPuzzle } from './gameLogic';
+import { getDefaultTransport } from './transports';
+import { randomSeed } from './prng';
+import { RateLimiter, cleanMessage, getEmote, toChatMessage } from './chat';
 
 // =====================================================
 // CONNECTION STATE CONSTANTS
@@ -24,69 +25,605 @@ const RECONNECT_CONFIG = {
   CHANNEL_TIMEOUT: 30000
 };
 
-// Cache the authenticated user at module level
-let cachedUser = null;
-let cachedUserId = null;
+const HOST_MIGRATION_CONFIG = {
+  // How long the host may be missing from presence before the guest takes over
+  PRESENCE_TIMEOUT: 20000
+};
+
+/**
+ * Settle which transport the session talks through (the default unless
+ * one was passed in) and sign in on it
+ */
+async function connect(session) {
+  session.transport = session.transport || await getDefaultTransport();
+  return session.transport.authenticate();
+}
+
+/**
+ * Compact IDs-only snapshot of a GameLogic instance for broadcasting.
+ * Stays well under the Supabase ~1MB broadcast limit. Holding a server
+ * view, it only passes on the counts; see toPublicState.
+ */
+function toCompactState(gl) {
+  const pieces = gl.hiddenCounts
+    ? { rackCounts: gl.forEachPlayer(player => gl.countRackPieces(player)), piecePoolCount: gl.countPoolPieces() }
+    : {
+      // playerARack, playerBRack and, in 3-4 player games, playerCRack/playerDRack
+      ...Object.fromEntries(gl.players.map(player => [`${player}Rack`, (gl.racks[player] || []).map(p => p ? p.id : null)])),
+      piecePool: gl.piecePool.map(p => p.id)
+    };
+
+  return {
+    players: gl.players,
+    teams: gl.teams,
+    grid: gl.grid.map(p => gl.toGridCell(p)),
+    ...pieces,
+    currentTurn: gl.currentTurn,
+    scores: gl.scores,
+    revealedScores: gl.revealedScores,
+    pendingCheck: gl.pendingCheck,
+    gameState: gl.gameState,
+    timerRemaining: gl.timerRemaining,
+    moveHistory: gl.moveHistory,
+    mode: gl.mode,
+    turnsRemaining: gl.turnsRemaining,
+    checksRemaining: gl.checksRemaining,
+    nextCheckRevealProgress: gl.nextCheckRevealProgress,
+    piecePlacedBy: gl.piecePlacedBy,
+    pieceMarks: gl.pieceMarks,
+    nexusResolved: gl.nexusResolved,
+    rotationEnabled: gl.rotationEnabled,
+    version: gl.stateVersion
+  };
+}
+
+// Everything in a game_state broadcast a spectator may keep. Racks, the
+// pool and the hidden scores are left out; only revealedScores show.
+const SPECTATOR_FIELDS = [
+  'players', 'teams', 'currentTurn', 'revealedScores', 'gameState', 'timerRemaining', 'mode',
+  'turnsRemaining', 'checksRemaining', 'nextCheckRevealProgress',
+  'piecePlacedBy', 'pieceMarks', 'nexusResolved', 'rotationEnabled', 'version'
+];
+
+// History entries also carry the running scores, which stay hidden too
+const withoutCorrect = (entry) => {
+  if (!entry || typeof entry !== 'object') return entry;
+  const copy = { ...entry };
+  delete copy.correct;
+  delete copy.correctPosition;
+  delete copy.scores;
+  return copy;
+};
 
 /**
- * Ensure user has a valid session and realtime is authenticated
+ * Reduce a game_state broadcast (or get_spectator_state row) to what a
+ * spectator may see. Mirrors _gs_sanitize plus dropping the private fields.
  */
-async function ensureAuthenticated() {
-  // Return cached user if available and session is valid
-  if (cachedUser && cachedUserId) {
-    // Quick session check without network call
-    const { data: { session } } = await supabase.auth.getSession();
-    if (session?.user?.id === cachedUserId) {
-      return cachedUser;
+function toSpectatorState(state) {
+  const visible = {};
+  SPECTATOR_FIELDS.forEach((field) => {
+    if (state[field] !== undefined) visible[field] = state[field];
+  });
+
+  const finished = state.gameState === 'finished';
+  return {
+    ...visible,
+    grid: (state.grid || []).map(withoutCorrect),
+    pendingCheck: withoutCorrect(state.pendingCheck) || null,
+    moveHistory: finished ? (state.moveHistory || []) : (state.moveHistory || []).map(withoutCorrect),
+    piecePoolCount: state.piecePool?.length ?? state.piecePoolCount ?? 0
+  };
+}
+
+/**
+ * A server view (it has rackCounts) as the other players may see it:
+ * without our racks. Each of them loads their own view; see
+ * receiveGameState. Snapshots of a locally resolved game go out whole.
+ */
+function toPublicState(state) {
+  if (!state.rackCounts) return state;
+  return Object.fromEntries(Object.entries(state).filter(([key]) => !key.endsWith('Rack')));
+}
+
+const isSpectator = (presence) => presence.role === 'spectator';
+
+const countSpectators = (presenceState) =>
+  Object.values(presenceState).flat().filter(isSpectator).length;
+
+// =====================================================
+// SPECTATOR CHANNEL
+// =====================================================
+//
+// The players' game:<id> channel carries racks, the pool and the hidden
+// scores, so spectators never join it. The players also sit on
+// watch:<id> and relay every snapshot there already reduced by
+// toSpectatorState; that is the only channel a spectator subscribes to.
+// Both are private channels: the realtime policies keep anyone but the
+// seated players off game:<id>.
+
+const gameTopic = (gameId) => `game:${gameId}`;
+const watchTopic = (gameId) => `watch:${gameId}`;
+
+function updateSpectatorCount(session, presenceState) {
+  session.spectatorCount = countSpectators(presenceState);
+  if (session.onSpectatorCountChange) {
+    session.onSpectatorCountChange(session.spectatorCount);
+  }
+}
+
+/**
+ * Join watch:<id> as a player, to relay to spectators and count them.
+ * Resolves null if it can't be joined; the match goes on without it.
+ */
+function openWatchChannel(session, gameId) {
+  return new Promise((resolve) => {
+    const channel = session.transport.channel(watchTopic(gameId), {
+      config: {
+        private: true,
+        broadcast: { self: false },
+        presence: { key: session.userId }
+      }
+    });
+
+    const give = (result) => {
+      clearTimeout(timeoutId);
+      resolve(result);
+    };
+    const fail = (reason) => {
+      console.warn('Spectator channel unavailable:', reason);
+      session.transport.removeChannel(channel).catch(console.error);
+      give(null);
+    };
+    const timeoutId = setTimeout(() => fail('timeout'), RECONNECT_CONFIG.CHANNEL_TIMEOUT);
+
+    channel.on('presence', { event: 'sync' }, () => {
+      updateSpectatorCount(session, channel.presenceState());
+    });
+
+    channel.subscribe(async (status) => {
+      if (status === CHANNEL_STATUS.SUBSCRIBED) {
+        try {
+          await trackPresence(session, channel);
+        } catch (err) {
+          console.warn('Failed to track presence for spectators:', err);
+        }
+        give(channel);
+      } else if (status === CHANNEL_STATUS.CHANNEL_ERROR || status === CHANNEL_STATUS.TIMED_OUT) {
+        fail(status);
+      }
+    });
+  });
+}
+
+async function relayToSpectators(session, event, payload) {
+  if (!session.watchChannel) return;
+
+  try {
+    await session.watchChannel.send({ type: 'broadcast', event, payload: { ...payload, senderId: session.userId } });
+  } catch (err) {
+    console.error('Failed to relay to spectators:', err);
+  }
+}
+
+async function closeChannels(session) {
+  for (const key of ['realtimeChannel', 'watchChannel']) {
+    if (!session[key]) continue;
+    try {
+      await session.transport.removeChannel(session[key]);
+    } catch (err) {
+      console.error('Error cleaning up channel:', err);
     }
+    session[key] = null;
   }
+}
 
-  // Full authentication flow only when needed
-  const { data: { session }, error } = await supabase.auth.getSession();
+/**
+ * Adopt the canonical state returned by a game RPC locally and relay it
+ * to the others (without our racks). Returns the RPC's result payload.
+ */
+async function applyAuthoritativeState(session, response) {
+  // The countdown runs client-side, so keep ours rather than the stored value
+  const state = { ...response.state, timerRemaining: session.gameLogic.timerRemaining };
+  session.handleGameStateUpdate(state);
+  await session.broadcastGameState(state);
+  return response.result;
+}
 
-  if (error) {
-    throw new Error('Failed to get session: ' + error.message);
+/**
+ * Take a game_state broadcast from another player. A server view carries
+ * no racks, so load our own view of the game and keep the sender's clock.
+ */
+function receiveGameState(session, state) {
+  if (!state.rackCounts) {
+    session.handleGameStateUpdate(state);
+    return;
   }
 
-  if (!session) {
-    console.log('No session found, signing in anonymously...');
-    const { data, error: signInError } = await supabase.auth.signInAnonymously();
+  session.transport.gameState.getPlayerState(session.gameId)
+    .then((view) => {
+      if (view) {
+        session.handleGameStateUpdate({ ...view, timerRemaining: state.timerRemaining ?? view.timerRemaining });
+      }
+    })
+    .catch(err => console.error('Failed to load our view of the game state:', err));
+}
 
-    if (signInError) {
-      throw new Error('Anonymous sign-in failed: ' + signInError.message);
-    }
+/**
+ * Relay a change resolved by the local GameLogic, when there are no game
+ * RPCs. Bumping the version lets the others drop a snapshot that arrives
+ * after a newer one.
+ */
+function broadcastLocalChange(session) {
+  session.gameLogic.stateVersion += 1;
+  return session.broadcastGameState();
+}
+
+/**
+ * The game state as this player may see it: the get_game_state view, or
+ * the game_state row where no server holds it back (local transport).
+ */
+async function loadGameState(session, gameId) {
+  return (await session.transport.gameState.getPlayerState(gameId))
+    ?? session.transport.gameState.getGameState(gameId);
+}
+
+/**
+ * Rebuild GameLogic from the persisted games + game_state rows. The seed
+ * re-cuts identical pieces from the image; game_state places them.
+ */
+async function restoreGameLogic(session, game) {
+  const imageUrl = game.images?.storage_url || null;
+  if (!imageUrl) {
+    throw new Error('Game image URL not found');
+  }
+
+  const gameState = await loadGameState(session, game.id);
 
-    if (!data.session) {
-      throw new Error('No session after anonymous sign-in');
+  if (game.seed === null || game.seed === undefined) {
+    console.warn('Game has no seed (created before seeded puzzles); piece shapes may differ from the host');
+  }
+  const { pieces, gameLogic } = await session.buildPuzzle(
+    imageUrl,
+    Math.round(Math.sqrt(game.grid_size)),
+    game.seed ?? undefined,
+    gameState?.gameplay_mode || gameState?.mode || 'CLASSIC',
+    {
+      rotation: !!(gameState?.rotation_enabled ?? gameState?.rotationEnabled),
+      players: gameState?.players?.length,
+      teams: !!gameState?.teams
     }
+  );
+  gameLogic.importGameState(gameState, pieces);
+
+  return { imageUrl, gameState, gameLogic };
+}
+
+/**
+ * The countdown only lives in the clients, so a rejoining player starts
+ * from wall-clock time since the match began until the opponent's
+ * snapshot arrives.
+ */
+function restoreTimer(gameLogic, game) {
+  if (!game.started_at || !game.time_limit) return;
+  const elapsed = Math.floor((Date.now() - new Date(game.started_at).getTime()) / 1000);
+  gameLogic.timerRemaining = Math.max(0, game.time_limit - elapsed);
+}
+
+const REJOINABLE_STATUSES = ['waiting', 'active', 'paused'];
+
+// Rack columns for a local-fallback game_state write
+function rackColumns(gl) {
+  const { player_a_rack, player_b_rack, extra_racks } = gl.exportForDatabase();
+  return extra_racks ? { player_a_rack, player_b_rack, extra_racks } : { player_a_rack, player_b_rack };
+}
+
+// =====================================================
+// SEATS (3-4 player games)
+// =====================================================
+//
+// A two-player game starts as soon as the guest shows up. Larger games
+// stay in the lobby until join_game_seat has filled every seat, so
+// presence alone doesn't start them; each player_joined broadcast
+// reloads the seat list instead.
+
+const isMultiSeat = (session) => session.maxPlayers > 2;
+
+/**
+ * Seat of `userId` in a game: the games columns cover A and B,
+ * game_players the rest.
+ */
+async function findSeat(session, game, userId) {
+  if (game.player_a_id === userId) return 'playerA';
+  if (game.player_b_id === userId) return 'playerB';
+  if ((game.max_players || 2) <= 2) return null;
+
+  const seats = await session.transport.games.getGamePlayers(game.id);
+  return seats.find(s => s.user_id === userId)?.seat || null;
+}
+
+/**
+ * Reload who sits where and start the match once every seat is taken.
+ */
+async function refreshSeats(session) {
+  if (!session.gameId) return session.seats;
+
+  try {
+    session.seats = await session.transport.games.getGamePlayers(session.gameId);
+  } catch (err) {
+    console.error('Failed to load seats:', err);
+    return session.seats;
+  }
+
+  if (session.onSeatsChange) {
+    session.onSeatsChange(session.seats);
+  }
 
-    await supabase.auth.updateUser({
-      data: {
-        username: `Guest_${Date.now() % 10000}`,
-        display_name: 'Guest Player',
-        is_anonymous: true
+  if (session.seats.length >= session.maxPlayers && session.onOpponentJoin) {
+    const others = session.seats
+      .filter(s => s.user_id !== session.userId)
+      .map(s => s.player_name || 'Player');
+    session.onOpponentJoin(others.join(', '));
+  }
+  return session.seats;
+}
+
+// =====================================================
+// SENDERS
+// =====================================================
+//
+// Anyone on a channel can broadcast, so the events that change the board
+// or the host role are only taken from seated players. Senders stamp
+// their user id on the payload; the realtime policies stop anyone but a
+// seated player from broadcasting on the game channels at all.
+
+/**
+ * Run `handle(seat)` only for a broadcast from a seated player: the sender
+ * has to be on the channel under its own presence key, not as a
+ * spectator, and hold a seat in the game. The seats are reloaded once for
+ * a sender not seen before, such as a guest who has just joined.
+ */
+function fromSeatedPlayer(session, channel, senderId, handle) {
+  const present = (channel.presenceState()[senderId] || []).some(p => !isSpectator(p));
+  if (!senderId || senderId === session.userId || !present) {
+    console.warn('Ignoring broadcast from', senderId || 'an unknown sender', '- not a player on this channel');
+    return;
+  }
+  if (session.playerSeats.has(senderId)) {
+    handle(session.playerSeats.get(senderId));
+    return;
+  }
+
+  session.transport.games.getGamePlayers(session.gameId)
+    .then((seats) => {
+      session.playerSeats = new Map(seats.map(seat => [seat.user_id, seat.seat]));
+      if (session.playerSeats.has(senderId)) {
+        handle(session.playerSeats.get(senderId));
+      } else {
+        console.warn('Ignoring broadcast from', senderId, '- not a player in this game');
       }
+    })
+    .catch(err => console.error('Failed to load seats:', err));
+}
+
+// =====================================================
+// HOST MIGRATION
+// =====================================================
+//
+// The host role (games.host_id) is separate from the seat: player A stays
+// player A. Whoever holds it answers snapshot requests and is shown as the
+// host. If the host drops out of presence for longer than `hostTimeout`,
+// another player claims the role and carries on from the last persisted
+// game_state; the original host can rejoin as a regular participant.
+
+function trackPresence(session, channel) {
+  return channel.track({
+    user_id: session.userId,
+    user_name: session.userName,
+    role: session.isAuthority ? 'host' : 'guest',
+    seat: session.playerKey,
+    // 2v2 only; lets partners see each other come and go
+    team: session.gameLogic?.getTeam(session.playerKey) || null,
+    online_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Tell a 2v2 player whether their partner is on the channel.
+ */
+function checkPartnerPresence(session, presenceState) {
+  const team = session.gameLogic?.getTeam(session.playerKey);
+  if (!team || !session.onPartnerPresenceChange) return;
+
+  const partnerOnline = Object.values(presenceState).flat()
+    .some(p => p.team === team && p.user_id !== session.userId);
+  session.onPartnerPresenceChange(partnerOnline);
+}
+
+/**
+ * Called on every presence sync: start the takeover countdown when the
+ * host is missing, cancel it when they come back.
+ */
+function checkHostPresence(session, presenceState) {
+  if (session.isAuthority || !session.hostId) return;
+
+  const players = Object.values(presenceState).flat();
+  const hostOnline = players.some(p => p.user_id === session.hostId);
+
+  if (hostOnline) {
+    if (session.hostMigrationTimer) {
+      console.log('Host is back, cancelling host migration');
+      clearTimeout(session.hostMigrationTimer);
+      session.hostMigrationTimer = null;
+    }
+    return;
+  }
+
+  if (session.hostMigrationTimer || session.gameLogic?.gameState !== 'active') return;
+
+  console.log(`Host left the game, taking over in ${session.hostTimeout / 1000}s unless they return`);
+  session.hostMigrationTimer = setTimeout(() => {
+    session.hostMigrationTimer = null;
+    promoteToHost(session).catch(err => console.error('Host migration failed:', err));
+  }, session.hostTimeout);
+}
+
+async function promoteToHost(session) {
+  if (!session.gameId || session.isAuthority) return;
+
+  // The host may have come back just as the countdown ran out
+  const players = Object.values(session.realtimeChannel?.presenceState() || {}).flat();
+  if (players.some(p => p.user_id === session.hostId)) return;
+
+  const previousHostId = session.hostId;
+  const game = await session.transport.games.transferHost(session.gameId, previousHostId, session.userId);
+  if (!game) {
+    // Someone else changed the host or the game ended meanwhile
+    const current = await session.transport.games.getGame(session.gameId);
+    applyHostChange(session, current.host_id);
+    return;
+  }
+
+  console.log('👑 Promoted to host');
+
+  // Carry on from the last persisted state; the countdown stays ours
+  const persisted = await loadGameState(session, session.gameId);
+  if (persisted) {
+    session.handleGameStateUpdate({
+      ...persisted,
+      timer_remaining: session.gameLogic.timerRemaining
     });
+  }
+
+  applyHostChange(session, session.userId);
+  await announceHost(session, previousHostId);
+  await session.broadcastGameState();
+}
+
+function applyHostChange(session, hostId) {
+  if (!hostId || (session.hostId === hostId && session.isAuthority === (hostId === session.userId))) return;
+
+  const wasAuthority = session.isAuthority;
+  session.hostId = hostId;
+  session.isAuthority = hostId === session.userId;
+
+  if (session.hostMigrationTimer) {
+    clearTimeout(session.hostMigrationTimer);
+    session.hostMigrationTimer = null;
+  }
+
+  if (wasAuthority !== session.isAuthority && session.realtimeChannel) {
+    trackPresence(session, session.realtimeChannel)
+      .catch(err => console.warn('Failed to update presence role:', err));
+  }
 
-    if (data.session?.access_token) {
-      supabase.realtime.setAuth(data.session.access_token);
-      console.log('Realtime auth token set for new session');
+  console.log(session.isAuthority ? 'This client is now the host' : `Host is now ${hostId}`);
+  if (session.onHostChange) {
+    session.onHostChange(hostId, session.isAuthority);
+  }
+}
+
+/**
+ * A host_changed broadcast only counts when its sender holds the role in
+ * games.host_id; the stored host is what gets applied.
+ */
+async function confirmHostChange(session, { hostId, senderId } = {}) {
+  try {
+    const game = await session.transport.games.getGame(session.gameId);
+    if (game.host_id !== senderId || game.host_id !== hostId) {
+      console.warn('Ignoring host change from', senderId, '- not the host of this game');
+      return;
     }
+    applyHostChange(session, game.host_id);
+  } catch (err) {
+    console.error('Failed to confirm host change:', err);
+  }
+}
+
+async function announceHost(session, previousHostId = null) {
+  if (!session.realtimeChannel) return;
+
+  try {
+    await session.realtimeChannel.send({
+      type: 'broadcast',
+      event: 'host_changed',
+      payload: { hostId: session.hostId, previousHostId, senderId: session.userId }
+    });
+  } catch (err) {
+    console.error('Failed to announce host:', err);
+  }
+}
+
+/**
+ * The host answers snapshot requests. When the requester thinks it is the
+ * host (it reloaded, or dropped long enough to be replaced) the other
+ * player answers instead, and the real host also tells it who holds the role.
+ */
+async function answerStateRequest(session, requesterId) {
+  if (!session.isAuthority && requesterId !== session.hostId) return;
+
+  if (session.isAuthority) {
+    await announceHost(session);
+  }
+  await session.broadcastGameState();
+}
+
+// =====================================================
+// CHAT
+// =====================================================
+//
+// Chat rides the game channel as 'chat_message' broadcasts. Each message
+// is stored first; the server refuses spam, and if the chat RPC isn't
+// deployed the message still goes out live, just unsaved.
+
+async function sendChatMessage(session, kind, text) {
+  if (!session.realtimeChannel || !session.gameId) {
+    throw new Error('Not connected to a game');
+  }
 
-    console.log('Anonymous sign-in successful');
-    cachedUser = data.user;
-    cachedUserId = data.user.id;
-    return data.user;
+  const body = kind === 'emote' ? text : cleanMessage(text);
+  if (!body) return null;
+  if (kind === 'emote' && !getEmote(body)) {
+    throw new Error('Unknown emote');
   }
 
-  if (session?.access_token) {
-    supabase.realtime.setAuth(session.access_token);
-    console.log('Realtime auth token set for existing session');
+  if (!session.chatLimiter.tryConsume()) {
+    throw new Error('You are sending messages too quickly');
   }
 
-  cachedUser = session.user;
-  cachedUserId = session.user.id;
-  return session.user;
+  const stored = await session.transport.gameState.sendGameMessage(session.gameId, kind, body);
+  const message = {
+    ...toChatMessage(stored || {
+      id: `local-${Date.now()}`,
+      player: session.playerKey,
+      kind,
+      body,
+      createdAt: new Date().toISOString()
+    }),
+    userName: session.userName
+  };
+
+  await session.realtimeChannel.send({
+    type: 'broadcast',
+    event: 'chat_message',
+    payload: { ...message, senderId: session.userId }
+  });
+
+  // Broadcasts skip the sender, so hand it back for our own panel
+  return message;
+}
+
+// Only from the seated player the message claims to be from
+function receiveChatMessage(session, payload, senderSeat) {
+  if (!payload || !session.onChatMessage) return;
+
+  // Filtered again here: the sender's client can't be trusted to have done it
+  const message = toChatMessage(payload);
+  if (message.player !== senderSeat) {
+    console.warn('Ignoring chat from', senderSeat, 'posted as', message.player);
+    return;
+  }
+  if (message.kind === 'emote' && !getEmote(message.body)) return;
+  session.onChatMessage(message);
 }
 
 // =====================================================
@@ -94,27 +631,44 @@ async function ensureAuthenticated() {
 // =====================================================
 
 export class MultiplayerGameHost {
-  constructor() {
+  constructor(options = {}) {
     this.gameId = null;
     this.userId = null;
     this.userName = null;
     this.gameLogic = null;
     this.realtimeChannel = null;
+    this.watchChannel = null;
     this.isConnected = false;
+    // Seat of each seated user id, loaded as their broadcasts arrive (see fromSeatedPlayer)
+    this.playerSeats = new Map();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = RECONNECT_CONFIG.MAX_ATTEMPTS;
+    // Host role (games.host_id); can move to the other player mid-game
+    this.hostId = null;
+    this.isAuthority = true;
+    this.hostTimeout = options.hostTimeout ?? HOST_MIGRATION_CONFIG.PRESENCE_TIMEOUT;
+    this.hostMigrationTimer = null;
+    this.spectatorCount = 0;
+    // Seat is fixed even if the host role moves
+    this.playerKey = 'playerA';
+    this.maxPlayers = 2;
+    this.seats = [];
+    this.chatLimiter = new RateLimiter();
+    // The default transport unless one is passed in (see lib/transports)
+    this.transport = options.transport || null;
+    this.buildPuzzle = options.buildPuzzle || buildSeededPuzzle;
   }
 
   async createGame(imageFile, settings = {}) {
     try {
-      const user = await ensureAuthenticated();
+      const user = await connect(this);
       this.userId = user.id;
       this.userName = user.user_metadata?.username || 'Player A';
 
       console.log('Authenticated as:', this.userName, '(ID:', this.userId, ')');
 
       console.log('Step 1: Uploading image...');
-      const { id: imageId, url: imageUrl } = await storageService.uploadPuzzleImage(
+      const { id: imageId, url: imageUrl } = await this.transport.storage.uploadPuzzleImage(
         this.userId,
         imageFile
       );
@@ -122,36 +676,52 @@ export class MultiplayerGameHost {
       // Store image URL for preview
       this.imageUrl = imageUrl;
 
+      this.maxPlayers = settings.maxPlayers || 2;
+
       console.log('Step 2: Processing image into pieces...');
-      const processor = new ImageProcessor(imageUrl, settings.gridSize || 10);
-      await processor.loadImage();
-      const { pieces, gridDimensions } = await processor.sliceImage();
+      // One seed drives slicing, piece shapes and the opening deal
+      const seed = randomSeed();
+      const { pieces, gridDimensions, gameLogic } = await this.buildPuzzle(
+        imageUrl,
+        settings.gridSize || 10,
+        seed,
+        settings.mode || 'CLASSIC',
+        { rotation: !!settings.rotation, players: this.maxPlayers, teams: !!settings.teams }
+      );
 
       console.log('Step 3: Creating game record...');
-      const game = await gameService.createGame(this.userId, {
+      const game = await this.transport.games.createGame(this.userId, {
         mode: 'multiplayer',
         gridSize: gridDimensions.totalPieces,
         timeLimit: settings.timeLimit || 600,
         imageId: imageId,
+        seed,
+        maxPlayers: this.maxPlayers,
         playerAName: this.userName
       });
 
       this.gameId = game.id;
+      this.hostId = game.host_id;
 
       console.log('Step 4: Initializing game logic...');
-      this.gameLogic = new GameLogic(gridDimensions.totalPieces, pieces, settings.mode || 'CLASSIC');
-      this.gameLogic.initialize();
+      this.gameLogic = gameLogic;
 
       console.log('Step 5: Setting up realtime state...');
-      await realtimeService.initializeGameState(
+      await this.transport.gameState.initializeGameState(
         game.id,
         pieces,
         gridDimensions.totalPieces,
-        settings.mode || 'CLASSIC'
+        settings.mode || 'CLASSIC',
+        this.gameLogic.exportForDatabase()
       );
 
       console.log('Step 6: Setting up realtime channel (broadcast)...');
       this.realtimeChannel = await this.setupBroadcastChannel(game.id);
+      this.watchChannel = await openWatchChannel(this, game.id);
+
+      if (isMultiSeat(this)) {
+        await refreshSeats(this);
+      }
 
       console.log('✅ Game created successfully!');
       return {
@@ -170,6 +740,63 @@ export class MultiplayerGameHost {
     }
   }
 
+  /**
+   * Pick a hosted game back up after a crash, reload or sleeping phone:
+   * rebuild the board from game_state, re-subscribe and ask the guest
+   * for a fresh snapshot.
+   */
+  async rejoinGame(gameId) {
+    try {
+      const user = await connect(this);
+      this.userId = user.id;
+      this.userName = user.user_metadata?.username || 'Player A';
+
+      console.log('Rejoin step 1: Loading game', gameId);
+      const game = await this.transport.games.getGame(gameId);
+
+      if (game.player_a_id !== this.userId) {
+        throw new Error('You are not the host of this game');
+      }
+      if (!REJOINABLE_STATUSES.includes(game.status)) {
+        throw new Error('Game is no longer in progress');
+      }
+
+      this.gameId = game.id;
+      this.maxPlayers = game.max_players || 2;
+      // The host role may have moved to the other player while we were gone
+      this.hostId = game.host_id;
+      this.isAuthority = game.host_id === this.userId;
+
+      console.log('Rejoin step 2: Rebuilding board from saved state...');
+      const { imageUrl, gameLogic } = await restoreGameLogic(this, game);
+      this.imageUrl = imageUrl;
+      this.gameLogic = gameLogic;
+      restoreTimer(this.gameLogic, game);
+
+      console.log('Rejoin step 3: Re-subscribing to broadcast channel...');
+      this.realtimeChannel = await this.setupBroadcastChannel(game.id);
+      this.watchChannel = await openWatchChannel(this, game.id);
+      await this.requestStateSnapshot();
+
+      if (isMultiSeat(this)) {
+        await refreshSeats(this);
+      }
+
+      console.log('✅ Rejoined game as host');
+      return {
+        gameId: game.id,
+        gameCode: game.game_code,
+        game,
+        gameState: this.gameLogic.getGameState(),
+        waitingForPlayers: game.status === 'waiting'
+      };
+    } catch (error) {
+      console.error('Error rejoining game:', error);
+      await this.disconnect();
+      throw error;
+    }
+  }
+
   /**
    * Setup broadcast channel for real-time game updates
    * Uses Broadcast instead of postgres_changes for reliability
@@ -184,7 +811,7 @@ export class MultiplayerGameHost {
           isResolved = true;
           console.error('Channel subscription timeout');
           if (channel) {
-            supabase.removeChannel(channel).catch(console.error);
+            this.transport.removeChannel(channel).catch(console.error);
           }
           reject(new Error('Channel subscription timeout'));
         }
@@ -192,8 +819,9 @@ export class MultiplayerGameHost {
 
       console.log('Creating broadcast channel for game:', gameId);
 
-      channel = supabase.channel(`game:${gameId}`, {
+      channel = this.transport.channel(gameTopic(gameId), {
         config: {
+          private: true,
           broadcast: { self: false },
           presence: { key: this.userId }
         }
@@ -203,7 +831,7 @@ export class MultiplayerGameHost {
       channel.on('broadcast', { event: 'game_state' }, (payload) => {
         console.log('Received game state broadcast:', payload);
         if (payload.payload) {
-          this.handleGameStateUpdate(payload.payload);
+          fromSeatedPlayer(this, channel, payload.payload.senderId, () => receiveGameState(this, payload.payload));
         }
       });
 
@@ -215,19 +843,43 @@ export class MultiplayerGameHost {
         }
       });
 
+      // A rejoining opponent asks for the current board
+      channel.on('broadcast', { event: 'state_request' }, (payload) => {
+        const requesterId = payload.payload?.playerId;
+        console.log('State snapshot requested by', requesterId);
+        fromSeatedPlayer(this, channel, requesterId, () => answerStateRequest(this, requesterId));
+      });
+
+      // The other player took over (or reports who holds) the host role
+      channel.on('broadcast', { event: 'host_changed' }, (payload) => {
+        console.log('Host changed:', payload.payload);
+        fromSeatedPlayer(this, channel, payload.payload?.senderId, () => confirmHostChange(this, payload.payload));
+      });
+
       // Listen for player join notifications
       channel.on('broadcast', { event: 'player_joined' }, (payload) => {
         console.log('Player joined via broadcast:', payload);
+        if (isMultiSeat(this)) {
+          refreshSeats(this);
+          return;
+        }
         if (payload.payload && this.onOpponentJoin) {
           this.onOpponentJoin(payload.payload.playerName);
         }
       });
 
+      // Chat messages and emotes from the opponent
+      channel.on('broadcast', { event: 'chat_message' }, (payload) => {
+        fromSeatedPlayer(this, channel, payload.payload?.senderId, (seat) => receiveChatMessage(this, payload.payload, seat));
+      });
+
       // Presence events
       channel.on('presence', { event: 'sync' }, () => {
         const state = channel.presenceState();
         console.log('Presence sync:', state);
         this.handlePresenceSync(state);
+        checkHostPresence(this, state);
+        checkPartnerPresence(this, state);
       });
 
       channel.on('presence', { event: 'join' }, ({ newPresences }) => {
@@ -255,12 +907,7 @@ export class MultiplayerGameHost {
 
           // Track presence
           try {
-            await channel.track({
-              user_id: this.userId,
-              user_name: this.userName,
-              role: 'host',
-              online_at: new Date().toISOString()
-            });
+            await trackPresence(this, channel);
             console.log('Presence tracked successfully');
           } catch (trackErr) {
             console.warn('Failed to track presence:', trackErr);
@@ -282,7 +929,7 @@ export class MultiplayerGameHost {
           if (!isResolved) {
             isResolved = true;
             clearTimeout(timeoutId);
-            supabase.removeChannel(channel).catch(console.error);
+            this.transport.removeChannel(channel).catch(console.error);
             reject(new Error(`Channel failed: ${status}`));
           }
         } else if (status === CHANNEL_STATUS.CLOSED) {
@@ -297,43 +944,56 @@ export class MultiplayerGameHost {
 
   /**
    * Broadcast game state to all connected players.
-   * Sends compact IDs-only payload to stay under Supabase ~1MB broadcast limit.
+   * Sends the given server state, otherwise a compact snapshot of local logic.
    */
-  async broadcastGameState() {
+  async broadcastGameState(state = null) {
     if (!this.realtimeChannel || !this.gameLogic) return;
 
-    const gl = this.gameLogic;
-    const compactState = {
-      grid: gl.grid.map(p => p ? { id: p.id, correctPosition: p.correctPosition } : null),
-      playerARack: gl.playerARack.map(p => p ? p.id : null),
-      playerBRack: gl.playerBRack.map(p => p ? p.id : null),
-      piecePool: gl.piecePool.map(p => p.id),
-      currentTurn: gl.currentTurn,
-      scores: gl.scores,
-      revealedScores: gl.revealedScores,
-      pendingCheck: gl.pendingCheck,
-      gameState: gl.gameState,
-      timerRemaining: gl.timerRemaining,
-      moveHistory: gl.moveHistory,
-      mode: gl.mode,
-      turnsRemaining: gl.turnsRemaining,
-      checksRemaining: gl.checksRemaining,
-      nextCheckRevealProgress: gl.nextCheckRevealProgress,
-      piecePlacedBy: gl.piecePlacedBy,
-      pieceMarks: gl.pieceMarks,
-      nexusResolved: gl.nexusResolved
-    };
+    const compactState = toPublicState(state || toCompactState(this.gameLogic));
 
     try {
       await this.realtimeChannel.send({
         type: 'broadcast',
         event: 'game_state',
-        payload: compactState
+        payload: { ...compactState, senderId: this.userId }
       });
       console.log('📤 Game state broadcasted (compact, IDs only)');
     } catch (err) {
       console.error('Failed to broadcast game state:', err);
     }
+    await relayToSpectators(this, 'game_state', toSpectatorState(compactState));
+  }
+
+  /**
+   * Send a chat message to the opponent. Resolves the sent message (null
+   * if there was nothing to send); throws when rate limited.
+   */
+  async sendChat(text) {
+    return sendChatMessage(this, 'chat', text);
+  }
+
+  // Send one of the QUICK_EMOTES by id
+  async sendEmote(emoteId) {
+    return sendChatMessage(this, 'emote', emoteId);
+  }
+
+  /**
+   * Ask the opponent to broadcast their current state. The reply goes
+   * through handleGameStateUpdate, so an older snapshot is ignored.
+   */
+  async requestStateSnapshot() {
+    if (!this.realtimeChannel) return;
+
+    try {
+      await this.realtimeChannel.send({
+        type: 'broadcast',
+        event: 'state_request',
+        payload: { playerId: this.userId }
+      });
+      console.log('Requested state snapshot from opponent');
+    } catch (err) {
+      console.error('Failed to request state snapshot:', err);
+    }
   }
 
   /**
@@ -352,10 +1012,15 @@ export class MultiplayerGameHost {
     } catch (err) {
       console.error('Failed to broadcast game meta:', err);
     }
+    await relayToSpectators(this, 'game_meta', game);
   }
 
   handleGameStateUpdate(newState) {
     if (!this.gameLogic) return;
+    if (typeof newState.version === 'number' && newState.version < this.gameLogic.stateVersion) {
+      console.log('Ignoring stale game state broadcast (version', newState.version, ')');
+      return;
+    }
     console.log('📥 Host received state with pendingCheck:', newState.pendingCheck);
     // Use existing pieces array from gameLogic, not from newState (which doesn't include pieces)
     this.gameLogic.importGameState(newState, this.gameLogic.pieces);
@@ -369,7 +1034,8 @@ export class MultiplayerGameHost {
       this.onGameUpdate(game);
     }
 
-    if (game.status === 'active' && game.player_b_id) {
+    // 3-4 player games start from refreshSeats once every seat is filled
+    if (game.status === 'active' && game.player_b_id && !isMultiSeat(this)) {
       console.log('Player B joined!  Game starting...');
       if (this.onOpponentJoin) {
         this.onOpponentJoin(game.player_b_name);
@@ -378,12 +1044,13 @@ export class MultiplayerGameHost {
   }
 
   handlePresenceSync(state) {
-    const players = Object.values(state).flat();
+    const presences = Object.values(state).flat();
+    const players = presences.filter(p => !isSpectator(p));
     console.log('Players in game:', players);
 
     // Check if opponent joined via presence
     const opponent = players.find(p => p.user_id !== this.userId);
-    if (opponent && this.onOpponentJoin) {
+    if (opponent && this.onOpponentJoin && !isMultiSeat(this)) {
       this.onOpponentJoin(opponent.user_name || 'Opponent');
     }
 
@@ -399,8 +1066,8 @@ export class MultiplayerGameHost {
     }
 
     // Notify about opponent joining
-    const opponent = presences.find(p => p.user_id !== this.userId);
-    if (opponent && this.onOpponentJoin) {
+    const opponent = presences.find(p => p.user_id !== this.userId && !isSpectator(p));
+    if (opponent && this.onOpponentJoin && !isMultiSeat(this)) {
       this.onOpponentJoin(opponent.user_name || 'Opponent');
     }
   }
@@ -414,8 +1081,20 @@ export class MultiplayerGameHost {
   async makeMove(pieceId, gridIndex) {
     if (!this.gameLogic) throw new Error('Game not initialized');
 
-    const currentPlayer = 'playerA';
-    const isNexus = this.gameLogic.mode === 'NEXUS';
+    // The server validates and resolves the move; local logic only does
+    // where there is no server (the local transport)
+    const rotation = this.gameLogic.rotationEnabled ? this.gameLogic.getPieceRotation(pieceId) : null;
+    const response = await this.transport.gameState.submitMove(this.gameId, pieceId, gridIndex, rotation);
+    if (response) {
+      const serverResult = await applyAuthoritativeState(this, response);
+      if (!serverResult.success) {
+        throw new Error(serverResult.message);
+      }
+      return serverResult;
+    }
+
+    const currentPlayer = this.playerKey;
+    const isSimultaneous = this.gameLogic.isSimultaneous();
     const result = this.gameLogic.placePiece(currentPlayer, pieceId, gridIndex);
 
     if (!result.success) {
@@ -423,26 +1102,22 @@ export class MultiplayerGameHost {
     }
 
     // Broadcast FIRST for instant opponent update, then persist to DB in background
-    await this.broadcastGameState();
+    await broadcastLocalChange(this);
 
     // DB writes in background — don't block the UI
     Promise.all([
-      realtimeService.updateGameState(this.gameId, {
-        grid: this.gameLogic.grid.map(p => p ? {
-          id: p.id,
-          correctPosition: p.correctPosition
-        } : null),
-        player_a_rack: this.gameLogic.playerARack.map(p => p ? p.id : null),
-        player_b_rack: this.gameLogic.playerBRack.map(p => p ? p.id : null),
+      this.transport.gameState.updateGameState(this.gameId, {
+        grid: this.gameLogic.grid.map(p => this.gameLogic.toGridCell(p)),
+        ...rackColumns(this.gameLogic),
         piece_pool: this.gameLogic.piecePool.map(p => p.id),
-        // In Nexus: don't broadcast turn or awaiting_decision — truly simultaneous
-        current_turn: isNexus ? null : this.gameLogic.currentTurn,
-        pending_check: isNexus ? null : this.gameLogic.pendingCheck,
-        awaiting_decision: isNexus ? null : (result.awaitingCheck ? 'opponent_check' : null),
+        // NEXUS/SAVANT: don't broadcast turn or awaiting_decision — truly simultaneous
+        current_turn: isSimultaneous ? null : this.gameLogic.currentTurn,
+        pending_check: isSimultaneous ? null : this.gameLogic.pendingCheck,
+        awaiting_decision: isSimultaneous ? null : (result.awaitingCheck ? 'opponent_check' : null),
         move_history: this.gameLogic.moveHistory,
         timer_remaining: this.gameLogic.timerRemaining
       }),
-      gameService.updateGame(this.gameId, {
+      this.transport.games.updateGame(this.gameId, {
         player_a_score: this.gameLogic.scores.playerA.score,
         player_a_accuracy: this.gameLogic.scores.playerA.accuracy,
         player_a_streak: this.gameLogic.scores.playerA.streak
@@ -452,21 +1127,39 @@ export class MultiplayerGameHost {
     return result;
   }
 
+  // Rack orientation is private to the player, so rotating stays local
+  // until the piece is placed and submit_move records its rotation
+  rotatePiece(pieceId, steps = 1) {
+    if (!this.gameLogic) throw new Error('Game not initialized');
+
+    const result = this.gameLogic.rotatePiece(this.playerKey, pieceId, steps);
+    if (result.success && this.onStateUpdate) {
+      this.onStateUpdate(this.gameLogic.getGameState());
+    }
+    return result;
+  }
+
   async respondToCheck(decision) {
     if (!this.gameLogic) throw new Error('Game not initialized');
 
-    const result = this.gameLogic.handleOpponentCheck('playerA', decision);
+    const response = await this.transport.gameState.respondToCheck(this.gameId, decision);
+    if (response) {
+      return applyAuthoritativeState(this, response);
+    }
+
+    const result = this.gameLogic.handleOpponentCheck(this.playerKey, decision);
+    if (!result.success) return result;
 
     // Broadcast FIRST for instant opponent update
-    await this.broadcastGameState();
+    await broadcastLocalChange(this);
 
     // DB writes in background
     Promise.all([
-      realtimeService.updateGameState(this.gameId, {
+      this.transport.gameState.updateGameState(this.gameId, {
         ...this.gameLogic.exportForDatabase(),
         awaiting_decision: null
       }),
-      gameService.updateGame(this.gameId, {
+      this.transport.games.updateGame(this.gameId, {
         player_a_score: this.gameLogic.scores.playerA.score,
         player_a_accuracy: this.gameLogic.scores.playerA.accuracy,
         player_a_streak: this.gameLogic.scores.playerA.streak,
@@ -479,26 +1172,54 @@ export class MultiplayerGameHost {
     return result;
   }
 
+  // Hand a rack piece to the 2v2 partner
+  async passPiece(pieceId) {
+    if (!this.gameLogic) throw new Error('Game not initialized');
+
+    const response = await this.transport.gameState.passPiece(this.gameId, pieceId);
+    if (response) {
+      return applyAuthoritativeState(this, response);
+    }
+
+    const result = this.gameLogic.passPiece(this.playerKey, pieceId);
+    if (result.success) {
+      await broadcastLocalChange(this);
+    }
+    return result;
+  }
+
   // --- NEXUS MODE METHODS ---
 
   async markPiece(gridIndex, markType) {
     if (!this.gameLogic) throw new Error('Game not initialized');
-    const result = this.gameLogic.markPiece('playerA', gridIndex, markType);
+
+    const response = await this.transport.gameState.markPiece(this.gameId, gridIndex, markType);
+    if (response) {
+      return applyAuthoritativeState(this, response);
+    }
+
+    const result = this.gameLogic.markPiece(this.playerKey, gridIndex, markType);
     if (result.success) {
-      await this.broadcastGameState();
+      await broadcastLocalChange(this);
     }
     return result;
   }
 
   async resolveEndGame() {
     if (!this.gameLogic) throw new Error('Game not initialized');
-    const result = this.gameLogic.resolveNexusEndGame();
+
+    const response = await this.transport.gameState.resolveNexusGame(this.gameId);
+    if (response) {
+      return applyAuthoritativeState(this, response);
+    }
+
+    const result = this.gameLogic.resolveEndGame();
     if (result.success) {
-      await this.broadcastGameState();
+      await broadcastLocalChange(this);
       // Persist final scores
       Promise.all([
-        realtimeService.updateGameState(this.gameId, this.gameLogic.exportForDatabase()),
-        gameService.updateGame(this.gameId, {
+        this.transport.gameState.updateGameState(this.gameId, this.gameLogic.exportForDatabase()),
+        this.transport.games.updateGame(this.gameId, {
           player_a_score: this.gameLogic.scores.playerA.score,
           player_b_score: this.gameLogic.scores.playerB.score,
           player_a_accuracy: this.gameLogic.scores.playerA.accuracy,
@@ -513,15 +1234,13 @@ export class MultiplayerGameHost {
   async disconnect() {
     this.isConnected = false;
 
-    if (this.realtimeChannel) {
-      try {
-        await supabase.removeChannel(this.realtimeChannel);
-      } catch (err) {
-        console.error('Error cleaning up channel:', err);
-      }
-      this.realtimeChannel = null;
+    if (this.hostMigrationTimer) {
+      clearTimeout(this.hostMigrationTimer);
+      this.hostMigrationTimer = null;
     }
 
+    await closeChannels(this);
+
     this.onStateUpdate = null;
     this.onGameUpdate = null;
     this.onPresenceUpdate = null;
@@ -529,6 +1248,11 @@ export class MultiplayerGameHost {
     this.onPlayerLeave = null;
     this.onOpponentJoin = null;
     this.onConnectionChange = null;
+    this.onHostChange = null;
+    this.onSpectatorCountChange = null;
+    this.onChatMessage = null;
+    this.onSeatsChange = null;
+    this.onPartnerPresenceChange = null;
 
     console.log('Disconnected from game');
   }
@@ -539,72 +1263,104 @@ export class MultiplayerGameHost {
 // =====================================================
 
 export class MultiplayerGameGuest {
-  constructor() {
+  constructor(options = {}) {
     this.gameId = null;
     this.userId = null;
     this.userName = null;
     this.gameLogic = null;
     this.realtimeChannel = null;
+    this.watchChannel = null;
     this.isConnected = false;
+    // Seat of each seated user id, loaded as their broadcasts arrive (see fromSeatedPlayer)
+    this.playerSeats = new Map();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = RECONNECT_CONFIG.MAX_ATTEMPTS;
+    // Host role (games.host_id); can move to the other player mid-game
+    this.hostId = null;
+    this.isAuthority = false;
+    this.hostTimeout = options.hostTimeout ?? HOST_MIGRATION_CONFIG.PRESENCE_TIMEOUT;
+    this.hostMigrationTimer = null;
+    this.spectatorCount = 0;
+    // playerB, or playerC/playerD in a 3-4 player game
+    this.playerKey = 'playerB';
+    this.maxPlayers = 2;
+    this.seats = [];
+    this.chatLimiter = new RateLimiter();
+    // The default transport unless one is passed in (see lib/transports)
+    this.transport = options.transport || null;
+    this.buildPuzzle = options.buildPuzzle || buildSeededPuzzle;
   }
 
   async joinGame(gameCode) {
     try {
-      const user = await ensureAuthenticated();
+      const user = await connect(this);
       this.userId = user.id;
       this.userName = user.user_metadata?.username || 'Player B';
 
       console.log('Authenticated as:', this.userName, '(ID:', this.userId, ')');
 
       console.log('Step 1: Finding game by code...');
-      const game = await gameService.getGameByCode(gameCode);
+      const game = await this.transport.games.getGameByCode(gameCode);
 
       if (!game) {
         throw new Error('Game not found');
       }
 
+      // Re-entering the code of a game we're already in is a rejoin
+      const existingSeat = await findSeat(this, game, this.userId);
+      if (existingSeat && existingSeat !== 'playerA' && REJOINABLE_STATUSES.includes(game.status)) {
+        return await this.rejoinGame(game.id);
+      }
+
       if (game.status !== 'waiting') {
         throw new Error('Game is not accepting players');
       }
 
       this.gameId = game.id;
+      this.hostId = game.host_id;
+      this.maxPlayers = game.max_players || 2;
 
-      // Store image URL for preview
-      this.imageUrl = game.images?.storage_url || null;
-
-      if (!this.imageUrl) {
+      if (!game.images?.storage_url) {
         throw new Error('Game image URL not found');
       }
 
-      console.log('Step 2: Joining game as Player B...');
-      await gameService.joinGame(gameCode, this.userId, this.userName);
-
-      console.log('Step 3: Loading game state...');
-      const gameState = await realtimeService.getGameState(game.id);
+      let waitingForPlayers = false;
+      if (isMultiSeat(this)) {
+        console.log('Step 2: Taking the next free seat...');
+        const seat = await this.transport.games.joinGameSeat(gameCode, this.userName);
+        this.playerKey = seat.seat;
+        waitingForPlayers = seat.status === 'waiting';
+      } else {
+        console.log('Step 2: Joining game as Player B...');
+        await this.transport.games.joinGame(gameCode, this.userId, this.userName);
+      }
 
-      console.log('Step 4: Regenerating pieces with imageData from image URL...');
-      // Guest needs to reconstruct pieces with imageData since it's not stored in DB
-      const processor = new ImageProcessor(this.imageUrl, Math.round(Math.sqrt(game.grid_size)));
-      await processor.loadImage();
-      const { pieces } = await processor.sliceImage();
+      console.log('Step 3: Loading game state and regenerating pieces...');
+      // Guest needs to reconstruct pieces with imageData since it's not stored in DB.
+      // The game's seed reproduces the host's exact cut and piece shapes.
+      const { imageUrl, gameLogic } = await restoreGameLogic(this, game);
 
-      console.log('Step 5: Initializing game logic with full pieces...');
-      this.gameLogic = new GameLogic(game.grid_size, pieces, gameState?.gameplay_mode || 'CLASSIC');
-      this.gameLogic.importGameState(gameState, pieces);
+      // Store image URL for preview
+      this.imageUrl = imageUrl;
+      this.gameLogic = gameLogic;
 
-      console.log('Step 6: Setting up realtime channel (broadcast)...');
+      console.log('Step 4: Setting up realtime channel (broadcast)...');
       this.realtimeChannel = await this.setupBroadcastChannel(game.id);
+      this.watchChannel = await openWatchChannel(this, game.id);
 
       // Notify host that we joined
       await this.notifyPlayerJoined();
 
+      if (isMultiSeat(this)) {
+        await refreshSeats(this);
+      }
+
       console.log('✅ Successfully joined game!');
       return {
         gameId: game.id,
         game: game,
-        gameState: this.gameLogic.getGameState()
+        gameState: this.gameLogic.getGameState(),
+        waitingForPlayers
       };
 
     } catch (error) {
@@ -614,6 +1370,64 @@ export class MultiplayerGameGuest {
     }
   }
 
+  /**
+   * Pick a joined game back up after a crash, reload or sleeping phone:
+   * rebuild the board from game_state, re-subscribe and ask the host for
+   * a fresh snapshot.
+   */
+  async rejoinGame(gameId) {
+    try {
+      const user = await connect(this);
+      this.userId = user.id;
+      this.userName = user.user_metadata?.username || 'Player B';
+
+      console.log('Rejoin step 1: Loading game', gameId);
+      const game = await this.transport.games.getGame(gameId);
+
+      const seat = await findSeat(this, game, this.userId);
+      if (!seat || seat === 'playerA') {
+        throw new Error('You are not a player in this game');
+      }
+      if (!REJOINABLE_STATUSES.includes(game.status)) {
+        throw new Error('Game is no longer in progress');
+      }
+
+      this.gameId = game.id;
+      this.playerKey = seat;
+      this.maxPlayers = game.max_players || 2;
+      // The host role may have moved to the other player while we were gone
+      this.hostId = game.host_id;
+      this.isAuthority = game.host_id === this.userId;
+
+      console.log('Rejoin step 2: Rebuilding board from saved state...');
+      const { imageUrl, gameLogic } = await restoreGameLogic(this, game);
+      this.imageUrl = imageUrl;
+      this.gameLogic = gameLogic;
+      restoreTimer(this.gameLogic, game);
+
+      console.log('Rejoin step 3: Re-subscribing to broadcast channel...');
+      this.realtimeChannel = await this.setupBroadcastChannel(game.id);
+      this.watchChannel = await openWatchChannel(this, game.id);
+      await this.requestStateSnapshot();
+
+      if (isMultiSeat(this)) {
+        await refreshSeats(this);
+      }
+
+      console.log('✅ Rejoined game as guest');
+      return {
+        gameId: game.id,
+        game,
+        gameState: this.gameLogic.getGameState(),
+        waitingForPlayers: game.status === 'waiting'
+      };
+    } catch (error) {
+      console.error('Error rejoining game:', error);
+      await this.disconnect();
+      throw error;
+    }
+  }
+
   /**
    * Setup broadcast channel for real-time game updates
    */
@@ -627,7 +1441,7 @@ export class MultiplayerGameGuest {
           isResolved = true;
           console.error('Channel subscription timeout');
           if (channel) {
-            supabase.removeChannel(channel).catch(console.error);
+            this.transport.removeChannel(channel).catch(console.error);
           }
           reject(new Error('Channel subscription timeout'));
         }
@@ -635,8 +1449,9 @@ export class MultiplayerGameGuest {
 
       console.log('Creating broadcast channel for game:', gameId);
 
-      channel = supabase.channel(`game:${gameId}`, {
+      channel = this.transport.channel(gameTopic(gameId), {
         config: {
+          private: true,
           broadcast: { self: false },
           presence: { key: this.userId }
         }
@@ -646,7 +1461,7 @@ export class MultiplayerGameGuest {
       channel.on('broadcast', { event: 'game_state' }, (payload) => {
         console.log('Received game state broadcast:', payload);
         if (payload.payload) {
-          this.handleGameStateUpdate(payload.payload);
+          fromSeatedPlayer(this, channel, payload.payload.senderId, () => receiveGameState(this, payload.payload));
         }
       });
 
@@ -658,11 +1473,38 @@ export class MultiplayerGameGuest {
         }
       });
 
+      // A rejoining opponent asks for the current board
+      channel.on('broadcast', { event: 'state_request' }, (payload) => {
+        const requesterId = payload.payload?.playerId;
+        console.log('State snapshot requested by', requesterId);
+        fromSeatedPlayer(this, channel, requesterId, () => answerStateRequest(this, requesterId));
+      });
+
+      // The other player took over (or reports who holds) the host role
+      channel.on('broadcast', { event: 'host_changed' }, (payload) => {
+        console.log('Host changed:', payload.payload);
+        fromSeatedPlayer(this, channel, payload.payload?.senderId, () => confirmHostChange(this, payload.payload));
+      });
+
+      // Chat messages and emotes from the opponent
+      channel.on('broadcast', { event: 'chat_message' }, (payload) => {
+        fromSeatedPlayer(this, channel, payload.payload?.senderId, (seat) => receiveChatMessage(this, payload.payload, seat));
+      });
+
+      // Other seats filling up in a 3-4 player lobby
+      channel.on('broadcast', { event: 'player_joined' }, () => {
+        if (isMultiSeat(this)) {
+          refreshSeats(this);
+        }
+      });
+
       // Presence events
       channel.on('presence', { event: 'sync' }, () => {
         const state = channel.presenceState();
         console.log('Presence sync:', state);
         this.handlePresenceSync(state);
+        checkHostPresence(this, state);
+        checkPartnerPresence(this, state);
       });
 
       // Subscribe to the channel
@@ -680,12 +1522,7 @@ export class MultiplayerGameGuest {
 
           // Track presence
           try {
-            await channel.track({
-              user_id: this.userId,
-              user_name: this.userName,
-              role: 'guest',
-              online_at: new Date().toISOString()
-            });
+            await trackPresence(this, channel);
             console.log('Presence tracked successfully');
           } catch (trackErr) {
             console.warn('Failed to track presence:', trackErr);
@@ -707,7 +1544,7 @@ export class MultiplayerGameGuest {
           if (!isResolved) {
             isResolved = true;
             clearTimeout(timeoutId);
-            supabase.removeChannel(channel).catch(console.error);
+            this.transport.removeChannel(channel).catch(console.error);
             reject(new Error(`Channel failed: ${status}`));
           }
         } else if (status === CHANNEL_STATUS.CLOSED) {
@@ -720,6 +1557,53 @@ export class MultiplayerGameGuest {
     });
   }
 
+  /**
+   * Send a chat message to the opponent. Resolves the sent message (null
+   * if there was nothing to send); throws when rate limited.
+   */
+  async sendChat(text) {
+    return sendChatMessage(this, 'chat', text);
+  }
+
+  // Send one of the QUICK_EMOTES by id
+  async sendEmote(emoteId) {
+    return sendChatMessage(this, 'emote', emoteId);
+  }
+
+  /**
+   * Ask the opponent to broadcast their current state. The reply goes
+   * through handleGameStateUpdate, so an older snapshot is ignored.
+   */
+  async requestStateSnapshot() {
+    if (!this.realtimeChannel) return;
+
+    try {
+      await this.realtimeChannel.send({
+        type: 'broadcast',
+        event: 'state_request',
+        payload: { playerId: this.userId }
+      });
+      console.log('Requested state snapshot from opponent');
+    } catch (err) {
+      console.error('Failed to request state snapshot:', err);
+    }
+  }
+
+  /**
+   * Give the seat back while a 3-4 player game is still filling up
+   */
+  async leaveSeat() {
+    if (!this.gameId || !isMultiSeat(this)) return;
+
+    try {
+      await this.transport.games.leaveGameSeat(this.gameId);
+      // Same event as a join; the others just reload the seats
+      await this.notifyPlayerJoined();
+    } catch (err) {
+      console.error('Failed to leave seat:', err);
+    }
+  }
+
   /**
    * Notify host that this player joined
    */
@@ -743,47 +1627,32 @@ export class MultiplayerGameGuest {
 
   /**
    * Broadcast game state to all connected players.
-   * Sends compact IDs-only payload to stay under Supabase ~1MB broadcast limit.
+   * Sends the given server state, otherwise a compact snapshot of local logic.
    */
-  async broadcastGameState() {
+  async broadcastGameState(state = null) {
     if (!this.realtimeChannel || !this.gameLogic) return;
 
-    const gl = this.gameLogic;
-    const compactState = {
-      grid: gl.grid.map(p => p ? { id: p.id, correctPosition: p.correctPosition } : null),
-      playerARack: gl.playerARack.map(p => p ? p.id : null),
-      playerBRack: gl.playerBRack.map(p => p ? p.id : null),
-      piecePool: gl.piecePool.map(p => p.id),
-      currentTurn: gl.currentTurn,
-      scores: gl.scores,
-      revealedScores: gl.revealedScores,
-      pendingCheck: gl.pendingCheck,
-      gameState: gl.gameState,
-      timerRemaining: gl.timerRemaining,
-      moveHistory: gl.moveHistory,
-      mode: gl.mode,
-      turnsRemaining: gl.turnsRemaining,
-      checksRemaining: gl.checksRemaining,
-      nextCheckRevealProgress: gl.nextCheckRevealProgress,
-      piecePlacedBy: gl.piecePlacedBy,
-      pieceMarks: gl.pieceMarks,
-      nexusResolved: gl.nexusResolved
-    };
+    const compactState = toPublicState(state || toCompactState(this.gameLogic));
 
     try {
       await this.realtimeChannel.send({
         type: 'broadcast',
         event: 'game_state',
-        payload: compactState
+        payload: { ...compactState, senderId: this.userId }
       });
       console.log('📤 Game state broadcasted (compact, IDs only)');
     } catch (err) {
       console.error('Failed to broadcast game state:', err);
     }
+    await relayToSpectators(this, 'game_state', toSpectatorState(compactState));
   }
 
   handleGameStateUpdate(newState) {
     if (!this.gameLogic) return;
+    if (typeof newState.version === 'number' && newState.version < this.gameLogic.stateVersion) {
+      console.log('Ignoring stale game state broadcast (version', newState.version, ')');
+      return;
+    }
     console.log('📥 Guest received state with pendingCheck:', newState.pendingCheck);
     // Use existing pieces array from gameLogic, not from newState (which doesn't include pieces)
     this.gameLogic.importGameState(newState, this.gameLogic.pieces);
@@ -799,7 +1668,7 @@ export class MultiplayerGameGuest {
   }
 
   handlePresenceSync(state) {
-    const players = Object.values(state).flat();
+    const players = Object.values(state).flat().filter(p => !isSpectator(p));
     if (this.onPresenceUpdate) {
       this.onPresenceUpdate(players);
     }
@@ -808,8 +1677,20 @@ export class MultiplayerGameGuest {
   async makeMove(pieceId, gridIndex) {
     if (!this.gameLogic) throw new Error('Game not initialized');
 
-    const currentPlayer = 'playerB';
-    const isNexus = this.gameLogic.mode === 'NEXUS';
+    // The server validates and resolves the move; local logic only does
+    // where there is no server (the local transport)
+    const rotation = this.gameLogic.rotationEnabled ? this.gameLogic.getPieceRotation(pieceId) : null;
+    const response = await this.transport.gameState.submitMove(this.gameId, pieceId, gridIndex, rotation);
+    if (response) {
+      const serverResult = await applyAuthoritativeState(this, response);
+      if (!serverResult.success) {
+        throw new Error(serverResult.message);
+      }
+      return serverResult;
+    }
+
+    const currentPlayer = this.playerKey;
+    const isSimultaneous = this.gameLogic.isSimultaneous();
     const result = this.gameLogic.placePiece(currentPlayer, pieceId, gridIndex);
 
     if (!result.success) {
@@ -817,26 +1698,22 @@ export class MultiplayerGameGuest {
     }
 
     // Broadcast FIRST for instant host update, then persist to DB in background
-    await this.broadcastGameState();
+    await broadcastLocalChange(this);
 
     // DB writes in background — don't block the UI
     Promise.all([
-      realtimeService.updateGameState(this.gameId, {
-        grid: this.gameLogic.grid.map(p => p ? {
-          id: p.id,
-          correctPosition: p.correctPosition
-        } : null),
-        player_a_rack: this.gameLogic.playerARack.map(p => p ? p.id : null),
-        player_b_rack: this.gameLogic.playerBRack.map(p => p ? p.id : null),
+      this.transport.gameState.updateGameState(this.gameId, {
+        grid: this.gameLogic.grid.map(p => this.gameLogic.toGridCell(p)),
+        ...rackColumns(this.gameLogic),
         piece_pool: this.gameLogic.piecePool.map(p => p.id),
-        // In Nexus: don't broadcast turn or awaiting_decision
-        current_turn: isNexus ? null : this.gameLogic.currentTurn,
-        pending_check: isNexus ? null : this.gameLogic.pendingCheck,
-        awaiting_decision: isNexus ? null : (result.awaitingCheck ? 'opponent_check' : null),
+        // NEXUS/SAVANT: don't broadcast turn or awaiting_decision
+        current_turn: isSimultaneous ? null : this.gameLogic.currentTurn,
+        pending_check: isSimultaneous ? null : this.gameLogic.pendingCheck,
+        awaiting_decision: isSimultaneous ? null : (result.awaitingCheck ? 'opponent_check' : null),
         move_history: this.gameLogic.moveHistory,
         timer_remaining: this.gameLogic.timerRemaining
       }),
-      gameService.updateGame(this.gameId, {
+      this.transport.games.updateGame(this.gameId, {
         player_b_score: this.gameLogic.scores.playerB.score,
         player_b_accuracy: this.gameLogic.scores.playerB.accuracy,
         player_b_streak: this.gameLogic.scores.playerB.streak
@@ -846,21 +1723,39 @@ export class MultiplayerGameGuest {
     return result;
   }
 
+  // Rack orientation is private to the player, so rotating stays local
+  // until the piece is placed and submit_move records its rotation
+  rotatePiece(pieceId, steps = 1) {
+    if (!this.gameLogic) throw new Error('Game not initialized');
+
+    const result = this.gameLogic.rotatePiece(this.playerKey, pieceId, steps);
+    if (result.success && this.onStateUpdate) {
+      this.onStateUpdate(this.gameLogic.getGameState());
+    }
+    return result;
+  }
+
   async respondToCheck(decision) {
     if (!this.gameLogic) throw new Error('Game not initialized');
 
-    const result = this.gameLogic.handleOpponentCheck('playerB', decision);
+    const response = await this.transport.gameState.respondToCheck(this.gameId, decision);
+    if (response) {
+      return applyAuthoritativeState(this, response);
+    }
+
+    const result = this.gameLogic.handleOpponentCheck(this.playerKey, decision);
+    if (!result.success) return result;
 
     // Broadcast FIRST for instant host update
-    await this.broadcastGameState();
+    await broadcastLocalChange(this);
 
     // DB writes in background
     Promise.all([
-      realtimeService.updateGameState(this.gameId, {
+      this.transport.gameState.updateGameState(this.gameId, {
         ...this.gameLogic.exportForDatabase(),
         awaiting_decision: null
       }),
-      gameService.updateGame(this.gameId, {
+      this.transport.games.updateGame(this.gameId, {
         player_a_score: this.gameLogic.scores.playerA.score,
         player_a_accuracy: this.gameLogic.scores.playerA.accuracy,
         player_a_streak: this.gameLogic.scores.playerA.streak,
@@ -873,25 +1768,53 @@ export class MultiplayerGameGuest {
     return result;
   }
 
+  // Hand a rack piece to the 2v2 partner
+  async passPiece(pieceId) {
+    if (!this.gameLogic) throw new Error('Game not initialized');
+
+    const response = await this.transport.gameState.passPiece(this.gameId, pieceId);
+    if (response) {
+      return applyAuthoritativeState(this, response);
+    }
+
+    const result = this.gameLogic.passPiece(this.playerKey, pieceId);
+    if (result.success) {
+      await broadcastLocalChange(this);
+    }
+    return result;
+  }
+
   // --- NEXUS MODE METHODS ---
 
   async markPiece(gridIndex, markType) {
     if (!this.gameLogic) throw new Error('Game not initialized');
-    const result = this.gameLogic.markPiece('playerB', gridIndex, markType);
+
+    const response = await this.transport.gameState.markPiece(this.gameId, gridIndex, markType);
+    if (response) {
+      return applyAuthoritativeState(this, response);
+    }
+
+    const result = this.gameLogic.markPiece(this.playerKey, gridIndex, markType);
     if (result.success) {
-      await this.broadcastGameState();
+      await broadcastLocalChange(this);
     }
     return result;
   }
 
   async resolveEndGame() {
     if (!this.gameLogic) throw new Error('Game not initialized');
-    const result = this.gameLogic.resolveNexusEndGame();
+
+    const response = await this.transport.gameState.resolveNexusGame(this.gameId);
+    if (response) {
+      return applyAuthoritativeState(this, response);
+    }
+
+    const result = this.gameLogic.resolveEndGame();
     if (result.success) {
-      await this.broadcastGameState();
+      await broadcastLocalChange(this);
       Promise.all([
-        realtimeService.updateGameState(this.gameId, this.gameLogic.exportForDatabase()),
-        gameService.updateGame(this.gameId, {
+        this.transport.gameState.updateGameState(this.gameId, this.gameLogic.exportForDatabase()),
+        this.transport.games.updateGame(this.gameId, {
           player_a_score: this.gameLogic.scores.playerA.score,
           player_b_score: this.gameLogic.scores.playerB.score,
           player_a_accuracy: this.gameLogic.scores.playerA.accuracy,
@@ -906,25 +1829,243 @@ export class MultiplayerGameGuest {
   async disconnect() {
     this.isConnected = false;
 
-    if (this.realtimeChannel) {
-      try {
-        await supabase.removeChannel(this.realtimeChannel);
-      } catch (err) {
-        console.error('Error cleaning up channel:', err);
-      }
-      this.realtimeChannel = null;
+    if (this.hostMigrationTimer) {
+      clearTimeout(this.hostMigrationTimer);
+      this.hostMigrationTimer = null;
     }
 
+    await closeChannels(this);
+
     this.onStateUpdate = null;
     this.onGameUpdate = null;
     this.onPresenceUpdate = null;
     this.onConnectionChange = null;
+    this.onHostChange = null;
+    this.onSpectatorCountChange = null;
+    this.onChatMessage = null;
+    this.onSeatsChange = null;
+    this.onPartnerPresenceChange = null;
 
     console.log('Disconnected from game');
   }
 }
 
+// =====================================================
+// 3.  WATCH GAME (Spectator)
+// =====================================================
+
+/**
+ * Read-only view of a live game. Starts from get_spectator_state and then
+ * follows watch:<id>, where the players relay snapshots already reduced
+ * by toSpectatorState — never the racks or the hidden scores. It never
+ * joins the players' game:<id> channel.
+ */
+export class MultiplayerGameSpectator {
+  constructor(options = {}) {
+    this.gameId = null;
+    this.userId = null;
+    this.userName = null;
+    this.gameLogic = null;
+    this.realtimeChannel = null;
+    this.imageUrl = null;
+    this.isConnected = false;
+    this.playerSeats = new Map();
+    this.spectatorCount = 0;
+    this.piecePoolCount = 0;
+    this.transport = options.transport || null;
+    this.buildPuzzle = options.buildPuzzle || buildSeededPuzzle;
+  }
+
+  async watchGame(gameCode) {
+    await connect(this);
+    const game = await this.transport.games.getGameByCode(gameCode);
+    if (!game) {
+      throw new Error('Game not found');
+    }
+    return this.startWatching(game);
+  }
+
+  async watchGameById(gameId) {
+    await connect(this);
+    const game = await this.transport.games.getGame(gameId);
+    return this.startWatching(game);
+  }
+
+  async startWatching(game) {
+    try {
+      const user = await connect(this);
+      this.userId = user.id;
+      this.userName = user.user_metadata?.username || 'Spectator';
+
+      if (game.player_a_id === this.userId || game.player_b_id === this.userId) {
+        throw new Error('You are playing in this game - rejoin it instead');
+      }
+      if (game.mode !== 'multiplayer' || !REJOINABLE_STATUSES.includes(game.status)) {
+        throw new Error('Game is not live');
+      }
+
+      this.gameId = game.id;
+      this.imageUrl = game.images?.storage_url || null;
+      if (!this.imageUrl) {
+        throw new Error('Game image URL not found');
+      }
+
+      console.log('Spectate step 1: Loading sanitized game state...');
+      const state = await this.transport.gameState.getSpectatorState(game.id);
+
+      console.log('Spectate step 2: Rebuilding board from seed...');
+      const { pieces, gameLogic } = await this.buildPuzzle(
+        this.imageUrl,
+        Math.round(Math.sqrt(game.grid_size)),
+        game.seed ?? undefined,
+        state?.mode || 'CLASSIC',
+        { rotation: !!state?.rotationEnabled }
+      );
+      this.gameLogic = gameLogic;
+      if (state) {
+        const visible = toSpectatorState(state);
+        this.gameLogic.importGameState(visible, pieces);
+        this.piecePoolCount = visible.piecePoolCount;
+      }
+      restoreTimer(this.gameLogic, game);
+
+      console.log('Spectate step 3: Joining spectator channel...');
+      this.realtimeChannel = await this.setupBroadcastChannel(game.id);
+
+      console.log('✅ Watching game', game.game_code);
+      return {
+        gameId: game.id,
+        game,
+        gameState: this.getGameState()
+      };
+    } catch (error) {
+      console.error('Error watching game:', error);
+      await this.disconnect();
+      throw error;
+    }
+  }
+
+  setupBroadcastChannel(gameId) {
+    return new Promise((resolve, reject) => {
+      let isResolved = false;
+
+      const channel = this.transport.channel(watchTopic(gameId), {
+        config: {
+          private: true,
+          broadcast: { self: false },
+          presence: { key: this.userId }
+        }
+      });
+
+      const timeoutId = setTimeout(() => {
+        if (!isResolved) {
+          isResolved = true;
+          this.transport.removeChannel(channel).catch(console.error);
+          reject(new Error('Channel subscription timeout'));
+        }
+      }, RECONNECT_CONFIG.CHANNEL_TIMEOUT);
+
+      channel.on('broadcast', { event: 'game_state' }, (payload) => {
+        if (payload.payload) {
+          fromSeatedPlayer(this, channel, payload.payload.senderId, () => this.handleGameStateUpdate(toSpectatorState(payload.payload)));
+        }
+      });
+
+      channel.on('broadcast', { event: 'game_meta' }, (payload) => {
+        if (payload.payload && this.onGameUpdate) {
+          fromSeatedPlayer(this, channel, payload.payload.senderId, () => this.onGameUpdate(payload.payload));
+        }
+      });
+
+      channel.on('presence', { event: 'sync' }, () => {
+        updateSpectatorCount(this, channel.presenceState());
+      });
+
+      channel.subscribe(async (status, err) => {
+        console.log('Spectator channel status:', status, err ? `Error: ${err.message}` : '');
+        if (isResolved) {
+          if (status === CHANNEL_STATUS.CLOSED) this.isConnected = false;
+          return;
+        }
+
+        if (status === CHANNEL_STATUS.SUBSCRIBED) {
+          isResolved = true;
+          clearTimeout(timeoutId);
+          this.isConnected = true;
+
+          try {
+            await channel.track({
+              user_id: this.userId,
+              user_name: this.userName,
+              role: 'spectator',
+              online_at: new Date().toISOString()
+            });
+          } catch (trackErr) {
+            console.warn('Failed to track presence:', trackErr);
+          }
+
+          resolve(channel);
+        } else if (status === CHANNEL_STATUS.CHANNEL_ERROR || status === CHANNEL_STATUS.TIMED_OUT) {
+          isResolved = true;
+          clearTimeout(timeoutId);
+          this.transport.removeChannel(channel).catch(console.error);
+          reject(new Error(`Channel failed: ${status}`));
+        }
+      });
+    });
+  }
+
+  handleGameStateUpdate(newState) {
+    if (!this.gameLogic) return;
+    if (typeof newState.version === 'number' && newState.version < this.gameLogic.stateVersion) {
+      return;
+    }
+    this.gameLogic.importGameState(newState, this.gameLogic.pieces);
+    this.piecePoolCount = newState.piecePoolCount;
+    if (this.onStateUpdate) {
+      this.onStateUpdate(this.getGameState());
+    }
+  }
+
+  // Board, turn, timer and revealed scores; racks and hidden scores stay out.
+  // Completion is judged from the board alone, since the spectator never
+  // holds the racks or pool that GameLogic.isGameComplete looks at.
+  getGameState() {
+    if (!this.gameLogic) return null;
+    const full = this.gameLogic.getGameState();
+    const view = {};
+    SPECTATOR_FIELDS.forEach((field) => {
+      if (full[field] !== undefined) view[field] = full[field];
+    });
+
+    return {
+      ...view,
+      grid: full.grid,
+      pendingCheck: withoutCorrect(full.pendingCheck) || null,
+      moveHistory: full.moveHistory.map(withoutCorrect),
+      piecePoolCount: this.piecePoolCount,
+      isComplete: full.grid.every(cell => cell != null) || full.gameState === 'finished',
+      pieceRotations: Object.fromEntries(
+        full.grid.filter(Boolean).map(p => [p.id, full.pieceRotations[p.id] || 0])
+      )
+    };
+  }
+
+  async disconnect() {
+    this.isConnected = false;
+
+    await closeChannels(this);
+
+    this.onStateUpdate = null;
+    this.onGameUpdate = null;
+    this.onSpectatorCountChange = null;
+
+    console.log('Stopped watching game');
+  }
+}
+
 export default {
   MultiplayerGameHost,
-  MultiplayerGameGuest
+  MultiplayerGameGuest,
+  MultiplayerGameSpectator
 };
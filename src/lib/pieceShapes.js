@@ -0,0 +1,150 @@
+// =====================================================
+// PIECE SHAPES - Interlocking tab/blank jigsaw geometry
+// =====================================================
+
+import { randomBetween } from './prng.js';
+
+const KNOB_SIZE_JITTER = 0.08;
+const KNOB_OFFSET_JITTER = 0.06;
+
+// Space reserved around every piece image for protruding knobs, as a
+// fraction of the shorter piece side (covers the 0.24 knob at max jitter)
+export const PIECE_PADDING_RATIO = 0.27;
+
+// One knob along a unit edge running from (0,0) to (1,0); y points outward
+// in units of the shorter piece side. Symmetric around x = 0.5 so a
+// reversed edge only mirrors the offset.
+const KNOB_CURVES = [
+  [[0.42, 0], [0.44, 0.06], [0.40, 0.10]],
+  [[0.33, 0.18], [0.42, 0.24], [0.50, 0.24]],
+  [[0.58, 0.24], [0.67, 0.18], [0.60, 0.10]],
+  [[0.56, 0.06], [0.58, 0], [0.62, 0]]
+];
+const KNOB_START = 0.38;
+
+/**
+ * Give every internal edge of a rows x cols grid a random profile.
+ * horizontal[r][c] sits below piece (r, c); vertical[r][c] sits right of it.
+ * direction 1 means the knob sticks out of (r, c), -1 means into it.
+ */
+export function generateEdgeProfiles(rows, cols, rng) {
+  const makeProfile = () => ({
+    direction: rng() < 0.5 ? 1 : -1,
+    offset: randomBetween(rng, -KNOB_OFFSET_JITTER, KNOB_OFFSET_JITTER),
+    size: randomBetween(rng, 1 - KNOB_SIZE_JITTER, 1 + KNOB_SIZE_JITTER)
+  });
+
+  const horizontal = [];
+  const vertical = [];
+  for (let r = 0; r < rows; r++) {
+    horizontal.push([]);
+    vertical.push([]);
+    for (let c = 0; c < cols; c++) {
+      horizontal[r].push(r < rows - 1 ? makeProfile() : null);
+      vertical[r].push(c < cols - 1 ? makeProfile() : null);
+    }
+  }
+
+  return { horizontal, vertical };
+}
+
+/**
+ * Describe the four sides of piece (row, col) from its own point of view.
+ * Returns { edges: {top, right, bottom, left}, edgeShapes } where each edge is
+ * 'tab' | 'blank' | 'flat' and edgeShapes holds the knob offset/size in the
+ * clockwise order the outline is traced.
+ */
+export function getPieceEdges(row, col, profiles) {
+  const below = profiles.horizontal[row][col];
+  const above = row > 0 ? profiles.horizontal[row - 1][col] : null;
+  const right = profiles.vertical[row][col];
+  const left = col > 0 ? profiles.vertical[row][col - 1] : null;
+
+  // Profiles are owned by the piece above / to the left, so the neighbour
+  // sees the opposite direction. Bottom and left are traced backwards.
+  const side = (profile, outwardDirection, reversed) => {
+    if (!profile) return { type: 'flat', shape: null };
+    return {
+      type: profile.direction === outwardDirection ? 'tab' : 'blank',
+      shape: { offset: reversed ? -profile.offset : profile.offset, size: profile.size }
+    };
+  };
+
+  const top = side(above, -1, false);
+  const rightSide = side(right, 1, false);
+  const bottom = side(below, 1, true);
+  const leftSide = side(left, -1, true);
+
+  return {
+    edges: { top: top.type, right: rightSide.type, bottom: bottom.type, left: leftSide.type },
+    edgeShapes: { top: top.shape, right: rightSide.shape, bottom: bottom.shape, left: leftSide.shape }
+  };
+}
+
+/**
+ * Trace a piece outline into a 2D context, clockwise from the top-left
+ * corner of the piece body at (0, 0). Knobs extend past the body by up to
+ * PIECE_PADDING_RATIO * min(width, height).
+ */
+export function tracePieceOutline(ctx, width, height, edges, edgeShapes) {
+  const unit = Math.min(width, height);
+  const sides = [
+    { key: 'top', from: [0, 0], to: [width, 0], normal: [0, -1] },
+    { key: 'right', from: [width, 0], to: [width, height], normal: [1, 0] },
+    { key: 'bottom', from: [width, height], to: [0, height], normal: [0, 1] },
+    { key: 'left', from: [0, height], to: [0, 0], normal: [-1, 0] }
+  ];
+
+  ctx.beginPath();
+  ctx.moveTo(0, 0);
+
+  sides.forEach(({ key, from, to, normal }) => {
+    const type = edges?.[key];
+    const shape = edgeShapes?.[key];
+
+    if (type !== 'tab' && type !== 'blank') {
+      ctx.lineTo(to[0], to[1]);
+      return;
+    }
+
+    const dx = to[0] - from[0];
+    const dy = to[1] - from[1];
+    const outward = type === 'tab' ? 1 : -1;
+    const offset = shape?.offset || 0;
+    const size = shape?.size || 1;
+    const knob = size * unit;
+
+    // Map unit-edge coordinates onto this side
+    const point = ([t, n]) => {
+      const along = 0.5 + (t - 0.5) * size + offset;
+      return [
+        from[0] + dx * along + normal[0] * n * knob * outward,
+        from[1] + dy * along + normal[1] * n * knob * outward
+      ];
+    };
+
+    ctx.lineTo(...point([KNOB_START, 0]));
+    KNOB_CURVES.forEach(([c1, c2, end]) => {
+      ctx.bezierCurveTo(...point(c1), ...point(c2), ...point(end));
+    });
+    ctx.lineTo(to[0], to[1]);
+  });
+
+  ctx.closePath();
+}
+
+/**
+ * Number of border ('flat') sides — 2+ for corners, 1 for edge pieces.
+ */
+export function countFlatEdges(edges) {
+  if (!edges) return 0;
+  return ['top', 'right', 'bottom', 'left'].filter(side => edges[side] === 'flat').length;
+}
+
+export default {
+  PIECE_PADDING_RATIO,
+  countFlatEdges,
+  generateEdgeProfiles,
+  getPieceEdges,
+  tracePieceOutline
+};
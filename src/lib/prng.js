@@ -0,0 +1,66 @@
+// =====================================================
+// SEEDED PRNG - Reproducible randomness for puzzle generation
+// =====================================================
+
+/**
+ * Create a fresh 32-bit seed.
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Mulberry32 generator. Returns a function yielding floats in [0, 1),
+ * a drop-in replacement for Math.random that repeats for the same seed.
+ */
+export function createRng(seed) {
+  let state = (seed >>> 0) || 1;
+  return function rng() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Derive an independent seed for one named stream (e.g. 'shapes', 'deal')
+ * so adding randomness in one place never shifts the others.
+ */
+export function deriveSeed(seed, stream) {
+  // FNV-1a over the stream name, mixed into the base seed
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < stream.length; i++) {
+    hash ^= stream.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return ((seed >>> 0) ^ hash) >>> 0;
+}
+
+/**
+ * Fisher-Yates shuffle into a new array using the given generator.
+ */
+export function shuffle(items, rng) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Float in [min, max) from the given generator.
+ */
+export function randomBetween(rng, min, max) {
+  return min + rng() * (max - min);
+}
+
+export default {
+  randomSeed,
+  createRng,
+  deriveSeed,
+  shuffle,
+  randomBetween
+};
@@ -0,0 +1,107 @@
+// =====================================================
+// PROFILE - Statistics derived from a player's game history
+// =====================================================
+
+import { getSeatTeam } from './gameConfig.js';
+
+export const PROFILE_CONFIG = {
+  HISTORY_LIMIT: 50,
+  RECENT_GAMES: 8,
+  FAVOURITE_PUZZLES: 4,
+  HEAD_TO_HEAD: 5
+};
+
+// 3-4 player games list every seat; two-player ones may predate game_players
+export const getGameSeats = (game) => (game.game_players?.length > 2
+  ? [...game.game_players].sort((x, y) => x.seat.localeCompare(y.seat))
+  : [
+      { seat: 'playerA', user_id: game.player_a_id, player_name: game.player_a_name || 'Player A', score: game.player_a_score, accuracy: game.player_a_accuracy },
+      { seat: 'playerB', user_id: game.player_b_id, player_name: game.player_b_name || 'Player B', score: game.player_b_score, accuracy: game.player_b_accuracy }
+    ]);
+
+// 'win' | 'loss' | 'tie' | 'coop' from userId's point of view. Not every
+// finish path records games.winner, so fall back to the scores
+export const getGameResult = (game, userId) => {
+  const seats = getGameSeats(game);
+  const top = Math.max(...seats.map(s => s.score || 0));
+  const leaders = seats.filter(s => (s.score || 0) === top);
+  const winner = game.winner || (leaders.length === 1 ? leaders[0].seat : 'tie');
+  if (winner === 'tie') return 'tie';
+  if (winner === 'coop') return 'coop';
+  const mySeat = seats.find(s => s.user_id === userId)?.seat;
+  // 2v2 matches are won by a team
+  return winner === mySeat || winner === getSeatTeam(mySeat) ? 'win' : 'loss';
+};
+
+// Everyone userId played against: the rival team in 2v2, nobody in co-op
+export const getOpponents = (game, userId) => {
+  if (game.winner === 'coop') return [];
+  const seats = getGameSeats(game);
+  const mySeat = seats.find(s => s.user_id === userId)?.seat;
+  if (!mySeat) return [];
+  const myTeam = getSeatTeam(mySeat);
+  return seats.filter(s => s.seat !== mySeat && s.user_id && (!myTeam || getSeatTeam(s.seat) !== myTeam));
+};
+
+// One point per game, oldest first, for the trend charts
+export const buildTrends = (history, userId) => history
+  .map(game => {
+    const seat = getGameSeats(game).find(s => s.user_id === userId);
+    if (!seat) return null;
+    return {
+      gameId: game.id,
+      date: game.completed_at,
+      score: seat.score || 0,
+      accuracy: seat.accuracy == null ? null : Number(seat.accuracy),
+      result: getGameResult(game, userId)
+    };
+  })
+  .filter(Boolean)
+  .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+// Most played puzzle images, with how often the player won on them
+export const getFavouritePuzzles = (history, userId, limit = PROFILE_CONFIG.FAVOURITE_PUZZLES) => {
+  const byImage = new Map();
+  history.forEach(game => {
+    if (!game.images?.storage_url) return;
+    const entry = byImage.get(game.images.id) || {
+      imageId: game.images.id,
+      name: game.images.file_name,
+      url: game.images.storage_url,
+      played: 0,
+      won: 0
+    };
+    entry.played++;
+    if (getGameResult(game, userId) === 'win') entry.won++;
+    byImage.set(game.images.id, entry);
+  });
+  return [...byImage.values()]
+    .sort((a, b) => b.played - a.played || b.won - a.won)
+    .slice(0, limit);
+};
+
+// Win/loss/tie record against each opponent, most frequent first
+export const getHeadToHead = (history, userId, limit = PROFILE_CONFIG.HEAD_TO_HEAD) => {
+  const byOpponent = new Map();
+  history.forEach(game => {
+    const result = getGameResult(game, userId);
+    getOpponents(game, userId).forEach(opponent => {
+      const entry = byOpponent.get(opponent.user_id) || {
+        userId: opponent.user_id,
+        name: opponent.player_name,
+        played: 0,
+        won: 0,
+        lost: 0,
+        tied: 0
+      };
+      entry.played++;
+      if (result === 'win') entry.won++;
+      else if (result === 'loss') entry.lost++;
+      else entry.tied++;
+      byOpponent.set(opponent.user_id, entry);
+    });
+  });
+  return [...byOpponent.values()]
+    .sort((a, b) => b.played - a.played || b.won - a.won)
+    .slice(0, limit);
+};
@@ -0,0 +1,195 @@
+// =====================================================
+// MATCH REPLAY - Rebuild a finished game from its move history
+// =====================================================
+//
+// move_history logs every placement plus, since the replay_history
+// migration, each check/pass decision, Nexus mark and the end-game
+// resolve. Each entry carries every player's score after it. Replaying is
+// just folding those entries into one board snapshot ("frame") per step.
+
+import { gameService, realtimeService } from '../services';
+import { buildSeededPuzzle } from './gameLogic';
+import { getModeConfig } from './gameModes';
+import { PLAYER_CONFIG } from './gameConfig';
+import { toChatMessage } from './chat';
+
+/**
+ * Grid position as shown to players, e.g. 12 on a 10x10 board -> "C2".
+ */
+export function formatGridPosition(gridIndex, gridSize = 10) {
+  const col = gridIndex % gridSize;
+  const row = Math.floor(gridIndex / gridSize);
+  return `${String.fromCharCode(65 + col)}${row + 1}`;
+}
+
+/**
+ * What a history entry was. Entries without a `type` are placements.
+ */
+export function getEntryType(entry) {
+  return entry?.type || 'place';
+}
+
+const CHECK_OUTCOMES = {
+  successful_check: 'caught an incorrect piece',
+  failed_check: 'checked a correct piece',
+  opponent_passed_correct: 'passed a correct piece',
+  opponent_passed_incorrect: 'passed an incorrect piece'
+};
+
+/**
+ * One-line description of a history entry, for the move list and replay.
+ */
+export function describeHistoryEntry(entry, gridSize = 10) {
+  const at = entry.gridIndex !== undefined ? formatGridPosition(entry.gridIndex, gridSize) : '';
+
+  switch (getEntryType(entry)) {
+    case 'check': {
+      const verb = entry.decision === 'check' ? 'Checked' : 'Passed';
+      const outcome = CHECK_OUTCOMES[entry.outcome];
+      return `${verb} piece #${entry.pieceId} at ${at}${outcome ? ` — ${outcome}` : ''}`;
+    }
+    case 'mark':
+      return entry.markType
+        ? `Marked ${at} as ${entry.markType}`
+        : `Cleared the mark on ${at}`;
+    case 'pass':
+      return `Passed piece #${entry.pieceId} to ${getPlayerLabel(entry.to)}`;
+    case 'resolve':
+      return 'Resolved the board — all pieces and marks scored';
+    default:
+      return `Placed piece #${entry.pieceId} at ${at}`;
+  }
+}
+
+// Seat label for history rows; end-of-game entries may have no player
+export function getPlayerLabel(player) {
+  return PLAYER_CONFIG.LABELS[player] || 'Game';
+}
+
+/**
+ * Fold a move history into one frame per step. Frame 0 is the empty
+ * board; frame i is the board right after history entry i - 1.
+ *
+ * Frame: { entry, grid, pieceRotations, piecePlacedBy, pieceMarks,
+ *          scores, delta, removed }
+ * grid holds piece ids (or null); `delta` is null when the entry predates
+ * score snapshots.
+ */
+export function buildReplayFrames(moveHistory = [], { totalPieces, mode = 'CLASSIC' } = {}) {
+  const returnsWrongPieces = !!getModeConfig(mode).features?.returnsWrongPieces;
+
+  let grid = Array(totalPieces).fill(null);
+  let pieceRotations = {};
+  let piecePlacedBy = {};
+  let pieceMarks = {};
+  let scores = { playerA: 0, playerB: 0 };
+
+  const frames = [{ entry: null, grid, pieceRotations, piecePlacedBy, pieceMarks, scores, delta: null, removed: false }];
+
+  moveHistory.forEach((entry) => {
+    grid = [...grid];
+    pieceRotations = { ...pieceRotations };
+    piecePlacedBy = { ...piecePlacedBy };
+    pieceMarks = { ...pieceMarks };
+    let removed = false;
+
+    switch (getEntryType(entry)) {
+      case 'place':
+        // SAVANT bounces wrong pieces straight back to the rack
+        if (returnsWrongPieces && entry.correct === false) {
+          removed = true;
+          break;
+        }
+        grid[entry.gridIndex] = entry.pieceId;
+        piecePlacedBy[entry.gridIndex] = entry.player;
+        if (entry.rotation !== undefined) pieceRotations[entry.pieceId] = entry.rotation;
+        break;
+      case 'check':
+        if (entry.removed) {
+          grid[entry.gridIndex] = null;
+          delete piecePlacedBy[entry.gridIndex];
+          removed = true;
+        }
+        break;
+      case 'mark':
+        if (entry.markType) {
+          pieceMarks[entry.gridIndex] = { marker: entry.player, type: entry.markType };
+        } else {
+          delete pieceMarks[entry.gridIndex];
+        }
+        break;
+      default:
+        break;
+    }
+
+    let delta = null;
+    if (entry.scores) {
+      delta = Object.fromEntries(
+        Object.keys(entry.scores).map(player => [player, entry.scores[player] - (scores[player] || 0)])
+      );
+      scores = { ...entry.scores };
+    }
+
+    frames.push({ entry, grid, pieceRotations, piecePlacedBy, pieceMarks, scores, delta, removed });
+  });
+
+  return frames;
+}
+
+/**
+ * Chat said by the time a step is shown: everything sent before the next
+ * move was made. The last step shows the whole conversation, GGs included.
+ */
+export function getMessagesAtStep(messages = [], frames = [], step = 0) {
+  const nextAt = frames[step + 1]?.entry?.timestamp;
+  if (!nextAt) return messages;
+  return messages.filter(message => new Date(message.createdAt).getTime() < nextAt);
+}
+
+/**
+ * Everything the replay viewer needs for a completed game: the game row,
+ * the seeded puzzle pieces (for textures), the frames and the chat.
+ */
+export async function loadReplay(gameId) {
+  const game = await gameService.getGame(gameId);
+  if (game.status !== 'completed') {
+    throw new Error('Only finished games can be replayed');
+  }
+
+  const imageUrl = game.images?.storage_url || null;
+  if (!imageUrl) {
+    throw new Error('Game image URL not found');
+  }
+
+  const gameState = await realtimeService.getGameState(gameId);
+  const mode = gameState?.gameplay_mode || 'CLASSIC';
+  const rotationEnabled = !!gameState?.rotation_enabled;
+
+  const { pieces, gridDimensions } = await buildSeededPuzzle(
+    imageUrl,
+    Math.round(Math.sqrt(game.grid_size)),
+    game.seed ?? undefined,
+    mode,
+    { rotation: rotationEnabled }
+  );
+
+  const frames = buildReplayFrames(gameState?.move_history || [], {
+    totalPieces: gridDimensions.totalPieces,
+    mode
+  });
+
+  // Seats C and D are only named in game_players
+  const seats = (game.max_players || 2) > 2
+    ? await gameService.getGamePlayers(gameId)
+    : [];
+
+  // Chat is optional: older deployments have no game_messages table
+  const messages = await realtimeService.getGameMessages(gameId)
+    .then(rows => (rows || []).map(toChatMessage))
+    .catch(err => {
+      console.warn('Replay chat unavailable:', err.message);
+      return [];
+    });
+
+  return { game, seats, imageUrl, pieces, frames, mode, rotationEnabled, messages };
+}
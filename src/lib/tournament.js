@@ -0,0 +1,248 @@
+// =====================================================
+// TOURNAMENTS - Bracket generation and standings
+// =====================================================
+//
+// The organiser's client pairs each round here and sends the pairings to
+// create_tournament_round, which checks them and stores the matches. For
+// each match, player A creates the game and hands it over through
+// set_tournament_match_game, as the host does in a quick match. When the
+// game completes, a trigger records the result and advances the bracket
+// (see the tournaments migration).
+//
+// Participants are { userId, displayName, seed, points, eliminated };
+// matches are { id, round, slot, playerA, playerB, winner, result, status }
+// with user ids for players and winner. playerB is null for a bye.
+
+export const TOURNAMENT_FORMATS = {
+  SINGLE_ELIMINATION: 'single_elimination',
+  SWISS: 'swiss'
+};
+
+export const TOURNAMENT_CONFIG = {
+  MIN_PARTICIPANTS: 2,
+  // Same cap as join_tournament
+  MAX_PARTICIPANTS: 64,
+  // Swiss points; single elimination counts wins the same way
+  POINTS: { win: 1, tie: 0.5, bye: 1 },
+  FORMAT_LABELS: {
+    single_elimination: 'Single elimination',
+    swiss: 'Swiss'
+  }
+};
+
+const nextPowerOfTwo = (n) => 2 ** Math.ceil(Math.log2(Math.max(n, 2)));
+
+/**
+ * Rounds needed to finish: log2 of the bracket for single elimination,
+ * the chosen count (default the same) for Swiss.
+ */
+export function getRoundCount(format, participantCount, swissRounds = null) {
+  const rounds = Math.ceil(Math.log2(Math.max(participantCount, 2)));
+  return format === TOURNAMENT_FORMATS.SWISS ? (swissRounds || rounds) : rounds;
+}
+
+/**
+ * Seed numbers in bracket order for a bracket of `size` (a power of two),
+ * so seed 1 and 2 can only meet in the final: 8 → [1, 8, 4, 5, 2, 7, 3, 6].
+ */
+export function getBracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Round 1 of a single-elimination bracket. Missing seeds become byes,
+ * which fall to the top seeds.
+ */
+export function pairEliminationFirstRound(participants) {
+  const bySeed = [...participants].sort((a, b) => a.seed - b.seed);
+  const order = getBracketOrder(nextPowerOfTwo(bySeed.length));
+  const pairings = [];
+
+  for (let i = 0; i < order.length; i += 2) {
+    const playerA = bySeed[order[i] - 1];
+    const playerB = bySeed[order[i + 1] - 1];
+    pairings.push({
+      slot: i / 2,
+      playerA: playerA.userId,
+      playerB: playerB ? playerB.userId : null
+    });
+  }
+  return pairings;
+}
+
+/**
+ * Winners of neighbouring matches in the previous round meet next.
+ */
+export function pairEliminationNextRound(previousMatches) {
+  const ordered = [...previousMatches].sort((a, b) => a.slot - b.slot);
+  const pairings = [];
+
+  for (let i = 0; i < ordered.length; i += 2) {
+    pairings.push({
+      slot: i / 2,
+      playerA: ordered[i].winner,
+      playerB: ordered[i + 1] ? ordered[i + 1].winner : null
+    });
+  }
+  return pairings;
+}
+
+/**
+ * Points, Buchholz (the sum of the opponents' points) and win/loss/tie
+ * counts from the completed matches, best first.
+ */
+export function getStandings(participants, matches) {
+  const { win, tie, bye } = TOURNAMENT_CONFIG.POINTS;
+  const rows = new Map(participants.map(p => [p.userId, {
+    ...p, points: 0, buchholz: 0, wins: 0, losses: 0, ties: 0, opponents: []
+  }]));
+
+  for (const match of matches) {
+    if (match.status !== 'completed') continue;
+    const a = rows.get(match.playerA);
+    const b = match.playerB ? rows.get(match.playerB) : null;
+    if (!a) continue;
+
+    if (!b) {
+      a.points += bye;
+      a.wins++;
+      continue;
+    }
+
+    a.opponents.push(b.userId);
+    b.opponents.push(a.userId);
+    // A single-elimination tie has a winner: the seed that went through
+    if (match.result === 'tie' && !match.winner) {
+      a.points += tie;
+      b.points += tie;
+      a.ties++;
+      b.ties++;
+    } else {
+      const [winner, loser] = match.winner === a.userId ? [a, b] : [b, a];
+      winner.points += win;
+      winner.wins++;
+      loser.losses++;
+    }
+  }
+
+  for (const row of rows.values()) {
+    row.buchholz = row.opponents.reduce((sum, id) => sum + rows.get(id).points, 0);
+  }
+
+  return [...rows.values()]
+    .sort((a, b) => b.points - a.points || b.buchholz - a.buchholz || a.seed - b.seed)
+    .map((row, index) => ({ ...row, rank: index + 1 }));
+}
+
+// Backtracking search for a round with no rematches, best-ranked pairs
+// first. Gives up (null) after SWISS_SEARCH_LIMIT steps.
+const SWISS_SEARCH_LIMIT = 10000;
+
+function pairWithoutRematches(pool, played) {
+  let steps = 0;
+  const search = (remaining) => {
+    if (remaining.length === 0) return [];
+    const [playerA, ...rest] = remaining;
+    for (const playerB of rest) {
+      if (++steps > SWISS_SEARCH_LIMIT) return null;
+      if (played.has(`${playerA}:${playerB}`)) continue;
+      const others = search(rest.filter(id => id !== playerB));
+      if (others) return [[playerA, playerB], ...others];
+    }
+    return null;
+  };
+  return search(pool);
+}
+
+// Each player takes the next one they haven't met, or the next one at all
+function pairGreedily(pool, played) {
+  const pairs = [];
+  let remaining = pool;
+  while (remaining.length > 0) {
+    const [playerA, ...rest] = remaining;
+    const playerB = rest.find(id => !played.has(`${playerA}:${id}`)) || rest[0];
+    pairs.push([playerA, playerB]);
+    remaining = rest.filter(id => id !== playerB);
+  }
+  return pairs;
+}
+
+/**
+ * The next Swiss round: players on equal points meet where possible,
+ * nobody meets the same opponent twice unless there's no other way, and
+ * with an odd field the lowest-ranked player without a bye sits out.
+ */
+export function pairSwissRound(participants, matches) {
+  const standings = getStandings(participants, matches);
+  const played = new Set();
+  const hadBye = new Set();
+  for (const match of matches) {
+    if (!match.playerB) hadBye.add(match.playerA);
+    else played.add(`${match.playerA}:${match.playerB}`).add(`${match.playerB}:${match.playerA}`);
+  }
+
+  let pool = standings.map(row => row.userId);
+  let byePlayer = null;
+  if (pool.length % 2 === 1) {
+    byePlayer = [...pool].reverse().find(id => !hadBye.has(id)) || pool[pool.length - 1];
+    pool = pool.filter(id => id !== byePlayer);
+  }
+
+  const pairs = pairWithoutRematches(pool, played) || pairGreedily(pool, played);
+  const pairings = pairs.map(([playerA, playerB], slot) => ({ slot, playerA, playerB }));
+  if (byePlayer) {
+    pairings.push({ slot: pairings.length, playerA: byePlayer, playerB: null });
+  }
+  return pairings;
+}
+
+/**
+ * True once every match of `round` has a result.
+ */
+export function isRoundComplete(matches, round) {
+  const roundMatches = matches.filter(match => match.round === round);
+  return roundMatches.length > 0 && roundMatches.every(match => match.status === 'completed');
+}
+
+/**
+ * Pairings for the tournament's next round, or null while the current
+ * round is still being played or once the tournament is over.
+ * tournament is { format, status, currentRound, swissRounds }.
+ */
+export function pairNextRound(tournament, participants, matches) {
+  if (tournament.status !== 'active') return null;
+
+  const round = tournament.currentRound + 1;
+  if (tournament.currentRound > 0 && !isRoundComplete(matches, tournament.currentRound)) {
+    return null;
+  }
+
+  if (tournament.format === TOURNAMENT_FORMATS.SWISS) {
+    if (round > getRoundCount(tournament.format, participants.length, tournament.swissRounds)) return null;
+    return { round, pairings: pairSwissRound(participants, matches) };
+  }
+
+  if (round === 1) {
+    return { round, pairings: pairEliminationFirstRound(participants) };
+  }
+
+  const previous = matches.filter(match => match.round === tournament.currentRound);
+  if (previous.length <= 1) return null;
+  return { round, pairings: pairEliminationNextRound(previous) };
+}
+
+/**
+ * The caller's match in the current round, if it still needs playing.
+ */
+export function getOpenMatch(tournament, matches, userId) {
+  return matches.find(match =>
+    match.round === tournament.currentRound &&
+    match.status !== 'completed' &&
+    (match.playerA === userId || match.playerB === userId)
+  ) || null;
+}
@@ -0,0 +1,103 @@
+// =====================================================
+// MESSAGE BUSES - What local channels talk over
+// =====================================================
+//
+// A bus carries messages between the local transports listening on a
+// topic (one topic per game channel). Every subscriber gets every
+// message, the sender's own included; LocalChannel drops its own.
+// Messages go through JSON on the way, like a Supabase broadcast, so
+// nobody ends up sharing objects with the sender.
+
+const copy = (message) => JSON.parse(JSON.stringify(message));
+
+/**
+ * In-process bus, for several sessions in one page or one test. Delivery
+ * is asynchronous, as over the network. hold() and release() let a test
+ * delay, drop or reorder messages; settle() waits until the bus is quiet.
+ */
+export function createMemoryBus() {
+  const handlers = new Map();
+  let held = null;
+  let delivering = Promise.resolve();
+
+  const deliver = (topic, message) => {
+    delivering = delivering.then(() => {
+      [...(handlers.get(topic) || [])].forEach((handler) => {
+        try {
+          handler(message);
+        } catch (err) {
+          console.error('Bus handler failed:', err);
+        }
+      });
+    });
+  };
+
+  return {
+    publish(topic, message) {
+      const sent = copy(message);
+      if (held) {
+        held.push({ topic, message: sent });
+        return;
+      }
+      deliver(topic, sent);
+    },
+
+    // Returns a function that unsubscribes
+    subscribe(topic, handler) {
+      if (!handlers.has(topic)) handlers.set(topic, new Set());
+      handlers.get(topic).add(handler);
+      return () => handlers.get(topic).delete(handler);
+    },
+
+    // Queue everything published from now on instead of delivering it
+    hold() {
+      held = held || [];
+    },
+
+    // Deliver the queued messages, after `reorder` has shuffled or
+    // filtered them, and go back to delivering straight away
+    release(reorder = (messages) => messages) {
+      const queued = held || [];
+      held = null;
+      reorder(queued).forEach(({ topic, message }) => deliver(topic, message));
+      return this.settle();
+    },
+
+    // Resolves once nothing is left in flight, including whatever the
+    // handlers sent in reply
+    async settle() {
+      let pending;
+      do {
+        pending = delivering;
+        await pending;
+        await new Promise(resolve => setTimeout(resolve, 0));
+      } while (pending !== delivering);
+    }
+  };
+}
+
+/**
+ * Bus between the tabs of one browser. Sessions in the same tab hear
+ * each other through a memory bus, other tabs through a BroadcastChannel.
+ */
+export function createBroadcastChannelBus(name = 'jigsawverse') {
+  const tab = createMemoryBus();
+  const channel = new BroadcastChannel(name);
+
+  channel.addEventListener('message', ({ data }) => {
+    if (data?.topic) tab.publish(data.topic, data.message);
+  });
+
+  return {
+    publish(topic, message) {
+      tab.publish(topic, message);
+      channel.postMessage(copy({ topic, message }));
+    },
+
+    subscribe: tab.subscribe,
+
+    close() {
+      channel.close();
+    }
+  };
+}
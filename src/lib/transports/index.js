@@ -0,0 +1,83 @@
+// =====================================================
+// TRANSPORTS - How multiplayer sessions reach each other
+// =====================================================
+//
+// A transport is everything a multiplayer session talks to besides its
+// own GameLogic:
+//
+//   id                        'supabase' | 'local'
+//   authenticate()            the signed-in user ({ id, user_metadata })
+//   channel(name, options)    a RealtimeChannel (on, subscribe, send,
+//                             track, presenceState)
+//   removeChannel(channel)
+//   games                     the gameService calls sessions make
+//   gameState                 the realtimeService calls; the move RPCs
+//                             and getPlayerState resolve null when
+//                             nothing resolves moves on a server
+//   storage                   { uploadPuzzleImage }
+//
+// Sessions take one as `options.transport`. Without it they use the
+// default: Supabase, or the local transport between the browser's tabs
+// when VITE_MULTIPLAYER_TRANSPORT=local.
+
+import { createLocalTransport, createLocalUser } from './local.js';
+import { createBroadcastChannelBus } from './bus.js';
+import { createBrowserStore } from './store.js';
+
+export { createLocalTransport, createLocalUser, LocalChannel, LOCAL_CONFIG } from './local.js';
+export { createMemoryBus, createBroadcastChannelBus } from './bus.js';
+export { createMemoryStore, createBrowserStore } from './store.js';
+
+export const TRANSPORT_CONFIG = {
+  LOCAL: 'local',
+  SUPABASE: 'supabase',
+  // sessionStorage key holding this tab's local player
+  TAB_USER_KEY: 'jigsawverse:local-user'
+};
+
+export const isLocalMultiplayer = () =>
+  import.meta.env.VITE_MULTIPLAYER_TRANSPORT === TRANSPORT_CONFIG.LOCAL;
+
+// One player per tab, kept across reloads so the tab can rejoin
+function getTabUser() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(TRANSPORT_CONFIG.TAB_USER_KEY));
+    if (saved?.id) return saved;
+  } catch {
+    // Unreadable entry; start over
+  }
+  const user = createLocalUser();
+  sessionStorage.setItem(TRANSPORT_CONFIG.TAB_USER_KEY, JSON.stringify(user));
+  return user;
+}
+
+let defaultTransport = null;
+
+/**
+ * The transport sessions use when none is passed in. The Supabase one is
+ * loaded on first use, so the local transport works without Supabase
+ * being configured.
+ */
+export async function getDefaultTransport() {
+  if (defaultTransport) return defaultTransport;
+
+  if (isLocalMultiplayer()) {
+    const transport = createLocalTransport({
+      bus: createBroadcastChannelBus(),
+      store: createBrowserStore(),
+      user: getTabUser()
+    });
+    // Tell the other tabs we left, so a closed host tab hands over
+    window.addEventListener('pagehide', () => {
+      transport.close();
+    });
+    defaultTransport = transport;
+  } else {
+    defaultTransport = (await import('./supabase.js')).supabaseTransport;
+  }
+  return defaultTransport;
+}
+
+export function setDefaultTransport(transport) {
+  defaultTransport = transport;
+}
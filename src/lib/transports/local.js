@@ -0,0 +1,512 @@
+// =====================================================
+// LOCAL TRANSPORT - Multiplayer without a server
+// =====================================================
+//
+// Stands in for Supabase: the games, game_players and game_state rows
+// live in a store and channel traffic goes over a bus. With the
+// BroadcastChannel bus and the browser store two tabs play each other
+// offline; with the memory bus and store a test runs every seat in one
+// process. There are no game RPCs, so moves resolve in each client's
+// GameLogic, as they do against a database without the game_state
+// migration.
+
+import { createMemoryBus } from './bus.js';
+import { createMemoryStore } from './store.js';
+
+export const LOCAL_CONFIG = {
+  // Photos are scaled down to this before going into the store
+  MAX_IMAGE_SIDE: 1600,
+  MAX_IMAGE_CHARS: 1000000,
+  SEATS: ['playerA', 'playerB', 'playerC', 'playerD'],
+  // Games whose image is kept; the rest are dropped on the next upload
+  LIVE_STATUSES: ['waiting', 'active', 'paused']
+};
+
+const CHANNEL_STATUS = {
+  SUBSCRIBED: 'SUBSCRIBED',
+  CLOSED: 'CLOSED'
+};
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const now = () => new Date().toISOString();
+
+// Six characters, like generate_game_code
+const newGameCode = () => Math.random().toString(16).slice(2, 8).padEnd(6, '0').toUpperCase();
+
+/**
+ * A signed-in user as the Supabase transport hands it out: an id and
+ * the username in user_metadata.
+ */
+export function createLocalUser(username = `Guest_${Math.floor(Math.random() * 10000)}`) {
+  return {
+    id: `local-${newId()}`,
+    user_metadata: { username, display_name: 'Guest Player', is_anonymous: true }
+  };
+}
+
+// =====================================================
+// CHANNEL
+// =====================================================
+
+/**
+ * The part of a Supabase RealtimeChannel that multiplayer.js uses:
+ * broadcast events, presence (sync/join/leave) and subscribe statuses.
+ *
+ * Presence works by announcement. track() sends this channel's presence
+ * to the others, who add it and answer with their own; closing the
+ * channel tells them it left.
+ */
+export class LocalChannel {
+  constructor(bus, topic, options = {}) {
+    this.bus = bus;
+    this.topic = topic;
+    this.ref = newId();
+    this.receiveOwn = !!options.config?.broadcast?.self;
+    this.presenceKey = options.config?.presence?.key || this.ref;
+    this.listeners = [];
+    this.peers = new Map();
+    this.presence = null;
+    this.unsubscribeBus = null;
+    this.statusCallback = null;
+  }
+
+  on(type, filter, callback) {
+    this.listeners.push({ type, event: filter?.event, callback });
+    return this;
+  }
+
+  subscribe(callback) {
+    this.statusCallback = callback || null;
+    this.unsubscribeBus = this.bus.subscribe(this.topic, message => this.receive(message));
+    Promise.resolve().then(() => this.statusCallback?.(CHANNEL_STATUS.SUBSCRIBED));
+    return this;
+  }
+
+  async send({ event, payload }) {
+    if (!this.unsubscribeBus) return 'error';
+    this.publish('broadcast', { event, payload });
+    return 'ok';
+  }
+
+  async track(presence) {
+    if (!this.unsubscribeBus) return 'error';
+    this.presence = { ...presence };
+    this.publish('presence', { key: this.presenceKey, presence: this.presence });
+    this.emit('presence', 'sync', {});
+    return 'ok';
+  }
+
+  presenceState() {
+    const state = {};
+    const add = (key, presence, ref) => {
+      state[key] = [...(state[key] || []), { ...presence, presence_ref: ref }];
+    };
+    if (this.presence) add(this.presenceKey, this.presence, this.ref);
+    this.peers.forEach((peer, ref) => add(peer.key, peer.presence, ref));
+    return state;
+  }
+
+  async unsubscribe() {
+    if (!this.unsubscribeBus) return 'ok';
+    if (this.presence) this.publish('leave', {});
+    this.unsubscribeBus();
+    this.unsubscribeBus = null;
+    this.peers.clear();
+    this.statusCallback?.(CHANNEL_STATUS.CLOSED);
+    return 'ok';
+  }
+
+  publish(kind, body) {
+    this.bus.publish(this.topic, { kind, ref: this.ref, ...body });
+  }
+
+  emit(type, event, payload) {
+    this.listeners
+      .filter(listener => listener.type === type && (listener.event === event || listener.event === '*'))
+      .forEach(listener => listener.callback(payload));
+  }
+
+  receive(message) {
+    if (!this.unsubscribeBus) return;
+
+    if (message.ref === this.ref) {
+      if (message.kind === 'broadcast' && this.receiveOwn) {
+        this.emit('broadcast', message.event, { type: 'broadcast', event: message.event, payload: message.payload });
+      }
+      return;
+    }
+
+    switch (message.kind) {
+      case 'broadcast':
+        this.emit('broadcast', message.event, { type: 'broadcast', event: message.event, payload: message.payload });
+        break;
+
+      case 'presence':
+      case 'presence_reply': {
+        const isNew = !this.peers.has(message.ref);
+        this.peers.set(message.ref, { key: message.key, presence: message.presence });
+        if (isNew) {
+          this.emit('presence', 'join', { key: message.key, newPresences: [message.presence] });
+        }
+        this.emit('presence', 'sync', {});
+        // Let the newcomer know we're here too
+        if (message.kind === 'presence' && this.presence) {
+          this.publish('presence_reply', { key: this.presenceKey, presence: this.presence });
+        }
+        break;
+      }
+
+      case 'leave': {
+        const peer = this.peers.get(message.ref);
+        if (!peer) return;
+        this.peers.delete(message.ref);
+        this.emit('presence', 'leave', { key: peer.key, leftPresences: [peer.presence] });
+        this.emit('presence', 'sync', {});
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+}
+
+// =====================================================
+// IMAGES
+// =====================================================
+
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Big photos are scaled down so they fit in localStorage
+function shrinkImage(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new window.Image();
+    img.onload = () => {
+      const scale = Math.min(1, LOCAL_CONFIG.MAX_IMAGE_SIDE / Math.max(img.width, img.height));
+      if (scale === 1 && dataUrl.length <= LOCAL_CONFIG.MAX_IMAGE_CHARS) {
+        resolve(dataUrl);
+        return;
+      }
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.85));
+    };
+    img.onerror = reject;
+    img.src = dataUrl;
+  });
+}
+
+// =====================================================
+// TRANSPORT
+// =====================================================
+
+/**
+ * Build a local transport. Transports sharing a bus and a store can play
+ * each other; `user` is who this one signs in as.
+ */
+export function createLocalTransport({ bus = createMemoryBus(), store = createMemoryStore(), user = createLocalUser() } = {}) {
+  const channels = new Set();
+
+  const db = {
+    all: (table) => Object.values(store.read(table)),
+    get: (table, id) => store.read(table)[id] || null,
+    put(table, id, row) {
+      const rows = store.read(table);
+      rows[id] = row;
+      store.write(table, rows);
+      return row;
+    },
+    remove(table, id) {
+      const rows = store.read(table);
+      delete rows[id];
+      store.write(table, rows);
+    }
+  };
+
+  const requireGame = (gameId) => {
+    const game = db.get('games', gameId);
+    if (!game) throw new Error('Game not found');
+    return game;
+  };
+
+  const findByCode = (gameCode) =>
+    db.all('games').find(game => game.game_code === gameCode.toUpperCase()) || null;
+
+  const withImage = (game) => game && { ...game, images: db.get('images', game.image_id) };
+
+  const getSeats = (gameId) => db.all('game_players')
+    .filter(seat => seat.game_id === gameId)
+    .sort((a, b) => a.seat.localeCompare(b.seat));
+
+  const seatOf = (gameId, userId) => getSeats(gameId).find(seat => seat.user_id === userId)?.seat || null;
+
+  // Seats A and B follow the games row, like the _sync_game_seats trigger
+  const saveGame = (game) => {
+    db.put('games', game.id, game);
+    [['playerA', game.player_a_id, game.player_a_name], ['playerB', game.player_b_id, game.player_b_name]]
+      .forEach(([seat, userId, playerName]) => {
+        const key = `${game.id}:${seat}`;
+        if (userId) {
+          db.put('game_players', key, { ...db.get('game_players', key), game_id: game.id, seat, user_id: userId, player_name: playerName });
+        } else {
+          db.remove('game_players', key);
+        }
+      });
+    return game;
+  };
+
+  const games = {
+    async createGame(hostId, settings) {
+      return saveGame({
+        id: newId(),
+        game_code: newGameCode(),
+        host_id: hostId,
+        mode: settings.mode || 'multiplayer',
+        grid_size: settings.gridSize || 100,
+        time_limit: settings.timeLimit || 600,
+        image_id: settings.imageId,
+        seed: settings.seed ?? null,
+        max_players: settings.maxPlayers > 2 ? settings.maxPlayers : 2,
+        player_a_id: hostId,
+        player_a_name: settings.playerAName,
+        player_b_id: null,
+        player_b_name: null,
+        current_turn: 'playerA',
+        status: settings.status || 'waiting',
+        created_at: now(),
+        started_at: null
+      });
+    },
+
+    async joinGame(gameCode, userId, playerName) {
+      const game = findByCode(gameCode);
+      if (!game || game.status !== 'waiting') throw new Error('Game not found or no longer accepting players');
+      if (game.host_id === userId) throw new Error('You cannot join your own game');
+
+      if (game.max_players > 2) {
+        await games.joinGameSeat(gameCode, playerName);
+        return games.getGame(game.id);
+      }
+      if (game.player_b_id) throw new Error('Game was already joined by another player');
+
+      return saveGame({ ...game, player_b_id: userId, player_b_name: playerName, status: 'active', started_at: now() });
+    },
+
+    // Same answer as the join_game_seat RPC
+    async joinGameSeat(gameCode, playerName) {
+      let game = findByCode(gameCode);
+      if (!game) throw new Error('Game not found');
+
+      let seat = seatOf(game.id, user.id);
+      if (!seat) {
+        if (game.status !== 'waiting') throw new Error('Game is not accepting players');
+        const taken = getSeats(game.id).map(s => s.seat);
+        seat = LOCAL_CONFIG.SEATS.slice(0, game.max_players).find(s => !taken.includes(s));
+        if (!seat) throw new Error('Game is full');
+
+        if (seat === 'playerB') {
+          game = saveGame({ ...game, player_b_id: user.id, player_b_name: playerName });
+        } else {
+          db.put('game_players', `${game.id}:${seat}`, { game_id: game.id, seat, user_id: user.id, player_name: playerName });
+        }
+      }
+
+      const playersJoined = getSeats(game.id).length;
+      if (playersJoined >= game.max_players && game.status === 'waiting') {
+        game = saveGame({ ...game, status: 'active', started_at: now() });
+      }
+
+      return { gameId: game.id, seat, playersJoined, maxPlayers: game.max_players, status: game.status };
+    },
+
+    async leaveGameSeat(gameId) {
+      const game = requireGame(gameId);
+      const seat = seatOf(gameId, user.id);
+      if (!seat || seat === 'playerA' || game.status !== 'waiting') return;
+
+      if (seat === 'playerB') {
+        saveGame({ ...game, player_b_id: null, player_b_name: null });
+      } else {
+        db.remove('game_players', `${gameId}:${seat}`);
+      }
+    },
+
+    async getGamePlayers(gameId) {
+      return getSeats(gameId);
+    },
+
+    async getGame(gameId) {
+      return withImage(requireGame(gameId));
+    },
+
+    async getGameByCode(gameCode) {
+      return withImage(findByCode(gameCode));
+    },
+
+    async updateGame(gameId, updates) {
+      return saveGame({ ...requireGame(gameId), ...updates });
+    },
+
+    async transferHost(gameId, fromUserId, toUserId) {
+      const game = requireGame(gameId);
+      if (game.host_id !== fromUserId || !['active', 'paused'].includes(game.status)) return null;
+      return saveGame({ ...game, host_id: toUserId });
+    },
+
+    // Unrated, like completeGame without the complete_game RPC
+    async completeGame(gameId, winner, finalScores) {
+      const game = requireGame(gameId);
+      if (game.status === 'completed') return withImage(game);
+
+      return withImage(saveGame({
+        ...game,
+        status: 'completed',
+        completed_at: now(),
+        winner,
+        player_a_score: finalScores.playerA,
+        player_b_score: finalScores.playerB
+      }));
+    }
+  };
+
+  // No server to resolve moves: null sends every session down its local GameLogic path
+  const noServer = async () => null;
+
+  const gameState = {
+    async initializeGameState(gameId, pieces, gridSize, gameplayMode = 'CLASSIC', initialState = null) {
+      return db.put('game_state', gameId, {
+        game_id: gameId,
+        grid: new Array(gridSize).fill(null),
+        current_turn: 'playerA',
+        timer_remaining: 600,
+        ...(initialState || {}),
+        gameplay_mode: gameplayMode
+      });
+    },
+
+    async getGameState(gameId) {
+      const row = db.get('game_state', gameId);
+      if (!row) throw new Error('Game state not found');
+      return row;
+    },
+
+    async updateGameState(gameId, updates) {
+      return db.put('game_state', gameId, { ...(await gameState.getGameState(gameId)), ...updates });
+    },
+
+    getPlayerState: noServer,
+    submitMove: noServer,
+    respondToCheck: noServer,
+    markPiece: noServer,
+    passPiece: noServer,
+    resolveNexusGame: noServer,
+
+    // What get_spectator_state returns; the spectator strips the rest
+    async getSpectatorState(gameId) {
+      const row = db.get('game_state', gameId);
+      if (!row) return null;
+      return {
+        players: row.players,
+        teams: row.teams,
+        grid: row.grid,
+        currentTurn: row.current_turn,
+        pendingCheck: row.pending_check,
+        moveHistory: row.move_history || [],
+        mode: row.gameplay_mode,
+        turnsRemaining: row.turns_remaining,
+        checksRemaining: row.checks_remaining,
+        rotationEnabled: !!row.rotation_enabled,
+        piecePoolCount: (row.piece_pool || []).length
+      };
+    },
+
+    async sendGameMessage(gameId, kind, body) {
+      const id = newId();
+      return db.put('game_messages', id, {
+        id,
+        game_id: gameId,
+        player: seatOf(gameId, user.id),
+        kind,
+        body,
+        created_at: now()
+      });
+    },
+
+    async getGameMessages(gameId) {
+      return db.all('game_messages')
+        .filter(message => message.game_id === gameId)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    }
+  };
+
+  const storage = {
+    // A URL is stored as it is; a file is kept inline as a data URL
+    async uploadPuzzleImage(userId, file) {
+      let url = file;
+      if (typeof file !== 'string') {
+        if (!file.type?.startsWith('image/')) {
+          throw new Error('File must be an image');
+        }
+        url = await shrinkImage(await readAsDataUrl(file));
+      }
+
+      // Inline images are big, so keep only those of games still being played
+      const inUse = new Set(db.all('games')
+        .filter(game => LOCAL_CONFIG.LIVE_STATUSES.includes(game.status))
+        .map(game => game.image_id));
+      db.all('images')
+        .filter(image => !inUse.has(image.id))
+        .forEach(image => db.remove('images', image.id));
+
+      const id = newId();
+      db.put('images', id, {
+        id,
+        uploaded_by: userId,
+        file_name: file.name || 'puzzle',
+        storage_url: url,
+        category: 'custom',
+        created_at: now()
+      });
+      return { id, url };
+    }
+  };
+
+  return {
+    id: 'local',
+    user,
+
+    async authenticate() {
+      return user;
+    },
+
+    channel(name, options) {
+      const channel = new LocalChannel(bus, name, options);
+      channels.add(channel);
+      return channel;
+    },
+
+    async removeChannel(channel) {
+      channels.delete(channel);
+      return channel.unsubscribe();
+    },
+
+    // Leave every channel, e.g. when the tab closes
+    async close() {
+      await Promise.all([...channels].map(channel => this.removeChannel(channel)));
+    },
+
+    games,
+    gameState,
+    storage
+  };
+}
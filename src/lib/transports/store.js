@@ -0,0 +1,47 @@
+// =====================================================
+// LOCAL STORES - Tables for the local transport
+// =====================================================
+//
+// A store holds named tables, each an object of rows keyed by id. Reads
+// hand out copies, so a row only changes when it's written back.
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+// Lives as long as the page (or the test)
+export function createMemoryStore() {
+  const tables = new Map();
+
+  return {
+    read(table) {
+      return copy(tables.get(table) || {});
+    },
+
+    write(table, rows) {
+      tables.set(table, copy(rows));
+    }
+  };
+}
+
+/**
+ * Kept in localStorage, so every tab of the browser sees the same games
+ * and a reloaded tab can rejoin.
+ */
+export function createBrowserStore(prefix = 'jigsawverse:local:') {
+  return {
+    read(table) {
+      try {
+        return JSON.parse(localStorage.getItem(prefix + table)) || {};
+      } catch {
+        return {};
+      }
+    },
+
+    write(table, rows) {
+      try {
+        localStorage.setItem(prefix + table, JSON.stringify(rows));
+      } catch (err) {
+        throw new Error('Local game storage is full: ' + err.message);
+      }
+    }
+  };
+}
@@ -0,0 +1,81 @@
+// =====================================================
+// SUPABASE TRANSPORT - Realtime channels and tables on Supabase
+// =====================================================
+
+import { supabase } from '../../config/supabase';
+import { gameService, realtimeService, storageService } from '../../services';
+
+// Cache the authenticated user at module level
+let cachedUser = null;
+let cachedUserId = null;
+
+/**
+ * Ensure user has a valid session and realtime is authenticated
+ */
+async function ensureAuthenticated() {
+  // Return cached user if available and session is valid
+  if (cachedUser && cachedUserId) {
+    // Quick session check without network call
+    const { data: { session } } = await supabase.auth.getSession();
+    if (session?.user?.id === cachedUserId) {
+      return cachedUser;
+    }
+  }
+
+  // Full authentication flow only when needed
+  const { data: { session }, error } = await supabase.auth.getSession();
+
+  if (error) {
+    throw new Error('Failed to get session: ' + error.message);
+  }
+
+  if (!session) {
+    console.log('No session found, signing in anonymously...');
+    const { data, error: signInError } = await supabase.auth.signInAnonymously();
+
+    if (signInError) {
+      throw new Error('Anonymous sign-in failed: ' + signInError.message);
+    }
+
+    if (!data.session) {
+      throw new Error('No session after anonymous sign-in');
+    }
+
+    await supabase.auth.updateUser({
+      data: {
+        username: `Guest_${Date.now() % 10000}`,
+        display_name: 'Guest Player',
+        is_anonymous: true
+      }
+    });
+
+    if (data.session?.access_token) {
+      supabase.realtime.setAuth(data.session.access_token);
+      console.log('Realtime auth token set for new session');
+    }
+
+    console.log('Anonymous sign-in successful');
+    cachedUser = data.user;
+    cachedUserId = data.user.id;
+    return data.user;
+  }
+
+  if (session?.access_token) {
+    supabase.realtime.setAuth(session.access_token);
+    console.log('Realtime auth token set for existing session');
+  }
+
+  cachedUser = session.user;
+  cachedUserId = session.user.id;
+  return session.user;
+}
+
+export const supabaseTransport = {
+  id: 'supabase',
+  authenticate: ensureAuthenticated,
+  channel: (name, options) => supabase.channel(name, options),
+  removeChannel: (channel) => supabase.removeChannel(channel),
+  games: gameService,
+  gameState: realtimeService,
+  storage: storageService
+};
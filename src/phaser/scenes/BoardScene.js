@@ -1,10 +1,11 @@
 import Phaser from 'phaser';
+import { ROTATION_CONFIG } from '../../lib/gameConfig';
 
 /**
  * BoardScene — Single Phaser scene for the entire game view.
  * Layout: Board grid (top ~75%) + Piece rack (bottom ~25%).
  * Handles grid cells, placed pieces, ghost image, Nexus marks,
- * piece rack with selection, and all animations.
+ * piece rack with selection, rotation input, and all animations.
  */
 export class BoardScene extends Phaser.Scene {
     constructor() {
@@ -20,6 +21,11 @@ export class BoardScene extends Phaser.Scene {
         this.myPlayer = 'playerA';
         this.settings = {};
 
+        // Rotation difficulty
+        this.rotationEnabled = false;
+        this.pieceRotations = {};
+        this.twistAngle = null;
+
         // Rack state
         this.rackPieces = [];
         this.rackSprites = [];
@@ -38,6 +44,7 @@ export class BoardScene extends Phaser.Scene {
         this.myPlayer = data.myPlayer || 'playerA';
         this.settings = data.settings || {};
         this.ghostImageUrl = data.ghostImage;
+        this.rotationEnabled = data.rotationEnabled || false;
     }
 
     create() {
@@ -196,6 +203,12 @@ export class BoardScene extends Phaser.Scene {
         const startX = Math.floor((w - totalWidth) / 2);
         const y = this.rackOffsetY + Math.floor(this.rackAreaH / 2);
 
+        // Fit the whole piece, knobs included, inside its card without stretching
+        const fitRackImage = (img, piece) => {
+            img.setScale((pieceSize - 6) / Math.max(img.width, img.height));
+            img.setAngle(this.getPieceRotation(piece.id));
+        };
+
         pieces.forEach((piece, i) => {
             if (!piece) return;
 
@@ -232,16 +245,18 @@ export class BoardScene extends Phaser.Scene {
                 const textureKey = `rack_${piece.id}`;
                 if (this.textures.exists(textureKey)) {
                     const img = this.add.image(0, 0, textureKey);
-                    img.setDisplaySize(pieceSize - 6, pieceSize - 6);
+                    fitRackImage(img, piece);
                     container.add(img);
+                    container.setData('image', img);
                 } else {
                     this.load.image(textureKey, piece.imageData);
                     this.load.once('complete', () => {
                         if (!container.scene) return;
                         try {
                             const img = this.add.image(0, 0, textureKey);
-                            img.setDisplaySize(pieceSize - 6, pieceSize - 6);
+                            fitRackImage(img, piece);
                             container.add(img);
+                            container.setData('image', img);
                         } catch { /* container may have been destroyed */ }
                     });
                     this.load.start();
@@ -257,9 +272,17 @@ export class BoardScene extends Phaser.Scene {
                 container.add(text);
             }
 
-            // Click handler
+            // Click handler — right-click turns the piece instead of selecting it
             bg.setInteractive({ useHandCursor: true });
-            bg.on('pointerdown', () => {
+            bg.on('pointerdown', (pointer) => {
+                if (this.rotationEnabled && pointer.rightButtonDown()) {
+                    this.events.emit('rackEvent', {
+                        type: 'pieceRotated',
+                        pieceId: piece.id,
+                        steps: 1
+                    });
+                    return;
+                }
                 this.events.emit('rackEvent', {
                     type: 'pieceSelected',
                     piece
@@ -286,6 +309,27 @@ export class BoardScene extends Phaser.Scene {
         });
     }
 
+    // Turn rack images to match pieceRotations without rebuilding the rack
+    updateRackRotations() {
+        this.rackSprites.forEach(({ container, piece }) => {
+            const img = container?.getData('image');
+            if (!img || !piece) return;
+            const target = this.getPieceRotation(piece.id);
+            if (Math.round(img.angle + 360) % 360 === target) return;
+            this.tweens.add({
+                targets: img,
+                angle: img.angle + Phaser.Math.Angle.ShortestBetween(img.angle, target),
+                duration: 150,
+                ease: 'Power2',
+                onComplete: () => img.setAngle(target)
+            });
+        });
+    }
+
+    getPieceRotation(pieceId) {
+        return this.rotationEnabled ? (this.pieceRotations[pieceId] || 0) : 0;
+    }
+
     updateRackSelection() {
         this.rackSprites.forEach(({ bg, piece }) => {
             if (!bg || !piece) return;
@@ -341,6 +385,55 @@ export class BoardScene extends Phaser.Scene {
                 cam.setZoom(newZoom);
             }
         });
+
+        if (this.rotationEnabled) {
+            this.setupRotationInput();
+        }
+    }
+
+    setupRotationInput() {
+        // R turns the selected piece clockwise, Shift+R counter-clockwise
+        this.input.keyboard?.on('keydown-R', (event) => {
+            this.requestRotation(event.shiftKey ? -1 : 1);
+        });
+
+        // Right-click is handled on the rack cards
+        this.input.mouse?.disableContextMenu();
+
+        // Two-finger twist anywhere on the canvas
+        this.input.addPointer(1);
+        this.input.on('pointermove', () => {
+            const p1 = this.input.pointer1;
+            const p2 = this.input.pointer2;
+            if (!p1?.isDown || !p2?.isDown) {
+                this.twistAngle = null;
+                return;
+            }
+
+            const angle = Phaser.Math.RadToDeg(Phaser.Math.Angle.Between(p1.x, p1.y, p2.x, p2.y));
+            if (this.twistAngle === null) {
+                this.twistAngle = angle;
+                return;
+            }
+
+            const delta = Phaser.Math.Angle.ShortestBetween(this.twistAngle, angle);
+            if (Math.abs(delta) >= ROTATION_CONFIG.GESTURE_THRESHOLD_DEGREES) {
+                this.requestRotation(delta > 0 ? 1 : -1);
+                this.twistAngle = angle;
+            }
+        });
+        this.input.on('pointerup', () => {
+            this.twistAngle = null;
+        });
+    }
+
+    requestRotation(steps) {
+        if (this.selectedPieceId === null) return;
+        this.events.emit('rackEvent', {
+            type: 'pieceRotated',
+            pieceId: this.selectedPieceId,
+            steps
+        });
     }
 
     // ========== STATE UPDATES (called from PhaserGame) ==========
@@ -348,8 +441,10 @@ export class BoardScene extends Phaser.Scene {
     updateGameState(state) {
         if (!state) return;
         this.gameState = state;
+        this.pieceRotations = state.pieceRotations || {};
         this.renderPieces(state);
         this.renderMarks(state);
+        this.updateRackRotations();
     }
 
     updateSettings(settings, ghostImage) {
@@ -362,6 +457,11 @@ export class BoardScene extends Phaser.Scene {
         }
     }
 
+    // Pass-and-play hands the board to the other player; marks follow them
+    setMyPlayer(player) {
+        this.myPlayer = player || 'playerA';
+    }
+
     // Called by PhaserGame to update rack
     updateRack(rack) {
         if (!rack) return;
@@ -371,7 +471,7 @@ export class BoardScene extends Phaser.Scene {
 
     // Called by PhaserGame to update selected piece
     setSelectedPiece(piece) {
-        this.selectedPieceId = piece?.id || null;
+        this.selectedPieceId = piece?.id ?? null;
         this.updateRackSelection();
     }
 
@@ -416,6 +516,7 @@ export class BoardScene extends Phaser.Scene {
                 }
             } else {
                 const rect = this.add.rectangle(x, y, this.cellSize - 4, this.cellSize - 4, 0x7c3aed, 1);
+                rect.setAngle(this.getPieceRotation(piece.id));
                 rect.setData('pieceId', piece.id);
                 rect.setData('gridIndex', index);
                 rect.setDepth(1);
@@ -433,14 +534,22 @@ export class BoardScene extends Phaser.Scene {
 
     createPieceSprite(textureKey, piece, index, x, y) {
         const sprite = this.add.image(x, y, textureKey);
-        sprite.setDisplaySize(this.cellSize - 4, this.cellSize - 4);
+        // Jigsaw textures carry transparent padding for their knobs, so the
+        // body fills the whole cell and the knobs overlap into neighbours
+        const padX = piece.padding?.x || 0;
+        const padY = piece.padding?.y || 0;
+        const bodySize = padX || padY ? this.cellSize : this.cellSize - 4;
+        sprite.setDisplaySize(bodySize * (1 + padX * 2), bodySize * (1 + padY * 2));
+        // Pieces stay at the rotation they were placed with, right or wrong
+        sprite.setAngle(this.getPieceRotation(piece.id));
         sprite.setData('pieceId', piece.id);
         sprite.setData('gridIndex', index);
         sprite.setDepth(1);
 
         // Nexus: tap to mark
         if (this.isNexusMode) {
-            sprite.setInteractive({ useHandCursor: true });
+            // Pixel-perfect so transparent knob padding doesn't steal taps from neighbours
+            sprite.setInteractive({ useHandCursor: true, pixelPerfect: true });
             sprite.on('pointerdown', () => {
                 const placedBy = this.gameState?.piecePlacedBy?.[index];
                 const currentMark = this.gameState?.pieceMarks?.[index];
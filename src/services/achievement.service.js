@@ -0,0 +1,61 @@
+// =====================================================
+// ACHIEVEMENT SERVICE - Track a game and record unlocks
+// =====================================================
+
+import { supabase, isSupabaseConfigured } from '../config/supabase';
+import { AchievementTracker, getAchievement } from '../lib/achievements';
+
+export const achievementService = {
+  // Watch `player`'s seat of a GameLogic and store each badge it earns.
+  // The server checks every badge against a finished game: `gameId` is
+  // its id, or a function returning it once it's known (a solo puzzle's
+  // remote copy). onUnlocked gets the achievements that were new for this
+  // account. Returns the tracker: flush() it at the end of a deferred game
+  // and detach() it when the game screen goes away.
+  track(gameLogic, { userId, player = 'playerA', gameId = null, deferred = false, onUnlocked = null }) {
+    const getGameId = typeof gameId === 'function' ? gameId : () => gameId;
+    const tracker = new AchievementTracker({
+      player,
+      deferred,
+      onUnlock: (achievement) => {
+        // Badges are kept on the server against a game; local multiplayer
+        // and solo puzzles without a remote copy have none
+        const id = getGameId();
+        if (!isSupabaseConfigured || !id) return;
+        this.unlock([achievement.id], id)
+          .then(stored => {
+            if (stored.length > 0 && onUnlocked) onUnlocked(stored);
+          })
+          .catch(err => console.error('Failed to record achievement:', err));
+      }
+    }).attach(gameLogic);
+
+    // Badges already earned aren't worth a round trip
+    if (userId && isSupabaseConfigured) {
+      supabase
+        .from('user_achievements')
+        .select('achievement_id')
+        .eq('user_id', userId)
+        .then(({ data, error }) => {
+          if (error) throw error;
+          tracker.markUnlocked(data.map(row => row.achievement_id));
+        })
+        .catch(err => console.warn('[achievementService] Could not load unlocked achievements:', err.message));
+    }
+
+    return tracker;
+  },
+
+  // Only the rows this call added come back, so nothing is announced twice
+  async unlock(achievementIds, gameId) {
+    const { data, error } = await supabase.rpc('unlock_achievements', {
+      p_achievement_ids: achievementIds,
+      p_game_id: gameId
+    });
+
+    if (error) throw error;
+    return (data || []).map(row => getAchievement(row.achievement_id)).filter(Boolean);
+  }
+};
+
+export default achievementService;
@@ -0,0 +1,63 @@
+// =====================================================
+// DAILY PUZZLE SERVICE - Today's puzzle and result submission
+// =====================================================
+
+import { supabase } from '../config/supabase';
+import { getDailyKey, pickDailyPuzzle } from '../lib/daily';
+
+export const dailyService = {
+  // The puzzle for `day`: the curated daily_puzzles row if there is one,
+  // otherwise the one derived from the date and the library images
+  async getPuzzle(images, day = getDailyKey()) {
+    const { data, error } = await supabase
+      .from('daily_puzzles')
+      .select('*')
+      .eq('day', day)
+      .maybeSingle();
+
+    if (error) {
+      console.warn('[dailyService] Could not load curated puzzle, using the derived one:', error.message);
+    }
+
+    if (!data) return pickDailyPuzzle(day, images);
+
+    return {
+      day,
+      imageName: data.image_name,
+      imageUrl: data.image_url,
+      gridSize: data.grid_size,
+      seed: Number(data.seed),
+      rotation: data.rotation,
+      curated: true
+    };
+  },
+
+  // The first submission for a day stands; returns the stored row
+  async submitResult(day, { gridSize, solved, timeSeconds, accuracy, hintsUsed, score }) {
+    const { data, error } = await supabase.rpc('submit_daily_result', {
+      p_day: day,
+      p_grid_size: gridSize,
+      p_solved: solved,
+      p_time_seconds: timeSeconds,
+      p_accuracy: accuracy,
+      p_hints_used: hintsUsed,
+      p_score: score
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // The signed-in player's result for `day`, or null if not played yet
+  async getMyResult(userId, day = getDailyKey()) {
+    const { data, error } = await supabase
+      .from('daily_results')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('day', day)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+};
@@ -7,19 +7,24 @@ import { supabase } from '../config/supabase';
 export const gameService = {
   // Create new game
   async createGame(hostId, settings) {
+    const row = {
+      host_id: hostId,
+      mode: settings.mode || 'multiplayer',
+      grid_size: settings.gridSize || 100,
+      time_limit: settings.timeLimit || 600,
+      image_id: settings.imageId,
+      seed: settings.seed ?? null,
+      player_a_id: hostId,
+      player_a_name: settings.playerAName,
+      current_turn: 'playerA',
+      status: settings.status || 'waiting'
+    };
+    // Only sent for 3-4 player games so older deployments keep accepting inserts
+    if (settings.maxPlayers > 2) row.max_players = settings.maxPlayers;
+
     const { data, error } = await supabase
       .from('games')
-      .insert({
-        host_id: hostId,
-        mode: settings.mode || 'multiplayer',
-        grid_size: settings.gridSize || 100,
-        time_limit: settings.timeLimit || 600,
-        image_id: settings.imageId,
-        player_a_id: hostId,
-        player_a_name: settings.playerAName,
-        current_turn: 'playerA',
-        status: 'waiting'
-      })
+      .insert(row)
       .select()
       .single();
 
@@ -45,6 +50,12 @@ export const gameService = {
       throw new Error('You cannot join your own game');
     }
 
+    // Larger games hand out seats on the server
+    if ((game.max_players || 2) > 2) {
+      await this.joinGameSeat(gameCode, playerName);
+      return this.getGame(game.id);
+    }
+
     // Update game with player B
     const { data, error } = await supabase
       .from('games')
@@ -65,6 +76,40 @@ export const gameService = {
     return data;
   },
 
+  // Take the next free seat of a 3-4 player game. Resolves
+  // { gameId, seat, playersJoined, maxPlayers, status }; the game turns
+  // active once the last seat is taken.
+  async joinGameSeat(gameCode, playerName) {
+    const { data, error } = await supabase.rpc('join_game_seat', {
+      p_game_code: gameCode.toUpperCase(),
+      p_player_name: playerName
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Give a seat back before the game starts
+  async leaveGameSeat(gameId) {
+    const { error } = await supabase.rpc('leave_game_seat', {
+      p_game_id: gameId
+    });
+
+    if (error) throw error;
+  },
+
+  // Seats of a game in turn order (playerA first)
+  async getGamePlayers(gameId) {
+    const { data, error } = await supabase
+      .from('game_players')
+      .select('*')
+      .eq('game_id', gameId)
+      .order('seat', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
   // Get game by ID
   async getGame(gameId) {
     const { data, error } = await supabase
@@ -89,12 +134,14 @@ export const gameService = {
     return data;
   },
 
-  // Get active games (for lobby)
-  async getActiveGames(limit = 10) {
+  // Get active games (for lobby). Pass ['active'] for the live games
+  // spectators can watch.
+  async getActiveGames(limit = 10, statuses = ['waiting']) {
     const { data, error } = await supabase
       .from('games')
       .select('*, profiles!games_host_id_fkey(username, avatar_url)')
-      .eq('status', 'waiting')
+      .eq('mode', 'multiplayer')
+      .in('status', statuses)
       .order('created_at', { ascending: false })
       .limit(limit);
 
@@ -115,8 +162,41 @@ export const gameService = {
     return data;
   },
 
-  // Complete game
+  // Hand the host role to another player. Only succeeds while `fromUserId`
+  // is still the host, so two clients can't both take it over.
+  async transferHost(gameId, fromUserId, toUserId) {
+    const { data, error } = await supabase
+      .from('games')
+      .update({ host_id: toUserId })
+      .eq('id', gameId)
+      .eq('host_id', fromUserId)
+      .in('status', ['active', 'paused'])
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Complete game. The complete_game RPC finishes the match, user stats
+  // and both players' ratings in one transaction, taking the winner and
+  // scores from the server state; any player may call it. Returns the
+  // game row with `ratings` ({ playerA, playerB } before/after/change;
+  // empty for unrated 3-4 player games) and `seats` (game_players rows).
   async completeGame(gameId, winner, finalScores) {
+    const { data: result, error: rpcError } = await supabase.rpc('complete_game', {
+      p_game_id: gameId
+    });
+
+    if (!rpcError) {
+      return { ...result.game, ratings: result.ratings, seats: result.seats || [], teams: result.teams || null, coop: result.coop || null };
+    }
+
+    if (!['PGRST202', '42883'].includes(rpcError.code)) throw rpcError;
+
+    // RPC not deployed: unrated fallback, still only finished once
+    console.warn('complete_game RPC not found, completing without ratings:', rpcError.message);
+
     const { data, error } = await supabase
       .from('games')
       .update({
@@ -127,10 +207,12 @@ export const gameService = {
         player_b_score: finalScores.playerB
       })
       .eq('id', gameId)
+      .neq('status', 'completed')
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
+    if (!data) return this.getGame(gameId);
 
     // Update user stats
     const game = data;
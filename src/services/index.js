@@ -1,5 +1,9 @@
+export { achievementService } from './achievement.service';
 export { authService } from './auth.service';
+export { dailyService } from './daily.service';
 export { gameService } from './game.service';
+export { matchmakingService } from './matchmaking.service';
 export { realtimeService } from './realtime.service';
+export { savedGameService } from './savedGame.service';
 export { storageService } from './storage.service';
 export { userService } from './user.service';
@@ -0,0 +1,36 @@
+// =====================================================
+// MATCHMAKING SERVICE - Quick Match queue
+// =====================================================
+
+import { supabase } from '../config/supabase';
+
+export const matchmakingService = {
+  // Join (or stay in) the queue and try to get paired. Poll this.
+  async findMatch(mode, gridSize, playerName) {
+    const { data, error } = await supabase.rpc('find_match', {
+      p_mode: mode,
+      p_grid_size: gridSize,
+      p_player_name: playerName
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Host reports the game created for its pairing
+  async setMatchGame(gameId) {
+    const { data, error } = await supabase.rpc('set_match_game', {
+      p_game_id: gameId
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Leave the queue (cancel, timeout or game started)
+  async leaveQueue() {
+    const { error } = await supabase.rpc('leave_matchmaking');
+
+    if (error) throw error;
+  }
+};
@@ -20,9 +20,31 @@ function withoutGameplayMode(payload) {
   return fallbackPayload;
 }
 
+// PostgREST / Postgres codes for "function does not exist"
+const MISSING_RPC_CODES = ['PGRST202', '42883'];
+
+/**
+ * Call one of the server-authoritative game RPCs. A missing RPC is an
+ * error, not a cue to resolve the move on the client: a player's own
+ * GameLogic would then decide the move and write it for everyone.
+ */
+async function callGameRpc(fn, params) {
+  const { data, error } = await supabase.rpc(fn, params);
+
+  if (error && MISSING_RPC_CODES.includes(error.code)) {
+    console.error(`[realtimeService] ${fn} RPC not found:`, error.message);
+    throw new Error(`The server is missing ${fn}. Run the Supabase migrations before playing online.`);
+  }
+
+  if (error) throw error;
+  return data;
+}
+
 export const realtimeService = {
   // Initialize game state
-  async initializeGameState(gameId, pieces, gridSize, gameplayMode = 'CLASSIC') {
+  // initialState: optional GameLogic.exportForDatabase() so the stored racks
+  // match the host's shuffled deal
+  async initializeGameState(gameId, pieces, gridSize, gameplayMode = 'CLASSIC', initialState = null) {
     // Store only piece metadata, not the full imageData
     // imageData is NOT stored - it's reconstructed client-side
     const piecesMetadata = pieces.map(p => ({
@@ -31,7 +53,8 @@ export const realtimeService = {
       row: p.row,
       col: p.col,
       isEdge: p.isEdge,
-      edges: p.edges
+      edges: p.edges,
+      edgeShapes: p.edgeShapes
     }));
 
     // Ensure we're creating an array of null values, not undefined
@@ -52,6 +75,26 @@ export const realtimeService = {
       gameplay_mode: gameplayMode
     };
 
+    if (initialState) {
+      initialPayload.player_a_rack = initialState.player_a_rack;
+      initialPayload.player_b_rack = initialState.player_b_rack;
+      initialPayload.piece_pool = initialState.piece_pool;
+      initialPayload.scores = initialState.scores;
+      initialPayload.turns_remaining = initialState.turns_remaining;
+      initialPayload.checks_remaining = initialState.checks_remaining;
+      if (initialState.rotation_enabled) {
+        initialPayload.rotation_enabled = true;
+      }
+      // 3-4 player games only (see GameLogic.exportForDatabase)
+      if (initialState.players) {
+        initialPayload.players = initialState.players;
+        initialPayload.extra_racks = initialState.extra_racks;
+      }
+      if (initialState.teams) {
+        initialPayload.teams = initialState.teams;
+      }
+    }
+
     let { data, error } = await supabase
       .from('game_state')
       .insert(initialPayload)
@@ -83,6 +126,12 @@ export const realtimeService = {
     return data;
   },
 
+  // The caller's view of a live match: their own racks, the rest only
+  // counted
+  async getPlayerState(gameId) {
+    return callGameRpc('get_game_state', { p_game_id: gameId });
+  },
+
   // Update game state
   async updateGameState(gameId, updates) {
     let { data, error } = await supabase
@@ -106,6 +155,89 @@ export const realtimeService = {
     return data;
   },
 
+  // Server-authoritative moves — each resolves to { result, state } where
+  // state is the sanitized canonical game state
+  async submitMove(gameId, pieceId, gridIndex, rotation = null) {
+    const params = {
+      p_game_id: gameId,
+      p_piece_id: pieceId,
+      p_grid_index: gridIndex
+    };
+    // Only sent for rotation games so older deployments keep resolving the call
+    if (rotation !== null) params.p_rotation = rotation;
+    return callGameRpc('submit_move', params);
+  },
+
+  async respondToCheck(gameId, decision) {
+    return callGameRpc('respond_to_check', {
+      p_game_id: gameId,
+      p_decision: decision
+    });
+  },
+
+  async markPiece(gameId, gridIndex, markType) {
+    return callGameRpc('mark_piece', {
+      p_game_id: gameId,
+      p_grid_index: gridIndex,
+      p_mark_type: markType ?? null
+    });
+  },
+
+  // 2v2: move a rack piece to the caller's partner
+  async passPiece(gameId, pieceId) {
+    return callGameRpc('pass_piece', {
+      p_game_id: gameId,
+      p_piece_id: pieceId
+    });
+  },
+
+  async resolveNexusGame(gameId) {
+    return callGameRpc('resolve_nexus_game', {
+      p_game_id: gameId
+    });
+  },
+
+  // Sanitized state for spectators: no racks, pool or hidden scores
+  async getSpectatorState(gameId) {
+    const { data, error } = await supabase.rpc('get_spectator_state', {
+      p_game_id: gameId
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Store a chat message or emote (the server checks length and rate).
+  // Returns the game_messages row, or null if chat isn't deployed yet so
+  // the caller can still send it live.
+  async sendGameMessage(gameId, kind, body) {
+    const { data, error } = await supabase.rpc('send_game_message', {
+      p_game_id: gameId,
+      p_kind: kind,
+      p_body: body
+    });
+
+    if (error && MISSING_RPC_CODES.includes(error.code)) {
+      console.warn('[realtimeService] send_game_message RPC not found, chat will not be saved:', error.message);
+      return null;
+    }
+
+    if (error) throw error;
+    return data;
+  },
+
+  // A game's chat, oldest first
+  async getGameMessages(gameId) {
+    const { data, error } = await supabase
+      .from('game_messages')
+      .select('*')
+      .eq('game_id', gameId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
   // Subscribe to game state changes with reconnection support
   subscribeToGameState(gameId, callback, onStatusChange = null) {
     const channel = supabase
@@ -0,0 +1,235 @@
+// =====================================================
+// SAVED GAME SERVICE - Single-player save/resume
+// =====================================================
+//
+// Saves live in IndexedDB so a refresh never loses a puzzle. Each save
+// keeps the source image and seed rather than the pieces themselves —
+// ImageProcessor rebuilds the exact same cut from them. Signed-in users
+// also get a games/game_state row so a puzzle can be picked up on
+// another device.
+
+import { supabase, isSupabaseConfigured } from '../config/supabase';
+import { gameService } from './game.service';
+import { realtimeService } from './realtime.service';
+import { storageService } from './storage.service';
+
+const DB_NAME = 'jigsawverse';
+const DB_VERSION = 1;
+const STORE = 'single_player_saves';
+const THUMBNAIL_SIZE = 160;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, run) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = run(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Small JPEG of the puzzle image for the "Continue puzzle" list
+async function makeThumbnail(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  return canvas.toDataURL('image/jpeg', 0.7);
+}
+
+// Share of the board that is filled with correctly placed pieces
+function correctProgress(grid = []) {
+  if (grid.length === 0) return 0;
+  const correct = grid.filter((cell, index) =>
+    cell && cell.correctPosition === index && !cell.rotation
+  ).length;
+  return Math.round((correct / grid.length) * 100);
+}
+
+export const savedGameService = {
+  // Start a save for a freshly created single-player puzzle
+  async createSinglePlayerSave({ imageFile, gridSize, pieceCount, seed, rotation, timeLimit }) {
+    const now = Date.now();
+    const record = {
+      id: crypto.randomUUID(),
+      remoteGameId: null,
+      imageBlob: imageFile,
+      thumbnail: await makeThumbnail(imageFile).catch(() => null),
+      gridSize,
+      pieceCount,
+      seed,
+      rotation: !!rotation,
+      timeLimit,
+      timeRemaining: timeLimit,
+      elapsed: 0,
+      progress: 0,
+      score: 0,
+      bestStreak: 0,
+      state: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await withStore('readwrite', store => store.put(record));
+    return record;
+  },
+
+  // Write the latest snapshot; `updates` holds state/timeRemaining/score/...
+  // Read and write in one transaction so a late save can't resurrect a
+  // puzzle deleted in between
+  async saveSinglePlayer(id, updates) {
+    let record = null;
+    await withStore('readwrite', (store) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const existing = request.result;
+        if (!existing) return;
+
+        record = {
+          ...existing,
+          ...updates,
+          progress: correctProgress(updates.state?.grid ?? existing.state?.grid),
+          elapsed: existing.timeLimit - (updates.timeRemaining ?? existing.timeRemaining),
+          updatedAt: Date.now()
+        };
+        store.put(record);
+      };
+      return request;
+    });
+    return record;
+  },
+
+  async getSinglePlayerSave(id) {
+    return withStore('readonly', store => store.get(id));
+  },
+
+  // Newest first
+  async listSinglePlayerSaves() {
+    const saves = await withStore('readonly', store => store.getAll());
+    return (saves || []).sort((a, b) => b.updatedAt - a.updatedAt);
+  },
+
+  async deleteSinglePlayerSave(id) {
+    return withStore('readwrite', store => store.delete(id));
+  },
+
+  // =====================================================
+  // REMOTE COPY (signed-in users)
+  // =====================================================
+
+  isSignedIn(user) {
+    return isSupabaseConfigured && !!user && !user.is_anonymous && !user.user_metadata?.is_anonymous;
+  },
+
+  // Create the games + game_state rows backing a local save
+  async createRemoteSave(userId, save, pieces, initialState) {
+    const { id: imageId } = await storageService.uploadPuzzleImage(userId, save.imageBlob);
+
+    const game = await gameService.createGame(userId, {
+      mode: 'single_player',
+      status: 'active',
+      gridSize: pieces.length,
+      timeLimit: save.timeLimit,
+      imageId,
+      seed: save.seed
+    });
+
+    await realtimeService.initializeGameState(game.id, pieces, pieces.length, 'SINGLE_PLAYER', initialState);
+    return game.id;
+  },
+
+  async saveRemote(gameId, state, timeRemaining) {
+    await realtimeService.updateGameState(gameId, {
+      ...state,
+      timer_remaining: timeRemaining
+    });
+    await gameService.updateGame(gameId, {
+      player_a_score: state.scores?.playerA?.score ?? 0,
+      player_a_accuracy: state.scores?.playerA?.accuracy ?? 100,
+      player_a_streak: state.scores?.playerA?.streak ?? 0
+    });
+  },
+
+  async finishRemote(gameId, status = 'completed') {
+    await gameService.updateGame(gameId, {
+      status,
+      completed_at: new Date().toISOString()
+    });
+  },
+
+  // Unfinished single-player games of this user, in the same shape as local saves
+  async listRemoteSaves(userId) {
+    const { data, error } = await supabase
+      .from('games')
+      .select('id, grid_size, time_limit, seed, player_a_score, updated_at, created_at, images(storage_url), game_state(grid, timer_remaining, rotation_enabled)')
+      .eq('host_id', userId)
+      .eq('mode', 'single_player')
+      .eq('status', 'active')
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+
+    return (data || []).map(game => {
+      const state = Array.isArray(game.game_state) ? game.game_state[0] : game.game_state;
+      const timeRemaining = state?.timer_remaining ?? game.time_limit;
+      return {
+        id: null,
+        remoteGameId: game.id,
+        imageUrl: game.images?.storage_url || null,
+        thumbnail: game.images?.storage_url || null,
+        // Derived from the stored piece rows/cols when the save is resumed
+        gridSize: null,
+        pieceCount: game.grid_size,
+        seed: game.seed,
+        rotation: !!state?.rotation_enabled,
+        timeLimit: game.time_limit,
+        timeRemaining,
+        elapsed: game.time_limit - timeRemaining,
+        progress: correctProgress(state?.grid),
+        score: game.player_a_score || 0,
+        updatedAt: new Date(game.updated_at || game.created_at).getTime()
+      };
+    });
+  },
+
+  // Full game_state row for resuming a remote-only save, plus the grid
+  // size ImageProcessor needs to cut the same pieces again
+  async getRemoteState(gameId) {
+    const state = await realtimeService.getGameState(gameId);
+    const pieces = state?.pieces || [];
+    const gridSize = pieces.length > 0
+      ? Math.max(...pieces.map(p => Math.max(p.row, p.col))) + 1
+      : Math.round(Math.sqrt(state?.grid?.length || 100));
+    return { state, gridSize };
+  }
+};
@@ -117,6 +117,13 @@ export const storageService = {
 
   // Upload avatar
   async uploadAvatar(userId, file) {
+    if (!file.type.startsWith('image/')) {
+      throw new Error('File must be an image');
+    }
+    if (file.size > 2 * 1024 * 1024) {
+      throw new Error('Avatar must be less than 2MB');
+    }
+
     const fileExt = file.name.split('.').pop();
     const filePath = `${userId}/avatar.${fileExt}`;
 
@@ -56,10 +56,10 @@ export const userService = {
     return data;
   },
 
-  // Get leaderboard
-  async getLeaderboard(limit = 100) {
+  // Get leaderboard by skill rating (established players only)
+  async getLeaderboard(limit = 100, mode = 'OVERALL') {
     const { data, error } = await supabase
-      .from('user_stats')
+      .from('player_ratings')
       .select(`
         *,
         profiles:user_id (
@@ -67,7 +67,9 @@ export const userService = {
           avatar_url
         )
       `)
-      .order('total_score', { ascending: false })
+      .eq('mode', mode)
+      .eq('provisional', false)
+      .order('rating', { ascending: false })
       .limit(limit);
 
     if (error) throw error;
@@ -0,0 +1,809 @@
+-- =====================================================
+-- SERVER-AUTHORITATIVE MOVES
+-- submit_move / respond_to_check / mark_piece / resolve_nexus_game
+-- The game_state row is the canonical copy of a match. Clients call these
+-- RPCs and render the state they return instead of writing it themselves.
+-- =====================================================
+
+ALTER TABLE public.game_state
+ADD COLUMN IF NOT EXISTS revealed_scores JSONB DEFAULT '{}';
+
+ALTER TABLE public.game_state
+ADD COLUMN IF NOT EXISTS next_check_reveal_progress NUMERIC DEFAULT 0.2;
+
+ALTER TABLE public.game_state
+ADD COLUMN IF NOT EXISTS piece_placed_by JSONB DEFAULT '{}';
+
+ALTER TABLE public.game_state
+ADD COLUMN IF NOT EXISTS piece_marks JSONB DEFAULT '{}';
+
+ALTER TABLE public.game_state
+ADD COLUMN IF NOT EXISTS nexus_resolved BOOLEAN DEFAULT FALSE;
+
+-- Bumped on every authoritative write so clients can drop stale broadcasts
+ALTER TABLE public.game_state
+ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
+
+-- Players no longer write game_state directly; the RPCs below do it for them
+DROP POLICY IF EXISTS "Players can update game state" ON public.game_state;
+
+-- =====================================================
+-- MODE RULES (mirror of GAME_MODES / MODE_SCORING in src/lib/gameModes.js)
+-- turnsPerRound NULL means unlimited
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.gameplay_mode_rules(p_mode TEXT)
+RETURNS JSONB AS $$
+  SELECT CASE upper(coalesce(p_mode, 'CLASSIC'))
+    WHEN 'SUPER' THEN '{
+      "turnsPerRound": 2, "checksPerTurn": 1, "simultaneous": false,
+      "scoring": {"checkCorrect": 15, "checkerSuccess": 8, "checkerFail": -3, "passCorrect": 8, "passWrong": -5,
+                  "streakMultiplier": 1.5, "streakBonusThreshold": 3}
+    }'::jsonb
+    WHEN 'SAGE' THEN '{
+      "turnsPerRound": 5, "checksPerTurn": 2, "simultaneous": false,
+      "scoring": {"checkCorrect": 20, "checkerSuccess": 10, "checkerFail": -5, "passCorrect": 10, "passWrong": -8,
+                  "streakMultiplier": 2, "streakBonusThreshold": 2}
+    }'::jsonb
+    WHEN 'SAVANT' THEN '{
+      "turnsPerRound": null, "checksPerTurn": 0, "simultaneous": false,
+      "scoring": {"correctPiece": 25, "wrongPiece": 0, "streakMultiplier": 2.5, "streakBonusThreshold": 5}
+    }'::jsonb
+    WHEN 'NEXUS' THEN '{
+      "turnsPerRound": null, "checksPerTurn": 0, "simultaneous": true,
+      "scoring": {"correctPiece": 10, "wrongPiece": -5, "suspectCorrect": -3, "suspectWrong": 8,
+                  "confidentCorrect": 5, "confidentWrong": -8, "streakMultiplier": 1, "streakBonusThreshold": 99}
+    }'::jsonb
+    WHEN 'SINGLE_PLAYER' THEN '{
+      "turnsPerRound": 1, "checksPerTurn": 0, "simultaneous": false,
+      "scoring": {"correctPiece": 10, "wrongPiece": -2, "streakMultiplier": 1, "streakBonusThreshold": 3}
+    }'::jsonb
+    ELSE '{
+      "turnsPerRound": 1, "checksPerTurn": 1, "simultaneous": false,
+      "scoring": {"checkCorrect": 10, "checkerSuccess": 5, "checkerFail": -2, "passCorrect": 5, "passWrong": -3,
+                  "streakMultiplier": 1, "streakBonusThreshold": 3}
+    }'::jsonb
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- =====================================================
+-- STATE HELPERS
+-- The RPCs work on a camelCase JSONB copy of the row (same shape as the
+-- game_state broadcast) and write it back through _gs_save.
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public._gs_player_key(p_game_id UUID)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN auth.uid() = g.player_a_id THEN 'playerA'
+    WHEN auth.uid() = g.player_b_id THEN 'playerB'
+  END
+  FROM public.games g
+  WHERE g.id = p_game_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public._gs_rack_key(p_player TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE WHEN p_player = 'playerA' THEN 'playerARack' ELSE 'playerBRack' END;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_to_state(gs public.game_state)
+RETURNS JSONB AS $$
+DECLARE
+  v_default_score JSONB := '{"score": 0, "accuracy": 100, "streak": 0, "correctPlacements": 0, "totalPlacements": 0, "hintsUsed": 0}';
+BEGIN
+  RETURN jsonb_build_object(
+    'grid', coalesce(gs.grid, '[]'),
+    'playerARack', coalesce(gs.player_a_rack, '[]'),
+    'playerBRack', coalesce(gs.player_b_rack, '[]'),
+    'piecePool', coalesce(gs.piece_pool, '[]'),
+    'currentTurn', coalesce(gs.current_turn, 'playerA'),
+    'scores', jsonb_build_object(
+      'playerA', v_default_score || coalesce(gs.scores -> 'playerA', '{}'),
+      'playerB', v_default_score || coalesce(gs.scores -> 'playerB', '{}')
+    ),
+    'revealedScores', coalesce(gs.revealed_scores, '{}'),
+    'pendingCheck', coalesce(gs.pending_check, 'null'),
+    'moveHistory', coalesce(gs.move_history, '[]'),
+    'turnsRemaining', coalesce(gs.turns_remaining, '{}'),
+    'checksRemaining', coalesce(gs.checks_remaining, '{}'),
+    'nextCheckRevealProgress', coalesce(gs.next_check_reveal_progress, 0.2),
+    'piecePlacedBy', coalesce(gs.piece_placed_by, '{}'),
+    'pieceMarks', coalesce(gs.piece_marks, '{}'),
+    'nexusResolved', coalesce(gs.nexus_resolved, FALSE),
+    'gameState', CASE WHEN coalesce(gs.nexus_resolved, FALSE) THEN 'finished' ELSE 'active' END,
+    'mode', coalesce(gs.gameplay_mode, 'CLASSIC'),
+    'timerRemaining', gs.timer_remaining,
+    'version', gs.version
+  );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Strip everything that would tell a client whether a piece is correct.
+-- Move history is only disclosed in full once the game is finished.
+CREATE OR REPLACE FUNCTION public._gs_sanitize(p_state JSONB)
+RETURNS JSONB AS $$
+BEGIN
+  RETURN p_state || jsonb_build_object(
+    'grid', (
+      SELECT coalesce(jsonb_agg(
+        CASE WHEN jsonb_typeof(cell) = 'object' THEN cell - 'correctPosition' ELSE cell END
+        ORDER BY ord), '[]')
+      FROM jsonb_array_elements(p_state -> 'grid') WITH ORDINALITY AS t(cell, ord)
+    ),
+    'pendingCheck', CASE
+      WHEN jsonb_typeof(p_state -> 'pendingCheck') = 'object' THEN (p_state -> 'pendingCheck') - 'correct'
+      ELSE 'null'::jsonb
+    END,
+    'moveHistory', CASE
+      WHEN p_state ->> 'gameState' = 'finished' THEN p_state -> 'moveHistory'
+      ELSE (
+        SELECT coalesce(jsonb_agg(entry - 'correct' ORDER BY ord), '[]')
+        FROM jsonb_array_elements(p_state -> 'moveHistory') WITH ORDINALITY AS t(entry, ord)
+      )
+    END
+  );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_reject(p_message TEXT, p_state JSONB)
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'result', jsonb_build_object('success', FALSE, 'message', p_message),
+    'state', public._gs_sanitize(p_state)
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Same rules as GameLogic.updateScore, including the streak bonus
+CREATE OR REPLACE FUNCTION public._gs_apply_score(
+  p_state JSONB,
+  p_player TEXT,
+  p_points NUMERIC,
+  p_is_correct BOOLEAN,
+  p_scoring JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_entry JSONB := p_state -> 'scores' -> p_player;
+  v_score NUMERIC := (v_entry ->> 'score')::numeric + p_points;
+  v_total INTEGER := (v_entry ->> 'totalPlacements')::int;
+  v_correct INTEGER := (v_entry ->> 'correctPlacements')::int;
+  v_streak INTEGER := (v_entry ->> 'streak')::int;
+  v_accuracy INTEGER := (v_entry ->> 'accuracy')::int;
+  v_threshold INTEGER := coalesce((p_scoring ->> 'streakBonusThreshold')::int, 3);
+  v_multiplier NUMERIC := coalesce((p_scoring ->> 'streakMultiplier')::numeric, 1);
+BEGIN
+  IF p_points > 0 OR p_is_correct THEN
+    v_total := v_total + 1;
+    IF p_is_correct THEN
+      v_correct := v_correct + 1;
+      v_streak := v_streak + 1;
+    ELSE
+      v_streak := 0;
+    END IF;
+    v_accuracy := round(v_correct::numeric / v_total * 100);
+  END IF;
+
+  IF v_streak >= v_threshold THEN
+    v_score := v_score + floor(v_streak::numeric / v_threshold) * 2 * v_multiplier;
+  END IF;
+
+  RETURN jsonb_set(p_state, ARRAY['scores', p_player], v_entry || jsonb_build_object(
+    'score', v_score,
+    'totalPlacements', v_total,
+    'correctPlacements', v_correct,
+    'streak', v_streak,
+    'accuracy', v_accuracy
+  ));
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_sync_revealed_scores(p_state JSONB)
+RETURNS JSONB AS $$
+  SELECT jsonb_set(p_state, '{revealedScores}', jsonb_build_object(
+    'playerA', jsonb_build_object(
+      'score', p_state -> 'scores' -> 'playerA' -> 'score',
+      'accuracy', p_state -> 'scores' -> 'playerA' -> 'accuracy',
+      'streak', p_state -> 'scores' -> 'playerA' -> 'streak'
+    ),
+    'playerB', jsonb_build_object(
+      'score', p_state -> 'scores' -> 'playerB' -> 'score',
+      'accuracy', p_state -> 'scores' -> 'playerB' -> 'accuracy',
+      'streak', p_state -> 'scores' -> 'playerB' -> 'streak'
+    )
+  ));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Top a rack up to 10 pieces from the front of the pool (GameLogic.fillRack)
+CREATE OR REPLACE FUNCTION public._gs_fill_rack(p_state JSONB, p_player TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  v_key TEXT := public._gs_rack_key(p_player);
+  v_rack JSONB;
+  v_pool JSONB := p_state -> 'piecePool';
+BEGIN
+  SELECT coalesce(jsonb_agg(item ORDER BY ord), '[]') INTO v_rack
+  FROM jsonb_array_elements(p_state -> v_key) WITH ORDINALITY AS t(item, ord)
+  WHERE item <> 'null'::jsonb;
+
+  WHILE jsonb_array_length(v_rack) < 10 AND jsonb_array_length(v_pool) > 0 LOOP
+    v_rack := v_rack || jsonb_build_array(v_pool -> 0);
+    v_pool := v_pool - 0;
+  END LOOP;
+
+  RETURN p_state || jsonb_build_object(v_key, v_rack, 'piecePool', v_pool);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_refill_if_empty(p_state JSONB, p_player TEXT)
+RETURNS JSONB AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM jsonb_array_elements(p_state -> public._gs_rack_key(p_player)) AS t(item)
+    WHERE item <> 'null'::jsonb
+  ) OR jsonb_array_length(p_state -> 'piecePool') = 0 THEN
+    RETURN p_state;
+  END IF;
+
+  RETURN public._gs_fill_rack(p_state, p_player);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_return_to_rack(p_state JSONB, p_player TEXT, p_piece_id INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+  v_key TEXT := public._gs_rack_key(p_player);
+  v_slot INTEGER;
+BEGIN
+  SELECT ord - 1 INTO v_slot
+  FROM jsonb_array_elements(p_state -> v_key) WITH ORDINALITY AS t(item, ord)
+  WHERE item = 'null'::jsonb
+  ORDER BY ord
+  LIMIT 1;
+
+  IF v_slot IS NULL THEN
+    RETURN jsonb_set(p_state, ARRAY[v_key], (p_state -> v_key) || to_jsonb(p_piece_id));
+  END IF;
+
+  RETURN jsonb_set(p_state, ARRAY[v_key, v_slot::text], to_jsonb(p_piece_id));
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- GameLogic.consumeTurn + switchTurn + resetTurnsForPlayer
+CREATE OR REPLACE FUNCTION public._gs_consume_turn(p_state JSONB, p_player TEXT, p_rules JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_state JSONB := p_state;
+  v_turns_per_round INTEGER := (p_rules ->> 'turnsPerRound')::int;
+  v_checks_per_turn INTEGER := coalesce((p_rules ->> 'checksPerTurn')::int, 0);
+  v_left INTEGER;
+  v_next TEXT;
+BEGIN
+  IF v_turns_per_round IS NOT NULL THEN
+    v_left := coalesce((v_state -> 'turnsRemaining' ->> p_player)::int, v_turns_per_round);
+    IF v_left > 0 THEN
+      v_left := v_left - 1;
+    END IF;
+    v_state := jsonb_set(v_state, ARRAY['turnsRemaining', p_player], to_jsonb(v_left));
+
+    -- The player still has turns this round, keep the turn
+    IF v_left > 0 THEN
+      RETURN v_state;
+    END IF;
+  END IF;
+
+  v_next := CASE WHEN v_state ->> 'currentTurn' = 'playerA' THEN 'playerB' ELSE 'playerA' END;
+  v_state := jsonb_set(v_state, '{currentTurn}', to_jsonb(v_next));
+  v_state := jsonb_set(v_state, ARRAY['checksRemaining', v_next], to_jsonb(v_checks_per_turn));
+  v_state := public._gs_refill_if_empty(v_state, v_next);
+
+  -- Reset the outgoing player for their next round
+  v_state := jsonb_set(v_state, ARRAY['turnsRemaining', p_player], coalesce(to_jsonb(v_turns_per_round), 'null'::jsonb));
+  v_state := jsonb_set(v_state, ARRAY['checksRemaining', p_player], to_jsonb(v_checks_per_turn));
+  RETURN v_state;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_consume_check(p_state JSONB, p_checker TEXT, p_rules JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_left INTEGER := coalesce((p_state -> 'checksRemaining' ->> p_checker)::int, 0);
+BEGIN
+  IF coalesce((p_rules ->> 'checksPerTurn')::int, 0) > 0 AND v_left > 0 THEN
+    RETURN jsonb_set(p_state, ARRAY['checksRemaining', p_checker], to_jsonb(v_left - 1));
+  END IF;
+  RETURN p_state;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Persist the working state, mirror scores onto games and return the
+-- sanitized state with its new version
+CREATE OR REPLACE FUNCTION public._gs_save(p_game_id UUID, p_state JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_has_pending BOOLEAN := jsonb_typeof(p_state -> 'pendingCheck') = 'object';
+  v_version INTEGER;
+BEGIN
+  UPDATE public.game_state SET
+    grid = p_state -> 'grid',
+    player_a_rack = p_state -> 'playerARack',
+    player_b_rack = p_state -> 'playerBRack',
+    piece_pool = p_state -> 'piecePool',
+    current_turn = p_state ->> 'currentTurn',
+    scores = p_state -> 'scores',
+    revealed_scores = p_state -> 'revealedScores',
+    pending_check = CASE WHEN v_has_pending THEN p_state -> 'pendingCheck' END,
+    awaiting_decision = CASE WHEN v_has_pending THEN 'opponent_check' END,
+    move_history = p_state -> 'moveHistory',
+    turns_remaining = p_state -> 'turnsRemaining',
+    checks_remaining = p_state -> 'checksRemaining',
+    next_check_reveal_progress = (p_state ->> 'nextCheckRevealProgress')::numeric,
+    piece_placed_by = p_state -> 'piecePlacedBy',
+    piece_marks = p_state -> 'pieceMarks',
+    nexus_resolved = (p_state ->> 'nexusResolved')::boolean,
+    version = version + 1
+  WHERE game_id = p_game_id
+  RETURNING version INTO v_version;
+
+  UPDATE public.games SET
+    player_a_score = round((p_state -> 'scores' -> 'playerA' ->> 'score')::numeric),
+    player_a_accuracy = (p_state -> 'scores' -> 'playerA' ->> 'accuracy')::int,
+    player_a_streak = (p_state -> 'scores' -> 'playerA' ->> 'streak')::int,
+    player_b_score = round((p_state -> 'scores' -> 'playerB' ->> 'score')::numeric),
+    player_b_accuracy = (p_state -> 'scores' -> 'playerB' ->> 'accuracy')::int,
+    player_b_streak = (p_state -> 'scores' -> 'playerB' ->> 'streak')::int,
+    current_turn = p_state ->> 'currentTurn'
+  WHERE id = p_game_id;
+
+  RETURN public._gs_sanitize(jsonb_set(p_state, '{version}', to_jsonb(v_version)));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Locks the row for the rest of the transaction so concurrent moves queue up
+CREATE OR REPLACE FUNCTION public._gs_lock(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  gs public.game_state;
+BEGIN
+  SELECT * INTO gs FROM public.game_state WHERE game_id = p_game_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game state not found' USING ERRCODE = 'P0002';
+  END IF;
+  RETURN public._gs_to_state(gs);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public._gs_save(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public._gs_lock(UUID) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- SUBMIT MOVE
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.submit_move(
+  p_game_id UUID,
+  p_piece_id INTEGER,
+  p_grid_index INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_rules JSONB;
+  v_scoring JSONB;
+  v_rack_key TEXT;
+  v_slot INTEGER;
+  v_piece JSONB;
+  v_correct BOOLEAN;
+  v_move JSONB;
+  v_progress NUMERIC;
+  v_reveal BOOLEAN;
+  v_result JSONB;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_rules := public.gameplay_mode_rules(v_state ->> 'mode');
+  v_scoring := v_rules -> 'scoring';
+  v_rack_key := public._gs_rack_key(v_player);
+
+  IF v_state ->> 'gameState' = 'finished' THEN
+    RETURN public._gs_reject('Game is already finished', v_state);
+  END IF;
+
+  IF NOT (v_rules ->> 'simultaneous')::boolean AND v_state ->> 'currentTurn' <> v_player THEN
+    RETURN public._gs_reject('Not your turn', v_state);
+  END IF;
+
+  IF jsonb_typeof(v_state -> 'pendingCheck') = 'object' THEN
+    RETURN public._gs_reject('Placement in progress, please wait', v_state);
+  END IF;
+
+  IF p_grid_index < 0 OR p_grid_index >= jsonb_array_length(v_state -> 'grid') THEN
+    RETURN public._gs_reject('Invalid grid position', v_state);
+  END IF;
+
+  IF coalesce(v_state -> 'grid' -> p_grid_index, 'null'::jsonb) <> 'null'::jsonb THEN
+    RETURN public._gs_reject('Position occupied', v_state);
+  END IF;
+
+  SELECT ord - 1 INTO v_slot
+  FROM jsonb_array_elements(v_state -> v_rack_key) WITH ORDINALITY AS t(item, ord)
+  WHERE item = to_jsonb(p_piece_id) OR item -> 'id' = to_jsonb(p_piece_id)
+  LIMIT 1;
+
+  IF v_slot IS NULL THEN
+    RETURN public._gs_reject('Piece is not in your rack', v_state);
+  END IF;
+
+  SELECT piece INTO v_piece
+  FROM public.game_state gs, jsonb_array_elements(gs.pieces) AS t(piece)
+  WHERE gs.game_id = p_game_id AND (piece ->> 'id')::int = p_piece_id
+  LIMIT 1;
+
+  IF v_piece IS NULL THEN
+    RETURN public._gs_reject('Piece not found', v_state);
+  END IF;
+
+  v_correct := (v_piece ->> 'correctPosition')::int = p_grid_index;
+
+  v_state := jsonb_set(v_state, ARRAY['grid', p_grid_index::text],
+    jsonb_build_object('id', p_piece_id, 'correctPosition', v_piece -> 'correctPosition'));
+  v_state := jsonb_set(v_state, ARRAY[v_rack_key, v_slot::text], 'null'::jsonb);
+
+  v_move := jsonb_build_object(
+    'player', v_player,
+    'pieceId', p_piece_id,
+    'gridIndex', p_grid_index,
+    'correct', v_correct,
+    'timestamp', floor(extract(epoch FROM clock_timestamp()) * 1000)
+  );
+  v_state := jsonb_set(v_state, '{moveHistory}', (v_state -> 'moveHistory') || jsonb_build_array(v_move));
+
+  IF (v_rules ->> 'simultaneous')::boolean THEN
+    -- NEXUS: nothing is scored until resolve_nexus_game, just track the placer
+    v_state := jsonb_set(v_state, ARRAY['piecePlacedBy', p_grid_index::text], to_jsonb(v_player));
+    v_result := jsonb_build_object('success', TRUE, 'awaitingCheck', FALSE, 'scored', FALSE, 'nexus', TRUE);
+  ELSIF (v_rules ->> 'checksPerTurn')::int > 0 THEN
+    -- Check/pass modes: hold the move until the opponent responds
+    SELECT count(*)::numeric / jsonb_array_length(v_state -> 'grid') INTO v_progress
+    FROM jsonb_array_elements(v_state -> 'grid') AS t(cell)
+    WHERE cell <> 'null'::jsonb;
+
+    v_reveal := v_progress >= (v_state ->> 'nextCheckRevealProgress')::numeric;
+    v_state := jsonb_set(v_state, '{pendingCheck}', v_move || jsonb_build_object('revealCorrectness', v_reveal));
+
+    IF v_reveal THEN
+      v_state := jsonb_set(v_state, '{nextCheckRevealProgress}',
+        to_jsonb(least((v_state ->> 'nextCheckRevealProgress')::numeric + 0.2, 1)));
+    END IF;
+
+    v_result := jsonb_build_object('success', TRUE, 'awaitingCheck', TRUE, 'scored', FALSE);
+  ELSE
+    -- No-check modes score immediately
+    v_state := public._gs_apply_score(
+      v_state,
+      v_player,
+      CASE WHEN v_correct
+        THEN coalesce((v_scoring ->> 'correctPiece')::numeric, 10)
+        ELSE coalesce((v_scoring ->> 'wrongPiece')::numeric, 0)
+      END,
+      v_correct,
+      v_scoring
+    );
+    v_state := public._gs_consume_turn(v_state, v_player, v_rules);
+    v_result := jsonb_build_object('success', TRUE, 'correct', v_correct, 'awaitingCheck', FALSE, 'scored', TRUE);
+  END IF;
+
+  v_state := public._gs_refill_if_empty(v_state, v_player);
+
+  RETURN jsonb_build_object('result', v_result, 'state', public._gs_save(p_game_id, v_state));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- RESPOND TO CHECK
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.respond_to_check(
+  p_game_id UUID,
+  p_decision TEXT  -- 'check' or 'pass'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_checker TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_rules JSONB;
+  v_scoring JSONB;
+  v_move JSONB;
+  v_placer TEXT;
+  v_grid_index INTEGER;
+  v_correct BOOLEAN;
+  v_revealed BOOLEAN;
+  v_placed_id INTEGER;
+  v_points NUMERIC;
+  v_penalty NUMERIC;
+  v_result JSONB;
+BEGIN
+  IF v_checker IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_rules := public.gameplay_mode_rules(v_state ->> 'mode');
+  v_scoring := v_rules -> 'scoring';
+  v_move := v_state -> 'pendingCheck';
+
+  IF jsonb_typeof(v_move) IS DISTINCT FROM 'object' THEN
+    RETURN public._gs_reject('No pending move to check', v_state);
+  END IF;
+
+  IF p_decision NOT IN ('check', 'pass') THEN
+    RETURN public._gs_reject('Invalid decision', v_state);
+  END IF;
+
+  v_placer := v_move ->> 'player';
+  IF v_placer = v_checker THEN
+    RETURN public._gs_reject('You cannot check your own placement', v_state);
+  END IF;
+
+  v_grid_index := (v_move ->> 'gridIndex')::int;
+  v_correct := (v_move ->> 'correct')::boolean;
+  v_revealed := coalesce((v_move ->> 'revealCorrectness')::boolean, FALSE);
+  v_placed_id := (v_state -> 'grid' -> v_grid_index ->> 'id')::int;
+
+  IF p_decision = 'check' AND NOT v_correct THEN
+    -- Checker catches an incorrect piece; it goes back to the placer
+    v_points := coalesce((v_scoring ->> 'checkerSuccess')::numeric, 5);
+    v_state := public._gs_apply_score(v_state, v_checker, v_points, FALSE, v_scoring);
+    v_state := jsonb_set(v_state, ARRAY['grid', v_grid_index::text], 'null'::jsonb);
+    IF v_placed_id IS NOT NULL THEN
+      v_state := public._gs_return_to_rack(v_state, v_placer, v_placed_id);
+    END IF;
+    v_state := public._gs_consume_check(v_state, v_checker, v_rules);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'successful_check',
+      'message', format('Checker gained %s points for catching an incorrect piece.', v_points),
+      'correctPlacement', FALSE,
+      'checkerGained', v_points
+    );
+  ELSIF p_decision = 'check' THEN
+    -- Piece is correct: placer rewarded, checker penalized
+    v_points := coalesce((v_scoring ->> 'checkCorrect')::numeric, 10);
+    v_penalty := coalesce((v_scoring ->> 'checkerFail')::numeric, -2);
+    v_state := public._gs_apply_score(v_state, v_placer, v_points, TRUE, v_scoring);
+    v_state := public._gs_apply_score(v_state, v_checker, v_penalty, FALSE, v_scoring);
+    v_state := public._gs_consume_check(v_state, v_checker, v_rules);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'failed_check',
+      'message', format('Placer awarded %s points. Checker penalized %s points.', v_points, v_penalty),
+      'correctPlacement', TRUE,
+      'placerGained', v_points,
+      'checkerLost', v_penalty
+    );
+  ELSIF v_correct THEN
+    v_points := coalesce((v_scoring ->> 'passCorrect')::numeric, 5);
+    IF v_points > 0 THEN
+      v_state := public._gs_apply_score(v_state, v_placer, v_points, TRUE, v_scoring);
+    END IF;
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'opponent_passed_correct',
+      'message', CASE WHEN v_points > 0
+        THEN format('Opponent passed — piece was correct! Placer earned %s points.', v_points)
+        ELSE 'Opponent passed — piece was correct. Turn moves to opponent.'
+      END,
+      'correctPlacement', TRUE,
+      'placerGained', v_points
+    );
+  ELSE
+    -- Passed on an incorrect piece: both penalized, piece returned
+    v_penalty := coalesce((v_scoring ->> 'passWrong')::numeric, -3);
+    v_state := jsonb_set(v_state, ARRAY['grid', v_grid_index::text], 'null'::jsonb);
+    IF v_placed_id IS NOT NULL THEN
+      v_state := public._gs_return_to_rack(v_state, v_placer, v_placed_id);
+    END IF;
+    v_state := public._gs_apply_score(v_state, v_placer, v_penalty, FALSE, v_scoring);
+    v_state := public._gs_apply_score(v_state, v_checker, v_penalty, FALSE, v_scoring);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'opponent_passed_incorrect',
+      'message', format('Both penalized (%s). Piece removed and returned to placer.', v_penalty),
+      'correctPlacement', FALSE,
+      'bothPenalized', v_penalty
+    );
+  END IF;
+
+  v_state := jsonb_set(v_state, '{pendingCheck}', 'null'::jsonb);
+  v_state := public._gs_consume_turn(v_state, v_placer, v_rules);
+
+  IF v_revealed THEN
+    v_state := public._gs_sync_revealed_scores(v_state);
+  END IF;
+
+  v_result := v_result || jsonb_build_object('correctnessRevealed', v_revealed, 'scoresRevealed', v_revealed);
+
+  RETURN jsonb_build_object('result', v_result, 'state', public._gs_save(p_game_id, v_state));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- NEXUS: MARK PIECE / RESOLVE
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.mark_piece(
+  p_game_id UUID,
+  p_grid_index INTEGER,
+  p_mark_type TEXT  -- 'suspect', 'confident' or NULL to clear
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_key TEXT := p_grid_index::text;
+  v_placed_by TEXT;
+  v_existing JSONB;
+  v_result JSONB;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+
+  IF upper(v_state ->> 'mode') <> 'NEXUS' THEN
+    RETURN public._gs_reject('Marking is only available in Nexus mode', v_state);
+  END IF;
+
+  IF v_state ->> 'gameState' = 'finished' THEN
+    RETURN public._gs_reject('Game is already finished', v_state);
+  END IF;
+
+  IF coalesce(v_state -> 'grid' -> p_grid_index, 'null'::jsonb) = 'null'::jsonb THEN
+    RETURN public._gs_reject('No piece at this position', v_state);
+  END IF;
+
+  v_placed_by := v_state -> 'piecePlacedBy' ->> v_key;
+  v_existing := v_state -> 'pieceMarks' -> v_key;
+
+  IF p_mark_type IS NULL THEN
+    v_state := jsonb_set(v_state, '{pieceMarks}', (v_state -> 'pieceMarks') - v_key);
+    v_result := jsonb_build_object('success', TRUE, 'action', 'removed', 'gridIndex', p_grid_index);
+  ELSIF p_mark_type NOT IN ('suspect', 'confident') THEN
+    RETURN public._gs_reject('Invalid mark type', v_state);
+  ELSIF p_mark_type = 'suspect' AND v_placed_by = v_player THEN
+    RETURN public._gs_reject('You can''t suspect your own piece', v_state);
+  ELSIF p_mark_type = 'confident' AND v_placed_by IS DISTINCT FROM v_player THEN
+    RETURN public._gs_reject('You can only mark confidence on your own pieces', v_state);
+  ELSIF v_existing ->> 'marker' = v_player AND v_existing ->> 'type' = p_mark_type THEN
+    -- Same mark again toggles it off
+    v_state := jsonb_set(v_state, '{pieceMarks}', (v_state -> 'pieceMarks') - v_key);
+    v_result := jsonb_build_object('success', TRUE, 'action', 'removed', 'gridIndex', p_grid_index, 'markType', p_mark_type);
+  ELSE
+    v_state := jsonb_set(v_state, ARRAY['pieceMarks', v_key], jsonb_build_object('marker', v_player, 'type', p_mark_type));
+    v_result := jsonb_build_object('success', TRUE, 'action', 'added', 'gridIndex', p_grid_index, 'markType', p_mark_type);
+  END IF;
+
+  RETURN jsonb_build_object('result', v_result, 'state', public._gs_save(p_game_id, v_state));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.resolve_nexus_game(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_scoring JSONB;
+  v_cell JSONB;
+  v_index INTEGER;
+  v_placed_by TEXT;
+  v_correct BOOLEAN;
+  v_mark JSONB;
+  v_points NUMERIC;
+  v_mark_points NUMERIC;
+  v_entry JSONB;
+  v_results JSONB := '[]';
+  v_score_a NUMERIC;
+  v_score_b NUMERIC;
+  v_side TEXT;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_scoring := public.gameplay_mode_rules(v_state ->> 'mode') -> 'scoring';
+
+  IF upper(v_state ->> 'mode') <> 'NEXUS' THEN
+    RETURN public._gs_reject('Not in Nexus mode', v_state);
+  END IF;
+
+  IF (v_state ->> 'nexusResolved')::boolean THEN
+    RETURN public._gs_reject('Game already resolved', v_state);
+  END IF;
+
+  FOR v_cell, v_index IN
+    SELECT cell, ord - 1 FROM jsonb_array_elements(v_state -> 'grid') WITH ORDINALITY AS t(cell, ord)
+  LOOP
+    CONTINUE WHEN v_cell = 'null'::jsonb;
+
+    v_placed_by := coalesce(v_state -> 'piecePlacedBy' ->> v_index::text, 'playerA');
+    v_correct := (v_cell ->> 'correctPosition')::int = v_index;
+    v_mark := v_state -> 'pieceMarks' -> v_index::text;
+    v_points := CASE WHEN v_correct
+      THEN coalesce((v_scoring ->> 'correctPiece')::numeric, 10)
+      ELSE coalesce((v_scoring ->> 'wrongPiece')::numeric, -5)
+    END;
+
+    v_state := jsonb_set(v_state, ARRAY['scores', v_placed_by], (v_state -> 'scores' -> v_placed_by) || jsonb_build_object(
+      'score', (v_state -> 'scores' -> v_placed_by ->> 'score')::numeric + v_points,
+      'correctPlacements', (v_state -> 'scores' -> v_placed_by ->> 'correctPlacements')::int + CASE WHEN v_correct THEN 1 ELSE 0 END,
+      'totalPlacements', (v_state -> 'scores' -> v_placed_by ->> 'totalPlacements')::int + 1
+    ));
+
+    v_entry := jsonb_build_object(
+      'gridIndex', v_index,
+      'pieceId', v_cell -> 'id',
+      'placedBy', v_placed_by,
+      'isCorrect', v_correct,
+      'points', v_points
+    );
+
+    IF v_mark IS NOT NULL THEN
+      v_mark_points := CASE
+        WHEN v_mark ->> 'type' = 'suspect' AND v_correct THEN coalesce((v_scoring ->> 'suspectCorrect')::numeric, -3)
+        WHEN v_mark ->> 'type' = 'suspect' THEN coalesce((v_scoring ->> 'suspectWrong')::numeric, 8)
+        WHEN v_correct THEN coalesce((v_scoring ->> 'confidentCorrect')::numeric, 5)
+        ELSE coalesce((v_scoring ->> 'confidentWrong')::numeric, -8)
+      END;
+      v_state := jsonb_set(v_state, ARRAY['scores', v_mark ->> 'marker', 'score'],
+        to_jsonb((v_state -> 'scores' -> (v_mark ->> 'marker') ->> 'score')::numeric + v_mark_points));
+      v_entry := v_entry || jsonb_build_object('mark', v_mark || jsonb_build_object('points', v_mark_points));
+    END IF;
+
+    v_results := v_results || jsonb_build_array(v_entry);
+  END LOOP;
+
+  FOREACH v_side IN ARRAY ARRAY['playerA', 'playerB'] LOOP
+    v_state := jsonb_set(v_state, ARRAY['scores', v_side, 'accuracy'], to_jsonb(CASE
+      WHEN (v_state -> 'scores' -> v_side ->> 'totalPlacements')::int > 0
+        THEN round((v_state -> 'scores' -> v_side ->> 'correctPlacements')::numeric
+          / (v_state -> 'scores' -> v_side ->> 'totalPlacements')::int * 100)
+      ELSE 100
+    END));
+  END LOOP;
+
+  v_state := public._gs_sync_revealed_scores(v_state);
+  v_state := v_state || jsonb_build_object('nexusResolved', TRUE, 'gameState', 'finished');
+
+  v_score_a := (v_state -> 'scores' -> 'playerA' ->> 'score')::numeric;
+  v_score_b := (v_state -> 'scores' -> 'playerB' ->> 'score')::numeric;
+
+  RETURN jsonb_build_object(
+    'result', jsonb_build_object(
+      'success', TRUE,
+      'results', v_results,
+      'finalScores', v_state -> 'scores',
+      'winner', CASE
+        WHEN v_score_a > v_score_b THEN 'playerA'
+        WHEN v_score_b > v_score_a THEN 'playerB'
+        ELSE 'tie'
+      END
+    ),
+    'state', public._gs_save(p_game_id, v_state)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.submit_move(UUID, INTEGER, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.respond_to_check(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.mark_piece(UUID, INTEGER, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_nexus_game(UUID) TO authenticated;
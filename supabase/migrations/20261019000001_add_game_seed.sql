@@ -0,0 +1,8 @@
+-- =====================================================
+-- ADD seed to games
+-- Drives the seeded PRNG for slicing, piece shapes, shuffling and the
+-- opening deal, so {image_id, grid_size, seed} reproduces a game exactly
+-- =====================================================
+
+ALTER TABLE public.games
+ADD COLUMN IF NOT EXISTS seed BIGINT;
@@ -0,0 +1,281 @@
+-- =====================================================
+-- PIECE ROTATION
+-- Optional difficulty: pieces are dealt turned 0/90/180/270 degrees and a
+-- placement only counts as correct in the right cell *and* upright.
+-- The starting rotations come from the game's seed on each client; the
+-- server only needs the rotation a piece is placed with.
+-- =====================================================
+
+ALTER TABLE public.game_state
+ADD COLUMN IF NOT EXISTS rotation_enabled BOOLEAN DEFAULT FALSE;
+
+-- A grid cell is correct when it sits on its own index and, for rotation
+-- games, was placed upright
+CREATE OR REPLACE FUNCTION public._gs_is_correct(p_cell JSONB, p_index INTEGER, p_rotation_enabled BOOLEAN)
+RETURNS BOOLEAN AS $$
+  SELECT (p_cell ->> 'correctPosition')::int = p_index
+    AND (NOT p_rotation_enabled OR coalesce((p_cell ->> 'rotation')::int, 0) = 0);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- =====================================================
+-- SUBMIT MOVE (adds p_rotation)
+-- =====================================================
+
+DROP FUNCTION IF EXISTS public.submit_move(UUID, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION public.submit_move(
+  p_game_id UUID,
+  p_piece_id INTEGER,
+  p_grid_index INTEGER,
+  p_rotation INTEGER DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_rules JSONB;
+  v_scoring JSONB;
+  v_rack_key TEXT;
+  v_slot INTEGER;
+  v_piece JSONB;
+  v_correct BOOLEAN;
+  v_rotation_enabled BOOLEAN;
+  v_cell JSONB;
+  v_move JSONB;
+  v_progress NUMERIC;
+  v_reveal BOOLEAN;
+  v_result JSONB;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_rules := public.gameplay_mode_rules(v_state ->> 'mode');
+  v_scoring := v_rules -> 'scoring';
+  v_rack_key := public._gs_rack_key(v_player);
+
+  IF v_state ->> 'gameState' = 'finished' THEN
+    RETURN public._gs_reject('Game is already finished', v_state);
+  END IF;
+
+  IF NOT (v_rules ->> 'simultaneous')::boolean AND v_state ->> 'currentTurn' <> v_player THEN
+    RETURN public._gs_reject('Not your turn', v_state);
+  END IF;
+
+  IF jsonb_typeof(v_state -> 'pendingCheck') = 'object' THEN
+    RETURN public._gs_reject('Placement in progress, please wait', v_state);
+  END IF;
+
+  IF p_grid_index < 0 OR p_grid_index >= jsonb_array_length(v_state -> 'grid') THEN
+    RETURN public._gs_reject('Invalid grid position', v_state);
+  END IF;
+
+  IF coalesce(v_state -> 'grid' -> p_grid_index, 'null'::jsonb) <> 'null'::jsonb THEN
+    RETURN public._gs_reject('Position occupied', v_state);
+  END IF;
+
+  SELECT ord - 1 INTO v_slot
+  FROM jsonb_array_elements(v_state -> v_rack_key) WITH ORDINALITY AS t(item, ord)
+  WHERE item = to_jsonb(p_piece_id) OR item -> 'id' = to_jsonb(p_piece_id)
+  LIMIT 1;
+
+  IF v_slot IS NULL THEN
+    RETURN public._gs_reject('Piece is not in your rack', v_state);
+  END IF;
+
+  SELECT piece INTO v_piece
+  FROM public.game_state gs, jsonb_array_elements(gs.pieces) AS t(piece)
+  WHERE gs.game_id = p_game_id AND (piece ->> 'id')::int = p_piece_id
+  LIMIT 1;
+
+  IF v_piece IS NULL THEN
+    RETURN public._gs_reject('Piece not found', v_state);
+  END IF;
+
+  SELECT coalesce(rotation_enabled, FALSE) INTO v_rotation_enabled
+  FROM public.game_state WHERE game_id = p_game_id;
+
+  IF v_rotation_enabled AND (p_rotation IS NULL OR p_rotation NOT IN (0, 90, 180, 270)) THEN
+    RETURN public._gs_reject('Invalid rotation', v_state);
+  END IF;
+
+  v_cell := jsonb_build_object('id', p_piece_id, 'correctPosition', v_piece -> 'correctPosition');
+  IF v_rotation_enabled THEN
+    v_cell := v_cell || jsonb_build_object('rotation', p_rotation);
+  END IF;
+
+  v_correct := public._gs_is_correct(v_cell, p_grid_index, v_rotation_enabled);
+
+  v_state := jsonb_set(v_state, ARRAY['grid', p_grid_index::text], v_cell);
+  v_state := jsonb_set(v_state, ARRAY[v_rack_key, v_slot::text], 'null'::jsonb);
+
+  v_move := jsonb_build_object(
+    'player', v_player,
+    'pieceId', p_piece_id,
+    'gridIndex', p_grid_index,
+    'correct', v_correct,
+    'timestamp', floor(extract(epoch FROM clock_timestamp()) * 1000)
+  );
+  IF v_rotation_enabled THEN
+    v_move := v_move || jsonb_build_object('rotation', p_rotation);
+  END IF;
+  v_state := jsonb_set(v_state, '{moveHistory}', (v_state -> 'moveHistory') || jsonb_build_array(v_move));
+
+  IF (v_rules ->> 'simultaneous')::boolean THEN
+    -- NEXUS: nothing is scored until resolve_nexus_game, just track the placer
+    v_state := jsonb_set(v_state, ARRAY['piecePlacedBy', p_grid_index::text], to_jsonb(v_player));
+    v_result := jsonb_build_object('success', TRUE, 'awaitingCheck', FALSE, 'scored', FALSE, 'nexus', TRUE);
+  ELSIF (v_rules ->> 'checksPerTurn')::int > 0 THEN
+    -- Check/pass modes: hold the move until the opponent responds
+    SELECT count(*)::numeric / jsonb_array_length(v_state -> 'grid') INTO v_progress
+    FROM jsonb_array_elements(v_state -> 'grid') AS t(cell)
+    WHERE cell <> 'null'::jsonb;
+
+    v_reveal := v_progress >= (v_state ->> 'nextCheckRevealProgress')::numeric;
+    v_state := jsonb_set(v_state, '{pendingCheck}', v_move || jsonb_build_object('revealCorrectness', v_reveal));
+
+    IF v_reveal THEN
+      v_state := jsonb_set(v_state, '{nextCheckRevealProgress}',
+        to_jsonb(least((v_state ->> 'nextCheckRevealProgress')::numeric + 0.2, 1)));
+    END IF;
+
+    v_result := jsonb_build_object('success', TRUE, 'awaitingCheck', TRUE, 'scored', FALSE);
+  ELSE
+    -- No-check modes score immediately
+    v_state := public._gs_apply_score(
+      v_state,
+      v_player,
+      CASE WHEN v_correct
+        THEN coalesce((v_scoring ->> 'correctPiece')::numeric, 10)
+        ELSE coalesce((v_scoring ->> 'wrongPiece')::numeric, 0)
+      END,
+      v_correct,
+      v_scoring
+    );
+    v_state := public._gs_consume_turn(v_state, v_player, v_rules);
+    v_result := jsonb_build_object('success', TRUE, 'correct', v_correct, 'awaitingCheck', FALSE, 'scored', TRUE);
+  END IF;
+
+  v_state := public._gs_refill_if_empty(v_state, v_player);
+
+  RETURN jsonb_build_object('result', v_result, 'state', public._gs_save(p_game_id, v_state));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- RESOLVE NEXUS GAME (rotation-aware correctness)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.resolve_nexus_game(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_scoring JSONB;
+  v_cell JSONB;
+  v_index INTEGER;
+  v_placed_by TEXT;
+  v_correct BOOLEAN;
+  v_rotation_enabled BOOLEAN;
+  v_mark JSONB;
+  v_points NUMERIC;
+  v_mark_points NUMERIC;
+  v_entry JSONB;
+  v_results JSONB := '[]';
+  v_score_a NUMERIC;
+  v_score_b NUMERIC;
+  v_side TEXT;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_scoring := public.gameplay_mode_rules(v_state ->> 'mode') -> 'scoring';
+
+  IF upper(v_state ->> 'mode') <> 'NEXUS' THEN
+    RETURN public._gs_reject('Not in Nexus mode', v_state);
+  END IF;
+
+  IF (v_state ->> 'nexusResolved')::boolean THEN
+    RETURN public._gs_reject('Game already resolved', v_state);
+  END IF;
+
+  SELECT coalesce(rotation_enabled, FALSE) INTO v_rotation_enabled
+  FROM public.game_state WHERE game_id = p_game_id;
+
+  FOR v_cell, v_index IN
+    SELECT cell, ord - 1 FROM jsonb_array_elements(v_state -> 'grid') WITH ORDINALITY AS t(cell, ord)
+  LOOP
+    CONTINUE WHEN v_cell = 'null'::jsonb;
+
+    v_placed_by := coalesce(v_state -> 'piecePlacedBy' ->> v_index::text, 'playerA');
+    v_correct := public._gs_is_correct(v_cell, v_index, v_rotation_enabled);
+    v_mark := v_state -> 'pieceMarks' -> v_index::text;
+    v_points := CASE WHEN v_correct
+      THEN coalesce((v_scoring ->> 'correctPiece')::numeric, 10)
+      ELSE coalesce((v_scoring ->> 'wrongPiece')::numeric, -5)
+    END;
+
+    v_state := jsonb_set(v_state, ARRAY['scores', v_placed_by], (v_state -> 'scores' -> v_placed_by) || jsonb_build_object(
+      'score', (v_state -> 'scores' -> v_placed_by ->> 'score')::numeric + v_points,
+      'correctPlacements', (v_state -> 'scores' -> v_placed_by ->> 'correctPlacements')::int + CASE WHEN v_correct THEN 1 ELSE 0 END,
+      'totalPlacements', (v_state -> 'scores' -> v_placed_by ->> 'totalPlacements')::int + 1
+    ));
+
+    v_entry := jsonb_build_object(
+      'gridIndex', v_index,
+      'pieceId', v_cell -> 'id',
+      'placedBy', v_placed_by,
+      'isCorrect', v_correct,
+      'points', v_points
+    );
+
+    IF v_mark IS NOT NULL THEN
+      v_mark_points := CASE
+        WHEN v_mark ->> 'type' = 'suspect' AND v_correct THEN coalesce((v_scoring ->> 'suspectCorrect')::numeric, -3)
+        WHEN v_mark ->> 'type' = 'suspect' THEN coalesce((v_scoring ->> 'suspectWrong')::numeric, 8)
+        WHEN v_correct THEN coalesce((v_scoring ->> 'confidentCorrect')::numeric, 5)
+        ELSE coalesce((v_scoring ->> 'confidentWrong')::numeric, -8)
+      END;
+      v_state := jsonb_set(v_state, ARRAY['scores', v_mark ->> 'marker', 'score'],
+        to_jsonb((v_state -> 'scores' -> (v_mark ->> 'marker') ->> 'score')::numeric + v_mark_points));
+      v_entry := v_entry || jsonb_build_object('mark', v_mark || jsonb_build_object('points', v_mark_points));
+    END IF;
+
+    v_results := v_results || jsonb_build_array(v_entry);
+  END LOOP;
+
+  FOREACH v_side IN ARRAY ARRAY['playerA', 'playerB'] LOOP
+    v_state := jsonb_set(v_state, ARRAY['scores', v_side, 'accuracy'], to_jsonb(CASE
+      WHEN (v_state -> 'scores' -> v_side ->> 'totalPlacements')::int > 0
+        THEN round((v_state -> 'scores' -> v_side ->> 'correctPlacements')::numeric
+          / (v_state -> 'scores' -> v_side ->> 'totalPlacements')::int * 100)
+      ELSE 100
+    END));
+  END LOOP;
+
+  v_state := public._gs_sync_revealed_scores(v_state);
+  v_state := v_state || jsonb_build_object('nexusResolved', TRUE, 'gameState', 'finished');
+
+  v_score_a := (v_state -> 'scores' -> 'playerA' ->> 'score')::numeric;
+  v_score_b := (v_state -> 'scores' -> 'playerB' ->> 'score')::numeric;
+
+  RETURN jsonb_build_object(
+    'result', jsonb_build_object(
+      'success', TRUE,
+      'results', v_results,
+      'finalScores', v_state -> 'scores',
+      'winner', CASE
+        WHEN v_score_a > v_score_b THEN 'playerA'
+        WHEN v_score_b > v_score_a THEN 'playerB'
+        ELSE 'tie'
+      END
+    ),
+    'state', public._gs_save(p_game_id, v_state)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.submit_move(UUID, INTEGER, INTEGER, INTEGER) TO authenticated;
@@ -0,0 +1,337 @@
+-- =====================================================
+-- PLAYABLE CLASSIC / SUPER / SAGE / SAVANT
+-- * SAVANT becomes a free-for-all: simultaneous, scored on the spot, and
+--   wrong pieces go straight back to the placer's rack
+-- * respond_to_check enforces checksPerTurn (SUPER 1, SAGE 2 per round)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.gameplay_mode_rules(p_mode TEXT)
+RETURNS JSONB AS $$
+  SELECT CASE upper(coalesce(p_mode, 'CLASSIC'))
+    WHEN 'SUPER' THEN '{
+      "turnsPerRound": 2, "checksPerTurn": 1, "simultaneous": false,
+      "scoring": {"checkCorrect": 15, "checkerSuccess": 8, "checkerFail": -3, "passCorrect": 8, "passWrong": -5,
+                  "streakMultiplier": 1.5, "streakBonusThreshold": 3}
+    }'::jsonb
+    WHEN 'SAGE' THEN '{
+      "turnsPerRound": 5, "checksPerTurn": 2, "simultaneous": false,
+      "scoring": {"checkCorrect": 20, "checkerSuccess": 10, "checkerFail": -5, "passCorrect": 10, "passWrong": -8,
+                  "streakMultiplier": 2, "streakBonusThreshold": 2}
+    }'::jsonb
+    WHEN 'SAVANT' THEN '{
+      "turnsPerRound": null, "checksPerTurn": 0, "simultaneous": true, "returnsWrongPieces": true,
+      "scoring": {"correctPiece": 25, "wrongPiece": 0, "streakMultiplier": 2.5, "streakBonusThreshold": 5}
+    }'::jsonb
+    WHEN 'NEXUS' THEN '{
+      "turnsPerRound": null, "checksPerTurn": 0, "simultaneous": true,
+      "scoring": {"correctPiece": 10, "wrongPiece": -5, "suspectCorrect": -3, "suspectWrong": 8,
+                  "confidentCorrect": 5, "confidentWrong": -8, "streakMultiplier": 1, "streakBonusThreshold": 99}
+    }'::jsonb
+    WHEN 'SINGLE_PLAYER' THEN '{
+      "turnsPerRound": 1, "checksPerTurn": 0, "simultaneous": false,
+      "scoring": {"correctPiece": 10, "wrongPiece": -2, "streakMultiplier": 1, "streakBonusThreshold": 3}
+    }'::jsonb
+    ELSE '{
+      "turnsPerRound": 1, "checksPerTurn": 1, "simultaneous": false,
+      "scoring": {"checkCorrect": 10, "checkerSuccess": 5, "checkerFail": -2, "passCorrect": 5, "passWrong": -3,
+                  "streakMultiplier": 1, "streakBonusThreshold": 3}
+    }'::jsonb
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- =====================================================
+-- SUBMIT MOVE (simultaneous SAVANT, wrong pieces bounce)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.submit_move(
+  p_game_id UUID,
+  p_piece_id INTEGER,
+  p_grid_index INTEGER,
+  p_rotation INTEGER DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_rules JSONB;
+  v_scoring JSONB;
+  v_rack_key TEXT;
+  v_slot INTEGER;
+  v_piece JSONB;
+  v_correct BOOLEAN;
+  v_rotation_enabled BOOLEAN;
+  v_cell JSONB;
+  v_move JSONB;
+  v_progress NUMERIC;
+  v_reveal BOOLEAN;
+  v_returned BOOLEAN := FALSE;
+  v_result JSONB;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_rules := public.gameplay_mode_rules(v_state ->> 'mode');
+  v_scoring := v_rules -> 'scoring';
+  v_rack_key := public._gs_rack_key(v_player);
+
+  IF v_state ->> 'gameState' = 'finished' THEN
+    RETURN public._gs_reject('Game is already finished', v_state);
+  END IF;
+
+  IF NOT (v_rules ->> 'simultaneous')::boolean AND v_state ->> 'currentTurn' <> v_player THEN
+    RETURN public._gs_reject('Not your turn', v_state);
+  END IF;
+
+  IF jsonb_typeof(v_state -> 'pendingCheck') = 'object' THEN
+    RETURN public._gs_reject('Placement in progress, please wait', v_state);
+  END IF;
+
+  IF p_grid_index < 0 OR p_grid_index >= jsonb_array_length(v_state -> 'grid') THEN
+    RETURN public._gs_reject('Invalid grid position', v_state);
+  END IF;
+
+  IF coalesce(v_state -> 'grid' -> p_grid_index, 'null'::jsonb) <> 'null'::jsonb THEN
+    RETURN public._gs_reject('Position occupied', v_state);
+  END IF;
+
+  SELECT ord - 1 INTO v_slot
+  FROM jsonb_array_elements(v_state -> v_rack_key) WITH ORDINALITY AS t(item, ord)
+  WHERE item = to_jsonb(p_piece_id) OR item -> 'id' = to_jsonb(p_piece_id)
+  LIMIT 1;
+
+  IF v_slot IS NULL THEN
+    RETURN public._gs_reject('Piece is not in your rack', v_state);
+  END IF;
+
+  SELECT piece INTO v_piece
+  FROM public.game_state gs, jsonb_array_elements(gs.pieces) AS t(piece)
+  WHERE gs.game_id = p_game_id AND (piece ->> 'id')::int = p_piece_id
+  LIMIT 1;
+
+  IF v_piece IS NULL THEN
+    RETURN public._gs_reject('Piece not found', v_state);
+  END IF;
+
+  SELECT coalesce(rotation_enabled, FALSE) INTO v_rotation_enabled
+  FROM public.game_state WHERE game_id = p_game_id;
+
+  IF v_rotation_enabled AND (p_rotation IS NULL OR p_rotation NOT IN (0, 90, 180, 270)) THEN
+    RETURN public._gs_reject('Invalid rotation', v_state);
+  END IF;
+
+  v_cell := jsonb_build_object('id', p_piece_id, 'correctPosition', v_piece -> 'correctPosition');
+  IF v_rotation_enabled THEN
+    v_cell := v_cell || jsonb_build_object('rotation', p_rotation);
+  END IF;
+
+  v_correct := public._gs_is_correct(v_cell, p_grid_index, v_rotation_enabled);
+
+  v_state := jsonb_set(v_state, ARRAY['grid', p_grid_index::text], v_cell);
+  v_state := jsonb_set(v_state, ARRAY[v_rack_key, v_slot::text], 'null'::jsonb);
+
+  v_move := jsonb_build_object(
+    'player', v_player,
+    'pieceId', p_piece_id,
+    'gridIndex', p_grid_index,
+    'correct', v_correct,
+    'timestamp', floor(extract(epoch FROM clock_timestamp()) * 1000)
+  );
+  IF v_rotation_enabled THEN
+    v_move := v_move || jsonb_build_object('rotation', p_rotation);
+  END IF;
+  v_state := jsonb_set(v_state, '{moveHistory}', (v_state -> 'moveHistory') || jsonb_build_array(v_move));
+
+  IF upper(v_state ->> 'mode') = 'NEXUS' THEN
+    -- NEXUS: nothing is scored until resolve_nexus_game, just track the placer
+    v_state := jsonb_set(v_state, ARRAY['piecePlacedBy', p_grid_index::text], to_jsonb(v_player));
+    v_result := jsonb_build_object('success', TRUE, 'awaitingCheck', FALSE, 'scored', FALSE, 'nexus', TRUE);
+  ELSIF (v_rules ->> 'checksPerTurn')::int > 0 THEN
+    -- Check/pass modes: hold the move until the opponent responds
+    SELECT count(*)::numeric / jsonb_array_length(v_state -> 'grid') INTO v_progress
+    FROM jsonb_array_elements(v_state -> 'grid') AS t(cell)
+    WHERE cell <> 'null'::jsonb;
+
+    v_reveal := v_progress >= (v_state ->> 'nextCheckRevealProgress')::numeric;
+    v_state := jsonb_set(v_state, '{pendingCheck}', v_move || jsonb_build_object('revealCorrectness', v_reveal));
+
+    IF v_reveal THEN
+      v_state := jsonb_set(v_state, '{nextCheckRevealProgress}',
+        to_jsonb(least((v_state ->> 'nextCheckRevealProgress')::numeric + 0.2, 1)));
+    END IF;
+
+    v_result := jsonb_build_object('success', TRUE, 'awaitingCheck', TRUE, 'scored', FALSE);
+  ELSE
+    -- No-check modes score immediately
+    v_state := public._gs_apply_score(
+      v_state,
+      v_player,
+      CASE WHEN v_correct
+        THEN coalesce((v_scoring ->> 'correctPiece')::numeric, 10)
+        ELSE coalesce((v_scoring ->> 'wrongPiece')::numeric, 0)
+      END,
+      v_correct,
+      v_scoring
+    );
+
+    -- SAVANT: a wrong piece would block its cell for good, so it bounces back
+    v_returned := NOT v_correct AND coalesce((v_rules ->> 'returnsWrongPieces')::boolean, FALSE);
+    IF v_returned THEN
+      v_state := jsonb_set(v_state, ARRAY['grid', p_grid_index::text], 'null'::jsonb);
+      v_state := public._gs_return_to_rack(v_state, v_player, p_piece_id);
+    END IF;
+
+    -- Free-for-all modes have no turns to consume
+    IF NOT (v_rules ->> 'simultaneous')::boolean THEN
+      v_state := public._gs_consume_turn(v_state, v_player, v_rules);
+    END IF;
+    v_result := jsonb_build_object('success', TRUE, 'correct', v_correct, 'awaitingCheck', FALSE, 'scored', TRUE,
+      'returned', v_returned);
+  END IF;
+
+  v_state := public._gs_refill_if_empty(v_state, v_player);
+
+  RETURN jsonb_build_object('result', v_result, 'state', public._gs_save(p_game_id, v_state));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- RESPOND TO CHECK (check limit per round)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.respond_to_check(
+  p_game_id UUID,
+  p_decision TEXT  -- 'check' or 'pass'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_checker TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_rules JSONB;
+  v_scoring JSONB;
+  v_move JSONB;
+  v_placer TEXT;
+  v_grid_index INTEGER;
+  v_correct BOOLEAN;
+  v_revealed BOOLEAN;
+  v_placed_id INTEGER;
+  v_points NUMERIC;
+  v_penalty NUMERIC;
+  v_result JSONB;
+BEGIN
+  IF v_checker IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_rules := public.gameplay_mode_rules(v_state ->> 'mode');
+  v_scoring := v_rules -> 'scoring';
+  v_move := v_state -> 'pendingCheck';
+
+  IF jsonb_typeof(v_move) IS DISTINCT FROM 'object' THEN
+    RETURN public._gs_reject('No pending move to check', v_state);
+  END IF;
+
+  IF p_decision NOT IN ('check', 'pass') THEN
+    RETURN public._gs_reject('Invalid decision', v_state);
+  END IF;
+
+  v_placer := v_move ->> 'player';
+  IF v_placer = v_checker THEN
+    RETURN public._gs_reject('You cannot check your own placement', v_state);
+  END IF;
+
+  -- SUPER/SAGE rounds have more placements than checks
+  IF p_decision = 'check' AND coalesce(
+    (v_state -> 'checksRemaining' ->> v_checker)::int,
+    (v_rules ->> 'checksPerTurn')::int
+  ) <= 0 THEN
+    RETURN public._gs_reject('No checks left this round — you can only pass', v_state);
+  END IF;
+
+  v_grid_index := (v_move ->> 'gridIndex')::int;
+  v_correct := (v_move ->> 'correct')::boolean;
+  v_revealed := coalesce((v_move ->> 'revealCorrectness')::boolean, FALSE);
+  v_placed_id := (v_state -> 'grid' -> v_grid_index ->> 'id')::int;
+
+  IF p_decision = 'check' AND NOT v_correct THEN
+    -- Checker catches an incorrect piece; it goes back to the placer
+    v_points := coalesce((v_scoring ->> 'checkerSuccess')::numeric, 5);
+    v_state := public._gs_apply_score(v_state, v_checker, v_points, FALSE, v_scoring);
+    v_state := jsonb_set(v_state, ARRAY['grid', v_grid_index::text], 'null'::jsonb);
+    IF v_placed_id IS NOT NULL THEN
+      v_state := public._gs_return_to_rack(v_state, v_placer, v_placed_id);
+    END IF;
+    v_state := public._gs_consume_check(v_state, v_checker, v_rules);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'successful_check',
+      'message', format('Checker gained %s points for catching an incorrect piece.', v_points),
+      'correctPlacement', FALSE,
+      'checkerGained', v_points
+    );
+  ELSIF p_decision = 'check' THEN
+    -- Piece is correct: placer rewarded, checker penalized
+    v_points := coalesce((v_scoring ->> 'checkCorrect')::numeric, 10);
+    v_penalty := coalesce((v_scoring ->> 'checkerFail')::numeric, -2);
+    v_state := public._gs_apply_score(v_state, v_placer, v_points, TRUE, v_scoring);
+    v_state := public._gs_apply_score(v_state, v_checker, v_penalty, FALSE, v_scoring);
+    v_state := public._gs_consume_check(v_state, v_checker, v_rules);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'failed_check',
+      'message', format('Placer awarded %s points. Checker penalized %s points.', v_points, v_penalty),
+      'correctPlacement', TRUE,
+      'placerGained', v_points,
+      'checkerLost', v_penalty
+    );
+  ELSIF v_correct THEN
+    v_points := coalesce((v_scoring ->> 'passCorrect')::numeric, 5);
+    IF v_points > 0 THEN
+      v_state := public._gs_apply_score(v_state, v_placer, v_points, TRUE, v_scoring);
+    END IF;
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'opponent_passed_correct',
+      'message', CASE WHEN v_points > 0
+        THEN format('Opponent passed — piece was correct! Placer earned %s points.', v_points)
+        ELSE 'Opponent passed — piece was correct. Turn moves to opponent.'
+      END,
+      'correctPlacement', TRUE,
+      'placerGained', v_points
+    );
+  ELSE
+    -- Passed on an incorrect piece: both penalized, piece returned
+    v_penalty := coalesce((v_scoring ->> 'passWrong')::numeric, -3);
+    v_state := jsonb_set(v_state, ARRAY['grid', v_grid_index::text], 'null'::jsonb);
+    IF v_placed_id IS NOT NULL THEN
+      v_state := public._gs_return_to_rack(v_state, v_placer, v_placed_id);
+    END IF;
+    v_state := public._gs_apply_score(v_state, v_placer, v_penalty, FALSE, v_scoring);
+    v_state := public._gs_apply_score(v_state, v_checker, v_penalty, FALSE, v_scoring);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'opponent_passed_incorrect',
+      'message', format('Both penalized (%s). Piece removed and returned to placer.', v_penalty),
+      'correctPlacement', FALSE,
+      'bothPenalized', v_penalty
+    );
+  END IF;
+
+  v_state := jsonb_set(v_state, '{pendingCheck}', 'null'::jsonb);
+  v_state := public._gs_consume_turn(v_state, v_placer, v_rules);
+
+  IF v_revealed THEN
+    v_state := public._gs_sync_revealed_scores(v_state);
+  END IF;
+
+  v_result := v_result || jsonb_build_object('correctnessRevealed', v_revealed, 'scoresRevealed', v_revealed);
+
+  RETURN jsonb_build_object('result', v_result, 'state', public._gs_save(p_game_id, v_state));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
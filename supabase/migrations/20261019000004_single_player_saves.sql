@@ -0,0 +1,25 @@
+-- =====================================================
+-- SINGLE-PLAYER SAVES
+-- Signed-in players keep an unfinished solo puzzle in games/game_state
+-- (games.mode = 'single_player') so it can be resumed on another device.
+-- Multiplayer state is still only written through the move RPCs; a solo
+-- game has no opponent to protect, so its host may write it directly.
+-- =====================================================
+
+DROP POLICY IF EXISTS "Hosts can update single-player game state" ON public.game_state;
+
+CREATE POLICY "Hosts can update single-player game state"
+  ON public.game_state FOR UPDATE
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.games
+      WHERE games.id = game_state.game_id
+      AND games.mode = 'single_player'
+      AND auth.uid() = games.host_id
+    )
+  );
+
+-- "Continue puzzle" list: a player's unfinished solo games
+CREATE INDEX IF NOT EXISTS idx_games_single_player_saves
+  ON public.games(host_id, updated_at DESC)
+  WHERE mode = 'single_player' AND status = 'active';
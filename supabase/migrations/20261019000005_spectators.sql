@@ -0,0 +1,45 @@
+-- =====================================================
+-- SPECTATORS
+-- Anyone signed in can watch a live multiplayer game. Spectators may read
+-- the games row, but game_state stays player-only: they get a sanitized
+-- copy through get_spectator_state, without the racks, the piece pool or
+-- the hidden scores (only the milestone-revealed ones).
+-- =====================================================
+
+DROP POLICY IF EXISTS "Spectators can view live games" ON public.games;
+
+CREATE POLICY "Spectators can view live games"
+  ON public.games FOR SELECT
+  USING (
+    mode = 'multiplayer' AND
+    status IN ('active', 'paused')
+  );
+
+CREATE OR REPLACE FUNCTION public.get_spectator_state(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_game public.games;
+  v_row public.game_state;
+BEGIN
+  SELECT * INTO v_game FROM public.games WHERE id = p_game_id;
+  IF NOT FOUND
+    OR v_game.mode <> 'multiplayer'
+    OR v_game.status NOT IN ('waiting', 'active', 'paused') THEN
+    RAISE EXCEPTION 'Game is not open to spectators';
+  END IF;
+
+  SELECT * INTO v_row FROM public.game_state WHERE game_id = p_game_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN (public._gs_sanitize(public._gs_to_state(v_row))
+      - 'playerARack' - 'playerBRack' - 'piecePool' - 'scores')
+    || jsonb_build_object(
+      'rotationEnabled', coalesce(v_row.rotation_enabled, FALSE),
+      'piecePoolCount', jsonb_array_length(coalesce(v_row.piece_pool, '[]'))
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.get_spectator_state(UUID) TO authenticated;
@@ -0,0 +1,439 @@
+-- =====================================================
+-- REPLAY HISTORY
+-- move_history becomes a full log of the match so finished games can be
+-- replayed: alongside placements it now records check/pass decisions,
+-- Nexus marks and the end-game resolve. Every entry carries both players'
+-- running scores after it, stripped (like `correct`) until the game is
+-- finished so hidden scores don't leak mid-match.
+--
+-- Entries without a `type` are placements, as before:
+--   {player, pieceId, gridIndex, correct, rotation?, timestamp, scores}
+--   {type: 'check', player, decision, outcome, pieceId, gridIndex, correct, removed, timestamp, scores}
+--   {type: 'mark', player, gridIndex, markType, action, timestamp, scores}
+--   {type: 'resolve', player, timestamp, scores}
+-- =====================================================
+
+-- Append a non-placement entry to the history
+CREATE OR REPLACE FUNCTION public._gs_log(p_state JSONB, p_entry JSONB)
+RETURNS JSONB AS $$
+  SELECT jsonb_set(p_state, '{moveHistory}', coalesce(p_state -> 'moveHistory', '[]') || jsonb_build_array(
+    p_entry || jsonb_build_object('timestamp', floor(extract(epoch FROM clock_timestamp()) * 1000))
+  ));
+$$ LANGUAGE sql VOLATILE;
+
+-- Strip everything that would tell a client whether a piece is correct.
+-- Move history is only disclosed in full once the game is finished.
+CREATE OR REPLACE FUNCTION public._gs_sanitize(p_state JSONB)
+RETURNS JSONB AS $$
+BEGIN
+  RETURN p_state || jsonb_build_object(
+    'grid', (
+      SELECT coalesce(jsonb_agg(
+        CASE WHEN jsonb_typeof(cell) = 'object' THEN cell - 'correctPosition' ELSE cell END
+        ORDER BY ord), '[]')
+      FROM jsonb_array_elements(p_state -> 'grid') WITH ORDINALITY AS t(cell, ord)
+    ),
+    'pendingCheck', CASE
+      WHEN jsonb_typeof(p_state -> 'pendingCheck') = 'object' THEN (p_state -> 'pendingCheck') - 'correct'
+      ELSE 'null'::jsonb
+    END,
+    'moveHistory', CASE
+      WHEN p_state ->> 'gameState' = 'finished' THEN p_state -> 'moveHistory'
+      ELSE (
+        SELECT coalesce(jsonb_agg(entry - 'correct' - 'scores' ORDER BY ord), '[]')
+        FROM jsonb_array_elements(p_state -> 'moveHistory') WITH ORDINALITY AS t(entry, ord)
+      )
+    END
+  );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Persist the working state, mirror scores onto games and return the
+-- sanitized state with its new version. The newest history entry is
+-- stamped with the scores it left behind.
+CREATE OR REPLACE FUNCTION public._gs_save(p_game_id UUID, p_state JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_has_pending BOOLEAN := jsonb_typeof(p_state -> 'pendingCheck') = 'object';
+  v_last INTEGER := jsonb_array_length(coalesce(p_state -> 'moveHistory', '[]')) - 1;
+  v_version INTEGER;
+BEGIN
+  IF v_last >= 0 AND NOT (p_state -> 'moveHistory' -> v_last) ? 'scores' THEN
+    p_state := jsonb_set(p_state, ARRAY['moveHistory', v_last::text, 'scores'], jsonb_build_object(
+      'playerA', coalesce((p_state -> 'scores' -> 'playerA' ->> 'score')::numeric, 0),
+      'playerB', coalesce((p_state -> 'scores' -> 'playerB' ->> 'score')::numeric, 0)
+    ));
+  END IF;
+
+  UPDATE public.game_state SET
+    grid = p_state -> 'grid',
+    player_a_rack = p_state -> 'playerARack',
+    player_b_rack = p_state -> 'playerBRack',
+    piece_pool = p_state -> 'piecePool',
+    current_turn = p_state ->> 'currentTurn',
+    scores = p_state -> 'scores',
+    revealed_scores = p_state -> 'revealedScores',
+    pending_check = CASE WHEN v_has_pending THEN p_state -> 'pendingCheck' END,
+    awaiting_decision = CASE WHEN v_has_pending THEN 'opponent_check' END,
+    move_history = p_state -> 'moveHistory',
+    turns_remaining = p_state -> 'turnsRemaining',
+    checks_remaining = p_state -> 'checksRemaining',
+    next_check_reveal_progress = (p_state ->> 'nextCheckRevealProgress')::numeric,
+    piece_placed_by = p_state -> 'piecePlacedBy',
+    piece_marks = p_state -> 'pieceMarks',
+    nexus_resolved = (p_state ->> 'nexusResolved')::boolean,
+    version = version + 1
+  WHERE game_id = p_game_id
+  RETURNING version INTO v_version;
+
+  UPDATE public.games SET
+    player_a_score = round((p_state -> 'scores' -> 'playerA' ->> 'score')::numeric),
+    player_a_accuracy = (p_state -> 'scores' -> 'playerA' ->> 'accuracy')::int,
+    player_a_streak = (p_state -> 'scores' -> 'playerA' ->> 'streak')::int,
+    player_b_score = round((p_state -> 'scores' -> 'playerB' ->> 'score')::numeric),
+    player_b_accuracy = (p_state -> 'scores' -> 'playerB' ->> 'accuracy')::int,
+    player_b_streak = (p_state -> 'scores' -> 'playerB' ->> 'streak')::int,
+    current_turn = p_state ->> 'currentTurn'
+  WHERE id = p_game_id;
+
+  RETURN public._gs_sanitize(jsonb_set(p_state, '{version}', to_jsonb(v_version)));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public._gs_save(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- RESPOND TO CHECK (logs the decision)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.respond_to_check(
+  p_game_id UUID,
+  p_decision TEXT  -- 'check' or 'pass'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_checker TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_rules JSONB;
+  v_scoring JSONB;
+  v_move JSONB;
+  v_placer TEXT;
+  v_grid_index INTEGER;
+  v_correct BOOLEAN;
+  v_revealed BOOLEAN;
+  v_placed_id INTEGER;
+  v_points NUMERIC;
+  v_penalty NUMERIC;
+  v_result JSONB;
+BEGIN
+  IF v_checker IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_rules := public.gameplay_mode_rules(v_state ->> 'mode');
+  v_scoring := v_rules -> 'scoring';
+  v_move := v_state -> 'pendingCheck';
+
+  IF jsonb_typeof(v_move) IS DISTINCT FROM 'object' THEN
+    RETURN public._gs_reject('No pending move to check', v_state);
+  END IF;
+
+  IF p_decision NOT IN ('check', 'pass') THEN
+    RETURN public._gs_reject('Invalid decision', v_state);
+  END IF;
+
+  v_placer := v_move ->> 'player';
+  IF v_placer = v_checker THEN
+    RETURN public._gs_reject('You cannot check your own placement', v_state);
+  END IF;
+
+  -- SUPER/SAGE rounds have more placements than checks
+  IF p_decision = 'check' AND coalesce(
+    (v_state -> 'checksRemaining' ->> v_checker)::int,
+    (v_rules ->> 'checksPerTurn')::int
+  ) <= 0 THEN
+    RETURN public._gs_reject('No checks left this round — you can only pass', v_state);
+  END IF;
+
+  v_grid_index := (v_move ->> 'gridIndex')::int;
+  v_correct := (v_move ->> 'correct')::boolean;
+  v_revealed := coalesce((v_move ->> 'revealCorrectness')::boolean, FALSE);
+  v_placed_id := (v_state -> 'grid' -> v_grid_index ->> 'id')::int;
+
+  IF p_decision = 'check' AND NOT v_correct THEN
+    -- Checker catches an incorrect piece; it goes back to the placer
+    v_points := coalesce((v_scoring ->> 'checkerSuccess')::numeric, 5);
+    v_state := public._gs_apply_score(v_state, v_checker, v_points, FALSE, v_scoring);
+    v_state := jsonb_set(v_state, ARRAY['grid', v_grid_index::text], 'null'::jsonb);
+    IF v_placed_id IS NOT NULL THEN
+      v_state := public._gs_return_to_rack(v_state, v_placer, v_placed_id);
+    END IF;
+    v_state := public._gs_consume_check(v_state, v_checker, v_rules);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'successful_check',
+      'message', format('Checker gained %s points for catching an incorrect piece.', v_points),
+      'correctPlacement', FALSE,
+      'checkerGained', v_points
+    );
+  ELSIF p_decision = 'check' THEN
+    -- Piece is correct: placer rewarded, checker penalized
+    v_points := coalesce((v_scoring ->> 'checkCorrect')::numeric, 10);
+    v_penalty := coalesce((v_scoring ->> 'checkerFail')::numeric, -2);
+    v_state := public._gs_apply_score(v_state, v_placer, v_points, TRUE, v_scoring);
+    v_state := public._gs_apply_score(v_state, v_checker, v_penalty, FALSE, v_scoring);
+    v_state := public._gs_consume_check(v_state, v_checker, v_rules);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'failed_check',
+      'message', format('Placer awarded %s points. Checker penalized %s points.', v_points, v_penalty),
+      'correctPlacement', TRUE,
+      'placerGained', v_points,
+      'checkerLost', v_penalty
+    );
+  ELSIF v_correct THEN
+    v_points := coalesce((v_scoring ->> 'passCorrect')::numeric, 5);
+    IF v_points > 0 THEN
+      v_state := public._gs_apply_score(v_state, v_placer, v_points, TRUE, v_scoring);
+    END IF;
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'opponent_passed_correct',
+      'message', CASE WHEN v_points > 0
+        THEN format('Opponent passed — piece was correct! Placer earned %s points.', v_points)
+        ELSE 'Opponent passed — piece was correct. Turn moves to opponent.'
+      END,
+      'correctPlacement', TRUE,
+      'placerGained', v_points
+    );
+  ELSE
+    -- Passed on an incorrect piece: both penalized, piece returned
+    v_penalty := coalesce((v_scoring ->> 'passWrong')::numeric, -3);
+    v_state := jsonb_set(v_state, ARRAY['grid', v_grid_index::text], 'null'::jsonb);
+    IF v_placed_id IS NOT NULL THEN
+      v_state := public._gs_return_to_rack(v_state, v_placer, v_placed_id);
+    END IF;
+    v_state := public._gs_apply_score(v_state, v_placer, v_penalty, FALSE, v_scoring);
+    v_state := public._gs_apply_score(v_state, v_checker, v_penalty, FALSE, v_scoring);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'opponent_passed_incorrect',
+      'message', format('Both penalized (%s). Piece removed and returned to placer.', v_penalty),
+      'correctPlacement', FALSE,
+      'bothPenalized', v_penalty
+    );
+  END IF;
+
+  v_state := jsonb_set(v_state, '{pendingCheck}', 'null'::jsonb);
+  v_state := public._gs_consume_turn(v_state, v_placer, v_rules);
+
+  IF v_revealed THEN
+    v_state := public._gs_sync_revealed_scores(v_state);
+  END IF;
+
+  v_result := v_result || jsonb_build_object('correctnessRevealed', v_revealed, 'scoresRevealed', v_revealed);
+
+  v_state := public._gs_log(v_state, jsonb_build_object(
+    'type', 'check',
+    'player', v_checker,
+    'decision', p_decision,
+    'outcome', v_result ->> 'result',
+    'pieceId', v_move -> 'pieceId',
+    'gridIndex', v_grid_index,
+    'correct', v_correct,
+    'removed', NOT v_correct
+  ));
+
+  RETURN jsonb_build_object('result', v_result, 'state', public._gs_save(p_game_id, v_state));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- MARK PIECE (logs the mark)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.mark_piece(
+  p_game_id UUID,
+  p_grid_index INTEGER,
+  p_mark_type TEXT  -- 'suspect', 'confident' or NULL to clear
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_key TEXT := p_grid_index::text;
+  v_placed_by TEXT;
+  v_existing JSONB;
+  v_result JSONB;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+
+  IF upper(v_state ->> 'mode') <> 'NEXUS' THEN
+    RETURN public._gs_reject('Marking is only available in Nexus mode', v_state);
+  END IF;
+
+  IF v_state ->> 'gameState' = 'finished' THEN
+    RETURN public._gs_reject('Game is already finished', v_state);
+  END IF;
+
+  IF coalesce(v_state -> 'grid' -> p_grid_index, 'null'::jsonb) = 'null'::jsonb THEN
+    RETURN public._gs_reject('No piece at this position', v_state);
+  END IF;
+
+  v_placed_by := v_state -> 'piecePlacedBy' ->> v_key;
+  v_existing := v_state -> 'pieceMarks' -> v_key;
+
+  IF p_mark_type IS NULL THEN
+    v_state := jsonb_set(v_state, '{pieceMarks}', (v_state -> 'pieceMarks') - v_key);
+    v_result := jsonb_build_object('success', TRUE, 'action', 'removed', 'gridIndex', p_grid_index);
+  ELSIF p_mark_type NOT IN ('suspect', 'confident') THEN
+    RETURN public._gs_reject('Invalid mark type', v_state);
+  ELSIF p_mark_type = 'suspect' AND v_placed_by = v_player THEN
+    RETURN public._gs_reject('You can''t suspect your own piece', v_state);
+  ELSIF p_mark_type = 'confident' AND v_placed_by IS DISTINCT FROM v_player THEN
+    RETURN public._gs_reject('You can only mark confidence on your own pieces', v_state);
+  ELSIF v_existing ->> 'marker' = v_player AND v_existing ->> 'type' = p_mark_type THEN
+    -- Same mark again toggles it off
+    v_state := jsonb_set(v_state, '{pieceMarks}', (v_state -> 'pieceMarks') - v_key);
+    v_result := jsonb_build_object('success', TRUE, 'action', 'removed', 'gridIndex', p_grid_index, 'markType', p_mark_type);
+  ELSE
+    v_state := jsonb_set(v_state, ARRAY['pieceMarks', v_key], jsonb_build_object('marker', v_player, 'type', p_mark_type));
+    v_result := jsonb_build_object('success', TRUE, 'action', 'added', 'gridIndex', p_grid_index, 'markType', p_mark_type);
+  END IF;
+
+  v_state := public._gs_log(v_state, jsonb_build_object(
+    'type', 'mark',
+    'player', v_player,
+    'gridIndex', p_grid_index,
+    'markType', CASE WHEN v_result ->> 'action' = 'added' THEN to_jsonb(p_mark_type) ELSE 'null'::jsonb END,
+    'action', v_result ->> 'action'
+  ));
+
+  RETURN jsonb_build_object('result', v_result, 'state', public._gs_save(p_game_id, v_state));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- RESOLVE NEXUS GAME (logs the resolve)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.resolve_nexus_game(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_scoring JSONB;
+  v_cell JSONB;
+  v_index INTEGER;
+  v_placed_by TEXT;
+  v_correct BOOLEAN;
+  v_rotation_enabled BOOLEAN;
+  v_mark JSONB;
+  v_points NUMERIC;
+  v_mark_points NUMERIC;
+  v_entry JSONB;
+  v_results JSONB := '[]';
+  v_score_a NUMERIC;
+  v_score_b NUMERIC;
+  v_side TEXT;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_scoring := public.gameplay_mode_rules(v_state ->> 'mode') -> 'scoring';
+
+  IF upper(v_state ->> 'mode') <> 'NEXUS' THEN
+    RETURN public._gs_reject('Not in Nexus mode', v_state);
+  END IF;
+
+  IF (v_state ->> 'nexusResolved')::boolean THEN
+    RETURN public._gs_reject('Game already resolved', v_state);
+  END IF;
+
+  SELECT coalesce(rotation_enabled, FALSE) INTO v_rotation_enabled
+  FROM public.game_state WHERE game_id = p_game_id;
+
+  FOR v_cell, v_index IN
+    SELECT cell, ord - 1 FROM jsonb_array_elements(v_state -> 'grid') WITH ORDINALITY AS t(cell, ord)
+  LOOP
+    CONTINUE WHEN v_cell = 'null'::jsonb;
+
+    v_placed_by := coalesce(v_state -> 'piecePlacedBy' ->> v_index::text, 'playerA');
+    v_correct := public._gs_is_correct(v_cell, v_index, v_rotation_enabled);
+    v_mark := v_state -> 'pieceMarks' -> v_index::text;
+    v_points := CASE WHEN v_correct
+      THEN coalesce((v_scoring ->> 'correctPiece')::numeric, 10)
+      ELSE coalesce((v_scoring ->> 'wrongPiece')::numeric, -5)
+    END;
+
+    v_state := jsonb_set(v_state, ARRAY['scores', v_placed_by], (v_state -> 'scores' -> v_placed_by) || jsonb_build_object(
+      'score', (v_state -> 'scores' -> v_placed_by ->> 'score')::numeric + v_points,
+      'correctPlacements', (v_state -> 'scores' -> v_placed_by ->> 'correctPlacements')::int + CASE WHEN v_correct THEN 1 ELSE 0 END,
+      'totalPlacements', (v_state -> 'scores' -> v_placed_by ->> 'totalPlacements')::int + 1
+    ));
+
+    v_entry := jsonb_build_object(
+      'gridIndex', v_index,
+      'pieceId', v_cell -> 'id',
+      'placedBy', v_placed_by,
+      'isCorrect', v_correct,
+      'points', v_points
+    );
+
+    IF v_mark IS NOT NULL THEN
+      v_mark_points := CASE
+        WHEN v_mark ->> 'type' = 'suspect' AND v_correct THEN coalesce((v_scoring ->> 'suspectCorrect')::numeric, -3)
+        WHEN v_mark ->> 'type' = 'suspect' THEN coalesce((v_scoring ->> 'suspectWrong')::numeric, 8)
+        WHEN v_correct THEN coalesce((v_scoring ->> 'confidentCorrect')::numeric, 5)
+        ELSE coalesce((v_scoring ->> 'confidentWrong')::numeric, -8)
+      END;
+      v_state := jsonb_set(v_state, ARRAY['scores', v_mark ->> 'marker', 'score'],
+        to_jsonb((v_state -> 'scores' -> (v_mark ->> 'marker') ->> 'score')::numeric + v_mark_points));
+      v_entry := v_entry || jsonb_build_object('mark', v_mark || jsonb_build_object('points', v_mark_points));
+    END IF;
+
+    v_results := v_results || jsonb_build_array(v_entry);
+  END LOOP;
+
+  FOREACH v_side IN ARRAY ARRAY['playerA', 'playerB'] LOOP
+    v_state := jsonb_set(v_state, ARRAY['scores', v_side, 'accuracy'], to_jsonb(CASE
+      WHEN (v_state -> 'scores' -> v_side ->> 'totalPlacements')::int > 0
+        THEN round((v_state -> 'scores' -> v_side ->> 'correctPlacements')::numeric
+          / (v_state -> 'scores' -> v_side ->> 'totalPlacements')::int * 100)
+      ELSE 100
+    END));
+  END LOOP;
+
+  v_state := public._gs_sync_revealed_scores(v_state);
+  v_state := v_state || jsonb_build_object('nexusResolved', TRUE, 'gameState', 'finished');
+  v_state := public._gs_log(v_state, jsonb_build_object('type', 'resolve', 'player', v_player));
+
+  v_score_a := (v_state -> 'scores' -> 'playerA' ->> 'score')::numeric;
+  v_score_b := (v_state -> 'scores' -> 'playerB' ->> 'score')::numeric;
+
+  RETURN jsonb_build_object(
+    'result', jsonb_build_object(
+      'success', TRUE,
+      'results', v_results,
+      'finalScores', v_state -> 'scores',
+      'winner', CASE
+        WHEN v_score_a > v_score_b THEN 'playerA'
+        WHEN v_score_b > v_score_a THEN 'playerB'
+        ELSE 'tie'
+      END
+    ),
+    'state', public._gs_save(p_game_id, v_state)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
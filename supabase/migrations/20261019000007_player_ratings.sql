@@ -0,0 +1,300 @@
+-- =====================================================
+-- PLAYER RATINGS
+-- Elo skill rating per gameplay mode, plus an OVERALL rating that moves
+-- with every rated game. Leaderboards rank by rating instead of the raw
+-- cumulative user_stats.total_score.
+--
+-- * Everyone starts at 1200. The first 10 games of a mode are provisional:
+--   they move the rating faster (K = 40 instead of 20) and are left off
+--   the leaderboard by default.
+-- * complete_game finishes a multiplayer match in one transaction: the
+--   games row, both players' user_stats, both ratings and rating_history.
+--   It is safe to call from both clients; only the first call rates.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.player_ratings (
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  mode TEXT NOT NULL, -- gameplay mode ('CLASSIC', 'NEXUS', ...) or 'OVERALL'
+  rating INTEGER NOT NULL DEFAULT 1200,
+  peak_rating INTEGER NOT NULL DEFAULT 1200,
+  games_played INTEGER NOT NULL DEFAULT 0,
+  games_won INTEGER NOT NULL DEFAULT 0,
+  games_lost INTEGER NOT NULL DEFAULT 0,
+  games_tied INTEGER NOT NULL DEFAULT 0,
+  provisional BOOLEAN GENERATED ALWAYS AS (games_played < 10) STORED,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, mode)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_ratings_leaderboard
+  ON public.player_ratings(mode, rating DESC);
+
+CREATE TABLE IF NOT EXISTS public.rating_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  game_id UUID REFERENCES public.games(id) ON DELETE CASCADE NOT NULL,
+  mode TEXT NOT NULL,
+  opponent_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  result TEXT NOT NULL, -- 'win', 'loss' or 'tie'
+  rating_before INTEGER NOT NULL,
+  rating_after INTEGER NOT NULL,
+  opponent_rating INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_user
+  ON public.rating_history(user_id, mode, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rating_history_game
+  ON public.rating_history(game_id);
+
+ALTER TABLE public.player_ratings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rating_history ENABLE ROW LEVEL SECURITY;
+
+-- Ratings are public to signed-in players; only complete_game writes them
+CREATE POLICY "Authenticated users can view ratings"
+  ON public.player_ratings FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can view rating history"
+  ON public.rating_history FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE TRIGGER update_player_ratings_updated_at BEFORE UPDATE ON public.player_ratings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- ELO
+-- =====================================================
+
+-- Move one player's rating in one mode after a game against p_opponent_rating
+-- and log it. p_score is 1 for a win, 0.5 for a tie and 0 for a loss.
+CREATE OR REPLACE FUNCTION public._rating_apply(
+  p_user_id UUID,
+  p_mode TEXT,
+  p_game_id UUID,
+  p_opponent_id UUID,
+  p_opponent_rating INTEGER,
+  p_score NUMERIC
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_row public.player_ratings;
+  v_expected NUMERIC;
+  v_k INTEGER;
+  v_after INTEGER;
+BEGIN
+  SELECT * INTO v_row FROM public.player_ratings
+  WHERE user_id = p_user_id AND mode = p_mode FOR UPDATE;
+
+  v_expected := 1 / (1 + power(10, (p_opponent_rating - v_row.rating) / 400.0));
+  v_k := CASE WHEN v_row.provisional THEN 40 ELSE 20 END;
+  v_after := round(v_row.rating + v_k * (p_score - v_expected));
+
+  UPDATE public.player_ratings SET
+    rating = v_after,
+    peak_rating = greatest(peak_rating, v_after),
+    games_played = games_played + 1,
+    games_won = games_won + CASE WHEN p_score = 1 THEN 1 ELSE 0 END,
+    games_lost = games_lost + CASE WHEN p_score = 0 THEN 1 ELSE 0 END,
+    games_tied = games_tied + CASE WHEN p_score = 0.5 THEN 1 ELSE 0 END
+  WHERE user_id = p_user_id AND mode = p_mode;
+
+  INSERT INTO public.rating_history (
+    user_id, game_id, mode, opponent_id, result, rating_before, rating_after, opponent_rating
+  ) VALUES (
+    p_user_id, p_game_id, p_mode, p_opponent_id,
+    CASE p_score WHEN 1 THEN 'win' WHEN 0 THEN 'loss' ELSE 'tie' END,
+    v_row.rating, v_after, p_opponent_rating
+  );
+
+  RETURN jsonb_build_object(
+    'before', v_row.rating,
+    'after', v_after,
+    'change', v_after - v_row.rating,
+    'provisional', v_row.games_played + 1 < 10
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Rate both seats in one mode, using both players' ratings from before the game
+CREATE OR REPLACE FUNCTION public._rating_update_pair(
+  p_game public.games,
+  p_mode TEXT,
+  p_winner TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_rating_a INTEGER;
+  v_rating_b INTEGER;
+  v_score_a NUMERIC := CASE p_winner WHEN 'playerA' THEN 1 WHEN 'playerB' THEN 0 ELSE 0.5 END;
+BEGIN
+  INSERT INTO public.player_ratings (user_id, mode)
+  VALUES (p_game.player_a_id, p_mode), (p_game.player_b_id, p_mode)
+  ON CONFLICT (user_id, mode) DO NOTHING;
+
+  SELECT rating INTO v_rating_a FROM public.player_ratings WHERE user_id = p_game.player_a_id AND mode = p_mode;
+  SELECT rating INTO v_rating_b FROM public.player_ratings WHERE user_id = p_game.player_b_id AND mode = p_mode;
+
+  RETURN jsonb_build_object(
+    'playerA', public._rating_apply(p_game.player_a_id, p_mode, p_game.id, p_game.player_b_id, v_rating_b, v_score_a),
+    'playerB', public._rating_apply(p_game.player_b_id, p_mode, p_game.id, p_game.player_a_id, v_rating_a, 1 - v_score_a)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public._rating_apply(UUID, TEXT, UUID, UUID, INTEGER, NUMERIC) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public._rating_update_pair(public.games, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- COMPLETE GAME
+-- =====================================================
+
+-- Ratings as stored for a finished game, keyed by seat
+CREATE OR REPLACE FUNCTION public._rating_changes(p_game public.games, p_mode TEXT)
+RETURNS JSONB AS $$
+  SELECT coalesce(jsonb_object_agg(
+    CASE WHEN h.user_id = p_game.player_a_id THEN 'playerA' ELSE 'playerB' END,
+    jsonb_build_object(
+      'before', h.rating_before,
+      'after', h.rating_after,
+      'change', h.rating_after - h.rating_before,
+      'provisional', r.provisional
+    )
+  ), '{}')
+  FROM public.rating_history h
+  JOIN public.player_ratings r ON r.user_id = h.user_id AND r.mode = h.mode
+  WHERE h.game_id = p_game.id AND h.mode = p_mode;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.complete_game(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_game public.games;
+  v_gs public.game_state;
+  v_state JSONB;
+  v_mode TEXT;
+  v_score_a INTEGER;
+  v_score_b INTEGER;
+  v_winner TEXT;
+  v_over BOOLEAN;
+  v_ratings JSONB;
+BEGIN
+  IF public._gs_player_key(p_game_id) IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_game FROM public.games WHERE id = p_game_id FOR UPDATE;
+
+  IF v_game.mode <> 'multiplayer' OR v_game.player_b_id IS NULL THEN
+    RAISE EXCEPTION 'Only two-player matches are rated';
+  END IF;
+
+  SELECT * INTO v_gs FROM public.game_state WHERE game_id = p_game_id;
+  v_mode := upper(coalesce(v_gs.gameplay_mode, 'CLASSIC'));
+
+  -- Already finished by the other client: hand back the same result
+  IF v_game.status = 'completed' THEN
+    RETURN jsonb_build_object(
+      'game', to_jsonb(v_game),
+      'winner', v_game.winner,
+      'ratings', public._rating_changes(v_game, v_mode),
+      'alreadyCompleted', TRUE
+    );
+  END IF;
+
+  IF v_game.status NOT IN ('active', 'paused') THEN
+    RAISE EXCEPTION 'Game is not in progress';
+  END IF;
+
+  -- Nexus scores only exist once the board is resolved
+  IF v_mode = 'NEXUS' AND NOT coalesce(v_gs.nexus_resolved, FALSE) THEN
+    PERFORM public.resolve_nexus_game(p_game_id);
+    SELECT * INTO v_gs FROM public.game_state WHERE game_id = p_game_id;
+  END IF;
+
+  v_state := public._gs_to_state(v_gs);
+
+  -- Same end conditions as the client (full board, nothing left to place,
+  -- Nexus resolved) plus the clock, with a little slack for client timers
+  v_over := v_state ->> 'gameState' = 'finished'
+    OR coalesce(v_gs.nexus_resolved, FALSE)
+    OR NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_state -> 'grid') AS t(cell) WHERE cell = 'null'::jsonb
+    )
+    OR (
+      jsonb_array_length(coalesce(v_state -> 'piecePool', '[]')) = 0
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(coalesce(v_state -> 'playerARack', '[]') || coalesce(v_state -> 'playerBRack', '[]')) AS t(item)
+        WHERE item <> 'null'::jsonb
+      )
+    )
+    OR (
+      v_game.started_at IS NOT NULL
+      AND v_game.started_at + make_interval(secs => coalesce(v_game.time_limit, 600) - 10) <= NOW()
+    );
+
+  IF NOT v_over THEN
+    RAISE EXCEPTION 'Game is not over yet';
+  END IF;
+
+  -- Scores come from the authoritative state, not from the caller
+  v_score_a := round(coalesce((v_state -> 'scores' -> 'playerA' ->> 'score')::numeric, v_game.player_a_score, 0));
+  v_score_b := round(coalesce((v_state -> 'scores' -> 'playerB' ->> 'score')::numeric, v_game.player_b_score, 0));
+  v_winner := CASE
+    WHEN v_score_a > v_score_b THEN 'playerA'
+    WHEN v_score_b > v_score_a THEN 'playerB'
+    ELSE 'tie'
+  END;
+
+  UPDATE public.games SET
+    status = 'completed',
+    completed_at = NOW(),
+    winner = v_winner,
+    player_a_score = v_score_a,
+    player_b_score = v_score_b
+  WHERE id = p_game_id
+  RETURNING * INTO v_game;
+
+  PERFORM public.increment_user_stats(v_game.player_a_id,
+    CASE v_winner WHEN 'playerA' THEN 'win' WHEN 'playerB' THEN 'loss' ELSE 'tie' END, v_score_a);
+  PERFORM public.increment_user_stats(v_game.player_b_id,
+    CASE v_winner WHEN 'playerB' THEN 'win' WHEN 'playerA' THEN 'loss' ELSE 'tie' END, v_score_b);
+
+  v_ratings := public._rating_update_pair(v_game, v_mode, v_winner);
+  PERFORM public._rating_update_pair(v_game, 'OVERALL', v_winner);
+
+  RETURN jsonb_build_object(
+    'game', to_jsonb(v_game),
+    'winner', v_winner,
+    'ratings', v_ratings,
+    'alreadyCompleted', FALSE
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.complete_game(UUID) TO authenticated;
+
+-- =====================================================
+-- LEADERBOARD RANK
+-- =====================================================
+
+-- 1-based position of a player on a mode's rating leaderboard
+CREATE OR REPLACE FUNCTION public.get_rating_rank(
+  p_user_id UUID,
+  p_mode TEXT DEFAULT 'OVERALL',
+  p_include_provisional BOOLEAN DEFAULT FALSE
+)
+RETURNS INTEGER AS $$
+  SELECT CASE WHEN me.user_id IS NULL THEN NULL ELSE (
+    SELECT count(*)::int + 1 FROM public.player_ratings other
+    WHERE other.mode = me.mode
+      AND other.rating > me.rating
+      AND (p_include_provisional OR NOT other.provisional)
+  ) END
+  FROM (SELECT 1) AS one
+  LEFT JOIN public.player_ratings me ON me.user_id = p_user_id AND me.mode = upper(p_mode);
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION public.get_rating_rank(UUID, TEXT, BOOLEAN) TO authenticated;
@@ -0,0 +1,220 @@
+-- =====================================================
+-- MATCHMAKING
+-- Quick Match queue: players wait here with a preferred gameplay mode and
+-- grid size until someone of a similar rating shows up.
+--
+-- * Clients poll find_match. The first call enqueues the caller; every
+--   call looks for the closest-rated opponent with the same mode and grid.
+--   The allowed rating gap starts at 100 and widens the longer either
+--   player has been waiting, up to 500.
+-- * Whoever's call makes the pair hosts: it creates the game and reports
+--   it with set_match_game. The other player picks the game code up on
+--   its next poll and joins like any guest.
+-- * Queue entries expire after two minutes of searching. A pairing whose
+--   host never reports a game within a minute is dropped and the guest
+--   goes back to searching.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.matchmaking_queue (
+  user_id UUID PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+  player_name TEXT,
+  gameplay_mode TEXT NOT NULL,
+  grid_size INTEGER NOT NULL,
+  rating INTEGER NOT NULL DEFAULT 1200,
+  status TEXT NOT NULL DEFAULT 'searching' CHECK (status IN ('searching', 'matched')),
+  role TEXT CHECK (role IN ('host', 'guest')),
+  opponent_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  opponent_name TEXT,
+  opponent_rating INTEGER,
+  game_id UUID REFERENCES public.games(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  matched_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_matchmaking_queue_search
+  ON public.matchmaking_queue(gameplay_mode, grid_size, rating)
+  WHERE status = 'searching';
+
+ALTER TABLE public.matchmaking_queue ENABLE ROW LEVEL SECURITY;
+
+-- Players can see their own entry; all writes go through the RPCs below
+CREATE POLICY "Users can view own queue entry"
+  ON public.matchmaking_queue FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- =====================================================
+-- QUEUE RPCs
+-- =====================================================
+
+-- Caller's queue entry as the client sees it, with the game code once the
+-- host has created the game
+CREATE OR REPLACE FUNCTION public._mm_entry(p_entry public.matchmaking_queue)
+RETURNS JSONB AS $$
+  SELECT to_jsonb(p_entry) || jsonb_build_object(
+    'game_code', (SELECT g.game_code FROM public.games g WHERE g.id = p_entry.game_id)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public._mm_entry(public.matchmaking_queue) FROM PUBLIC, anon, authenticated;
+
+-- Enqueue (or keep searching) and try to pair the caller. Safe to poll.
+-- Returns the caller's entry, or {status: 'expired'} once the search ran out.
+CREATE OR REPLACE FUNCTION public.find_match(
+  p_mode TEXT,
+  p_grid_size INTEGER,
+  p_player_name TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_mode TEXT := upper(coalesce(p_mode, 'CLASSIC'));
+  v_me public.matchmaking_queue;
+  v_opponent public.matchmaking_queue;
+  v_rating INTEGER;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_grid_size IS NULL OR p_grid_size < 3 OR p_grid_size > 15 THEN
+    RAISE EXCEPTION 'Invalid grid size';
+  END IF;
+
+  -- Leftovers from closed tabs
+  DELETE FROM public.matchmaking_queue
+  WHERE user_id <> v_uid
+    AND ((status = 'searching' AND expires_at < NOW())
+      OR (status = 'matched' AND matched_at < NOW() - INTERVAL '10 minutes'));
+
+  SELECT * INTO v_me FROM public.matchmaking_queue WHERE user_id = v_uid FOR UPDATE;
+
+  IF FOUND AND v_me.status = 'matched' THEN
+    -- Host went quiet before creating the game: search again
+    IF v_me.game_id IS NULL AND v_me.matched_at < NOW() - INTERVAL '1 minute' THEN
+      UPDATE public.matchmaking_queue
+      SET status = 'searching', role = NULL, opponent_id = NULL, opponent_name = NULL,
+          opponent_rating = NULL, matched_at = NULL, expires_at = NOW() + INTERVAL '2 minutes'
+      WHERE user_id = v_uid
+      RETURNING * INTO v_me;
+    ELSE
+      RETURN public._mm_entry(v_me);
+    END IF;
+  ELSIF FOUND AND v_me.expires_at < NOW() THEN
+    DELETE FROM public.matchmaking_queue WHERE user_id = v_uid;
+    RETURN jsonb_build_object('status', 'expired');
+  END IF;
+
+  IF v_me.user_id IS NULL
+     OR v_me.gameplay_mode <> v_mode
+     OR v_me.grid_size <> p_grid_size THEN
+    SELECT rating INTO v_rating FROM public.player_ratings
+    WHERE user_id = v_uid AND mode = v_mode;
+
+    -- New search (or new preferences) restarts the clock
+    INSERT INTO public.matchmaking_queue (user_id, player_name, gameplay_mode, grid_size, rating, expires_at)
+    VALUES (v_uid, p_player_name, v_mode, p_grid_size, coalesce(v_rating, 1200), NOW() + INTERVAL '2 minutes')
+    ON CONFLICT (user_id) DO UPDATE
+    SET player_name = EXCLUDED.player_name,
+        gameplay_mode = EXCLUDED.gameplay_mode,
+        grid_size = EXCLUDED.grid_size,
+        rating = EXCLUDED.rating,
+        created_at = NOW(),
+        expires_at = EXCLUDED.expires_at
+    RETURNING * INTO v_me;
+  END IF;
+
+  -- Closest rating first, then whoever has waited longest. SKIP LOCKED so
+  -- two players polling at the same moment don't block on each other.
+  SELECT * INTO v_opponent FROM public.matchmaking_queue q
+  WHERE q.status = 'searching'
+    AND q.user_id <> v_uid
+    AND q.gameplay_mode = v_me.gameplay_mode
+    AND q.grid_size = v_me.grid_size
+    AND q.expires_at > NOW()
+    AND abs(q.rating - v_me.rating) <= least(
+      500,
+      100 + 5 * extract(epoch FROM NOW() - least(q.created_at, v_me.created_at))
+    )
+  ORDER BY abs(q.rating - v_me.rating), q.created_at
+  LIMIT 1
+  FOR UPDATE SKIP LOCKED;
+
+  IF NOT FOUND THEN
+    RETURN public._mm_entry(v_me);
+  END IF;
+
+  UPDATE public.matchmaking_queue
+  SET status = 'matched', role = 'guest', opponent_id = v_uid,
+      opponent_name = v_me.player_name, opponent_rating = v_me.rating, matched_at = NOW()
+  WHERE user_id = v_opponent.user_id;
+
+  UPDATE public.matchmaking_queue
+  SET status = 'matched', role = 'host', opponent_id = v_opponent.user_id,
+      opponent_name = v_opponent.player_name, opponent_rating = v_opponent.rating, matched_at = NOW()
+  WHERE user_id = v_uid
+  RETURNING * INTO v_me;
+
+  RETURN public._mm_entry(v_me);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.find_match(TEXT, INTEGER, TEXT) TO authenticated;
+
+-- Host reports the game it created for its pairing
+CREATE OR REPLACE FUNCTION public.set_match_game(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_me public.matchmaking_queue;
+BEGIN
+  SELECT * INTO v_me FROM public.matchmaking_queue WHERE user_id = v_uid FOR UPDATE;
+
+  IF NOT FOUND OR v_me.status <> 'matched' OR v_me.role <> 'host' THEN
+    RAISE EXCEPTION 'No match to host';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM public.games WHERE id = p_game_id AND host_id = v_uid AND status = 'waiting') THEN
+    RAISE EXCEPTION 'Game not found' USING ERRCODE = '42501';
+  END IF;
+
+  -- The guest may have cancelled in the meantime
+  IF NOT EXISTS (
+    SELECT 1 FROM public.matchmaking_queue
+    WHERE user_id = v_me.opponent_id AND opponent_id = v_uid AND status = 'matched'
+  ) THEN
+    RAISE EXCEPTION 'Opponent left the queue';
+  END IF;
+
+  UPDATE public.matchmaking_queue
+  SET game_id = p_game_id
+  WHERE user_id IN (v_uid, v_me.opponent_id);
+
+  SELECT * INTO v_me FROM public.matchmaking_queue WHERE user_id = v_uid;
+  RETURN public._mm_entry(v_me);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.set_match_game(UUID) TO authenticated;
+
+-- Leave the queue: on cancel, timeout, or once the game is underway.
+-- Leaving a pairing that has no game yet sends the other player back to
+-- searching.
+CREATE OR REPLACE FUNCTION public.leave_matchmaking()
+RETURNS VOID AS $$
+DECLARE
+  v_me public.matchmaking_queue;
+BEGIN
+  DELETE FROM public.matchmaking_queue WHERE user_id = auth.uid()
+  RETURNING * INTO v_me;
+
+  IF v_me.status = 'matched' AND v_me.game_id IS NULL THEN
+    UPDATE public.matchmaking_queue
+    SET status = 'searching', role = NULL, opponent_id = NULL, opponent_name = NULL,
+        opponent_rating = NULL, matched_at = NULL
+    WHERE user_id = v_me.opponent_id AND opponent_id = v_me.user_id AND game_id IS NULL;
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.leave_matchmaking() TO authenticated;
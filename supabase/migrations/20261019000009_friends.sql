@@ -0,0 +1,265 @@
+-- =====================================================
+-- FRIENDS AND CHALLENGES
+-- Friend requests, blocks and direct game invitations.
+--
+-- * One friendships row per pair of players, whichever way round. It is
+--   'pending' until the addressee accepts, then 'accepted'. 'blocked'
+--   rows are owned by the blocker (requester_id) and stay invisible to
+--   the blocked player.
+-- * A game_invites row challenges a friend to a waiting game. The invitee
+--   gets it over realtime and accepting hands back the game code.
+-- * All writes go through the RPCs below so the state rules hold.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.friendships (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  requester_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  addressee_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'blocked')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (requester_id <> addressee_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_friendships_pair
+  ON public.friendships(least(requester_id, addressee_id), greatest(requester_id, addressee_id));
+CREATE INDEX IF NOT EXISTS idx_friendships_addressee
+  ON public.friendships(addressee_id);
+
+CREATE TABLE IF NOT EXISTS public.game_invites (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  game_id UUID REFERENCES public.games(id) ON DELETE CASCADE NOT NULL,
+  from_user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  to_user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  from_name TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'expired')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() + INTERVAL '10 minutes'
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_invites_to_user
+  ON public.game_invites(to_user_id, status);
+CREATE INDEX IF NOT EXISTS idx_game_invites_game
+  ON public.game_invites(game_id);
+
+ALTER TABLE public.friendships ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.game_invites ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own friendships"
+  ON public.friendships FOR SELECT
+  USING (
+    auth.uid() = requester_id OR
+    (auth.uid() = addressee_id AND status <> 'blocked')
+  );
+
+CREATE POLICY "Users can view own game invites"
+  ON public.game_invites FOR SELECT
+  USING (auth.uid() = from_user_id OR auth.uid() = to_user_id);
+
+CREATE TRIGGER update_friendships_updated_at BEFORE UPDATE ON public.friendships
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Invitees are notified through postgres_changes
+ALTER PUBLICATION supabase_realtime ADD TABLE public.game_invites;
+
+-- =====================================================
+-- FRIENDSHIP RPCs
+-- =====================================================
+
+-- The row for a pair of players, either way round
+CREATE OR REPLACE FUNCTION public._friendship_between(p_a UUID, p_b UUID)
+RETURNS public.friendships AS $$
+  SELECT * FROM public.friendships
+  WHERE least(requester_id, addressee_id) = least(p_a, p_b)
+    AND greatest(requester_id, addressee_id) = greatest(p_a, p_b);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public._friendship_between(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Ask to be friends. Asking someone who already asked you accepts.
+CREATE OR REPLACE FUNCTION public.send_friend_request(p_user_id UUID)
+RETURNS public.friendships AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_row public.friendships;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_user_id IS NULL OR p_user_id = v_uid THEN
+    RAISE EXCEPTION 'Invalid friend';
+  END IF;
+
+  v_row := public._friendship_between(v_uid, p_user_id);
+
+  IF v_row.id IS NULL THEN
+    INSERT INTO public.friendships (requester_id, addressee_id)
+    VALUES (v_uid, p_user_id)
+    RETURNING * INTO v_row;
+  ELSIF v_row.status = 'blocked' THEN
+    RAISE EXCEPTION 'Cannot send a friend request to this player';
+  ELSIF v_row.status = 'pending' AND v_row.addressee_id = v_uid THEN
+    UPDATE public.friendships SET status = 'accepted'
+    WHERE id = v_row.id
+    RETURNING * INTO v_row;
+  END IF;
+
+  RETURN v_row;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.send_friend_request(UUID) TO authenticated;
+
+-- Accept or decline a request sent to the caller
+CREATE OR REPLACE FUNCTION public.respond_to_friend_request(p_friendship_id UUID, p_accept BOOLEAN)
+RETURNS public.friendships AS $$
+DECLARE
+  v_row public.friendships;
+BEGIN
+  SELECT * INTO v_row FROM public.friendships
+  WHERE id = p_friendship_id AND addressee_id = auth.uid() AND status = 'pending'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Friend request not found';
+  END IF;
+
+  IF p_accept THEN
+    UPDATE public.friendships SET status = 'accepted'
+    WHERE id = v_row.id
+    RETURNING * INTO v_row;
+  ELSE
+    DELETE FROM public.friendships WHERE id = v_row.id;
+    v_row.status := 'declined';
+  END IF;
+
+  RETURN v_row;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.respond_to_friend_request(UUID, BOOLEAN) TO authenticated;
+
+-- Unfriend, withdraw a request or lift your own block. A block placed by
+-- the other player stays.
+CREATE OR REPLACE FUNCTION public.remove_friend(p_user_id UUID)
+RETURNS VOID AS $$
+  DELETE FROM public.friendships
+  WHERE id = (public._friendship_between(auth.uid(), p_user_id)).id
+    AND (status <> 'blocked' OR requester_id = auth.uid());
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.remove_friend(UUID) TO authenticated;
+
+-- Block a player: ends any friendship and stops their requests and invites
+CREATE OR REPLACE FUNCTION public.block_user(p_user_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_row public.friendships;
+BEGIN
+  IF v_uid IS NULL OR p_user_id IS NULL OR p_user_id = v_uid THEN
+    RAISE EXCEPTION 'Invalid player';
+  END IF;
+
+  v_row := public._friendship_between(v_uid, p_user_id);
+
+  -- Already blocked by them: nothing to add
+  IF v_row.status = 'blocked' AND v_row.requester_id = p_user_id THEN
+    RETURN;
+  END IF;
+
+  IF v_row.id IS NOT NULL THEN
+    DELETE FROM public.friendships WHERE id = v_row.id;
+  END IF;
+
+  INSERT INTO public.friendships (requester_id, addressee_id, status)
+  VALUES (v_uid, p_user_id, 'blocked');
+
+  UPDATE public.game_invites SET status = 'declined'
+  WHERE status = 'pending'
+    AND ((from_user_id = p_user_id AND to_user_id = v_uid)
+      OR (from_user_id = v_uid AND to_user_id = p_user_id));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.block_user(UUID) TO authenticated;
+
+-- =====================================================
+-- GAME INVITE RPCs
+-- =====================================================
+
+-- Challenge a friend to the caller's waiting game
+CREATE OR REPLACE FUNCTION public.send_game_invite(p_game_id UUID, p_to_user_id UUID)
+RETURNS public.game_invites AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_game public.games;
+  v_invite public.game_invites;
+BEGIN
+  SELECT * INTO v_game FROM public.games WHERE id = p_game_id;
+
+  IF NOT FOUND OR v_game.host_id <> v_uid THEN
+    RAISE EXCEPTION 'Game not found' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_game.status <> 'waiting' THEN
+    RAISE EXCEPTION 'Game is not accepting players';
+  END IF;
+
+  IF (public._friendship_between(v_uid, p_to_user_id)).status IS DISTINCT FROM 'accepted' THEN
+    RAISE EXCEPTION 'You can only challenge friends';
+  END IF;
+
+  -- Re-inviting refreshes the existing invite
+  UPDATE public.game_invites
+  SET status = 'pending', created_at = NOW(), expires_at = NOW() + INTERVAL '10 minutes'
+  WHERE game_id = p_game_id AND to_user_id = p_to_user_id
+  RETURNING * INTO v_invite;
+
+  IF NOT FOUND THEN
+    INSERT INTO public.game_invites (game_id, from_user_id, to_user_id, from_name)
+    VALUES (p_game_id, v_uid, p_to_user_id, v_game.player_a_name)
+    RETURNING * INTO v_invite;
+  END IF;
+
+  RETURN v_invite;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.send_game_invite(UUID, UUID) TO authenticated;
+
+-- Accept or decline a challenge. Accepting returns the game code to join;
+-- invites to games that already started or timed out come back 'expired'.
+CREATE OR REPLACE FUNCTION public.respond_to_game_invite(p_invite_id UUID, p_accept BOOLEAN)
+RETURNS JSONB AS $$
+DECLARE
+  v_invite public.game_invites;
+  v_game public.games;
+BEGIN
+  SELECT * INTO v_invite FROM public.game_invites
+  WHERE id = p_invite_id AND to_user_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_invite.status <> 'pending' THEN
+    RAISE EXCEPTION 'Invite not found';
+  END IF;
+
+  SELECT * INTO v_game FROM public.games WHERE id = v_invite.game_id;
+
+  UPDATE public.game_invites
+  SET status = CASE
+    WHEN NOT p_accept THEN 'declined'
+    WHEN v_invite.expires_at < NOW() OR v_game.status <> 'waiting' THEN 'expired'
+    ELSE 'accepted'
+  END
+  WHERE id = v_invite.id
+  RETURNING * INTO v_invite;
+
+  RETURN to_jsonb(v_invite) || jsonb_build_object(
+    'game_code', CASE WHEN v_invite.status = 'accepted' THEN v_game.game_code END
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.respond_to_game_invite(UUID, BOOLEAN) TO authenticated;
@@ -0,0 +1,84 @@
+-- =====================================================
+-- GAME CHAT
+-- Chat messages and quick emotes between the two players of a match.
+--
+-- * Messages travel live as a 'chat_message' broadcast on the game
+--   channel. send_game_message stores each one first, so the replay of a
+--   finished match can show the conversation alongside the moves.
+-- * The server enforces the limits: players only, 200 characters, known
+--   emotes only, and at most 5 messages per player per 10 seconds. The
+--   profanity filter runs in the clients (src/lib/chat.js), on both send
+--   and receive.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.game_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  game_id UUID REFERENCES public.games(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  player TEXT NOT NULL CHECK (player IN ('playerA', 'playerB')),
+  kind TEXT NOT NULL DEFAULT 'chat' CHECK (kind IN ('chat', 'emote')),
+  body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 200),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_messages_game
+  ON public.game_messages(game_id, created_at);
+
+ALTER TABLE public.game_messages ENABLE ROW LEVEL SECURITY;
+
+-- Only the two players read the chat, live or in the replay
+CREATE POLICY "Players can view their game messages"
+  ON public.game_messages FOR SELECT
+  USING (public._gs_player_key(game_id) IS NOT NULL);
+
+-- Emote ids; keep in step with QUICK_EMOTES in src/lib/chat.js
+CREATE OR REPLACE FUNCTION public._chat_emotes()
+RETURNS TEXT[] AS $$
+  SELECT ARRAY['nice', 'hmm', 'gg', 'oops', 'wow', 'thanks'];
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public.send_game_message(
+  p_game_id UUID,
+  p_kind TEXT,
+  p_body TEXT
+)
+RETURNS public.game_messages AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_body TEXT := btrim(coalesce(p_body, ''));
+  v_message public.game_messages;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_kind = 'emote' THEN
+    IF NOT (v_body = ANY (public._chat_emotes())) THEN
+      RAISE EXCEPTION 'Unknown emote';
+    END IF;
+  ELSIF p_kind = 'chat' THEN
+    IF char_length(v_body) = 0 OR char_length(v_body) > 200 THEN
+      RAISE EXCEPTION 'Messages must be 1-200 characters';
+    END IF;
+  ELSE
+    RAISE EXCEPTION 'Unknown message kind';
+  END IF;
+
+  IF (
+    SELECT count(*) FROM public.game_messages
+    WHERE game_id = p_game_id
+      AND user_id = auth.uid()
+      AND created_at > NOW() - INTERVAL '10 seconds'
+  ) >= 5 THEN
+    RAISE EXCEPTION 'You are sending messages too quickly' USING ERRCODE = '54000';
+  END IF;
+
+  INSERT INTO public.game_messages (game_id, user_id, player, kind, body)
+  VALUES (p_game_id, auth.uid(), v_player, p_kind, v_body)
+  RETURNING * INTO v_message;
+
+  RETURN v_message;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.send_game_message(UUID, TEXT, TEXT) TO authenticated;
@@ -0,0 +1,866 @@
+-- =====================================================
+-- 3-4 PLAYER MATCHES
+-- A match can seat up to four players. Seats are playerA..playerD and the
+-- turn rotates through them in that order.
+--
+-- * game_players is the seat list. Seats A and B stay mirrored on the
+--   games row (player_a_* / player_b_*) so two-player code, ratings and
+--   history keep working unchanged; seats C and D only live here.
+-- * game_state.players is the rotation, game_state.extra_racks holds the
+--   racks of seats C and D ({"playerC": [...], "playerD": [...]}).
+-- * A placement is checked by the next player in the rotation, not just
+--   "the other one". Nexus already lets everyone place at once; its
+--   resolve now scores every seat.
+-- * Matches with more than two players are not rated.
+-- =====================================================
+
+ALTER TABLE public.games
+ADD COLUMN IF NOT EXISTS max_players INTEGER NOT NULL DEFAULT 2
+  CHECK (max_players BETWEEN 2 AND 4);
+
+ALTER TABLE public.game_state
+ADD COLUMN IF NOT EXISTS players JSONB NOT NULL DEFAULT '["playerA", "playerB"]';
+
+ALTER TABLE public.game_state
+ADD COLUMN IF NOT EXISTS extra_racks JSONB NOT NULL DEFAULT '{}';
+
+-- =====================================================
+-- SEATS
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.game_players (
+  game_id UUID REFERENCES public.games(id) ON DELETE CASCADE NOT NULL,
+  seat TEXT NOT NULL CHECK (seat IN ('playerA', 'playerB', 'playerC', 'playerD')),
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  player_name TEXT,
+  score INTEGER DEFAULT 0,
+  accuracy DECIMAL(5,2) DEFAULT 100,
+  streak INTEGER DEFAULT 0,
+  joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (game_id, seat),
+  UNIQUE (game_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_players_user ON public.game_players(user_id);
+
+ALTER TABLE public.game_players ENABLE ROW LEVEL SECURITY;
+
+-- Seat names are shown to spectators and in the lobby, like the games row.
+-- Writes go through join_game_seat / leave_game_seat and the trigger below.
+CREATE POLICY "Anyone signed in can view seats"
+  ON public.game_players FOR SELECT
+  USING (auth.role() = 'authenticated');
+
+-- Keep seats A and B in step with the games row
+CREATE OR REPLACE FUNCTION public._sync_game_seats()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.player_a_id IS NOT NULL THEN
+    INSERT INTO public.game_players (game_id, seat, user_id, player_name)
+    VALUES (NEW.id, 'playerA', NEW.player_a_id, NEW.player_a_name)
+    ON CONFLICT (game_id, seat) DO UPDATE
+      SET user_id = EXCLUDED.user_id, player_name = EXCLUDED.player_name;
+  END IF;
+
+  IF NEW.player_b_id IS NOT NULL THEN
+    INSERT INTO public.game_players (game_id, seat, user_id, player_name)
+    VALUES (NEW.id, 'playerB', NEW.player_b_id, NEW.player_b_name)
+    ON CONFLICT (game_id, seat) DO UPDATE
+      SET user_id = EXCLUDED.user_id, player_name = EXCLUDED.player_name;
+  ELSE
+    DELETE FROM public.game_players WHERE game_id = NEW.id AND seat = 'playerB';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS sync_game_seats ON public.games;
+CREATE TRIGGER sync_game_seats
+  AFTER INSERT OR UPDATE OF player_a_id, player_a_name, player_b_id, player_b_name ON public.games
+  FOR EACH ROW EXECUTE FUNCTION public._sync_game_seats();
+
+REVOKE EXECUTE ON FUNCTION public._sync_game_seats() FROM PUBLIC, anon, authenticated;
+
+INSERT INTO public.game_players (game_id, seat, user_id, player_name, score, accuracy, streak, joined_at)
+SELECT id, 'playerA', player_a_id, player_a_name, player_a_score, player_a_accuracy, player_a_streak, created_at
+FROM public.games WHERE player_a_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.game_players (game_id, seat, user_id, player_name, score, accuracy, streak, joined_at)
+SELECT id, 'playerB', player_b_id, player_b_name, player_b_score, player_b_accuracy, player_b_streak, coalesce(started_at, created_at)
+FROM public.games WHERE player_b_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- Seats C and D get the same access to their game as A and B
+CREATE POLICY "Seated players can view their games"
+  ON public.games FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM public.game_players gp
+    WHERE gp.game_id = games.id AND gp.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Seated players can update their games"
+  ON public.games FOR UPDATE
+  USING (EXISTS (
+    SELECT 1 FROM public.game_players gp
+    WHERE gp.game_id = games.id AND gp.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Seated players can view game state"
+  ON public.game_state FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM public.game_players gp
+    WHERE gp.game_id = game_state.game_id AND gp.user_id = auth.uid()
+  ));
+
+ALTER TABLE public.game_messages DROP CONSTRAINT IF EXISTS game_messages_player_check;
+ALTER TABLE public.game_messages ADD CONSTRAINT game_messages_player_check
+  CHECK (player IN ('playerA', 'playerB', 'playerC', 'playerD'));
+
+-- =====================================================
+-- JOIN / LEAVE
+-- =====================================================
+
+-- Take the first free seat of a waiting game. The game starts once every
+-- seat is taken. Calling it again from a seated player just returns the seat.
+CREATE OR REPLACE FUNCTION public.join_game_seat(
+  p_game_code TEXT,
+  p_player_name TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_game public.games;
+  v_seat TEXT;
+  v_joined INTEGER;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'Not signed in' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_game FROM public.games WHERE game_code = upper(p_game_code) FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game not found';
+  END IF;
+
+  SELECT seat INTO v_seat FROM public.game_players WHERE game_id = v_game.id AND user_id = v_uid;
+
+  IF v_seat IS NULL THEN
+    IF v_game.status <> 'waiting' THEN
+      RAISE EXCEPTION 'Game is not accepting players';
+    END IF;
+
+    SELECT s INTO v_seat
+    FROM unnest((ARRAY['playerA', 'playerB', 'playerC', 'playerD'])[1:v_game.max_players]) WITH ORDINALITY AS t(s, ord)
+    WHERE NOT EXISTS (
+      SELECT 1 FROM public.game_players gp WHERE gp.game_id = v_game.id AND gp.seat = t.s
+    )
+    ORDER BY ord
+    LIMIT 1;
+
+    IF v_seat IS NULL THEN
+      RAISE EXCEPTION 'Game is full';
+    END IF;
+
+    IF v_seat = 'playerB' THEN
+      -- The trigger adds the seat
+      UPDATE public.games SET player_b_id = v_uid, player_b_name = p_player_name
+      WHERE id = v_game.id;
+    ELSE
+      INSERT INTO public.game_players (game_id, seat, user_id, player_name)
+      VALUES (v_game.id, v_seat, v_uid, p_player_name);
+    END IF;
+  END IF;
+
+  SELECT count(*) INTO v_joined FROM public.game_players WHERE game_id = v_game.id;
+
+  IF v_joined >= v_game.max_players AND v_game.status = 'waiting' THEN
+    UPDATE public.games SET status = 'active', started_at = NOW()
+    WHERE id = v_game.id
+    RETURNING * INTO v_game;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'gameId', v_game.id,
+    'seat', v_seat,
+    'playersJoined', v_joined,
+    'maxPlayers', v_game.max_players,
+    'status', v_game.status
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.join_game_seat(TEXT, TEXT) TO authenticated;
+
+-- Give up a seat before the game starts (the host's seat stays)
+CREATE OR REPLACE FUNCTION public.leave_game_seat(p_game_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_game public.games;
+  v_seat TEXT;
+BEGIN
+  SELECT * INTO v_game FROM public.games WHERE id = p_game_id FOR UPDATE;
+  SELECT seat INTO v_seat FROM public.game_players WHERE game_id = p_game_id AND user_id = auth.uid();
+
+  IF v_seat IS NULL OR v_seat = 'playerA' OR v_game.status <> 'waiting' THEN
+    RETURN;
+  END IF;
+
+  IF v_seat = 'playerB' THEN
+    UPDATE public.games SET player_b_id = NULL, player_b_name = NULL WHERE id = p_game_id;
+  ELSE
+    DELETE FROM public.game_players WHERE game_id = p_game_id AND seat = v_seat;
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.leave_game_seat(UUID) TO authenticated;
+
+-- =====================================================
+-- STATE HELPERS
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public._gs_player_key(p_game_id UUID)
+RETURNS TEXT AS $$
+  SELECT coalesce(
+    (SELECT gp.seat FROM public.game_players gp WHERE gp.game_id = p_game_id AND gp.user_id = auth.uid()),
+    (SELECT CASE
+      WHEN auth.uid() = g.player_a_id THEN 'playerA'
+      WHEN auth.uid() = g.player_b_id THEN 'playerB'
+    END
+    FROM public.games g
+    WHERE g.id = p_game_id)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public._gs_rack_key(p_player TEXT)
+RETURNS TEXT AS $$
+  SELECT p_player || 'Rack';
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_players(p_state JSONB)
+RETURNS SETOF TEXT AS $$
+  SELECT jsonb_array_elements_text(coalesce(p_state -> 'players', '["playerA", "playerB"]'));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- The seat after p_player in the rotation
+CREATE OR REPLACE FUNCTION public._gs_next_player(p_state JSONB, p_player TEXT)
+RETURNS TEXT AS $$
+DECLARE
+  v_players JSONB := coalesce(p_state -> 'players', '["playerA", "playerB"]');
+  v_position INTEGER;
+BEGIN
+  SELECT ord INTO v_position
+  FROM jsonb_array_elements_text(v_players) WITH ORDINALITY AS t(seat, ord)
+  WHERE seat = p_player;
+
+  RETURN v_players ->> (coalesce(v_position, 0) % jsonb_array_length(v_players))::int;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Highest score wins; a shared top score is a tie
+CREATE OR REPLACE FUNCTION public._gs_winner(p_state JSONB)
+RETURNS TEXT AS $$
+  SELECT CASE WHEN count(*) > 1 THEN 'tie' ELSE min(seat) END
+  FROM (
+    SELECT seat, score, max(score) OVER () AS top
+    FROM (
+      SELECT seat, coalesce((p_state -> 'scores' -> seat ->> 'score')::numeric, 0) AS score
+      FROM public._gs_players(p_state) AS seat
+    ) s
+  ) ranked
+  WHERE score = top;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_to_state(gs public.game_state)
+RETURNS JSONB AS $$
+DECLARE
+  v_default_score JSONB := '{"score": 0, "accuracy": 100, "streak": 0, "correctPlacements": 0, "totalPlacements": 0, "hintsUsed": 0}';
+  v_players JSONB := coalesce(gs.players, '["playerA", "playerB"]');
+  v_extra_racks JSONB;
+BEGIN
+  SELECT coalesce(jsonb_object_agg(seat || 'Rack', coalesce(gs.extra_racks -> seat, '[]')), '{}')
+  INTO v_extra_racks
+  FROM jsonb_array_elements_text(v_players) AS seat
+  WHERE seat NOT IN ('playerA', 'playerB');
+
+  RETURN jsonb_build_object(
+    'players', v_players,
+    'grid', coalesce(gs.grid, '[]'),
+    'playerARack', coalesce(gs.player_a_rack, '[]'),
+    'playerBRack', coalesce(gs.player_b_rack, '[]'),
+    'piecePool', coalesce(gs.piece_pool, '[]'),
+    'currentTurn', coalesce(gs.current_turn, 'playerA'),
+    'scores', (
+      SELECT jsonb_object_agg(seat, v_default_score || coalesce(gs.scores -> seat, '{}'))
+      FROM jsonb_array_elements_text(v_players) AS seat
+    ),
+    'revealedScores', coalesce(gs.revealed_scores, '{}'),
+    'pendingCheck', coalesce(gs.pending_check, 'null'),
+    'moveHistory', coalesce(gs.move_history, '[]'),
+    'turnsRemaining', coalesce(gs.turns_remaining, '{}'),
+    'checksRemaining', coalesce(gs.checks_remaining, '{}'),
+    'nextCheckRevealProgress', coalesce(gs.next_check_reveal_progress, 0.2),
+    'piecePlacedBy', coalesce(gs.piece_placed_by, '{}'),
+    'pieceMarks', coalesce(gs.piece_marks, '{}'),
+    'nexusResolved', coalesce(gs.nexus_resolved, FALSE),
+    'gameState', CASE WHEN coalesce(gs.nexus_resolved, FALSE) THEN 'finished' ELSE 'active' END,
+    'mode', coalesce(gs.gameplay_mode, 'CLASSIC'),
+    'timerRemaining', gs.timer_remaining,
+    'version', gs.version
+  ) || v_extra_racks;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_sync_revealed_scores(p_state JSONB)
+RETURNS JSONB AS $$
+  SELECT jsonb_set(p_state, '{revealedScores}', (
+    SELECT jsonb_object_agg(seat, jsonb_build_object(
+      'score', p_state -> 'scores' -> seat -> 'score',
+      'accuracy', p_state -> 'scores' -> seat -> 'accuracy',
+      'streak', p_state -> 'scores' -> seat -> 'streak'
+    ))
+    FROM public._gs_players(p_state) AS seat
+  ));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- GameLogic.consumeTurn + switchTurn + resetTurnsForPlayer
+CREATE OR REPLACE FUNCTION public._gs_consume_turn(p_state JSONB, p_player TEXT, p_rules JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_state JSONB := p_state;
+  v_turns_per_round INTEGER := (p_rules ->> 'turnsPerRound')::int;
+  v_checks_per_turn INTEGER := coalesce((p_rules ->> 'checksPerTurn')::int, 0);
+  v_left INTEGER;
+  v_next TEXT;
+BEGIN
+  IF v_turns_per_round IS NOT NULL THEN
+    v_left := coalesce((v_state -> 'turnsRemaining' ->> p_player)::int, v_turns_per_round);
+    IF v_left > 0 THEN
+      v_left := v_left - 1;
+    END IF;
+    v_state := jsonb_set(v_state, ARRAY['turnsRemaining', p_player], to_jsonb(v_left));
+
+    -- The player still has turns this round, keep the turn
+    IF v_left > 0 THEN
+      RETURN v_state;
+    END IF;
+  END IF;
+
+  v_next := public._gs_next_player(v_state, v_state ->> 'currentTurn');
+  v_state := jsonb_set(v_state, '{currentTurn}', to_jsonb(v_next));
+  v_state := jsonb_set(v_state, ARRAY['checksRemaining', v_next], to_jsonb(v_checks_per_turn));
+  v_state := public._gs_refill_if_empty(v_state, v_next);
+
+  -- Reset the outgoing player for their next round
+  v_state := jsonb_set(v_state, ARRAY['turnsRemaining', p_player], coalesce(to_jsonb(v_turns_per_round), 'null'::jsonb));
+  v_state := jsonb_set(v_state, ARRAY['checksRemaining', p_player], to_jsonb(v_checks_per_turn));
+  RETURN v_state;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Persist the working state, mirror scores onto games and game_players and
+-- return the sanitized state with its new version. The newest history
+-- entry is stamped with the scores it left behind.
+CREATE OR REPLACE FUNCTION public._gs_save(p_game_id UUID, p_state JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_has_pending BOOLEAN := jsonb_typeof(p_state -> 'pendingCheck') = 'object';
+  v_last INTEGER := jsonb_array_length(coalesce(p_state -> 'moveHistory', '[]')) - 1;
+  v_version INTEGER;
+BEGIN
+  IF v_last >= 0 AND NOT (p_state -> 'moveHistory' -> v_last) ? 'scores' THEN
+    p_state := jsonb_set(p_state, ARRAY['moveHistory', v_last::text, 'scores'], (
+      SELECT jsonb_object_agg(seat, coalesce((p_state -> 'scores' -> seat ->> 'score')::numeric, 0))
+      FROM public._gs_players(p_state) AS seat
+    ));
+  END IF;
+
+  UPDATE public.game_state SET
+    grid = p_state -> 'grid',
+    player_a_rack = p_state -> 'playerARack',
+    player_b_rack = p_state -> 'playerBRack',
+    extra_racks = (
+      SELECT coalesce(jsonb_object_agg(seat, p_state -> (seat || 'Rack')), '{}')
+      FROM public._gs_players(p_state) AS seat
+      WHERE seat NOT IN ('playerA', 'playerB')
+    ),
+    piece_pool = p_state -> 'piecePool',
+    current_turn = p_state ->> 'currentTurn',
+    scores = p_state -> 'scores',
+    revealed_scores = p_state -> 'revealedScores',
+    pending_check = CASE WHEN v_has_pending THEN p_state -> 'pendingCheck' END,
+    awaiting_decision = CASE WHEN v_has_pending THEN 'opponent_check' END,
+    move_history = p_state -> 'moveHistory',
+    turns_remaining = p_state -> 'turnsRemaining',
+    checks_remaining = p_state -> 'checksRemaining',
+    next_check_reveal_progress = (p_state ->> 'nextCheckRevealProgress')::numeric,
+    piece_placed_by = p_state -> 'piecePlacedBy',
+    piece_marks = p_state -> 'pieceMarks',
+    nexus_resolved = (p_state ->> 'nexusResolved')::boolean,
+    version = version + 1
+  WHERE game_id = p_game_id
+  RETURNING version INTO v_version;
+
+  UPDATE public.games SET
+    player_a_score = round((p_state -> 'scores' -> 'playerA' ->> 'score')::numeric),
+    player_a_accuracy = (p_state -> 'scores' -> 'playerA' ->> 'accuracy')::int,
+    player_a_streak = (p_state -> 'scores' -> 'playerA' ->> 'streak')::int,
+    player_b_score = round((p_state -> 'scores' -> 'playerB' ->> 'score')::numeric),
+    player_b_accuracy = (p_state -> 'scores' -> 'playerB' ->> 'accuracy')::int,
+    player_b_streak = (p_state -> 'scores' -> 'playerB' ->> 'streak')::int,
+    current_turn = p_state ->> 'currentTurn'
+  WHERE id = p_game_id;
+
+  UPDATE public.game_players gp SET
+    score = round((p_state -> 'scores' -> gp.seat ->> 'score')::numeric),
+    accuracy = (p_state -> 'scores' -> gp.seat ->> 'accuracy')::int,
+    streak = (p_state -> 'scores' -> gp.seat ->> 'streak')::int
+  WHERE gp.game_id = p_game_id AND p_state -> 'scores' ? gp.seat;
+
+  RETURN public._gs_sanitize(jsonb_set(p_state, '{version}', to_jsonb(v_version)));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public._gs_save(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- RESPOND TO CHECK (the next player in the rotation checks)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.respond_to_check(
+  p_game_id UUID,
+  p_decision TEXT  -- 'check' or 'pass'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_checker TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_rules JSONB;
+  v_scoring JSONB;
+  v_move JSONB;
+  v_placer TEXT;
+  v_grid_index INTEGER;
+  v_correct BOOLEAN;
+  v_revealed BOOLEAN;
+  v_placed_id INTEGER;
+  v_points NUMERIC;
+  v_penalty NUMERIC;
+  v_result JSONB;
+BEGIN
+  IF v_checker IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_rules := public.gameplay_mode_rules(v_state ->> 'mode');
+  v_scoring := v_rules -> 'scoring';
+  v_move := v_state -> 'pendingCheck';
+
+  IF jsonb_typeof(v_move) IS DISTINCT FROM 'object' THEN
+    RETURN public._gs_reject('No pending move to check', v_state);
+  END IF;
+
+  IF p_decision NOT IN ('check', 'pass') THEN
+    RETURN public._gs_reject('Invalid decision', v_state);
+  END IF;
+
+  v_placer := v_move ->> 'player';
+  IF v_placer = v_checker THEN
+    RETURN public._gs_reject('You cannot check your own placement', v_state);
+  END IF;
+
+  IF v_checker <> public._gs_next_player(v_state, v_placer) THEN
+    RETURN public._gs_reject('Only the next player in turn can check this placement', v_state);
+  END IF;
+
+  -- SUPER/SAGE rounds have more placements than checks
+  IF p_decision = 'check' AND coalesce(
+    (v_state -> 'checksRemaining' ->> v_checker)::int,
+    (v_rules ->> 'checksPerTurn')::int
+  ) <= 0 THEN
+    RETURN public._gs_reject('No checks left this round — you can only pass', v_state);
+  END IF;
+
+  v_grid_index := (v_move ->> 'gridIndex')::int;
+  v_correct := (v_move ->> 'correct')::boolean;
+  v_revealed := coalesce((v_move ->> 'revealCorrectness')::boolean, FALSE);
+  v_placed_id := (v_state -> 'grid' -> v_grid_index ->> 'id')::int;
+
+  IF p_decision = 'check' AND NOT v_correct THEN
+    -- Checker catches an incorrect piece; it goes back to the placer
+    v_points := coalesce((v_scoring ->> 'checkerSuccess')::numeric, 5);
+    v_state := public._gs_apply_score(v_state, v_checker, v_points, FALSE, v_scoring);
+    v_state := jsonb_set(v_state, ARRAY['grid', v_grid_index::text], 'null'::jsonb);
+    IF v_placed_id IS NOT NULL THEN
+      v_state := public._gs_return_to_rack(v_state, v_placer, v_placed_id);
+    END IF;
+    v_state := public._gs_consume_check(v_state, v_checker, v_rules);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'successful_check',
+      'message', format('Checker gained %s points for catching an incorrect piece.', v_points),
+      'correctPlacement', FALSE,
+      'checkerGained', v_points
+    );
+  ELSIF p_decision = 'check' THEN
+    -- Piece is correct: placer rewarded, checker penalized
+    v_points := coalesce((v_scoring ->> 'checkCorrect')::numeric, 10);
+    v_penalty := coalesce((v_scoring ->> 'checkerFail')::numeric, -2);
+    v_state := public._gs_apply_score(v_state, v_placer, v_points, TRUE, v_scoring);
+    v_state := public._gs_apply_score(v_state, v_checker, v_penalty, FALSE, v_scoring);
+    v_state := public._gs_consume_check(v_state, v_checker, v_rules);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'failed_check',
+      'message', format('Placer awarded %s points. Checker penalized %s points.', v_points, v_penalty),
+      'correctPlacement', TRUE,
+      'placerGained', v_points,
+      'checkerLost', v_penalty
+    );
+  ELSIF v_correct THEN
+    v_points := coalesce((v_scoring ->> 'passCorrect')::numeric, 5);
+    IF v_points > 0 THEN
+      v_state := public._gs_apply_score(v_state, v_placer, v_points, TRUE, v_scoring);
+    END IF;
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'opponent_passed_correct',
+      'message', CASE WHEN v_points > 0
+        THEN format('Opponent passed — piece was correct! Placer earned %s points.', v_points)
+        ELSE 'Opponent passed — piece was correct. Turn moves to opponent.'
+      END,
+      'correctPlacement', TRUE,
+      'placerGained', v_points
+    );
+  ELSE
+    -- Passed on an incorrect piece: both penalized, piece returned
+    v_penalty := coalesce((v_scoring ->> 'passWrong')::numeric, -3);
+    v_state := jsonb_set(v_state, ARRAY['grid', v_grid_index::text], 'null'::jsonb);
+    IF v_placed_id IS NOT NULL THEN
+      v_state := public._gs_return_to_rack(v_state, v_placer, v_placed_id);
+    END IF;
+    v_state := public._gs_apply_score(v_state, v_placer, v_penalty, FALSE, v_scoring);
+    v_state := public._gs_apply_score(v_state, v_checker, v_penalty, FALSE, v_scoring);
+
+    v_result := jsonb_build_object(
+      'success', TRUE,
+      'result', 'opponent_passed_incorrect',
+      'message', format('Both penalized (%s). Piece removed and returned to placer.', v_penalty),
+      'correctPlacement', FALSE,
+      'bothPenalized', v_penalty
+    );
+  END IF;
+
+  v_state := jsonb_set(v_state, '{pendingCheck}', 'null'::jsonb);
+  v_state := public._gs_consume_turn(v_state, v_placer, v_rules);
+
+  IF v_revealed THEN
+    v_state := public._gs_sync_revealed_scores(v_state);
+  END IF;
+
+  v_result := v_result || jsonb_build_object('correctnessRevealed', v_revealed, 'scoresRevealed', v_revealed);
+
+  v_state := public._gs_log(v_state, jsonb_build_object(
+    'type', 'check',
+    'player', v_checker,
+    'decision', p_decision,
+    'outcome', v_result ->> 'result',
+    'pieceId', v_move -> 'pieceId',
+    'gridIndex', v_grid_index,
+    'correct', v_correct,
+    'removed', NOT v_correct
+  ));
+
+  RETURN jsonb_build_object('result', v_result, 'state', public._gs_save(p_game_id, v_state));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- RESOLVE NEXUS GAME (scores every seat)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.resolve_nexus_game(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_scoring JSONB;
+  v_cell JSONB;
+  v_index INTEGER;
+  v_placed_by TEXT;
+  v_correct BOOLEAN;
+  v_rotation_enabled BOOLEAN;
+  v_mark JSONB;
+  v_points NUMERIC;
+  v_mark_points NUMERIC;
+  v_entry JSONB;
+  v_results JSONB := '[]';
+  v_side TEXT;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_scoring := public.gameplay_mode_rules(v_state ->> 'mode') -> 'scoring';
+
+  IF upper(v_state ->> 'mode') <> 'NEXUS' THEN
+    RETURN public._gs_reject('Not in Nexus mode', v_state);
+  END IF;
+
+  IF (v_state ->> 'nexusResolved')::boolean THEN
+    RETURN public._gs_reject('Game already resolved', v_state);
+  END IF;
+
+  SELECT coalesce(rotation_enabled, FALSE) INTO v_rotation_enabled
+  FROM public.game_state WHERE game_id = p_game_id;
+
+  FOR v_cell, v_index IN
+    SELECT cell, ord - 1 FROM jsonb_array_elements(v_state -> 'grid') WITH ORDINALITY AS t(cell, ord)
+  LOOP
+    CONTINUE WHEN v_cell = 'null'::jsonb;
+
+    v_placed_by := coalesce(v_state -> 'piecePlacedBy' ->> v_index::text, 'playerA');
+    v_correct := public._gs_is_correct(v_cell, v_index, v_rotation_enabled);
+    v_mark := v_state -> 'pieceMarks' -> v_index::text;
+    v_points := CASE WHEN v_correct
+      THEN coalesce((v_scoring ->> 'correctPiece')::numeric, 10)
+      ELSE coalesce((v_scoring ->> 'wrongPiece')::numeric, -5)
+    END;
+
+    v_state := jsonb_set(v_state, ARRAY['scores', v_placed_by], (v_state -> 'scores' -> v_placed_by) || jsonb_build_object(
+      'score', (v_state -> 'scores' -> v_placed_by ->> 'score')::numeric + v_points,
+      'correctPlacements', (v_state -> 'scores' -> v_placed_by ->> 'correctPlacements')::int + CASE WHEN v_correct THEN 1 ELSE 0 END,
+      'totalPlacements', (v_state -> 'scores' -> v_placed_by ->> 'totalPlacements')::int + 1
+    ));
+
+    v_entry := jsonb_build_object(
+      'gridIndex', v_index,
+      'pieceId', v_cell -> 'id',
+      'placedBy', v_placed_by,
+      'isCorrect', v_correct,
+      'points', v_points
+    );
+
+    IF v_mark IS NOT NULL THEN
+      v_mark_points := CASE
+        WHEN v_mark ->> 'type' = 'suspect' AND v_correct THEN coalesce((v_scoring ->> 'suspectCorrect')::numeric, -3)
+        WHEN v_mark ->> 'type' = 'suspect' THEN coalesce((v_scoring ->> 'suspectWrong')::numeric, 8)
+        WHEN v_correct THEN coalesce((v_scoring ->> 'confidentCorrect')::numeric, 5)
+        ELSE coalesce((v_scoring ->> 'confidentWrong')::numeric, -8)
+      END;
+      v_state := jsonb_set(v_state, ARRAY['scores', v_mark ->> 'marker', 'score'],
+        to_jsonb((v_state -> 'scores' -> (v_mark ->> 'marker') ->> 'score')::numeric + v_mark_points));
+      v_entry := v_entry || jsonb_build_object('mark', v_mark || jsonb_build_object('points', v_mark_points));
+    END IF;
+
+    v_results := v_results || jsonb_build_array(v_entry);
+  END LOOP;
+
+  FOR v_side IN SELECT public._gs_players(v_state) LOOP
+    v_state := jsonb_set(v_state, ARRAY['scores', v_side, 'accuracy'], to_jsonb(CASE
+      WHEN (v_state -> 'scores' -> v_side ->> 'totalPlacements')::int > 0
+        THEN round((v_state -> 'scores' -> v_side ->> 'correctPlacements')::numeric
+          / (v_state -> 'scores' -> v_side ->> 'totalPlacements')::int * 100)
+      ELSE 100
+    END));
+  END LOOP;
+
+  v_state := public._gs_sync_revealed_scores(v_state);
+  v_state := v_state || jsonb_build_object('nexusResolved', TRUE, 'gameState', 'finished');
+  v_state := public._gs_log(v_state, jsonb_build_object('type', 'resolve', 'player', v_player));
+
+  RETURN jsonb_build_object(
+    'result', jsonb_build_object(
+      'success', TRUE,
+      'results', v_results,
+      'finalScores', v_state -> 'scores',
+      'winner', public._gs_winner(v_state)
+    ),
+    'state', public._gs_save(p_game_id, v_state)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- SPECTATORS (no racks for any seat)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.get_spectator_state(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_game public.games;
+  v_row public.game_state;
+  v_state JSONB;
+BEGIN
+  SELECT * INTO v_game FROM public.games WHERE id = p_game_id;
+  IF NOT FOUND
+    OR v_game.mode <> 'multiplayer'
+    OR v_game.status NOT IN ('waiting', 'active', 'paused') THEN
+    RAISE EXCEPTION 'Game is not open to spectators';
+  END IF;
+
+  SELECT * INTO v_row FROM public.game_state WHERE game_id = p_game_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  v_state := public._gs_to_state(v_row);
+
+  RETURN (public._gs_sanitize(v_state)
+      - ARRAY(SELECT public._gs_rack_key(seat) FROM public._gs_players(v_state) AS seat)
+      - 'piecePool' - 'scores')
+    || jsonb_build_object(
+      'rotationEnabled', coalesce(v_row.rotation_enabled, FALSE),
+      'piecePoolCount', jsonb_array_length(coalesce(v_row.piece_pool, '[]'))
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Seats of a game in rotation order, as handed back to the clients
+CREATE OR REPLACE FUNCTION public._game_seats(p_game_id UUID)
+RETURNS JSONB AS $$
+  SELECT coalesce(jsonb_agg(to_jsonb(gp) ORDER BY gp.seat), '[]')
+  FROM public.game_players gp
+  WHERE gp.game_id = p_game_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public._game_seats(UUID) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- COMPLETE GAME
+-- Two-player matches are completed and rated as before. Larger matches
+-- are completed unrated, with stats recorded for every seat.
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.complete_game(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_game public.games;
+  v_gs public.game_state;
+  v_state JSONB;
+  v_mode TEXT;
+  v_score_a INTEGER;
+  v_score_b INTEGER;
+  v_winner TEXT;
+  v_top NUMERIC;
+  v_over BOOLEAN;
+  v_ratings JSONB := '{}';
+  v_multi BOOLEAN;
+  v_seat public.game_players;
+BEGIN
+  IF public._gs_player_key(p_game_id) IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_game FROM public.games WHERE id = p_game_id FOR UPDATE;
+
+  IF v_game.mode <> 'multiplayer' OR v_game.player_b_id IS NULL THEN
+    RAISE EXCEPTION 'Only two-player matches are rated';
+  END IF;
+
+  SELECT * INTO v_gs FROM public.game_state WHERE game_id = p_game_id;
+  v_mode := upper(coalesce(v_gs.gameplay_mode, 'CLASSIC'));
+  v_multi := jsonb_array_length(coalesce(v_gs.players, '["playerA", "playerB"]')) > 2;
+
+  -- Already finished by another client: hand back the same result
+  IF v_game.status = 'completed' THEN
+    RETURN jsonb_build_object(
+      'game', to_jsonb(v_game),
+      'winner', v_game.winner,
+      'ratings', CASE WHEN v_multi THEN '{}'::jsonb ELSE public._rating_changes(v_game, v_mode) END,
+      'seats', public._game_seats(p_game_id),
+      'alreadyCompleted', TRUE
+    );
+  END IF;
+
+  IF v_game.status NOT IN ('active', 'paused') THEN
+    RAISE EXCEPTION 'Game is not in progress';
+  END IF;
+
+  -- Nexus scores only exist once the board is resolved
+  IF v_mode = 'NEXUS' AND NOT coalesce(v_gs.nexus_resolved, FALSE) THEN
+    PERFORM public.resolve_nexus_game(p_game_id);
+    SELECT * INTO v_gs FROM public.game_state WHERE game_id = p_game_id;
+  END IF;
+
+  v_state := public._gs_to_state(v_gs);
+
+  -- Same end conditions as the client (full board, nothing left to place,
+  -- Nexus resolved) plus the clock, with a little slack for client timers
+  v_over := v_state ->> 'gameState' = 'finished'
+    OR coalesce(v_gs.nexus_resolved, FALSE)
+    OR NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_state -> 'grid') AS t(cell) WHERE cell = 'null'::jsonb
+    )
+    OR (
+      jsonb_array_length(coalesce(v_state -> 'piecePool', '[]')) = 0
+      AND NOT EXISTS (
+        SELECT 1
+        FROM public._gs_players(v_state) AS seat,
+          jsonb_array_elements(coalesce(v_state -> public._gs_rack_key(seat), '[]')) AS t(item)
+        WHERE item <> 'null'::jsonb
+      )
+    )
+    OR (
+      v_game.started_at IS NOT NULL
+      AND v_game.started_at + make_interval(secs => coalesce(v_game.time_limit, 600) - 10) <= NOW()
+    );
+
+  IF NOT v_over THEN
+    RAISE EXCEPTION 'Game is not over yet';
+  END IF;
+
+  -- Scores come from the authoritative state, not from the caller
+  v_score_a := round(coalesce((v_state -> 'scores' -> 'playerA' ->> 'score')::numeric, v_game.player_a_score, 0));
+  v_score_b := round(coalesce((v_state -> 'scores' -> 'playerB' ->> 'score')::numeric, v_game.player_b_score, 0));
+  v_winner := public._gs_winner(v_state);
+
+  UPDATE public.games SET
+    status = 'completed',
+    completed_at = NOW(),
+    winner = v_winner,
+    player_a_score = v_score_a,
+    player_b_score = v_score_b
+  WHERE id = p_game_id
+  RETURNING * INTO v_game;
+
+  IF v_multi THEN
+    SELECT max(coalesce((v_state -> 'scores' -> seat ->> 'score')::numeric, 0)) INTO v_top
+    FROM public._gs_players(v_state) AS seat;
+
+    FOR v_seat IN SELECT * FROM public.game_players WHERE game_id = p_game_id LOOP
+      PERFORM public.increment_user_stats(v_seat.user_id,
+        CASE
+          WHEN v_winner = v_seat.seat THEN 'win'
+          WHEN v_winner = 'tie' AND (v_state -> 'scores' -> v_seat.seat ->> 'score')::numeric = v_top THEN 'tie'
+          ELSE 'loss'
+        END,
+        round(coalesce((v_state -> 'scores' -> v_seat.seat ->> 'score')::numeric, 0))::int);
+    END LOOP;
+  ELSE
+    PERFORM public.increment_user_stats(v_game.player_a_id,
+      CASE v_winner WHEN 'playerA' THEN 'win' WHEN 'playerB' THEN 'loss' ELSE 'tie' END, v_score_a);
+    PERFORM public.increment_user_stats(v_game.player_b_id,
+      CASE v_winner WHEN 'playerB' THEN 'win' WHEN 'playerA' THEN 'loss' ELSE 'tie' END, v_score_b);
+
+    v_ratings := public._rating_update_pair(v_game, v_mode, v_winner);
+    PERFORM public._rating_update_pair(v_game, 'OVERALL', v_winner);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'game', to_jsonb(v_game),
+    'winner', v_winner,
+    'ratings', v_ratings,
+    'seats', public._game_seats(p_game_id),
+    'alreadyCompleted', FALSE
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.complete_game(UUID) TO authenticated;
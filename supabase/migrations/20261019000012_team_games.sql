@@ -0,0 +1,527 @@
+-- =====================================================
+-- 2v2 TEAM MATCHES
+-- A four-player match can be played as two teams of two. Partners sit
+-- opposite each other (A and C against B and D), so turns and checks
+-- alternate between the teams.
+--
+-- * game_state.teams holds the pairing ({"teamA": ["playerA", "playerC"],
+--   "teamB": ["playerB", "playerD"]}); NULL is every player for themselves.
+-- * Each seat still keeps its own score; a team's score is the sum of its
+--   seats and the highest team wins. Partners share one placement streak.
+-- * Partners can see each other's racks (in the client) and pass_piece
+--   hands a rack piece across.
+-- * Team matches are rated in their own 'TEAMS' rating, each player
+--   against the average rating of the other team.
+-- =====================================================
+
+ALTER TABLE public.game_state
+ADD COLUMN IF NOT EXISTS teams JSONB;
+
+-- =====================================================
+-- STATE HELPERS
+-- =====================================================
+
+-- The pairing as an object, '{}' outside team games
+CREATE OR REPLACE FUNCTION public._gs_teams(p_state JSONB)
+RETURNS JSONB AS $$
+  SELECT CASE WHEN jsonb_typeof(p_state -> 'teams') = 'object' THEN p_state -> 'teams' ELSE '{}'::jsonb END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Team of a seat, NULL outside team games
+CREATE OR REPLACE FUNCTION public._gs_team(p_state JSONB, p_player TEXT)
+RETURNS TEXT AS $$
+  SELECT team FROM jsonb_each(public._gs_teams(p_state)) AS t(team, seats)
+  WHERE seats ? p_player;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_partner(p_state JSONB, p_player TEXT)
+RETURNS TEXT AS $$
+  SELECT seat FROM jsonb_array_elements_text(public._gs_teams(p_state) -> public._gs_team(p_state, p_player)) AS seat
+  WHERE seat <> p_player;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- { teamA: { seats, score }, teamB: ... }, NULL outside team games
+CREATE OR REPLACE FUNCTION public._gs_team_scores(p_state JSONB)
+RETURNS JSONB AS $$
+  SELECT jsonb_object_agg(team, jsonb_build_object(
+    'seats', seats,
+    'score', (
+      SELECT coalesce(sum((p_state -> 'scores' -> seat ->> 'score')::numeric), 0)
+      FROM jsonb_array_elements_text(seats) AS seat
+    )
+  ))
+  FROM jsonb_each(public._gs_teams(p_state)) AS t(team, seats);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Highest score wins, summed per team in team games; a shared top is a tie
+CREATE OR REPLACE FUNCTION public._gs_winner(p_state JSONB)
+RETURNS TEXT AS $$
+  SELECT CASE WHEN count(*) > 1 THEN 'tie' ELSE min(side) END
+  FROM (
+    SELECT side, score, max(score) OVER () AS top
+    FROM (
+      SELECT coalesce(public._gs_team(p_state, seat), seat) AS side,
+        sum(coalesce((p_state -> 'scores' -> seat ->> 'score')::numeric, 0)) AS score
+      FROM public._gs_players(p_state) AS seat
+      GROUP BY 1
+    ) s
+  ) ranked
+  WHERE score = top;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_to_state(gs public.game_state)
+RETURNS JSONB AS $$
+DECLARE
+  v_default_score JSONB := '{"score": 0, "accuracy": 100, "streak": 0, "correctPlacements": 0, "totalPlacements": 0, "hintsUsed": 0}';
+  v_players JSONB := coalesce(gs.players, '["playerA", "playerB"]');
+  v_extra_racks JSONB;
+BEGIN
+  SELECT coalesce(jsonb_object_agg(seat || 'Rack', coalesce(gs.extra_racks -> seat, '[]')), '{}')
+  INTO v_extra_racks
+  FROM jsonb_array_elements_text(v_players) AS seat
+  WHERE seat NOT IN ('playerA', 'playerB');
+
+  RETURN jsonb_build_object(
+    'players', v_players,
+    'teams', gs.teams,
+    'grid', coalesce(gs.grid, '[]'),
+    'playerARack', coalesce(gs.player_a_rack, '[]'),
+    'playerBRack', coalesce(gs.player_b_rack, '[]'),
+    'piecePool', coalesce(gs.piece_pool, '[]'),
+    'currentTurn', coalesce(gs.current_turn, 'playerA'),
+    'scores', (
+      SELECT jsonb_object_agg(seat, v_default_score || coalesce(gs.scores -> seat, '{}'))
+      FROM jsonb_array_elements_text(v_players) AS seat
+    ),
+    'revealedScores', coalesce(gs.revealed_scores, '{}'),
+    'pendingCheck', coalesce(gs.pending_check, 'null'),
+    'moveHistory', coalesce(gs.move_history, '[]'),
+    'turnsRemaining', coalesce(gs.turns_remaining, '{}'),
+    'checksRemaining', coalesce(gs.checks_remaining, '{}'),
+    'nextCheckRevealProgress', coalesce(gs.next_check_reveal_progress, 0.2),
+    'piecePlacedBy', coalesce(gs.piece_placed_by, '{}'),
+    'pieceMarks', coalesce(gs.piece_marks, '{}'),
+    'nexusResolved', coalesce(gs.nexus_resolved, FALSE),
+    'gameState', CASE WHEN coalesce(gs.nexus_resolved, FALSE) THEN 'finished' ELSE 'active' END,
+    'mode', coalesce(gs.gameplay_mode, 'CLASSIC'),
+    'timerRemaining', gs.timer_remaining,
+    'version', gs.version
+  ) || v_extra_racks;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Same rules as GameLogic.updateScore: partners share the streak
+CREATE OR REPLACE FUNCTION public._gs_apply_score(
+  p_state JSONB,
+  p_player TEXT,
+  p_points NUMERIC,
+  p_is_correct BOOLEAN,
+  p_scoring JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_entry JSONB := p_state -> 'scores' -> p_player;
+  v_score NUMERIC := (v_entry ->> 'score')::numeric + p_points;
+  v_total INTEGER := (v_entry ->> 'totalPlacements')::int;
+  v_correct INTEGER := (v_entry ->> 'correctPlacements')::int;
+  v_streak INTEGER := (v_entry ->> 'streak')::int;
+  v_accuracy INTEGER := (v_entry ->> 'accuracy')::int;
+  v_threshold INTEGER := coalesce((p_scoring ->> 'streakBonusThreshold')::int, 3);
+  v_multiplier NUMERIC := coalesce((p_scoring ->> 'streakMultiplier')::numeric, 1);
+  v_partner TEXT := public._gs_partner(p_state, p_player);
+  v_state JSONB;
+BEGIN
+  IF p_points > 0 OR p_is_correct THEN
+    v_total := v_total + 1;
+    IF p_is_correct THEN
+      v_correct := v_correct + 1;
+      v_streak := v_streak + 1;
+    ELSE
+      v_streak := 0;
+    END IF;
+    v_accuracy := round(v_correct::numeric / v_total * 100);
+  END IF;
+
+  IF v_streak >= v_threshold THEN
+    v_score := v_score + floor(v_streak::numeric / v_threshold) * 2 * v_multiplier;
+  END IF;
+
+  v_state := jsonb_set(p_state, ARRAY['scores', p_player], v_entry || jsonb_build_object(
+    'score', v_score,
+    'totalPlacements', v_total,
+    'correctPlacements', v_correct,
+    'streak', v_streak,
+    'accuracy', v_accuracy
+  ));
+
+  IF v_partner IS NOT NULL AND (p_points > 0 OR p_is_correct) THEN
+    v_state := jsonb_set(v_state, ARRAY['scores', v_partner, 'streak'], to_jsonb(v_streak));
+  END IF;
+
+  RETURN v_state;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- =====================================================
+-- PASS PIECE
+-- Move a rack piece to the caller's partner. Allowed on the caller's turn
+-- (any time in simultaneous modes) and doesn't use the turn up.
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.pass_piece(
+  p_game_id UUID,
+  p_piece_id INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_partner TEXT;
+  v_rules JSONB;
+  v_rack_key TEXT;
+  v_partner_key TEXT;
+  v_index INTEGER;
+  v_slot INTEGER;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_partner := public._gs_partner(v_state, v_player);
+  v_rules := public.gameplay_mode_rules(v_state ->> 'mode');
+
+  IF v_partner IS NULL THEN
+    RETURN public._gs_reject('Pieces can only be passed in team games', v_state);
+  END IF;
+
+  IF v_state ->> 'gameState' = 'finished' THEN
+    RETURN public._gs_reject('Game is already finished', v_state);
+  END IF;
+
+  IF NOT coalesce((v_rules ->> 'simultaneous')::boolean, FALSE) AND v_state ->> 'currentTurn' <> v_player THEN
+    RETURN public._gs_reject('Not your turn', v_state);
+  END IF;
+
+  v_rack_key := public._gs_rack_key(v_player);
+  v_partner_key := public._gs_rack_key(v_partner);
+
+  SELECT ord - 1 INTO v_index
+  FROM jsonb_array_elements(v_state -> v_rack_key) WITH ORDINALITY AS t(item, ord)
+  WHERE item = to_jsonb(p_piece_id);
+
+  IF v_index IS NULL THEN
+    RETURN public._gs_reject('Piece is not in your rack', v_state);
+  END IF;
+
+  SELECT ord - 1 INTO v_slot
+  FROM jsonb_array_elements(v_state -> v_partner_key) WITH ORDINALITY AS t(item, ord)
+  WHERE item = 'null'::jsonb
+  ORDER BY ord
+  LIMIT 1;
+
+  IF v_slot IS NULL AND jsonb_array_length(v_state -> v_partner_key) >= 10 THEN
+    RETURN public._gs_reject('Your partner''s rack is full', v_state);
+  END IF;
+
+  v_state := jsonb_set(v_state, ARRAY[v_rack_key, v_index::text], 'null'::jsonb);
+  v_state := public._gs_return_to_rack(v_state, v_partner, p_piece_id);
+  v_state := public._gs_log(v_state, jsonb_build_object(
+    'type', 'pass',
+    'player', v_player,
+    'to', v_partner,
+    'pieceId', p_piece_id
+  ));
+  v_state := public._gs_refill_if_empty(v_state, v_player);
+
+  RETURN jsonb_build_object(
+    'result', jsonb_build_object('success', TRUE, 'to', v_partner, 'pieceId', p_piece_id),
+    'state', public._gs_save(p_game_id, v_state)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.pass_piece(UUID, INTEGER) TO authenticated;
+
+-- =====================================================
+-- MARK PIECE (partners can't suspect each other)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.mark_piece(
+  p_game_id UUID,
+  p_grid_index INTEGER,
+  p_mark_type TEXT  -- 'suspect', 'confident' or NULL to clear
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_key TEXT := p_grid_index::text;
+  v_placed_by TEXT;
+  v_existing JSONB;
+  v_result JSONB;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+
+  IF upper(v_state ->> 'mode') <> 'NEXUS' THEN
+    RETURN public._gs_reject('Marking is only available in Nexus mode', v_state);
+  END IF;
+
+  IF v_state ->> 'gameState' = 'finished' THEN
+    RETURN public._gs_reject('Game is already finished', v_state);
+  END IF;
+
+  IF coalesce(v_state -> 'grid' -> p_grid_index, 'null'::jsonb) = 'null'::jsonb THEN
+    RETURN public._gs_reject('No piece at this position', v_state);
+  END IF;
+
+  v_placed_by := v_state -> 'piecePlacedBy' ->> v_key;
+  v_existing := v_state -> 'pieceMarks' -> v_key;
+
+  IF p_mark_type IS NULL THEN
+    v_state := jsonb_set(v_state, '{pieceMarks}', (v_state -> 'pieceMarks') - v_key);
+    v_result := jsonb_build_object('success', TRUE, 'action', 'removed', 'gridIndex', p_grid_index);
+  ELSIF p_mark_type NOT IN ('suspect', 'confident') THEN
+    RETURN public._gs_reject('Invalid mark type', v_state);
+  ELSIF p_mark_type = 'suspect' AND v_placed_by = v_player THEN
+    RETURN public._gs_reject('You can''t suspect your own piece', v_state);
+  ELSIF p_mark_type = 'suspect' AND v_placed_by = public._gs_partner(v_state, v_player) THEN
+    RETURN public._gs_reject('You can''t suspect your partner''s piece', v_state);
+  ELSIF p_mark_type = 'confident' AND v_placed_by IS DISTINCT FROM v_player THEN
+    RETURN public._gs_reject('You can only mark confidence on your own pieces', v_state);
+  ELSIF v_existing ->> 'marker' = v_player AND v_existing ->> 'type' = p_mark_type THEN
+    -- Same mark again toggles it off
+    v_state := jsonb_set(v_state, '{pieceMarks}', (v_state -> 'pieceMarks') - v_key);
+    v_result := jsonb_build_object('success', TRUE, 'action', 'removed', 'gridIndex', p_grid_index, 'markType', p_mark_type);
+  ELSE
+    v_state := jsonb_set(v_state, ARRAY['pieceMarks', v_key], jsonb_build_object('marker', v_player, 'type', p_mark_type));
+    v_result := jsonb_build_object('success', TRUE, 'action', 'added', 'gridIndex', p_grid_index, 'markType', p_mark_type);
+  END IF;
+
+  v_state := public._gs_log(v_state, jsonb_build_object(
+    'type', 'mark',
+    'player', v_player,
+    'gridIndex', p_grid_index,
+    'markType', CASE WHEN v_result ->> 'action' = 'added' THEN to_jsonb(p_mark_type) ELSE 'null'::jsonb END,
+    'action', v_result ->> 'action'
+  ));
+
+  RETURN jsonb_build_object('result', v_result, 'state', public._gs_save(p_game_id, v_state));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- TEAM RATINGS
+-- =====================================================
+
+-- Rate every seat in the 'TEAMS' mode against the other team's average
+-- rating from before the game
+CREATE OR REPLACE FUNCTION public._rating_update_teams(
+  p_game_id UUID,
+  p_state JSONB,
+  p_winner TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_before JSONB;
+  v_seat public.game_players;
+  v_team TEXT;
+  v_opponent_rating INTEGER;
+  v_ratings JSONB := '{}';
+BEGIN
+  INSERT INTO public.player_ratings (user_id, mode)
+  SELECT user_id, 'TEAMS' FROM public.game_players WHERE game_id = p_game_id
+  ON CONFLICT (user_id, mode) DO NOTHING;
+
+  SELECT jsonb_object_agg(gp.seat, r.rating) INTO v_before
+  FROM public.game_players gp
+  JOIN public.player_ratings r ON r.user_id = gp.user_id AND r.mode = 'TEAMS'
+  WHERE gp.game_id = p_game_id;
+
+  FOR v_seat IN SELECT * FROM public.game_players WHERE game_id = p_game_id ORDER BY seat LOOP
+    v_team := public._gs_team(p_state, v_seat.seat);
+
+    SELECT round(avg((v_before ->> seat)::int)) INTO v_opponent_rating
+    FROM jsonb_object_keys(v_before) AS seat
+    WHERE public._gs_team(p_state, seat) <> v_team;
+
+    v_ratings := v_ratings || jsonb_build_object(v_seat.seat, public._rating_apply(
+      v_seat.user_id, 'TEAMS', p_game_id, NULL, coalesce(v_opponent_rating, 1200),
+      CASE p_winner WHEN v_team THEN 1 WHEN 'tie' THEN 0.5 ELSE 0 END
+    ));
+  END LOOP;
+
+  RETURN v_ratings;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Ratings as stored for a finished game, keyed by seat through game_players
+CREATE OR REPLACE FUNCTION public._rating_seat_changes(p_game_id UUID, p_mode TEXT)
+RETURNS JSONB AS $$
+  SELECT coalesce(jsonb_object_agg(gp.seat, jsonb_build_object(
+    'before', h.rating_before,
+    'after', h.rating_after,
+    'change', h.rating_after - h.rating_before,
+    'provisional', r.provisional
+  )), '{}')
+  FROM public.rating_history h
+  JOIN public.player_ratings r ON r.user_id = h.user_id AND r.mode = h.mode
+  JOIN public.game_players gp ON gp.game_id = h.game_id AND gp.user_id = h.user_id
+  WHERE h.game_id = p_game_id AND h.mode = p_mode;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public._rating_update_teams(UUID, JSONB, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public._rating_seat_changes(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- COMPLETE GAME
+-- Team matches are won by a team and rated in 'TEAMS'; the result also
+-- carries each team's seats and summed score.
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.complete_game(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_game public.games;
+  v_gs public.game_state;
+  v_state JSONB;
+  v_mode TEXT;
+  v_score_a INTEGER;
+  v_score_b INTEGER;
+  v_winner TEXT;
+  v_top NUMERIC;
+  v_over BOOLEAN;
+  v_ratings JSONB := '{}';
+  v_multi BOOLEAN;
+  v_seat public.game_players;
+  v_team TEXT;
+BEGIN
+  IF public._gs_player_key(p_game_id) IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_game FROM public.games WHERE id = p_game_id FOR UPDATE;
+
+  IF v_game.mode <> 'multiplayer' OR v_game.player_b_id IS NULL THEN
+    RAISE EXCEPTION 'Only two-player matches are rated';
+  END IF;
+
+  SELECT * INTO v_gs FROM public.game_state WHERE game_id = p_game_id;
+  v_mode := upper(coalesce(v_gs.gameplay_mode, 'CLASSIC'));
+  v_multi := jsonb_array_length(coalesce(v_gs.players, '["playerA", "playerB"]')) > 2;
+
+  -- Already finished by another client: hand back the same result
+  IF v_game.status = 'completed' THEN
+    RETURN jsonb_build_object(
+      'game', to_jsonb(v_game),
+      'winner', v_game.winner,
+      'ratings', CASE
+        WHEN v_gs.teams IS NOT NULL THEN public._rating_seat_changes(p_game_id, 'TEAMS')
+        WHEN v_multi THEN '{}'::jsonb
+        ELSE public._rating_changes(v_game, v_mode)
+      END,
+      'seats', public._game_seats(p_game_id),
+      'teams', public._gs_team_scores(public._gs_to_state(v_gs)),
+      'alreadyCompleted', TRUE
+    );
+  END IF;
+
+  IF v_game.status NOT IN ('active', 'paused') THEN
+    RAISE EXCEPTION 'Game is not in progress';
+  END IF;
+
+  -- Nexus scores only exist once the board is resolved
+  IF v_mode = 'NEXUS' AND NOT coalesce(v_gs.nexus_resolved, FALSE) THEN
+    PERFORM public.resolve_nexus_game(p_game_id);
+    SELECT * INTO v_gs FROM public.game_state WHERE game_id = p_game_id;
+  END IF;
+
+  v_state := public._gs_to_state(v_gs);
+
+  -- Same end conditions as the client (full board, nothing left to place,
+  -- Nexus resolved) plus the clock, with a little slack for client timers
+  v_over := v_state ->> 'gameState' = 'finished'
+    OR coalesce(v_gs.nexus_resolved, FALSE)
+    OR NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_state -> 'grid') AS t(cell) WHERE cell = 'null'::jsonb
+    )
+    OR (
+      jsonb_array_length(coalesce(v_state -> 'piecePool', '[]')) = 0
+      AND NOT EXISTS (
+        SELECT 1
+        FROM public._gs_players(v_state) AS seat,
+          jsonb_array_elements(coalesce(v_state -> public._gs_rack_key(seat), '[]')) AS t(item)
+        WHERE item <> 'null'::jsonb
+      )
+    )
+    OR (
+      v_game.started_at IS NOT NULL
+      AND v_game.started_at + make_interval(secs => coalesce(v_game.time_limit, 600) - 10) <= NOW()
+    );
+
+  IF NOT v_over THEN
+    RAISE EXCEPTION 'Game is not over yet';
+  END IF;
+
+  -- Scores come from the authoritative state, not from the caller
+  v_score_a := round(coalesce((v_state -> 'scores' -> 'playerA' ->> 'score')::numeric, v_game.player_a_score, 0));
+  v_score_b := round(coalesce((v_state -> 'scores' -> 'playerB' ->> 'score')::numeric, v_game.player_b_score, 0));
+  v_winner := public._gs_winner(v_state);
+
+  UPDATE public.games SET
+    status = 'completed',
+    completed_at = NOW(),
+    winner = v_winner,
+    player_a_score = v_score_a,
+    player_b_score = v_score_b
+  WHERE id = p_game_id
+  RETURNING * INTO v_game;
+
+  IF v_gs.teams IS NOT NULL THEN
+    FOR v_seat IN SELECT * FROM public.game_players WHERE game_id = p_game_id LOOP
+      v_team := public._gs_team(v_state, v_seat.seat);
+      PERFORM public.increment_user_stats(v_seat.user_id,
+        CASE v_winner WHEN v_team THEN 'win' WHEN 'tie' THEN 'tie' ELSE 'loss' END,
+        round(coalesce((v_state -> 'scores' -> v_seat.seat ->> 'score')::numeric, 0))::int);
+    END LOOP;
+
+    v_ratings := public._rating_update_teams(p_game_id, v_state, v_winner);
+  ELSIF v_multi THEN
+    SELECT max(coalesce((v_state -> 'scores' -> seat ->> 'score')::numeric, 0)) INTO v_top
+    FROM public._gs_players(v_state) AS seat;
+
+    FOR v_seat IN SELECT * FROM public.game_players WHERE game_id = p_game_id LOOP
+      PERFORM public.increment_user_stats(v_seat.user_id,
+        CASE
+          WHEN v_winner = v_seat.seat THEN 'win'
+          WHEN v_winner = 'tie' AND (v_state -> 'scores' -> v_seat.seat ->> 'score')::numeric = v_top THEN 'tie'
+          ELSE 'loss'
+        END,
+        round(coalesce((v_state -> 'scores' -> v_seat.seat ->> 'score')::numeric, 0))::int);
+    END LOOP;
+  ELSE
+    PERFORM public.increment_user_stats(v_game.player_a_id,
+      CASE v_winner WHEN 'playerA' THEN 'win' WHEN 'playerB' THEN 'loss' ELSE 'tie' END, v_score_a);
+    PERFORM public.increment_user_stats(v_game.player_b_id,
+      CASE v_winner WHEN 'playerB' THEN 'win' WHEN 'playerA' THEN 'loss' ELSE 'tie' END, v_score_b);
+
+    v_ratings := public._rating_update_pair(v_game, v_mode, v_winner);
+    PERFORM public._rating_update_pair(v_game, 'OVERALL', v_winner);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'game', to_jsonb(v_game),
+    'winner', v_winner,
+    'ratings', v_ratings,
+    'seats', public._game_seats(p_game_id),
+    'teams', public._gs_team_scores(v_state),
+    'alreadyCompleted', FALSE
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.complete_game(UUID) TO authenticated;
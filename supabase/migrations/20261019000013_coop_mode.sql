@@ -0,0 +1,442 @@
+-- =====================================================
+-- CO-OP MODE
+-- Two players solve one puzzle together. Both place at once from a
+-- shared rack (kept in the first seat's rack column); placements are
+-- verified on the spot and wrong pieces go back to the shared rack.
+--
+-- * There is no winner: games.winner is 'coop' and complete_game writes
+--   the joint time and accuracy to coop_results, which backs the co-op
+--   leaderboard (fastest solves per grid size).
+-- * Co-op matches aren't rated and don't count as wins, losses or ties.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.coop_results (
+  game_id UUID PRIMARY KEY REFERENCES public.games(id) ON DELETE CASCADE,
+  grid_size INTEGER NOT NULL,
+  player_a_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  player_a_name TEXT,
+  player_b_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  player_b_name TEXT,
+  solved BOOLEAN NOT NULL,
+  completion_seconds INTEGER NOT NULL,
+  accuracy DECIMAL(5,2) NOT NULL,
+  score INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coop_results_leaderboard
+  ON public.coop_results(grid_size, completion_seconds)
+  WHERE solved;
+
+ALTER TABLE public.coop_results ENABLE ROW LEVEL SECURITY;
+
+-- Public to signed-in players like ratings; only complete_game writes them
+CREATE POLICY "Authenticated users can view co-op results"
+  ON public.coop_results FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- =====================================================
+-- RULES
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.gameplay_mode_rules(p_mode TEXT)
+RETURNS JSONB AS $$
+  SELECT CASE upper(coalesce(p_mode, 'CLASSIC'))
+    WHEN 'SUPER' THEN '{
+      "turnsPerRound": 2, "checksPerTurn": 1, "simultaneous": false,
+      "scoring": {"checkCorrect": 15, "checkerSuccess": 8, "checkerFail": -3, "passCorrect": 8, "passWrong": -5,
+                  "streakMultiplier": 1.5, "streakBonusThreshold": 3}
+    }'::jsonb
+    WHEN 'SAGE' THEN '{
+      "turnsPerRound": 5, "checksPerTurn": 2, "simultaneous": false,
+      "scoring": {"checkCorrect": 20, "checkerSuccess": 10, "checkerFail": -5, "passCorrect": 10, "passWrong": -8,
+                  "streakMultiplier": 2, "streakBonusThreshold": 2}
+    }'::jsonb
+    WHEN 'SAVANT' THEN '{
+      "turnsPerRound": null, "checksPerTurn": 0, "simultaneous": true, "returnsWrongPieces": true,
+      "scoring": {"correctPiece": 25, "wrongPiece": 0, "streakMultiplier": 2.5, "streakBonusThreshold": 5}
+    }'::jsonb
+    WHEN 'COOP' THEN '{
+      "turnsPerRound": null, "checksPerTurn": 0, "simultaneous": true, "returnsWrongPieces": true,
+      "sharedRack": true, "cooperative": true,
+      "scoring": {"correctPiece": 10, "wrongPiece": 0, "streakMultiplier": 1, "streakBonusThreshold": 3}
+    }'::jsonb
+    WHEN 'NEXUS' THEN '{
+      "turnsPerRound": null, "checksPerTurn": 0, "simultaneous": true,
+      "scoring": {"correctPiece": 10, "wrongPiece": -5, "suspectCorrect": -3, "suspectWrong": 8,
+                  "confidentCorrect": 5, "confidentWrong": -8, "streakMultiplier": 1, "streakBonusThreshold": 99}
+    }'::jsonb
+    WHEN 'SINGLE_PLAYER' THEN '{
+      "turnsPerRound": 1, "checksPerTurn": 0, "simultaneous": false,
+      "scoring": {"correctPiece": 10, "wrongPiece": -2, "streakMultiplier": 1, "streakBonusThreshold": 3}
+    }'::jsonb
+    ELSE '{
+      "turnsPerRound": 1, "checksPerTurn": 1, "simultaneous": false,
+      "scoring": {"checkCorrect": 10, "checkerSuccess": 5, "checkerFail": -2, "passCorrect": 5, "passWrong": -3,
+                  "streakMultiplier": 1, "streakBonusThreshold": 3}
+    }'::jsonb
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- =====================================================
+-- SUBMIT MOVE (COOP places from the shared rack)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.submit_move(
+  p_game_id UUID,
+  p_piece_id INTEGER,
+  p_grid_index INTEGER,
+  p_rotation INTEGER DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_player TEXT := public._gs_player_key(p_game_id);
+  v_state JSONB;
+  v_rules JSONB;
+  v_scoring JSONB;
+  v_rack_owner TEXT;
+  v_rack_key TEXT;
+  v_slot INTEGER;
+  v_piece JSONB;
+  v_correct BOOLEAN;
+  v_rotation_enabled BOOLEAN;
+  v_cell JSONB;
+  v_move JSONB;
+  v_progress NUMERIC;
+  v_reveal BOOLEAN;
+  v_returned BOOLEAN := FALSE;
+  v_result JSONB;
+BEGIN
+  IF v_player IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  v_state := public._gs_lock(p_game_id);
+  v_rules := public.gameplay_mode_rules(v_state ->> 'mode');
+  v_scoring := v_rules -> 'scoring';
+  -- COOP: everyone draws from (and gets wrong pieces back into) the first seat's rack
+  v_rack_owner := CASE WHEN coalesce((v_rules ->> 'sharedRack')::boolean, FALSE)
+    THEN (SELECT public._gs_players(v_state) LIMIT 1)
+    ELSE v_player
+  END;
+  v_rack_key := public._gs_rack_key(v_rack_owner);
+
+  IF v_state ->> 'gameState' = 'finished' THEN
+    RETURN public._gs_reject('Game is already finished', v_state);
+  END IF;
+
+  IF NOT (v_rules ->> 'simultaneous')::boolean AND v_state ->> 'currentTurn' <> v_player THEN
+    RETURN public._gs_reject('Not your turn', v_state);
+  END IF;
+
+  IF jsonb_typeof(v_state -> 'pendingCheck') = 'object' THEN
+    RETURN public._gs_reject('Placement in progress, please wait', v_state);
+  END IF;
+
+  IF p_grid_index < 0 OR p_grid_index >= jsonb_array_length(v_state -> 'grid') THEN
+    RETURN public._gs_reject('Invalid grid position', v_state);
+  END IF;
+
+  IF coalesce(v_state -> 'grid' -> p_grid_index, 'null'::jsonb) <> 'null'::jsonb THEN
+    RETURN public._gs_reject('Position occupied', v_state);
+  END IF;
+
+  SELECT ord - 1 INTO v_slot
+  FROM jsonb_array_elements(v_state -> v_rack_key) WITH ORDINALITY AS t(item, ord)
+  WHERE item = to_jsonb(p_piece_id) OR item -> 'id' = to_jsonb(p_piece_id)
+  LIMIT 1;
+
+  IF v_slot IS NULL THEN
+    RETURN public._gs_reject('Piece is not in your rack', v_state);
+  END IF;
+
+  SELECT piece INTO v_piece
+  FROM public.game_state gs, jsonb_array_elements(gs.pieces) AS t(piece)
+  WHERE gs.game_id = p_game_id AND (piece ->> 'id')::int = p_piece_id
+  LIMIT 1;
+
+  IF v_piece IS NULL THEN
+    RETURN public._gs_reject('Piece not found', v_state);
+  END IF;
+
+  SELECT coalesce(rotation_enabled, FALSE) INTO v_rotation_enabled
+  FROM public.game_state WHERE game_id = p_game_id;
+
+  IF v_rotation_enabled AND (p_rotation IS NULL OR p_rotation NOT IN (0, 90, 180, 270)) THEN
+    RETURN public._gs_reject('Invalid rotation', v_state);
+  END IF;
+
+  v_cell := jsonb_build_object('id', p_piece_id, 'correctPosition', v_piece -> 'correctPosition');
+  IF v_rotation_enabled THEN
+    v_cell := v_cell || jsonb_build_object('rotation', p_rotation);
+  END IF;
+
+  v_correct := public._gs_is_correct(v_cell, p_grid_index, v_rotation_enabled);
+
+  v_state := jsonb_set(v_state, ARRAY['grid', p_grid_index::text], v_cell);
+  v_state := jsonb_set(v_state, ARRAY[v_rack_key, v_slot::text], 'null'::jsonb);
+
+  v_move := jsonb_build_object(
+    'player', v_player,
+    'pieceId', p_piece_id,
+    'gridIndex', p_grid_index,
+    'correct', v_correct,
+    'timestamp', floor(extract(epoch FROM clock_timestamp()) * 1000)
+  );
+  IF v_rotation_enabled THEN
+    v_move := v_move || jsonb_build_object('rotation', p_rotation);
+  END IF;
+  v_state := jsonb_set(v_state, '{moveHistory}', (v_state -> 'moveHistory') || jsonb_build_array(v_move));
+
+  IF upper(v_state ->> 'mode') = 'NEXUS' THEN
+    -- NEXUS: nothing is scored until resolve_nexus_game, just track the placer
+    v_state := jsonb_set(v_state, ARRAY['piecePlacedBy', p_grid_index::text], to_jsonb(v_player));
+    v_result := jsonb_build_object('success', TRUE, 'awaitingCheck', FALSE, 'scored', FALSE, 'nexus', TRUE);
+  ELSIF (v_rules ->> 'checksPerTurn')::int > 0 THEN
+    -- Check/pass modes: hold the move until the opponent responds
+    SELECT count(*)::numeric / jsonb_array_length(v_state -> 'grid') INTO v_progress
+    FROM jsonb_array_elements(v_state -> 'grid') AS t(cell)
+    WHERE cell <> 'null'::jsonb;
+
+    v_reveal := v_progress >= (v_state ->> 'nextCheckRevealProgress')::numeric;
+    v_state := jsonb_set(v_state, '{pendingCheck}', v_move || jsonb_build_object('revealCorrectness', v_reveal));
+
+    IF v_reveal THEN
+      v_state := jsonb_set(v_state, '{nextCheckRevealProgress}',
+        to_jsonb(least((v_state ->> 'nextCheckRevealProgress')::numeric + 0.2, 1)));
+    END IF;
+
+    v_result := jsonb_build_object('success', TRUE, 'awaitingCheck', TRUE, 'scored', FALSE);
+  ELSE
+    -- No-check modes score immediately
+    v_state := public._gs_apply_score(
+      v_state,
+      v_player,
+      CASE WHEN v_correct
+        THEN coalesce((v_scoring ->> 'correctPiece')::numeric, 10)
+        ELSE coalesce((v_scoring ->> 'wrongPiece')::numeric, 0)
+      END,
+      v_correct,
+      v_scoring
+    );
+
+    -- SAVANT and COOP: a wrong piece would block its cell for good, so it bounces back
+    v_returned := NOT v_correct AND coalesce((v_rules ->> 'returnsWrongPieces')::boolean, FALSE);
+    IF v_returned THEN
+      v_state := jsonb_set(v_state, ARRAY['grid', p_grid_index::text], 'null'::jsonb);
+      v_state := public._gs_return_to_rack(v_state, v_rack_owner, p_piece_id);
+    END IF;
+
+    -- Free-for-all modes have no turns to consume
+    IF NOT (v_rules ->> 'simultaneous')::boolean THEN
+      v_state := public._gs_consume_turn(v_state, v_player, v_rules);
+    END IF;
+    v_result := jsonb_build_object('success', TRUE, 'correct', v_correct, 'awaitingCheck', FALSE, 'scored', TRUE,
+      'returned', v_returned);
+  END IF;
+
+  v_state := public._gs_refill_if_empty(v_state, v_rack_owner);
+
+  RETURN jsonb_build_object('result', v_result, 'state', public._gs_save(p_game_id, v_state));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- CO-OP RESULTS
+-- =====================================================
+
+-- Joint result of a finished co-op match: solved when every cell is
+-- filled (wrong pieces never stay down), timed from the start of the game.
+-- Accuracy counts every placement in the history, including the wrong
+-- ones that bounced back, which the per-seat stats leave out.
+CREATE OR REPLACE FUNCTION public._coop_record(p_game public.games, p_state JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_correct INTEGER;
+  v_total INTEGER;
+  v_score NUMERIC;
+  v_row public.coop_results;
+BEGIN
+  SELECT count(*) FILTER (WHERE (entry ->> 'correct')::boolean), count(*)
+  INTO v_correct, v_total
+  FROM jsonb_array_elements(coalesce(p_state -> 'moveHistory', '[]')) AS t(entry)
+  WHERE entry ? 'gridIndex' AND NOT entry ? 'type';
+
+  SELECT sum(coalesce((p_state -> 'scores' -> seat ->> 'score')::numeric, 0)) INTO v_score
+  FROM public._gs_players(p_state) AS seat;
+
+  INSERT INTO public.coop_results (
+    game_id, grid_size, player_a_id, player_a_name, player_b_id, player_b_name,
+    solved, completion_seconds, accuracy, score
+  ) VALUES (
+    p_game.id, p_game.grid_size, p_game.player_a_id, p_game.player_a_name, p_game.player_b_id, p_game.player_b_name,
+    NOT EXISTS (SELECT 1 FROM jsonb_array_elements(p_state -> 'grid') AS t(cell) WHERE cell = 'null'::jsonb),
+    CASE WHEN p_game.started_at IS NOT NULL
+      THEN least(round(extract(epoch FROM p_game.completed_at - p_game.started_at)), coalesce(p_game.time_limit, 600))
+      ELSE coalesce(p_game.time_limit, 600) - coalesce((p_state ->> 'timerRemaining')::int, 0)
+    END,
+    CASE WHEN v_total > 0 THEN round(v_correct::numeric / v_total * 100, 2) ELSE 100 END,
+    round(v_score)
+  )
+  ON CONFLICT (game_id) DO NOTHING
+  RETURNING * INTO v_row;
+
+  RETURN to_jsonb(v_row);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public._coop_record(public.games, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- COMPLETE GAME
+-- Co-op matches record their joint result instead of a winner.
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.complete_game(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_game public.games;
+  v_gs public.game_state;
+  v_state JSONB;
+  v_mode TEXT;
+  v_score_a INTEGER;
+  v_score_b INTEGER;
+  v_winner TEXT;
+  v_top NUMERIC;
+  v_over BOOLEAN;
+  v_ratings JSONB := '{}';
+  v_multi BOOLEAN;
+  v_seat public.game_players;
+  v_team TEXT;
+  v_coop JSONB;
+BEGIN
+  IF public._gs_player_key(p_game_id) IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_game FROM public.games WHERE id = p_game_id FOR UPDATE;
+
+  IF v_game.mode <> 'multiplayer' OR v_game.player_b_id IS NULL THEN
+    RAISE EXCEPTION 'Only two-player matches are rated';
+  END IF;
+
+  SELECT * INTO v_gs FROM public.game_state WHERE game_id = p_game_id;
+  v_mode := upper(coalesce(v_gs.gameplay_mode, 'CLASSIC'));
+  v_multi := jsonb_array_length(coalesce(v_gs.players, '["playerA", "playerB"]')) > 2;
+
+  -- Already finished by another client: hand back the same result
+  IF v_game.status = 'completed' THEN
+    RETURN jsonb_build_object(
+      'game', to_jsonb(v_game),
+      'winner', v_game.winner,
+      'ratings', CASE
+        WHEN v_gs.teams IS NOT NULL THEN public._rating_seat_changes(p_game_id, 'TEAMS')
+        WHEN v_multi THEN '{}'::jsonb
+        ELSE public._rating_changes(v_game, v_mode)
+      END,
+      'seats', public._game_seats(p_game_id),
+      'teams', public._gs_team_scores(public._gs_to_state(v_gs)),
+      'coop', (SELECT to_jsonb(c) FROM public.coop_results c WHERE c.game_id = p_game_id),
+      'alreadyCompleted', TRUE
+    );
+  END IF;
+
+  IF v_game.status NOT IN ('active', 'paused') THEN
+    RAISE EXCEPTION 'Game is not in progress';
+  END IF;
+
+  -- Nexus scores only exist once the board is resolved
+  IF v_mode = 'NEXUS' AND NOT coalesce(v_gs.nexus_resolved, FALSE) THEN
+    PERFORM public.resolve_nexus_game(p_game_id);
+    SELECT * INTO v_gs FROM public.game_state WHERE game_id = p_game_id;
+  END IF;
+
+  v_state := public._gs_to_state(v_gs);
+
+  -- Same end conditions as the client (full board, nothing left to place,
+  -- Nexus resolved) plus the clock, with a little slack for client timers
+  v_over := v_state ->> 'gameState' = 'finished'
+    OR coalesce(v_gs.nexus_resolved, FALSE)
+    OR NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_state -> 'grid') AS t(cell) WHERE cell = 'null'::jsonb
+    )
+    OR (
+      jsonb_array_length(coalesce(v_state -> 'piecePool', '[]')) = 0
+      AND NOT EXISTS (
+        SELECT 1
+        FROM public._gs_players(v_state) AS seat,
+          jsonb_array_elements(coalesce(v_state -> public._gs_rack_key(seat), '[]')) AS t(item)
+        WHERE item <> 'null'::jsonb
+      )
+    )
+    OR (
+      v_game.started_at IS NOT NULL
+      AND v_game.started_at + make_interval(secs => coalesce(v_game.time_limit, 600) - 10) <= NOW()
+    );
+
+  IF NOT v_over THEN
+    RAISE EXCEPTION 'Game is not over yet';
+  END IF;
+
+  -- Scores come from the authoritative state, not from the caller
+  v_score_a := round(coalesce((v_state -> 'scores' -> 'playerA' ->> 'score')::numeric, v_game.player_a_score, 0));
+  v_score_b := round(coalesce((v_state -> 'scores' -> 'playerB' ->> 'score')::numeric, v_game.player_b_score, 0));
+  v_winner := CASE WHEN v_mode = 'COOP' THEN 'coop' ELSE public._gs_winner(v_state) END;
+
+  UPDATE public.games SET
+    status = 'completed',
+    completed_at = NOW(),
+    winner = v_winner,
+    player_a_score = v_score_a,
+    player_b_score = v_score_b
+  WHERE id = p_game_id
+  RETURNING * INTO v_game;
+
+  IF v_mode = 'COOP' THEN
+    v_coop := public._coop_record(v_game, v_state);
+  ELSIF v_gs.teams IS NOT NULL THEN
+    FOR v_seat IN SELECT * FROM public.game_players WHERE game_id = p_game_id LOOP
+      v_team := public._gs_team(v_state, v_seat.seat);
+      PERFORM public.increment_user_stats(v_seat.user_id,
+        CASE v_winner WHEN v_team THEN 'win' WHEN 'tie' THEN 'tie' ELSE 'loss' END,
+        round(coalesce((v_state -> 'scores' -> v_seat.seat ->> 'score')::numeric, 0))::int);
+    END LOOP;
+
+    v_ratings := public._rating_update_teams(p_game_id, v_state, v_winner);
+  ELSIF v_multi THEN
+    SELECT max(coalesce((v_state -> 'scores' -> seat ->> 'score')::numeric, 0)) INTO v_top
+    FROM public._gs_players(v_state) AS seat;
+
+    FOR v_seat IN SELECT * FROM public.game_players WHERE game_id = p_game_id LOOP
+      PERFORM public.increment_user_stats(v_seat.user_id,
+        CASE
+          WHEN v_winner = v_seat.seat THEN 'win'
+          WHEN v_winner = 'tie' AND (v_state -> 'scores' -> v_seat.seat ->> 'score')::numeric = v_top THEN 'tie'
+          ELSE 'loss'
+        END,
+        round(coalesce((v_state -> 'scores' -> v_seat.seat ->> 'score')::numeric, 0))::int);
+    END LOOP;
+  ELSE
+    PERFORM public.increment_user_stats(v_game.player_a_id,
+      CASE v_winner WHEN 'playerA' THEN 'win' WHEN 'playerB' THEN 'loss' ELSE 'tie' END, v_score_a);
+    PERFORM public.increment_user_stats(v_game.player_b_id,
+      CASE v_winner WHEN 'playerB' THEN 'win' WHEN 'playerA' THEN 'loss' ELSE 'tie' END, v_score_b);
+
+    v_ratings := public._rating_update_pair(v_game, v_mode, v_winner);
+    PERFORM public._rating_update_pair(v_game, 'OVERALL', v_winner);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'game', to_jsonb(v_game),
+    'winner', v_winner,
+    'ratings', v_ratings,
+    'seats', public._game_seats(p_game_id),
+    'teams', public._gs_team_scores(v_state),
+    'coop', v_coop,
+    'alreadyCompleted', FALSE
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.complete_game(UUID) TO authenticated;
@@ -0,0 +1,115 @@
+-- =====================================================
+-- DAILY PUZZLE
+-- One puzzle per UTC day, the same for everyone: library image, grid size
+-- and seed (which fixes the piece shapes and deal order).
+--
+-- * The client derives each day's puzzle from the date (pickDailyPuzzle in
+--   src/lib/daily.js). A daily_puzzles row curates a day instead; rows are
+--   added from the dashboard, clients can only read them.
+-- * Each player gets one result per day through submit_daily_result. The
+--   first submission stands, so replays don't improve a score.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.daily_puzzles (
+  day DATE PRIMARY KEY,
+  image_name TEXT NOT NULL,
+  image_url TEXT NOT NULL,
+  grid_size INTEGER NOT NULL CHECK (grid_size BETWEEN 5 AND 15),
+  seed BIGINT NOT NULL CHECK (seed BETWEEN 0 AND 4294967295),
+  rotation BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.daily_puzzles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Daily puzzles are viewable by everyone"
+  ON public.daily_puzzles FOR SELECT
+  USING (true);
+
+CREATE TABLE IF NOT EXISTS public.daily_results (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  grid_size INTEGER NOT NULL,
+  solved BOOLEAN NOT NULL,
+  time_seconds INTEGER NOT NULL,
+  accuracy DECIMAL(5,2) NOT NULL,
+  hints_used INTEGER NOT NULL DEFAULT 0,
+  score INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daily_results_leaderboard
+  ON public.daily_results(day, score DESC, time_seconds);
+
+ALTER TABLE public.daily_results ENABLE ROW LEVEL SECURITY;
+
+-- Public to signed-in players like ratings; only submit_daily_result writes them
+CREATE POLICY "Authenticated users can view daily results"
+  ON public.daily_results FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- =====================================================
+-- SUBMIT
+-- =====================================================
+
+-- Record the caller's result for p_day. Yesterday is still accepted so a
+-- puzzle started just before midnight UTC can be finished. Returns the
+-- stored row, which is the earlier one if the player already submitted.
+CREATE OR REPLACE FUNCTION public.submit_daily_result(
+  p_day DATE,
+  p_grid_size INTEGER,
+  p_solved BOOLEAN,
+  p_time_seconds INTEGER,
+  p_accuracy NUMERIC,
+  p_hints_used INTEGER,
+  p_score INTEGER
+)
+RETURNS public.daily_results AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_today DATE := (NOW() AT TIME ZONE 'utc')::date;
+  v_curated public.daily_puzzles;
+  v_result public.daily_results;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_day IS NULL OR p_day < v_today - 1 OR p_day > v_today THEN
+    RAISE EXCEPTION 'That daily puzzle is closed';
+  END IF;
+
+  SELECT * INTO v_curated FROM public.daily_puzzles WHERE day = p_day;
+  IF v_curated.day IS NOT NULL AND v_curated.grid_size <> p_grid_size THEN
+    RAISE EXCEPTION 'Wrong grid size for this daily puzzle';
+  END IF;
+
+  -- Same bounds as the single-player game: gridSize minutes, 5 hints
+  IF p_grid_size IS NULL OR p_grid_size NOT BETWEEN 5 AND 15 THEN
+    RAISE EXCEPTION 'Invalid grid size';
+  END IF;
+  IF p_time_seconds IS NULL OR p_time_seconds NOT BETWEEN 0 AND p_grid_size * 60 THEN
+    RAISE EXCEPTION 'Invalid time';
+  END IF;
+  IF p_accuracy IS NULL OR p_accuracy NOT BETWEEN 0 AND 100 THEN
+    RAISE EXCEPTION 'Invalid accuracy';
+  END IF;
+  IF p_hints_used IS NULL OR p_hints_used NOT BETWEEN 0 AND 5 THEN
+    RAISE EXCEPTION 'Invalid hint count';
+  END IF;
+
+  INSERT INTO public.daily_results (user_id, day, grid_size, solved, time_seconds, accuracy, hints_used, score)
+  VALUES (v_uid, p_day, p_grid_size, coalesce(p_solved, FALSE), p_time_seconds, round(p_accuracy, 2), p_hints_used, coalesce(p_score, 0))
+  ON CONFLICT (user_id, day) DO NOTHING;
+
+  SELECT * INTO v_result FROM public.daily_results
+  WHERE user_id = v_uid AND day = p_day;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.submit_daily_result(DATE, INTEGER, BOOLEAN, INTEGER, NUMERIC, INTEGER, INTEGER) TO authenticated;
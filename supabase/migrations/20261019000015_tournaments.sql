@@ -0,0 +1,535 @@
+-- =====================================================
+-- TOURNAMENTS
+-- Organised single-elimination or Swiss events. The organiser (host)
+-- opens registration, starts the tournament and pairs each round.
+--
+-- * start_tournament seeds the field by OVERALL rating. The organiser's
+--   client pairs the rounds (src/lib/tournament.js), and
+--   create_tournament_round checks the pairings and stores the matches.
+--   Byes are scored straight away.
+-- * For each match, player A creates the game and hands it over with
+--   set_tournament_match_game. Player B joins it with the stored code.
+-- * When the game completes, a trigger on games records the result, adds
+--   the points and knocks out the loser. In single elimination a tie goes
+--   to the better seed. The last result of the final round completes the
+--   tournament.
+-- * set_tournament_match_result lets the organiser settle a match by hand
+--   (no-shows, abandoned games).
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.tournaments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL CHECK (char_length(btrim(name)) BETWEEN 1 AND 80),
+  host_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  format TEXT NOT NULL CHECK (format IN ('single_elimination', 'swiss')),
+  gameplay_mode TEXT NOT NULL DEFAULT 'CLASSIC',
+  grid_size INTEGER NOT NULL DEFAULT 10 CHECK (grid_size BETWEEN 5 AND 15),
+  time_limit INTEGER NOT NULL DEFAULT 720 CHECK (time_limit BETWEEN 60 AND 7200),
+  swiss_rounds INTEGER CHECK (swiss_rounds BETWEEN 1 AND 10),
+  status TEXT NOT NULL DEFAULT 'registration' CHECK (status IN ('registration', 'active', 'completed')),
+  current_round INTEGER NOT NULL DEFAULT 0,
+  winner_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS public.tournament_participants (
+  tournament_id UUID REFERENCES public.tournaments(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  display_name TEXT NOT NULL,
+  seed INTEGER,
+  points DECIMAL(4,1) NOT NULL DEFAULT 0,
+  eliminated BOOLEAN NOT NULL DEFAULT FALSE,
+  joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (tournament_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.tournament_matches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tournament_id UUID REFERENCES public.tournaments(id) ON DELETE CASCADE NOT NULL,
+  round INTEGER NOT NULL,
+  slot INTEGER NOT NULL,
+  player_a_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  player_b_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL, -- NULL: bye
+  game_id UUID UNIQUE REFERENCES public.games(id) ON DELETE SET NULL,
+  game_code TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'completed')),
+  result TEXT CHECK (result IN ('playerA', 'playerB', 'tie', 'bye')),
+  winner_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (tournament_id, round, slot)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournaments_status ON public.tournaments(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tournament_matches_round ON public.tournament_matches(tournament_id, round);
+
+ALTER TABLE public.tournaments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.tournament_participants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.tournament_matches ENABLE ROW LEVEL SECURITY;
+
+-- Brackets are public to signed-in players. Everything after creation
+-- goes through the RPCs below.
+CREATE POLICY "Authenticated users can view tournaments"
+  ON public.tournaments FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Users can create tournaments"
+  ON public.tournaments FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = host_id AND status = 'registration' AND current_round = 0);
+
+CREATE POLICY "Hosts can delete tournaments before they start"
+  ON public.tournaments FOR DELETE
+  TO authenticated
+  USING (auth.uid() = host_id AND status = 'registration');
+
+CREATE POLICY "Authenticated users can view tournament participants"
+  ON public.tournament_participants FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can view tournament matches"
+  ON public.tournament_matches FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- Live brackets
+ALTER PUBLICATION supabase_realtime ADD TABLE public.tournaments;
+ALTER PUBLICATION supabase_realtime ADD TABLE public.tournament_participants;
+ALTER PUBLICATION supabase_realtime ADD TABLE public.tournament_matches;
+
+-- =====================================================
+-- REGISTRATION
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.join_tournament(p_tournament_id UUID, p_display_name TEXT)
+RETURNS public.tournament_participants AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_name TEXT := btrim(coalesce(p_display_name, ''));
+  v_tournament public.tournaments;
+  v_participant public.tournament_participants;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_tournament FROM public.tournaments WHERE id = p_tournament_id FOR UPDATE;
+  IF v_tournament.id IS NULL THEN
+    RAISE EXCEPTION 'Tournament not found';
+  END IF;
+  IF v_tournament.status <> 'registration' THEN
+    RAISE EXCEPTION 'Registration is closed';
+  END IF;
+
+  IF char_length(v_name) = 0 THEN
+    SELECT coalesce(display_name, username) INTO v_name FROM public.profiles WHERE id = v_uid;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.tournament_participants
+    WHERE tournament_id = p_tournament_id AND user_id = v_uid
+  ) AND (
+    SELECT count(*) FROM public.tournament_participants WHERE tournament_id = p_tournament_id
+  ) >= 64 THEN
+    RAISE EXCEPTION 'This tournament is full';
+  END IF;
+
+  INSERT INTO public.tournament_participants (tournament_id, user_id, display_name)
+  VALUES (p_tournament_id, v_uid, left(coalesce(v_name, 'Player'), 40))
+  ON CONFLICT (tournament_id, user_id) DO UPDATE SET display_name = EXCLUDED.display_name
+  RETURNING * INTO v_participant;
+
+  RETURN v_participant;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.leave_tournament(p_tournament_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM public.tournament_participants p
+  USING public.tournaments t
+  WHERE p.tournament_id = p_tournament_id
+    AND p.user_id = auth.uid()
+    AND t.id = p.tournament_id
+    AND t.status = 'registration';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- ROUNDS
+-- =====================================================
+
+-- The organiser's tournament, locked; raises for anyone else
+CREATE OR REPLACE FUNCTION public._tournament_lock_hosted(p_tournament_id UUID)
+RETURNS public.tournaments AS $$
+DECLARE
+  v_tournament public.tournaments;
+BEGIN
+  SELECT * INTO v_tournament FROM public.tournaments WHERE id = p_tournament_id FOR UPDATE;
+  IF v_tournament.id IS NULL OR v_tournament.host_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Only the organiser can do that' USING ERRCODE = '42501';
+  END IF;
+  RETURN v_tournament;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Close registration and seed the field: best OVERALL rating first, then
+-- earliest sign-up. Returns the participants in seed order.
+CREATE OR REPLACE FUNCTION public.start_tournament(p_tournament_id UUID)
+RETURNS SETOF public.tournament_participants AS $$
+DECLARE
+  v_tournament public.tournaments := public._tournament_lock_hosted(p_tournament_id);
+  v_count INTEGER;
+BEGIN
+  IF v_tournament.status <> 'registration' THEN
+    RAISE EXCEPTION 'Tournament already started';
+  END IF;
+
+  SELECT count(*) INTO v_count FROM public.tournament_participants WHERE tournament_id = p_tournament_id;
+  IF v_count < 2 THEN
+    RAISE EXCEPTION 'A tournament needs at least 2 players';
+  END IF;
+
+  UPDATE public.tournament_participants p
+  SET seed = s.seed
+  FROM (
+    SELECT tp.user_id,
+           row_number() OVER (ORDER BY coalesce(r.rating, 1200) DESC, tp.joined_at, tp.user_id) AS seed
+    FROM public.tournament_participants tp
+    LEFT JOIN public.player_ratings r ON r.user_id = tp.user_id AND r.mode = 'OVERALL'
+    WHERE tp.tournament_id = p_tournament_id
+  ) s
+  WHERE p.tournament_id = p_tournament_id AND p.user_id = s.user_id;
+
+  UPDATE public.tournaments
+  SET status = 'active',
+      started_at = NOW(),
+      swiss_rounds = CASE
+        WHEN format = 'swiss' THEN coalesce(swiss_rounds, ceil(log(2, v_count))::integer)
+        ELSE NULL
+      END
+  WHERE id = p_tournament_id;
+
+  RETURN QUERY
+  SELECT * FROM public.tournament_participants
+  WHERE tournament_id = p_tournament_id
+  ORDER BY seed;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Record a match result ('playerA', 'playerB', 'tie' or 'bye'), score it
+-- and, when it was the round's last, finish the tournament if that was the
+-- final round
+CREATE OR REPLACE FUNCTION public._tournament_finish_match(p_match_id UUID, p_result TEXT)
+RETURNS public.tournament_matches AS $$
+DECLARE
+  v_match public.tournament_matches;
+  v_tournament public.tournaments;
+  v_winner UUID;
+  v_loser UUID;
+  v_seed_a INTEGER;
+  v_seed_b INTEGER;
+  v_champion UUID;
+BEGIN
+  SELECT * INTO v_match FROM public.tournament_matches WHERE id = p_match_id FOR UPDATE;
+  IF v_match.id IS NULL OR v_match.status = 'completed' THEN
+    RETURN v_match;
+  END IF;
+
+  SELECT * INTO v_tournament FROM public.tournaments WHERE id = v_match.tournament_id FOR UPDATE;
+
+  IF p_result IN ('playerA', 'bye') THEN
+    v_winner := v_match.player_a_id;
+    v_loser := v_match.player_b_id;
+  ELSIF p_result = 'playerB' THEN
+    v_winner := v_match.player_b_id;
+    v_loser := v_match.player_a_id;
+  ELSIF v_tournament.format = 'single_elimination' THEN
+    -- Somebody has to go through: the better seed
+    SELECT seed INTO v_seed_a FROM public.tournament_participants
+    WHERE tournament_id = v_tournament.id AND user_id = v_match.player_a_id;
+    SELECT seed INTO v_seed_b FROM public.tournament_participants
+    WHERE tournament_id = v_tournament.id AND user_id = v_match.player_b_id;
+    IF coalesce(v_seed_a, 0) <= coalesce(v_seed_b, 0) THEN
+      v_winner := v_match.player_a_id;
+      v_loser := v_match.player_b_id;
+    ELSE
+      v_winner := v_match.player_b_id;
+      v_loser := v_match.player_a_id;
+    END IF;
+  END IF;
+
+  UPDATE public.tournament_matches
+  SET status = 'completed', result = p_result, winner_id = v_winner, completed_at = NOW()
+  WHERE id = p_match_id
+  RETURNING * INTO v_match;
+
+  -- A single-elimination tie counts as a win for the seed that goes through
+  IF v_winner IS NULL THEN
+    UPDATE public.tournament_participants SET points = points + 0.5
+    WHERE tournament_id = v_tournament.id AND user_id IN (v_match.player_a_id, v_match.player_b_id);
+  ELSE
+    UPDATE public.tournament_participants SET points = points + 1
+    WHERE tournament_id = v_tournament.id AND user_id = v_winner;
+  END IF;
+
+  IF v_tournament.format = 'single_elimination' AND v_loser IS NOT NULL THEN
+    UPDATE public.tournament_participants SET eliminated = TRUE
+    WHERE tournament_id = v_tournament.id AND user_id = v_loser;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.tournament_matches
+    WHERE tournament_id = v_tournament.id AND round = v_match.round AND status <> 'completed'
+  ) THEN
+    RETURN v_match;
+  END IF;
+
+  IF v_tournament.format = 'single_elimination' THEN
+    IF (SELECT count(*) FROM public.tournament_participants
+        WHERE tournament_id = v_tournament.id AND NOT eliminated) = 1 THEN
+      SELECT user_id INTO v_champion FROM public.tournament_participants
+      WHERE tournament_id = v_tournament.id AND NOT eliminated;
+    END IF;
+  ELSIF v_match.round >= v_tournament.swiss_rounds THEN
+    -- Points, then Buchholz (opponents' points), then seed
+    SELECT p.user_id INTO v_champion
+    FROM public.tournament_participants p
+    WHERE p.tournament_id = v_tournament.id
+    ORDER BY p.points DESC,
+      (
+        SELECT coalesce(sum(o.points), 0)
+        FROM public.tournament_matches m
+        JOIN public.tournament_participants o
+          ON o.tournament_id = m.tournament_id
+         AND o.user_id = CASE WHEN m.player_a_id = p.user_id THEN m.player_b_id ELSE m.player_a_id END
+        WHERE m.tournament_id = v_tournament.id
+          AND m.status = 'completed'
+          AND p.user_id IN (m.player_a_id, m.player_b_id)
+      ) DESC,
+      p.seed
+    LIMIT 1;
+  END IF;
+
+  IF v_champion IS NOT NULL THEN
+    UPDATE public.tournaments
+    SET status = 'completed', winner_id = v_champion, completed_at = NOW()
+    WHERE id = v_tournament.id;
+  END IF;
+
+  RETURN v_match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Store the next round's pairings: [{ slot, playerA, playerB }] with user
+-- ids, playerB null for a bye. Every player still in the tournament must
+-- appear exactly once.
+CREATE OR REPLACE FUNCTION public.create_tournament_round(
+  p_tournament_id UUID,
+  p_round INTEGER,
+  p_pairings JSONB
+)
+RETURNS SETOF public.tournament_matches AS $$
+DECLARE
+  v_tournament public.tournaments := public._tournament_lock_hosted(p_tournament_id);
+  v_pairing JSONB;
+  v_players UUID[] := ARRAY[]::UUID[];
+  v_a UUID;
+  v_b UUID;
+  v_match_id UUID;
+BEGIN
+  IF v_tournament.status <> 'active' THEN
+    RAISE EXCEPTION 'Tournament is not running';
+  END IF;
+  IF p_round IS DISTINCT FROM v_tournament.current_round + 1 THEN
+    RAISE EXCEPTION 'Round % is not next', p_round;
+  END IF;
+  IF v_tournament.format = 'swiss' AND p_round > v_tournament.swiss_rounds THEN
+    RAISE EXCEPTION 'All Swiss rounds have been played';
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM public.tournament_matches
+    WHERE tournament_id = p_tournament_id AND round = v_tournament.current_round AND status <> 'completed'
+  ) THEN
+    RAISE EXCEPTION 'The current round is still being played';
+  END IF;
+  IF jsonb_typeof(p_pairings) IS DISTINCT FROM 'array' OR jsonb_array_length(p_pairings) = 0 THEN
+    RAISE EXCEPTION 'No pairings';
+  END IF;
+
+  FOR v_pairing IN SELECT * FROM jsonb_array_elements(p_pairings) LOOP
+    v_a := (v_pairing->>'playerA')::uuid;
+    v_b := nullif(v_pairing->>'playerB', '')::uuid;
+    IF v_a IS NULL OR v_a = v_b THEN
+      RAISE EXCEPTION 'Invalid pairing';
+    END IF;
+    v_players := v_players || v_a;
+    IF v_b IS NOT NULL THEN
+      v_players := v_players || v_b;
+    END IF;
+  END LOOP;
+
+  -- Exactly the players still in, once each
+  IF cardinality(v_players) <> (SELECT count(DISTINCT u) FROM unnest(v_players) u)
+     OR cardinality(v_players) <> (
+       SELECT count(*) FROM public.tournament_participants
+       WHERE tournament_id = p_tournament_id AND NOT eliminated AND user_id = ANY (v_players)
+     )
+     OR cardinality(v_players) <> (
+       SELECT count(*) FROM public.tournament_participants
+       WHERE tournament_id = p_tournament_id AND NOT eliminated
+     ) THEN
+    RAISE EXCEPTION 'Pairings must include every remaining player once';
+  END IF;
+
+  UPDATE public.tournaments SET current_round = p_round WHERE id = p_tournament_id;
+
+  FOR v_pairing IN SELECT * FROM jsonb_array_elements(p_pairings) LOOP
+    INSERT INTO public.tournament_matches (tournament_id, round, slot, player_a_id, player_b_id)
+    VALUES (
+      p_tournament_id,
+      p_round,
+      (v_pairing->>'slot')::integer,
+      (v_pairing->>'playerA')::uuid,
+      nullif(v_pairing->>'playerB', '')::uuid
+    )
+    RETURNING id INTO v_match_id;
+
+    IF nullif(v_pairing->>'playerB', '') IS NULL THEN
+      PERFORM public._tournament_finish_match(v_match_id, 'bye');
+    END IF;
+  END LOOP;
+
+  RETURN QUERY
+  SELECT * FROM public.tournament_matches
+  WHERE tournament_id = p_tournament_id AND round = p_round
+  ORDER BY slot;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- MATCHES
+-- =====================================================
+
+-- Player A hands over the game it created for the match. Called again
+-- with a new game if the first one was abandoned before it finished.
+CREATE OR REPLACE FUNCTION public.set_tournament_match_game(p_match_id UUID, p_game_id UUID)
+RETURNS public.tournament_matches AS $$
+DECLARE
+  v_match public.tournament_matches;
+  v_game public.games;
+BEGIN
+  SELECT * INTO v_match FROM public.tournament_matches WHERE id = p_match_id FOR UPDATE;
+  IF v_match.id IS NULL OR v_match.player_a_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Not your match' USING ERRCODE = '42501';
+  END IF;
+  IF v_match.status = 'completed' THEN
+    RAISE EXCEPTION 'This match is already decided';
+  END IF;
+
+  SELECT * INTO v_game FROM public.games WHERE id = p_game_id;
+  IF v_game.id IS NULL OR v_game.host_id IS DISTINCT FROM auth.uid() OR v_game.status <> 'waiting' THEN
+    RAISE EXCEPTION 'Invalid game for this match';
+  END IF;
+
+  UPDATE public.tournament_matches
+  SET game_id = v_game.id, game_code = v_game.game_code, status = 'active'
+  WHERE id = p_match_id
+  RETURNING * INTO v_match;
+
+  RETURN v_match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- The organiser settles a match by hand: p_winner_id is either player,
+-- or NULL for a tie
+CREATE OR REPLACE FUNCTION public.set_tournament_match_result(p_match_id UUID, p_winner_id UUID)
+RETURNS public.tournament_matches AS $$
+DECLARE
+  v_match public.tournament_matches;
+BEGIN
+  SELECT * INTO v_match FROM public.tournament_matches WHERE id = p_match_id;
+  IF v_match.id IS NULL THEN
+    RAISE EXCEPTION 'Match not found';
+  END IF;
+  PERFORM public._tournament_lock_hosted(v_match.tournament_id);
+
+  IF v_match.status = 'completed' THEN
+    RAISE EXCEPTION 'This match is already decided';
+  END IF;
+  IF p_winner_id IS NOT NULL AND p_winner_id NOT IN (v_match.player_a_id, v_match.player_b_id) THEN
+    RAISE EXCEPTION 'The winner must be one of the players';
+  END IF;
+
+  RETURN public._tournament_finish_match(
+    p_match_id,
+    CASE
+      WHEN p_winner_id IS NULL THEN 'tie'
+      WHEN p_winner_id = v_match.player_a_id THEN 'playerA'
+      ELSE 'playerB'
+    END
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- A tournament game finished (complete_game or the client fallback): turn
+-- the winning seat into the match result. Games that someone other than
+-- the paired players joined are left for the organiser to settle.
+CREATE OR REPLACE FUNCTION public._tournament_game_completed()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_match public.tournament_matches;
+  v_winner UUID;
+BEGIN
+  SELECT * INTO v_match FROM public.tournament_matches
+  WHERE game_id = NEW.id AND status <> 'completed';
+
+  IF v_match.id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.player_a_id IS DISTINCT FROM v_match.player_a_id
+     OR NEW.player_b_id IS DISTINCT FROM v_match.player_b_id THEN
+    RAISE LOG 'Tournament game % was not played by the paired players', NEW.id;
+    RETURN NEW;
+  END IF;
+
+  v_winner := CASE
+    WHEN NEW.winner = 'playerA' THEN NEW.player_a_id
+    WHEN NEW.winner = 'playerB' THEN NEW.player_b_id
+    WHEN NEW.winner IS NULL AND NEW.player_a_score > NEW.player_b_score THEN NEW.player_a_id
+    WHEN NEW.winner IS NULL AND NEW.player_b_score > NEW.player_a_score THEN NEW.player_b_id
+  END;
+
+  PERFORM public._tournament_finish_match(
+    v_match.id,
+    CASE
+      WHEN v_winner IS NULL THEN 'tie'
+      WHEN v_winner = v_match.player_a_id THEN 'playerA'
+      ELSE 'playerB'
+    END
+  );
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER games_tournament_result AFTER UPDATE OF status ON public.games
+  FOR EACH ROW
+  WHEN (NEW.status = 'completed' AND OLD.status IS DISTINCT FROM 'completed')
+  EXECUTE FUNCTION public._tournament_game_completed();
+
+REVOKE EXECUTE ON FUNCTION public._tournament_lock_hosted(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public._tournament_finish_match(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public._tournament_game_completed() FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.join_tournament(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.leave_tournament(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.start_tournament(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.create_tournament_round(UUID, INTEGER, JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.set_tournament_match_game(UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.set_tournament_match_result(UUID, UUID) TO authenticated;
@@ -0,0 +1,104 @@
+-- =====================================================
+-- ACHIEVEMENTS
+-- Badges unlocked by gameplay events. The rules, names and icons live in
+-- src/lib/achievements.js; the client's AchievementTracker evaluates them
+-- and records unlocks through unlock_achievements.
+--
+-- * achievements lists the ids that can be unlocked, so a client can't
+--   store made-up badges. New achievements add a row here.
+-- * user_achievements holds one row per player and badge. The first
+--   unlock stands, with the game it happened in (NULL for single player).
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.achievements (
+  id TEXT PRIMARY KEY,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO public.achievements (id) VALUES
+  ('first_win'),
+  ('row_complete'),
+  ('column_complete'),
+  ('border_complete'),
+  ('streak_5'),
+  ('streak_10'),
+  ('streak_25'),
+  ('perfect_accuracy'),
+  ('no_hint_win'),
+  ('first_detective_hit')
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.achievements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Achievements are viewable by everyone"
+  ON public.achievements FOR SELECT
+  USING (true);
+
+CREATE TABLE IF NOT EXISTS public.user_achievements (
+  user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  achievement_id TEXT NOT NULL REFERENCES public.achievements(id) ON DELETE CASCADE,
+  game_id UUID REFERENCES public.games(id) ON DELETE SET NULL,
+  unlocked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, achievement_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_achievements_unlocked
+  ON public.user_achievements(user_id, unlocked_at DESC);
+
+ALTER TABLE public.user_achievements ENABLE ROW LEVEL SECURITY;
+
+-- Badges show on profiles; only unlock_achievements writes them
+CREATE POLICY "Authenticated users can view achievements"
+  ON public.user_achievements FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- =====================================================
+-- UNLOCK
+-- =====================================================
+
+-- Record the caller's unlocks. Returns only the rows this call added, so
+-- the client shows a toast once even if two tabs report the same badge.
+CREATE OR REPLACE FUNCTION public.unlock_achievements(
+  p_achievement_ids TEXT[],
+  p_game_id UUID DEFAULT NULL
+)
+RETURNS SETOF public.user_achievements AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_achievement_ids IS NULL OR cardinality(p_achievement_ids) = 0 THEN
+    RETURN;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM unnest(p_achievement_ids) AS requested(id)
+    WHERE NOT EXISTS (SELECT 1 FROM public.achievements a WHERE a.id = requested.id)
+  ) THEN
+    RAISE EXCEPTION 'Unknown achievement';
+  END IF;
+
+  IF p_game_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM public.games g
+    WHERE g.id = p_game_id AND v_uid IN (g.player_a_id, g.player_b_id)
+  ) AND NOT EXISTS (
+    SELECT 1 FROM public.game_players gp
+    WHERE gp.game_id = p_game_id AND gp.user_id = v_uid
+  ) THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO public.user_achievements (user_id, achievement_id, game_id)
+  SELECT DISTINCT v_uid, requested.id, p_game_id
+  FROM unnest(p_achievement_ids) AS requested(id)
+  ON CONFLICT (user_id, achievement_id) DO NOTHING
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.unlock_achievements(TEXT[], UUID) TO authenticated;
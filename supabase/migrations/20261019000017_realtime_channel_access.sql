@@ -0,0 +1,70 @@
+-- =====================================================
+-- REALTIME CHANNEL ACCESS
+-- The match channels are private, so Realtime checks these policies on
+-- realtime.messages before a client may join (SELECT) or send (INSERT):
+--
+-- * game:<id> carries the racks, the piece pool and the hidden scores.
+--   Only the seated players may join it or send on it.
+-- * watch:<id> is what spectators follow. The players relay their
+--   snapshots there already stripped of everything private. Anyone
+--   signed in may join a live multiplayer game's watch channel and
+--   announce their presence, but only the seated players may broadcast.
+-- =====================================================
+
+-- The game id in a '<prefix>:<uuid>' topic, NULL for any other topic
+CREATE OR REPLACE FUNCTION public._channel_game_id(p_topic TEXT, p_prefix TEXT)
+RETURNS UUID AS $$
+BEGIN
+  IF split_part(p_topic, ':', 1) <> p_prefix THEN
+    RETURN NULL;
+  END IF;
+  RETURN split_part(p_topic, ':', 2)::UUID;
+EXCEPTION WHEN invalid_text_representation THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION public._is_seated(p_game_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.game_players gp
+    WHERE gp.game_id = p_game_id AND gp.user_id = auth.uid()
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public._is_watchable(p_game_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.games g
+    WHERE g.id = p_game_id
+      AND g.mode = 'multiplayer'
+      AND g.status IN ('waiting', 'active', 'paused')
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+DROP POLICY IF EXISTS "Seated players can join their game channel" ON realtime.messages;
+DROP POLICY IF EXISTS "Seated players can send on their game channels" ON realtime.messages;
+DROP POLICY IF EXISTS "Anyone signed in can watch a live game" ON realtime.messages;
+DROP POLICY IF EXISTS "Spectators can announce themselves" ON realtime.messages;
+
+CREATE POLICY "Seated players can join their game channel"
+  ON realtime.messages FOR SELECT TO authenticated
+  USING (public._is_seated(public._channel_game_id(realtime.topic(), 'game')));
+
+CREATE POLICY "Seated players can send on their game channels"
+  ON realtime.messages FOR INSERT TO authenticated
+  WITH CHECK (public._is_seated(coalesce(
+    public._channel_game_id(realtime.topic(), 'game'),
+    public._channel_game_id(realtime.topic(), 'watch')
+  )));
+
+CREATE POLICY "Anyone signed in can watch a live game"
+  ON realtime.messages FOR SELECT TO authenticated
+  USING (public._is_watchable(public._channel_game_id(realtime.topic(), 'watch')));
+
+CREATE POLICY "Spectators can announce themselves"
+  ON realtime.messages FOR INSERT TO authenticated
+  WITH CHECK (
+    realtime.messages.extension = 'presence'
+    AND public._is_watchable(public._channel_game_id(realtime.topic(), 'watch'))
+  );
@@ -0,0 +1,64 @@
+-- =====================================================
+-- EMPTY-RACK TURNS
+-- Once the pool has run out, a player whose rack is empty has nothing left
+-- to place. The turn used to stop with them anyway and the game could only
+-- end on the clock. Now, as in GameLogic.switchTurn and consumeRoundTurn:
+--
+-- * a player who runs out mid-round (Super, Sage) ends the round early;
+-- * the turn skips over seats with nothing left to place.
+-- =====================================================
+
+-- GameLogic.hasPiecesToPlace: a piece in the rack, or a pool to refill it from
+CREATE OR REPLACE FUNCTION public._gs_has_pieces(p_state JSONB, p_player TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT jsonb_array_length(coalesce(p_state -> 'piecePool', '[]')) > 0
+    OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements(coalesce(p_state -> public._gs_rack_key(p_player), '[]')) AS t(item)
+      WHERE item <> 'null'::jsonb
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- GameLogic.consumeTurn + switchTurn + resetTurnsForPlayer
+CREATE OR REPLACE FUNCTION public._gs_consume_turn(p_state JSONB, p_player TEXT, p_rules JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_state JSONB := p_state;
+  v_turns_per_round INTEGER := (p_rules ->> 'turnsPerRound')::int;
+  v_checks_per_turn INTEGER := coalesce((p_rules ->> 'checksPerTurn')::int, 0);
+  v_seats INTEGER := jsonb_array_length(coalesce(p_state -> 'players', '["playerA", "playerB"]'));
+  v_left INTEGER;
+  v_next TEXT;
+BEGIN
+  IF v_turns_per_round IS NOT NULL THEN
+    v_left := coalesce((v_state -> 'turnsRemaining' ->> p_player)::int, v_turns_per_round);
+    IF v_left > 0 THEN
+      v_left := v_left - 1;
+    END IF;
+    v_state := jsonb_set(v_state, ARRAY['turnsRemaining', p_player], to_jsonb(v_left));
+
+    -- The player still has turns this round and pieces to use them on, keep the turn
+    IF v_left > 0 AND public._gs_has_pieces(v_state, p_player) THEN
+      RETURN v_state;
+    END IF;
+  END IF;
+
+  v_next := public._gs_next_player(v_state, v_state ->> 'currentTurn');
+
+  -- Turn-based modes pass over seats with nothing left to place
+  IF v_turns_per_round IS NOT NULL THEN
+    FOR i IN 2 .. v_seats LOOP
+      EXIT WHEN public._gs_has_pieces(v_state, v_next);
+      v_next := public._gs_next_player(v_state, v_next);
+    END LOOP;
+  END IF;
+
+  v_state := jsonb_set(v_state, '{currentTurn}', to_jsonb(v_next));
+  v_state := jsonb_set(v_state, ARRAY['checksRemaining', v_next], to_jsonb(v_checks_per_turn));
+  v_state := public._gs_refill_if_empty(v_state, v_next);
+
+  -- Reset the outgoing player for their next round
+  v_state := jsonb_set(v_state, ARRAY['turnsRemaining', p_player], coalesce(to_jsonb(v_turns_per_round), 'null'::jsonb));
+  v_state := jsonb_set(v_state, ARRAY['checksRemaining', p_player], to_jsonb(v_checks_per_turn));
+  RETURN v_state;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
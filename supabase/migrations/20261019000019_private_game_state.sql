@@ -0,0 +1,291 @@
+-- =====================================================
+-- PRIVATE GAME STATE
+-- Players could still select their game_state row and read every rack,
+-- the piece pool and the hidden scores, and the move RPCs handed back
+-- the other players' racks and scores. Now:
+--
+-- * A live match is only read through get_game_state, which returns the
+--   caller's view of it. Single-player saves and finished games (replays)
+--   can still be selected directly.
+-- * _gs_sanitize, which every RPC response goes through, keeps only the
+--   racks the caller may see: their own, a 2v2 partner's and co-op's
+--   shared rack. The other racks and the pool come as counts (rackCounts,
+--   piecePoolCount), and scores stay out until the game is over.
+-- * games and game_players mirror the revealed scores during a match;
+--   the real ones land there when it is over, as before.
+--
+-- This keeps each client to its own view; it hides nothing from one that
+-- goes looking. The deal follows from the public seed (buildSeededPuzzle)
+-- and a piece's id is its correct cell, so the racks, the pool and the
+-- solution can all be rebuilt on the client.
+-- =====================================================
+
+DROP POLICY IF EXISTS "Players can view game state" ON public.game_state;
+DROP POLICY IF EXISTS "Seated players can view game state" ON public.game_state;
+DROP POLICY IF EXISTS "Players can view their saves and finished games" ON public.game_state;
+
+CREATE POLICY "Players can view their saves and finished games"
+  ON public.game_state FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM public.games g
+    WHERE g.id = game_state.game_id
+      AND (
+        (g.mode = 'single_player' AND auth.uid() = g.host_id)
+        OR (g.status = 'completed' AND public._is_seated(g.id))
+      )
+  ));
+
+-- =====================================================
+-- STATE HELPERS
+-- =====================================================
+
+-- Same as 20261019000012, plus the game id so _gs_sanitize knows whose
+-- view to return
+CREATE OR REPLACE FUNCTION public._gs_to_state(gs public.game_state)
+RETURNS JSONB AS $$
+DECLARE
+  v_default_score JSONB := '{"score": 0, "accuracy": 100, "streak": 0, "correctPlacements": 0, "totalPlacements": 0, "hintsUsed": 0}';
+  v_players JSONB := coalesce(gs.players, '["playerA", "playerB"]');
+  v_extra_racks JSONB;
+BEGIN
+  SELECT coalesce(jsonb_object_agg(seat || 'Rack', coalesce(gs.extra_racks -> seat, '[]')), '{}')
+  INTO v_extra_racks
+  FROM jsonb_array_elements_text(v_players) AS seat
+  WHERE seat NOT IN ('playerA', 'playerB');
+
+  RETURN jsonb_build_object(
+    'gameId', gs.game_id,
+    'players', v_players,
+    'teams', gs.teams,
+    'grid', coalesce(gs.grid, '[]'),
+    'playerARack', coalesce(gs.player_a_rack, '[]'),
+    'playerBRack', coalesce(gs.player_b_rack, '[]'),
+    'piecePool', coalesce(gs.piece_pool, '[]'),
+    'currentTurn', coalesce(gs.current_turn, 'playerA'),
+    'scores', (
+      SELECT jsonb_object_agg(seat, v_default_score || coalesce(gs.scores -> seat, '{}'))
+      FROM jsonb_array_elements_text(v_players) AS seat
+    ),
+    'revealedScores', coalesce(gs.revealed_scores, '{}'),
+    'pendingCheck', coalesce(gs.pending_check, 'null'),
+    'moveHistory', coalesce(gs.move_history, '[]'),
+    'turnsRemaining', coalesce(gs.turns_remaining, '{}'),
+    'checksRemaining', coalesce(gs.checks_remaining, '{}'),
+    'nextCheckRevealProgress', coalesce(gs.next_check_reveal_progress, 0.2),
+    'piecePlacedBy', coalesce(gs.piece_placed_by, '{}'),
+    'pieceMarks', coalesce(gs.piece_marks, '{}'),
+    'nexusResolved', coalesce(gs.nexus_resolved, FALSE),
+    'gameState', CASE WHEN coalesce(gs.nexus_resolved, FALSE) THEN 'finished' ELSE 'active' END,
+    'mode', coalesce(gs.gameplay_mode, 'CLASSIC'),
+    'timerRemaining', gs.timer_remaining,
+    'version', gs.version
+  ) || v_extra_racks;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- complete_game's end conditions, less the clock: Nexus resolved, a full
+-- board or nothing left for anyone to place
+CREATE OR REPLACE FUNCTION public._gs_is_over(p_state JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT p_state ->> 'gameState' = 'finished'
+    OR coalesce((p_state ->> 'nexusResolved')::boolean, FALSE)
+    OR NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements(p_state -> 'grid') AS t(cell) WHERE cell = 'null'::jsonb
+    )
+    OR NOT EXISTS (
+      SELECT 1 FROM public._gs_players(p_state) AS seat WHERE public._gs_has_pieces(p_state, seat)
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Rack keys p_viewer may see: their own, their 2v2 partner's and, in
+-- co-op, the shared rack kept under playerA. None for a NULL viewer.
+CREATE OR REPLACE FUNCTION public._gs_visible_racks(p_state JSONB, p_viewer TEXT)
+RETURNS SETOF TEXT AS $$
+  SELECT public._gs_rack_key(seat)
+  FROM public._gs_players(p_state) AS seat
+  WHERE p_viewer IS NOT NULL
+    AND (
+      seat = p_viewer
+      OR seat = public._gs_partner(p_state, p_viewer)
+      OR (seat = 'playerA' AND coalesce((public.gameplay_mode_rules(p_state ->> 'mode') ->> 'sharedRack')::boolean, FALSE))
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- =====================================================
+-- SANITIZE (per viewer)
+-- =====================================================
+
+-- Strip everything that would tell p_viewer whether a piece is correct,
+-- what is in the other racks and the pool, or the scores before the game
+-- is over. Move history is only disclosed in full once it is finished.
+CREATE OR REPLACE FUNCTION public._gs_sanitize(p_state JSONB, p_viewer TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  v_hidden TEXT[] := ARRAY(
+    SELECT public._gs_rack_key(seat) FROM public._gs_players(p_state) AS seat
+    EXCEPT
+    SELECT public._gs_visible_racks(p_state, p_viewer)
+  );
+  v_state JSONB;
+BEGIN
+  v_state := p_state || jsonb_build_object(
+    'grid', (
+      SELECT coalesce(jsonb_agg(
+        CASE WHEN jsonb_typeof(cell) = 'object' THEN cell - 'correctPosition' ELSE cell END
+        ORDER BY ord), '[]')
+      FROM jsonb_array_elements(p_state -> 'grid') WITH ORDINALITY AS t(cell, ord)
+    ),
+    'pendingCheck', CASE
+      WHEN jsonb_typeof(p_state -> 'pendingCheck') = 'object' THEN (p_state -> 'pendingCheck') - 'correct'
+      ELSE 'null'::jsonb
+    END,
+    'moveHistory', CASE
+      WHEN p_state ->> 'gameState' = 'finished' THEN p_state -> 'moveHistory'
+      ELSE (
+        SELECT coalesce(jsonb_agg(entry - 'correct' - 'scores' ORDER BY ord), '[]')
+        FROM jsonb_array_elements(p_state -> 'moveHistory') WITH ORDINALITY AS t(entry, ord)
+      )
+    END,
+    'rackCounts', (
+      SELECT jsonb_object_agg(seat, (
+        SELECT count(*)
+        FROM jsonb_array_elements(coalesce(p_state -> public._gs_rack_key(seat), '[]')) AS t(item)
+        WHERE item <> 'null'::jsonb
+      ))
+      FROM public._gs_players(p_state) AS seat
+    ),
+    'piecePoolCount', jsonb_array_length(coalesce(p_state -> 'piecePool', '[]'))
+  );
+
+  -- Hints used are shown to everyone; the rest of the scores wait for the end
+  IF NOT public._gs_is_over(p_state) THEN
+    v_state := jsonb_set(v_state, '{scores}', (
+      SELECT coalesce(jsonb_object_agg(seat, jsonb_build_object(
+        'hintsUsed', coalesce(p_state -> 'scores' -> seat -> 'hintsUsed', '0')
+      )), '{}')
+      FROM public._gs_players(p_state) AS seat
+    ));
+  END IF;
+
+  RETURN v_state - v_hidden - 'piecePool' - 'gameId';
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- The view of whoever called the RPC; states without a game id show no racks
+CREATE OR REPLACE FUNCTION public._gs_sanitize(p_state JSONB)
+RETURNS JSONB AS $$
+  SELECT public._gs_sanitize(p_state, public._gs_player_key((p_state ->> 'gameId')::uuid));
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION public._gs_reject(p_message TEXT, p_state JSONB)
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'result', jsonb_build_object('success', FALSE, 'message', p_message),
+    'state', public._gs_sanitize(p_state)
+  );
+$$ LANGUAGE sql STABLE;
+
+-- =====================================================
+-- SAVE (mirrors only the revealed scores mid-match)
+-- =====================================================
+
+-- Persist the working state, mirror the scores onto games and
+-- game_players and return the caller's view with its new version. Until
+-- the game is over the mirrors get the revealed scores. The newest
+-- history entry is stamped with the scores it left behind.
+CREATE OR REPLACE FUNCTION public._gs_save(p_game_id UUID, p_state JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  v_has_pending BOOLEAN := jsonb_typeof(p_state -> 'pendingCheck') = 'object';
+  v_last INTEGER := jsonb_array_length(coalesce(p_state -> 'moveHistory', '[]')) - 1;
+  v_shown JSONB;
+  v_version INTEGER;
+BEGIN
+  IF v_last >= 0 AND NOT (p_state -> 'moveHistory' -> v_last) ? 'scores' THEN
+    p_state := jsonb_set(p_state, ARRAY['moveHistory', v_last::text, 'scores'], (
+      SELECT jsonb_object_agg(seat, coalesce((p_state -> 'scores' -> seat ->> 'score')::numeric, 0))
+      FROM public._gs_players(p_state) AS seat
+    ));
+  END IF;
+
+  v_shown := CASE WHEN public._gs_is_over(p_state) THEN p_state -> 'scores' ELSE (
+    SELECT jsonb_object_agg(seat, '{"score": 0, "accuracy": 100, "streak": 0}'::jsonb
+      || coalesce(p_state -> 'revealedScores' -> seat, '{}'))
+    FROM public._gs_players(p_state) AS seat
+  ) END;
+
+  UPDATE public.game_state SET
+    grid = p_state -> 'grid',
+    player_a_rack = p_state -> 'playerARack',
+    player_b_rack = p_state -> 'playerBRack',
+    extra_racks = (
+      SELECT coalesce(jsonb_object_agg(seat, p_state -> (seat || 'Rack')), '{}')
+      FROM public._gs_players(p_state) AS seat
+      WHERE seat NOT IN ('playerA', 'playerB')
+    ),
+    piece_pool = p_state -> 'piecePool',
+    current_turn = p_state ->> 'currentTurn',
+    scores = p_state -> 'scores',
+    revealed_scores = p_state -> 'revealedScores',
+    pending_check = CASE WHEN v_has_pending THEN p_state -> 'pendingCheck' END,
+    awaiting_decision = CASE WHEN v_has_pending THEN 'opponent_check' END,
+    move_history = p_state -> 'moveHistory',
+    turns_remaining = p_state -> 'turnsRemaining',
+    checks_remaining = p_state -> 'checksRemaining',
+    next_check_reveal_progress = (p_state ->> 'nextCheckRevealProgress')::numeric,
+    piece_placed_by = p_state -> 'piecePlacedBy',
+    piece_marks = p_state -> 'pieceMarks',
+    nexus_resolved = (p_state ->> 'nexusResolved')::boolean,
+    version = version + 1
+  WHERE game_id = p_game_id
+  RETURNING version INTO v_version;
+
+  UPDATE public.games SET
+    player_a_score = round((v_shown -> 'playerA' ->> 'score')::numeric),
+    player_a_accuracy = (v_shown -> 'playerA' ->> 'accuracy')::int,
+    player_a_streak = (v_shown -> 'playerA' ->> 'streak')::int,
+    player_b_score = round((v_shown -> 'playerB' ->> 'score')::numeric),
+    player_b_accuracy = (v_shown -> 'playerB' ->> 'accuracy')::int,
+    player_b_streak = (v_shown -> 'playerB' ->> 'streak')::int,
+    current_turn = p_state ->> 'currentTurn'
+  WHERE id = p_game_id;
+
+  UPDATE public.game_players gp SET
+    score = round((v_shown -> gp.seat ->> 'score')::numeric),
+    accuracy = (v_shown -> gp.seat ->> 'accuracy')::int,
+    streak = (v_shown -> gp.seat ->> 'streak')::int
+  WHERE gp.game_id = p_game_id AND v_shown ? gp.seat;
+
+  RETURN public._gs_sanitize(
+    jsonb_set(p_state, '{version}', to_jsonb(v_version)),
+    public._gs_player_key(p_game_id)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public._gs_save(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- GET GAME STATE (the caller's view of a live match)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION public.get_game_state(p_game_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_row public.game_state;
+BEGIN
+  IF public._gs_player_key(p_game_id) IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_row FROM public.game_state WHERE game_id = p_game_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN public._gs_sanitize(public._gs_to_state(v_row))
+    || jsonb_build_object('rotationEnabled', coalesce(v_row.rotation_enabled, FALSE));
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.get_game_state(UUID) TO authenticated;
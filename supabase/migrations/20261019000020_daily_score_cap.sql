@@ -0,0 +1,101 @@
+-- =====================================================
+-- DAILY SCORE CAP
+-- submit_daily_result stored whatever score the client sent, so anyone
+-- could top the daily board by calling it directly. The score is now
+-- capped at the most the single-player formula can give for that run.
+-- =====================================================
+
+-- The most a single-player run can score: GameLogic.calculatePlacementScore
+-- with SINGLE_PLAYER and ADJACENCY_SCORING (src/lib/gameModes.js) for every
+-- cell, each placed correctly with all its neighbours already down. Every
+-- row and column completes once. The border bonus comes with the border's
+-- last piece and, since checkRegionCompletion keeps reporting a finished
+-- border, with every interior piece after it. A solve adds the seconds
+-- left on the clock, and each hint costs at least 2 points.
+CREATE OR REPLACE FUNCTION public._daily_max_score(
+  p_grid_size INTEGER,
+  p_rotation BOOLEAN,
+  p_solved BOOLEAN,
+  p_time_seconds INTEGER,
+  p_hints_used INTEGER
+)
+RETURNS INTEGER AS $$
+DECLARE
+  -- ROTATION_CONFIG.SCORE_MULTIPLIER
+  v_mult NUMERIC := CASE WHEN p_rotation THEN 1.25 ELSE 1 END;
+  v_edges INTEGER := 4 * (p_grid_size - 2);
+  v_interior INTEGER := (p_grid_size - 2) * (p_grid_size - 2);
+BEGIN
+  RETURN
+    -- (correctPiece + neighbour bonus) x corner / edge / interior difficulty
+    4 * round((10 + 7) * 0.8 * v_mult)
+    + v_edges * round((10 + 13) * 1.0 * v_mult)
+    + v_interior * round((10 + 20) * 1.5 * v_mult)
+    -- Rows, columns and the border
+    + 2 * p_grid_size * 15
+    + (1 + v_interior) * 50
+    + CASE WHEN p_solved THEN p_grid_size * 60 - p_time_seconds ELSE 0 END
+    - 2 * p_hints_used;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Same as 20261019000014, with the score capped
+CREATE OR REPLACE FUNCTION public.submit_daily_result(
+  p_day DATE,
+  p_grid_size INTEGER,
+  p_solved BOOLEAN,
+  p_time_seconds INTEGER,
+  p_accuracy NUMERIC,
+  p_hints_used INTEGER,
+  p_score INTEGER
+)
+RETURNS public.daily_results AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_today DATE := (NOW() AT TIME ZONE 'utc')::date;
+  v_curated public.daily_puzzles;
+  v_result public.daily_results;
+  v_score INTEGER;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_day IS NULL OR p_day < v_today - 1 OR p_day > v_today THEN
+    RAISE EXCEPTION 'That daily puzzle is closed';
+  END IF;
+
+  SELECT * INTO v_curated FROM public.daily_puzzles WHERE day = p_day;
+  IF v_curated.day IS NOT NULL AND v_curated.grid_size <> p_grid_size THEN
+    RAISE EXCEPTION 'Wrong grid size for this daily puzzle';
+  END IF;
+
+  -- Same bounds as the single-player game: gridSize minutes, 5 hints
+  IF p_grid_size IS NULL OR p_grid_size NOT BETWEEN 5 AND 15 THEN
+    RAISE EXCEPTION 'Invalid grid size';
+  END IF;
+  IF p_time_seconds IS NULL OR p_time_seconds NOT BETWEEN 0 AND p_grid_size * 60 THEN
+    RAISE EXCEPTION 'Invalid time';
+  END IF;
+  IF p_accuracy IS NULL OR p_accuracy NOT BETWEEN 0 AND 100 THEN
+    RAISE EXCEPTION 'Invalid accuracy';
+  END IF;
+  IF p_hints_used IS NULL OR p_hints_used NOT BETWEEN 0 AND 5 THEN
+    RAISE EXCEPTION 'Invalid hint count';
+  END IF;
+
+  -- Only curated days can have rotation on (pickDailyPuzzle never does)
+  v_score := least(coalesce(p_score, 0), public._daily_max_score(
+    p_grid_size, coalesce(v_curated.rotation, FALSE), coalesce(p_solved, FALSE), p_time_seconds, p_hints_used
+  ));
+
+  INSERT INTO public.daily_results (user_id, day, grid_size, solved, time_seconds, accuracy, hints_used, score)
+  VALUES (v_uid, p_day, p_grid_size, coalesce(p_solved, FALSE), p_time_seconds, round(p_accuracy, 2), p_hints_used, v_score)
+  ON CONFLICT (user_id, day) DO NOTHING;
+
+  SELECT * INTO v_result FROM public.daily_results
+  WHERE user_id = v_uid AND day = p_day;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
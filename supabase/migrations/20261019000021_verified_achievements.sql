@@ -0,0 +1,185 @@
+-- =====================================================
+-- VERIFIED ACHIEVEMENTS
+-- unlock_achievements stored any badge a signed-in user asked for. Now a
+-- badge from a match is only granted once the game is finished
+-- (complete_game) and its stored state shows the caller earned it:
+--
+-- * first_win / no_hint_win: games.winner is their seat, their team or
+--   'coop', and no_hint_win also needs no hints in their scores;
+-- * perfect_accuracy: 100% over at least 10 placements in their scores;
+-- * streak_5/10/25: that many correct placements in a row by them (or
+--   their 2v2 partner, who share the streak) in the move history;
+-- * row/column/border_complete: a region of the final board is all
+--   correct and the last piece placed in it was theirs;
+-- * first_detective_hit: a suspect mark of theirs on a wrong piece in a
+--   resolved Nexus board.
+--
+-- Badges reported without a game id are still granted here, except the
+-- ones that need a match; 20261019000023 requires a game for all of them.
+-- =====================================================
+
+-- Placements in the move history, in order (entries without a type)
+CREATE OR REPLACE FUNCTION public._achievement_placements(p_state JSONB)
+RETURNS TABLE (ord BIGINT, player TEXT, grid_index INTEGER, correct BOOLEAN) AS $$
+  SELECT t.ord, t.entry ->> 'player', (t.entry ->> 'gridIndex')::int, coalesce((t.entry ->> 'correct')::boolean, FALSE)
+  FROM jsonb_array_elements(coalesce(p_state -> 'moveHistory', '[]')) WITH ORDINALITY AS t(entry, ord)
+  WHERE NOT t.entry ? 'type';
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Longest run of correct placements by p_seat and their partner
+CREATE OR REPLACE FUNCTION public._achievement_best_streak(p_state JSONB, p_seat TEXT)
+RETURNS INTEGER AS $$
+  SELECT coalesce(max(run), 0)::int
+  FROM (
+    SELECT count(*) FILTER (WHERE correct) AS run
+    FROM (
+      SELECT p.correct, count(*) FILTER (WHERE NOT p.correct) OVER (ORDER BY p.ord) AS misses
+      FROM public._achievement_placements(p_state) AS p
+      WHERE p.player = p_seat OR p.player = public._gs_partner(p_state, p_seat)
+    ) placements
+    GROUP BY misses
+  ) runs;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- 'row', 'column' and 'border' for each region of the final board that is
+-- all correct and had its last piece placed by p_seat
+CREATE OR REPLACE FUNCTION public._achievement_regions(p_state JSONB, p_seat TEXT, p_rotation BOOLEAN)
+RETURNS SETOF TEXT AS $$
+  WITH board AS (
+    SELECT (ord - 1)::int AS grid_index,
+      public._gs_is_correct(cell, (ord - 1)::int, p_rotation) AS correct,
+      round(sqrt(jsonb_array_length(p_state -> 'grid')))::int AS side
+    FROM jsonb_array_elements(p_state -> 'grid') WITH ORDINALITY AS t(cell, ord)
+  ),
+  last_placed AS (
+    SELECT DISTINCT ON (p.grid_index) p.grid_index, p.player, p.ord
+    FROM public._achievement_placements(p_state) AS p
+    ORDER BY p.grid_index, p.ord DESC
+  ),
+  regions AS (
+    SELECT r.region, b.correct, l.player, l.ord
+    FROM board b
+    LEFT JOIN last_placed l ON l.grid_index = b.grid_index
+    CROSS JOIN LATERAL (VALUES
+      ('row:' || b.grid_index / b.side),
+      ('column:' || b.grid_index % b.side),
+      (CASE WHEN b.grid_index / b.side IN (0, b.side - 1) OR b.grid_index % b.side IN (0, b.side - 1) THEN 'border' END)
+    ) AS r(region)
+    WHERE r.region IS NOT NULL
+  )
+  SELECT DISTINCT split_part(region, ':', 1)
+  FROM regions
+  GROUP BY region
+  HAVING bool_and(correct)
+    AND (array_agg(player ORDER BY ord DESC NULLS LAST))[1] = p_seat;
+$$ LANGUAGE sql STABLE;
+
+-- Whether p_seat earned p_achievement_id in a finished match
+CREATE OR REPLACE FUNCTION public._achievement_earned(
+  p_game public.games,
+  p_gs public.game_state,
+  p_seat TEXT,
+  p_achievement_id TEXT
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_state JSONB := public._gs_to_state(p_gs);
+  v_score JSONB := v_state -> 'scores' -> p_seat;
+  v_won BOOLEAN := coalesce(p_game.winner IN (p_seat, public._gs_team(v_state, p_seat), 'coop'), FALSE);
+  v_rotation BOOLEAN := coalesce(p_gs.rotation_enabled, FALSE);
+BEGIN
+  RETURN coalesce(CASE p_achievement_id
+    WHEN 'first_win' THEN v_won
+    WHEN 'no_hint_win' THEN v_won AND coalesce((v_score ->> 'hintsUsed')::int, 0) = 0
+    WHEN 'perfect_accuracy' THEN (v_score ->> 'accuracy')::int = 100 AND (v_score ->> 'totalPlacements')::int >= 10
+    WHEN 'streak_5' THEN public._achievement_best_streak(v_state, p_seat) >= 5
+    WHEN 'streak_10' THEN public._achievement_best_streak(v_state, p_seat) >= 10
+    WHEN 'streak_25' THEN public._achievement_best_streak(v_state, p_seat) >= 25
+    WHEN 'row_complete' THEN 'row' IN (SELECT public._achievement_regions(v_state, p_seat, v_rotation))
+    WHEN 'column_complete' THEN 'column' IN (SELECT public._achievement_regions(v_state, p_seat, v_rotation))
+    WHEN 'border_complete' THEN 'border' IN (SELECT public._achievement_regions(v_state, p_seat, v_rotation))
+    WHEN 'first_detective_hit' THEN (v_state ->> 'nexusResolved')::boolean AND EXISTS (
+      SELECT 1 FROM jsonb_each(v_state -> 'pieceMarks') AS m(grid_index, mark)
+      WHERE m.mark ->> 'type' = 'suspect'
+        AND m.mark ->> 'marker' = p_seat
+        AND v_state -> 'grid' -> m.grid_index::int <> 'null'::jsonb
+        AND NOT public._gs_is_correct(v_state -> 'grid' -> m.grid_index::int, m.grid_index::int, v_rotation)
+    )
+  END, FALSE);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+REVOKE EXECUTE ON FUNCTION public._achievement_earned(public.games, public.game_state, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- UNLOCK
+-- =====================================================
+
+-- Badges that need a match to check them against
+CREATE OR REPLACE FUNCTION public._achievement_needs_match(p_achievement_id TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT p_achievement_id IN ('first_win', 'no_hint_win', 'first_detective_hit');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Same as 20261019000016, with each badge checked. Returns only the rows
+-- this call added, so the client shows a toast once even if two tabs
+-- report the same badge. Badges the game doesn't bear out are left out,
+-- not raised, since each client reports what its own tracker saw.
+CREATE OR REPLACE FUNCTION public.unlock_achievements(
+  p_achievement_ids TEXT[],
+  p_game_id UUID DEFAULT NULL
+)
+RETURNS SETOF public.user_achievements AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_game public.games;
+  v_gs public.game_state;
+  v_seat TEXT;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_achievement_ids IS NULL OR cardinality(p_achievement_ids) = 0 THEN
+    RETURN;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM unnest(p_achievement_ids) AS requested(id)
+    WHERE NOT EXISTS (SELECT 1 FROM public.achievements a WHERE a.id = requested.id)
+  ) THEN
+    RAISE EXCEPTION 'Unknown achievement';
+  END IF;
+
+  IF p_game_id IS NULL THEN
+    RETURN QUERY
+    INSERT INTO public.user_achievements (user_id, achievement_id, game_id)
+    SELECT DISTINCT v_uid, requested.id, NULL::uuid
+    FROM unnest(p_achievement_ids) AS requested(id)
+    WHERE NOT public._achievement_needs_match(requested.id)
+    ON CONFLICT (user_id, achievement_id) DO NOTHING
+    RETURNING *;
+    RETURN;
+  END IF;
+
+  v_seat := public._gs_player_key(p_game_id);
+  IF v_seat IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_game FROM public.games WHERE id = p_game_id;
+  IF v_game.mode <> 'multiplayer' OR v_game.status <> 'completed' THEN
+    RAISE EXCEPTION 'Game is not finished';
+  END IF;
+
+  SELECT * INTO v_gs FROM public.game_state WHERE game_id = p_game_id;
+
+  RETURN QUERY
+  INSERT INTO public.user_achievements (user_id, achievement_id, game_id)
+  SELECT DISTINCT v_uid, requested.id, p_game_id
+  FROM unnest(p_achievement_ids) AS requested(id)
+  WHERE public._achievement_earned(v_game, v_gs, v_seat, requested.id)
+  ON CONFLICT (user_id, achievement_id) DO NOTHING
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,155 @@
+-- =====================================================
+-- DAILY PUZZLE CHECK
+-- submit_daily_result only checked the grid size on curated days, so on
+-- any other day a result for an easy 5x5 ranked against everyone who
+-- played the day's real puzzle. Now:
+--
+-- * _daily_puzzle gives the day's puzzle on the server as well: the
+--   daily_puzzles row, or else the grid size and seed pickDailyPuzzle
+--   (src/lib/daily.js) derives from the date.
+-- * submit_daily_result rejects a grid size that isn't the day's, and
+--   stores the puzzle's seed with the result.
+-- * The leaderboard ranks one puzzle (day, grid size and seed), so a day
+--   curated after some results came in doesn't mix the two puzzles.
+-- =====================================================
+
+-- =====================================================
+-- DERIVED PUZZLE
+-- =====================================================
+
+-- Math.imul for unsigned 32-bit values
+CREATE OR REPLACE FUNCTION public._u32_mul(a BIGINT, b BIGINT)
+RETURNS BIGINT AS $$
+  SELECT ((a::NUMERIC * b::NUMERIC) % 4294967296)::BIGINT;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- deriveSeed(0, 'daily:<day>') from src/lib/prng.js: FNV-1a over the name
+CREATE OR REPLACE FUNCTION public._daily_seed(p_day DATE)
+RETURNS BIGINT AS $$
+DECLARE
+  v_name TEXT := 'daily:' || to_char(p_day, 'YYYY-MM-DD');
+  v_hash BIGINT := 2166136261;
+  i INTEGER;
+BEGIN
+  FOR i IN 1..length(v_name) LOOP
+    v_hash := public._u32_mul(v_hash # ascii(substr(v_name, i, 1)), 16777619);
+  END LOOP;
+  RETURN v_hash;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- The grid size pickDailyPuzzle derives for p_day: the second draw of
+-- createRng (Mulberry32) over DAILY_CONFIG.GRID_SIZES; the first picks
+-- the image, which only the client's library knows
+CREATE OR REPLACE FUNCTION public._daily_grid_size(p_day DATE)
+RETURNS INTEGER AS $$
+DECLARE
+  v_sizes INTEGER[] := ARRAY[5, 8, 10, 12];
+  v_state BIGINT := public._daily_seed(p_day);
+  v_t BIGINT;
+  v_draw NUMERIC;
+  i INTEGER;
+BEGIN
+  IF v_state = 0 THEN
+    v_state := 1;
+  END IF;
+
+  FOR i IN 1..2 LOOP
+    v_state := (v_state + 1831565813) % 4294967296;
+    v_t := v_state;
+    v_t := public._u32_mul(v_t # (v_t >> 15), v_t | 1);
+    v_t := v_t # ((v_t + public._u32_mul(v_t # (v_t >> 7), v_t | 61)) % 4294967296);
+    v_draw := (v_t # (v_t >> 14))::NUMERIC / 4294967296;
+  END LOOP;
+
+  RETURN v_sizes[floor(v_draw * array_length(v_sizes, 1))::INTEGER + 1];
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- The puzzle for p_day, as dailyService.getPuzzle picks it
+CREATE OR REPLACE FUNCTION public._daily_puzzle(p_day DATE)
+RETURNS TABLE (grid_size INTEGER, seed BIGINT, rotation BOOLEAN) AS $$
+  SELECT dp.grid_size, dp.seed, dp.rotation
+  FROM public.daily_puzzles dp
+  WHERE dp.day = p_day
+  UNION ALL
+  SELECT public._daily_grid_size(p_day), public._daily_seed(p_day), FALSE
+  WHERE NOT EXISTS (SELECT 1 FROM public.daily_puzzles WHERE day = p_day)
+$$ LANGUAGE sql STABLE;
+
+-- =====================================================
+-- RESULTS
+-- =====================================================
+
+ALTER TABLE public.daily_results
+  ADD COLUMN IF NOT EXISTS seed BIGINT;
+
+-- Earlier results keep their place only if they were for the day's puzzle
+UPDATE public.daily_results r
+SET seed = (
+  SELECT p.seed FROM public._daily_puzzle(r.day) p
+  WHERE p.grid_size = r.grid_size
+)
+WHERE r.seed IS NULL;
+
+DROP INDEX IF EXISTS public.idx_daily_results_leaderboard;
+CREATE INDEX IF NOT EXISTS idx_daily_results_leaderboard
+  ON public.daily_results(day, grid_size, seed, score DESC, time_seconds);
+
+-- Same as 20261019000020, with the grid size checked against the day's
+-- puzzle on every day and its seed stored
+CREATE OR REPLACE FUNCTION public.submit_daily_result(
+  p_day DATE,
+  p_grid_size INTEGER,
+  p_solved BOOLEAN,
+  p_time_seconds INTEGER,
+  p_accuracy NUMERIC,
+  p_hints_used INTEGER,
+  p_score INTEGER
+)
+RETURNS public.daily_results AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_today DATE := (NOW() AT TIME ZONE 'utc')::date;
+  v_puzzle RECORD;
+  v_result public.daily_results;
+  v_score INTEGER;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_day IS NULL OR p_day < v_today - 1 OR p_day > v_today THEN
+    RAISE EXCEPTION 'That daily puzzle is closed';
+  END IF;
+
+  SELECT * INTO v_puzzle FROM public._daily_puzzle(p_day);
+  IF p_grid_size IS DISTINCT FROM v_puzzle.grid_size THEN
+    RAISE EXCEPTION 'Wrong grid size for this daily puzzle';
+  END IF;
+
+  -- Same bounds as the single-player game: gridSize minutes, 5 hints
+  IF p_time_seconds IS NULL OR p_time_seconds NOT BETWEEN 0 AND p_grid_size * 60 THEN
+    RAISE EXCEPTION 'Invalid time';
+  END IF;
+  IF p_accuracy IS NULL OR p_accuracy NOT BETWEEN 0 AND 100 THEN
+    RAISE EXCEPTION 'Invalid accuracy';
+  END IF;
+  IF p_hints_used IS NULL OR p_hints_used NOT BETWEEN 0 AND 5 THEN
+    RAISE EXCEPTION 'Invalid hint count';
+  END IF;
+
+  v_score := least(coalesce(p_score, 0), public._daily_max_score(
+    p_grid_size, v_puzzle.rotation, coalesce(p_solved, FALSE), p_time_seconds, p_hints_used
+  ));
+
+  INSERT INTO public.daily_results (user_id, day, grid_size, seed, solved, time_seconds, accuracy, hints_used, score)
+  VALUES (v_uid, p_day, p_grid_size, v_puzzle.seed, coalesce(p_solved, FALSE), p_time_seconds, round(p_accuracy, 2), p_hints_used, v_score)
+  ON CONFLICT (user_id, day) DO NOTHING;
+
+  SELECT * INTO v_result FROM public.daily_results
+  WHERE user_id = v_uid AND day = p_day;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
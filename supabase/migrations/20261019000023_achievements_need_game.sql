@@ -0,0 +1,127 @@
+-- =====================================================
+-- ACHIEVEMENTS NEED A GAME
+-- unlock_achievements still granted every badge but the win ones when
+-- called without a game id, and took games.winner = 'coop' as a win
+-- whether or not the table finished the puzzle. Now:
+--
+-- * Every badge needs a game id. Solo puzzles are checked against their
+--   remote copy (games.mode = 'single_player', hosted by the caller), so
+--   players without one (signed out, or the copy failed) get no badges.
+--   That copy is written by the player's own client: it can only bear out
+--   what the save holds.
+-- * A solo or co-op game is only won when the board is full and correct.
+-- =====================================================
+
+-- Every cell of the final board holds its own piece
+CREATE OR REPLACE FUNCTION public._achievement_solved(p_state JSONB, p_rotation BOOLEAN)
+RETURNS BOOLEAN AS $$
+  SELECT jsonb_array_length(coalesce(p_state -> 'grid', '[]')) > 0
+    AND coalesce(bool_and(
+      jsonb_typeof(t.cell) = 'object' AND public._gs_is_correct(t.cell, (t.ord - 1)::int, p_rotation)
+    ), FALSE)
+  FROM jsonb_array_elements(coalesce(p_state -> 'grid', '[]')) WITH ORDINALITY AS t(cell, ord);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Same as 20261019000021, with solo and co-op wins needing a solved board
+CREATE OR REPLACE FUNCTION public._achievement_earned(
+  p_game public.games,
+  p_gs public.game_state,
+  p_seat TEXT,
+  p_achievement_id TEXT
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_state JSONB := public._gs_to_state(p_gs);
+  v_score JSONB := v_state -> 'scores' -> p_seat;
+  v_rotation BOOLEAN := coalesce(p_gs.rotation_enabled, FALSE);
+  v_won BOOLEAN;
+BEGIN
+  IF p_game.mode = 'single_player' OR p_game.winner = 'coop' THEN
+    v_won := public._achievement_solved(v_state, v_rotation);
+  ELSE
+    v_won := coalesce(p_game.winner IN (p_seat, public._gs_team(v_state, p_seat)), FALSE);
+  END IF;
+
+  RETURN coalesce(CASE p_achievement_id
+    WHEN 'first_win' THEN v_won
+    WHEN 'no_hint_win' THEN v_won AND coalesce((v_score ->> 'hintsUsed')::int, 0) = 0
+    WHEN 'perfect_accuracy' THEN (v_score ->> 'accuracy')::int = 100 AND (v_score ->> 'totalPlacements')::int >= 10
+    WHEN 'streak_5' THEN public._achievement_best_streak(v_state, p_seat) >= 5
+    WHEN 'streak_10' THEN public._achievement_best_streak(v_state, p_seat) >= 10
+    WHEN 'streak_25' THEN public._achievement_best_streak(v_state, p_seat) >= 25
+    WHEN 'row_complete' THEN 'row' IN (SELECT public._achievement_regions(v_state, p_seat, v_rotation))
+    WHEN 'column_complete' THEN 'column' IN (SELECT public._achievement_regions(v_state, p_seat, v_rotation))
+    WHEN 'border_complete' THEN 'border' IN (SELECT public._achievement_regions(v_state, p_seat, v_rotation))
+    WHEN 'first_detective_hit' THEN (v_state ->> 'nexusResolved')::boolean AND EXISTS (
+      SELECT 1 FROM jsonb_each(v_state -> 'pieceMarks') AS m(grid_index, mark)
+      WHERE m.mark ->> 'type' = 'suspect'
+        AND m.mark ->> 'marker' = p_seat
+        AND v_state -> 'grid' -> m.grid_index::int <> 'null'::jsonb
+        AND NOT public._gs_is_correct(v_state -> 'grid' -> m.grid_index::int, m.grid_index::int, v_rotation)
+    )
+  END, FALSE);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+REVOKE EXECUTE ON FUNCTION public._achievement_earned(public.games, public.game_state, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Every badge is checked against a game now
+DROP FUNCTION IF EXISTS public._achievement_needs_match(TEXT);
+
+-- Same as 20261019000021, with the game id required and solo puzzles
+-- checked against their remote copy
+CREATE OR REPLACE FUNCTION public.unlock_achievements(
+  p_achievement_ids TEXT[],
+  p_game_id UUID DEFAULT NULL
+)
+RETURNS SETOF public.user_achievements AS $$
+DECLARE
+  v_uid UUID := auth.uid();
+  v_game public.games;
+  v_gs public.game_state;
+  v_seat TEXT;
+BEGIN
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_achievement_ids IS NULL OR cardinality(p_achievement_ids) = 0 THEN
+    RETURN;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM unnest(p_achievement_ids) AS requested(id)
+    WHERE NOT EXISTS (SELECT 1 FROM public.achievements a WHERE a.id = requested.id)
+  ) THEN
+    RAISE EXCEPTION 'Unknown achievement';
+  END IF;
+
+  IF p_game_id IS NULL THEN
+    RAISE EXCEPTION 'Achievements need a game';
+  END IF;
+
+  SELECT * INTO v_game FROM public.games WHERE id = p_game_id;
+  IF v_game.mode = 'single_player' THEN
+    v_seat := CASE WHEN v_game.host_id = v_uid THEN 'playerA' END;
+  ELSE
+    v_seat := public._gs_player_key(p_game_id);
+  END IF;
+  IF v_seat IS NULL THEN
+    RAISE EXCEPTION 'Not a player in this game' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_game.mode NOT IN ('multiplayer', 'single_player') OR v_game.status <> 'completed' THEN
+    RAISE EXCEPTION 'Game is not finished';
+  END IF;
+
+  SELECT * INTO v_gs FROM public.game_state WHERE game_id = p_game_id;
+
+  RETURN QUERY
+  INSERT INTO public.user_achievements (user_id, achievement_id, game_id)
+  SELECT DISTINCT v_uid, requested.id, p_game_id
+  FROM unnest(p_achievement_ids) AS requested(id)
+  WHERE public._achievement_earned(v_game, v_gs, v_seat, requested.id)
+  ON CONFLICT (user_id, achievement_id) DO NOTHING
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
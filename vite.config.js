@@ -10,5 +10,11 @@ export default defineConfig({
   build: {
     outDir: 'dist',
     sourcemap: false
+  },
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.js'],
+    // GameLogic logs every rack refill; keep warnings and errors only
+    onConsoleLog: (log, type) => type === 'stderr'
   }
 });